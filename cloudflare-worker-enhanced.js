@@ -1,289 +1,856 @@
-export default {
-  async fetch(request, env) {
-    const corsHeaders = {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type",
-      "Content-Type": "application/json"
-    };
+/**
+ * PrimoBoost Cloudflare Worker
+ * The only place provider keys live. Every route requires an allowed origin and
+ * a signed-in Supabase user, is rate limited per user and per IP, and calls the
+ * provider server-side; no response ever contains a key.
+ *
+ * Environment:
+ *   EDENAI_API_KEY, GEMINI_API_KEY, OPENROUTER_API_KEY, GITHUB_API_TOKEN  provider keys (secrets)
+ *   SUPABASE_JWT_SECRET      verifies HS256 access tokens locally (secret)
+ *   SUPABASE_URL, SUPABASE_ANON_KEY  otherwise, tokens are checked against Supabase Auth
+ *   ALLOWED_ORIGINS          comma-separated; defaults to DEFAULT_ALLOWED_ORIGINS
+ *   OPENROUTER_MODELS        comma-separated models clients may ask for; defaults to DEFAULT_OPENROUTER_MODELS
+ *   EDENAI_TEXT_PROVIDERS    comma-separated EdenAI text providers/models clients may ask for; defaults to DEFAULT_EDENAI_TEXT_PROVIDERS
+ *   RATE_LIMIT_KV            optional KV namespace; without it limits are kept per isolate in memory
+ */
 
-    if (request.method === "OPTIONS") {
-      return new Response(null, { headers: corsHeaders });
+const DEFAULT_ALLOWED_ORIGINS = [
+  'https://primoboost.ai',
+  'https://www.primoboost.ai',
+  'http://localhost:5173'
+];
+
+const RATE_LIMIT_WINDOW_SECONDS = 60;
+
+// Requests per window, and the largest body each route accepts
+const ROUTE_LIMITS = {
+  ai: { perUser: 30, perIp: 60, maxBodyBytes: 256 * 1024 },
+  ocr: { perUser: 10, perIp: 20, maxBodyBytes: 15 * 1024 * 1024 }, // base64 of a 10 MB file
+  eden: { perUser: 60, perIp: 120, maxBodyBytes: 256 * 1024 },
+  'eden-ocr': { perUser: 60, perIp: 120, maxBodyBytes: 15 * 1024 * 1024 }, // async OCR polls every 2 seconds
+  github: { perUser: 30, perIp: 60, maxBodyBytes: 0 }
+};
+
+// EdenAI endpoints clients may reach through /eden/*; GET is only for polling async jobs
+const EDEN_POST_PATHS = /^(text\/(chat|moderation|spell_check|summarize|custom_classification)|ocr\/ocr_async)$/;
+const EDEN_GET_PATHS = /^ocr\/ocr_async\/[A-Za-z0-9-]+$/;
+
+// EdenAI text calls bill the server's key, so clients only pick among these, as "provider"
+// or "provider/model" (the same forms EdenAI accepts in `providers` and `settings`)
+const DEFAULT_EDENAI_TEXT_PROVIDERS = ['openai', 'openai/gpt-4o-mini'];
+
+const GITHUB_PATHS = /^\/(search\/repositories|repos\/[\w.-]+\/[\w.-]+(\/(readme|languages|topics))?|users\/[\w-]+\/repos)$/;
+
+const PROVIDER_TIMEOUT_MS = 15000;
+
+// OpenRouter bills the server's key, so a client only picks among these; the first is the default
+const DEFAULT_OPENROUTER_MODELS = [
+  'openai/gpt-4o-mini',
+  'google/gemini-2.0-flash-exp:free',
+  'meta-llama/llama-3.1-8b-instruct:free',
+  'deepseek/deepseek-chat'
+];
+
+/* ================== RATE LIMITING ================== */
+
+/**
+ * In-memory stand-in for a KV namespace: same get/put shape, per isolate only.
+ * Used when RATE_LIMIT_KV is not bound, and in local development.
+ */
+export class MemoryRateLimitStore {
+  constructor(maxEntries = 10000) {
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async put(key, value, options = {}) {
+    const ttlSeconds = options.expirationTtl || RATE_LIMIT_WINDOW_SECONDS;
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    if (this.entries.size > this.maxEntries) {
+      const now = Date.now();
+      for (const [entryKey, entry] of this.entries) {
+        if (entry.expiresAt <= now || this.entries.size > this.maxEntries) this.entries.delete(entryKey);
+      }
     }
+  }
+}
+
+const memoryRateLimitStore = new MemoryRateLimitStore();
+
+/**
+ * Fixed-window counter. KV is eventually consistent, so with RATE_LIMIT_KV the
+ * limit is approximate across data centres; a Durable Object exposing the same
+ * get/put can replace it where exact limits matter.
+ */
+export async function consumeRateLimit(store, key, limit, windowSeconds = RATE_LIMIT_WINDOW_SECONDS) {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const window = Math.floor(nowSeconds / windowSeconds);
+  const storageKey = `rl:${key}:${window}`;
+  const count = Number(await store.get(storageKey)) || 0;
+
+  if (count >= limit) {
+    return { allowed: false, remaining: 0, retryAfter: (window + 1) * windowSeconds - nowSeconds };
+  }
+
+  // KV rejects TTLs under 60 seconds
+  await store.put(storageKey, String(count + 1), { expirationTtl: Math.max(60, windowSeconds * 2) });
+  return { allowed: true, remaining: limit - count - 1, retryAfter: 0 };
+}
+
+/* ================== AUTH ================== */
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function base64UrlToBytes(segment) {
+  const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64.padEnd(Math.ceil(base64.length / 4) * 4, '=');
+  return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+}
+
+// Tokens already confirmed by Supabase Auth, until they expire
+const verifiedTokens = new Map();
+
+async function confirmWithSupabaseAuth(token, env) {
+  const cached = verifiedTokens.get(token);
+  if (cached && cached.exp * 1000 > Date.now()) return true;
 
+  const res = await fetch(`${env.SUPABASE_URL.replace(/\/$/, '')}/auth/v1/user`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+      apikey: env.SUPABASE_ANON_KEY || ''
+    }
+  });
+  return res.ok;
+}
+
+/**
+ * The signed-in user behind a Supabase access token, or null. HS256 tokens are
+ * verified locally with SUPABASE_JWT_SECRET; anything else (asymmetric signing
+ * keys, or no secret configured) is confirmed with Supabase Auth.
+ */
+export async function verifySupabaseJwt(token, env) {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(textDecoder.decode(base64UrlToBytes(parts[0])));
+    payload = JSON.parse(textDecoder.decode(base64UrlToBytes(parts[1])));
+  } catch {
+    return null;
+  }
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number' || payload.exp <= nowSeconds) return null;
+  // The anon key is a valid project JWT too, but it is not a user
+  if (!payload.sub || payload.role !== 'authenticated') return null;
+
+  if (env.SUPABASE_JWT_SECRET && header.alg === 'HS256') {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      textEncoder.encode(env.SUPABASE_JWT_SECRET),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['verify']
+    );
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      base64UrlToBytes(parts[2]),
+      textEncoder.encode(`${parts[0]}.${parts[1]}`)
+    );
+    if (!valid) return null;
+  } else if (env.SUPABASE_URL) {
+    try {
+      if (!(await confirmWithSupabaseAuth(token, env))) return null;
+    } catch {
+      return null;
+    }
+    verifiedTokens.set(token, { exp: payload.exp });
+    if (verifiedTokens.size > 5000) verifiedTokens.clear();
+  } else {
+    console.error('❌ Neither SUPABASE_JWT_SECRET nor SUPABASE_URL is configured; rejecting all requests');
+    return null;
+  }
+
+  return { userId: payload.sub, exp: payload.exp };
+}
+
+/* ================== REQUEST HELPERS ================== */
+
+function allowedOrigins(env) {
+  return env.ALLOWED_ORIGINS
+    ? env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+    : DEFAULT_ALLOWED_ORIGINS;
+}
+
+function corsHeadersFor(origin) {
+  const headers = {
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Max-Age": "86400",
+    "Content-Type": "application/json",
+    "Vary": "Origin"
+  };
+  if (origin) headers["Access-Control-Allow-Origin"] = origin;
+  return headers;
+}
+
+function json(body, status, headers, extraHeaders = {}) {
+  return new Response(JSON.stringify(body), { status, headers: { ...headers, ...extraHeaders } });
+}
+
+function routeFor(pathname, method) {
+  if (pathname === '/ocr' || pathname.startsWith('/ocr/')) return 'ocr';
+  if (pathname.startsWith('/eden/ocr/')) return 'eden-ocr';
+  if (pathname.startsWith('/eden/')) return 'eden';
+  if (pathname.startsWith('/github/')) return method === 'GET' ? 'github' : null;
+  if (pathname === '/' || pathname === '') return method === 'POST' ? 'ai' : null;
+  return null;
+}
+
+class PayloadTooLargeError extends Error {}
+
+/**
+ * Read the body, refusing it as soon as it passes the cap. Content-Length is
+ * checked first, but chunked uploads have none, so the stream is counted too.
+ */
+async function readBody(request, maxBytes) {
+  const declared = Number(request.headers.get('Content-Length'));
+  if (declared > maxBytes) throw new PayloadTooLargeError();
+  if (!request.body) return new Uint8Array(0);
+
+  const reader = request.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel();
+      throw new PayloadTooLargeError();
+    }
+    chunks.push(value);
+  }
+
+  const body = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    body.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return body;
+}
+
+function parseJsonBody(body) {
+  try {
+    return JSON.parse(textDecoder.decode(body));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The timeout covers the wait for response headers. A parent signal, when
+ * given, also aborts a body that is still being read (streamed replies).
+ */
+async function fetchWithTimeout(url, init, timeoutMs = PROVIDER_TIMEOUT_MS, signal) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    signal.addEventListener('abort', () => controller.abort(), { once: true });
+  }
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/* ================== ENTRY POINT ================== */
+
+export default {
+  async fetch(request, env) {
     const url = new URL(request.url);
-    
     // Normalize pathname to handle double slashes
     const pathname = url.pathname.replace(/\/+/g, '/');
-    console.log('📍 Request path:', pathname);
+    const origin = request.headers.get('Origin');
+    const originAllowed = !origin || allowedOrigins(env).includes(origin);
+    const corsHeaders = corsHeadersFor(originAllowed ? origin : null);
+
+    if (!originAllowed) {
+      console.warn('⚠️ Rejected origin:', origin);
+      return json({ error: "Origin not allowed" }, 403, corsHeaders);
+    }
 
-    // GitHub API Proxy Route
-    if (pathname.startsWith('/github')) {
-      return handleGitHubRequest(request, env, corsHeaders);
+    if (request.method === "OPTIONS") {
+      return new Response(null, { status: 204, headers: corsHeaders });
     }
 
-    // EdenAI OCR Proxy Route
-    if (pathname === '/ocr' || pathname.startsWith('/ocr/')) {
-      return handleOCRRequest(request, env, corsHeaders);
+    // Provider keys are never handed to clients; EdenAI calls go through /eden/*
+    if (pathname === '/get-eden-key') {
+      return json({ error: "This endpoint has been removed. Call EdenAI through /eden/* instead." }, 410, corsHeaders);
     }
-// EdenAI OCR Proxy Route
-if (pathname === '/ocr' || pathname.startsWith('/ocr/')) {
-  return handleOCRRequest(request, env, corsHeaders);
+
+    const route = routeFor(pathname, request.method);
+    if (!route) {
+      return json({ error: "Not found" }, 404, corsHeaders);
+    }
+    const limits = ROUTE_LIMITS[route];
+    const store = env.RATE_LIMIT_KV || memoryRateLimitStore;
+
+    // Per IP first, so token guessing is throttled too
+    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+    const ipLimit = await consumeRateLimit(store, `ip:${route}:${ip}`, limits.perIp);
+    if (!ipLimit.allowed) {
+      return json({ error: "Too many requests" }, 429, corsHeaders, { "Retry-After": String(ipLimit.retryAfter) });
+    }
+
+    const authorization = request.headers.get('Authorization') || '';
+    const token = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : '';
+    const user = token ? await verifySupabaseJwt(token, env) : null;
+    if (!user) {
+      return json({ error: "Sign in required" }, 401, corsHeaders);
+    }
+
+    const userLimit = await consumeRateLimit(store, `user:${route}:${user.userId}`, limits.perUser);
+    if (!userLimit.allowed) {
+      return json({ error: "Too many requests" }, 429, corsHeaders, { "Retry-After": String(userLimit.retryAfter) });
+    }
+
+    let body = new Uint8Array(0);
+    if (request.method === 'POST') {
+      try {
+        body = await readBody(request, limits.maxBodyBytes);
+      } catch (error) {
+        if (error instanceof PayloadTooLargeError) {
+          return json({ error: `Request body exceeds ${limits.maxBodyBytes} bytes` }, 413, corsHeaders);
+        }
+        throw error;
+      }
+    }
+
+    console.log('📍 Request:', route, pathname, 'user', user.userId);
+
+    if (route === 'github') return handleGitHubRequest(url, pathname, env, corsHeaders);
+    if (route === 'ocr') return handleOCRRequest(request, pathname, body, env, corsHeaders);
+    if (route === 'eden' || route === 'eden-ocr') return handleEdenRequest(request, pathname, body, env, corsHeaders);
+    return handleAIRequest(body, env, corsHeaders, request.signal);
+  }
+};
+
+/* ================== AI CHAT ================== */
+
+function allowedOpenRouterModels(env) {
+  return env.OPENROUTER_MODELS
+    ? env.OPENROUTER_MODELS.split(',').map(model => model.trim()).filter(Boolean)
+    : DEFAULT_OPENROUTER_MODELS;
 }
 
-// 👇 ADD THE NEW CODE HERE (after line 28, before line 30)
-// GET /get-eden-key - Return EdenAI API key
-if (pathname === '/get-eden-key' && request.method === 'GET') {
-  return new Response(
-    JSON.stringify({ apiKey: env.EDENAI_API_KEY }),
-    { headers: corsHeaders }
-  );
+/**
+ * The OpenRouter models to try, in order: the client's choice first when it is on the
+ * allowlist, then the rest of the allowlist. Anything else the client names is ignored.
+ */
+function openRouterModels(preferredModel, env) {
+  const allowed = allowedOpenRouterModels(env);
+  return allowed.includes(preferredModel)
+    ? [preferredModel, ...allowed.filter(model => model !== preferredModel)]
+    : allowed;
 }
 
-// AI Chat Route (default)
-if (request.method !== "POST") {
-  return new Response(
+/**
+ * Handle AI chat requests: EdenAI, then Gemini, then OpenRouter models.
+ * With `stream: true` in the body the reply is sent as server-sent events.
+ */
+async function handleAIRequest(rawBody, env, corsHeaders, signal) {
+  const body = parseJsonBody(rawBody);
+  if (!body) {
+    return json({ error: "Invalid JSON body" }, 400, corsHeaders);
+  }
 
-    // AI Chat Route (default)
-    if (request.method !== "POST") {
-      return new Response(
-        JSON.stringify({ error: "Method not allowed" }),
-        { status: 405, headers: corsHeaders }
-      );
+  const prompt = body.prompt;
+  const preferredModel = body.model;
+  const temperature = typeof body.temperature === 'number' ? Math.min(Math.max(body.temperature, 0), 1.5) : 0.7;
+  const maxTokens = typeof body.maxTokens === 'number' ? Math.min(Math.max(Math.floor(body.maxTokens), 1), 4000) : 2000;
+
+  if (!prompt || typeof prompt !== 'string') {
+    return json({ error: "Prompt is required" }, 400, corsHeaders);
+  }
+
+  if (body.stream === true) {
+    return streamAIResponse({ prompt, preferredModel, temperature, maxTokens }, env, corsHeaders, signal);
+  }
+
+  const errors = [];
+
+  /* ================== 1️⃣ EDEN AI ================== */
+  if (env.EDENAI_API_KEY) {
+    try {
+      const res = await fetchWithTimeout("https://api.edenai.run/v2/text/chat", {
+        method: "POST",
+        headers: {
+          "Authorization": `Bearer ${env.EDENAI_API_KEY}`,
+          "Content-Type": "application/json"
+        },
+        body: JSON.stringify({
+          providers: ["openai/gpt-4o-mini"],
+          text: prompt,
+          temperature,
+          max_tokens: maxTokens
+        })
+      });
+
+      if (res.ok) {
+        const data = await res.json();
+        const text = data?.openai?.generated_text;
+        const status = data?.openai?.status;
+
+        if (text && status !== "fail") {
+          return json({ success: true, text, provider: "edenai", model: "openai" }, 200, corsHeaders);
+        }
+        errors.push({ provider: "EdenAI", error: data?.openai?.error?.message || "Provider failed" });
+      } else {
+        errors.push({ provider: "EdenAI", status: res.status });
+      }
+    } catch (err) {
+      errors.push({ provider: "EdenAI", error: err.message });
     }
+  }
 
-    let body;
+  /* ================== 2️⃣ GEMINI ================== */
+  if (env.GEMINI_API_KEY) {
     try {
-      body = await request.json();
-    } catch {
-      return new Response(
-        JSON.stringify({ error: "Invalid JSON body" }),
-        { status: 400, headers: corsHeaders }
+      // Key in a header rather than the query string, so it never shows up in error messages
+      const res = await fetchWithTimeout(
+        "https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent",
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "x-goog-api-key": env.GEMINI_API_KEY
+          },
+          body: JSON.stringify({
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig: { temperature, maxOutputTokens: maxTokens }
+          })
+        }
       );
-    }
 
-    const prompt = body.prompt;
-    const preferredModel = body.model;
+      if (res.ok) {
+        const data = await res.json();
+        const text = data?.candidates?.[0]?.content?.parts?.[0]?.text;
 
-    if (!prompt) {
-      return new Response(
-        JSON.stringify({ error: "Prompt is required" }),
-        { status: 400, headers: corsHeaders }
-      );
+        if (text) {
+          return json({ success: true, text, provider: "gemini", model: "gemini-1.5-flash" }, 200, corsHeaders);
+        }
+        errors.push({ provider: "Gemini", error: "Empty response" });
+      } else {
+        errors.push({ provider: "Gemini", status: res.status });
+      }
+    } catch (err) {
+      errors.push({ provider: "Gemini", error: err.message });
     }
+  }
 
-    const errors = [];
+  /* ================== 3️⃣ OPENROUTER ================== */
+  if (env.OPENROUTER_API_KEY) {
+    const models = openRouterModels(preferredModel, env);
 
-    /* ================== 1️⃣ EDEN AI ================== */
-    if (env.EDENAI_API_KEY) {
+    for (const model of models) {
       try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 15000);
-
-        const res = await fetch("https://api.edenai.run/v2/text/chat", {
+        const res = await fetchWithTimeout("https://openrouter.ai/api/v1/chat/completions", {
           method: "POST",
           headers: {
-            "Authorization": `Bearer ${env.EDENAI_API_KEY}`,
-            "Content-Type": "application/json"
+            "Authorization": `Bearer ${env.OPENROUTER_API_KEY}`,
+            "Content-Type": "application/json",
+            "HTTP-Referer": "https://primoboost.com",
+            "X-Title": "PrimoBoost AI"
           },
           body: JSON.stringify({
-            providers: ["openai/gpt-4o-mini"],
-            text: prompt
-          }),
-          signal: controller.signal
+            model: model,
+            messages: [{ role: "user", content: prompt }],
+            temperature,
+            max_tokens: maxTokens
+          })
         });
 
-        clearTimeout(timeoutId);
-
         if (res.ok) {
           const data = await res.json();
-          const text = data?.openai?.generated_text;
-          const status = data?.openai?.status;
-
-          if (text && status !== "fail") {
-            return new Response(
-              JSON.stringify({
-                success: true,
-                text: text,
-                provider: "edenai",
-                model: "openai"
-              }),
-              { headers: corsHeaders }
-            );
+          const text = data?.choices?.[0]?.message?.content;
+
+          if (text) {
+            return json({ success: true, text, provider: "openrouter", model }, 200, corsHeaders);
           }
-          errors.push({ provider: "EdenAI", error: data?.openai?.error?.message || "Provider failed" });
         } else {
-          errors.push({ provider: "EdenAI", status: res.status });
+          const errorData = await res.json().catch(() => ({}));
+          errors.push({
+            provider: "OpenRouter",
+            model: model,
+            status: res.status,
+            error: errorData.error?.message
+          });
         }
       } catch (err) {
-        errors.push({ provider: "EdenAI", error: err.message });
+        errors.push({ provider: "OpenRouter", model: model, error: err.message });
       }
     }
+  }
 
-    /* ================== 2️⃣ GEMINI ================== */
-    if (env.GEMINI_API_KEY) {
-      try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 15000);
-
-        const res = await fetch(
-          `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${env.GEMINI_API_KEY}`,
-          {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-              contents: [{ parts: [{ text: prompt }] }]
-            }),
-            signal: controller.signal
-          }
-        );
+  /* ================== ❌ ALL FAILED ================== */
+  return json({ success: false, error: "All AI providers failed", details: errors }, 502, corsHeaders);
+}
 
-        clearTimeout(timeoutId);
+/* ================== AI CHAT STREAMING ================== */
 
-        if (res.ok) {
-          const data = await res.json();
-          const text = data?.candidates?.[0]?.content?.parts?.[0]?.text;
+// Events sent to the client:
+//   data: {"delta":"..."}                          a piece of the reply
+//   event: done  data: {"provider":"...","model":"..."}
+//   event: error data: {"error":"..."}             the provider failed or cut off mid-reply
+const SSE_HEADERS = {
+  "Content-Type": "text/event-stream",
+  "Cache-Control": "no-cache, no-transform",
+  "X-Accel-Buffering": "no"
+};
 
-          if (text) {
-            return new Response(
-              JSON.stringify({
-                success: true,
-                text: text,
-                provider: "gemini",
-                model: "gemini-1.5-flash"
-              }),
-              { headers: corsHeaders }
-            );
+function sseEvent(data, event) {
+  return textEncoder.encode(`${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+}
+
+function parseSseEvent(block) {
+  let event = 'message';
+  const data = [];
+  for (const line of block.split('\n')) {
+    if (!line || line.startsWith(':')) continue; // comments keep the connection alive
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+    if (field === 'event') event = value;
+    else if (field === 'data') data.push(value);
+  }
+  return data.length > 0 ? { event, data: data.join('\n') } : null;
+}
+
+/**
+ * Split a server-sent event stream into { event, data } pairs
+ */
+async function* readSseEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      // A trailing \r may be the first half of \r\n, so it waits for the next chunk
+      buffer = (buffer + (done ? decoder.decode() : decoder.decode(value, { stream: true })))
+        .replace(done ? /\r\n?/g : /\r\n|\r(?!$)/g, '\n');
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const event = parseSseEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        if (event) yield event;
+      }
+      if (done) {
+        const event = parseSseEvent(buffer);
+        if (event) yield event;
+        return;
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+// Providers that can stream, in the order they are tried, how to read the text out of each
+// upstream event and how to tell the event that ends a complete reply
+function streamingProviders({ prompt, preferredModel, temperature, maxTokens }, env) {
+  const providers = [];
+
+  if (env.GEMINI_API_KEY) {
+    providers.push({
+      provider: "gemini",
+      model: "gemini-1.5-flash",
+      url: "https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:streamGenerateContent?alt=sse",
+      init: {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "x-goog-api-key": env.GEMINI_API_KEY },
+        body: JSON.stringify({
+          contents: [{ parts: [{ text: prompt }] }],
+          generationConfig: { temperature, maxOutputTokens: maxTokens }
+        })
+      },
+      delta: data => (data?.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join(''),
+      // Gemini sends no [DONE]; its last chunk carries the finish reason
+      finished: data => Boolean(data?.candidates?.[0]?.finishReason)
+    });
+  }
+
+  if (env.OPENROUTER_API_KEY) {
+    const models = openRouterModels(preferredModel, env);
+    for (const model of models) {
+      providers.push({
+        provider: "openrouter",
+        model,
+        url: "https://openrouter.ai/api/v1/chat/completions",
+        init: {
+          method: "POST",
+          headers: {
+            "Authorization": `Bearer ${env.OPENROUTER_API_KEY}`,
+            "Content-Type": "application/json",
+            "HTTP-Referer": "https://primoboost.com",
+            "X-Title": "PrimoBoost AI"
+          },
+          body: JSON.stringify({
+            model,
+            messages: [{ role: "user", content: prompt }],
+            temperature,
+            max_tokens: maxTokens,
+            stream: true
+          })
+        },
+        delta: data => data?.choices?.[0]?.delta?.content || '',
+        finished: data => Boolean(data?.choices?.[0]?.finish_reason)
+      });
+    }
+  }
+
+  return providers;
+}
+
+/**
+ * Relay one upstream provider stream as our own events. Cancelling the
+ * returned stream (the client went away) aborts the provider call. An
+ * upstream that closes before the provider said the reply was finished ends
+ * with an error event, not done, so a cut-off reply is never taken as whole.
+ */
+function relayProviderStream(upstreamBody, candidate, upstream) {
+  const events = readSseEvents(upstreamBody);
+  let finished = false;
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        for (;;) {
+          const { done, value } = await events.next();
+          if (done && !finished) {
+            throw new Error('the stream ended before the reply was complete');
+          }
+          if (done || value.data === '[DONE]') {
+            controller.enqueue(sseEvent({ provider: candidate.provider, model: candidate.model }, 'done'));
+            controller.close();
+            return;
+          }
+
+          let data;
+          try {
+            data = JSON.parse(value.data);
+          } catch {
+            continue;
+          }
+          if (data?.error) {
+            throw new Error(data.error.message || 'Provider error');
+          }
+          if (candidate.finished(data)) finished = true;
+          const delta = candidate.delta(data);
+          if (delta) {
+            controller.enqueue(sseEvent({ delta }));
+            return;
           }
         }
-        const errorText = await res.text();
-        errors.push({ provider: "Gemini", status: res.status, details: errorText });
       } catch (err) {
-        errors.push({ provider: "Gemini", error: err.message });
+        if (upstream.signal.aborted) return;
+        console.error('❌ Stream from', candidate.provider, 'failed:', err.message);
+        controller.enqueue(sseEvent({ error: `${candidate.provider} stream failed: ${err.message}` }, 'error'));
+        controller.close();
       }
+    },
+    cancel() {
+      upstream.abort();
     }
+  });
+}
 
-    /* ================== 3️⃣ OPENROUTER ================== */
-    if (env.OPENROUTER_API_KEY) {
-      const models = [
-        preferredModel || "openai/gpt-4o-mini",
-        "google/gemini-2.0-flash-exp:free",
-        "meta-llama/llama-3.1-8b-instruct:free",
-      ];
-
-      for (const model of models) {
-        try {
-          const controller = new AbortController();
-          const timeoutId = setTimeout(() => controller.abort(), 15000);
-
-          const res = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-            method: "POST",
-            headers: {
-              "Authorization": `Bearer ${env.OPENROUTER_API_KEY}`,
-              "Content-Type": "application/json",
-              "HTTP-Referer": "https://primoboost.com",
-              "X-Title": "PrimoBoost AI"
-            },
-            body: JSON.stringify({
-              model: model,
-              messages: [{ role: "user", content: prompt }],
-              temperature: 0.7,
-              max_tokens: 2000
-            }),
-            signal: controller.signal
-          });
+/**
+ * Streaming variant of the chat chain: Gemini, then OpenRouter models, streamed
+ * token by token. A provider is only skipped before its first byte; once the
+ * reply has started, a failure ends the stream with an error event. EdenAI has
+ * no streaming API, so as the last resort its whole reply is one delta.
+ */
+async function streamAIResponse(params, env, corsHeaders, signal) {
+  const upstream = new AbortController();
+  if (signal) signal.addEventListener('abort', () => upstream.abort(), { once: true });
+  const sseResponse = stream => new Response(stream, { status: 200, headers: { ...corsHeaders, ...SSE_HEADERS } });
+  const errors = [];
+
+  for (const candidate of streamingProviders(params, env)) {
+    if (upstream.signal.aborted) break;
+    try {
+      const res = await fetchWithTimeout(candidate.url, candidate.init, PROVIDER_TIMEOUT_MS, upstream.signal);
+      if (res.ok && res.body) {
+        return sseResponse(relayProviderStream(res.body, candidate, upstream));
+      }
+      await res.body?.cancel();
+      errors.push({ provider: candidate.provider, model: candidate.model, status: res.status });
+    } catch (err) {
+      errors.push({ provider: candidate.provider, model: candidate.model, error: err.message });
+    }
+  }
 
-          clearTimeout(timeoutId);
-
-          if (res.ok) {
-            const data = await res.json();
-            const text = data?.choices?.[0]?.message?.content;
-
-            if (text) {
-              return new Response(
-                JSON.stringify({
-                  success: true,
-                  text: text,
-                  provider: "openrouter",
-                  model: model
-                }),
-                { headers: corsHeaders }
-              );
-            }
-          } else {
-            const errorData = await res.json();
-            errors.push({
-              provider: "OpenRouter",
-              model: model,
-              status: res.status,
-              error: errorData.error?.message
-            });
+  if (env.EDENAI_API_KEY && !upstream.signal.aborted) {
+    try {
+      const res = await fetchWithTimeout("https://api.edenai.run/v2/text/chat", {
+        method: "POST",
+        headers: {
+          "Authorization": `Bearer ${env.EDENAI_API_KEY}`,
+          "Content-Type": "application/json"
+        },
+        body: JSON.stringify({
+          providers: ["openai/gpt-4o-mini"],
+          text: params.prompt,
+          temperature: params.temperature,
+          max_tokens: params.maxTokens
+        })
+      }, PROVIDER_TIMEOUT_MS, upstream.signal);
+
+      const data = res.ok ? await res.json() : null;
+      const text = data?.openai?.generated_text;
+      if (text && data?.openai?.status !== "fail") {
+        return sseResponse(new ReadableStream({
+          start(controller) {
+            controller.enqueue(sseEvent({ delta: text }));
+            controller.enqueue(sseEvent({ provider: "edenai", model: "openai" }, 'done'));
+            controller.close();
           }
-        } catch (err) {
-          errors.push({ provider: "OpenRouter", model: model, error: err.message });
-        }
+        }));
       }
+      errors.push({ provider: "EdenAI", status: res.status, error: data?.openai?.error?.message });
+    } catch (err) {
+      errors.push({ provider: "EdenAI", error: err.message });
     }
+  }
 
-    /* ================== ❌ ALL FAILED ================== */
-    return new Response(
-      JSON.stringify({
-        success: false,
-        error: "All AI providers failed",
-        details: errors
-      }),
-      { status: 500, headers: corsHeaders }
-    );
+  return json({ success: false, error: "All AI providers failed", details: errors }, 502, corsHeaders);
+}
+
+/* ================== EDEN AI PROXY ================== */
+
+function allowedEdenTextProviders(env) {
+  return env.EDENAI_TEXT_PROVIDERS
+    ? env.EDENAI_TEXT_PROVIDERS.split(',').map(provider => provider.trim()).filter(Boolean)
+    : DEFAULT_EDENAI_TEXT_PROVIDERS;
+}
+
+/**
+ * Why a text/* body may not run on the server's key, or null when it may: every
+ * provider in `providers` and `fallback_providers`, and every model picked in
+ * `settings`, must be on the allowlist.
+ */
+function edenTextBodyError(body, env) {
+  if (!body || typeof body !== 'object') return 'Invalid JSON body';
+  const allowed = allowedEdenTextProviders(env);
+  const list = value => (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map(entry => String(entry).trim())
+    .filter(Boolean);
+
+  const providers = list(body.providers);
+  if (providers.length === 0) return 'providers is required';
+  const requested = [...providers, ...list(body.fallback_providers)];
+
+  if (body.settings !== undefined) {
+    if (!body.settings || typeof body.settings !== 'object' || Array.isArray(body.settings)) return 'Invalid settings';
+    Object.entries(body.settings).forEach(([provider, model]) => requested.push(`${provider}/${model}`));
   }
-};
+
+  const rejected = requested.filter(provider => !allowed.includes(provider));
+  return rejected.length > 0 ? `EdenAI provider not allowed: ${rejected.join(', ')}` : null;
+}
 
 /**
- * Handle GitHub API Proxy Requests
+ * Forward an allowlisted EdenAI call with the server's key. Text calls must name
+ * allowlisted providers; otherwise JSON and multipart bodies are passed through
+ * untouched, boundary included.
  */
-async function handleGitHubRequest(request, env, corsHeaders) {
-  if (!env.GITHUB_API_TOKEN) {
-    return new Response(
-      JSON.stringify({ error: "GitHub API token not configured" }),
-      { status: 500, headers: corsHeaders }
-    );
+async function handleEdenRequest(request, pathname, body, env, corsHeaders) {
+  if (!env.EDENAI_API_KEY) {
+    return json({ error: "EdenAI API key not configured" }, 503, corsHeaders);
   }
 
-  const url = new URL(request.url);
-  const githubPath = url.pathname.replace(/^\/github/, '');
-  const githubUrl = `https://api.github.com${githubPath}${url.search}`;
+  const edenPath = pathname.replace(/^\/eden\//, '');
+  const allowed = request.method === 'POST' ? EDEN_POST_PATHS.test(edenPath) : EDEN_GET_PATHS.test(edenPath);
+  if (!allowed) {
+    return json({ error: "EdenAI endpoint not allowed" }, 404, corsHeaders);
+  }
 
-  try {
-    const headers = {
-      'Accept': 'application/vnd.github.v3+json',
-      'Authorization': `Bearer ${env.GITHUB_API_TOKEN}`,
-      'User-Agent': 'PrimoBoost-AI'
-    };
+  if (edenPath.startsWith('text/')) {
+    const error = edenTextBodyError(parseJsonBody(body), env);
+    if (error) {
+      return json({ error }, 400, corsHeaders);
+    }
+  }
+
+  const headers = { 'Authorization': `Bearer ${env.EDENAI_API_KEY}` };
+  const contentType = request.headers.get('Content-Type');
+  if (contentType) headers['Content-Type'] = contentType;
 
-    const response = await fetch(githubUrl, {
+  try {
+    const res = await fetchWithTimeout(`https://api.edenai.run/v2/${edenPath}`, {
       method: request.method,
-      headers: headers
-    });
+      headers,
+      body: request.method === 'POST' ? body : undefined
+    }, 60000);
+
+    return new Response(await res.text(), { status: res.status, headers: corsHeaders });
+  } catch (error) {
+    return json({ error: "EdenAI request failed", details: error.message }, 502, corsHeaders);
+  }
+}
 
-    const data = await response.json();
+/* ================== GITHUB PROXY ================== */
 
-    return new Response(
-      JSON.stringify(data),
-      {
-        status: response.status,
-        headers: corsHeaders
+/**
+ * Handle GitHub API Proxy Requests (read-only, allowlisted paths)
+ */
+async function handleGitHubRequest(url, pathname, env, corsHeaders) {
+  if (!env.GITHUB_API_TOKEN) {
+    return json({ error: "GitHub API token not configured" }, 503, corsHeaders);
+  }
+
+  const githubPath = pathname.replace(/^\/github/, '');
+  if (!GITHUB_PATHS.test(githubPath)) {
+    return json({ error: "GitHub endpoint not allowed" }, 404, corsHeaders);
+  }
+
+  try {
+    const response = await fetchWithTimeout(`https://api.github.com${githubPath}${url.search}`, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/vnd.github.v3+json',
+        'Authorization': `Bearer ${env.GITHUB_API_TOKEN}`,
+        'User-Agent': 'PrimoBoost-AI'
       }
-    );
+    });
+
+    return new Response(await response.text(), { status: response.status, headers: corsHeaders });
   } catch (error) {
-    return new Response(
-      JSON.stringify({
-        error: "GitHub API request failed",
-        details: error.message
-      }),
-      { status: 500, headers: corsHeaders }
-    );
+    return json({ error: "GitHub API request failed", details: error.message }, 502, corsHeaders);
   }
 }
 
+/* ================== OCR ================== */
+
 /**
  * Convert base64 string to Uint8Array
  */
@@ -305,169 +872,137 @@ function base64ToUint8Array(base64) {
  * Handle EdenAI OCR Proxy Requests
  * Based on official EdenAI OCR API documentation
  */
-async function handleOCRRequest(request, env, corsHeaders) {
+async function handleOCRRequest(request, pathname, rawBody, env, corsHeaders) {
   if (!env.EDENAI_API_KEY) {
-    return new Response(
-      JSON.stringify({ error: "EdenAI API key not configured" }),
-      { status: 500, headers: corsHeaders }
-    );
+    return json({ error: "EdenAI API key not configured" }, 503, corsHeaders);
   }
 
-  const url = new URL(request.url);
-  const pathname = url.pathname.replace(/\/+/g, '/');
-
-  // POST /ocr - OCR extraction
-  if (request.method === 'POST' && pathname === '/ocr') {
-    try {
-      const body = await request.json();
-      const { file, fileName, fileType } = body;
-
-      if (!file) {
-        return new Response(
-          JSON.stringify({ error: "File data is required" }),
-          { status: 400, headers: corsHeaders }
-        );
-      }
+  if (request.method !== 'POST' || pathname !== '/ocr') {
+    return json({ error: "Method not allowed for OCR route" }, 405, corsHeaders);
+  }
 
-      // Convert base64 to binary
-      let binaryData;
-      try {
-        binaryData = base64ToUint8Array(file);
-      } catch (decodeError) {
-        return new Response(
-          JSON.stringify({
-            success: false,
-            error: "Failed to decode base64 file data",
-            details: decodeError.message
-          }),
-          { status: 400, headers: corsHeaders }
-        );
-      }
+  const body = parseJsonBody(rawBody);
+  if (!body) {
+    return json({ error: "Invalid JSON body" }, 400, corsHeaders);
+  }
 
-      const mimeType = fileType || 'application/pdf';
-      const resolvedFileName = fileName || 'resume.pdf';
-      const blob = new Blob([binaryData], { type: mimeType });
-
-      // ✅ Smart provider selection based on file type
-      let provider;
-      if (mimeType === 'application/pdf') {
-        // PDF files: use Google (best for PDFs)
-        provider = 'google';
-      } else if (mimeType.startsWith('image/')) {
-        // Image files: use Mistral (supports images only)
-        provider = 'mistral';
-      } else {
-        // Default fallback
-        provider = 'google';
-      }
+  try {
+    const { file, fileName, fileType } = body;
 
-      // Build FormData according to EdenAI docs
-      const formData = new FormData();
-      formData.append('providers', provider); // String format (per docs)
-      formData.append('file', blob, resolvedFileName);
-      formData.append('language', 'en'); // Optional but helpful
+    if (!file) {
+      return json({ error: "File data is required" }, 400, corsHeaders);
+    }
 
-      console.log('🔍 Calling EdenAI OCR with provider:', provider, 'for file type:', mimeType);
+    // Convert base64 to binary
+    let binaryData;
+    try {
+      binaryData = base64ToUint8Array(file);
+    } catch (decodeError) {
+      return json({
+        success: false,
+        error: "Failed to decode base64 file data",
+        details: decodeError.message
+      }, 400, corsHeaders);
+    }
 
-      // Call EdenAI OCR endpoint
-      const edenResponse = await fetch('https://api.edenai.run/v2/ocr/ocr', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${env.EDENAI_API_KEY}`
-        },
-        body: formData
-      });
+    const mimeType = fileType || 'application/pdf';
+    const resolvedFileName = fileName || 'resume.pdf';
+    const blob = new Blob([binaryData], { type: mimeType });
+
+    // ✅ Smart provider selection based on file type
+    let provider;
+    if (mimeType === 'application/pdf') {
+      // PDF files: use Google (best for PDFs)
+      provider = 'google';
+    } else if (mimeType.startsWith('image/')) {
+      // Image files: use Mistral (supports images only)
+      provider = 'mistral';
+    } else {
+      // Default fallback
+      provider = 'google';
+    }
 
-      const result = await edenResponse.json();
-      console.log('📊 EdenAI Response Status:', edenResponse.status);
-
-      if (!edenResponse.ok) {
-        console.error('❌ EdenAI Error:', result);
-        return new Response(
-          JSON.stringify({
-            success: false,
-            error: result.error || 'OCR API failed',
-            details: result,
-            status: edenResponse.status
-          }),
-          { status: edenResponse.status, headers: corsHeaders }
-        );
-      }
+    // Build FormData according to EdenAI docs
+    const formData = new FormData();
+    formData.append('providers', provider); // String format (per docs)
+    formData.append('file', blob, resolvedFileName);
+    formData.append('language', 'en'); // Optional but helpful
+
+    console.log('🔍 Calling EdenAI OCR with provider:', provider, 'for file type:', mimeType);
+
+    // Call EdenAI OCR endpoint
+    const edenResponse = await fetchWithTimeout('https://api.edenai.run/v2/ocr/ocr', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${env.EDENAI_API_KEY}`
+      },
+      body: formData
+    }, 60000);
+
+    const result = await edenResponse.json();
+    console.log('📊 EdenAI Response Status:', edenResponse.status);
+
+    if (!edenResponse.ok) {
+      console.error('❌ EdenAI Error:', result);
+      return json({
+        success: false,
+        error: result.error || 'OCR API failed',
+        details: result,
+        status: edenResponse.status
+      }, edenResponse.status, corsHeaders);
+    }
 
-      // Extract text from provider result
-      const providerResult = result[provider];
-
-      if (!providerResult) {
-        console.error('❌ No result from provider:', provider);
-        return new Response(
-          JSON.stringify({
-            success: false,
-            error: `No OCR result from provider: ${provider}`,
-            details: result,
-            availableProviders: Object.keys(result)
-          }),
-          { status: 500, headers: corsHeaders }
-        );
-      }
+    // Extract text from provider result
+    const providerResult = result[provider];
 
-      if (providerResult.status === 'fail') {
-        console.error('❌ Provider failed:', providerResult);
-        return new Response(
-          JSON.stringify({
-            success: false,
-            error: providerResult.error?.message || 'OCR processing failed',
-            details: providerResult
-          }),
-          { status: 500, headers: corsHeaders }
-        );
-      }
+    if (!providerResult) {
+      console.error('❌ No result from provider:', provider);
+      return json({
+        success: false,
+        error: `No OCR result from provider: ${provider}`,
+        details: result,
+        availableProviders: Object.keys(result)
+      }, 500, corsHeaders);
+    }
 
-      const extractedText = providerResult.text || '';
-
-      if (!extractedText || extractedText.length < 20) {
-        console.warn('⚠️ Insufficient text:', extractedText.length, 'chars');
-        return new Response(
-          JSON.stringify({
-            success: false,
-            error: 'OCR extracted insufficient text',
-            details: { 
-              textLength: extractedText.length,
-              provider: provider,
-              status: providerResult.status
-            }
-          }),
-          { status: 400, headers: corsHeaders }
-        );
-      }
+    if (providerResult.status === 'fail') {
+      console.error('❌ Provider failed:', providerResult);
+      return json({
+        success: false,
+        error: providerResult.error?.message || 'OCR processing failed',
+        details: providerResult
+      }, 500, corsHeaders);
+    }
 
-      console.log('✅ OCR Success:', extractedText.length, 'characters');
+    const extractedText = providerResult.text || '';
 
-      return new Response(
-        JSON.stringify({
-          success: true,
-          text: extractedText,
+    if (!extractedText || extractedText.length < 20) {
+      console.warn('⚠️ Insufficient text:', extractedText.length, 'chars');
+      return json({
+        success: false,
+        error: 'OCR extracted insufficient text',
+        details: {
+          textLength: extractedText.length,
           provider: provider,
-          confidence: 85
-        }),
-        { headers: corsHeaders }
-      );
-
-    } catch (error) {
-      console.error('❌ OCR Handler Error:', error);
-      return new Response(
-        JSON.stringify({
-          success: false,
-          error: "OCR request failed",
-          details: error.message
-        }),
-        { status: 500, headers: corsHeaders }
-      );
+          status: providerResult.status
+        }
+      }, 400, corsHeaders);
     }
-  }
 
-  // Method not allowed
-  return new Response(
-    JSON.stringify({ error: "Method not allowed for OCR route" }),
-    { status: 405, headers: corsHeaders }
-  );
-}
\ No newline at end of file
+    console.log('✅ OCR Success:', extractedText.length, 'characters');
+
+    return json({
+      success: true,
+      text: extractedText,
+      provider: provider,
+      confidence: 85
+    }, 200, corsHeaders);
+  } catch (error) {
+    console.error('❌ OCR Handler Error:', error);
+    return json({
+      success: false,
+      error: "OCR request failed",
+      details: error.message
+    }, 500, corsHeaders);
+  }
+}
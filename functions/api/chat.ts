@@ -1,7 +1,13 @@
 // functions/api/chat.ts (Direct Worker Call)
+// With `stream: true` the worker's server-sent events are piped straight
+// through, and a client that disconnects cancels the worker call upstream.
 
 interface RequestBody {
   prompt: string;
+  model?: string;
+  temperature?: number;
+  maxTokens?: number;
+  stream?: boolean;
 }
 
 interface CloudflareEnv {
@@ -23,7 +29,8 @@ export async function onRequestPost(context: CloudflareContext) {
   try {
     // Parse incoming request
     const body = await request.json() as RequestBody;
-    const { prompt } = body;
+    const { prompt, model, temperature, maxTokens } = body;
+    const stream = body.stream === true;
 
     // Validate prompt
     if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
@@ -45,13 +52,16 @@ export async function onRequestPost(context: CloudflareContext) {
     // Get Worker URL from environment or use default
     const workerUrl = env.WORKER_URL || DEFAULT_WORKER_URL;
 
-    // Call Worker directly
+    // Call Worker directly, as the signed-in user (the worker rejects anonymous calls)
+    const authorization = request.headers.get('Authorization');
     const workerResponse = await fetch(workerUrl, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...(authorization ? { Authorization: authorization } : {})
       },
-      body: JSON.stringify({ prompt: prompt.trim() })
+      body: JSON.stringify({ prompt: prompt.trim(), model, temperature, maxTokens, stream }),
+      signal: request.signal
     });
 
     // Check if Worker responded successfully
@@ -73,6 +83,18 @@ export async function onRequestPost(context: CloudflareContext) {
       );
     }
 
+    // Pass the event stream through unbuffered; cancelling it closes the worker connection
+    if (stream && workerResponse.headers.get('Content-Type')?.includes('text/event-stream')) {
+      return new Response(workerResponse.body, {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache, no-transform',
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+    }
+
     // Return Worker's response
     const data = await workerResponse.json();
     return new Response(
@@ -113,7 +135,7 @@ export async function onRequestOptions() {
     headers: {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
       'Access-Control-Max-Age': '86400'
     }
   });
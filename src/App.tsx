@@ -16,6 +16,8 @@ import { AuthModal } from './components/auth/AuthModal';
 import { UserProfileManagement } from './components/UserProfileManagement';
 import { SubscriptionPlans } from './components/payment/SubscriptionPlans';
 import { paymentService } from './services/paymentService';
+import { scoringProfileService } from './services/scoringProfileService';
+import { skillTaxonomyService } from './services/skillTaxonomyService';
 import { AlertModal } from './components/AlertModal';
 import { ToolsAndPagesNavigation } from './components/pages/ToolsAndPagesNavigation';
 import { Routes, Route, useNavigate, useLocation, Navigate } from 'react-router-dom';
@@ -47,9 +49,16 @@ import { AdminBlogPostsList } from './components/admin/AdminBlogPostsList';
 import { AdminBlogPostForm } from './components/admin/AdminBlogPostForm';
 import { AdminBlogCategoriesManager } from './components/admin/AdminBlogCategoriesManager';
 import { EmailTestingPanel } from './components/admin/EmailTestingPanel';
+import { AdminScoringProfilesManager } from './components/admin/AdminScoringProfilesManager';
+import { AdminSkillTaxonomyManager } from './components/admin/AdminSkillTaxonomyManager';
 import { WebinarsPage } from './components/pages/WebinarsPage';
 import { ATSScoreChecker16ParameterComponent } from './components/ATSScoreChecker16Parameter';
 import { ATSScoreChecker16ParameterAdvanced } from './components/ATSScoreChecker16ParameterAdvanced';
+import { BatchScoringPage } from './components/BatchScoringPage';
+import { JobFitMatrixPage } from './components/JobFitMatrixPage';
+import { ResumeVersionHistoryPage } from './components/ResumeVersionHistoryPage';
+import { RewriteWorkbenchPage } from './components/RewriteWorkbenchPage';
+import { SignInRequired } from './components/SignInRequired';
 import { WebinarLandingPage } from './components/pages/WebinarLandingPage';
 import { WebinarDetailsPage } from './components/pages/WebinarDetailsPage';
 
@@ -302,6 +311,16 @@ const handleDiwaliCTAClick = useCallback(() => {
     fetchSubscription();
   }, [fetchSubscription]);
 
+  useEffect(() => {
+    // Admin-edited scoring profiles; scoring keeps using the built-ins if this fails
+    scoringProfileService.loadSavedProfiles().catch(() => undefined);
+  }, []);
+
+  useEffect(() => {
+    // Admin additions to the skill taxonomy; matching keeps using the shipped dataset if this fails
+    skillTaxonomyService.loadSavedEntries().catch(() => undefined);
+  }, []);
+
   useEffect(() => {
     const handleResize = () => {
       if (window.innerWidth >= 768) {
@@ -499,6 +518,14 @@ const handleDiwaliCTAClick = useCallback(() => {
           <Route path="/score-checker" element={<ResumeScoreChecker {...commonPageProps} />} />
           <Route path="/ats-16-parameter" element={<ATSScoreChecker16ParameterComponent onNavigateBack={() => navigate('/')} />} />
           <Route path="/ats-16-parameter-advanced" element={<ATSScoreChecker16ParameterAdvanced onNavigateBack={() => navigate('/')} />} />
+          <Route path="/batch-score" element={<BatchScoringPage onNavigateBack={() => navigate('/')} />} />
+          <Route path="/job-fit" element={<JobFitMatrixPage onNavigateBack={() => navigate('/')} />} />
+          <Route path="/resume-history" element={user
+            ? <ResumeVersionHistoryPage userId={user.id} onNavigateBack={() => navigate('/')} onReviewRewrites={branchId => navigate(`/rewrite-workbench?branch=${encodeURIComponent(branchId)}`)} />
+            : <SignInRequired title="Resume Versions" message="Sign in to keep a version of your resume for each job you tailor it to." onShowAuth={() => handleShowAuth()} onNavigateBack={() => navigate('/')} />} />
+          <Route path="/rewrite-workbench" element={user
+            ? <RewriteWorkbenchPage userId={user.id} onNavigateBack={() => navigate('/')} onOpenHistory={() => navigate('/resume-history')} />
+            : <SignInRequired title="Rewrite Workbench" message="Sign in to review rewrites and save them as resume versions." onShowAuth={() => handleShowAuth()} onNavigateBack={() => navigate('/')} />} />
           <Route path="/guided-builder" element={<GuidedResumeBuilder {...commonPageProps} />} />
           <Route path="/linkedin-generator" element={<LinkedInMessageGenerator {...commonPageProps} />} />
           <Route path="/portfolio-builder" element={<PortfolioBuilderPage isAuthenticated={isAuthenticated} onShowAuth={handleShowAuth} />} />
@@ -612,6 +639,22 @@ const handleDiwaliCTAClick = useCallback(() => {
               </AdminRoute>
             }
           />
+          <Route
+            path="/admin/scoring-profiles"
+            element={
+              <AdminRoute>
+                <AdminScoringProfilesManager />
+              </AdminRoute>
+            }
+          />
+          <Route
+            path="/admin/skill-taxonomy"
+            element={
+              <AdminRoute>
+                <AdminSkillTaxonomyManager />
+              </AdminRoute>
+            }
+          />
           <Route
             path="/admin"
             element={
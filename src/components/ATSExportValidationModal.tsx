@@ -1,7 +1,8 @@
-import React, { useMemo } from 'react';
-import { X, CheckCircle, AlertTriangle, XCircle, Download } from 'lucide-react';
-import { ResumeData } from '../types/resume';
+import React, { useEffect, useMemo, useState } from 'react';
+import { X, CheckCircle, AlertTriangle, XCircle, Download, Loader2 } from 'lucide-react';
+import { ResumeData, UserType } from '../types/resume';
 import { ExportOptions } from '../types/export';
+import { atsRoundTripService, ATSRoundTripReport, RoundTripFormat } from '../services/atsRoundTripService';
 
 interface ATSExportValidationModalProps {
   isOpen: boolean;
@@ -9,7 +10,8 @@ interface ATSExportValidationModalProps {
   onProceed: () => void;
   resumeData: ResumeData;
   exportOptions: ExportOptions;
-  format: 'pdf' | 'word';
+  format: RoundTripFormat;
+  userType?: UserType;
 }
 
 interface ValidationItem {
@@ -25,8 +27,38 @@ export const ATSExportValidationModal: React.FC<ATSExportValidationModalProps> =
   onProceed,
   resumeData,
   exportOptions,
-  format
+  format,
+  userType = 'experienced'
 }) => {
+  const [roundTrip, setRoundTrip] = useState<ATSRoundTripReport | null>(null);
+  const [isCheckingRoundTrip, setIsCheckingRoundTrip] = useState(false);
+  const [roundTripError, setRoundTripError] = useState<string | null>(null);
+
+  // Export the file and read it back through the upload parser before the user downloads it
+  useEffect(() => {
+    if (!isOpen) return;
+    let cancelled = false;
+
+    setRoundTrip(null);
+    setRoundTripError(null);
+    setIsCheckingRoundTrip(true);
+    atsRoundTripService.runRoundTrip(resumeData, userType, exportOptions, format)
+      .then(report => {
+        if (!cancelled) setRoundTrip(report);
+      })
+      .catch(error => {
+        console.error('ATS round-trip check failed:', error);
+        if (!cancelled) setRoundTripError('Could not re-parse the exported file.');
+      })
+      .finally(() => {
+        if (!cancelled) setIsCheckingRoundTrip(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, resumeData, userType, exportOptions, format]);
+
   const validation = useMemo(() => {
     const items: ValidationItem[] = [];
 
@@ -166,6 +198,23 @@ export const ATSExportValidationModal: React.FC<ATSExportValidationModalProps> =
       });
     }
 
+    if (roundTrip) {
+      const lost = roundTrip.issues.filter(issue => issue.kind === 'lost');
+      const lostContact = lost.some(issue => issue.field === 'contact');
+      items.push(roundTrip.passed ? {
+        category: 'Parser Round-Trip',
+        passed: true,
+        message: `All ${roundTrip.fieldsChecked} fields read back in order from the exported ${format.toUpperCase()}`,
+        severity: 'success'
+      } : {
+        category: 'Parser Round-Trip',
+        passed: false,
+        message: `${roundTrip.fieldsPreserved} of ${roundTrip.fieldsChecked} fields read back intact` +
+          (lostContact ? ' - contact details were lost' : ''),
+        severity: 'warning'
+      });
+    }
+
     const passedCount = items.filter(i => i.passed).length;
     const hasErrors = items.some(i => i.severity === 'error');
     const hasWarnings = items.some(i => !i.passed && i.severity === 'warning');
@@ -179,7 +228,7 @@ export const ATSExportValidationModal: React.FC<ATSExportValidationModalProps> =
       hasWarnings,
       canProceed: !hasErrors
     };
-  }, [resumeData, exportOptions]);
+  }, [resumeData, exportOptions, roundTrip, format]);
 
   if (!isOpen) return null;
 
@@ -268,6 +317,56 @@ export const ATSExportValidationModal: React.FC<ATSExportValidationModalProps> =
             ))}
           </div>
 
+          {/* What the parser sees */}
+          <div className="mt-6 p-4 rounded-lg border border-gray-200 dark:border-dark-300">
+            <p className="font-medium text-sm text-gray-900 dark:text-white">
+              What the ATS parser sees
+            </p>
+            {isCheckingRoundTrip && (
+              <div className="flex items-center text-xs text-gray-500 dark:text-gray-400 mt-2">
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                Exporting and re-parsing your {format.toUpperCase()}...
+              </div>
+            )}
+            {roundTripError && (
+              <p className="text-xs text-yellow-700 dark:text-yellow-400 mt-2">{roundTripError}</p>
+            )}
+            {roundTrip && (
+              <>
+                {roundTrip.issues.length === 0 && roundTrip.undetectedSections.length === 0 ? (
+                  <p className="text-xs text-green-700 dark:text-green-400 mt-2">
+                    Contact details, dates and bullets all came back in the order you wrote them.
+                  </p>
+                ) : (
+                  <ul className="mt-2 space-y-1">
+                    {roundTrip.undetectedSections.map(title => (
+                      <li key={`section-${title}`} className="text-xs text-yellow-700 dark:text-yellow-400">
+                        Section not recognised: <span className="font-medium">{title}</span>
+                      </li>
+                    ))}
+                    {roundTrip.issues.slice(0, 10).map((issue, index) => (
+                      <li key={index} className="text-xs text-yellow-700 dark:text-yellow-400">
+                        <span className="font-medium">{issue.kind === 'lost' ? 'Lost' : 'Out of order'}</span>
+                        {' '}{issue.field} in {issue.location}: "{issue.expected.length > 80 ? `${issue.expected.slice(0, 80)}...` : issue.expected}"
+                      </li>
+                    ))}
+                    {roundTrip.issues.length > 10 && (
+                      <li className="text-xs text-gray-500 dark:text-gray-400">
+                        ...and {roundTrip.issues.length - 10} more
+                      </li>
+                    )}
+                  </ul>
+                )}
+                <details className="mt-3">
+                  <summary className="text-xs text-gray-600 dark:text-gray-300 cursor-pointer">Show extracted text</summary>
+                  <pre className="mt-2 p-3 max-h-48 overflow-auto whitespace-pre-wrap text-xs bg-gray-50 dark:bg-dark-200 text-gray-700 dark:text-gray-300 rounded">
+                    {roundTrip.extractedText}
+                  </pre>
+                </details>
+              </>
+            )}
+          </div>
+
           {validation.hasErrors && (
             <div className="mt-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-500/50 rounded-lg">
               <p className="text-sm font-medium text-red-900 dark:text-red-300">
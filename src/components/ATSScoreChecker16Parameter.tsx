@@ -3,6 +3,7 @@ import { motion } from 'framer-motion';
 import { FileText, Target, BarChart3, CheckCircle, AlertCircle, TrendingUp } from 'lucide-react';
 import { FileUpload } from './FileUpload';
 import { LoadingAnimation } from './LoadingAnimation';
+import { ScoreAuditPanel } from './ScoreAuditPanel';
 import { ATSScoreChecker16Parameter, ATSScore16Parameter } from '../services/atsScoreChecker16Parameter';
 import { ExtractionResult } from '../types/resume';
 
@@ -339,6 +340,13 @@ export const ATSScoreChecker16ParameterComponent: React.FC<ATSScoreChecker16Para
               </div>
             </div>
 
+            {/* Score Audit Trail */}
+            {scoreResult.audit && (
+              <div className="mb-8">
+                <ScoreAuditPanel audit={scoreResult.audit} resumeText={extractionResult?.text} />
+              </div>
+            )}
+
             {/* Strengths and Improvements */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
               <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-6">
@@ -0,0 +1,339 @@
+import React, { useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Upload, FolderOpen, Download, FileSpreadsheet, AlertCircle, ChevronDown, ChevronUp, X } from 'lucide-react';
+import { batchScoringService } from '../services/batchScoringService';
+import { SCORE_PARAMETERS } from '../services/scoreAuditService';
+import { exportBatchScoresToCsv, exportBatchScoresToXlsx } from '../utils/batchScoreExport';
+import { BatchScoreRow, BatchScoringProgress, BatchScoringResult } from '../types/batchScoring';
+import { ScoreParameterKey } from '../types/scoringProfile';
+
+interface BatchScoringPageProps {
+  onNavigateBack: () => void;
+}
+
+// webkitdirectory is not in React's input attribute types
+const folderInputProps = { webkitdirectory: '', directory: '' } as React.InputHTMLAttributes<HTMLInputElement>;
+
+export const BatchScoringPage: React.FC<BatchScoringPageProps> = ({ onNavigateBack }) => {
+  const [jobDescription, setJobDescription] = useState('');
+  const [files, setFiles] = useState<File[]>([]);
+  const [concurrency, setConcurrency] = useState(3);
+  const [isScoring, setIsScoring] = useState(false);
+  const [progress, setProgress] = useState<BatchScoringProgress | null>(null);
+  const [result, setResult] = useState<BatchScoringResult | null>(null);
+  const [expandedRow, setExpandedRow] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const abortRef = useRef<AbortController | null>(null);
+
+  const addFiles = (fileList: FileList | null) => {
+    if (!fileList) return;
+    const added = Array.from(fileList);
+    setFiles(prev => [
+      ...prev,
+      ...added.filter(file => !prev.some(existing => existing.name === file.name && existing.size === file.size))
+    ]);
+    setResult(null);
+    setExpandedRow(null);
+  };
+
+  const removeFile = (index: number) => {
+    setFiles(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const scoreAll = async () => {
+    setError(null);
+    setResult(null);
+    setExpandedRow(null);
+    setIsScoring(true);
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    try {
+      const batch = await batchScoringService.scoreBatch(files, jobDescription, {
+        concurrency,
+        onProgress: setProgress,
+        signal: controller.signal
+      });
+      setResult(batch);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Batch scoring failed');
+    } finally {
+      setIsScoring(false);
+      abortRef.current = null;
+    }
+  };
+
+  const exportXlsx = async () => {
+    if (!result) return;
+    try {
+      await exportBatchScoresToXlsx(result);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'XLSX export failed');
+    }
+  };
+
+  const getScoreColor = (score: number) => {
+    if (score >= 80) return 'text-green-400';
+    if (score >= 60) return 'text-yellow-400';
+    return 'text-red-400';
+  };
+
+  const renderBreakdown = (row: BatchScoreRow) => (
+    <tr>
+      <td colSpan={6} className="px-4 pb-4">
+        <div className="grid md:grid-cols-2 gap-4 bg-slate-900/50 rounded-lg p-4">
+          <div className="space-y-1">
+            {row.scores && SCORE_PARAMETERS.map(parameter => {
+              const score = row.scores![parameter.key as ScoreParameterKey];
+              return (
+                <div key={parameter.key} className="flex justify-between text-sm">
+                  <span className="text-gray-300">{parameter.name}</span>
+                  <span className={getScoreColor((score / parameter.maxScore) * 100)}>
+                    {score}/{parameter.maxScore}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+          <div className="space-y-3 text-sm">
+            {(['critical', 'important', 'optional'] as const).map(level => (
+              <div key={level}>
+                <div className="text-gray-400 capitalize mb-1">Missing {level} keywords</div>
+                {row.missingKeywords[level].length > 0 ? (
+                  <div className="flex flex-wrap gap-1">
+                    {row.missingKeywords[level].map(keyword => (
+                      <span key={keyword} className="px-2 py-0.5 bg-red-500/20 text-red-300 rounded">
+                        {keyword}
+                      </span>
+                    ))}
+                  </div>
+                ) : (
+                  <span className="text-gray-500">None</span>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      </td>
+    </tr>
+  );
+
+  const percentDone = progress && progress.total > 0 ? Math.round((progress.completed / progress.total) * 100) : 0;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-blue-900 to-slate-900 text-white">
+      <div className="container mx-auto px-4 py-8">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-center mb-8"
+        >
+          <button
+            onClick={onNavigateBack}
+            className="mb-4 text-blue-400 hover:text-blue-300 transition-colors"
+          >
+            ← Back to Tools
+          </button>
+          <h1 className="text-4xl font-bold mb-4 bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+            Batch Resume Ranking
+          </h1>
+          <p className="text-gray-300 max-w-2xl mx-auto">
+            Score a folder or zip of resumes against one job description with the 16-parameter ATS model
+            and rank every candidate.
+          </p>
+        </motion.div>
+
+        <div className="max-w-5xl mx-auto space-y-6">
+          <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-8">
+            <h2 className="text-2xl font-semibold mb-4">Job Description</h2>
+            <textarea
+              value={jobDescription}
+              onChange={(e) => setJobDescription(e.target.value)}
+              placeholder="Paste the job description every resume should be scored against..."
+              className="w-full h-40 bg-slate-700 border border-slate-600 rounded-lg p-4 text-white placeholder-gray-400 resize-none focus:outline-none focus:border-blue-500"
+            />
+          </div>
+
+          <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-8">
+            <h2 className="text-2xl font-semibold mb-4">Resumes</h2>
+            <div className="flex flex-wrap gap-3 mb-4">
+              <label className="flex items-center px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg cursor-pointer transition-colors">
+                <Upload className="w-4 h-4 mr-2" />
+                Add files or zip
+                <input
+                  type="file"
+                  multiple
+                  accept=".pdf,.docx,.txt,.zip"
+                  className="hidden"
+                  onChange={(e) => { addFiles(e.target.files); e.target.value = ''; }}
+                />
+              </label>
+              <label className="flex items-center px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg cursor-pointer transition-colors">
+                <FolderOpen className="w-4 h-4 mr-2" />
+                Add folder
+                <input
+                  type="file"
+                  multiple
+                  className="hidden"
+                  {...folderInputProps}
+                  onChange={(e) => { addFiles(e.target.files); e.target.value = ''; }}
+                />
+              </label>
+              <label className="flex items-center text-sm text-gray-300 ml-auto">
+                Score
+                <select
+                  value={concurrency}
+                  onChange={(e) => setConcurrency(Number(e.target.value))}
+                  className="mx-2 bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                >
+                  {[1, 2, 3, 4, 6].map(n => <option key={n} value={n}>{n}</option>)}
+                </select>
+                at a time
+              </label>
+            </div>
+
+            {files.length > 0 ? (
+              <ul className="max-h-48 overflow-y-auto divide-y divide-slate-700 border border-slate-700 rounded-lg">
+                {files.map((file, index) => (
+                  <li key={`${file.name}-${file.size}`} className="flex items-center justify-between px-4 py-2 text-sm">
+                    <span className="truncate">{file.name}</span>
+                    <button
+                      onClick={() => removeFile(index)}
+                      disabled={isScoring}
+                      className="text-gray-400 hover:text-red-400 disabled:opacity-50"
+                      aria-label={`Remove ${file.name}`}
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-gray-400 text-sm">PDF, DOCX and TXT resumes, or zip archives of them.</p>
+            )}
+
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={scoreAll}
+                disabled={isScoring || files.length === 0 || !jobDescription.trim()}
+                className="flex-1 py-3 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg font-semibold transition-all"
+              >
+                {isScoring ? 'Scoring...' : `Score ${files.length || ''} resume${files.length === 1 ? '' : 's'}`}
+              </button>
+              {isScoring && (
+                <button
+                  onClick={() => abortRef.current?.abort()}
+                  className="px-6 py-3 bg-slate-700 hover:bg-slate-600 rounded-lg transition-colors"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+
+            {progress && (isScoring || !result) && (
+              <div className="mt-4">
+                <div className="flex justify-between text-sm text-gray-300 mb-1">
+                  <span>{progress.completed} of {progress.total} scored{progress.failed > 0 ? ` (${progress.failed} failed)` : ''}</span>
+                  <span className="truncate ml-4">{progress.current}</span>
+                </div>
+                <div className="w-full bg-slate-700 rounded-full h-2">
+                  <div className="bg-blue-500 h-2 rounded-full transition-all duration-300" style={{ width: `${percentDone}%` }} />
+                </div>
+              </div>
+            )}
+
+            {error && (
+              <div className="mt-4 p-3 bg-red-500/20 border border-red-500/40 rounded-lg flex items-center text-red-300 text-sm">
+                <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+                {error}
+              </div>
+            )}
+          </div>
+
+          {result && (
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-8"
+            >
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <h2 className="text-2xl font-semibold">Ranking</h2>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => exportBatchScoresToCsv(result)}
+                    className="flex items-center px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg text-sm transition-colors"
+                  >
+                    <Download className="w-4 h-4 mr-2" />
+                    CSV
+                  </button>
+                  <button
+                    onClick={exportXlsx}
+                    className="flex items-center px-4 py-2 bg-green-600 hover:bg-green-700 rounded-lg text-sm transition-colors"
+                  >
+                    <FileSpreadsheet className="w-4 h-4 mr-2" />
+                    XLSX
+                  </button>
+                </div>
+              </div>
+
+              {result.skipped.length > 0 && (
+                <p className="text-sm text-gray-400 mb-4">
+                  Skipped {result.skipped.length} non-resume file{result.skipped.length === 1 ? '' : 's'}: {result.skipped.join(', ')}
+                </p>
+              )}
+
+              <div className="overflow-x-auto">
+                <table className="w-full text-left">
+                  <thead>
+                    <tr className="text-gray-400 text-sm border-b border-slate-700">
+                      <th className="px-4 py-2">Rank</th>
+                      <th className="px-4 py-2">Resume</th>
+                      <th className="px-4 py-2">Score</th>
+                      <th className="px-4 py-2">Match</th>
+                      <th className="px-4 py-2">Missing critical</th>
+                      <th className="px-4 py-2" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.rows.map((row, index) => {
+                      const expanded = expandedRow === index;
+                      return (
+                        <React.Fragment key={`${row.fileName}-${index}`}>
+                          <tr className="border-b border-slate-700/50">
+                            <td className="px-4 py-3 font-semibold">{row.rank ?? '—'}</td>
+                            <td className="px-4 py-3 truncate max-w-xs">{row.fileName}</td>
+                            {row.error ? (
+                              <td colSpan={3} className="px-4 py-3 text-red-300 text-sm">{row.error}</td>
+                            ) : (
+                              <>
+                                <td className={`px-4 py-3 font-bold ${getScoreColor(row.overallScore)}`}>{row.overallScore}</td>
+                                <td className="px-4 py-3 text-sm">{row.matchQuality}</td>
+                                <td className="px-4 py-3 text-sm text-gray-300">{row.missingKeywords.critical.slice(0, 3).join(', ') || '—'}</td>
+                              </>
+                            )}
+                            <td className="px-4 py-3 text-right">
+                              {!row.error && (
+                                <button
+                                  onClick={() => setExpandedRow(expanded ? null : index)}
+                                  className="text-blue-400 hover:text-blue-300"
+                                  aria-label={expanded ? 'Hide breakdown' : 'Show breakdown'}
+                                >
+                                  {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                                </button>
+                              )}
+                            </td>
+                          </tr>
+                          {expanded && renderBreakdown(row)}
+                        </React.Fragment>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </motion.div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -1,9 +1,10 @@
 import React, { useState } from 'react';
-import { FileText, CheckCircle, AlertCircle, Loader2 } from 'lucide-react';
-import { exportToPDF, exportToWord } from '../utils/exportUtils';
+import { FileText, FileJson, CheckCircle, AlertCircle, Loader2, ShieldAlert } from 'lucide-react';
+import { exportToPDF, exportToWord, exportToJsonResume, exportToPrimoBoostJson, exportToPlainText } from '../utils/exportUtils';
 import type { ResumeData, UserType } from '../types/resume';
 import type { ExportOptions } from '../types/export';
 import { defaultExportOptions } from '../types/export';
+import type { ProvenanceClaim, ProvenanceReport } from '../types/provenance';
 
 interface ExportButtonsProps {
   resumeData: ResumeData;
@@ -12,6 +13,8 @@ interface ExportButtonsProps {
   onShowProfile?: (mode?: 'profile' | 'wallet') => void;
   walletRefreshKey?: number;
   exportOptions?: ExportOptions;
+  provenance?: ProvenanceReport | null; // claims in resumeData traced to the user's own resume and answers
+  onConfirmClaims?: (claims: ProvenanceClaim[]) => void;
 }
 
 export const ExportButtons: React.FC<ExportButtonsProps> = ({
@@ -20,18 +23,35 @@ export const ExportButtons: React.FC<ExportButtonsProps> = ({
   targetRole,
   onShowProfile,
   walletRefreshKey,
-  exportOptions = defaultExportOptions
+  exportOptions = defaultExportOptions,
+  provenance,
+  onConfirmClaims
 }) => {
   const [isExportingPDF, setIsExportingPDF] = useState(false);
   const [isExportingWord, setIsExportingWord] = useState(false);
   const [exportStatus, setExportStatus] = useState<{
-    type: 'pdf' | 'word' | null;
+    type: 'pdf' | 'word' | 'json' | 'txt' | null;
     status: 'success' | 'error' | null;
     message: string;
   }>({ type: null, status: null, message: '' });
 
+  const blockingClaims = provenance?.blocking || [];
+  const flaggedClaims = (provenance?.unsupported || []).filter(result => result.severity === 'flag');
+
+  // Generated claims nobody can source are not exported until the user confirms or removes them
+  const isBlockedByClaims = (type: 'pdf' | 'word' | 'json' | 'txt'): boolean => {
+    if (blockingClaims.length === 0) return false;
+    setExportStatus({
+      type,
+      status: 'error',
+      message: `Export blocked: ${blockingClaims.length} claim${blockingClaims.length === 1 ? ' is' : 's are'} not in your resume or answers. Confirm or remove ${blockingClaims.length === 1 ? 'it' : 'them'} first.`
+    });
+    return true;
+  };
+
   const handleExportPDF = async () => {
     if (isExportingPDF || isExportingWord) return;
+    if (isBlockedByClaims('pdf')) return;
 
     setIsExportingPDF(true);
     setExportStatus({ type: null, status: null, message: '' });
@@ -63,12 +83,13 @@ export const ExportButtons: React.FC<ExportButtonsProps> = ({
 
   const handleExportWord = async () => {
     if (isExportingWord || isExportingPDF) return;
+    if (isBlockedByClaims('word')) return;
 
     setIsExportingWord(true);
     setExportStatus({ type: null, status: null, message: '' });
 
     try {
-      await exportToWord(resumeData, userType);
+      await exportToWord(resumeData, userType, exportOptions);
       setExportStatus({
         type: 'word',
         status: 'success',
@@ -92,8 +113,107 @@ export const ExportButtons: React.FC<ExportButtonsProps> = ({
     }
   };
 
+  const handleExportJson = async (format: 'json-resume' | 'primoboost') => {
+    if (isExportingPDF || isExportingWord) return;
+    // A backup is the user's own data, not a resume sent anywhere
+    if (format === 'json-resume' && isBlockedByClaims('json')) return;
+
+    setExportStatus({ type: null, status: null, message: '' });
+
+    try {
+      if (format === 'json-resume') {
+        await exportToJsonResume(resumeData);
+      } else {
+        await exportToPrimoBoostJson(resumeData);
+      }
+      setExportStatus({
+        type: 'json',
+        status: 'success',
+        message: format === 'json-resume' ? 'JSON Resume exported successfully!' : 'Backup exported successfully!'
+      });
+      setTimeout(() => {
+        setExportStatus({ type: null, status: null, message: '' });
+      }, 3000);
+    } catch (error) {
+      console.error('JSON export failed:', error);
+      setExportStatus({
+        type: 'json',
+        status: 'error',
+        message: 'JSON export failed. Please try again.'
+      });
+      setTimeout(() => {
+        setExportStatus({ type: null, status: null, message: '' });
+      }, 5000);
+    }
+  };
+
+  const handleExportPlainText = async () => {
+    if (isExportingPDF || isExportingWord) return;
+    if (isBlockedByClaims('txt')) return;
+
+    setExportStatus({ type: null, status: null, message: '' });
+
+    try {
+      await exportToPlainText(resumeData, userType, exportOptions);
+      setExportStatus({
+        type: 'txt',
+        status: 'success',
+        message: 'ATS plain text exported successfully!'
+      });
+      setTimeout(() => {
+        setExportStatus({ type: null, status: null, message: '' });
+      }, 3000);
+    } catch (error) {
+      console.error('Plain-text export failed:', error);
+      setExportStatus({
+        type: 'txt',
+        status: 'error',
+        message: 'Plain-text export failed. Please try again.'
+      });
+      setTimeout(() => {
+        setExportStatus({ type: null, status: null, message: '' });
+      }, 5000);
+    }
+  };
+
   return (
     <div className="space-y-4">
+      {/* Unsupported Claims */}
+      {(blockingClaims.length > 0 || flaggedClaims.length > 0) && (
+        <div className="p-4 rounded-xl border bg-amber-500/10 border-amber-500/30 space-y-3">
+          <div className="flex items-center gap-2 text-amber-300">
+            <ShieldAlert className="w-5 h-5 flex-shrink-0" />
+            <span className="font-medium">
+              {blockingClaims.length > 0
+                ? 'These claims are not in your resume or answers'
+                : 'Check these dates against your resume'}
+            </span>
+          </div>
+          <ul className="space-y-2 text-sm">
+            {[...blockingClaims, ...flaggedClaims].map(result => (
+              <li key={`${result.claim.field}:${result.claim.type}:${result.claim.key}`} className="text-slate-300">
+                <span className={`font-semibold ${result.severity === 'block' ? 'text-red-300' : 'text-amber-300'}`}>
+                  {result.claim.value}
+                </span>
+                <span className="text-slate-500"> · {result.claim.type}</span>
+                <p className="text-xs text-slate-400 mt-0.5">"{result.claim.excerpt}"</p>
+              </li>
+            ))}
+          </ul>
+          {blockingClaims.length > 0 && onConfirmClaims && (
+            <button
+              onClick={() => {
+                onConfirmClaims(blockingClaims.map(result => result.claim));
+                setExportStatus({ type: null, status: null, message: '' });
+              }}
+              className="py-2 px-4 rounded-lg text-sm font-medium border border-amber-500/40 text-amber-200 hover:bg-amber-500/10 transition-colors"
+            >
+              These are accurate
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Export Buttons */}
       <div className="flex flex-col sm:flex-row gap-3">
         <button
@@ -141,6 +261,37 @@ export const ExportButtons: React.FC<ExportButtonsProps> = ({
         </button>
       </div>
 
+      {/* Structured Data Export */}
+      <div className="flex flex-col sm:flex-row gap-3">
+        <button
+          onClick={() => handleExportJson('json-resume')}
+          disabled={isExportingPDF || isExportingWord}
+          title="jsonresume.org format, for use in other resume tools"
+          className="flex-1 py-2 px-4 rounded-xl text-sm font-medium border border-slate-600 text-slate-300 hover:bg-slate-800 transition-colors flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <FileJson className="w-4 h-4" />
+          <span>JSON Resume</span>
+        </button>
+        <button
+          onClick={() => handleExportJson('primoboost')}
+          disabled={isExportingPDF || isExportingWord}
+          title="PrimoBoost backup, re-import it later without re-parsing a PDF"
+          className="flex-1 py-2 px-4 rounded-xl text-sm font-medium border border-slate-600 text-slate-300 hover:bg-slate-800 transition-colors flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <FileJson className="w-4 h-4" />
+          <span>Backup (.json)</span>
+        </button>
+        <button
+          onClick={handleExportPlainText}
+          disabled={isExportingPDF || isExportingWord}
+          title="Plain text in reading order, roughly what an ATS stores after parsing"
+          className="flex-1 py-2 px-4 rounded-xl text-sm font-medium border border-slate-600 text-slate-300 hover:bg-slate-800 transition-colors flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <FileText className="w-4 h-4" />
+          <span>ATS Plain Text (.txt)</span>
+        </button>
+      </div>
+
       {/* Export Status Message */}
       {exportStatus.status && (
         <div
@@ -1,8 +1,9 @@
 // src/components/ExportOptionsModal.tsx
 import React from 'react';
-import { X, FileText, Download, Loader2, CheckCircle, AlertCircle } from 'lucide-react';
+import { X, FileText, Download, Loader2, CheckCircle, AlertCircle, ShieldAlert } from 'lucide-react';
 import { ExportOptions } from '../types/export';
 import { ResumeData, UserType } from '../types/resume';
+import type { ProvenanceClaim, ProvenanceReport } from '../types/provenance';
 
 interface ExportOptionsModalProps {
   isOpen: boolean;
@@ -17,6 +18,8 @@ interface ExportOptionsModalProps {
     status: 'success' | 'error' | null;
     message: string;
   };
+  provenance?: ProvenanceReport | null; // claims in optimizedResume traced to the user's own entries and answers
+  onConfirmClaims?: (claims: ProvenanceClaim[]) => void;
 }
 
 export const ExportOptionsModal: React.FC<ExportOptionsModalProps> = ({
@@ -28,9 +31,14 @@ export const ExportOptionsModal: React.FC<ExportOptionsModalProps> = ({
   isExportingPDF,
   isExportingWord,
   exportStatus,
+  provenance,
+  onConfirmClaims,
 }) => {
   if (!isOpen) return null;
 
+  const blockingClaims = provenance?.blocking || [];
+  const flaggedClaims = (provenance?.unsupported || []).filter(result => result.severity === 'flag');
+
   const handleBackdropClick = (e: React.MouseEvent) => {
     if (e.target === e.currentTarget) {
       onClose();
@@ -77,6 +85,39 @@ export const ExportOptionsModal: React.FC<ExportOptionsModalProps> = ({
 
         {/* Content */}
         <div className="p-6 space-y-4">
+          {/* Unsupported Claims */}
+          {(blockingClaims.length > 0 || flaggedClaims.length > 0) && (
+            <div className="p-4 rounded-xl border bg-amber-50 border-amber-200 space-y-3 dark:bg-amber-500/10 dark:border-amber-500/30">
+              <div className="flex items-center gap-2 text-amber-800 dark:text-amber-300">
+                <ShieldAlert className="w-5 h-5 flex-shrink-0" />
+                <span className="font-medium">
+                  {blockingClaims.length > 0
+                    ? 'These claims are not in your resume or answers'
+                    : 'Check these dates against your resume'}
+                </span>
+              </div>
+              <ul className="space-y-2 text-sm">
+                {[...blockingClaims, ...flaggedClaims].map(result => (
+                  <li key={`${result.claim.field}:${result.claim.type}:${result.claim.key}`} className="text-gray-700 dark:text-gray-300">
+                    <span className={`font-semibold ${result.severity === 'block' ? 'text-red-700 dark:text-red-300' : 'text-amber-700 dark:text-amber-300'}`}>
+                      {result.claim.value}
+                    </span>
+                    <span className="text-gray-500"> · {result.claim.type}</span>
+                    <p className="text-xs text-gray-500 mt-0.5 dark:text-gray-400">"{result.claim.excerpt}"</p>
+                  </li>
+                ))}
+              </ul>
+              {blockingClaims.length > 0 && onConfirmClaims && (
+                <button
+                  onClick={() => onConfirmClaims(blockingClaims.map(result => result.claim))}
+                  className="py-2 px-4 rounded-lg text-sm font-medium border border-amber-400 text-amber-800 hover:bg-amber-100 transition-colors dark:border-amber-500/40 dark:text-amber-200 dark:hover:bg-amber-500/10"
+                >
+                  These are accurate
+                </button>
+              )}
+            </div>
+          )}
+
           <button
             onClick={() => optimizedResume && handleExportFile(defaultModalExportOptions, 'pdf')}
             disabled={isExportingPDF || isExportingWord || !optimizedResume}
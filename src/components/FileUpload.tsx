@@ -3,6 +3,9 @@ import { Upload, AlertCircle, CheckCircle, X, Sparkles, Quote, CreditCard } from
 import { ExtractionResult } from '../types/resume';
 import { EnhancedResumeParserService, EnhancedParseResult } from '../services/enhancedResumeParserService';
 import { paymentService } from '../services/paymentService';
+import { LanguageDetectionService } from '../services/languageDetectionService';
+import { importResumeJsonFile } from '../utils/resumeInterchange';
+import { resumeDataToText } from '../utils/resumeText';
 
 type ParsedResume = EnhancedParseResult;
 
@@ -185,8 +188,13 @@ export const FileUpload: React.FC<FileUploadProps> = ({
     setParseSuccess(false);
 
     try {
-      // Use EnhancedResumeParserService with direct Eden AI calls
-      const parsedResume = await EnhancedResumeParserService.parseResumeFromFile(file);
+      // JSON backups / JSON Resume files are already structured: skip parsing
+      const parsed = file.name.toLowerCase().endsWith('.json')
+        ? await importStructuredResume(file)
+        : await EnhancedResumeParserService.parseResumeFromFile(file);
+      // A JSON backup says which language it is in; anything else is detected from its text
+      const language = parsed.language || LanguageDetectionService.detect(parsed.parsedText).language;
+      const parsedResume: ParsedResume = { ...parsed, language };
 
       // Create ExtractionResult from parsed text
       const extractionResult: ExtractionResult = {
@@ -194,6 +202,7 @@ export const FileUpload: React.FC<FileUploadProps> = ({
         extraction_mode: 'TEXT',
         trimmed: false,
         filename: file.name,
+        language,
       };
 
       onFileUpload(extractionResult, file);
@@ -221,6 +230,26 @@ export const FileUpload: React.FC<FileUploadProps> = ({
     }
   };
 
+  const importStructuredResume = async (file: File): Promise<ParsedResume> => {
+    const imported = await importResumeJsonFile(file);
+    imported.warnings.forEach(warning => console.warn('⚠️ Resume import:', warning));
+
+    return {
+      ...imported.resume,
+      parsedText: resumeDataToText(imported.resume),
+      parsingConfidence: 1,
+      extractionMethod: 'direct_text',
+      layoutComplexity: 'simple',
+      qualityMetrics: {
+        textExtraction: 1,
+        structureDetection: 1,
+        contentCompleteness: 1,
+        formatHandling: 1,
+        overallConfidence: 1
+      }
+    };
+  };
+
   const handleDragOver = (event: React.DragEvent) => {
     event.preventDefault();
     setIsDragging(true);
@@ -381,7 +410,7 @@ export const FileUpload: React.FC<FileUploadProps> = ({
       <input
         ref={fileInputRef}
         type="file"
-        accept=".pdf,.docx,.txt"
+        accept=".pdf,.docx,.txt,.json"
         onChange={handleFileChange}
         className="hidden"
       />
@@ -396,7 +425,7 @@ export const FileUpload: React.FC<FileUploadProps> = ({
               Our AI parser extracts structured data including contact info, experience,
               education, skills, and projects.
             </p>
-            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-slate-300">
+            <div className="grid grid-cols-1 sm:grid-cols-4 gap-3 text-slate-300">
               <div className="flex items-center gap-2">
                 <div className="w-2 h-2 bg-red-400 rounded-full"></div>
                 <span>PDF files (.pdf)</span>
@@ -409,6 +438,10 @@ export const FileUpload: React.FC<FileUploadProps> = ({
                 <div className="w-2 h-2 bg-slate-400 rounded-full"></div>
                 <span>Text files (.txt)</span>
               </div>
+              <div className="flex items-center gap-2">
+                <div className="w-2 h-2 bg-amber-400 rounded-full"></div>
+                <span>JSON Resume / backup (.json)</span>
+              </div>
             </div>
           </div>
         </div>
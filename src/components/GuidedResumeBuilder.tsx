@@ -1,5 +1,5 @@
 // src/components/GuidedResumeBuilder.tsx
-import React, { useState, useEffect, useCallback } from 'react'; // Import useCallback
+import React, { useState, useEffect, useCallback, useMemo } from 'react'; // Import useCallback
 import { motion } from 'framer-motion';
 import { supabase } from '../lib/supabaseClient';
 import { useAuth } from '../contexts/AuthContext';
@@ -38,6 +38,8 @@ import { authService } from '../services/authService';
 import { ResumeData, UserType, MatchScore, DetailedScore, ExtractionResult, ScoringMode } from '../types/resume';
 import { ExportOptions, defaultExportOptions } from '../types/export';
 import { exportToPDF, exportToWord } from '../utils/exportUtils';
+import { ClaimProvenanceService } from '../services/claimProvenanceService';
+import { ProvenanceClaim, ProvenanceSource } from '../types/provenance';
 import { useNavigate } from 'react-router-dom';
 import { ExportButtons } from './ExportButtons';
 import { ExportOptionsModal } from './ExportOptionsModal'; // Import the new modal component
@@ -333,6 +335,9 @@ const asText = (v: any): string => {
   const [expandedReviewSections, setExpandedReviewSections] = useState<Set<string>>(new Set());
   // --- End Review Section State ---
 
+  // What the user entered themselves; claims in the optimized resume must trace back to it
+  const [answerSources, setAnswerSources] = useState<ProvenanceSource[]>([]);
+
   const handleStartNewResume = useCallback(() => { // Memoize
     setOptimizedResume({
       name: '', phone: '', email: '', linkedin: '', github: '', location: '',
@@ -367,8 +372,27 @@ const asText = (v: any): string => {
     } catch (error) {
       console.error('[Auto-Save] Failed to clear draft:', error);
     }
+    setAnswerSources([]);
   }, []);
 
+  const addAnswerSource = useCallback((answers: unknown, id: string, label: string) => {
+    setAnswerSources(prev => {
+      const previous = prev.find(source => source.id === id);
+      return [...prev.filter(source => source.id !== id), ClaimProvenanceService.answersSource([previous?.text, answers], id, label)];
+    });
+  }, []);
+
+  const handleConfirmClaims = useCallback((claims: ProvenanceClaim[]) => {
+    setAnswerSources(prev => ClaimProvenanceService.confirmClaims(prev, claims));
+    setExportStatus({ type: null, status: null, message: '' });
+  }, []);
+
+  // Nothing to check until the entries have been through the optimizer
+  const provenanceReport = useMemo(() => {
+    if (!optimizedResume || answerSources.length === 0) return null;
+    return ClaimProvenanceService.checkResume(optimizedResume, answerSources);
+  }, [optimizedResume, answerSources]);
+
   const checkSubscriptionStatus = useCallback(async () => { // Memoize
     if (!user) return;
     try {
@@ -544,6 +568,7 @@ const asText = (v: any): string => {
       setInitialResumeScore(initialScore);
       setOptimizedResume(resumeData);
       setParsedResumeData(resumeData);
+      addAnswerSource(resumeData, 'builder-entries', 'Your entries');
       // MODIFIED: Directly proceed to final optimization, skipping project analysis
       await proceedWithFinalOptimization(resumeData, initialScore, accessToken);
     } catch (error) {
@@ -552,7 +577,7 @@ const asText = (v: any): string => {
     } finally {
       setIsCalculatingScore(false);
     }
-  }, [jobDescription, proceedWithFinalOptimization]); // Dependencies for memoized function
+  }, [jobDescription, proceedWithFinalOptimization, addAnswerSource]); // Dependencies for memoized function
 
   const continueOptimizationProcess = useCallback(async (resumeData: ResumeData, accessToken: string) => { // Memoize
     try {
@@ -755,6 +780,7 @@ const asText = (v: any): string => {
         bullets: projectDescriptionText.split('\n').filter(line => line.trim().startsWith('•')).map(line => line.replace('•', '').trim()),
         githubUrl: ''
       };
+      addAnswerSource(manualProject, 'manual-projects', 'Projects you added');
       const updatedResume = { ...optimizedResume, projects: [...(optimizedResume.projects || []), newProject] }; // Changed parsedResumeData to optimizedResume
       setShowManualProjectAdd(false);
       const { data: sessionData } = await supabase.auth.getSession();
@@ -770,7 +796,7 @@ const asText = (v: any): string => {
     } finally {
       setIsOptimizing(false);
     }
-  }, [manualProject, optimizedResume, generateProjectDescription, jobDescription, initialResumeScore, proceedWithFinalOptimization]); // Changed parsedResumeData to optimizedResume in dependencies
+  }, [manualProject, optimizedResume, generateProjectDescription, jobDescription, initialResumeScore, proceedWithFinalOptimization, addAnswerSource]); // Changed parsedResumeData to optimizedResume in dependencies
 
   const generateScoresAfterProjectAdd = useCallback(async (updatedResume: ResumeData, accessToken: string) => { // Memoize
     try {
@@ -910,6 +936,15 @@ const asText = (v: any): string => {
       return;
     }
 
+    if (provenanceReport && !provenanceReport.canExport) {
+      setExportStatus({
+        type: format,
+        status: 'error',
+        message: `Export blocked: ${provenanceReport.blocking.map(result => ClaimProvenanceService.describe(result)).join(', ')} not found in your resume or answers.`
+      });
+      return;
+    }
+
     if (format === 'pdf') {
       if (isExportingPDF || isExportingWord) return;
       setIsExportingPDF(true);
@@ -926,7 +961,7 @@ const asText = (v: any): string => {
       if (format === 'pdf') {
         await exportToPDF(validatedResume, userType, options);
       } else {
-        await exportToWord(validatedResume, userType);
+        await exportToWord(validatedResume, userType, options);
       }
 
       console.log(`[Export] ${format.toUpperCase()} export completed successfully`);
@@ -966,7 +1001,7 @@ const asText = (v: any): string => {
         setIsExportingWord(false);
       }
     }
-  }, [isAuthenticated, onShowAuth, validateAndConsolidateResumeData, userType, isExportingPDF, isExportingWord]);
+  }, [isAuthenticated, onShowAuth, validateAndConsolidateResumeData, userType, isExportingPDF, isExportingWord, provenanceReport]);
 
   // Show mobile interface only when on mobile screen AND resume is optimized
   // Show mobile interface only when on mobile screen AND resume is optimized AND no modals are open
@@ -989,7 +1024,15 @@ const asText = (v: any): string => {
         userType: userType
       }
     ];
-    return <MobileOptimizedInterface sections={mobileSections} onStartNewResume={handleStartNewResume} exportOptions={exportOptions} />;
+    return (
+      <MobileOptimizedInterface
+        sections={mobileSections}
+        onStartNewResume={handleStartNewResume}
+        exportOptions={exportOptions}
+        provenance={provenanceReport}
+        onConfirmClaims={handleConfirmClaims}
+      />
+    );
   }
 
   if (isOptimizing || isCalculatingScore || isProcessingMissingSections) {
@@ -3061,6 +3104,8 @@ const handleGenerateProjectBullets = async (
               isExportingPDF={isExportingPDF}
               isExportingWord={isExportingWord}
               exportStatus={exportStatus}
+              provenance={provenanceReport}
+              onConfirmClaims={handleConfirmClaims}
             />
           </div>
         </div>
@@ -3234,6 +3279,7 @@ const handleGenerateProjectBullets = async (
         currentResume={optimizedResume || { name: '', phone: '', email: '', linkedin: '', github: '', education: [], workExperience: [], projects: [], skills: [], certifications: [], additionalSections: [] }}
         jobDescription={jobDescription}
         onProjectsAdded={handleProjectsUpdated}
+        provenanceSources={answerSources.length > 0 ? answerSources : undefined}
       />
 
       <ProjectAnalysisModal
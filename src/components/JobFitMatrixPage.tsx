@@ -0,0 +1,356 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Upload, Plus, Search, X, AlertCircle, CheckCircle, Lightbulb } from 'lucide-react';
+import { parseFile } from '../utils/fileParser';
+import { jobsService } from '../services/jobsService';
+import { jobFitMatrixService } from '../services/jobFitMatrixService';
+import { JobListing } from '../types/jobs';
+import { JobFitMatrix, JobFitTarget, KeywordCellStatus } from '../types/jobFit';
+
+interface JobFitMatrixPageProps {
+  onNavigateBack: () => void;
+}
+
+const CELL_STYLES: Record<KeywordCellStatus, { label: string; className: string }> = {
+  present: { label: '✓', className: 'text-green-400' },
+  missing: { label: '✗', className: 'text-red-400' },
+  'not-required': { label: '—', className: 'text-gray-600' }
+};
+
+export const JobFitMatrixPage: React.FC<JobFitMatrixPageProps> = ({ onNavigateBack }) => {
+  const [resumeText, setResumeText] = useState('');
+  const [resumeFileName, setResumeFileName] = useState<string | null>(null);
+  const [targets, setTargets] = useState<JobFitTarget[]>([]);
+  const [draftTitle, setDraftTitle] = useState('');
+  const [draftDescription, setDraftDescription] = useState('');
+  const [jobSearch, setJobSearch] = useState('');
+  const [jobResults, setJobResults] = useState<JobListing[]>([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [isBuilding, setIsBuilding] = useState(false);
+  const [progress, setProgress] = useState<{ completed: number; total: number } | null>(null);
+  const [matrix, setMatrix] = useState<JobFitMatrix | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleResumeFile = async (file?: File) => {
+    if (!file) return;
+    setError(null);
+    try {
+      const extraction = await parseFile(file);
+      setResumeText(extraction.text);
+      setResumeFileName(file.name);
+      setMatrix(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not read the resume');
+    }
+  };
+
+  const addPastedJob = () => {
+    if (!draftDescription.trim()) return;
+    const title = draftTitle.trim() || draftDescription.trim().split('\n')[0].slice(0, 60);
+    setTargets(prev => [...prev, { id: `pasted-${Date.now()}`, title, description: draftDescription, source: 'pasted' }]);
+    setDraftTitle('');
+    setDraftDescription('');
+    setMatrix(null);
+  };
+
+  const addJobListing = (job: JobListing) => {
+    if (targets.some(target => target.id === job.id)) return;
+    setTargets(prev => [...prev, jobFitMatrixService.fromJobListing(job)]);
+    setMatrix(null);
+  };
+
+  const removeTarget = (id: string) => {
+    setTargets(prev => prev.filter(target => target.id !== id));
+    setMatrix(null);
+  };
+
+  const searchJobs = async () => {
+    setIsSearching(true);
+    setError(null);
+    try {
+      const { jobs } = await jobsService.getJobListings({ search: jobSearch.trim() || undefined }, 10);
+      setJobResults(jobs);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not load job listings');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const buildMatrix = async () => {
+    setIsBuilding(true);
+    setError(null);
+    setMatrix(null);
+    try {
+      const result = await jobFitMatrixService.buildMatrix({ text: resumeText }, targets, {
+        onProgress: (completed, total) => setProgress({ completed, total })
+      });
+      setMatrix(result);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not build the job-fit matrix');
+    } finally {
+      setIsBuilding(false);
+      setProgress(null);
+    }
+  };
+
+  const getScoreColor = (score: number) => {
+    if (score >= 80) return 'text-green-400';
+    if (score >= 60) return 'text-yellow-400';
+    return 'text-red-400';
+  };
+
+  const titleFor = (id: string) => targets.find(target => target.id === id)?.title || id;
+  const percent = (value: number) => `${Math.round(value * 100)}%`;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-blue-900 to-slate-900 text-white">
+      <div className="container mx-auto px-4 py-8">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-center mb-8"
+        >
+          <button
+            onClick={onNavigateBack}
+            className="mb-4 text-blue-400 hover:text-blue-300 transition-colors"
+          >
+            ← Back to Tools
+          </button>
+          <h1 className="text-4xl font-bold mb-4 bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+            Job-Fit Matrix
+          </h1>
+          <p className="text-gray-300 max-w-2xl mx-auto">
+            Compare one resume against several roles at once, see which gaps they share, and find the
+            smallest set of edits that lifts your match across all of them.
+          </p>
+        </motion.div>
+
+        <div className="max-w-6xl mx-auto space-y-6">
+          <div className="grid lg:grid-cols-2 gap-6">
+            <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-6">
+              <h2 className="text-xl font-semibold mb-4">Your Resume</h2>
+              <label className="inline-flex items-center px-4 py-2 mb-3 bg-blue-600 hover:bg-blue-700 rounded-lg cursor-pointer transition-colors text-sm">
+                <Upload className="w-4 h-4 mr-2" />
+                {resumeFileName ? `Replace ${resumeFileName}` : 'Upload PDF, DOCX or TXT'}
+                <input
+                  type="file"
+                  accept=".pdf,.docx,.txt"
+                  className="hidden"
+                  onChange={(e) => { handleResumeFile(e.target.files?.[0]); e.target.value = ''; }}
+                />
+              </label>
+              <textarea
+                value={resumeText}
+                onChange={(e) => { setResumeText(e.target.value); setMatrix(null); }}
+                placeholder="...or paste your resume text"
+                className="w-full h-56 bg-slate-700 border border-slate-600 rounded-lg p-4 text-white placeholder-gray-400 resize-none focus:outline-none focus:border-blue-500 text-sm"
+              />
+            </div>
+
+            <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-6">
+              <h2 className="text-xl font-semibold mb-4">Job Descriptions</h2>
+              <input
+                value={draftTitle}
+                onChange={(e) => setDraftTitle(e.target.value)}
+                placeholder="Role title (optional)"
+                className="w-full mb-2 bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white placeholder-gray-400 focus:outline-none focus:border-blue-500 text-sm"
+              />
+              <textarea
+                value={draftDescription}
+                onChange={(e) => setDraftDescription(e.target.value)}
+                placeholder="Paste a job description"
+                className="w-full h-24 bg-slate-700 border border-slate-600 rounded-lg p-4 text-white placeholder-gray-400 resize-none focus:outline-none focus:border-blue-500 text-sm"
+              />
+              <button
+                onClick={addPastedJob}
+                disabled={!draftDescription.trim()}
+                className="mt-2 flex items-center px-4 py-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded-lg text-sm transition-colors"
+              >
+                <Plus className="w-4 h-4 mr-2" />
+                Add job description
+              </button>
+
+              <div className="flex gap-2 mt-4">
+                <input
+                  value={jobSearch}
+                  onChange={(e) => setJobSearch(e.target.value)}
+                  onKeyDown={(e) => { if (e.key === 'Enter') searchJobs(); }}
+                  placeholder="Search job listings"
+                  className="flex-1 bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white placeholder-gray-400 focus:outline-none focus:border-blue-500 text-sm"
+                />
+                <button
+                  onClick={searchJobs}
+                  disabled={isSearching}
+                  className="px-4 py-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded-lg transition-colors"
+                  aria-label="Search job listings"
+                >
+                  <Search className="w-4 h-4" />
+                </button>
+              </div>
+              {jobResults.length > 0 && (
+                <ul className="mt-2 max-h-36 overflow-y-auto divide-y divide-slate-700 border border-slate-700 rounded-lg text-sm">
+                  {jobResults.map(job => (
+                    <li key={job.id} className="flex items-center justify-between px-3 py-2">
+                      <span className="truncate">{job.role_title} · {job.company_name}</span>
+                      <button
+                        onClick={() => addJobListing(job)}
+                        disabled={targets.some(target => target.id === job.id)}
+                        className="text-blue-400 hover:text-blue-300 disabled:text-gray-500 ml-2"
+                      >
+                        Add
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {targets.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-4">
+                  {targets.map(target => (
+                    <span key={target.id} className="flex items-center px-3 py-1 bg-blue-500/20 text-blue-200 rounded-full text-sm">
+                      {target.title}{target.company ? ` · ${target.company}` : ''}
+                      <button onClick={() => removeTarget(target.id)} className="ml-2 hover:text-red-300" aria-label={`Remove ${target.title}`}>
+                        <X className="w-3 h-3" />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+
+          <button
+            onClick={buildMatrix}
+            disabled={isBuilding || !resumeText.trim() || targets.length === 0}
+            className="w-full py-3 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg font-semibold transition-all"
+          >
+            {isBuilding
+              ? `Scoring${progress ? ` ${progress.completed}/${progress.total}` : ''}...`
+              : `Compare against ${targets.length} role${targets.length === 1 ? '' : 's'}`}
+          </button>
+
+          {error && (
+            <div className="p-3 bg-red-500/20 border border-red-500/40 rounded-lg flex items-center text-red-300 text-sm">
+              <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+
+          {matrix && (
+            <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-6">
+              <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-6 overflow-x-auto">
+                <div className="flex flex-wrap justify-between items-baseline gap-2 mb-4">
+                  <h2 className="text-xl font-semibold">Fit by Role</h2>
+                  <span className="text-sm text-gray-300">
+                    Average fit <span className={`font-bold ${getScoreColor(matrix.averageFitScore)}`}>{matrix.averageFitScore}</span>
+                    {' · '}keyword coverage {percent(matrix.averageKeywordCoverage)}
+                  </span>
+                </div>
+                <table className="w-full text-left text-sm">
+                  <thead>
+                    <tr className="text-gray-400 border-b border-slate-700">
+                      <th className="px-3 py-2">Role</th>
+                      <th className="px-3 py-2">Fit</th>
+                      <th className="px-3 py-2">Requirements met</th>
+                      <th className="px-3 py-2">Keywords</th>
+                      <th className="px-3 py-2">Must-have gaps</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {matrix.rows.map(row => (
+                      <tr key={row.targetId} className="border-b border-slate-700/50 align-top">
+                        <td className="px-3 py-3">
+                          <div className="font-medium">{row.title}</div>
+                          {row.company && <div className="text-gray-400">{row.company}</div>}
+                        </td>
+                        {row.error ? (
+                          <td colSpan={4} className="px-3 py-3 text-red-300">{row.error}</td>
+                        ) : (
+                          <>
+                            <td className={`px-3 py-3 font-bold ${getScoreColor(row.fitScore)}`}>{row.fitScore}</td>
+                            <td className="px-3 py-3">{percent(row.requirementCoverage)}</td>
+                            <td className="px-3 py-3">{percent(row.keywordCoverage)}</td>
+                            <td className="px-3 py-3 text-gray-300">{row.criticalGaps.slice(0, 3).join('; ') || '—'}</td>
+                          </>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {matrix.keywords.length > 0 && (
+                <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-6 overflow-x-auto">
+                  <h2 className="text-xl font-semibold mb-1">Keyword Matrix</h2>
+                  <p className="text-sm text-gray-400 mb-4">
+                    {matrix.sharedMissingKeywords.length} keyword{matrix.sharedMissingKeywords.length === 1 ? '' : 's'} missing
+                    for more than one role.
+                  </p>
+                  <table className="text-sm">
+                    <thead>
+                      <tr className="text-gray-400 border-b border-slate-700">
+                        <th className="px-3 py-2 text-left">Keyword</th>
+                        {matrix.rows.map(row => (
+                          <th key={row.targetId} className="px-3 py-2 text-center max-w-[8rem] truncate" title={row.title}>{row.title}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {matrix.keywords.map(keyword => (
+                        <tr key={keyword.keyword} className="border-b border-slate-700/50">
+                          <td className="px-3 py-2">
+                            {keyword.keyword}
+                            {keyword.importance === 'critical' && <span className="ml-2 text-xs text-red-300">critical</span>}
+                          </td>
+                          {matrix.rows.map(row => {
+                            const cell = CELL_STYLES[keyword.cells[row.targetId]];
+                            return <td key={row.targetId} className={`px-3 py-2 text-center ${cell.className}`}>{cell.label}</td>;
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-6">
+                <h2 className="text-xl font-semibold mb-1 flex items-center">
+                  <Lightbulb className="w-5 h-5 mr-2 text-yellow-400" />
+                  Smallest Set of Edits
+                </h2>
+                {matrix.suggestedEdits.length > 0 ? (
+                  <>
+                    <p className="text-sm text-gray-400 mb-4">
+                      Keyword coverage across all roles: {percent(matrix.averageKeywordCoverage)} → {percent(matrix.projectedKeywordCoverage)}.
+                      Only add skills you genuinely have.
+                    </p>
+                    <ol className="space-y-3">
+                      {matrix.suggestedEdits.map((edit, index) => (
+                        <li key={edit.keyword} className="flex items-start">
+                          <span className="w-6 h-6 flex-shrink-0 rounded-full bg-blue-500 text-xs flex items-center justify-center mr-3">{index + 1}</span>
+                          <div className="text-sm">
+                            <div>
+                              Add <span className="font-semibold">{edit.keyword}</span> to {edit.placement}
+                              <span className="text-green-400 ml-2">+{percent(edit.averageCoverageGain)}</span>
+                            </div>
+                            <div className="text-gray-400">Helps: {edit.targetIds.map(titleFor).join(', ')}</div>
+                          </div>
+                        </li>
+                      ))}
+                    </ol>
+                  </>
+                ) : (
+                  <p className="text-sm text-gray-300 flex items-center">
+                    <CheckCircle className="w-4 h-4 mr-2 text-green-400" />
+                    Your resume already covers the keywords these roles ask for.
+                  </p>
+                )}
+              </div>
+            </motion.div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -187,6 +187,8 @@ interface LoadingAnimationProps {
   adImageUrl?: string;
   adImageAlt?: string;
   showATSContent?: boolean;
+  preview?: React.ReactNode; // e.g. a reply that is still streaming in
+  onCancel?: () => void; // shows a Cancel button
 }
 
 export const LoadingAnimation: React.FC<LoadingAnimationProps> = ({
@@ -195,7 +197,9 @@ export const LoadingAnimation: React.FC<LoadingAnimationProps> = ({
   type = 'optimization',
   adImageUrl = "https://res.cloudinary.com/dvue2zenh/image/upload/v1759911969/becodghsmp77ugtnq4li.png",
   adImageAlt = "Referral Program Promo",
-  showATSContent = true
+  showATSContent = true,
+  preview,
+  onCancel
 }) => {
   const [currentContentIndex, setCurrentContentIndex] = useState(0);
   const [currentQuoteIndex, setCurrentQuoteIndex] = useState(0);
@@ -264,6 +268,8 @@ export const LoadingAnimation: React.FC<LoadingAnimationProps> = ({
         <h2 className="text-xl font-bold text-slate-100 mb-2">{message}</h2>
         <p className="text-slate-400 mb-6 text-sm">{submessage}</p>
 
+        {preview && <div className="mb-6 text-left">{preview}</div>}
+
         {/* ATS Educational Content */}
         {showATSContent && (
           <div 
@@ -348,6 +354,16 @@ export const LoadingAnimation: React.FC<LoadingAnimationProps> = ({
             : "This may take a few moments as we process complex data and apply advanced algorithms."
           }
         </p>
+
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="mt-4 px-4 py-2 rounded-lg text-sm text-slate-300 border border-slate-700 hover:bg-slate-800 transition-colors"
+          >
+            Cancel
+          </button>
+        )}
       </div>
     </div>
   );
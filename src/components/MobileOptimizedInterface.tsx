@@ -3,6 +3,8 @@ import { FileText, ArrowLeft, Loader2, CheckCircle, AlertCircle, Send } from 'lu
 import { exportToPDF, exportToWord } from '../utils/exportUtils';
 import { ResumeData, UserType } from '../types/resume';
 import { ExportOptions, defaultExportOptions } from '../types/export';
+import { ProvenanceClaim, ProvenanceReport } from '../types/provenance';
+import { ClaimProvenanceService } from '../services/claimProvenanceService';
 
 interface Section {
   id: string;
@@ -25,6 +27,8 @@ interface MobileOptimizedInterfaceProps {
     fromJobApplication?: boolean;
   } | null;
   onApplyNow?: () => void;
+  provenance?: ProvenanceReport | null;
+  onConfirmClaims?: (claims: ProvenanceClaim[]) => void;
 }
 
 export const MobileOptimizedInterface: React.FC<MobileOptimizedInterfaceProps> = ({ 
@@ -32,7 +36,9 @@ export const MobileOptimizedInterface: React.FC<MobileOptimizedInterfaceProps> =
   onStartNewResume,
   exportOptions = defaultExportOptions,
   jobContext,
-  onApplyNow
+  onApplyNow,
+  provenance,
+  onConfirmClaims
 }) => {
   const [activeTab, setActiveTab] = useState<'preview' | 'export'>('preview');
   const [isExportingPDF, setIsExportingPDF] = useState(false);
@@ -47,8 +53,21 @@ export const MobileOptimizedInterface: React.FC<MobileOptimizedInterfaceProps> =
   const resumeData = resumeSection?.resumeData;
   const userType = resumeSection?.userType || 'experienced';
 
+  const blockingClaims = provenance?.blocking || [];
+
+  const isBlockedByClaims = (type: 'pdf' | 'word'): boolean => {
+    if (blockingClaims.length === 0) return false;
+    setExportStatus({
+      type,
+      status: 'error',
+      message: `Not in your resume or answers: ${blockingClaims.map(result => ClaimProvenanceService.describe(result)).join(', ')}`
+    });
+    return true;
+  };
+
   const handleExportPDF = async () => {
     if (!resumeData || isExportingPDF || isExportingWord) return;
+    if (isBlockedByClaims('pdf')) return;
     
     setIsExportingPDF(true);
     setExportStatus({ type: null, status: null, message: '' });
@@ -75,12 +94,13 @@ export const MobileOptimizedInterface: React.FC<MobileOptimizedInterfaceProps> =
 
   const handleExportWord = async () => {
     if (!resumeData || isExportingWord || isExportingPDF) return;
+    if (isBlockedByClaims('word')) return;
     
     setIsExportingWord(true);
     setExportStatus({ type: null, status: null, message: '' });
     
     try {
-      exportToWord(resumeData, userType);
+      await exportToWord(resumeData, userType, exportOptions);
       setExportStatus({
         type: 'word',
         status: 'success',
@@ -285,6 +305,18 @@ export const MobileOptimizedInterface: React.FC<MobileOptimizedInterfaceProps> =
                       {exportStatus.message}
                     </span>
                   </div>
+                  {exportStatus.status === 'error' && blockingClaims.length > 0 && onConfirmClaims && (
+                    <button
+                      onClick={() => {
+                        onConfirmClaims(blockingClaims.map(result => result.claim));
+                        setExportStatus({ type: null, status: null, message: '' });
+                      }}
+                      className="mt-3 w-full py-3 rounded-lg text-base font-medium border border-red-500/40 text-red-200"
+                      style={{ minHeight: '44px' }}
+                    >
+                      These are accurate
+                    </button>
+                  )}
                 </div>
               )}
             </div>
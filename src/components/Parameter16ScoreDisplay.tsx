@@ -5,6 +5,8 @@
 
 import React from 'react';
 import { CheckCircle, AlertCircle, TrendingUp, Target } from 'lucide-react';
+import { ScoreAuditTrail } from '../types/scoreAudit';
+import { ScoreAuditPanel } from './ScoreAuditPanel';
 
 interface Parameter16Score {
   parameter: string;
@@ -22,6 +24,9 @@ interface Parameter16ScoreDisplayProps {
   overallAfter?: number;
   improvement?: number;
   compact?: boolean;
+  // When provided, shows which resume lines earned or cost points
+  audit?: ScoreAuditTrail;
+  resumeText?: string;
 }
 
 const PARAMETER_ICONS: Record<number, string> = {
@@ -50,6 +55,8 @@ export const Parameter16ScoreDisplay: React.FC<Parameter16ScoreDisplayProps> = (
   overallAfter,
   improvement,
   compact = false,
+  audit,
+  resumeText,
 }) => {
   const scores = afterScores || beforeScores || [];
   
@@ -241,6 +248,12 @@ export const Parameter16ScoreDisplay: React.FC<Parameter16ScoreDisplayProps> = (
           <span>&lt;40% Critical</span>
         </div>
       </div>
+      
+      {audit && (
+        <div className="mt-6">
+          <ScoreAuditPanel audit={audit} resumeText={resumeText} />
+        </div>
+      )}
     </div>
   );
 };
@@ -22,7 +22,9 @@ import {
 } from 'lucide-react';
 import { ProjectSuggestion, ProjectEnhancementResult, ManualProjectInput, ProjectMode } from '../types/projectEnhancement';
 import { ResumeData } from '../types/resume';
+import { ProvenanceSource } from '../types/provenance';
 import { projectEnhancementService } from '../services/projectEnhancementService';
+import { ClaimProvenanceService } from '../services/claimProvenanceService';
 
 interface ProjectEnhancementProps {
   isOpen: boolean;
@@ -30,6 +32,7 @@ interface ProjectEnhancementProps {
   currentResume: ResumeData;
   jobDescription: string;
   onProjectsAdded: (updatedResume: ResumeData) => void;
+  provenanceSources?: ProvenanceSource[]; // the original resume and the user's answers suggestions are checked against
 }
 
 export const ProjectEnhancement: React.FC<ProjectEnhancementProps> = ({
@@ -37,11 +40,14 @@ export const ProjectEnhancement: React.FC<ProjectEnhancementProps> = ({
   onClose,
   currentResume,
   jobDescription,
-  onProjectsAdded
+  onProjectsAdded,
+  provenanceSources
 }) => {
   const [mode, setMode] = useState<ProjectMode>('auto');
   const [loading, setLoading] = useState(false);
   const [suggestions, setSuggestions] = useState<ProjectEnhancementResult | null>(null);
+  // Suggestion id -> claims in its text that the user's resume and answers don't back
+  const [unsupportedClaims, setUnsupportedClaims] = useState<Record<string, string[]>>({});
   const [selectedProjects, setSelectedProjects] = useState<Set<string>>(new Set());
   const [manualProject, setManualProject] = useState<ManualProjectInput>({
     name: '',
@@ -77,8 +83,19 @@ export const ProjectEnhancement: React.FC<ProjectEnhancementProps> = ({
 
       setSuggestions(result);
 
-      // Auto-select top 3 projects, but only add top 2 to the set by default
-      const topProjects = result.suggestions.slice(0, 3).map(p => p.id);
+      const unsupported: Record<string, string[]> = {};
+      if (provenanceSources) {
+        result.suggestions.forEach(p => {
+          const { blocking } = ClaimProvenanceService.checkText(`${p.title}\n${p.description}`, provenanceSources, p.id);
+          if (blocking.length > 0) {
+            unsupported[p.id] = blocking.map(claim => ClaimProvenanceService.describe(claim));
+          }
+        });
+      }
+      setUnsupportedClaims(unsupported);
+
+      // Auto-select top 3 backed projects, but only add top 2 to the set by default
+      const topProjects = result.suggestions.filter(p => !unsupported[p.id]).slice(0, 3).map(p => p.id);
       setSelectedProjects(new Set(topProjects.slice(0, 2))); // Select only top 2 projects by default
     } catch (error) {
       console.error('Error analyzing projects:', error);
@@ -536,6 +553,15 @@ export const ProjectEnhancement: React.FC<ProjectEnhancementProps> = ({
 
                           <p className="text-xs sm:text-sm text-gray-700 mb-3 break-words line-clamp-3 dark:text-gray-300">{project.description}</p>
 
+                          {unsupportedClaims[project.id] && (
+                            <div className="flex items-start mb-3 text-xs text-orange-700 dark:text-orange-300">
+                              <AlertCircle className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" />
+                              <span className="break-words">
+                                Not in your resume or answers: {unsupportedClaims[project.id].join(', ')}. Add it only if you built this.
+                              </span>
+                            </div>
+                          )}
+
                           <div className="flex flex-wrap gap-1 mb-3 max-h-20 overflow-y-auto">
                             {project.techStack.map((tech, index) => (
                               <span key={index} className="px-2 py-1 bg-gray-100 text-gray-700 rounded text-xs break-words dark:bg-dark-700 dark:text-gray-300">
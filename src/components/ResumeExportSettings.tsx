@@ -5,6 +5,7 @@ import { ExportOptions, defaultExportOptions, LayoutType, PaperSize, layoutConfi
 import { ResumePreview } from './ResumePreview';
 import { ResumeData, UserType } from '../types/resume';
 import { ATSExportValidationModal } from './ATSExportValidationModal';
+import { templateRegistry } from '../services/templates/templateRegistry';
 
 interface ResumeExportSettingsProps {
   resumeData: ResumeData;
@@ -109,6 +110,33 @@ export const ResumeExportSettings: React.FC<ResumeExportSettingsProps> = ({
             Resume Template
           </h3>
           
+          {/* Template Selection - preview, PDF and Word all render from the chosen template */}
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-slate-300 mb-3">Template</label>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              {templateRegistry.list().map(template => {
+                const isSelected = (options.templateId || 'classic') === template.id;
+                return (
+                  <button
+                    key={template.id}
+                    onClick={() => handleOptionChange('templateId', template.id)}
+                    className={`flex flex-col items-start p-3 rounded-lg border-2 transition-all bg-slate-800/50 text-left ${
+                      isSelected
+                        ? 'border-emerald-500 bg-emerald-500/10'
+                        : 'border-slate-700/50 hover:border-emerald-500/30'
+                    }`}
+                  >
+                    <span className="font-medium text-sm text-white flex items-center">
+                      {isSelected && <CheckCircle className="w-3 h-3 mr-1 text-emerald-400" />}
+                      {template.name}
+                    </span>
+                    <span className="text-xs text-slate-400 mt-1">{template.description}</span>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+
           {/* Layout Type Selection */}
           <div className="mb-6">
             <label className="block text-sm font-medium text-slate-300 mb-3">Layout Type</label>
@@ -335,6 +363,7 @@ export const ResumeExportSettings: React.FC<ResumeExportSettingsProps> = ({
         resumeData={resumeData}
         exportOptions={options}
         format={pendingFormat || 'pdf'}
+        userType={userType}
       />
     </div>
   );
@@ -1,9 +1,9 @@
 // src/components/ResumeOptimizer.tsx
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { supabase } from '../lib/supabaseClient';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
-import { FileText, AlertCircle, Plus, Sparkles, ArrowLeft, X, Send, Briefcase, Building2, Target, Zap, CheckCircle } from 'lucide-react';
+import { FileText, AlertCircle, Plus, Sparkles, ArrowLeft, X, Send, Briefcase, Building2, Target, Zap, CheckCircle, ListChecks } from 'lucide-react';
 import { AnimatedCard, GradientButton, FloatingParticles, ChristmasSnow } from './ui';
 import { ResumePreview } from './ResumePreview';
 import { Parameter16ScoreDisplay } from './Parameter16ScoreDisplay';
@@ -16,6 +16,8 @@ import { SubscriptionStatus } from './payment/SubscriptionStatus';
 import { MissingSectionsModal } from './MissingSectionsModal';
 import { InputWizard } from './InputWizard';
 import { LoadingAnimation } from './LoadingAnimation';
+import { StreamingResumePreview } from './StreamingResumePreview';
+import { isAbortError } from '../services/llm/llmStream';
 // REMOVED: OpenRouter/Gemini - now using EdenAI only
 // import { optimizeResume } from '../services/geminiService';
 // REMOVED: OpenRouter scoring - using EdenAI only
@@ -26,6 +28,10 @@ import { authService } from '../services/authService'; // ADDED: Import authServ
 import { ResumeData, UserType, MatchScore, DetailedScore, ExtractionResult, ScoringMode } from '../types/resume';
 import { ExportOptions, defaultExportOptions } from '../types/export';
 import { exportToPDF, exportToWord } from '../utils/exportUtils';
+import { ClaimProvenanceService } from '../services/claimProvenanceService';
+import { ResumeVersionHistoryService } from '../services/resumeVersionHistoryService';
+import { ProvenanceClaim, ProvenanceSource } from '../types/provenance';
+import { WorkbenchRewriteState } from '../types/rewriteWorkbench';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { ExportButtons } from './ExportButtons';
 import { ResumePreviewControls } from './ResumePreviewControls';
@@ -114,6 +120,7 @@ const ResumeOptimizer: React.FC<ResumeOptimizerProps> = ({
   const [autoScoreOnUpload, setAutoScoreOnUpload] = useState(true);
 
   const [optimizedResume, setOptimizedResume] = useState<ResumeData | null>(null);
+  const [preOptimizationResume, setPreOptimizationResume] = useState<ResumeData | null>(null); // what the optimizer rewrote, for bullet review
   const [parsedResumeData, setParsedResumeData] = useState<ResumeData | null>(null);
   const [pendingResumeData, setPendingResumeData] = useState<ResumeData | null>(null);
 
@@ -124,6 +131,9 @@ const ResumeOptimizer: React.FC<ResumeOptimizerProps> = ({
   const [changedSections, setChangedSections] = useState<string[]>([]);
 
   const [isOptimizing, setIsOptimizing] = useState(false);
+  // The optimized resume as the AI streams it, and a handle to cancel that request
+  const [streamingPreview, setStreamingPreview] = useState<Partial<ResumeData> | null>(null);
+  const optimizationAbortRef = useRef<AbortController | null>(null);
   const [isCalculatingScore, setIsCalculatingScore] = useState(false);
   const [isProcessingMissingSections, setIsProcessingMissingSections] = useState(false);
   const [activeTab, setActiveTab] = useState<'resume'>('resume');
@@ -197,6 +207,8 @@ const ResumeOptimizer: React.FC<ResumeOptimizerProps> = ({
   }>({ type: null, status: null, message: '' });
 
   const [optimizationInterrupted, setOptimizationInterrupted] = useState(false);
+  // What the user typed besides the uploaded resume: the only other place a claim may come from
+  const [answerSources, setAnswerSources] = useState<ProvenanceSource[]>([]);
   const [jobApplicationLink, setJobApplicationLink] = useState<string | null>(null);
 
   const [previewZoom, setPreviewZoom] = useState(0.8);
@@ -212,6 +224,7 @@ const ResumeOptimizer: React.FC<ResumeOptimizerProps> = ({
 
   const handleStartNewResume = useCallback(() => { // Memoize
     setOptimizedResume(null);
+    setPreOptimizationResume(null);
     setExtractionResult({ text: '', extraction_mode: 'TEXT', trimmed: false });
     setJobDescription('');
     setTargetRole('');
@@ -228,8 +241,34 @@ const ResumeOptimizer: React.FC<ResumeOptimizerProps> = ({
     setCurrentStep(0);
     setActiveTab('resume');
     setOptimizationInterrupted(false);
+    setAnswerSources([]);
   }, []);
 
+  const addAnswerSource = useCallback((answers: unknown, id: string, label: string) => {
+    setAnswerSources(prev => {
+      const previous = prev.find(source => source.id === id);
+      return [...prev.filter(source => source.id !== id), ClaimProvenanceService.answersSource([previous?.text, answers], id, label)];
+    });
+  }, []);
+
+  const handleConfirmClaims = useCallback((claims: ProvenanceClaim[]) => {
+    setAnswerSources(prev => ClaimProvenanceService.confirmClaims(prev, claims));
+  }, []);
+
+  // The upload and the user's answers: everything generated text may claim
+  const provenanceSources = useMemo(() => {
+    const resumeSource = extractionResult.text.trim()
+      ? ClaimProvenanceService.resumeSource(extractionResult.text)
+      : parsedResumeData && ClaimProvenanceService.resumeSource(parsedResumeData);
+    return resumeSource ? [resumeSource, ...answerSources] : null;
+  }, [extractionResult.text, parsedResumeData, answerSources]);
+
+  // Every claim in the optimized resume traced to the upload or the user's answers
+  const provenanceReport = useMemo(() => {
+    if (!optimizedResume || !provenanceSources) return null;
+    return ClaimProvenanceService.checkResume(optimizedResume, provenanceSources);
+  }, [optimizedResume, provenanceSources]);
+
   const checkSubscriptionStatus = useCallback(async () => { // Memoize
     if (!user) return;
     try {
@@ -460,12 +499,16 @@ const checkForMissingSections = useCallback((resumeData: ResumeData): string[] =
   const proceedWithFinalOptimization = useCallback(async (resumeData: ResumeData, initialScore: DetailedScore, accessToken: string) => { // Memoize
     // Use ref to get latest jobDescription value (fixes stale closure issue)
     const currentJobDescription = jobDescriptionRef.current;
+    const abortController = new AbortController();
+    optimizationAbortRef.current = abortController;
     
     try {
       setIsOptimizing(true);
       
       // EDENAI + JD OPTIMIZATION: Optimize resume against job description with 220+ metrics
       let finalOptimizedResume: ResumeData;
+      let finalScore: number | undefined;
+      let historyChanges: string[] = [];
       
       if (currentJobDescription && currentJobDescription.trim().length > 50) {
         // Import and use the ENHANCED JD optimizer service (220+ metrics)
@@ -477,7 +520,8 @@ const checkForMissingSections = useCallback((resumeData: ResumeData): string[] =
           resumeText,
           currentJobDescription,
           targetRole,
-          'standard' // Use standard optimization mode
+          'standard', // Use standard optimization mode
+          { onPartial: setStreamingPreview, signal: abortController.signal }
         );
         
         finalOptimizedResume = {
@@ -499,6 +543,9 @@ const checkForMissingSections = useCallback((resumeData: ResumeData): string[] =
           setUserActionsRequired([]);
         }
         
+        finalScore = optimizationResult.parameter16Scores?.overallAfter ?? optimizationResult.afterScore?.overall;
+        historyChanges = optimizationResult.changesBySection.map(change => change.description);
+
         // NEW: Store 16-parameter scores if available
         // The scores are embedded in the optimization result from the 16-parameter rewriter
         if (optimizationResult.parameter16Scores) {
@@ -547,6 +594,7 @@ const checkForMissingSections = useCallback((resumeData: ResumeData): string[] =
           };
           const profileCerts = normalizeCerts((profile as any)?.certifications_details || []);
           if (profileCerts.length > 0) {
+            addAnswerSource(profileCerts, 'profile-certifications', 'Your profile');
             const seen = new Set<string>();
             finalOptimizedResume.certifications = (finalOptimizedResume.certifications || []).concat(
               profileCerts.filter((c: any) => {
@@ -590,14 +638,29 @@ const checkForMissingSections = useCallback((resumeData: ResumeData): string[] =
       setActiveTab('resume');
       
       setOptimizedResume(finalOptimizedResume);
+      setPreOptimizationResume(resumeData);
+      if (user) {
+        ResumeVersionHistoryService.recordOptimization(
+          user.id,
+          { jobDescription: currentJobDescription || '', targetRole: finalOptimizedResume.targetRole },
+          finalOptimizedResume,
+          { score: finalScore, changes: historyChanges }
+        );
+      }
     } catch (error) {
+      if (isAbortError(error)) {
+        console.log('⚠️ Resume optimization cancelled by the user');
+        return;
+      }
       console.error('Error in final optimization pass:', error);
       alert('Failed to complete resume optimization. Please try again.');
     } finally {
+      optimizationAbortRef.current = null;
+      setStreamingPreview(null);
       setIsOptimizing(false);
       setIsCalculatingScore(false);
     }
-  }, [jobDescription, userType, userName, userEmail, userPhone, userLinkedin, userGithub, targetRole, user, checkSubscriptionStatus, revalidateUserSession]); // Dependencies for memoized function
+  }, [jobDescription, userType, userName, userEmail, userPhone, userLinkedin, userGithub, targetRole, user, checkSubscriptionStatus, revalidateUserSession, addAnswerSource]); // Dependencies for memoized function
 
   const handleInitialResumeProcessing = useCallback(async (resumeData: ResumeData, accessToken: string) => { // Memoize
     try {
@@ -655,6 +718,7 @@ const checkForMissingSections = useCallback((resumeData: ResumeData): string[] =
       if (!pendingResumeData) {
         throw new Error('No pending resume data to update.');
       }
+      addAnswerSource(data, 'missing-sections', 'Your answers');
       
       // Start with the pending resume data
       let updatedResume: ResumeData = {
@@ -703,7 +767,7 @@ const checkForMissingSections = useCallback((resumeData: ResumeData): string[] =
     } finally {
       setIsProcessingMissingSections(false);
     }
-  }, [pendingResumeData, handleInitialResumeProcessing]);
+  }, [pendingResumeData, handleInitialResumeProcessing, addAnswerSource]);
 
   const handleOptimize = useCallback(async () => { // Memoize
     if (!extractionResult.text.trim() || !jobDescription.trim()) {
@@ -782,6 +846,11 @@ const checkForMissingSections = useCallback((resumeData: ResumeData): string[] =
           return;
         }
 
+        // Keep the language detected on upload so scoring and export use its dictionaries
+        if (!baseResume.language && extractionResult.language) {
+          baseResume = { ...baseResume, language: extractionResult.language };
+        }
+
         const missing = checkForMissingSections(baseResume);
         if (missing.length > 0) {
           setMissingSections(missing);
@@ -881,6 +950,7 @@ const checkForMissingSections = useCallback((resumeData: ResumeData): string[] =
       return;
     }
     setIsOptimizing(true);
+    addAnswerSource(manualProject, 'manual-projects', 'Projects you added');
     try {
       const projectDescriptionText = await generateProjectDescription(manualProject, jobDescription);
       const newProject = {
@@ -899,7 +969,7 @@ const checkForMissingSections = useCallback((resumeData: ResumeData): string[] =
     } finally {
       setIsOptimizing(false);
     }
-  }, [manualProject, parsedResumeData, generateProjectDescription, jobDescription, initialResumeScore, proceedWithFinalOptimization]); // Dependencies for memoized function
+  }, [manualProject, parsedResumeData, generateProjectDescription, jobDescription, initialResumeScore, proceedWithFinalOptimization, addAnswerSource]); // Dependencies for memoized function
 
   const generateScoresAfterProjectAdd = useCallback(async (updatedResume: ResumeData, accessToken: string) => { // Memoize
     try {
@@ -959,6 +1029,14 @@ const checkForMissingSections = useCallback((resumeData: ResumeData): string[] =
 
   const handleExportFile = useCallback(async (options: ExportOptions, format: 'pdf' | 'word') => {
     if (!optimizedResume) return;
+    if (provenanceReport && !provenanceReport.canExport) {
+      setExportStatus({
+        type: format,
+        status: 'error',
+        message: `Export blocked: ${provenanceReport.blocking.map(result => ClaimProvenanceService.describe(result)).join(', ')} not found in your resume or answers.`
+      });
+      return;
+    }
     
     if (format === 'pdf') {
       if (isExportingPDF || isExportingWord) return;
@@ -974,7 +1052,7 @@ const checkForMissingSections = useCallback((resumeData: ResumeData): string[] =
       if (format === 'pdf') {
         await exportToPDF(optimizedResume, userType, options);
       } else {
-        await exportToWord(optimizedResume, userType);
+        await exportToWord(optimizedResume, userType, options);
       }
       
       setExportStatus({
@@ -1002,7 +1080,7 @@ const checkForMissingSections = useCallback((resumeData: ResumeData): string[] =
         setIsExportingWord(false);
       }
     }
-  }, [optimizedResume, userType, isExportingPDF, isExportingWord]);
+  }, [optimizedResume, userType, isExportingPDF, isExportingWord, provenanceReport]);
 
   // Show mobile interface only when on mobile screen AND resume is optimized AND no modals are open
   // Important: Don't show mobile interface if project analysis or other modals need to be shown
@@ -1032,6 +1110,8 @@ const checkForMissingSections = useCallback((resumeData: ResumeData): string[] =
         exportOptions={exportOptions}
         jobContext={jobContext}
         onApplyNow={() => handleExternalApply(optimizedResume)}
+        provenance={provenanceReport}
+        onConfirmClaims={handleConfirmClaims}
       />
     );
   }
@@ -1046,7 +1126,14 @@ const checkForMissingSections = useCallback((resumeData: ResumeData): string[] =
       loadingMessage = 'Processing Your Information...';
       submessage = "We're updating your resume with the new sections you provided.";
     }
-    return <LoadingAnimation message={loadingMessage} submessage={submessage} />;
+    return (
+      <LoadingAnimation
+        message={loadingMessage}
+        submessage={submessage}
+        preview={isOptimizing && streamingPreview ? <StreamingResumePreview partial={streamingPreview} /> : undefined}
+        onCancel={isOptimizing && optimizationAbortRef.current ? () => optimizationAbortRef.current?.abort() : undefined}
+      />
+    );
   }
   return (
    <div className={`min-h-screen relative overflow-hidden pb-16 lg:pl-16 ${
@@ -1206,6 +1293,22 @@ const checkForMissingSections = useCallback((resumeData: ResumeData): string[] =
                 <ArrowLeft className="w-4 h-4" />
                 <span>Create New Resume</span>
               </button>
+              {optimizedResume && preOptimizationResume && jobDescription.trim() && (
+                <button
+                  onClick={() => navigate('/rewrite-workbench', {
+                    state: {
+                      original: preOptimizationResume,
+                      rewritten: optimizedResume,
+                      jobDescription,
+                      targetRole: optimizedResume.targetRole
+                    } satisfies WorkbenchRewriteState
+                  })}
+                  className="inline-flex items-center space-x-2 text-sm text-emerald-300 hover:text-emerald-200 transition-colors"
+                >
+                  <ListChecks className="w-4 h-4" />
+                  <span>Review the rewritten bullets one by one</span>
+                </button>
+              )}
             </div>
 
             {optimizedResume && (
@@ -1226,6 +1329,8 @@ const checkForMissingSections = useCallback((resumeData: ResumeData): string[] =
                         onShowProfile={onShowProfile}
                         walletRefreshKey={walletRefreshKey}
                         exportOptions={exportOptions}
+                        provenance={provenanceReport}
+                        onConfirmClaims={handleConfirmClaims}
                       />
                       <ResumeExportSettings
                         resumeData={optimizedResume}
@@ -1458,6 +1563,7 @@ const checkForMissingSections = useCallback((resumeData: ResumeData): string[] =
         currentResume={parsedResumeData || optimizedResume || { name: '', phone: '', email: '', linkedin: '', github: '', education: [], workExperience: [], projects: [], skills: [], certifications: [] }}
         jobDescription={jobDescription}
         onProjectsAdded={handleProjectsUpdated}
+        provenanceSources={provenanceSources || undefined}
       />
 
       <ProjectAnalysisModal
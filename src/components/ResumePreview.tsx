@@ -2,63 +2,16 @@
 
 import React, { useRef, useEffect, useState } from 'react';
 import { ResumeData, UserType } from '../types/resume';
-import { ExportOptions, defaultExportOptions, layoutConfigs } from '../types/export';
+import { ExportOptions, defaultExportOptions } from '../types/export';
+import { ContactItem, TemplateBlock } from '../types/template';
 import { LiveResumePreviewControls } from './LiveResumePreviewControls';
+import { templateRegistry } from '../services/templates/templateRegistry';
+import { applyTextCase, buildTemplateDocument, resolveTemplateStyle } from '../services/templates/templateLayoutEngine';
 
 
-// ---------- Helper Functions (replicated from exportUtils.ts for consistency) ----------
 const mmToPx = (mm: number) => mm * 3.779528; // 1mm = 3.779528px at 96 DPI
 const ptToPx = (pt: number) => pt * 1.333; // 1pt = 1.333px at 96 DPI
 
-// Replicate PDF_CONFIG creation logic from exportUtils.ts
-const createPDFConfigForPreview = (options: ExportOptions) => {
-  // Use layout configs from export types
-  const layoutConfig = layoutConfigs[options.layoutType] || layoutConfigs.standard;
-
-  const paperConfig = options.paperSize === 'letter' ?
-    { pageWidth: 216, pageHeight: 279 } :
-    { pageWidth: 210, pageHeight: 297 };
-
-  return {
-    pageWidth: paperConfig.pageWidth,
-    pageHeight: paperConfig.pageHeight,
-    margins: layoutConfig.margins,
-    get contentWidth() {
-      return this.pageWidth - this.margins.left - this.margins.right;
-    },
-    get contentHeight() {
-      return this.pageHeight - this.margins.top - this.margins.bottom;
-    },
-    fonts: {
-      name: { size: options.nameSize, weight: 'bold' as const },
-      contact: { size: options.bodyTextSize - 0.5, weight: 'normal' as const },
-      sectionTitle: { size: options.sectionHeaderSize, weight: 'bold' as const },
-      jobTitle: { size: options.subHeaderSize, weight: 'bold' as const },
-      company: { size: options.subHeaderSize, weight: 'normal' as const }, // Changed to normal
-      year: { size: options.subHeaderSize, weight: 'normal' as const }, // Changed to normal
-      body: { size: options.bodyTextSize, weight: 'normal' as const },
-    },
-    spacing: {
-      nameFromTop: 10, // Changed from 13 to 10
-      afterName: 0,
-      afterContact: 2, // Changed from 1 to 2
-      sectionSpacingBefore: options.sectionSpacing,
-      sectionSpacingAfter: 2,
-      bulletListSpacing: 0.5, // Changed from options.entrySpacing * 0.3 to 0.5
-      afterSubsection: 3,
-      lineHeight: 1.2,
-      bulletIndent: 5, // Changed from 4 to 5
-      entrySpacing: options.entrySpacing,
-    },
-    colors: {
-      primary: [0, 0, 0] as [number, number, number],
-      secondary: [80, 80, 80] as [number, number, number],
-      accent: [37, 99, 235] as [number, number, number],
-    },
-    fontFamily: options.fontFamily,
-  };
-};
-
 interface ResumePreviewProps {
   resumeData: ResumeData;
   userType?: UserType;
@@ -78,7 +31,9 @@ export const ResumePreview: React.FC<ResumePreviewProps> = ({
 }) => {
   // Use defaultExportOptions if exportOptions is not provided
   const currentExportOptions = exportOptions || defaultExportOptions;
-  const PDF_CONFIG = createPDFConfigForPreview(currentExportOptions);
+  // Render from the same template declaration as the PDF/DOCX exporters
+  const template = templateRegistry.get(currentExportOptions.templateId);
+  const style = resolveTemplateStyle(template, currentExportOptions);
 
   const contentWrapperRef = useRef<HTMLDivElement>(null);
   const resumeContentRef = useRef<HTMLDivElement>(null);
@@ -92,8 +47,8 @@ export const ResumePreview: React.FC<ResumePreviewProps> = ({
       if (contentWrapperRef.current && !manualZoom) {
         const containerWidth = contentWrapperRef.current.offsetWidth;
         const containerHeight = contentWrapperRef.current.offsetHeight;
-        const resumeNaturalWidthPx = mmToPx(PDF_CONFIG.pageWidth);
-        const resumeNaturalHeightPx = mmToPx(PDF_CONFIG.pageHeight);
+        const resumeNaturalWidthPx = mmToPx(style.pageWidth);
+        const resumeNaturalHeightPx = mmToPx(style.pageHeight);
 
         // Calculate available space with minimal padding
         const availableWidth = containerWidth - 40;
@@ -129,7 +84,7 @@ export const ResumePreview: React.FC<ResumePreviewProps> = ({
       window.removeEventListener('resize', calculateScale);
       clearTimeout(timeoutId);
     };
-  }, [PDF_CONFIG.pageWidth, PDF_CONFIG.pageHeight, resumeData, manualZoom, onScaleChange]);
+  }, [style.pageWidth, style.pageHeight, resumeData, manualZoom, onScaleChange]);
 
   // Zoom control handlers
   const handleZoomIn = () => {
@@ -186,522 +141,123 @@ export const ResumePreview: React.FC<ResumePreviewProps> = ({
     );
   }
 
+  const templateDocument = buildTemplateDocument(resumeData, userType, template);
+
   // --- Style constants ---
+  const fontFamily = `${style.fontFamily}, "Segoe UI", Tahoma, Geneva, Verdana, sans-serif`;
+  const textColor = `#${style.colors.text}`;
+
   const sectionTitleStyle: React.CSSProperties = {
-    fontSize: ptToPx(PDF_CONFIG.fonts.sectionTitle.size),
+    fontSize: ptToPx(style.fonts.sectionTitle),
     fontWeight: 'bold',
-    marginTop: mmToPx(PDF_CONFIG.spacing.sectionSpacingBefore),
-    marginBottom: mmToPx(PDF_CONFIG.spacing.sectionSpacingAfter),
-    fontFamily: `${PDF_CONFIG.fontFamily}, "Segoe UI", Tahoma, Geneva, Verdana, sans-serif`,
+    marginTop: mmToPx(style.spacing.sectionBefore),
+    marginBottom: mmToPx(style.spacing.sectionAfter),
+    fontFamily,
     letterSpacing: '0.5pt',
-    textTransform: 'none',
-    color: '#000000',
-  } as const;
+    textTransform: style.headingCase === 'upper' ? 'uppercase' : 'none',
+    color: textColor,
+  };
 
   const sectionUnderlineStyle: React.CSSProperties = {
-    borderBottomWidth: '0.5pt',
-    borderColor: '#404040',
+    borderBottom: `0.5pt solid #${style.colors.rule}`,
     height: '1px',
-    marginBottom: mmToPx(PDF_CONFIG.spacing.sectionSpacingAfter),
+    marginBottom: mmToPx(style.spacing.sectionAfter),
     width: '100%',
-    maxWidth: `${mmToPx(PDF_CONFIG.contentWidth)}px`,
-    margin: '0 auto',
     boxSizing: 'border-box',
   };
 
   const bodyTextStyle: React.CSSProperties = {
-    fontSize: ptToPx(PDF_CONFIG.fonts.body.size),
-    fontFamily: `${PDF_CONFIG.fontFamily}, "Segoe UI", Tahoma, Geneva, Verdana, sans-serif`,
-    lineHeight: PDF_CONFIG.spacing.lineHeight,
-    color: '#000000',
+    fontSize: ptToPx(style.fonts.body),
+    fontFamily,
+    lineHeight: style.lineHeight,
+    color: textColor,
   };
 
   const listItemStyle: React.CSSProperties = {
     ...bodyTextStyle,
-    marginBottom: mmToPx(PDF_CONFIG.spacing.entrySpacing * 0.25),
+    marginTop: mmToPx(style.spacing.bullet),
     display: 'flex',
     alignItems: 'flex-start',
   };
 
-  // Helper to get short display text from URLs
-  const getShortLinkText = (url: string, type: 'linkedin' | 'github'): string => {
-    if (!url) return '';
-    const cleanUrl = url.trim().toLowerCase();
-    
-    if (type === 'linkedin') {
-      const linkedinMatch = cleanUrl.match(/linkedin\.com\/in\/([^\/\?]+)/i);
-      if (linkedinMatch) {
-        return `linkedin.com/in/${linkedinMatch[1]}`;
-      }
-      return 'LinkedIn';
-    }
-    
-    if (type === 'github') {
-      const githubMatch = cleanUrl.match(/github\.com\/([^\/\?]+)/i);
-      if (githubMatch) {
-        return `github.com/${githubMatch[1]}`;
-      }
-      return 'GitHub';
-    }
-    
-    return url;
+  const linkStyle: React.CSSProperties = {
+    fontSize: ptToPx(style.fonts.contact),
+    fontWeight: style.contactBold ? 'bold' : 'normal',
+    color: `#${style.colors.link}`,
+    textDecoration: 'underline',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
   };
 
-  // Build contact information - two lines for better structure
-  const buildContactInfo = () => {
-    const isValidField = (field?: string | null, fieldType: 'phone' | 'email' | 'url' | 'text' = 'text'): boolean => {
-      if (!field || field.trim() === '') return false;
-      const lower = field.trim().toLowerCase();
-      const invalidValues = ['n/a', 'not specified', 'none'];
-      if (invalidValues.includes(lower)) return false;
-      
-      switch (fieldType) {
-        case 'phone': {
-          const digitCount = (field.match(/\d/g) || []).length;
-          return digitCount >= 7 && digitCount <= 15;
-        }
-        case 'email':
-          return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(field);
-        case 'url':
-          return /^https?:\/\//.test(field) ||
-                 /^(www\.)?linkedin\.com\/in\//.test(field) ||
-                 /^(www\.)?github\.com\//.test(field) ||
-                 /linkedin\.com\/in\//.test(field) ||
-                 /github\.com\//.test(field);
-        case 'text':
-        default:
-          return true;
-      }
-    };
-
-    // Contact style - bold
-    const contactStyle: React.CSSProperties = {
-      fontSize: ptToPx(PDF_CONFIG.fonts.contact.size),
-      fontWeight: 'bold',
-      whiteSpace: 'nowrap',
-      overflow: 'hidden',
-      textOverflow: 'ellipsis',
-    };
-
-    // Link style - bold
-    const linkStyle: React.CSSProperties = {
-      ...contactStyle,
-      color: '#1a365d',
-      textDecoration: 'none',
-      cursor: 'pointer',
-    };
+  const renderContactLine = (line: ContactItem[], lineIndex: number) => (
+    <div key={lineIndex} style={{
+      display: 'flex',
+      justifyContent: style.nameAlign === 'center' ? 'center' : 'flex-start',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      gap: '4px',
+    }}>
+      {line.map((item, index) => (
+        <React.Fragment key={index}>
+          {item.url ? (
+            <a href={item.url} style={linkStyle} target="_blank" rel="noopener noreferrer">{item.text}</a>
+          ) : (
+            <span style={{ ...linkStyle, color: textColor, textDecoration: 'none' }}>{item.text}</span>
+          )}
+          {index < line.length - 1 && (
+            <span style={{ fontSize: ptToPx(style.fonts.contact), fontWeight: 'bold', margin: '0 4px', flexShrink: 0 }}>|</span>
+          )}
+        </React.Fragment>
+      ))}
+    </div>
+  );
 
-    // Line 1: Phone, Email, Location
-    const line1Parts: React.ReactNode[] = [];
-    // Line 2: LinkedIn, GitHub
-    const line2Parts: React.ReactNode[] = [];
+  const renderBullet = (text: string, key: React.Key, label?: string) => (
+    <li key={key} style={listItemStyle}>
+      <span style={{ marginInlineStart: mmToPx(style.spacing.bulletIndent), width: mmToPx(style.spacing.bulletTextIndent), flexShrink: 0 }}>•</span>
+      <span>{label && <strong>{label} </strong>}{text}</span>
+    </li>
+  );
 
-    if (isValidField(resumeData.phone, 'phone')) {
-      line1Parts.push(
-        <a key="phone" href={`tel:${resumeData.phone}`} style={linkStyle} target="_blank" rel="noopener noreferrer">
-          {resumeData.phone}
-        </a>
-      );
-    }
-    if (isValidField(resumeData.email, 'email')) {
-      line1Parts.push(
-        <a key="email" href={`mailto:${resumeData.email}`} style={{...linkStyle, maxWidth: '200px'}} target="_blank" rel="noopener noreferrer">
-          {resumeData.email}
-        </a>
-      );
-    }
-    if (isValidField(resumeData.location, 'text')) {
-      line1Parts.push(
-        <span key="location" style={contactStyle}>
-          {resumeData.location}
-        </span>
-      );
-    }
-    if (isValidField(resumeData.linkedin, 'url')) {
-      let linkedinUrl = resumeData.linkedin!;
-      if (!linkedinUrl.startsWith('http')) {
-        linkedinUrl = `https://${linkedinUrl}`;
-      }
-      const shortText = getShortLinkText(resumeData.linkedin!, 'linkedin');
-      line2Parts.push(
-        <a key="linkedin" href={linkedinUrl} style={{...linkStyle, maxWidth: '200px'}} target="_blank" rel="noopener noreferrer">
-          {shortText}
-        </a>
-      );
-    }
-    if (isValidField(resumeData.github, 'url')) {
-      let githubUrl = resumeData.github!;
-      if (!githubUrl.startsWith('http')) {
-        githubUrl = `https://${githubUrl}`;
-      }
-      const shortText = getShortLinkText(resumeData.github!, 'github');
-      line2Parts.push(
-        <a key="github" href={githubUrl} style={{...linkStyle, maxWidth: '200px'}} target="_blank" rel="noopener noreferrer">
-          {shortText}
-        </a>
+  // Blocks come from the template's section renderers, the same ones the PDF and DOCX exporters use
+  const renderBlock = (block: TemplateBlock, index: number) => {
+    if (block.type === 'paragraph') {
+      return (
+        <p key={index} style={{ ...bodyTextStyle, marginBottom: mmToPx(style.spacing.bullet) }}>
+          {block.label && <strong>{block.label} </strong>}{block.text}
+        </p>
       );
     }
-
-    const renderLine = (parts: React.ReactNode[]) => parts.map((part, index) => (
-      <React.Fragment key={index}>
-        {part}
-        {index < parts.length - 1 && (
-          <span style={{
-            fontSize: ptToPx(PDF_CONFIG.fonts.contact.size),
-            fontWeight: 'bold',
-            margin: '0 4px',
-            flexShrink: 0,
-          }}>
-            |
-          </span>
-        )}
-      </React.Fragment>
-    ));
-
-    return { line1: renderLine(line1Parts), line2: renderLine(line2Parts), hasLine2: line2Parts.length > 0 };
-  };
-
-  const contactInfo = buildContactInfo();
-
-
-  const isPlaceholderText = (s?: string): boolean => {
-    if (!s) return true;
-    const v = s.trim().toLowerCase();
-    return v === '' || v === 'n/a' || v === 'none' || v === 'not specified' || v === 'not provided' || v === 'available upon request';
-  };
-  // Helper to safely extract text from possibly nested objects
-  const toPlainText = (value: any): string => {
-    if (typeof value === 'string') return value.trim();
-    if (value == null) return '';
-    if (typeof value === 'object') {
-      const candidates = ['text', 'name', 'title', 'value'];
-      for (const key of candidates) {
-        const v = (value as any)[key];
-        if (typeof v === 'string' && v.trim()) return v.trim();
-      }
-      return '';
-    }
-    return String(value);
-  };
-
-  const getSectionOrder = () => {
-    if (userType === 'experienced') {
-      return ['summary', 'skills', 'workExperience', 'projects', 'education', 'certifications', 'additionalSections'];
-    } else if (userType === 'student') {
-      return ['careerObjective', 'education', 'skills', 'projects', 'workExperience', 'certifications', 'achievementsAndExtras', 'additionalSections'];
-    } else { // 'fresher'
-      return ['careerObjective', 'skills', 'workExperience', 'projects', 'education', 'certifications', 'achievementsAndExtras', 'additionalSections'];
+    if (block.type === 'bullet') {
+      return <ul key={index} style={{ listStyle: 'none', margin: 0, padding: 0 }}>{renderBullet(block.text, index, block.label)}</ul>;
     }
-  };
-
-  const sectionOrder = getSectionOrder();
-  const getEffectiveCerts = (data: any): any[] => {
-    const primary = Array.isArray(data?.certifications) ? data.certifications : [];
-    if (primary && primary.length > 0) return primary;
-    const fromAdditional = (data?.additionalSections || [])
-      .filter((sec: any) => typeof sec?.title === 'string' && /cert|licen/i.test(sec.title))
-      .flatMap((sec: any) => Array.isArray(sec?.bullets) ? sec.bullets : [])
-      .filter((b: any) => typeof b === 'string' && b.trim().length > 0);
-    if (fromAdditional.length > 0) return fromAdditional;
-    const fromSkills = (data?.skills || [])
-      .filter((cat: any) => typeof cat?.category === 'string' && /cert|licen/i.test(cat.category))
-      .flatMap((cat: any) => Array.isArray(cat?.list) ? cat.list : [])
-      .filter((b: any) => typeof b === 'string' && b.trim().length > 0);
-    if (fromSkills.length > 0) return fromSkills;
-    return [];
-  };
-
-  const renderSection = (sectionName: string) => {
-    switch (sectionName) {
-      case 'careerObjective':
-        if (!String(resumeData.careerObjective || '').trim()) return null;
-        return (
-          <div style={{ marginBottom: mmToPx(PDF_CONFIG.spacing.sectionSpacingAfter) }}>
-            <h2 style={sectionTitleStyle}>Career Objective</h2>
-            <div style={sectionUnderlineStyle}></div>
-            <p style={{ ...bodyTextStyle, marginBottom: mmToPx(PDF_CONFIG.spacing.entrySpacing) }}>
-              {resumeData.careerObjective || ''}
-            </p>
-          </div>
-        );
-
-      case 'summary':
-        if (!String(resumeData.summary || '').trim()) return null;
-        return (
-          <div style={{ marginBottom: mmToPx(PDF_CONFIG.spacing.sectionSpacingAfter) }}>
-            <h2 style={sectionTitleStyle}>Professional Summary</h2>
-            <div style={sectionUnderlineStyle}></div>
-            <p style={{ ...bodyTextStyle, marginBottom: mmToPx(PDF_CONFIG.spacing.entrySpacing) }}>
-              {resumeData.summary || ''}
-            </p>
-          </div>
-        );
-
-      case 'workExperience':
-        if (!resumeData.workExperience || resumeData.workExperience.length === 0) return null;
-        return (
-          <div style={{ marginBottom: mmToPx(PDF_CONFIG.spacing.sectionSpacingAfter) }}>
-            <h2 style={sectionTitleStyle}>
-              {userType === 'fresher' || userType === 'student' ? 'Work Experience' : 'Professional Experience'}
-            </h2>
-            <div style={sectionUnderlineStyle}></div>
-            {resumeData.workExperience.map((job, index) => (
-              <div key={index} style={{ marginBottom: mmToPx(PDF_CONFIG.spacing.entrySpacing * 2) }}>
-                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: mmToPx(PDF_CONFIG.spacing.entrySpacing * 0.5) }}>
-                  <div style={{ flex: 1 }}>
-                    <div style={{ fontSize: ptToPx(PDF_CONFIG.fonts.jobTitle.size), fontWeight: 'bold', fontFamily: `${PDF_CONFIG.fontFamily}, sans-serif` }}>
-                      {job.role} | {job.company}{job.location ? `, ${job.location}` : ''}
-                    </div>
-                  </div>
-                  <div style={{ fontSize: ptToPx(PDF_CONFIG.fonts.year.size), fontFamily: `${PDF_CONFIG.fontFamily}, sans-serif`, fontWeight: 'normal', whiteSpace: 'nowrap', marginLeft: '8px' }}>
-                    {job.year}
-                  </div>
-                </div>
-                {job.bullets && job.bullets.length > 0 && (
-                  <ul style={{ marginLeft: mmToPx(PDF_CONFIG.spacing.bulletIndent), listStyleType: 'disc', paddingLeft: '0' }}>
-                    {job.bullets.map((bullet, bulletIndex) => {
-                      // Ensure bullets are always rendered as strings and handle various shapes
-                      const bulletObj = (bullet && typeof bullet === 'object') ? (bullet as any) : null;
-                      const bulletText = typeof bullet === 'string'
-                        ? bullet
-                        : bulletObj && (bulletObj.description || bulletObj.title || bulletObj.text)
-                          ? (bulletObj.description || bulletObj.title || bulletObj.text)
-                          : JSON.stringify(bullet);
-                      return (
-                        <li key={bulletIndex} style={listItemStyle}>
-                          <span>{bulletText}</span>
-                        </li>
-                      );
-                    })}
-                  </ul>
-                )}
-              </div>
-            ))}
-          </div>
-        );
-
-      case 'education':
-        if (!resumeData.education || resumeData.education.length === 0) return null;
-        return (
-          <div style={{ marginBottom: mmToPx(PDF_CONFIG.spacing.sectionSpacingAfter) }}>
-            <h2 style={sectionTitleStyle}>Education</h2>
-            <div style={sectionUnderlineStyle}></div>
-            {resumeData.education.map((edu, index) => (
-              <div key={index} style={{ marginBottom: mmToPx(PDF_CONFIG.spacing.entrySpacing * 2) }}>
-                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
-                  <div style={{ flex: 1 }}>
-                    <div style={{ fontSize: ptToPx(PDF_CONFIG.fonts.jobTitle.size), fontWeight: 'bold', fontFamily: `${PDF_CONFIG.fontFamily}, sans-serif` }}>
-                      {edu.degree}
-                    </div>
-                    <div style={{ fontSize: ptToPx(PDF_CONFIG.fonts.company.size), fontWeight: 'normal', fontFamily: `${PDF_CONFIG.fontFamily}, sans-serif` }}>
-                      {edu.school}{edu.location ? `, ${edu.location}` : ''}
-                    </div>
-                    {edu.cgpa && (
-                      <div style={{ fontSize: ptToPx(PDF_CONFIG.fonts.body.size), fontFamily: `${PDF_CONFIG.fontFamily}, sans-serif`, color: '#4B5563' }}>
-                        CGPA: {edu.cgpa}
-                      </div>
-                    )}
-                  </div>
-                  <div style={{ fontSize: ptToPx(PDF_CONFIG.fonts.year.size), fontFamily: `${PDF_CONFIG.fontFamily}, sans-serif`, fontWeight: 'normal', whiteSpace: 'nowrap', marginLeft: '8px' }}>
-                    {edu.year}
-                  </div>
-                </div>
-              </div>
-            ))}
-          </div>
-        );
-
-      case 'projects':
-        if (!resumeData.projects || resumeData.projects.length === 0) return null;
-        return (
-          <div style={{ marginBottom: mmToPx(PDF_CONFIG.spacing.sectionSpacingAfter) }}>
-            <h2 style={sectionTitleStyle}>
-              Projects
-            </h2>
-            <div style={sectionUnderlineStyle}></div>
-            {resumeData.projects.map((project, index) => (
-              <div key={index} style={{ marginBottom: mmToPx(PDF_CONFIG.spacing.entrySpacing * 2) }}>
-                <div style={{ fontSize: ptToPx(PDF_CONFIG.fonts.jobTitle.size), fontWeight: 'bold', fontFamily: `${PDF_CONFIG.fontFamily}, sans-serif`, marginBottom: mmToPx(PDF_CONFIG.spacing.entrySpacing * 0.5) }}> {/* Already bold */}
-                  {project.title}
-                </div>
-                {project.bullets && project.bullets.length > 0 && (
-                  <ul style={{ marginLeft: mmToPx(PDF_CONFIG.spacing.bulletIndent), listStyleType: 'disc' }}> {/* Changed to disc */}
-                    {project.bullets.map((bullet, bulletIndex) => {
-                      // Ensure bullets are always rendered as strings and handle various shapes
-                      const bulletObj = (bullet && typeof bullet === 'object') ? (bullet as any) : null;
-                      const bulletText = typeof bullet === 'string'
-                        ? bullet
-                        : bulletObj && (bulletObj.description || bulletObj.title || bulletObj.text)
-                          ? (bulletObj.description || bulletObj.title || bulletObj.text)
-                          : JSON.stringify(bullet);
-                      return (
-                        <li key={bulletIndex} style={listItemStyle}>
-                          <span>{bulletText}</span>
-                        </li>
-                      );
-                    })}
-                  </ul>
-                )}
-              </div>
-            ))}
-          </div>
-        );
-
-      case 'skills':
-        if (!resumeData.skills || resumeData.skills.length === 0) return null;
-        return (
-          <div style={{ marginBottom: mmToPx(PDF_CONFIG.spacing.sectionSpacingAfter) }}>
-            <h2 style={sectionTitleStyle}>Skills</h2>
-            <div style={sectionUnderlineStyle}></div>
-            {resumeData.skills.map((skillCategory, index) => (
-              <div key={index} style={{ marginBottom: mmToPx(PDF_CONFIG.spacing.entrySpacing * 0.5) }}>
-                <span style={{ fontSize: ptToPx(PDF_CONFIG.fonts.body.size), fontFamily: `${PDF_CONFIG.fontFamily}, sans-serif` }}>
-                  <strong style={{ fontWeight: 'bold' }}>{skillCategory.category}:</strong>{' '} {/* Already bold */}
-                  {skillCategory.list && skillCategory.list.join(', ')}
-                </span>
-              </div>
-            ))}
-          </div>
-        );
-
-     case 'certifications':
-  // ✅ Show this section only if certifications exist
-  {
-    const certs = getEffectiveCerts(resumeData).filter((c: any) => {
-      if (typeof c === 'string') return c.trim().length > 0 && !isPlaceholderText(c);
-      const p = toPlainText(c);
-      const d = toPlainText(c?.description);
-      return (!isPlaceholderText(p) || !isPlaceholderText(d));
-    });
-    if (certs.length === 0) return null;
     return (
-      <div style={{ marginBottom: mmToPx(PDF_CONFIG.spacing.sectionSpacingAfter) }}>
-        <h2 style={sectionTitleStyle}>Certifications</h2>
-        <div style={sectionUnderlineStyle}></div>
-        <ul style={{ marginLeft: mmToPx(PDF_CONFIG.spacing.bulletIndent), listStyleType: 'disc' }}>
-          {certs.map((cert, index) => {
-            if (!cert) return null;
-
-            // Handle string and object formats gracefully
-            if (typeof cert === 'string') {
-              return (
-                <li key={index} style={listItemStyle}>
-                  <span>{cert}</span>
-                </li>
-              );
-            } else if (typeof cert === 'object' && 'title' in cert) {
-              const certObj = cert as any;
-              const title = toPlainText(certObj.title);
-              const description = toPlainText(certObj.description);
-              const titleEff = isPlaceholderText(title) ? '' : title;
-              const descEff = isPlaceholderText(description) ? '' : description;
-              const primary = titleEff || descEff;
-              return (
-                <li key={index} style={listItemStyle}>
-                  <span>
-                    {titleEff ? (
-                      <>
-                        {titleEff}
-                        {descEff && descEff !== titleEff ? `: ${descEff}` : ''}
-                      </>
-                    ) : (
-                      <>{primary}</>
-                    )}
-                  </span>
-                </li>
-              );
-            } else if (typeof cert === 'object') {
-              const primary = toPlainText(cert);
-              const desc = toPlainText((cert as any)?.description);
-              const text = primary || desc || String(cert);
-              return (
-                <li key={index} style={listItemStyle}>
-                  <span>{text}</span>
-                </li>
-              );
-            } else {
-              return (
-                <li key={index} style={listItemStyle}>
-                  <span>{String(cert)}</span>
-                </li>
-              );
-            }
-          })}
-        </ul>
+      <div key={index} style={{ marginTop: index > 0 ? mmToPx(style.spacing.entry) : 0 }}>
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'baseline',
+          gap: '8px',
+          fontSize: ptToPx(style.fonts.entryTitle),
+          fontWeight: 'bold',
+          fontFamily,
+          lineHeight: style.lineHeight,
+          color: textColor,
+        }}>
+          <span>{block.title}</span>
+          {block.date && <span style={{ flexShrink: 0 }}>{block.date}</span>}
+        </div>
+        {[block.subtitle, ...(block.details || [])].filter(Boolean).map((detail, detailIndex) => (
+          <div key={detailIndex} style={{ ...bodyTextStyle, fontSize: ptToPx(style.fonts.entrySubtitle) }}>{detail}</div>
+        ))}
+        {block.bullets && block.bullets.length > 0 && (
+          <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+            {block.bullets.map((bullet, bulletIndex) => renderBullet(bullet, bulletIndex))}
+          </ul>
+        )}
       </div>
     );
-  }
-
-  // ❌ If no certifications, hide section completely
-  
-
-      case 'achievementsAndExtras':
-        const hasAchievements = resumeData.achievements && resumeData.achievements.length > 0;
-
-        if (!hasAchievements) return null;
-
-        return (
-          <div style={{ marginBottom: mmToPx(PDF_CONFIG.spacing.sectionSpacingAfter) }}>
-            <h2 style={sectionTitleStyle}>Achievements</h2>
-            <div style={sectionUnderlineStyle}></div>
-            {hasAchievements && (
-              <div style={{ marginBottom: mmToPx(PDF_CONFIG.spacing.entrySpacing) }}>
-                <ul style={{ marginLeft: mmToPx(PDF_CONFIG.spacing.bulletIndent), listStyleType: 'disc' }}>
-                  {resumeData.achievements!.map((item, index) => {
-                    const itemObj = (item && typeof item === 'object') ? (item as any) : null;
-                    const text = typeof item === 'string'
-                      ? item
-                      : itemObj && (itemObj.title || itemObj.text || itemObj.description)
-                        ? (itemObj.title || itemObj.text || itemObj.description)
-                        : JSON.stringify(item);
-                    return (
-                      <li key={index} style={listItemStyle}>
-                        <span>{text}</span>
-                      </li>
-                    );
-                  })}
-                </ul>
-              </div>
-            )}
-          </div>
-        );
-
-      case 'additionalSections':
-        if (!resumeData.additionalSections || !Array.isArray(resumeData.additionalSections) || resumeData.additionalSections.length === 0) return null;
-        return (
-          <>
-            {resumeData.additionalSections.map((section, sectionIndex) => (
-              <div key={sectionIndex} style={{ marginBottom: mmToPx(PDF_CONFIG.spacing.sectionSpacingAfter) }}>
-                <h2 style={sectionTitleStyle}>{section.title}</h2>
-                <div style={sectionUnderlineStyle}></div>
-              {section.bullets && section.bullets.length > 0 && (
-  <ul style={{ marginLeft: mmToPx(PDF_CONFIG.spacing.bulletIndent), listStyleType: 'disc' }}>
-    {section.bullets.map((bullet: any, bulletIndex: number) => {
-      // Handle cases where bullet is a string, object, or other format
-      const bulletText =
-        typeof bullet === 'string'
-          ? bullet
-          : bullet && typeof bullet === 'object'
-          ? (bullet as any).title || (bullet as any).text || JSON.stringify(bullet)
-          : String(bullet);
-
-      return (
-        <li key={bulletIndex} style={listItemStyle}>
-          <span>{bulletText}</span>
-        </li>
-      );
-    })}
-  </ul>
-)}
-
-              </div>
-            ))}
-          </>
-        );
-
-      default:
-        return null;
-    }
   };
 
   return (
@@ -726,18 +282,20 @@ export const ResumePreview: React.FC<ResumePreviewProps> = ({
       >
       <div
         ref={resumeContentRef}
-        className={`resume-one-column ${currentExportOptions.layoutType === 'compact' ? 'resume-compact' : 'resume-standard'} ${currentExportOptions.paperSize === 'letter' ? 'resume-letter' : 'resume-a4'}`}
+        dir={templateDocument.direction}
+        className={`resume-one-column resume-template-${style.templateId} ${currentExportOptions.layoutType === 'compact' ? 'resume-compact' : 'resume-standard'} ${currentExportOptions.paperSize === 'letter' ? 'resume-letter' : 'resume-a4'}`}
         style={{
-          fontFamily: `${PDF_CONFIG.fontFamily}, "Segoe UI", Tahoma, Geneva, Verdana, sans-serif`,
-          fontSize: ptToPx(PDF_CONFIG.fonts.body.size),
-          lineHeight: PDF_CONFIG.spacing.lineHeight,
-          color: '#000000',
-          paddingTop: mmToPx(PDF_CONFIG.margins.top),
-          paddingBottom: mmToPx(PDF_CONFIG.margins.bottom),
-          paddingLeft: mmToPx(PDF_CONFIG.margins.left),
-          paddingRight: mmToPx(PDF_CONFIG.margins.right),
-          width: mmToPx(PDF_CONFIG.pageWidth),
-          minHeight: mmToPx(PDF_CONFIG.pageHeight),
+          fontFamily,
+          fontSize: ptToPx(style.fonts.body),
+          lineHeight: style.lineHeight,
+          color: textColor,
+          paddingTop: mmToPx(style.margins.top),
+          paddingBottom: mmToPx(style.margins.bottom),
+          // Logical sides, so an RTL page mirrors its margins like the PDF does
+          paddingInlineStart: mmToPx(style.margins.left),
+          paddingInlineEnd: mmToPx(style.margins.right),
+          width: mmToPx(style.pageWidth),
+          minHeight: mmToPx(style.pageHeight),
           transform: `scale(${scaleFactor})`,
           transformOrigin: 'top center',
           boxSizing: 'border-box',
@@ -745,87 +303,52 @@ export const ResumePreview: React.FC<ResumePreviewProps> = ({
           backgroundColor: 'white',
           overflow: 'hidden',
           transition: isScaling ? 'none' : 'transform 0.3s ease',
-          marginBottom: `${mmToPx(PDF_CONFIG.pageHeight) * (1 - scaleFactor)}px`,
+          marginBottom: `${mmToPx(style.pageHeight) * (1 - scaleFactor)}px`,
         }}
       >
           {/* Header */}
           <div style={{
-            textAlign: 'center',
-            marginBottom: mmToPx(PDF_CONFIG.spacing.afterContact),
-            maxWidth: `${mmToPx(PDF_CONFIG.contentWidth)}px`,
-            margin: '0 auto',
+            textAlign: style.nameAlign === 'left' ? 'start' : 'center',
+            marginBottom: mmToPx(style.spacing.afterContact),
+            width: '100%',
           }}>
             <h1 style={{
-              fontSize: ptToPx(PDF_CONFIG.fonts.name.size),
+              fontSize: ptToPx(style.fonts.name),
               fontWeight: 'bold',
-              letterSpacing: '1pt',
-              marginBottom: mmToPx(PDF_CONFIG.spacing.afterName),
-              fontFamily: `${PDF_CONFIG.fontFamily}, "Segoe UI", Tahoma, Geneva, Verdana, sans-serif`,
-              textTransform: 'uppercase',
+              letterSpacing: style.nameCase === 'upper' ? '1pt' : 'normal',
+              marginBottom: mmToPx(style.spacing.afterName),
+              fontFamily,
               wordWrap: 'break-word',
               overflow: 'hidden',
-              color: '#000000',
+              color: textColor,
             }}>
-              {resumeData.name}
+              {applyTextCase(templateDocument.name, style.nameCase)}
             </h1>
 
-            {/* Contact Info - Two Lines */}
-            {(contactInfo.line1.length > 0 || contactInfo.line2.length > 0) && (
+            {/* Contact Info */}
+            {templateDocument.contactLines.length > 0 && (
               <div style={{
-                fontFamily: `${PDF_CONFIG.fontFamily}, "Segoe UI", Tahoma, Geneva, Verdana, sans-serif`,
-                marginBottom: mmToPx(PDF_CONFIG.spacing.afterContact),
+                fontFamily,
                 display: 'flex',
                 flexDirection: 'column',
-                alignItems: 'center',
                 gap: '2px',
                 maxWidth: '100%',
-                color: '#000000',
+                color: textColor,
               }}>
-                {/* Line 1: Phone, Email, Location */}
-                {contactInfo.line1.length > 0 && (
-                  <div style={{
-                    display: 'flex',
-                    justifyContent: 'center',
-                    alignItems: 'center',
-                    flexWrap: 'wrap',
-                    gap: '4px',
-                  }}>
-                    {contactInfo.line1}
-                  </div>
-                )}
-                {/* Line 2: LinkedIn, GitHub */}
-                {contactInfo.hasLine2 && (
-                  <div style={{
-                    display: 'flex',
-                    justifyContent: 'center',
-                    alignItems: 'center',
-                    flexWrap: 'wrap',
-                    gap: '4px',
-                  }}>
-                    {contactInfo.line2}
-                  </div>
-                )}
+                {templateDocument.contactLines.map(renderContactLine)}
               </div>
             )}
-
-            <div style={{
-              borderBottomWidth: '0.5pt',
-              borderColor: '#404040',
-              height: '1px',
-              margin: '0 auto',
-              width: '100%',
-              maxWidth: `${mmToPx(PDF_CONFIG.contentWidth)}px`,
-            }}></div>
           </div>
 
-          {/* Dynamic sections */}
-          <div style={{
-            maxWidth: `${mmToPx(PDF_CONFIG.contentWidth)}px`,
-            margin: '0 auto',
-            width: '100%',
-            boxSizing: 'border-box',
-          }}>
-            {(Array.isArray(sectionOrder) ? sectionOrder : []).map((sectionName) => (   <React.Fragment key={sectionName}>     {renderSection(sectionName)}   </React.Fragment> ))}
+          {/* Template sections */}
+          <div style={{ width: '100%', boxSizing: 'border-box' }}>
+            {templateDocument.sections.map((section, sectionIndex) => (
+              <div key={`${section.key}-${sectionIndex}`}>
+                <h2 style={sectionTitleStyle}>{section.title}</h2>
+                {style.sectionRule && <div style={sectionUnderlineStyle}></div>}
+                {section.blocks.map(renderBlock)}
+              </div>
+            ))}
           </div>
         </div>
       </div>
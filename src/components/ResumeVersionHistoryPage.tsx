@@ -0,0 +1,346 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import { AlertCircle, GitBranch, GitCompare, RotateCcw, Check, ListChecks } from 'lucide-react';
+import { ResumeVersionHistoryService } from '../services/resumeVersionHistoryService';
+import { BulletChange, DiffChangeType, HistoryVersion, ResumeBranch, VersionDiff } from '../types/resumeHistory';
+
+interface ResumeVersionHistoryPageProps {
+  userId: string;
+  onNavigateBack: () => void;
+  onReviewRewrites?: (branchId: string) => void;
+}
+
+const CHANGE_STYLES: Record<DiffChangeType, { label: string; className: string }> = {
+  added: { label: 'Added', className: 'text-green-400' },
+  removed: { label: 'Removed', className: 'text-red-400' },
+  modified: { label: 'Changed', className: 'text-yellow-300' }
+};
+
+const SOURCE_LABELS: Record<HistoryVersion['source'], string> = {
+  pipeline: 'Optimizer',
+  manual: 'Manual',
+  restore: 'Restore',
+  'cherry-pick': 'Cherry-pick',
+  workbench: 'Rewrite review'
+};
+
+const bulletKey = (change: BulletChange) =>
+  `${change.section}:${change.after!.ref.entryIndex}:${change.after!.ref.bulletIndex}`;
+
+export const ResumeVersionHistoryPage: React.FC<ResumeVersionHistoryPageProps> = ({ userId, onNavigateBack, onReviewRewrites }) => {
+  const [branches, setBranches] = useState<ResumeBranch[]>([]);
+  const [branchId, setBranchId] = useState<string | null>(null);
+  const [compareId, setCompareId] = useState<string | null>(null);
+  const [picked, setPicked] = useState<Set<string>>(new Set());
+  const [forkFrom, setForkFrom] = useState<HistoryVersion | null>(null);
+  const [forkRole, setForkRole] = useState('');
+  const [forkDescription, setForkDescription] = useState('');
+  const [revision, setRevision] = useState(0);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const loaded = ResumeVersionHistoryService.getBranches(userId);
+    setBranches(loaded);
+    setBranchId(current => (current && loaded.some(b => b.id === current) ? current : loaded[0]?.id ?? null));
+  }, [userId, revision]);
+
+  const branch = branches.find(b => b.id === branchId) || null;
+  const allVersions = useMemo(
+    () => branches.flatMap(b => ResumeVersionHistoryService.getVersions(userId, b.id).map(v => ({ branch: b, version: v }))),
+    [userId, branches]
+  );
+  const versions = useMemo(
+    () => allVersions.filter(entry => entry.branch.id === branchId).map(entry => entry.version),
+    [allVersions, branchId]
+  );
+  const head = versions.find(v => v.id === branch?.headVersionId) || null;
+
+  const diff: VersionDiff | null = useMemo(() => {
+    if (!head || !compareId || compareId === head.id) return null;
+    try {
+      return ResumeVersionHistoryService.diffVersions(userId, head.id, compareId);
+    } catch {
+      return null;
+    }
+  }, [userId, head, compareId]);
+
+  const run = (action: () => void) => {
+    setError(null);
+    try {
+      action();
+      setPicked(new Set());
+      setRevision(r => r + 1);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Something went wrong');
+    }
+  };
+
+  const selectBranch = (id: string) => {
+    setBranchId(id);
+    setCompareId(null);
+    setPicked(new Set());
+  };
+
+  const restore = (version: HistoryVersion) => run(() => {
+    ResumeVersionHistoryService.restoreVersion(userId, version.id);
+    setCompareId(null);
+  });
+
+  const createFork = () => run(() => {
+    if (!forkFrom) return;
+    const created = ResumeVersionHistoryService.branchFromVersion(userId, forkFrom.id, {
+      jobDescription: forkDescription,
+      targetRole: forkRole
+    });
+    setForkFrom(null);
+    setForkRole('');
+    setForkDescription('');
+    setBranchId(created.id);
+  });
+
+  const applyPicked = () => run(() => {
+    if (!diff || !branch) return;
+    const refs = diff.bullets.filter(change => change.after && picked.has(bulletKey(change))).map(change => change.after!.ref);
+    ResumeVersionHistoryService.cherryPick(userId, diff.toVersionId, branch.id, refs);
+  });
+
+  const togglePick = (key: string) => {
+    setPicked(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key); else next.add(key);
+      return next;
+    });
+  };
+
+  const formatDate = (date: Date) => date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-blue-900 to-slate-900 text-white">
+      <div className="container mx-auto px-4 py-8">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-center mb-8"
+        >
+          <button
+            onClick={onNavigateBack}
+            className="mb-4 text-blue-400 hover:text-blue-300 transition-colors"
+          >
+            ← Back to Tools
+          </button>
+          <h1 className="text-4xl font-bold mb-4 bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+            Resume Versions
+          </h1>
+          <p className="text-gray-300 max-w-2xl mx-auto">
+            Every optimized resume is kept on a branch for the job it was tailored to. Compare any two
+            versions, restore an older one, or pull individual bullets across.
+          </p>
+        </motion.div>
+
+        <div className="max-w-6xl mx-auto space-y-6">
+          {error && (
+            <div className="p-3 bg-red-500/20 border border-red-500/40 rounded-lg flex items-center text-red-300 text-sm">
+              <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+
+          {branches.length === 0 ? (
+            <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-6 text-center text-gray-300">
+              No saved versions yet. Run the resume optimizer and the result will appear here.
+            </div>
+          ) : (
+            <div className="grid lg:grid-cols-3 gap-6">
+              <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-6">
+                <h2 className="text-xl font-semibold mb-4 flex items-center">
+                  <GitBranch className="w-5 h-5 mr-2 text-blue-400" />
+                  Target Jobs
+                </h2>
+                <ul className="space-y-2">
+                  {branches.map(b => (
+                    <li key={b.id}>
+                      <button
+                        onClick={() => selectBranch(b.id)}
+                        className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                          b.id === branchId ? 'bg-blue-600/40 border border-blue-500' : 'bg-slate-700/50 hover:bg-slate-700'
+                        }`}
+                      >
+                        <div className="font-medium truncate">{b.name}</div>
+                        <div className="text-xs text-gray-400">Updated {formatDate(b.updatedAt)}</div>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              <div className="lg:col-span-2 bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-6">
+                <div className="flex flex-wrap justify-between items-baseline gap-2 mb-1">
+                  <h2 className="text-xl font-semibold">{branch?.name}</h2>
+                  {branch && head && onReviewRewrites && (
+                    <button onClick={() => onReviewRewrites(branch.id)} className="flex items-center text-sm text-green-300 hover:text-green-200">
+                      <ListChecks className="w-4 h-4 mr-1" /> Review rewrites
+                    </button>
+                  )}
+                </div>
+                {branch?.jobDescription && (
+                  <p className="text-xs text-gray-400 mb-4 line-clamp-2">{branch.jobDescription}</p>
+                )}
+                <ol className="space-y-2">
+                  {[...versions].reverse().map(version => (
+                    <li key={version.id} className="flex flex-wrap items-center justify-between gap-2 px-3 py-2 bg-slate-700/40 rounded-lg text-sm">
+                      <div>
+                        <span className="font-medium">{version.name}</span>
+                        {version.id === head?.id && <span className="ml-2 text-xs px-2 py-0.5 bg-blue-500/30 text-blue-200 rounded-full">current</span>}
+                        <span className="ml-2 text-xs text-gray-400">{SOURCE_LABELS[version.source]} · {formatDate(version.createdAt)}</span>
+                        {version.score !== undefined && <span className="ml-2 text-xs text-green-300">score {version.score}</span>}
+                      </div>
+                      <div className="flex gap-2">
+                        {version.id !== head?.id && (
+                          <>
+                            <button onClick={() => { setCompareId(version.id); setPicked(new Set()); }} className="flex items-center text-blue-400 hover:text-blue-300">
+                              <GitCompare className="w-4 h-4 mr-1" /> Compare
+                            </button>
+                            <button onClick={() => restore(version)} className="flex items-center text-yellow-300 hover:text-yellow-200">
+                              <RotateCcw className="w-4 h-4 mr-1" /> Restore
+                            </button>
+                          </>
+                        )}
+                        <button onClick={() => setForkFrom(version)} className="flex items-center text-purple-300 hover:text-purple-200">
+                          <GitBranch className="w-4 h-4 mr-1" /> New job
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+
+                <label className="block mt-4 text-sm text-gray-300">
+                  Compare the current version with
+                  <select
+                    value={compareId ?? ''}
+                    onChange={(e) => { setCompareId(e.target.value || null); setPicked(new Set()); }}
+                    className="ml-2 bg-slate-700 border border-slate-600 rounded-lg px-2 py-1 text-white"
+                  >
+                    <option value="">choose a version</option>
+                    {allVersions.filter(({ version }) => version.id !== head?.id).map(({ branch: b, version }) => (
+                      <option key={version.id} value={version.id}>{b.name} — {version.name}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+            </div>
+          )}
+
+          {forkFrom && (
+            <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-6">
+              <h2 className="text-xl font-semibold mb-4">Tailor "{forkFrom.name}" for another job</h2>
+              <input
+                value={forkRole}
+                onChange={(e) => setForkRole(e.target.value)}
+                placeholder="Target role"
+                className="w-full mb-2 bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white placeholder-gray-400 focus:outline-none focus:border-blue-500 text-sm"
+              />
+              <textarea
+                value={forkDescription}
+                onChange={(e) => setForkDescription(e.target.value)}
+                placeholder="Paste the job description"
+                className="w-full h-24 bg-slate-700 border border-slate-600 rounded-lg p-4 text-white placeholder-gray-400 resize-none focus:outline-none focus:border-blue-500 text-sm"
+              />
+              <div className="flex gap-2 mt-2">
+                <button
+                  onClick={createFork}
+                  disabled={!forkRole.trim() && !forkDescription.trim()}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded-lg text-sm transition-colors"
+                >
+                  Create branch
+                </button>
+                <button onClick={() => setForkFrom(null)} className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg text-sm transition-colors">
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
+          {diff && (
+            <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-6 space-y-6">
+              <div className="flex flex-wrap justify-between items-baseline gap-2">
+                <h2 className="text-xl font-semibold">Differences</h2>
+                <span className="text-sm text-gray-300">
+                  {diff.summary.fieldsChanged} field{diff.summary.fieldsChanged === 1 ? '' : 's'} ·
+                  {' '}{diff.summary.bulletsAdded} added · {diff.summary.bulletsRemoved} removed · {diff.summary.bulletsModified} reworded
+                  {diff.scoreDelta !== undefined && (
+                    <span className={diff.scoreDelta >= 0 ? 'text-green-400' : 'text-red-400'}>
+                      {' '}· score {diff.scoreDelta >= 0 ? '+' : ''}{diff.scoreDelta}
+                    </span>
+                  )}
+                </span>
+              </div>
+
+              {diff.fields.length > 0 && (
+                <table className="w-full text-left text-sm">
+                  <thead>
+                    <tr className="text-gray-400 border-b border-slate-700">
+                      <th className="px-3 py-2">Field</th>
+                      <th className="px-3 py-2">Current</th>
+                      <th className="px-3 py-2">Compared version</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {diff.fields.map((field, index) => (
+                      <tr key={`${field.path}-${index}`} className="border-b border-slate-700/50 align-top">
+                        <td className={`px-3 py-2 ${CHANGE_STYLES[field.type].className}`}>{field.label}</td>
+                        <td className="px-3 py-2 text-gray-300">{field.before ?? '—'}</td>
+                        <td className="px-3 py-2">{field.after ?? '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              {diff.bullets.length > 0 && (
+                <div>
+                  <p className="text-sm text-gray-400 mb-3">Tick bullets from the compared version to copy them into the current one.</p>
+                  <ul className="space-y-3">
+                    {diff.bullets.map((change, index) => (
+                      <li key={index} className="flex items-start text-sm">
+                        {change.after ? (
+                          <input
+                            type="checkbox"
+                            checked={picked.has(bulletKey(change))}
+                            onChange={() => togglePick(bulletKey(change))}
+                            className="mt-1 mr-3"
+                            aria-label={`Pick bullet: ${change.after.text}`}
+                          />
+                        ) : (
+                          <span className="w-4 mr-3" />
+                        )}
+                        <div>
+                          <div className="text-xs text-gray-400">
+                            <span className={CHANGE_STYLES[change.type].className}>{CHANGE_STYLES[change.type].label}</span> · {change.entryLabel}
+                          </div>
+                          {change.before && <div className="text-red-300 line-through decoration-red-400/60">{change.before.text}</div>}
+                          {change.after && <div className="text-green-300">{change.after.text}</div>}
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                  <button
+                    onClick={applyPicked}
+                    disabled={picked.size === 0}
+                    className="mt-4 flex items-center px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg font-semibold transition-all text-sm"
+                  >
+                    <Check className="w-4 h-4 mr-2" />
+                    Copy {picked.size} bullet{picked.size === 1 ? '' : 's'} into {branch?.name}
+                  </button>
+                </div>
+              )}
+
+              {diff.fields.length === 0 && diff.bullets.length === 0 && (
+                <p className="text-sm text-gray-300">These versions have the same content.</p>
+              )}
+            </motion.div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,339 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useLocation, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { AlertCircle, AlertTriangle, Check, Pencil, RotateCcw, Save, Sparkles, X } from 'lucide-react';
+import { RewriteWorkbenchService } from '../services/rewriteWorkbenchService';
+import { ResumeVersionHistoryService } from '../services/resumeVersionHistoryService';
+import { ResumeBranch } from '../types/resumeHistory';
+import {
+  RewriteCandidate,
+  RewriteCandidateSource,
+  WorkbenchBullet,
+  WorkbenchRewriteState,
+  WorkbenchSession
+} from '../types/rewriteWorkbench';
+
+interface RewriteWorkbenchPageProps {
+  userId: string;
+  onNavigateBack: () => void;
+  onOpenHistory: () => void;
+}
+
+const SOURCE_LABELS: Record<RewriteCandidateSource, string> = {
+  optimizer: 'Optimizer',
+  'length-fix': 'Shortened',
+  'metric-restore': 'Optimizer + original metrics',
+  edit: 'Your edit'
+};
+
+const formatDelta = (delta: number) => `${delta > 0 ? '+' : ''}${delta}`;
+
+export const RewriteWorkbenchPage: React.FC<RewriteWorkbenchPageProps> = ({ userId, onNavigateBack, onOpenHistory }) => {
+  const [searchParams] = useSearchParams();
+  // Set when the optimizer sends its result here for review
+  const rewrite = useLocation().state as WorkbenchRewriteState | null;
+  const [branches, setBranches] = useState<ResumeBranch[]>([]);
+  const [branchId, setBranchId] = useState<string | null>(searchParams.get('branch'));
+  const [session, setSession] = useState<WorkbenchSession | null>(null);
+  const [editing, setEditing] = useState<{ key: string; text: string } | null>(null);
+  const [showAll, setShowAll] = useState(false);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [savedName, setSavedName] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const loaded = ResumeVersionHistoryService.getBranches(userId);
+    setBranches(loaded);
+    setBranchId(current => (current && loaded.some(b => b.id === current) ? current : loaded[0]?.id ?? null));
+  }, [userId]);
+
+  useEffect(() => {
+    if (!rewrite) return;
+    let cancelled = false;
+    setIsGenerating(true);
+    RewriteWorkbenchService.createSessionFromRewrite(rewrite.original, rewrite.rewritten, rewrite.jobDescription, {
+      targetRole: rewrite.targetRole
+    })
+      .then(created => { if (!cancelled) setSession(created); })
+      .catch(err => { if (!cancelled) setError(err instanceof Error ? err.message : 'Could not load the rewrite'); })
+      .finally(() => { if (!cancelled) setIsGenerating(false); });
+    return () => { cancelled = true; };
+  }, [rewrite]);
+
+  const summary = useMemo(() => (session ? RewriteWorkbenchService.summarize(session) : null), [session]);
+  const visibleBullets = session?.bullets.filter(bullet => showAll || bullet.candidates.length > 0) || [];
+
+  const generate = async () => {
+    if (!branchId) return;
+    setError(null);
+    setSavedName(null);
+    setIsGenerating(true);
+    try {
+      setSession(await RewriteWorkbenchService.createSessionForBranch(userId, branchId));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not generate suggestions');
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const decide = (update: (current: WorkbenchSession) => WorkbenchSession) => {
+    if (!session) return;
+    setError(null);
+    try {
+      setSession(update(session));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Something went wrong');
+    }
+  };
+
+  const saveEdit = () => {
+    if (!editing) return;
+    decide(current => RewriteWorkbenchService.edit(current, editing.key, editing.text));
+    setEditing(null);
+  };
+
+  const save = () => {
+    if (!session) return;
+    setError(null);
+    try {
+      const version = RewriteWorkbenchService.saveAsVersion(userId, session);
+      setSavedName(version.name);
+      setSession(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not save the version');
+    }
+  };
+
+  const renderChecks = (candidate: RewriteCandidate) => {
+    const { hallucinatedTerms, metricsLost, metricsAdded, semanticSimilarity } = candidate.checks;
+    return (
+      <div className="flex flex-wrap gap-2 mt-2 text-xs">
+        <span className={candidate.scoreDelta >= 0 ? 'text-green-400' : 'text-red-400'}>
+          score {formatDelta(candidate.scoreDelta)}
+        </span>
+        {semanticSimilarity !== undefined && (
+          <span className={semanticSimilarity >= 0.7 ? 'text-gray-400' : 'text-yellow-300'}>
+            {Math.round(semanticSimilarity * 100)}% same meaning
+          </span>
+        )}
+        {hallucinatedTerms.length > 0 && (
+          <span className="px-2 py-0.5 bg-red-500/20 text-red-300 rounded-full">
+            Not in your resume or the JD: {hallucinatedTerms.join(', ')}
+          </span>
+        )}
+        {metricsLost.length > 0 && (
+          <span className="px-2 py-0.5 bg-yellow-500/20 text-yellow-200 rounded-full">
+            Drops {metricsLost.join(', ')}
+          </span>
+        )}
+        {metricsAdded.length > 0 && (
+          <span className="px-2 py-0.5 bg-red-500/20 text-red-300 rounded-full">
+            Adds unverified {metricsAdded.join(', ')}
+          </span>
+        )}
+        {!RewriteWorkbenchService.isFlagged(candidate) && (
+          <span className="text-green-400 flex items-center"><Check className="w-3 h-3 mr-1" />Facts preserved</span>
+        )}
+      </div>
+    );
+  };
+
+  const renderBullet = (bullet: WorkbenchBullet) => {
+    const { status, candidateId } = bullet.decision;
+    return (
+      <li key={bullet.key} className="bg-slate-700/40 rounded-lg p-4 text-sm">
+        <div className="flex justify-between items-baseline gap-2 mb-2">
+          <span className="text-xs text-gray-400">{bullet.entryLabel}</span>
+          {status !== 'pending' && (
+            <button onClick={() => decide(current => RewriteWorkbenchService.reset(current, bullet.key))} className="flex items-center text-xs text-gray-400 hover:text-gray-200">
+              <RotateCcw className="w-3 h-3 mr-1" /> Undo
+            </button>
+          )}
+        </div>
+        <div className={status === 'rejected' ? 'text-white' : 'text-gray-300'}>
+          {bullet.original}
+          {status === 'rejected' && <span className="ml-2 text-xs text-gray-400">(kept)</span>}
+        </div>
+
+        <ul className="mt-3 space-y-2">
+          {bullet.candidates.map(candidate => {
+            const isAccepted = status === 'accepted' && candidateId === candidate.id;
+            return (
+              <li
+                key={candidate.id}
+                className={`border rounded-lg p-3 ${isAccepted ? 'border-green-500 bg-green-500/10' : 'border-slate-600'}`}
+              >
+                <div className="flex justify-between gap-3">
+                  <div>
+                    <div className="text-xs text-blue-300 mb-1">{SOURCE_LABELS[candidate.source]}</div>
+                    {candidate.bullets.length === 0
+                      ? <div className="italic text-gray-400">Remove this bullet</div>
+                      : candidate.bullets.map((text, index) => <div key={index}>{text}</div>)}
+                  </div>
+                  {!isAccepted && (
+                    <button
+                      onClick={() => decide(current => RewriteWorkbenchService.accept(current, bullet.key, candidate.id))}
+                      className="self-start flex items-center px-3 py-1 bg-green-600/80 hover:bg-green-600 rounded-lg text-xs transition-colors"
+                    >
+                      {RewriteWorkbenchService.isFlagged(candidate) && <AlertTriangle className="w-3 h-3 mr-1 text-yellow-200" />}
+                      Accept
+                    </button>
+                  )}
+                </div>
+                {renderChecks(candidate)}
+              </li>
+            );
+          })}
+        </ul>
+
+        {editing?.key === bullet.key ? (
+          <div className="mt-3">
+            <textarea
+              value={editing.text}
+              onChange={(e) => setEditing({ key: bullet.key, text: e.target.value })}
+              className="w-full h-20 bg-slate-700 border border-slate-600 rounded-lg p-3 text-white resize-none focus:outline-none focus:border-blue-500 text-sm"
+              aria-label={`Edit bullet: ${bullet.original}`}
+            />
+            <p className="text-xs text-gray-400 mt-1">One line per bullet. Leave empty to remove the bullet.</p>
+            <div className="flex gap-2 mt-2">
+              <button onClick={saveEdit} className="px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded-lg text-xs transition-colors">Use my edit</button>
+              <button onClick={() => setEditing(null)} className="px-3 py-1 bg-slate-700 hover:bg-slate-600 rounded-lg text-xs transition-colors">Cancel</button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex gap-3 mt-3 text-xs">
+            <button
+              onClick={() => setEditing({
+                key: bullet.key,
+                text: bullet.candidates.find(c => c.id === candidateId)?.bullets.join('\n') ?? bullet.original
+              })}
+              className="flex items-center text-blue-400 hover:text-blue-300"
+            >
+              <Pencil className="w-3 h-3 mr-1" /> Edit
+            </button>
+            {bullet.candidates.length > 0 && status !== 'rejected' && (
+              <button onClick={() => decide(current => RewriteWorkbenchService.reject(current, bullet.key))} className="flex items-center text-red-300 hover:text-red-200">
+                <X className="w-3 h-3 mr-1" /> Keep original
+              </button>
+            )}
+          </div>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-blue-900 to-slate-900 text-white">
+      <div className="container mx-auto px-4 py-8">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-center mb-8"
+        >
+          <button
+            onClick={onNavigateBack}
+            className="mb-4 text-blue-400 hover:text-blue-300 transition-colors"
+          >
+            ← Back to Tools
+          </button>
+          <h1 className="text-4xl font-bold mb-4 bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+            Rewrite Workbench
+          </h1>
+          <p className="text-gray-300 max-w-2xl mx-auto">
+            Review suggested rewrites one bullet at a time. Each suggestion shows terms and numbers it
+            introduces, metrics it drops and the expected score change. Nothing changes until you save.
+          </p>
+        </motion.div>
+
+        <div className="max-w-5xl mx-auto space-y-6">
+          {error && (
+            <div className="p-3 bg-red-500/20 border border-red-500/40 rounded-lg flex items-center text-red-300 text-sm">
+              <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+
+          {savedName && (
+            <div className="p-3 bg-green-500/20 border border-green-500/40 rounded-lg flex items-center justify-between text-green-200 text-sm">
+              <span className="flex items-center"><Check className="w-4 h-4 mr-2" />Saved "{savedName}"</span>
+              <button onClick={onOpenHistory} className="text-green-100 underline">View versions</button>
+            </div>
+          )}
+
+          {rewrite ? (
+            <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-6 text-sm text-gray-300">
+              {isGenerating
+                ? 'Checking each bullet the optimizer reworded…'
+                : "Reviewing the optimizer's rewrite. Reworded bullets are back at your original text until you accept a suggestion."}
+            </div>
+          ) : branches.length === 0 ? (
+            <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-6 text-center text-gray-300">
+              No saved resumes yet. Run the resume optimizer first; its result is what you review here.
+            </div>
+          ) : (
+            <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-6 flex flex-wrap items-end gap-4">
+              <label className="flex-1 min-w-[16rem] text-sm text-gray-300">
+                Resume to review
+                <select
+                  value={branchId ?? ''}
+                  onChange={(e) => { setBranchId(e.target.value); setSession(null); }}
+                  className="mt-1 w-full bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white"
+                >
+                  {branches.map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+                </select>
+              </label>
+              <button
+                onClick={generate}
+                disabled={!branchId || isGenerating}
+                className="flex items-center px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg font-semibold transition-all text-sm"
+              >
+                <Sparkles className="w-4 h-4 mr-2" />
+                {isGenerating ? 'Generating…' : session ? 'Regenerate suggestions' : 'Suggest rewrites'}
+              </button>
+            </div>
+          )}
+
+          {session && summary && (
+            <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-6">
+              <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+                <div className="text-sm text-gray-300">
+                  {summary.withCandidates} of {summary.total} bullets have suggestions ·
+                  {' '}{summary.accepted} accepted · {summary.rejected} kept · {summary.pending} undecided
+                  {summary.flagged > 0 && <span className="text-yellow-300"> · {summary.flagged} accepted with warnings</span>}
+                </div>
+                <label className="flex items-center text-xs text-gray-400">
+                  <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} className="mr-2" />
+                  Show bullets without suggestions
+                </label>
+              </div>
+
+              {visibleBullets.length === 0 ? (
+                <p className="text-sm text-gray-300">No rewrites suggested for this resume.</p>
+              ) : (
+                <ul className="space-y-4">{visibleBullets.map(renderBullet)}</ul>
+              )}
+
+              <div className="flex flex-wrap justify-between items-center gap-3 mt-6 pt-4 border-t border-slate-700">
+                <span className="text-sm">
+                  Score {summary.baseScore} → <span className="font-semibold">{summary.predictedScore}</span>
+                  <span className={summary.predictedScore >= summary.baseScore ? 'text-green-400' : 'text-red-400'}>
+                    {' '}({formatDelta(summary.predictedScore - summary.baseScore)})
+                  </span>
+                </span>
+                <button
+                  onClick={save}
+                  disabled={summary.accepted === 0}
+                  className="flex items-center px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg font-semibold transition-all text-sm"
+                >
+                  <Save className="w-4 h-4 mr-2" />
+                  Save as new version
+                </button>
+              </div>
+            </motion.div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
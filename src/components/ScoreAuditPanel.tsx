@@ -0,0 +1,152 @@
+/**
+ * Score Audit Panel
+ * Explains one 16-parameter score at a time: the rule steps that produced it,
+ * penalties behind its metrics and the resume lines that earned or cost points
+ */
+
+import React, { useMemo, useState } from 'react';
+import { Download, ListChecks } from 'lucide-react';
+import { ScoreAuditTrail } from '../types/scoreAudit';
+import { scoreAuditService } from '../services/scoreAuditService';
+
+interface ScoreAuditPanelProps {
+  audit: ScoreAuditTrail;
+  resumeText?: string;
+}
+
+const MAX_HIGHLIGHTED_LINES = 12;
+
+export const ScoreAuditPanel: React.FC<ScoreAuditPanelProps> = ({ audit, resumeText = '' }) => {
+  const [selectedKey, setSelectedKey] = useState(audit.parameters[0]?.key);
+  const selected = audit.parameters.find(parameter => parameter.key === selectedKey) || audit.parameters[0];
+
+  const highlightedLines = useMemo(
+    () => (selected && resumeText ? scoreAuditService.getHighlightedLines(resumeText, selected.evidence) : []),
+    [resumeText, selected]
+  );
+  const missingFromResume = selected ? selected.evidence.filter(span => span.source === 'jd') : [];
+
+  const handleExport = () => {
+    const blob = new Blob([scoreAuditService.serializeTrail(audit)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `ats-score-audit-${Date.now()}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  if (!selected) return null;
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold flex items-center gap-2">
+          <ListChecks className="w-5 h-5 text-purple-400" />
+          Score Audit Trail
+        </h3>
+        <button
+          onClick={handleExport}
+          className="flex items-center gap-2 px-3 py-1.5 text-sm bg-slate-700 hover:bg-slate-600 rounded-lg transition-colors"
+        >
+          <Download className="w-4 h-4" />
+          Export audit JSON
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {audit.parameters.map(parameter => (
+          <button
+            key={parameter.key}
+            onClick={() => setSelectedKey(parameter.key)}
+            className={`px-2 py-1 rounded text-xs transition-colors ${
+              parameter.key === selected.key ? 'bg-purple-600 text-white' : 'bg-slate-700 text-gray-300 hover:bg-slate-600'
+            }`}
+          >
+            {parameter.name} {parameter.score}/{parameter.maxScore}
+          </button>
+        ))}
+      </div>
+
+      <div className="text-sm text-gray-400 mb-3">
+        Decided by <code className="text-purple-300">{selected.ruleId}</code> · weight {Math.round(selected.weight * 1000) / 10}% of {audit.maxTotal} points
+      </div>
+
+      {/* Rule steps */}
+      <ol className="space-y-1 mb-4 text-sm">
+        {selected.steps.map((step, index) => (
+          <li key={index} className="flex items-start gap-2 text-gray-300">
+            <span className={`font-mono w-12 text-right ${step.delta < 0 ? 'text-red-400' : 'text-green-400'}`}>
+              {step.kind === 'base' ? step.after : `${step.delta > 0 ? '+' : ''}${step.delta}`}
+            </span>
+            <span>
+              {step.description} <code className="text-xs text-gray-500">{step.ruleId}</code>
+            </span>
+          </li>
+        ))}
+      </ol>
+
+      {selected.penalties.length > 0 && (
+        <div className="mb-4">
+          <h4 className="text-sm font-semibold text-red-400 mb-2">Penalties</h4>
+          <ul className="space-y-1 text-sm text-gray-300">
+            {selected.penalties.map((penalty, index) => (
+              <li key={index}>
+                <span className="text-xs uppercase text-gray-500 mr-2">{penalty.severity}</span>
+                {penalty.reason}
+                {penalty.appliedPenalty > 0 && <span className="text-red-400 ml-2">-{penalty.appliedPenalty}%</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Resume lines that earned or cost points */}
+      {highlightedLines.length > 0 && (
+        <div className="mb-4">
+          <h4 className="text-sm font-semibold text-gray-200 mb-2">Resume evidence</h4>
+          <div className="bg-slate-900/60 rounded-lg p-3 font-mono text-xs space-y-1 overflow-x-auto">
+            {highlightedLines.slice(0, MAX_HIGHLIGHTED_LINES).map(({ line, segments }) => (
+              <div key={line} className="flex gap-3 whitespace-pre">
+                <span className="text-gray-600 w-8 text-right">{line}</span>
+                <span className="text-gray-400">
+                  {segments.map((segment, index) => (
+                    <span
+                      key={index}
+                      className={
+                        segment.effect === 'earned' ? 'bg-green-900/60 text-green-200 rounded' :
+                        segment.effect === 'cost' ? 'bg-red-900/60 text-red-200 rounded' : undefined
+                      }
+                    >
+                      {segment.text}
+                    </span>
+                  ))}
+                </span>
+              </div>
+            ))}
+            {highlightedLines.length > MAX_HIGHLIGHTED_LINES && (
+              <div className="text-gray-500">+{highlightedLines.length - MAX_HIGHLIGHTED_LINES} more lines</div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {missingFromResume.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-red-400 mb-2">In the job description but not the resume</h4>
+          <div className="flex flex-wrap gap-2">
+            {missingFromResume.map((span, index) => (
+              <span key={index} className="text-xs bg-red-900/30 text-red-200 px-2 py-1 rounded">
+                {span.text}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScoreAuditPanel;
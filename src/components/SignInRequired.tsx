@@ -0,0 +1,32 @@
+import React from 'react';
+import { Lock } from 'lucide-react';
+
+interface SignInRequiredProps {
+  title: string;
+  message: string;
+  onShowAuth: () => void;
+  onNavigateBack: () => void;
+}
+
+// Stands in for tools that keep per-account data, such as resume history
+export const SignInRequired: React.FC<SignInRequiredProps> = ({ title, message, onShowAuth, onNavigateBack }) => (
+  <div className="min-h-screen bg-gradient-to-br from-slate-900 via-blue-900 to-slate-900 text-white flex items-center justify-center px-4">
+    <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl border border-slate-700 p-8 max-w-md w-full text-center">
+      <Lock className="w-10 h-10 text-blue-400 mx-auto mb-4" />
+      <h1 className="text-2xl font-bold mb-2">{title}</h1>
+      <p className="text-gray-300 mb-6">{message}</p>
+      <button
+        onClick={onShowAuth}
+        className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold px-6 py-3 rounded-lg transition-colors"
+      >
+        Sign In
+      </button>
+      <button
+        onClick={onNavigateBack}
+        className="mt-4 text-blue-400 hover:text-blue-300 transition-colors"
+      >
+        ← Back to Tools
+      </button>
+    </div>
+  </div>
+);
@@ -0,0 +1,44 @@
+// src/components/StreamingResumePreview.tsx
+import React from 'react';
+import { ResumeData } from '../types/resume';
+
+interface StreamingResumePreviewProps {
+  partial: Partial<ResumeData>;
+}
+
+// The optimized resume as the AI writes it; fields fill in as they stream
+export const StreamingResumePreview: React.FC<StreamingResumePreviewProps> = ({ partial }) => {
+  const summary = partial.summary || partial.careerObjective;
+  const experience = Array.isArray(partial.workExperience) ? partial.workExperience.filter(Boolean) : [];
+  const latest = experience[experience.length - 1];
+  const latestBullets = Array.isArray(latest?.bullets) ? latest.bullets : [];
+  const skillCount = Array.isArray(partial.skills)
+    ? partial.skills.reduce((count, skill) => count + (Array.isArray(skill?.list) ? skill.list.length : 0), 0)
+    : 0;
+  const projectCount = Array.isArray(partial.projects) ? partial.projects.length : 0;
+
+  return (
+    <div className="rounded-xl border border-slate-700/60 bg-slate-900/60 p-4 max-h-64 overflow-hidden" aria-live="polite">
+      <p className="text-xs font-semibold uppercase tracking-wide text-emerald-400 mb-2">Writing your resume</p>
+
+      {summary && <p className="text-sm text-slate-300 line-clamp-3 mb-3">{summary}</p>}
+
+      {latest && (
+        <div className="mb-3">
+          <p className="text-sm font-medium text-slate-200">
+            {[latest.role, latest.company].filter(Boolean).join(' · ')}
+          </p>
+          <ul className="mt-1 space-y-1">
+            {latestBullets.slice(-2).map((bullet, index) => (
+              <li key={index} className="text-xs text-slate-400 line-clamp-2">• {bullet}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <p className="text-xs text-slate-500">
+        {experience.length} role{experience.length === 1 ? '' : 's'} · {projectCount} project{projectCount === 1 ? '' : 's'} · {skillCount} skill{skillCount === 1 ? '' : 's'}
+      </p>
+    </div>
+  );
+};
@@ -38,6 +38,7 @@ import { ResumeData, ExtractionResult } from '../types/resume';
 import { AlertModal } from './AlertModal';
 import { DeviceManagement } from './security/DeviceManagement';
 import { supabase } from '../lib/supabaseClient'; // ADDED: Import supabase client
+import { edenFetch } from '../utils/workerClient';
 
 // Mock services for local development if needed
 const mockAuthService = {
@@ -61,11 +62,6 @@ const mockPaymentService = {
     return Promise.resolve({ success: true, transactionId: 'mock_tx_123' });
   },
   parseResumeWithAI: async (resumeText: string): Promise<ResumeData> => {
-    const edenApiKey = import.meta.env.VITE_EDENAI_API_KEY;
-    if (!edenApiKey) {
-      throw new Error('EdenAI API key is not configured. Please contact support.');
-    }
-
     const text = (resumeText || '').trim();
     if (!text) {
       throw new Error('Parsed resume was empty. Please upload a readable resume file.');
@@ -127,10 +123,9 @@ const mockPaymentService = {
     ];
     const prompt = promptLines.join('\n');
 
-    const response = await fetch('https://api.edenai.run/v2/text/chat', {
+    const response = await edenFetch('text/chat', {
       method: 'POST',
       headers: {
-        Authorization: 'Bearer ' + edenApiKey,
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
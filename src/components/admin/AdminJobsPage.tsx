@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Plus, Search, Filter, CreditCard as Edit, Trash2, Eye, ToggleLeft, ToggleRight, ArrowLeft, Briefcase, MapPin, Clock, IndianRupee, Building2, AlertCircle, Loader2, CheckCircle, Users, Mail } from 'lucide-react';
+import { Plus, Search, Filter, CreditCard as Edit, Trash2, Eye, ToggleLeft, ToggleRight, ArrowLeft, Briefcase, MapPin, Clock, IndianRupee, Building2, AlertCircle, Loader2, CheckCircle, Users, Mail, SlidersHorizontal, Network } from 'lucide-react';
 import { supabase } from '../../lib/supabaseClient';
 import { JobListing } from '../../types/jobs';
 
@@ -135,6 +135,20 @@ export const AdminJobsPage: React.FC = () => {
                 <Mail className="w-5 h-5" />
                 <span className="hidden sm:block">Email Testing</span>
               </button>
+              <button
+                onClick={() => navigate('/admin/scoring-profiles')}
+                className="bg-gradient-to-r from-cyan-600 to-blue-600 hover:from-cyan-700 hover:to-blue-700 text-white py-3 px-5 rounded-xl inline-flex items-center space-x-2 transition-all duration-200 shadow-lg"
+              >
+                <SlidersHorizontal className="w-5 h-5" />
+                <span className="hidden sm:block">Scoring Profiles</span>
+              </button>
+              <button
+                onClick={() => navigate('/admin/skill-taxonomy')}
+                className="bg-gradient-to-r from-teal-600 to-cyan-600 hover:from-teal-700 hover:to-cyan-700 text-white py-3 px-5 rounded-xl inline-flex items-center space-x-2 transition-all duration-200 shadow-lg"
+              >
+                <Network className="w-5 h-5" />
+                <span className="hidden sm:block">Skill Taxonomy</span>
+              </button>
               <button
                 onClick={() => navigate('/admin/users')}
                 className="bg-gradient-to-r from-purple-600 to-indigo-600 hover:from-purple-700 hover:to-indigo-700 text-white py-3 px-5 rounded-xl inline-flex items-center space-x-2 transition-all duration-200 shadow-lg"
@@ -0,0 +1,330 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { SlidersHorizontal, Plus, Save, Trash2, RotateCcw, Loader2, AlertCircle, CheckCircle, ArrowLeft, Search } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { scoringProfileService } from '../../services/scoringProfileService';
+import { scoringProfileRegistry } from '../../services/scoringProfiles/scoringProfileRegistry';
+import { validateScoringProfile } from '../../services/scoringProfiles/scoringProfileSchema';
+import { ScoringProfile, ScoringProfileIssue, ScoringProfileSelection } from '../../types/scoringProfile';
+
+const toJson = (profile: ScoringProfile) => JSON.stringify(profile, null, 2);
+
+const errorMessage = (err: unknown, fallback: string) => (err instanceof Error && err.message) || fallback;
+
+export const AdminScoringProfilesManager: React.FC = () => {
+  const navigate = useNavigate();
+  const [profiles, setProfiles] = useState<ScoringProfile[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [draft, setDraft] = useState('');
+  const [issues, setIssues] = useState<ScoringProfileIssue[]>([]);
+  const [deleteConfirm, setDeleteConfirm] = useState<string | null>(null);
+
+  const [sampleJD, setSampleJD] = useState('');
+  const [selection, setSelection] = useState<ScoringProfileSelection | null>(null);
+
+  const selectProfile = useCallback((profile?: ScoringProfile) => {
+    if (!profile) return;
+    setSelectedId(profile.id);
+    setDraft(toJson(profile));
+    setIssues([]);
+  }, []);
+
+  const loadProfiles = useCallback(async (keepId?: string) => {
+    try {
+      setIsLoading(true);
+      const loaded = await scoringProfileService.loadSavedProfiles();
+      setProfiles(loaded);
+      selectProfile(loaded.find(profile => profile.id === keepId) || loaded[0]);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load scoring profiles'));
+      const builtIns = scoringProfileRegistry.list();
+      setProfiles(builtIns);
+      selectProfile(builtIns[0]);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [selectProfile]);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  const parseDraft = (): unknown => {
+    try {
+      return JSON.parse(draft);
+    } catch (err) {
+      setIssues([{ path: '(json)', message: errorMessage(err, 'Invalid JSON') }]);
+      return undefined;
+    }
+  };
+
+  const handleValidate = () => {
+    const raw = parseDraft();
+    if (raw === undefined) return;
+
+    const validation = validateScoringProfile(raw);
+    setIssues(validation.issues);
+    if (validation.valid) setSuccess('Profile is valid');
+  };
+
+  const handleSave = async () => {
+    const raw = parseDraft();
+    if (raw === undefined) return;
+
+    const validation = validateScoringProfile(raw);
+    setIssues(validation.issues);
+    if (!validation.valid || !validation.profile) return;
+
+    try {
+      setError(null);
+      setIsSaving(true);
+      const saved = await scoringProfileService.saveProfile(validation.profile);
+      setSuccess(`Saved "${saved.name}"`);
+      await loadProfiles(saved.id);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to save scoring profile'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleNew = () => {
+    const base = scoringProfileRegistry.getDefault();
+    setSelectedId(null);
+    setDraft(toJson({
+      ...base,
+      id: 'new-profile',
+      name: 'New profile',
+      description: '',
+      builtIn: false,
+      selector: { roleTypes: [], titleKeywords: [], seniority: [], regions: [] }
+    }));
+    setIssues([]);
+  };
+
+  const handleDelete = async (profile: ScoringProfile) => {
+    if (deleteConfirm !== profile.id) {
+      setDeleteConfirm(profile.id);
+      setTimeout(() => setDeleteConfirm(null), 3000);
+      return;
+    }
+
+    try {
+      setError(null);
+      await scoringProfileService.deleteProfile(profile.id);
+      setSuccess(profile.builtIn ? `Restored the built-in "${profile.name}"` : `Deleted "${profile.name}"`);
+      setDeleteConfirm(null);
+      await loadProfiles(profile.builtIn ? profile.id : undefined);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to delete scoring profile'));
+    }
+  };
+
+  const handleTestSelection = () => {
+    setSelection(sampleJD.trim() ? scoringProfileRegistry.select(sampleJD) : null);
+  };
+
+  useEffect(() => {
+    if (success) {
+      const timer = setTimeout(() => setSuccess(null), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [success]);
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 dark:from-dark-50 dark:to-dark-200 py-12 px-4">
+        <div className="max-w-6xl mx-auto">
+          <div className="bg-white dark:bg-dark-100 rounded-2xl shadow-lg p-8 text-center">
+            <Loader2 className="w-12 h-12 text-blue-600 animate-spin mx-auto mb-4" />
+            <p className="text-gray-600 dark:text-gray-300">Loading...</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const selected = profiles.find(profile => profile.id === selectedId) || null;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 dark:from-dark-50 dark:to-dark-200 py-12 px-4">
+      <div className="max-w-6xl mx-auto">
+        <div className="mb-6">
+          <button
+            onClick={() => navigate('/admin/jobs')}
+            className="flex items-center gap-2 text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-100 transition-colors"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Back to Admin
+          </button>
+        </div>
+
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100 flex items-center gap-3">
+            <SlidersHorizontal className="w-8 h-8 text-blue-600" />
+            Scoring Profiles
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-2">
+            Parameter weights, penalty thresholds, required sections and page limits per role and region
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-6 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4 flex items-start gap-3">
+            <AlertCircle className="w-5 h-5 text-red-600 dark:text-red-400 flex-shrink-0 mt-0.5" />
+            <div className="flex-1">
+              <h3 className="text-sm font-semibold text-red-800 dark:text-red-200">Error</h3>
+              <p className="text-sm text-red-700 dark:text-red-300 mt-1">{error}</p>
+            </div>
+          </div>
+        )}
+
+        {success && (
+          <div className="mb-6 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-4 flex items-start gap-3">
+            <CheckCircle className="w-5 h-5 text-green-600 dark:text-green-400 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-green-700 dark:text-green-300">{success}</p>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="space-y-6">
+            <div className="bg-white dark:bg-dark-100 rounded-2xl shadow-lg border border-gray-200 dark:border-dark-300 overflow-hidden">
+              <div className="bg-blue-600 p-4 text-white flex items-center justify-between">
+                <h2 className="text-xl font-bold">Profiles</h2>
+                <button
+                  onClick={handleNew}
+                  className="flex items-center gap-1 text-sm bg-white/20 hover:bg-white/30 px-3 py-1 rounded-lg transition-colors"
+                >
+                  <Plus className="w-4 h-4" />
+                  New
+                </button>
+              </div>
+
+              <div className="p-4 space-y-2">
+                {profiles.map((profile) => {
+                  const edited = scoringProfileRegistry.isOverridden(profile.id);
+                  return (
+                    <div
+                      key={profile.id}
+                      className={`flex items-center justify-between p-3 rounded-lg transition-colors ${
+                        profile.id === selectedId
+                          ? 'bg-blue-50 dark:bg-blue-900/20'
+                          : 'bg-gray-50 dark:bg-dark-200 hover:bg-gray-100 dark:hover:bg-dark-300'
+                      }`}
+                    >
+                      <button onClick={() => selectProfile(profile)} className="flex-1 text-left">
+                        <p className="font-medium text-gray-900 dark:text-gray-100">{profile.name}</p>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                          {profile.id}
+                          {profile.builtIn ? ' · built-in' : ' · custom'}
+                          {profile.builtIn && edited ? ' · edited' : ''}
+                        </p>
+                      </button>
+                      {edited && (
+                        <button
+                          onClick={() => handleDelete(profile)}
+                          title={profile.builtIn ? 'Restore built-in version' : 'Delete profile'}
+                          className={`transition-colors ${
+                            deleteConfirm === profile.id
+                              ? 'text-red-700 dark:text-red-300'
+                              : 'text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300'
+                          }`}
+                        >
+                          {profile.builtIn ? <RotateCcw className="w-4 h-4" /> : <Trash2 className="w-4 h-4" />}
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
+            <div className="bg-white dark:bg-dark-100 rounded-2xl shadow-lg border border-gray-200 dark:border-dark-300 overflow-hidden">
+              <div className="bg-green-600 p-4 text-white">
+                <h2 className="text-xl font-bold">Test Selection</h2>
+              </div>
+              <div className="p-4 space-y-3">
+                <textarea
+                  value={sampleJD}
+                  onChange={(e) => setSampleJD(e.target.value)}
+                  rows={6}
+                  placeholder="Paste a job description"
+                  className="w-full px-4 py-2 border border-gray-300 dark:border-dark-400 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-dark-200 dark:text-gray-100 text-sm"
+                />
+                <button
+                  onClick={handleTestSelection}
+                  className="w-full bg-green-600 hover:bg-green-700 text-white font-semibold py-2 px-4 rounded-lg transition-colors flex items-center justify-center gap-2"
+                >
+                  <Search className="w-4 h-4" />
+                  Find Profile
+                </button>
+                {selection && (
+                  <div className="text-sm text-gray-700 dark:text-gray-300 space-y-1">
+                    <p className="font-semibold text-gray-900 dark:text-gray-100">{selection.profile.name}</p>
+                    <p>Role: {selection.roleType} · Seniority: {selection.seniority} · Region: {selection.region}</p>
+                    <ul className="list-disc list-inside text-gray-600 dark:text-gray-400">
+                      {selection.reasons.map((reason) => (
+                        <li key={reason}>{reason}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+
+          <div className="lg:col-span-2 bg-white dark:bg-dark-100 rounded-2xl shadow-lg border border-gray-200 dark:border-dark-300 overflow-hidden">
+            <div className="bg-blue-600 p-4 text-white">
+              <h2 className="text-xl font-bold">{selected ? `Edit ${selected.name}` : 'New Profile'}</h2>
+            </div>
+            <div className="p-6 space-y-4">
+              <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                rows={28}
+                spellCheck={false}
+                className="w-full px-4 py-2 border border-gray-300 dark:border-dark-400 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-dark-200 dark:text-gray-100 font-mono text-xs"
+              />
+
+              {issues.length > 0 && (
+                <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4">
+                  <h3 className="text-sm font-semibold text-red-800 dark:text-red-200 mb-2">
+                    {issues.length} validation {issues.length === 1 ? 'issue' : 'issues'}
+                  </h3>
+                  <ul className="space-y-1">
+                    {issues.map((issue, index) => (
+                      <li key={`${issue.path}-${index}`} className="text-sm text-red-700 dark:text-red-300">
+                        <code className="font-mono">{issue.path}</code>: {issue.message}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div className="flex gap-2">
+                <button
+                  onClick={handleValidate}
+                  className="px-4 py-2 border border-gray-300 dark:border-dark-400 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-dark-200 transition-colors"
+                >
+                  Validate
+                </button>
+                <button
+                  onClick={handleSave}
+                  disabled={isSaving}
+                  className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white font-semibold py-2 px-4 rounded-lg transition-colors flex items-center justify-center gap-2"
+                >
+                  {isSaving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                  Save Profile
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
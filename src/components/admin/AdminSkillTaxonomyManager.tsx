@@ -0,0 +1,395 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Network, Plus, Save, Trash2, RotateCcw, Loader2, AlertCircle, CheckCircle, ArrowLeft, Search } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { skillTaxonomyService } from '../../services/skillTaxonomyService';
+import { skillTaxonomyRegistry } from '../../services/skillTaxonomy/skillTaxonomyRegistry';
+import { validateSkillNode } from '../../services/skillTaxonomy/skillTaxonomySchema';
+import { SkillNode, SkillNodeValidationIssue } from '../../types/skillTaxonomy';
+
+// The list only renders this many matches; narrow it down with the filter
+const MAX_LISTED = 100;
+
+const toJson = (skill: SkillNode) => JSON.stringify(skill, null, 2);
+
+const errorMessage = (err: unknown, fallback: string) => (err instanceof Error && err.message) || fallback;
+
+// "Invalid skill taxonomy entry: aliases "k8s" already belongs to kubernetes"
+const toIssue = (message: string): SkillNodeValidationIssue => {
+  const match = message.match(/^Invalid skill taxonomy entry: (\S+) (.*)$/);
+  return match ? { path: match[1], message: match[2] } : { path: '(skill)', message };
+};
+
+export const AdminSkillTaxonomyManager: React.FC = () => {
+  const navigate = useNavigate();
+  const [skills, setSkills] = useState<SkillNode[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  const [filter, setFilter] = useState('');
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [draft, setDraft] = useState('');
+  const [issues, setIssues] = useState<SkillNodeValidationIssue[]>([]);
+  const [deleteConfirm, setDeleteConfirm] = useState<string | null>(null);
+
+  const [lookupTerm, setLookupTerm] = useState('');
+  const [lookupResult, setLookupResult] = useState<string[] | null>(null);
+
+  const selectSkill = useCallback((skill?: SkillNode) => {
+    if (!skill) return;
+    setSelectedId(skill.id);
+    setDraft(toJson(skill));
+    setIssues([]);
+  }, []);
+
+  const loadSkills = useCallback(async (keepId?: string) => {
+    try {
+      setIsLoading(true);
+      const loaded = await skillTaxonomyService.loadSavedEntries();
+      setSkills(loaded);
+      selectSkill(loaded.find(skill => skill.id === keepId) || loaded[0]);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load the skill taxonomy'));
+      const builtIns = skillTaxonomyRegistry.list();
+      setSkills(builtIns);
+      selectSkill(builtIns[0]);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [selectSkill]);
+
+  useEffect(() => {
+    loadSkills();
+  }, [loadSkills]);
+
+  const listed = useMemo(() => {
+    const query = filter.trim().toLowerCase();
+    const matches = query
+      ? skills.filter(skill =>
+          skill.id.includes(query) ||
+          skillTaxonomyRegistry.spellingsOf(skill).some(spelling => spelling.includes(query)))
+      : skills;
+    return matches.slice(0, MAX_LISTED);
+  }, [skills, filter]);
+
+  const parseDraft = (): unknown => {
+    try {
+      return JSON.parse(draft);
+    } catch (err) {
+      setIssues([{ path: '(json)', message: errorMessage(err, 'Invalid JSON') }]);
+      return undefined;
+    }
+  };
+
+  // Schema problems are all listed; clashes with other entries come one at a time
+  const checkDraft = (raw: unknown): boolean => {
+    const validation = validateSkillNode(raw);
+    if (!validation.valid) {
+      setIssues(validation.issues);
+      return false;
+    }
+
+    try {
+      skillTaxonomyRegistry.validate(raw);
+      setIssues([]);
+      return true;
+    } catch (err) {
+      setIssues([toIssue(errorMessage(err, 'Invalid skill'))]);
+      return false;
+    }
+  };
+
+  const handleValidate = () => {
+    const raw = parseDraft();
+    if (raw !== undefined && checkDraft(raw)) setSuccess('Skill is valid');
+  };
+
+  const handleSave = async () => {
+    const raw = parseDraft();
+    if (raw === undefined || !checkDraft(raw)) return;
+
+    try {
+      setError(null);
+      setIsSaving(true);
+      const saved = await skillTaxonomyService.saveEntry(raw);
+      setSuccess(`Saved "${saved.name}"`);
+      await loadSkills(saved.id);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to save skill'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleNew = () => {
+    const parent = selectedId ? skillTaxonomyRegistry.get(selectedId) : undefined;
+    setSelectedId(null);
+    setDraft(JSON.stringify({
+      id: 'new-skill',
+      name: 'New skill',
+      kind: 'skill',
+      category: parent?.category || 'tools',
+      ...(parent?.atsCategory ? { atsCategory: parent.atsCategory } : {}),
+      ...(parent ? { parent: parent.id } : {}),
+      aliases: [],
+      synonyms: []
+    }, null, 2));
+    setIssues([]);
+  };
+
+  const handleDelete = async (skill: SkillNode) => {
+    if (deleteConfirm !== skill.id) {
+      setDeleteConfirm(skill.id);
+      setTimeout(() => setDeleteConfirm(null), 3000);
+      return;
+    }
+
+    const builtIn = Boolean(skillTaxonomyRegistry.getBuiltIn(skill.id));
+    try {
+      setError(null);
+      await skillTaxonomyService.deleteEntry(skill.id);
+      setSuccess(builtIn ? `Restored the shipped "${skill.name}"` : `Deleted "${skill.name}"`);
+      setDeleteConfirm(null);
+      await loadSkills(builtIn ? skill.id : undefined);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to delete skill'));
+    }
+  };
+
+  const handleLookup = () => {
+    const term = lookupTerm.trim();
+    if (!term) {
+      setLookupResult(null);
+      return;
+    }
+
+    const resolution = skillTaxonomyRegistry.resolve(term);
+    if (!resolution) {
+      setLookupResult([`"${term}" is not in the taxonomy`]);
+      return;
+    }
+
+    const { skill, matchedAs, language } = resolution;
+    const canonical = skillTaxonomyRegistry.canonical(term);
+    const path = [skill, ...skillTaxonomyRegistry.getAncestors(skill.id)].map(node => node.name).join(' → ');
+    setLookupResult([
+      `${skill.name} (${skill.id}), matched as ${matchedAs}${language ? ` in ${language}` : ''}`,
+      `Hierarchy: ${path}`,
+      `ATS section: ${skillTaxonomyRegistry.atsCategoryOf(term) || 'none'}`,
+      `Synonyms: ${skillTaxonomyRegistry.getSynonyms(skill.name).join(', ') || 'none'}`,
+      ...(canonical && canonical.id !== skill.id ? [`Deprecated; list ${canonical.name} instead`] : [])
+    ]);
+  };
+
+  useEffect(() => {
+    if (success) {
+      const timer = setTimeout(() => setSuccess(null), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [success]);
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 dark:from-dark-50 dark:to-dark-200 py-12 px-4">
+        <div className="max-w-6xl mx-auto">
+          <div className="bg-white dark:bg-dark-100 rounded-2xl shadow-lg p-8 text-center">
+            <Loader2 className="w-12 h-12 text-blue-600 animate-spin mx-auto mb-4" />
+            <p className="text-gray-600 dark:text-gray-300">Loading...</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const selected = skills.find(skill => skill.id === selectedId) || null;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 dark:from-dark-50 dark:to-dark-200 py-12 px-4">
+      <div className="max-w-6xl mx-auto">
+        <div className="mb-6">
+          <button
+            onClick={() => navigate('/admin/jobs')}
+            className="flex items-center gap-2 text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-100 transition-colors"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Back to Admin
+          </button>
+        </div>
+
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100 flex items-center gap-3">
+            <Network className="w-8 h-8 text-blue-600" />
+            Skill Taxonomy
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-2">
+            Skills, their aliases and synonyms, parent skills and deprecations used by every matcher (dataset v{skillTaxonomyRegistry.version})
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-6 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4 flex items-start gap-3">
+            <AlertCircle className="w-5 h-5 text-red-600 dark:text-red-400 flex-shrink-0 mt-0.5" />
+            <div className="flex-1">
+              <h3 className="text-sm font-semibold text-red-800 dark:text-red-200">Error</h3>
+              <p className="text-sm text-red-700 dark:text-red-300 mt-1">{error}</p>
+            </div>
+          </div>
+        )}
+
+        {success && (
+          <div className="mb-6 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-4 flex items-start gap-3">
+            <CheckCircle className="w-5 h-5 text-green-600 dark:text-green-400 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-green-700 dark:text-green-300">{success}</p>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="space-y-6">
+            <div className="bg-white dark:bg-dark-100 rounded-2xl shadow-lg border border-gray-200 dark:border-dark-300 overflow-hidden">
+              <div className="bg-blue-600 p-4 text-white flex items-center justify-between">
+                <h2 className="text-xl font-bold">Skills</h2>
+                <button
+                  onClick={handleNew}
+                  title="New skill under the selected one"
+                  className="flex items-center gap-1 text-sm bg-white/20 hover:bg-white/30 px-3 py-1 rounded-lg transition-colors"
+                >
+                  <Plus className="w-4 h-4" />
+                  New
+                </button>
+              </div>
+
+              <div className="p-4 space-y-2">
+                <input
+                  type="text"
+                  value={filter}
+                  onChange={(e) => setFilter(e.target.value)}
+                  placeholder={`Filter ${skills.length} skills`}
+                  className="w-full px-4 py-2 border border-gray-300 dark:border-dark-400 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-dark-200 dark:text-gray-100 text-sm"
+                />
+                <div className="max-h-[32rem] overflow-y-auto space-y-2">
+                  {listed.map((skill) => {
+                    const edited = skillTaxonomyRegistry.isOverridden(skill.id);
+                    const builtIn = Boolean(skillTaxonomyRegistry.getBuiltIn(skill.id));
+                    return (
+                      <div
+                        key={skill.id}
+                        className={`flex items-center justify-between p-3 rounded-lg transition-colors ${
+                          skill.id === selectedId
+                            ? 'bg-blue-50 dark:bg-blue-900/20'
+                            : 'bg-gray-50 dark:bg-dark-200 hover:bg-gray-100 dark:hover:bg-dark-300'
+                        }`}
+                      >
+                        <button onClick={() => selectSkill(skill)} className="flex-1 text-left">
+                          <p className={`font-medium text-gray-900 dark:text-gray-100 ${skill.deprecated ? 'line-through' : ''}`}>
+                            {skill.name}
+                          </p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400">
+                            {skill.id}
+                            {skill.kind === 'group' ? ' · group' : ''}
+                            {builtIn ? '' : ' · custom'}
+                            {builtIn && edited ? ' · edited' : ''}
+                          </p>
+                        </button>
+                        {edited && (
+                          <button
+                            onClick={() => handleDelete(skill)}
+                            title={builtIn ? 'Restore shipped version' : 'Delete skill'}
+                            className={`transition-colors ${
+                              deleteConfirm === skill.id
+                                ? 'text-red-700 dark:text-red-300'
+                                : 'text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300'
+                            }`}
+                          >
+                            {builtIn ? <RotateCcw className="w-4 h-4" /> : <Trash2 className="w-4 h-4" />}
+                          </button>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            </div>
+
+            <div className="bg-white dark:bg-dark-100 rounded-2xl shadow-lg border border-gray-200 dark:border-dark-300 overflow-hidden">
+              <div className="bg-green-600 p-4 text-white">
+                <h2 className="text-xl font-bold">Look Up a Term</h2>
+              </div>
+              <div className="p-4 space-y-3">
+                <input
+                  type="text"
+                  value={lookupTerm}
+                  onChange={(e) => setLookupTerm(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleLookup()}
+                  placeholder="e.g. k8s or Maschinelles Lernen"
+                  className="w-full px-4 py-2 border border-gray-300 dark:border-dark-400 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-dark-200 dark:text-gray-100 text-sm"
+                />
+                <button
+                  onClick={handleLookup}
+                  className="w-full bg-green-600 hover:bg-green-700 text-white font-semibold py-2 px-4 rounded-lg transition-colors flex items-center justify-center gap-2"
+                >
+                  <Search className="w-4 h-4" />
+                  Resolve
+                </button>
+                {lookupResult && (
+                  <ul className="text-sm text-gray-700 dark:text-gray-300 space-y-1">
+                    {lookupResult.map((line) => (
+                      <li key={line}>{line}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+          </div>
+
+          <div className="lg:col-span-2 bg-white dark:bg-dark-100 rounded-2xl shadow-lg border border-gray-200 dark:border-dark-300 overflow-hidden">
+            <div className="bg-blue-600 p-4 text-white">
+              <h2 className="text-xl font-bold">{selected ? `Edit ${selected.name}` : 'New Skill'}</h2>
+            </div>
+            <div className="p-6 space-y-4">
+              <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                rows={28}
+                spellCheck={false}
+                className="w-full px-4 py-2 border border-gray-300 dark:border-dark-400 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-dark-200 dark:text-gray-100 font-mono text-xs"
+              />
+
+              {issues.length > 0 && (
+                <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4">
+                  <h3 className="text-sm font-semibold text-red-800 dark:text-red-200 mb-2">
+                    {issues.length} validation {issues.length === 1 ? 'issue' : 'issues'}
+                  </h3>
+                  <ul className="space-y-1">
+                    {issues.map((issue, index) => (
+                      <li key={`${issue.path}-${index}`} className="text-sm text-red-700 dark:text-red-300">
+                        <code className="font-mono">{issue.path}</code>: {issue.message}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div className="flex gap-2">
+                <button
+                  onClick={handleValidate}
+                  className="px-4 py-2 border border-gray-300 dark:border-dark-400 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-dark-200 transition-colors"
+                >
+                  Validate
+                </button>
+                <button
+                  onClick={handleSave}
+                  disabled={isSaving}
+                  className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white font-semibold py-2 px-4 rounded-lg transition-colors flex items-center justify-center gap-2"
+                >
+                  {isSaving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                  Save Skill
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
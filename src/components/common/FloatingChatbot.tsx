@@ -1,7 +1,8 @@
-import React, { useState } from "react";
+import React, { useRef, useState } from "react";
 import { AnimatePresence, motion } from "framer-motion";
-import { Bot, Send, X } from "lucide-react";
+import { Bot, Send, Square, X } from "lucide-react";
 import { callCloudflareAI } from "../../utils/cloudflareApi";
+import { isAbortError } from "../../services/llm/llmStream";
 
 interface Message {
   role: "user" | "assistant";
@@ -15,9 +16,18 @@ export const FloatingChatbot: React.FC = () => {
   const [loading, setLoading] = useState(false);
   const [showFaq, setShowFaq] = useState(true);
   const [showAllChips, setShowAllChips] = useState(false);
+  const [streaming, setStreaming] = useState(false);
+  const abortRef = useRef<AbortController | null>(null);
+
+  // Replace the reply being streamed, which is always the last message
+  const setReply = (content: string) =>
+    setMessages((prev) => [...prev.slice(0, -1), { role: "assistant", content }]);
+
+  const stopReply = () => abortRef.current?.abort();
 
   const toggleOpen = () => {
     if (isOpen) {
+      stopReply();
       setMessages([]);
       setShowFaq(true);
       setShowAllChips(false);
@@ -26,13 +36,17 @@ export const FloatingChatbot: React.FC = () => {
   };
 
   const sendMessage = async (text: string) => {
-    if (!text.trim()) return;
+    // Enter still submits the form while a reply is running
+    if (!text.trim() || loading) return;
     setShowFaq(false);
 
     const userMsg = { role: "user", content: text };
     setMessages((prev) => [...prev, userMsg]);
     setInput("");
     setLoading(true);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    let started = false;
 
     try {
       const systemPrompt = `
@@ -67,20 +81,36 @@ End payment-related answers with:
 "For billing or payment issues, email primoboostai@gmail.com with a screenshot. Our team replies within 2 minutes."
 `;
 
-      const reply = await callCloudflareAI(`${systemPrompt}\n\nUser: ${text}`);
-      setMessages((prev) => [...prev, { role: "assistant", content: reply }]);
+      const reply = await callCloudflareAI({
+        prompt: `${systemPrompt}\n\nUser: ${text}`,
+        feature: "chatbot",
+        cache: false,
+        signal: controller.signal,
+        onToken: (_delta, soFar) => {
+          if (!started) {
+            started = true;
+            setStreaming(true);
+            setMessages((prev) => [...prev, { role: "assistant", content: soFar }]);
+          } else {
+            setReply(soFar);
+          }
+        },
+      });
+      if (started) setReply(reply);
+      else setMessages((prev) => [...prev, { role: "assistant", content: reply }]);
     } catch (err) {
+      // Stopped by the user: keep whatever had arrived
+      if (isAbortError(err)) return;
       console.error("Chat Error:", err);
-      setMessages((prev) => [
-        ...prev,
-        {
-          role: "assistant",
-          content:
-            "There seems to be a connection issue. Please try again or email primoboostai@gmail.com for quick support.",
-        },
-      ]);
+      const failure =
+        "There seems to be a connection issue. Please try again or email primoboostai@gmail.com for quick support.";
+      // A reply that broke off partway is replaced rather than left half-written
+      if (started) setReply(failure);
+      else setMessages((prev) => [...prev, { role: "assistant", content: failure }]);
     } finally {
+      if (abortRef.current === controller) abortRef.current = null;
       setLoading(false);
+      setStreaming(false);
     }
   };
 
@@ -160,7 +190,7 @@ End payment-related answers with:
                         </div>
                       </div>
                     ))}
-                    {loading && (
+                    {loading && !streaming && (
                       <p className="text-xs text-gray-500 dark:text-gray-400 animate-pulse">
                         PrimoBoost AI is typing...
                       </p>
@@ -204,13 +234,23 @@ End payment-related answers with:
                       placeholder="Ask about resumes, jobs, or pricing..."
                       className="flex-1 h-12 rounded-2xl border border-gray-200 bg-white px-4 text-sm outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-200 dark:bg-gray-800 dark:border-gray-700 dark:text-white"
                     />
-                    <button
-                      type="submit"
-                      disabled={loading}
-                      className="flex h-12 w-12 items-center justify-center rounded-2xl bg-gradient-to-br from-blue-600 to-indigo-600 text-white shadow hover:scale-105 transition disabled:opacity-60"
-                    >
-                      <Send className="h-4 w-4" />
-                    </button>
+                    {loading ? (
+                      <button
+                        type="button"
+                        onClick={stopReply}
+                        className="flex h-12 w-12 items-center justify-center rounded-2xl bg-gray-200 text-gray-700 shadow hover:scale-105 transition dark:bg-gray-700 dark:text-gray-100"
+                        aria-label="Stop reply"
+                      >
+                        <Square className="h-4 w-4" />
+                      </button>
+                    ) : (
+                      <button
+                        type="submit"
+                        className="flex h-12 w-12 items-center justify-center rounded-2xl bg-gradient-to-br from-blue-600 to-indigo-600 text-white shadow hover:scale-105 transition disabled:opacity-60"
+                      >
+                        <Send className="h-4 w-4" />
+                      </button>
+                    )}
                   </form>
                 </div>
               </motion.div>
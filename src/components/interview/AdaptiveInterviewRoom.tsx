@@ -3,7 +3,10 @@ import { useNavigate } from 'react-router-dom';
 import { Clock, Code, MessageSquare, Send, Play, CheckCircle, XCircle, AlertCircle } from 'lucide-react';
 import { adaptiveInterviewSessionService } from '../../services/adaptiveInterviewSessionService';
 import { adaptiveQuestionService } from '../../services/adaptiveQuestionService';
-import { codeCompilerService, TestCase, ExecutionResult } from '../../services/codeCompilerService';
+import { codeCompilerService, TestCase, ExecutionResult, CompilationResult } from '../../services/codeCompilerService';
+import { TEST_STATUS_LABELS } from '../../services/codeExecution/grading';
+import { interviewFeedbackService } from '../../services/interviewFeedbackService';
+import { rubricCategoryFor } from '../../services/interviewRubric/rubrics';
 import { useAuth } from '../../contexts/AuthContext';
 
 interface AdaptiveInterviewRoomProps {
@@ -38,6 +41,7 @@ export const AdaptiveInterviewRoom: React.FC<AdaptiveInterviewRoomProps> = ({ se
   const [isLoading, setIsLoading] = useState(false);
   const [testCases, setTestCases] = useState<TestCase[]>([]);
   const [executionResults, setExecutionResults] = useState<ExecutionResult[]>([]);
+  const [lastRun, setLastRun] = useState<CompilationResult | null>(null);
   const [showFollowUp, setShowFollowUp] = useState(false);
   const [followUpQuestion, setFollowUpQuestion] = useState('');
   const [followUpResponse, setFollowUpResponse] = useState('');
@@ -119,9 +123,10 @@ export const AdaptiveInterviewRoom: React.FC<AdaptiveInterviewRoomProps> = ({ se
         selectedLanguage,
         testCases
       );
+      setLastRun(result);
 
-      if (result.success && result.executionResults) {
-        setExecutionResults(result.executionResults);
+      if (result.success) {
+        setExecutionResults(result.executionResults || []);
       } else {
         alert(result.error || 'Execution failed');
       }
@@ -157,12 +162,20 @@ export const AdaptiveInterviewRoom: React.FC<AdaptiveInterviewRoomProps> = ({ se
         timeSpentSeconds: timeSpent
       });
 
-      const analysis = await adaptiveInterviewSessionService.analyzeResponse(
-        currentQuestion.question_text,
-        verbalResponse || 'Code-only submission',
-        currentQuestion.question_type,
-        currentQuestion.related_skills
-      );
+      const transcript = [verbalResponse, codeResponse].filter(Boolean).join('\n\n');
+      const [analysis, rubricFeedback] = await Promise.all([
+        adaptiveInterviewSessionService.analyzeResponse(
+          currentQuestion.question_text,
+          verbalResponse || 'Code-only submission',
+          currentQuestion.question_type,
+          currentQuestion.related_skills
+        ),
+        interviewFeedbackService.analyzeAnswer(
+          currentQuestion.question_text,
+          transcript,
+          rubricCategoryFor(currentQuestion.question_type)
+        )
+      ]);
 
       let codeQualityAnalysis = null;
       if (hasCode) {
@@ -187,7 +200,8 @@ export const AdaptiveInterviewRoom: React.FC<AdaptiveInterviewRoomProps> = ({ se
       await adaptiveInterviewSessionService.updateResponseWithAnalysis(
         response.id,
         analysis,
-        codeQualityAnalysis
+        codeQualityAnalysis,
+        rubricFeedback.rubric
       );
 
       if (analysis.needsFollowUp) {
@@ -248,6 +262,7 @@ export const AdaptiveInterviewRoom: React.FC<AdaptiveInterviewRoomProps> = ({ se
     setVerbalResponse('');
     setCodeResponse('');
     setExecutionResults([]);
+    setLastRun(null);
     setShowTestResults(false);
     setFollowUpResponse('');
     resetTimer();
@@ -434,9 +449,28 @@ export const AdaptiveInterviewRoom: React.FC<AdaptiveInterviewRoomProps> = ({ se
                 </button>
               </div>
 
+              {showTestResults && lastRun?.run && (
+                <div className="bg-gray-50 p-4 rounded-lg">
+                  <h3 className="font-semibold text-gray-800 mb-2">Output</h3>
+                  <pre className="text-xs font-mono whitespace-pre-wrap break-words">{lastRun.run.stdout || '(no output)'}</pre>
+                  {(lastRun.run.stderr || lastRun.error) && (
+                    <pre className="text-xs font-mono whitespace-pre-wrap break-words text-red-600 mt-2">
+                      {lastRun.error || lastRun.run.stderr}
+                    </pre>
+                  )}
+                </div>
+              )}
+
               {showTestResults && executionResults.length > 0 && (
                 <div className="bg-gray-50 p-4 rounded-lg">
-                  <h3 className="font-semibold text-gray-800 mb-3">Test Results</h3>
+                  <h3 className="font-semibold text-gray-800 mb-3">
+                    Test Results
+                    {lastRun?.score !== undefined && (
+                      <span className="ml-2 text-sm font-normal text-gray-600">
+                        {lastRun.passedCount}/{lastRun.totalCount} passed · score {lastRun.score}%
+                      </span>
+                    )}
+                  </h3>
                   <div className="space-y-3">
                     {executionResults.map((result, idx) => (
                       <div
@@ -448,21 +482,30 @@ export const AdaptiveInterviewRoom: React.FC<AdaptiveInterviewRoomProps> = ({ se
                         }`}
                       >
                         <div className="flex items-center justify-between mb-2">
-                          <span className="font-medium text-sm">Test Case {idx + 1}</span>
+                          <span className="font-medium text-sm">
+                            {result.testCase.hidden ? 'Hidden test' : `Test Case ${idx + 1}`}
+                            {result.status && ` · ${TEST_STATUS_LABELS[result.status]}`}
+                          </span>
                           {result.passed ? (
                             <CheckCircle className="w-5 h-5 text-green-600" />
                           ) : (
                             <XCircle className="w-5 h-5 text-red-600" />
                           )}
                         </div>
-                        <div className="text-xs space-y-1">
-                          <div><span className="font-medium">Input:</span> {result.testCase.input}</div>
-                          <div><span className="font-medium">Expected:</span> {result.testCase.expectedOutput}</div>
-                          <div><span className="font-medium">Got:</span> {result.actualOutput}</div>
-                          {result.error && (
-                            <div className="text-red-600"><span className="font-medium">Error:</span> {result.error}</div>
-                          )}
-                        </div>
+                        {/* Hidden tests report only their verdict */}
+                        {!result.testCase.hidden && (
+                          <div className="text-xs space-y-1">
+                            <div><span className="font-medium">Input:</span> {result.testCase.input}</div>
+                            <div><span className="font-medium">Expected:</span> {result.testCase.expectedOutput}</div>
+                            <div><span className="font-medium">Got:</span> {result.actualOutput}</div>
+                            {result.stderr && (
+                              <pre className="text-red-600 font-mono whitespace-pre-wrap break-words">{result.stderr}</pre>
+                            )}
+                            {result.error && result.error !== result.stderr?.trim() && (
+                              <div className="text-red-600"><span className="font-medium">Error:</span> {result.error}</div>
+                            )}
+                          </div>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -476,13 +519,18 @@ export const AdaptiveInterviewRoom: React.FC<AdaptiveInterviewRoomProps> = ({ se
                     <h3 className="font-semibold text-gray-800">Test Cases to Pass</h3>
                   </div>
                   <div className="space-y-2">
-                    {testCases.map((tc, idx) => (
+                    {testCases.filter(tc => !tc.hidden).map((tc, idx) => (
                       <div key={idx} className="text-sm bg-white p-2 rounded">
                         <div><span className="font-medium">Input:</span> {tc.input}</div>
                         <div><span className="font-medium">Expected Output:</span> {tc.expectedOutput}</div>
                       </div>
                     ))}
                   </div>
+                  {testCases.some(tc => tc.hidden) && (
+                    <p className="text-xs text-gray-600 mt-2">
+                      Plus {testCases.filter(tc => tc.hidden).length} hidden tests for edge cases and large inputs.
+                    </p>
+                  )}
                 </div>
               )}
             </div>
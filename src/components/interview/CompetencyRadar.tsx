@@ -0,0 +1,101 @@
+import React from 'react';
+import { CompetencyScore } from '../../types/interviewRubric';
+import { COMPETENCIES } from '../../services/interviewRubric/rubrics';
+
+interface CompetencyRadarProps {
+  scores: CompetencyScore[];
+  previous?: CompetencyScore[]; // the last session, drawn dashed underneath
+  size?: number;
+}
+
+const MAX_LEVEL = 5;
+
+export const CompetencyRadar: React.FC<CompetencyRadarProps> = ({ scores, previous, size = 260 }) => {
+  const center = size / 2;
+  const radius = size / 2 - 48; // room for the axis labels
+
+  // A polygon needs three axes; with fewer, the bars alone say it better
+  if (scores.length < 3) {
+    return (
+      <div className="space-y-3">
+        {scores.map(score => (
+          <div key={score.competency}>
+            <div className="flex justify-between text-sm text-secondary-700 dark:text-gray-300 mb-1">
+              <span>{COMPETENCIES[score.competency].name}</span>
+              <span className="font-semibold">{score.level.toFixed(1)}/5</span>
+            </div>
+            <div className="h-2 bg-secondary-200 dark:bg-dark-400 rounded-full">
+              <div className="h-2 bg-blue-500 rounded-full" style={{ width: `${(score.level / MAX_LEVEL) * 100}%` }} />
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  const angleFor = (index: number) => (Math.PI * 2 * index) / scores.length - Math.PI / 2;
+  const pointFor = (index: number, level: number) => {
+    const distance = (Math.max(0, level) / MAX_LEVEL) * radius;
+    return [center + distance * Math.cos(angleFor(index)), center + distance * Math.sin(angleFor(index))];
+  };
+  const polygon = (levels: number[]) => levels.map((level, index) => pointFor(index, level).join(',')).join(' ');
+
+  const previousLevels = previous
+    ? scores.map(score => previous.find(entry => entry.competency === score.competency)?.level ?? 0)
+    : null;
+
+  return (
+    <svg
+      viewBox={`0 0 ${size} ${size}`}
+      className="w-full max-w-xs mx-auto"
+      role="img"
+      aria-label={scores.map(score => `${COMPETENCIES[score.competency].name} ${score.level.toFixed(1)} of 5`).join(', ')}
+    >
+      {[1, 2, 3, 4, 5].map(level => (
+        <polygon
+          key={level}
+          points={polygon(scores.map(() => level))}
+          fill="none"
+          className="stroke-secondary-200 dark:stroke-dark-400"
+          strokeWidth="1"
+        />
+      ))}
+      {scores.map((score, index) => {
+        const [x, y] = pointFor(index, MAX_LEVEL);
+        const [labelX, labelY] = pointFor(index, MAX_LEVEL + 1.3);
+        return (
+          <g key={score.competency}>
+            <line x1={center} y1={center} x2={x} y2={y} className="stroke-secondary-200 dark:stroke-dark-400" strokeWidth="1" />
+            <text
+              x={labelX}
+              y={labelY}
+              textAnchor={Math.abs(labelX - center) < 4 ? 'middle' : labelX > center ? 'start' : 'end'}
+              dominantBaseline="middle"
+              className="fill-secondary-600 dark:fill-gray-400 text-[10px]"
+            >
+              {COMPETENCIES[score.competency].name}
+            </text>
+          </g>
+        );
+      })}
+      {previousLevels && (
+        <polygon
+          points={polygon(previousLevels)}
+          fill="none"
+          className="stroke-secondary-400 dark:stroke-gray-500"
+          strokeWidth="1.5"
+          strokeDasharray="4 3"
+        />
+      )}
+      <polygon
+        points={polygon(scores.map(score => score.level))}
+        className="fill-blue-500/25 stroke-blue-500"
+        strokeWidth="2"
+      />
+      {scores.map((score, index) => {
+        const [x, y] = pointFor(index, score.level);
+        return <circle key={score.competency} cx={x} cy={y} r="3" className="fill-blue-500" />;
+      })}
+    </svg>
+  );
+};
@@ -0,0 +1,64 @@
+import React from 'react';
+import { CompetencyId, CompetencyTrendPoint } from '../../types/interviewRubric';
+import { COMPETENCIES } from '../../services/interviewRubric/rubrics';
+import { competencyDelta } from '../../services/interviewRubric/rubricScoring';
+
+interface CompetencyTrendsProps {
+  trend: CompetencyTrendPoint[];
+}
+
+const SPARK_WIDTH = 120;
+const SPARK_HEIGHT = 28;
+
+const Sparkline: React.FC<{ levels: number[] }> = ({ levels }) => {
+  const step = levels.length > 1 ? SPARK_WIDTH / (levels.length - 1) : 0;
+  const y = (level: number) => SPARK_HEIGHT - ((level - 1) / 4) * (SPARK_HEIGHT - 4) - 2;
+  const points = levels.map((level, index) => `${index * step},${y(level)}`).join(' ');
+
+  return (
+    <svg width={SPARK_WIDTH} height={SPARK_HEIGHT} viewBox={`0 0 ${SPARK_WIDTH} ${SPARK_HEIGHT}`} aria-hidden="true">
+      <polyline points={points} fill="none" className="stroke-blue-500" strokeWidth="2" />
+      {levels.map((level, index) => (
+        <circle key={index} cx={index * step} cy={y(level)} r="2.5" className="fill-blue-500" />
+      ))}
+    </svg>
+  );
+};
+
+export const CompetencyTrends: React.FC<CompetencyTrendsProps> = ({ trend }) => {
+  const competencies = Array.from(
+    new Set(trend.flatMap(point => point.scores.map(score => score.competency)))
+  ) as CompetencyId[];
+
+  return (
+    <div className="space-y-3">
+      {competencies.map(competency => {
+        const levels = trend
+          .map(point => point.scores.find(score => score.competency === competency)?.level)
+          .filter((level): level is number => level !== undefined);
+        const delta = competencyDelta(trend, competency);
+
+        return (
+          <div key={competency} className="flex items-center justify-between gap-4">
+            <span className="text-sm text-secondary-700 dark:text-gray-300 w-36">{COMPETENCIES[competency].name}</span>
+            <Sparkline levels={levels} />
+            <span className="text-sm font-semibold text-secondary-900 dark:text-gray-100 w-12 text-right">
+              {levels[levels.length - 1].toFixed(1)}
+            </span>
+            <span
+              className={`text-xs w-12 text-right ${
+                delta === null || delta === 0
+                  ? 'text-secondary-500 dark:text-gray-500'
+                  : delta > 0
+                  ? 'text-green-600 dark:text-green-400'
+                  : 'text-red-600 dark:text-red-400'
+              }`}
+            >
+              {delta === null ? 'new' : `${delta > 0 ? '+' : ''}${delta.toFixed(1)}`}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
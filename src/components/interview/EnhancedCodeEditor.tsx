@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
-import { Maximize2, Minimize2, Copy, Check } from 'lucide-react';
+import { Maximize2, Minimize2, Copy, Check, Terminal } from 'lucide-react';
+import { CompilationResult } from '../../services/codeCompilerService';
 
 interface EnhancedCodeEditorProps {
   value: string;
@@ -7,14 +8,39 @@ interface EnhancedCodeEditorProps {
   language: string;
   placeholder?: string;
   height?: string;
+  output?: CompilationResult | null; // the last run, shown as a console under the editor
 }
 
+// What the candidate's program printed: the plain run, or the first visible test.
+// Hidden tests never show their output.
+const consoleFor = (output: CompilationResult) => {
+  if (output.run) {
+    const { run } = output;
+    return {
+      stdout: run.stdout,
+      stderr: [run.stderr.trimEnd(), run.status === 'ok' ? '' : run.message].filter(Boolean).join('\n'),
+      timeMs: run.timeMs,
+      source: 'Run with empty input'
+    };
+  }
+  const shown = output.executionResults?.find(result => !result.testCase.hidden);
+  if (!shown) return null;
+  const limit = shown.error && shown.error !== shown.stderr?.trim() ? shown.error : '';
+  return {
+    stdout: shown.stdout ?? shown.actualOutput,
+    stderr: [shown.stderr?.trimEnd(), limit].filter(Boolean).join('\n'),
+    timeMs: shown.executionTime,
+    source: 'First visible test'
+  };
+};
+
 export const EnhancedCodeEditor: React.FC<EnhancedCodeEditorProps> = ({
   value,
   onChange,
   language,
   placeholder = 'Write your code here...',
-  height = '400px'
+  height = '400px',
+  output
 }) => {
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [copied, setCopied] = useState(false);
@@ -41,6 +67,7 @@ export const EnhancedCodeEditor: React.FC<EnhancedCodeEditorProps> = ({
 
   const lineCount = value.split('\n').length;
   const lineNumbers = Array.from({ length: Math.max(lineCount, 20) }, (_, i) => i + 1);
+  const shown = output ? consoleFor(output) : null;
 
   return (
     <div className={`${isFullscreen ? 'fixed inset-0 z-50 bg-dark-100 p-6' : 'relative'}`}>
@@ -88,6 +115,34 @@ export const EnhancedCodeEditor: React.FC<EnhancedCodeEditorProps> = ({
         />
       </div>
 
+      {output && (
+        <div className="mt-3 bg-dark-500 rounded-lg border border-gray-700 overflow-hidden">
+          <div className="flex items-center justify-between px-3 py-2 border-b border-gray-700 text-xs text-gray-400">
+            <span className="flex items-center gap-2 font-semibold">
+              <Terminal className="w-4 h-4" />
+              Output
+            </span>
+            {shown && (
+              <span>
+                {shown.source}
+                {shown.timeMs !== undefined && ` · ${shown.timeMs}ms`}
+                {output.runner && ` · ${output.runner === 'judge0' ? 'Judge0' : 'in browser'}`}
+              </span>
+            )}
+          </div>
+          <div className="px-3 py-2 max-h-48 overflow-auto font-mono text-sm">
+            {shown ? (
+              <>
+                <pre className="text-gray-200 whitespace-pre-wrap break-words">{shown.stdout || (shown.stderr ? '' : '(no output)')}</pre>
+                {shown.stderr && <pre className="text-red-300 whitespace-pre-wrap break-words">{shown.stderr}</pre>}
+              </>
+            ) : (
+              <pre className="text-red-300 whitespace-pre-wrap break-words">{output.error || 'No visible test to show output for'}</pre>
+            )}
+          </div>
+        </div>
+      )}
+
       {isFullscreen && (
         <div className="mt-4 text-center">
           <button
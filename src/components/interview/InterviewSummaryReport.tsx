@@ -1,9 +1,14 @@
 import React, { useState, useEffect } from 'react';
-import { Trophy, TrendingUp, Lightbulb, RotateCcw, Home, Download, Share2, Shield, AlertTriangle } from 'lucide-react';
+import { Trophy, TrendingUp, Lightbulb, RotateCcw, Home, Download, Share2, Shield, AlertTriangle, Target } from 'lucide-react';
 import { interviewService } from '../../services/interviewService';
 import { interviewFeedbackService } from '../../services/interviewFeedbackService';
 import { InterviewSessionWithQuestions, AIFeedback } from '../../types/interview';
 import { supabase } from '../../lib/supabaseClient';
+import { CompetencyTrendPoint, RubricAssessment } from '../../types/interviewRubric';
+import { COMPETENCIES } from '../../services/interviewRubric/rubrics';
+import { aggregateCompetencies } from '../../services/interviewRubric/rubricScoring';
+import { CompetencyRadar } from './CompetencyRadar';
+import { CompetencyTrends } from './CompetencyTrends';
 
 interface InterviewSummaryReportProps {
   sessionId: string;
@@ -22,6 +27,7 @@ export const InterviewSummaryReport: React.FC<InterviewSummaryReportProps> = ({
     overallImprovements: string[];
     keyTakeaways: string[];
   } | null>(null);
+  const [competencyTrend, setCompetencyTrend] = useState<CompetencyTrendPoint[]>([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -127,6 +133,12 @@ export const InterviewSummaryReport: React.FC<InterviewSummaryReportProps> = ({
 
       setSessionData(data);
 
+      try {
+        setCompetencyTrend(await interviewService.getCompetencyHistory(data.user_id));
+      } catch (trendError) {
+        console.error('Error loading competency history:', trendError);
+      }
+
       if (data.responses && data.responses.length > 0) {
         const responsesWithFeedback = data.responses
           .filter(r => r.ai_feedback_json && r.user_answer_text)
@@ -201,6 +213,13 @@ export const InterviewSummaryReport: React.FC<InterviewSummaryReportProps> = ({
   const overallScore = sessionData.overall_score || 0;
   const completedQuestions = sessionData.responses.length;
   const totalQuestions = sessionData.questions.length;
+  const competencyScores = aggregateCompetencies(
+    sessionData.responses
+      .map(r => r.ai_feedback_json?.rubric)
+      .filter((rubric): rubric is RubricAssessment => Boolean(rubric))
+  );
+  const pastSessions = competencyTrend.filter(point => point.sessionId !== sessionData.id);
+  const previousScores = pastSessions[pastSessions.length - 1]?.scores;
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 dark:from-dark-100 dark:via-dark-50 dark:to-dark-100 py-12">
@@ -294,6 +313,51 @@ export const InterviewSummaryReport: React.FC<InterviewSummaryReportProps> = ({
               </div>
             )}
 
+            {competencyScores.length > 0 && (
+              <div className="bg-secondary-50 dark:bg-dark-300 border border-secondary-200 dark:border-dark-400 rounded-xl p-6 mb-8">
+                <div className="flex items-center gap-2 mb-4">
+                  <Target className="w-5 h-5 text-blue-600 dark:text-blue-400" />
+                  <h3 className="font-bold text-secondary-900 dark:text-gray-100">Competency Profile</h3>
+                </div>
+                <div className="grid md:grid-cols-2 gap-6 items-center">
+                  <div>
+                    <CompetencyRadar scores={competencyScores} previous={previousScores} />
+                    {previousScores && competencyScores.length >= 3 && (
+                      <p className="text-xs text-center text-secondary-500 dark:text-gray-500 mt-2">
+                        Dashed line: your previous interview
+                      </p>
+                    )}
+                  </div>
+                  <ul className="space-y-3">
+                    {competencyScores.map(score => (
+                      <li key={score.competency}>
+                        <div className="flex items-center justify-between text-sm">
+                          <span className="font-semibold text-secondary-900 dark:text-gray-100">
+                            {COMPETENCIES[score.competency].name}
+                          </span>
+                          <span className="text-secondary-700 dark:text-gray-300">
+                            Level {score.level.toFixed(1)}/5 · {score.answers} answer{score.answers === 1 ? '' : 's'}
+                          </span>
+                        </div>
+                        {score.evidence && (
+                          <p className="text-xs italic text-secondary-600 dark:text-gray-400 mt-1">“{score.evidence}”</p>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+
+                {competencyTrend.length >= 2 && (
+                  <div className="mt-6 pt-6 border-t border-secondary-200 dark:border-dark-400">
+                    <h4 className="font-semibold text-secondary-900 dark:text-gray-100 mb-3">
+                      Progress across your last {competencyTrend.length} interviews
+                    </h4>
+                    <CompetencyTrends trend={competencyTrend} />
+                  </div>
+                )}
+              </div>
+            )}
+
             {(sessionData.security_score !== undefined ||
               sessionData.tab_switches_count !== undefined ||
               sessionData.fullscreen_exits_count !== undefined) && (
@@ -419,6 +483,35 @@ export const InterviewSummaryReport: React.FC<InterviewSummaryReportProps> = ({
 
                       {feedback && (
                         <div className="space-y-3 mt-4">
+                          {feedback.rubric && (
+                            <div className="grid sm:grid-cols-2 gap-3">
+                              {feedback.rubric.ratings.map(rating => (
+                                <div
+                                  key={rating.competency}
+                                  className="bg-white dark:bg-dark-200 rounded-lg p-3 border border-secondary-200 dark:border-dark-400"
+                                >
+                                  <div className="flex items-center justify-between text-sm mb-1">
+                                    <span className="font-semibold text-secondary-900 dark:text-gray-100">
+                                      {COMPETENCIES[rating.competency].name}
+                                    </span>
+                                    <span className="font-bold text-blue-600 dark:text-blue-400">{rating.level}/5</span>
+                                  </div>
+                                  <p className="text-xs text-secondary-600 dark:text-gray-400">
+                                    {COMPETENCIES[rating.competency].levels[rating.level]}
+                                  </p>
+                                  {rating.evidence.map((quote, i) => (
+                                    <p key={i} className="text-xs italic text-secondary-700 dark:text-gray-300 mt-1">“{quote}”</p>
+                                  ))}
+                                  {rating.proposedLevel && (
+                                    <p className="text-xs text-yellow-700 dark:text-yellow-400 mt-1">
+                                      Rated {rating.proposedLevel}/5, capped at {rating.level}: nothing in the answer showed it
+                                    </p>
+                                  )}
+                                </div>
+                              ))}
+                            </div>
+                          )}
+
                           {feedback.strengths && feedback.strengths.length > 0 && (
                             <div>
                               <p className="text-sm font-semibold text-green-600 dark:text-green-400 mb-1">
@@ -489,7 +489,13 @@ export const MockInterviewRoom: React.FC<MockInterviewRoomProps> = ({
         currentQuestion.question_text,
         transcript,
         currentQuestion.category,
-        currentQuestion.difficulty
+        currentQuestion.difficulty,
+        {
+          onPartial: partial => {
+            const rated = partial.competencies?.filter(rating => typeof rating.level === 'number').length || 0;
+            if (rated > 0) setStatusMessage(`Analyzing your answer with AI... ${rated} competencies rated`);
+          }
+        }
       );
 
       setStatusMessage('Saving your response...');
@@ -22,7 +22,8 @@ import {
   QuestionResponse,
   FollowUpQuestion
 } from '../../services/realisticInterviewService';
-import { codeCompilerService, TestCase, ExecutionResult } from '../../services/codeCompilerService';
+import { codeCompilerService, CompilationResult, ExecutionResult } from '../../services/codeCompilerService';
+import { TestSuite } from '../../types/codeExecution';
 import { speechRecognitionService } from '../../services/speechRecognitionService';
 import { textToSpeechService } from '../../services/textToSpeechService';
 import { speechActivityDetector } from '../../services/speechActivityDetector';
@@ -36,6 +37,7 @@ import { TranscriptDisplay } from './TranscriptDisplay';
 import { QuestionCard } from './QuestionCard';
 import { SessionRecoveryModal } from './SessionRecoveryModal';
 import { interviewSessionPersistence, InterviewSessionState } from '../../services/interviewSessionPersistence';
+import { SyncedSessionSummary } from '../../types/sessionSync';
 import { supabase } from '../../lib/supabaseClient';
 
 interface RealisticInterviewRoomProps {
@@ -83,15 +85,16 @@ export const RealisticInterviewRoom: React.FC<RealisticInterviewRoomProps> = ({
   const [autoSubmitted, setAutoSubmitted] = useState(false);
   const [showAutoSubmitInfo, setShowAutoSubmitInfo] = useState(true);
   const [showRecoveryModal, setShowRecoveryModal] = useState(false);
-  const [recoveryData, setRecoveryData] = useState<InterviewSessionState | null>(null);
+  const [recoverableSessions, setRecoverableSessions] = useState<SyncedSessionSummary[]>([]);
   const [hasStartedSpeaking, setHasStartedSpeaking] = useState(false);
 
   const [showFollowUp, setShowFollowUp] = useState(false);
   const [followUpQuestion, setFollowUpQuestion] = useState<FollowUpQuestion | null>(null);
   const [followUpAnswer, setFollowUpAnswer] = useState('');
 
-  const [testCases, setTestCases] = useState<TestCase[]>([]);
+  const [testSuite, setTestSuite] = useState<TestSuite | null>(null);
   const [executionResults, setExecutionResults] = useState<ExecutionResult[]>([]);
+  const [lastRun, setLastRun] = useState<CompilationResult | null>(null);
   const [showTestResults, setShowTestResults] = useState(false);
   const [isExecuting, setIsExecuting] = useState(false);
 
@@ -259,22 +262,25 @@ export const RealisticInterviewRoom: React.FC<RealisticInterviewRoomProps> = ({
   }, [isPaused, stage]);
 
   const checkForRecoverableSession = async () => {
-    const recoverable = await interviewSessionPersistence.checkForRecoverableSession(userId, 'realistic');
-    if (recoverable) {
-      setRecoveryData(recoverable);
+    const sessions = await interviewSessionPersistence.listRecoverableSessions(userId, 'realistic');
+    if (sessions.length > 0) {
+      setRecoverableSessions(sessions);
       setShowRecoveryModal(true);
     } else {
       initializeInterview();
     }
   };
 
-  const handleRecoverSession = async () => {
-    if (!recoveryData) return;
-
+  const handleRecoverSession = async (session: SyncedSessionSummary) => {
     try {
       setShowRecoveryModal(false);
       setStage('loading');
 
+      const recoveryData = await interviewSessionPersistence.loadSessionState(session.sessionId, userId);
+      if (!recoveryData) {
+        throw new Error('The saved session could not be loaded');
+      }
+
       const loadedQuestions = await realisticInterviewService.generateInterviewQuestions(config, resume);
       setQuestions(loadedQuestions);
       setSessionId(recoveryData.sessionId);
@@ -295,9 +301,9 @@ export const RealisticInterviewRoom: React.FC<RealisticInterviewRoomProps> = ({
   };
 
   const handleStartNewSession = () => {
-    if (recoveryData) {
-      interviewSessionPersistence.clearSessionState(recoveryData.sessionId);
-    }
+    recoverableSessions.forEach(session => {
+      interviewSessionPersistence.clearSessionState(session.sessionId, userId);
+    });
     setShowRecoveryModal(false);
     initializeInterview();
   };
@@ -552,22 +558,26 @@ export const RealisticInterviewRoom: React.FC<RealisticInterviewRoomProps> = ({
     setShowTestResults(true);
 
     try {
-      if (testCases.length === 0) {
-        const cases = await codeCompilerService.generateTestCases(
+      // The state update lands after this run, so the suite is used directly the first time
+      let suite = testSuite;
+      if (!suite) {
+        suite = await codeCompilerService.getTestSuite(
           currentQuestion.question_text,
           selectedLanguage
         );
-        setTestCases(cases);
+        setTestSuite(suite);
       }
 
       const result = await codeCompilerService.executeCode(
         codeAnswer,
         selectedLanguage,
-        testCases
+        suite.testCases,
+        suite.limits
       );
+      setLastRun(result);
 
-      if (result.success && result.executionResults) {
-        setExecutionResults(result.executionResults);
+      if (result.success) {
+        setExecutionResults(result.executionResults || []);
       } else {
         alert(result.error || 'Execution failed');
       }
@@ -690,6 +700,9 @@ export const RealisticInterviewRoom: React.FC<RealisticInterviewRoomProps> = ({
     setCurrentTranscript('');
     setVerbalAnswer('');
     setCodeAnswer('');
+    setTestSuite(null);
+    setExecutionResults([]);
+    setLastRun(null);
 
     if (currentQuestionIndex + 1 < questions.length) {
       setCurrentQuestionIndex(prev => prev + 1);
@@ -725,7 +738,7 @@ export const RealisticInterviewRoom: React.FC<RealisticInterviewRoomProps> = ({
 
     const totalDuration = Math.floor((Date.now() - sessionStartTimeRef.current) / 1000);
     await realisticInterviewService.completeSession(sessionId, totalDuration);
-    await interviewSessionPersistence.clearSessionState(sessionId);
+    await interviewSessionPersistence.clearSessionState(sessionId, userId);
 
     fullScreen.exitFullScreen();
     onInterviewComplete(sessionId);
@@ -938,15 +951,10 @@ export const RealisticInterviewRoom: React.FC<RealisticInterviewRoomProps> = ({
     );
   }
 
-  if (showRecoveryModal && recoveryData) {
+  if (showRecoveryModal && recoverableSessions.length > 0) {
     return (
       <SessionRecoveryModal
-        sessionData={{
-          questionIndex: recoveryData.currentQuestionIndex,
-          totalQuestions: recoveryData.totalQuestions,
-          timeRemaining: recoveryData.timeRemaining,
-          lastSaved: new Date(recoveryData.lastSaved).toLocaleString()
-        }}
+        sessions={recoverableSessions}
         onRecover={handleRecoverSession}
         onStartNew={handleStartNewSession}
       />
@@ -1086,6 +1094,7 @@ export const RealisticInterviewRoom: React.FC<RealisticInterviewRoomProps> = ({
                         language={selectedLanguage}
                         placeholder={`Write your ${selectedLanguage} code here...`}
                         height="400px"
+                        output={lastRun}
                       />
                     </div>
 
@@ -1107,11 +1116,12 @@ export const RealisticInterviewRoom: React.FC<RealisticInterviewRoomProps> = ({
                       </button>
                     </div>
 
-                    {testCases.length > 0 && (
+                    {testSuite && testSuite.testCases.length > 0 && (
                       <TestCaseAccordion
-                        testCases={testCases}
+                        testCases={testSuite.testCases}
                         executionResults={executionResults}
                         isExecuting={isExecuting}
+                        ioFormat={testSuite.ioFormat}
                       />
                     )}
                   </div>
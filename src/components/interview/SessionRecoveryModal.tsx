@@ -1,19 +1,15 @@
 import React from 'react';
-import { AlertCircle, RefreshCw, X } from 'lucide-react';
+import { AlertCircle, Laptop, RefreshCw, Smartphone, X } from 'lucide-react';
+import { SyncedSessionSummary } from '../../types/sessionSync';
 
 interface SessionRecoveryModalProps {
-  sessionData: {
-    questionIndex: number;
-    totalQuestions: number;
-    timeRemaining: number;
-    lastSaved: string;
-  };
-  onRecover: () => void;
+  sessions: SyncedSessionSummary[];
+  onRecover: (session: SyncedSessionSummary) => void;
   onStartNew: () => void;
 }
 
 export const SessionRecoveryModal: React.FC<SessionRecoveryModalProps> = ({
-  sessionData,
+  sessions,
   onRecover,
   onStartNew
 }) => {
@@ -23,6 +19,8 @@ export const SessionRecoveryModal: React.FC<SessionRecoveryModalProps> = ({
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
+  const isMobileDevice = (label: string) => /^(Phone|Tablet)/.test(label);
+
   return (
     <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-[100] p-4">
       <div className="bg-dark-200 rounded-2xl p-8 max-w-md w-full border-2 border-blue-500 shadow-2xl">
@@ -31,42 +29,61 @@ export const SessionRecoveryModal: React.FC<SessionRecoveryModalProps> = ({
           <h3 className="text-2xl font-bold text-gray-100">Resume Interview?</h3>
         </div>
 
-        <div className="bg-blue-900/20 border border-blue-700 rounded-lg p-4 mb-6">
-          <div className="flex items-start gap-2 mb-3">
-            <AlertCircle className="w-5 h-5 text-blue-400 mt-0.5" />
-            <p className="text-gray-300 text-sm">
-              We found a previous interview session that was interrupted. You can resume from where you left off.
-            </p>
-          </div>
+        <div className="flex items-start gap-2 mb-4">
+          <AlertCircle className="w-5 h-5 text-blue-400 mt-0.5" />
+          <p className="text-gray-300 text-sm">
+            {sessions.length === 1
+              ? 'We found a previous interview session that was interrupted. You can resume from where you left off.'
+              : `We found ${sessions.length} interrupted interview sessions across your devices. Pick one to resume.`}
+          </p>
+        </div>
 
-          <div className="space-y-2 text-sm">
-            <div className="flex justify-between text-gray-400">
-              <span>Progress:</span>
-              <span className="text-gray-200 font-semibold">
-                Question {sessionData.questionIndex + 1} of {sessionData.totalQuestions}
-              </span>
-            </div>
-            <div className="flex justify-between text-gray-400">
-              <span>Time Remaining:</span>
-              <span className="text-gray-200 font-semibold">
-                {formatTime(sessionData.timeRemaining)}
-              </span>
-            </div>
-            <div className="flex justify-between text-gray-400">
-              <span>Last Saved:</span>
-              <span className="text-gray-200 font-semibold">{sessionData.lastSaved}</span>
-            </div>
-          </div>
+        <div className="space-y-3 mb-6 max-h-80 overflow-y-auto">
+          {sessions.map(session => (
+            <button
+              key={session.sessionId}
+              onClick={() => onRecover(session)}
+              className="w-full text-left bg-blue-900/20 hover:bg-blue-900/40 border border-blue-700 rounded-lg p-4 transition-colors"
+            >
+              <div className="flex items-center gap-2 mb-2 text-gray-200 font-semibold text-sm">
+                {isMobileDevice(session.deviceLabel)
+                  ? <Smartphone className="w-4 h-4 text-blue-400" />
+                  : <Laptop className="w-4 h-4 text-blue-400" />}
+                {session.deviceLabel}
+                {session.isCurrentDevice && <span className="text-xs text-blue-300 font-normal">(this device)</span>}
+              </div>
+              <div className="space-y-1 text-sm">
+                <div className="flex justify-between text-gray-400">
+                  <span>Progress:</span>
+                  <span className="text-gray-200 font-semibold">{session.details.progressLabel}</span>
+                </div>
+                {session.details.secondsRemaining !== undefined && (
+                  <div className="flex justify-between text-gray-400">
+                    <span>Time Remaining:</span>
+                    <span className="text-gray-200 font-semibold">
+                      {formatTime(session.details.secondsRemaining)}
+                    </span>
+                  </div>
+                )}
+                <div className="flex justify-between text-gray-400">
+                  <span>Last Saved:</span>
+                  <span className="text-gray-200 font-semibold">{session.updatedAt.toLocaleString()}</span>
+                </div>
+              </div>
+            </button>
+          ))}
         </div>
 
         <div className="space-y-3">
-          <button
-            onClick={onRecover}
-            className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 rounded-lg transition-colors flex items-center justify-center gap-2"
-          >
-            <RefreshCw className="w-5 h-5" />
-            Resume Interview
-          </button>
+          {sessions.length === 1 && (
+            <button
+              onClick={() => onRecover(sessions[0])}
+              className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 rounded-lg transition-colors flex items-center justify-center gap-2"
+            >
+              <RefreshCw className="w-5 h-5" />
+              Resume Interview
+            </button>
+          )}
           <button
             onClick={onStartNew}
             className="w-full bg-gray-700 hover:bg-gray-600 text-gray-200 font-semibold py-3 rounded-lg transition-colors flex items-center justify-center gap-2"
@@ -77,7 +94,7 @@ export const SessionRecoveryModal: React.FC<SessionRecoveryModalProps> = ({
         </div>
 
         <p className="text-xs text-gray-500 text-center mt-4">
-          Starting a new session will discard your previous progress
+          Starting a new session will discard your previous progress on every device
         </p>
       </div>
     </div>
@@ -5,8 +5,6 @@ import {
   MessageSquare,
   Send,
   Play,
-  CheckCircle,
-  XCircle,
   Mic,
   MicOff,
   Video,
@@ -17,7 +15,8 @@ import {
   Volume2
 } from 'lucide-react';
 import { smartInterviewService, SmartInterviewConfig, SmartQuestion } from '../../services/smartInterviewService';
-import { codeCompilerService, TestCase, ExecutionResult } from '../../services/codeCompilerService';
+import { codeCompilerService, CompilationResult, ExecutionResult } from '../../services/codeCompilerService';
+import { TestSuite } from '../../types/codeExecution';
 import { codeLogicReviewService, LogicReviewQuestion } from '../../services/codeLogicReviewService';
 import { speechRecognitionService } from '../../services/speechRecognitionService';
 import { textToSpeechService } from '../../services/textToSpeechService';
@@ -25,6 +24,8 @@ import { speechActivityDetector } from '../../services/speechActivityDetector';
 import { useFullScreenMonitor } from '../../hooks/useFullScreenMonitor';
 import { useTabSwitchDetector } from '../../hooks/useTabSwitchDetector';
 import { SimplifiedInterviewHeader } from './SimplifiedInterviewHeader';
+import { EnhancedCodeEditor } from './EnhancedCodeEditor';
+import { TestCaseAccordion } from './TestCaseAccordion';
 
 interface SmartInterviewRoomProps {
   config: SmartInterviewConfig;
@@ -71,8 +72,9 @@ export const SmartInterviewRoom: React.FC<SmartInterviewRoomProps> = ({
   const [aiCurrentText, setAiCurrentText] = useState('');
   const [isSpeaking, setIsSpeaking] = useState(false);
 
-  const [testCases, setTestCases] = useState<TestCase[]>([]);
+  const [testSuite, setTestSuite] = useState<TestSuite | null>(null);
   const [executionResults, setExecutionResults] = useState<ExecutionResult[]>([]);
+  const [lastRun, setLastRun] = useState<CompilationResult | null>(null);
   const [showTestResults, setShowTestResults] = useState(false);
   const [isExecuting, setIsExecuting] = useState(false);
 
@@ -418,22 +420,26 @@ export const SmartInterviewRoom: React.FC<SmartInterviewRoomProps> = ({
     setStage('executing');
 
     try {
-      if (testCases.length === 0) {
-        const cases = await codeCompilerService.generateTestCases(
+      // The state update lands after this run, so the suite is used directly the first time
+      let suite = testSuite;
+      if (!suite) {
+        suite = await codeCompilerService.getTestSuite(
           currentQuestion.question_text,
           selectedLanguage
         );
-        setTestCases(cases);
+        setTestSuite(suite);
       }
 
       const result = await codeCompilerService.executeCode(
         codeAnswer,
         selectedLanguage,
-        testCases
+        suite.testCases,
+        suite.limits
       );
+      setLastRun(result);
 
-      if (result.success && result.executionResults) {
-        setExecutionResults(result.executionResults);
+      if (result.success) {
+        setExecutionResults(result.executionResults || []);
       } else {
         alert(result.error || 'Execution failed');
       }
@@ -488,7 +494,7 @@ export const SmartInterviewRoom: React.FC<SmartInterviewRoomProps> = ({
         sessionId,
         codeAnswer,
         selectedLanguage,
-        testCases,
+        testSuite?.testCases || [],
         executionResults
       );
 
@@ -704,7 +710,8 @@ export const SmartInterviewRoom: React.FC<SmartInterviewRoomProps> = ({
     setCurrentTranscript('');
     setExecutionResults([]);
     setShowTestResults(false);
-    setTestCases([]);
+    setTestSuite(null);
+    setLastRun(null);
     setReviewQuestions([]);
     setReviewAnswer('');
     currentResponseIdRef.current = null;
@@ -1024,11 +1031,13 @@ export const SmartInterviewRoom: React.FC<SmartInterviewRoomProps> = ({
                           ))}
                         </select>
                       </div>
-                      <textarea
+                      <EnhancedCodeEditor
                         value={codeAnswer}
-                        onChange={(e) => setCodeAnswer(e.target.value)}
-                        className="w-full h-80 px-4 py-3 bg-dark-300 text-green-400 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none font-mono text-sm"
+                        onChange={setCodeAnswer}
+                        language={selectedLanguage}
                         placeholder={`Write your ${selectedLanguage} code here...`}
+                        height="320px"
+                        output={lastRun}
                       />
                     </div>
 
@@ -1043,7 +1052,7 @@ export const SmartInterviewRoom: React.FC<SmartInterviewRoomProps> = ({
                       </button>
                       <button
                         onClick={submitCodeAnswer}
-                        disabled={!codeAnswer.trim() || executionResults.length === 0}
+                        disabled={!codeAnswer.trim() || !lastRun}
                         className="flex-1 bg-blue-600 hover:bg-blue-700 text-white py-3 rounded-lg font-semibold transition-all disabled:bg-gray-600 disabled:cursor-not-allowed flex items-center justify-center gap-2"
                       >
                         <Send className="w-5 h-5" />
@@ -1051,42 +1060,13 @@ export const SmartInterviewRoom: React.FC<SmartInterviewRoomProps> = ({
                       </button>
                     </div>
 
-                    {showTestResults && executionResults.length > 0 && (
-                      <div className="bg-dark-300 rounded-lg p-4 border border-gray-700">
-                        <h3 className="font-semibold text-gray-100 mb-3 flex items-center gap-2">
-                          Test Results
-                        </h3>
-                        <div className="space-y-3">
-                          {executionResults.map((result, idx) => (
-                            <div
-                              key={idx}
-                              className={`p-3 rounded border ${
-                                result.passed ? 'bg-green-900/30 border-green-700' : 'bg-red-900/30 border-red-700'
-                              }`}
-                            >
-                              <div className="flex items-center justify-between mb-2">
-                                <span className="font-medium text-sm">Test Case {idx + 1}</span>
-                                {result.passed ? (
-                                  <CheckCircle className="w-5 h-5 text-green-500" />
-                                ) : (
-                                  <XCircle className="w-5 h-5 text-red-500" />
-                                )}
-                              </div>
-                              <div className="text-xs space-y-1 text-gray-300">
-                                <div>
-                                  <span className="font-medium">Input:</span> {result.testCase.input}
-                                </div>
-                                <div>
-                                  <span className="font-medium">Expected:</span> {result.testCase.expectedOutput}
-                                </div>
-                                <div>
-                                  <span className="font-medium">Got:</span> {result.actualOutput}
-                                </div>
-                              </div>
-                            </div>
-                          ))}
-                        </div>
-                      </div>
+                    {showTestResults && testSuite && testSuite.testCases.length > 0 && (
+                      <TestCaseAccordion
+                        testCases={testSuite.testCases}
+                        executionResults={executionResults}
+                        isExecuting={isExecuting}
+                        ioFormat={testSuite.ioFormat}
+                      />
                     )}
                   </div>
                 )}
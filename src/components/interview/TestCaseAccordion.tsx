@@ -1,17 +1,35 @@
 import React, { useState } from 'react';
-import { ChevronDown, ChevronUp, CheckCircle, XCircle, Clock, AlertCircle } from 'lucide-react';
+import { ChevronDown, ChevronUp, CheckCircle, XCircle, Clock, AlertCircle, EyeOff } from 'lucide-react';
 import { TestCase, ExecutionResult } from '../../services/codeCompilerService';
+import { scoreResults, TEST_STATUS_LABELS } from '../../services/codeExecution/grading';
 
 interface TestCaseAccordionProps {
   testCases: TestCase[];
   executionResults: ExecutionResult[];
   isExecuting: boolean;
+  ioFormat?: string;
 }
 
+const RunStats: React.FC<{ result: ExecutionResult }> = ({ result }) => {
+  if (result.executionTime === undefined && result.memoryKb === undefined) return null;
+  return (
+    <div className="flex items-center gap-4 text-xs text-gray-400">
+      {result.executionTime !== undefined && (
+        <div className="flex items-center gap-1">
+          <Clock className="w-3 h-3" />
+          <span>Execution: {result.executionTime}ms</span>
+        </div>
+      )}
+      {result.memoryKb !== undefined && <span>Memory: {(result.memoryKb / 1024).toFixed(1)} MB</span>}
+    </div>
+  );
+};
+
 export const TestCaseAccordion: React.FC<TestCaseAccordionProps> = ({
   testCases,
   executionResults,
-  isExecuting
+  isExecuting,
+  ioFormat
 }) => {
   const [expandedCases, setExpandedCases] = useState<Set<number>>(new Set([0]));
 
@@ -47,6 +65,10 @@ export const TestCaseAccordion: React.FC<TestCaseAccordionProps> = ({
   const resultsMatched = testCases.map(tc => resultMap.get(makeKey(tc))).filter(Boolean) as ExecutionResult[];
   const passedCount = resultsMatched.filter(r => r.passed).length;
   const totalTests = testCases.length;
+  const { score } = scoreResults(resultsMatched);
+  const hiddenCount = testCases.filter(tc => tc.hidden).length;
+  let visibleNumber = 0;
+  let hiddenNumber = 0;
 
   return (
     <div className="bg-dark-300 rounded-lg border border-gray-700 overflow-hidden">
@@ -56,6 +78,16 @@ export const TestCaseAccordion: React.FC<TestCaseAccordionProps> = ({
           <h3 className="font-semibold text-gray-100">
             Test Cases {totalTests > 0 && `(${passedCount}/${totalTests} passed)`}
           </h3>
+          {resultsMatched.length > 0 && (
+            <span
+              className={`text-xs px-2 py-1 rounded font-semibold ${
+                score === 100 ? 'bg-green-900/30 text-green-400' : score > 0 ? 'bg-yellow-900/30 text-yellow-400' : 'bg-red-900/30 text-red-400'
+              }`}
+              title="Weighted by test: edge and stress cases count double"
+            >
+              Score {score}%
+            </span>
+          )}
         </div>
         <div className="flex items-center gap-2">
           {isExecuting && (
@@ -82,10 +114,21 @@ export const TestCaseAccordion: React.FC<TestCaseAccordionProps> = ({
         </div>
       </div>
 
+      {(ioFormat || hiddenCount > 0) && (
+        <div className="px-4 py-2 border-b border-gray-700 text-xs text-gray-400 space-y-1">
+          {ioFormat && <p><span className="font-semibold text-gray-300">Input/output:</span> {ioFormat}</p>}
+          {hiddenCount > 0 && (
+            <p>{hiddenCount} hidden test{hiddenCount === 1 ? '' : 's'} also check edge cases and large inputs; only their result is shown.</p>
+          )}
+        </div>
+      )}
+
       <div className="divide-y divide-gray-700">
         {testCases.map((testCase, index) => {
           const result = resultMap.get(makeKey(testCase));
           const isExpanded = expandedCases.has(index);
+          const title = testCase.hidden ? `Hidden Test ${++hiddenNumber}` : `Test Case ${++visibleNumber}`;
+          const statusLabel = result && (result.status ? TEST_STATUS_LABELS[result.status] : result.passed ? 'Passed' : 'Failed');
 
           return (
             <div key={index} className="bg-dark-300">
@@ -103,7 +146,11 @@ export const TestCaseAccordion: React.FC<TestCaseAccordionProps> = ({
                   ) : (
                     <div className="w-5 h-5 rounded-full border-2 border-gray-600" />
                   )}
-                  <span className="font-medium text-gray-200">Test Case {index + 1}</span>
+                  {testCase.hidden && <EyeOff className="w-4 h-4 text-gray-500" />}
+                  <span className="font-medium text-gray-200">{title}</span>
+                  {testCase.description && (
+                    <span className="text-xs text-gray-500 hidden sm:inline">{testCase.description}</span>
+                  )}
                   {result && (
                     <span
                       className={`text-xs px-2 py-1 rounded ${
@@ -112,7 +159,7 @@ export const TestCaseAccordion: React.FC<TestCaseAccordionProps> = ({
                           : 'bg-red-900/30 text-red-400'
                       }`}
                     >
-                      {result.passed ? 'Passed' : 'Failed'}
+                      {statusLabel}
                     </span>
                   )}
                 </div>
@@ -123,7 +170,22 @@ export const TestCaseAccordion: React.FC<TestCaseAccordionProps> = ({
                 )}
               </button>
 
-              {isExpanded && (
+              {isExpanded && testCase.hidden && (
+                <div className="px-4 pb-4 bg-dark-400 space-y-2">
+                  <p className="text-sm text-gray-400 pt-3">
+                    {result
+                      ? result.passed
+                        ? 'Your code handled this hidden case.'
+                        : result.status === 'wrong_answer'
+                          ? 'Your output was wrong for this hidden case.'
+                          : `${statusLabel} on this hidden case.`
+                      : 'Input and expected output are hidden.'}
+                  </p>
+                  {result && <RunStats result={result} />}
+                </div>
+              )}
+
+              {isExpanded && !testCase.hidden && (
                 <div className="px-4 pb-4 space-y-3 bg-dark-400">
                   <div className="bg-dark-500 rounded p-3">
                     <div className="text-xs text-gray-400 mb-1 font-semibold">Input:</div>
@@ -147,14 +209,23 @@ export const TestCaseAccordion: React.FC<TestCaseAccordionProps> = ({
                         }`}
                       >
                         <div className="text-xs text-gray-400 mb-1 font-semibold">
-                          Your Output:
+                          Your Output (stdout):
                         </div>
                         <pre className="text-sm text-gray-300 font-mono whitespace-pre-wrap break-words">
-                          {result.actualOutput}
+                          {result.stdout ?? result.actualOutput}
                         </pre>
                       </div>
 
-                      {result.error && (
+                      {result.stderr && (
+                        <div className="bg-dark-500 rounded p-3 border border-gray-700">
+                          <div className="text-xs text-orange-400 mb-1 font-semibold">stderr:</div>
+                          <pre className="text-sm text-orange-300 font-mono whitespace-pre-wrap break-words">
+                            {result.stderr}
+                          </pre>
+                        </div>
+                      )}
+
+                      {result.error && result.error !== result.stderr?.trim() && (
                         <div className="bg-red-900/20 rounded p-3 border border-red-700">
                           <div className="text-xs text-red-400 mb-1 font-semibold">Error:</div>
                           <pre className="text-sm text-red-300 font-mono whitespace-pre-wrap break-words">
@@ -163,14 +234,7 @@ export const TestCaseAccordion: React.FC<TestCaseAccordionProps> = ({
                         </div>
                       )}
 
-                      {result.executionTime && (
-                        <div className="flex items-center gap-4 text-xs text-gray-400">
-                          <div className="flex items-center gap-1">
-                            <Clock className="w-3 h-3" />
-                            <span>Execution: {result.executionTime}ms</span>
-                          </div>
-                        </div>
-                      )}
+                      <RunStats result={result} />
                     </>
                   )}
                 </div>
@@ -19,6 +19,9 @@ import {
   CreditCard,
   ChevronRight,
   ChevronLeft,
+  FileSpreadsheet,
+  LayoutGrid,
+  History,
 } from 'lucide-react';
 
 // Interfaces
@@ -49,6 +52,9 @@ const toolsSection: SidebarSection = {
     { id: 'guided-builder', label: 'Guided Resume Builder', icon: <PlusCircle className="w-5 h-5" />, path: '/guided-builder' },
     { id: 'mock-interview', label: 'AI Mock Interview', icon: <MessageSquare className="w-5 h-5" />, path: '/mock-interview' },
     { id: 'score-checker', label: 'Resume Score Check', icon: <TrendingUp className="w-5 h-5" />, path: '/score-checker' },
+    { id: 'batch-score', label: 'Batch Resume Ranking', icon: <FileSpreadsheet className="w-5 h-5" />, path: '/batch-score' },
+    { id: 'job-fit', label: 'Job-Fit Matrix', icon: <LayoutGrid className="w-5 h-5" />, path: '/job-fit' },
+    { id: 'resume-history', label: 'Resume Versions', icon: <History className="w-5 h-5" />, path: '/resume-history' },
     { id: 'linkedin-generator', label: 'Outreach Messages', icon: <MessageCircle className="w-5 h-5" />, path: '/linkedin-generator' },
     { id: 'gaming', label: 'Gaming Aptitude', icon: <Gamepad2 className="w-5 h-5" />, path: '/gaming' },
   ],
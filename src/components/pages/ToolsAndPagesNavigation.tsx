@@ -14,6 +14,9 @@ import {
   Users,
   Award,
   Crown,
+  FileSpreadsheet,
+  LayoutGrid,
+  History,
 } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import { Subscription } from '../../types/payment';
@@ -198,6 +201,33 @@ export const ToolsAndPagesNavigation: React.FC<ToolsAndPagesNavigationProps> = (
       requiresAuth: false,
       isTool: true,
     },
+    {
+      id: 'batch-score',
+      title: 'Batch Resume Ranking',
+      description: 'Score a folder of resumes against one job description and export the ranking.',
+      icon: <FileSpreadsheet />,
+      colorClass: 'from-cyan-500 to-blue-500',
+      requiresAuth: false,
+      isTool: true,
+    },
+    {
+      id: 'job-fit',
+      title: 'Job-Fit Matrix',
+      description: 'Compare one resume against several roles and find the edits that lift your match across all of them.',
+      icon: <LayoutGrid />,
+      colorClass: 'from-teal-500 to-emerald-500',
+      requiresAuth: false,
+      isTool: true,
+    },
+    {
+      id: 'resume-history',
+      title: 'Resume Versions',
+      description: 'Compare, restore and branch the resumes you tailored for each job.',
+      icon: <History />,
+      colorClass: 'from-blue-500 to-indigo-500',
+      requiresAuth: true,
+      isTool: true,
+    },
   ];
 
   const pages = [
@@ -1,5 +1,5 @@
 // src/components/pipeline/PipelineProgressIndicator.tsx
-// Visual progress indicator for the 8-step pipeline
+// Visual progress indicator for whichever pipeline steps are configured
 
 import React from 'react';
 import { 
@@ -12,9 +12,14 @@ import {
   Zap, 
   CheckCircle,
   Clock,
-  AlertCircle
+  AlertCircle,
+  Circle,
+  XCircle,
+  Mail,
+  UserCheck,
+  LucideIcon
 } from 'lucide-react';
-import { PipelineStep, ProgressIndicator, PIPELINE_CONFIG } from '../../types/pipeline';
+import { PipelineStepStatus, ProgressIndicator } from '../../types/pipeline';
 
 interface PipelineProgressIndicatorProps {
   progress: ProgressIndicator;
@@ -23,17 +28,22 @@ interface PipelineProgressIndicatorProps {
   compact?: boolean;
 }
 
-const STEP_ICONS = {
-  [PipelineStep.PARSE_RESUME]: FileText,
-  [PipelineStep.ANALYZE_AGAINST_JD]: Search,
-  [PipelineStep.MISSING_SECTIONS_MODAL]: Edit,
-  [PipelineStep.PROJECT_ANALYSIS]: FolderOpen,
-  [PipelineStep.RE_ANALYSIS]: RefreshCw,
-  [PipelineStep.BULLET_REWRITING]: PenTool,
-  [PipelineStep.FINAL_OPTIMIZATION]: Zap,
-  [PipelineStep.OUTPUT_RESUME]: CheckCircle
+// Icon names steps may declare; anything else falls back to a plain circle
+const STEP_ICONS: Record<string, LucideIcon> = {
+  'file-text': FileText,
+  'search': Search,
+  'edit': Edit,
+  'folder-open': FolderOpen,
+  'refresh-cw': RefreshCw,
+  'pen-tool': PenTool,
+  'zap': Zap,
+  'check-circle': CheckCircle,
+  'mail': Mail,
+  'user-check': UserCheck
 };
 
+const getStepIcon = (icon?: string): LucideIcon => (icon && STEP_ICONS[icon]) || Circle;
+
 export const PipelineProgressIndicator: React.FC<PipelineProgressIndicatorProps> = ({
   progress,
   className = '',
@@ -47,20 +57,17 @@ export const PipelineProgressIndicator: React.FC<PipelineProgressIndicatorProps>
     return remainingSeconds > 0 ? `${minutes}m ${remainingSeconds}s` : `${minutes}m`;
   };
 
-  const getStepStatus = (step: PipelineStep): 'completed' | 'current' | 'pending' => {
-    if (step < progress.currentStep) return 'completed';
-    if (step === progress.currentStep) return 'current';
-    return 'pending';
-  };
-
-  const getStepColor = (status: 'completed' | 'current' | 'pending'): string => {
+  const getStepColor = (status: PipelineStepStatus): string => {
     switch (status) {
       case 'completed': return 'text-emerald-500 bg-emerald-500/20 border-emerald-500/30';
       case 'current': return 'text-cyan-500 bg-cyan-500/20 border-cyan-500/30';
+      case 'failed': return 'text-red-500 bg-red-500/20 border-red-500/30';
       case 'pending': return 'text-slate-400 bg-slate-500/10 border-slate-500/20';
     }
   };
 
+  const currentIcon = getStepIcon(progress.steps.find(step => step.id === progress.currentStep)?.icon);
+
   if (compact) {
     return (
       <div className={`flex items-center space-x-3 ${className}`}>
@@ -84,7 +91,7 @@ export const PipelineProgressIndicator: React.FC<PipelineProgressIndicatorProps>
         <div>
           <h3 className="text-lg font-semibold text-slate-100">Resume Optimization Progress</h3>
           <p className="text-sm text-slate-400">
-            Step {progress.currentStep} of {progress.totalSteps}
+            Step {progress.currentStepIndex} of {progress.totalSteps}
           </p>
         </div>
         <div className="text-right">
@@ -120,7 +127,7 @@ export const PipelineProgressIndicator: React.FC<PipelineProgressIndicatorProps>
       <div className="mb-6 p-4 bg-slate-800/50 rounded-lg border border-slate-700/30">
         <div className="flex items-center space-x-3 mb-2">
           <div className="w-8 h-8 rounded-full bg-cyan-500/20 border border-cyan-500/30 flex items-center justify-center">
-            {React.createElement(STEP_ICONS[progress.currentStep], {
+            {React.createElement(currentIcon, {
               className: "w-4 h-4 text-cyan-400"
             })}
           </div>
@@ -142,45 +149,45 @@ export const PipelineProgressIndicator: React.FC<PipelineProgressIndicatorProps>
       {showDetails && (
         <div className="space-y-2">
           <h4 className="text-sm font-medium text-slate-300 mb-3">All Steps</h4>
-          {Object.values(PipelineStep)
-            .filter(step => typeof step === 'number')
-            .map((step) => {
-              const stepNumber = step as PipelineStep;
-              const status = getStepStatus(stepNumber);
-              const Icon = STEP_ICONS[stepNumber];
-              const colorClass = getStepColor(status);
-              
-              return (
-                <div 
-                  key={stepNumber}
-                  className={`flex items-center space-x-3 p-2 rounded-lg transition-colors ${
-                    status === 'current' ? 'bg-cyan-500/10' : ''
-                  }`}
-                >
-                  <div className={`w-6 h-6 rounded-full border flex items-center justify-center ${colorClass}`}>
-                    {status === 'completed' ? (
-                      <CheckCircle className="w-3 h-3" />
-                    ) : (
-                      <Icon className="w-3 h-3" />
-                    )}
-                  </div>
-                  <div className="flex-1">
-                    <p className={`text-sm font-medium ${
-                      status === 'current' ? 'text-cyan-300' : 
-                      status === 'completed' ? 'text-emerald-300' : 'text-slate-400'
-                    }`}>
-                      {PIPELINE_CONFIG.STEP_NAMES[stepNumber]}
-                    </p>
-                  </div>
-                  {status === 'completed' && (
-                    <CheckCircle className="w-4 h-4 text-emerald-500" />
-                  )}
-                  {status === 'current' && (
-                    <div className="w-2 h-2 bg-cyan-500 rounded-full animate-pulse" />
+          {progress.steps.map((step) => {
+            const Icon = getStepIcon(step.icon);
+            const colorClass = getStepColor(step.status);
+            
+            return (
+              <div 
+                key={String(step.id)}
+                className={`flex items-center space-x-3 p-2 rounded-lg transition-colors ${
+                  step.status === 'current' ? 'bg-cyan-500/10' : ''
+                }`}
+              >
+                <div className={`w-6 h-6 rounded-full border flex items-center justify-center ${colorClass}`}>
+                  {step.status === 'completed' ? (
+                    <CheckCircle className="w-3 h-3" />
+                  ) : (
+                    <Icon className="w-3 h-3" />
                   )}
                 </div>
-              );
-            })}
+                <div className="flex-1">
+                  <p className={`text-sm font-medium ${
+                    step.status === 'current' ? 'text-cyan-300' : 
+                    step.status === 'completed' ? 'text-emerald-300' :
+                    step.status === 'failed' ? 'text-red-300' : 'text-slate-400'
+                  }`}>
+                    {step.name}
+                  </p>
+                </div>
+                {step.status === 'completed' && (
+                  <CheckCircle className="w-4 h-4 text-emerald-500" />
+                )}
+                {step.status === 'failed' && (
+                  <XCircle className="w-4 h-4 text-red-500" />
+                )}
+                {step.status === 'current' && (
+                  <div className="w-2 h-2 bg-cyan-500 rounded-full animate-pulse" />
+                )}
+              </div>
+            );
+          })}
         </div>
       )}
     </div>
@@ -0,0 +1,398 @@
+/**
+ * Per-language dictionaries for resume and JD analysis
+ * Section headers, stopwords and phrase lists the analyzers use once the
+ * language of a document is known. English requirement and seniority patterns
+ * stay in the analyzers as regexes; the lists here add each language's own terms.
+ */
+
+import { LanguageResources, SupportedLanguage, TextDirection } from '../types/language';
+
+const ENGLISH: LanguageResources = {
+  language: 'en',
+  name: 'English',
+  locale: 'en',
+  direction: 'ltr',
+  sectionHeaders: {
+    header: ['contact', 'personal info', 'header'],
+    summary: ['professional summary', 'summary', 'profile', 'about me', 'career objective', 'objective'],
+    skills: ['skills', 'technical skills', 'core competencies', 'technologies', 'expertise'],
+    experience: ['work experience', 'professional experience', 'experience', 'employment', 'career history'],
+    projects: ['projects', 'project', 'portfolio', 'key projects', 'notable projects'],
+    education: ['education', 'academic background', 'qualifications'],
+    certifications: ['certifications', 'certification', 'licenses', 'license', 'credentials'],
+    achievements: ['achievements', 'achievement', 'accomplishments', 'accomplishment', 'awards', 'award', 'honors', 'honor'],
+    additional: ['additional', 'interests', 'hobbies', 'volunteer']
+  },
+  sectionTitles: {},
+  stopwords: [
+    'the', 'and', 'of', 'to', 'in', 'for', 'with', 'on', 'as', 'by', 'at', 'from', 'an', 'a', 'is', 'are',
+    'was', 'were', 'be', 'been', 'this', 'that', 'will', 'or', 'our', 'you', 'we', 'your', 'their', 'it',
+    'have', 'has', 'had', 'not', 'but', 'which', 'who', 'into', 'over', 'using', 'such'
+  ],
+  // SkillsKeywordsAnalyzer keeps its own English list
+  jdBoilerplate: [],
+  genericPhrases: [
+    'team player', 'hard worker', 'detail-oriented', 'self-starter', 'go-getter',
+    'think outside the box', 'synergy', 'leverage'
+  ],
+  requirementMarkers: { critical: [], preferred: [] },
+  seniorityTerms: {},
+  softSkills: {}
+};
+
+const GERMAN: LanguageResources = {
+  language: 'de',
+  name: 'Deutsch',
+  locale: 'de-DE',
+  direction: 'ltr',
+  sectionHeaders: {
+    header: ['kontakt', 'kontaktdaten', 'persönliche daten', 'persönliche angaben'],
+    summary: ['profil', 'kurzprofil', 'berufsprofil', 'zusammenfassung', 'über mich', 'berufsziel'],
+    skills: ['kenntnisse', 'fähigkeiten', 'fachkenntnisse', 'it-kenntnisse', 'kompetenzen', 'fachliche kompetenzen', 'technische kenntnisse'],
+    experience: ['berufserfahrung', 'berufliche erfahrung', 'beruflicher werdegang', 'werdegang', 'erfahrung', 'praxiserfahrung'],
+    projects: ['projekte', 'projekterfahrung', 'ausgewählte projekte'],
+    education: ['ausbildung', 'bildung', 'bildungsweg', 'schulbildung', 'studium', 'akademischer werdegang'],
+    certifications: ['zertifikate', 'zertifizierungen', 'weiterbildung', 'weiterbildungen', 'fortbildungen'],
+    achievements: ['auszeichnungen', 'erfolge', 'preise'],
+    additional: ['sprachen', 'sprachkenntnisse', 'interessen', 'hobbys', 'ehrenamt', 'sonstiges']
+  },
+  sectionTitles: {
+    summary: 'Profil',
+    careerObjective: 'Berufsziel',
+    skills: 'Kenntnisse',
+    workExperience: 'Berufserfahrung',
+    projects: 'Projekte',
+    education: 'Ausbildung',
+    certifications: 'Zertifikate',
+    achievements: 'Auszeichnungen'
+  },
+  stopwords: [
+    'der', 'die', 'das', 'und', 'oder', 'in', 'im', 'mit', 'von', 'für', 'auf', 'ist', 'sind', 'zu', 'zur',
+    'zum', 'ein', 'eine', 'einer', 'einem', 'den', 'dem', 'des', 'bei', 'als', 'auch', 'sowie', 'wir', 'sie',
+    'ihr', 'ihre', 'ihren', 'uns', 'unser', 'unsere', 'nicht', 'werden', 'wird', 'haben', 'hat', 'durch',
+    'über', 'aus', 'nach', 'bis'
+  ],
+  // German capitalises every noun, so these would otherwise all look like keywords
+  jdBoilerplate: [
+    'aufgaben', 'anforderungen', 'profil', 'erfahrung', 'kenntnisse', 'team', 'unternehmen', 'bereich',
+    'stelle', 'bewerbung', 'vorteile', 'angebot', 'standort', 'vollzeit', 'teilzeit', 'mitarbeiter',
+    'kunden', 'entwicklung', 'studium', 'ausbildung'
+  ],
+  genericPhrases: [
+    'teamplayer', 'teamfähig', 'belastbar', 'zuverlässig', 'flexibel', 'engagiert',
+    'kommunikationsstark', 'lösungsorientiert', 'selbstständige arbeitsweise', 'hohe einsatzbereitschaft'
+  ],
+  requirementMarkers: {
+    critical: ['erforderlich', 'zwingend', 'voraussetzung', 'muss', 'mindestens', 'unbedingt', 'fundierte kenntnisse'],
+    preferred: ['wünschenswert', 'von vorteil', 'idealerweise', 'vorzugsweise', 'gute kenntnisse', 'sehr gute kenntnisse']
+  },
+  seniorityTerms: {
+    senior: ['senior', 'leitend', 'leitender', 'leitende', 'erfahrener', 'erfahrene', 'erfahrenen'],
+    mid: ['berufserfahren', 'mehrjährige'],
+    junior: ['junior', 'berufseinsteiger', 'berufseinstieg', 'absolvent', 'absolventen'],
+    intern: ['praktikum', 'praktikant', 'werkstudent', 'werkstudentin', 'trainee', 'duales studium'],
+    lead: ['teamleiter', 'teamleitung', 'abteilungsleiter', 'bereichsleiter', 'geschäftsführer']
+  },
+  softSkills: {
+    leadership: {
+      actionVerbs: ['geleitet', 'geführt', 'leitete', 'führte', 'betreut', 'koordiniert', 'verantwortet', 'angeleitet'],
+      jdKeywords: ['führung', 'führungserfahrung', 'personalverantwortung', 'leitung']
+    },
+    communication: {
+      actionVerbs: ['präsentiert', 'dokumentiert', 'kommuniziert', 'verhandelt', 'berichtet', 'moderiert'],
+      jdKeywords: ['kommunikation', 'kommunikationsfähigkeit', 'präsentation', 'dokumentation']
+    },
+    'problem-solving': {
+      actionVerbs: ['gelöst', 'analysiert', 'behoben', 'optimiert', 'verbessert', 'identifiziert'],
+      jdKeywords: ['problemlösung', 'lösungsorientiert', 'analytisch']
+    },
+    collaboration: {
+      actionVerbs: ['zusammengearbeitet', 'unterstützt', 'abgestimmt'],
+      jdKeywords: ['teamfähigkeit', 'teamarbeit', 'zusammenarbeit']
+    }
+  }
+};
+
+const FRENCH: LanguageResources = {
+  language: 'fr',
+  name: 'Français',
+  locale: 'fr-FR',
+  direction: 'ltr',
+  sectionHeaders: {
+    header: ['coordonnées', 'informations personnelles', 'contact'],
+    summary: ['profil', 'profil professionnel', 'à propos', 'à propos de moi', 'synthèse', 'objectif professionnel'],
+    skills: ['compétences', 'compétences techniques', 'savoir-faire', 'connaissances', 'outils et technologies'],
+    experience: ['expérience professionnelle', 'expériences professionnelles', 'expérience', 'expériences', 'parcours professionnel'],
+    projects: ['projets', 'projets réalisés', 'projets personnels'],
+    education: ['formation', 'formations', 'études', 'diplômes', 'parcours académique'],
+    certifications: ['certifications', 'certificats', 'habilitations'],
+    achievements: ['réalisations', 'distinctions', 'prix'],
+    additional: ['langues', "centres d'intérêt", 'loisirs', 'bénévolat', 'divers']
+  },
+  sectionTitles: {
+    summary: 'Profil professionnel',
+    careerObjective: 'Objectif professionnel',
+    skills: 'Compétences',
+    workExperience: 'Expérience professionnelle',
+    projects: 'Projets',
+    education: 'Formation',
+    certifications: 'Certifications',
+    achievements: 'Réalisations'
+  },
+  stopwords: [
+    'le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'et', 'ou', 'en', 'dans', 'pour', 'avec', 'sur', 'par',
+    'au', 'aux', 'est', 'sont', 'nous', 'vous', 'votre', 'vos', 'notre', 'nos', 'qui', 'que', 'ce', 'cette',
+    'ces', 'son', 'sa', 'ses', 'pas', 'plus', 'être', 'avoir', 'afin', 'chez'
+  ],
+  jdBoilerplate: [
+    'missions', 'profil', 'poste', 'entreprise', 'équipe', 'expérience', 'connaissances', 'avantages',
+    'rejoignez', 'candidature'
+  ],
+  genericPhrases: [
+    'esprit d’équipe', "esprit d'équipe", 'dynamique', 'motivé', 'rigoureux', 'autonome',
+    'force de proposition', 'polyvalent', 'sens du relationnel', 'bon relationnel'
+  ],
+  requirementMarkers: {
+    critical: ['requis', 'requise', 'obligatoire', 'indispensable', 'impératif', 'exigé', 'minimum'],
+    preferred: ['souhaité', 'souhaitée', 'apprécié', 'appréciée', 'un plus', 'idéalement', 'serait un atout']
+  },
+  seniorityTerms: {
+    senior: ['senior', 'confirmé', 'confirmée', 'expérimenté', 'expérimentée'],
+    mid: ['intermédiaire'],
+    junior: ['junior', 'débutant', 'débutante', 'jeune diplômé', 'jeune diplômée'],
+    intern: ['stage', 'stagiaire', 'alternance', 'alternant', 'apprenti'],
+    lead: ['responsable', 'directeur', 'directrice', "chef d'équipe", 'manager']
+  },
+  softSkills: {
+    leadership: {
+      actionVerbs: ['dirigé', 'encadré', 'piloté', 'managé', 'supervisé', 'coordonné', 'formé'],
+      jdKeywords: ['leadership', 'management', 'encadrement', 'pilotage']
+    },
+    communication: {
+      actionVerbs: ['présenté', 'rédigé', 'documenté', 'communiqué', 'négocié', 'animé'],
+      jdKeywords: ['communication', 'présentation', 'rédaction', 'aisance relationnelle']
+    },
+    'problem-solving': {
+      actionVerbs: ['résolu', 'analysé', 'corrigé', 'optimisé', 'amélioré', 'diagnostiqué'],
+      jdKeywords: ['résolution de problèmes', 'esprit d’analyse', "esprit d'analyse", 'analytique']
+    },
+    collaboration: {
+      actionVerbs: ['collaboré', 'accompagné', 'soutenu'],
+      jdKeywords: ['travail en équipe', 'collaboration', 'esprit d’équipe', "esprit d'équipe"]
+    }
+  }
+};
+
+const SPANISH: LanguageResources = {
+  language: 'es',
+  name: 'Español',
+  locale: 'es-ES',
+  direction: 'ltr',
+  sectionHeaders: {
+    header: ['datos personales', 'datos de contacto', 'contacto'],
+    summary: ['perfil', 'perfil profesional', 'resumen', 'resumen profesional', 'sobre mí', 'acerca de mí', 'objetivo profesional'],
+    skills: ['habilidades', 'competencias', 'conocimientos', 'aptitudes', 'habilidades técnicas', 'conocimientos técnicos'],
+    experience: ['experiencia laboral', 'experiencia profesional', 'experiencia', 'trayectoria profesional', 'historial laboral'],
+    projects: ['proyectos', 'proyectos destacados', 'proyectos personales'],
+    education: ['educación', 'formación', 'formación académica', 'estudios', 'titulación'],
+    certifications: ['certificaciones', 'certificados', 'cursos'],
+    achievements: ['logros', 'premios', 'reconocimientos'],
+    additional: ['idiomas', 'intereses', 'aficiones', 'voluntariado', 'otros']
+  },
+  sectionTitles: {
+    summary: 'Perfil profesional',
+    careerObjective: 'Objetivo profesional',
+    skills: 'Habilidades',
+    workExperience: 'Experiencia profesional',
+    projects: 'Proyectos',
+    education: 'Formación académica',
+    certifications: 'Certificaciones',
+    achievements: 'Logros'
+  },
+  stopwords: [
+    'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'de', 'del', 'y', 'o', 'en', 'con', 'por', 'para',
+    'al', 'es', 'son', 'que', 'se', 'su', 'sus', 'nuestro', 'nuestra', 'nuestros', 'tu', 'como', 'más', 'muy',
+    'sin', 'sobre', 'entre', 'este', 'esta', 'estos', 'ser', 'será'
+  ],
+  jdBoilerplate: [
+    'requisitos', 'funciones', 'responsabilidades', 'empresa', 'equipo', 'experiencia', 'puesto', 'ofrecemos',
+    'buscamos', 'somos'
+  ],
+  genericPhrases: [
+    'trabajo en equipo', 'proactivo', 'proactiva', 'dinámico', 'dinámica', 'responsable',
+    'orientado a resultados', 'orientada a resultados', 'capacidad de trabajo', 'don de gentes'
+  ],
+  requirementMarkers: {
+    critical: ['imprescindible', 'obligatorio', 'requisito', 'requerido', 'requerida', 'indispensable', 'mínimo'],
+    preferred: ['deseable', 'valorable', 'se valorará', 'preferiblemente', 'un plus']
+  },
+  seniorityTerms: {
+    senior: ['senior', 'sénior', 'experimentado', 'experimentada'],
+    mid: ['semi senior', 'semisenior', 'intermedio'],
+    junior: ['junior', 'júnior', 'recién graduado', 'recién titulado', 'sin experiencia'],
+    intern: ['prácticas', 'becario', 'becaria', 'pasantía', 'trainee'],
+    lead: ['jefe de equipo', 'responsable', 'director', 'directora', 'líder técnico']
+  },
+  softSkills: {
+    leadership: {
+      actionVerbs: ['lideré', 'dirigí', 'gestioné', 'coordiné', 'supervisé', 'formé', 'liderazgo de'],
+      jdKeywords: ['liderazgo', 'gestión de equipos', 'dirección']
+    },
+    communication: {
+      actionVerbs: ['presenté', 'documenté', 'comuniqué', 'negocié', 'redacté'],
+      jdKeywords: ['comunicación', 'presentación', 'documentación']
+    },
+    'problem-solving': {
+      actionVerbs: ['resolví', 'analicé', 'optimicé', 'mejoré', 'diagnostiqué', 'identifiqué'],
+      jdKeywords: ['resolución de problemas', 'capacidad analítica', 'analítico']
+    },
+    collaboration: {
+      actionVerbs: ['colaboré', 'apoyé', 'coordiné con'],
+      jdKeywords: ['trabajo en equipo', 'colaboración']
+    }
+  }
+};
+
+const HINDI: LanguageResources = {
+  language: 'hi',
+  name: 'हिन्दी',
+  locale: 'hi-IN',
+  direction: 'ltr',
+  sectionHeaders: {
+    header: ['संपर्क', 'संपर्क विवरण', 'व्यक्तिगत विवरण'],
+    summary: ['सारांश', 'पेशेवर सारांश', 'प्रोफ़ाइल', 'परिचय', 'उद्देश्य', 'करियर उद्देश्य'],
+    skills: ['कौशल', 'तकनीकी कौशल', 'दक्षताएं', 'दक्षताएँ'],
+    experience: ['अनुभव', 'कार्य अनुभव', 'पेशेवर अनुभव', 'रोज़गार इतिहास'],
+    projects: ['परियोजनाएं', 'परियोजनाएँ', 'प्रोजेक्ट्स', 'प्रोजेक्ट'],
+    education: ['शिक्षा', 'शैक्षिक योग्यता', 'शैक्षणिक योग्यता', 'योग्यता'],
+    certifications: ['प्रमाणपत्र', 'प्रमाणन'],
+    achievements: ['उपलब्धियां', 'उपलब्धियाँ', 'पुरस्कार'],
+    additional: ['भाषाएं', 'भाषाएँ', 'रुचियां', 'रुचियाँ', 'अन्य']
+  },
+  sectionTitles: {
+    summary: 'पेशेवर सारांश',
+    careerObjective: 'करियर उद्देश्य',
+    skills: 'कौशल',
+    workExperience: 'कार्य अनुभव',
+    projects: 'परियोजनाएं',
+    education: 'शिक्षा',
+    certifications: 'प्रमाणपत्र',
+    achievements: 'उपलब्धियां'
+  },
+  stopwords: [
+    'के', 'का', 'की', 'है', 'हैं', 'में', 'और', 'को', 'से', 'पर', 'एक', 'यह', 'वह', 'था', 'थे', 'थी', 'लिए',
+    'भी', 'या', 'तथा', 'एवं', 'द्वारा', 'साथ', 'हम', 'आप', 'किया', 'करना', 'करने', 'होगा', 'जो', 'कि'
+  ],
+  jdBoilerplate: [],
+  genericPhrases: [
+    'टीम प्लेयर', 'मेहनती', 'कड़ी मेहनत', 'लगनशील', 'ईमानदार', 'जिम्मेदार', 'ज़िम्मेदार', 'आत्म-प्रेरित'
+  ],
+  requirementMarkers: {
+    critical: ['आवश्यक', 'अनिवार्य', 'ज़रूरी', 'जरूरी', 'कम से कम', 'न्यूनतम'],
+    preferred: ['वांछनीय', 'प्राथमिकता', 'अतिरिक्त लाभ']
+  },
+  seniorityTerms: {
+    senior: ['वरिष्ठ', 'सीनियर', 'अनुभवी'],
+    junior: ['कनिष्ठ', 'जूनियर', 'फ्रेशर', 'नवस्नातक'],
+    intern: ['इंटर्न', 'इंटर्नशिप', 'प्रशिक्षु'],
+    lead: ['प्रमुख', 'प्रबंधक', 'निदेशक', 'टीम लीड']
+  },
+  softSkills: {
+    leadership: {
+      actionVerbs: ['नेतृत्व किया', 'प्रबंधन किया', 'मार्गदर्शन किया', 'प्रशिक्षित किया'],
+      jdKeywords: ['नेतृत्व', 'प्रबंधन']
+    },
+    communication: {
+      actionVerbs: ['प्रस्तुत किया', 'संवाद किया', 'दस्तावेज़ तैयार किए'],
+      jdKeywords: ['संचार', 'संवाद', 'प्रस्तुति']
+    },
+    'problem-solving': {
+      actionVerbs: ['हल किया', 'विश्लेषण किया', 'सुधार किया', 'अनुकूलित किया'],
+      jdKeywords: ['समस्या समाधान', 'विश्लेषणात्मक']
+    },
+    collaboration: {
+      actionVerbs: ['सहयोग किया', 'मिलकर काम किया'],
+      jdKeywords: ['टीम वर्क', 'सहयोग']
+    }
+  }
+};
+
+const ARABIC: LanguageResources = {
+  language: 'ar',
+  name: 'العربية',
+  locale: 'ar',
+  direction: 'rtl',
+  sectionHeaders: {
+    header: ['معلومات الاتصال', 'بيانات الاتصال', 'البيانات الشخصية', 'المعلومات الشخصية'],
+    summary: ['الملخص', 'الملخص المهني', 'نبذة', 'نبذة عني', 'الهدف الوظيفي'],
+    skills: ['المهارات', 'المهارات التقنية', 'الكفاءات'],
+    experience: ['الخبرة', 'الخبرات', 'الخبرة العملية', 'الخبرات العملية', 'الخبرة المهنية'],
+    projects: ['المشاريع', 'المشروعات'],
+    education: ['التعليم', 'المؤهلات', 'المؤهلات العلمية', 'المؤهل العلمي'],
+    certifications: ['الشهادات', 'الشهادات المهنية', 'الدورات'],
+    achievements: ['الإنجازات', 'الجوائز'],
+    additional: ['اللغات', 'الاهتمامات', 'العمل التطوعي']
+  },
+  sectionTitles: {
+    summary: 'الملخص المهني',
+    careerObjective: 'الهدف الوظيفي',
+    skills: 'المهارات',
+    workExperience: 'الخبرة العملية',
+    projects: 'المشاريع',
+    education: 'التعليم',
+    certifications: 'الشهادات',
+    achievements: 'الإنجازات'
+  },
+  stopwords: [
+    'في', 'من', 'على', 'إلى', 'عن', 'مع', 'و', 'أو', 'هذا', 'هذه', 'التي', 'الذي', 'كان', 'لدى', 'بين',
+    'كل', 'أن', 'إن', 'ما', 'لا', 'قد', 'نحن', 'أنت', 'خلال', 'حتى', 'عند', 'بعد', 'قبل'
+  ],
+  jdBoilerplate: [],
+  genericPhrases: [
+    'روح الفريق', 'العمل الجماعي', 'مجتهد', 'طموح', 'منضبط', 'القدرة على العمل تحت الضغط', 'التفكير خارج الصندوق'
+  ],
+  requirementMarkers: {
+    critical: ['مطلوب', 'إلزامي', 'ضروري', 'شرط', 'على الأقل'],
+    preferred: ['يفضل', 'مفضل', 'ميزة إضافية']
+  },
+  seniorityTerms: {
+    senior: ['أول', 'خبير', 'ذو خبرة'],
+    junior: ['مبتدئ', 'حديث التخرج', 'حديثي التخرج'],
+    intern: ['متدرب', 'تدريب', 'تدريب صيفي'],
+    lead: ['مدير', 'رئيس قسم', 'قائد فريق']
+  },
+  softSkills: {
+    leadership: {
+      actionVerbs: ['قدت', 'أدرت', 'أشرفت', 'قيادة', 'إدارة فريق'],
+      jdKeywords: ['القيادة', 'الإدارة']
+    },
+    communication: {
+      actionVerbs: ['قدمت', 'عرضت', 'وثقت', 'تفاوضت'],
+      jdKeywords: ['التواصل', 'مهارات الاتصال', 'العرض']
+    },
+    'problem-solving': {
+      actionVerbs: ['حللت', 'حلّ', 'طورت', 'حسنت'],
+      jdKeywords: ['حل المشكلات', 'التفكير التحليلي']
+    },
+    collaboration: {
+      actionVerbs: ['تعاونت', 'شاركت'],
+      jdKeywords: ['العمل الجماعي', 'التعاون']
+    }
+  }
+};
+
+export const LANGUAGE_RESOURCES: Record<SupportedLanguage, LanguageResources> = {
+  en: ENGLISH,
+  de: GERMAN,
+  fr: FRENCH,
+  es: SPANISH,
+  hi: HINDI,
+  ar: ARABIC
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_RESOURCES) as SupportedLanguage[];
+
+export const DEFAULT_LANGUAGE: SupportedLanguage = 'en';
+
+export const languageDirection = (language: SupportedLanguage): TextDirection =>
+  LANGUAGE_RESOURCES[language].direction;
@@ -1,9 +1,12 @@
 /**
  * Centralized Skills Taxonomy
- * Single source of truth for ATS-friendly skill categorization
+ * ATS-friendly skill categorization on top of the skill taxonomy dataset
+ * (src/data/skillTaxonomy.json), read through skillTaxonomyRegistry
  * Used across all services to ensure consistent skill categorization
  */
 
+import { skillTaxonomyRegistry } from '../services/skillTaxonomy/skillTaxonomyRegistry';
+
 // ATS-Friendly Category Names (must match Gemini service output)
 export const SKILL_CATEGORIES = {
   PROGRAMMING_LANGUAGES: 'Programming Languages',
@@ -20,110 +23,37 @@ export const SKILL_CATEGORIES = {
 // Type for category names
 export type SkillCategoryName = typeof SKILL_CATEGORIES[keyof typeof SKILL_CATEGORIES];
 
+// Term lists per category: names and aliases of the shipped taxonomy entries
+// filed under each ATS section. Free-text extractors search for these, so
+// short synonyms such as "js" stay out of them.
+const atsTerms = (category: SkillCategoryName): string[] => skillTaxonomyRegistry.atsTerms(category, true);
+
 // Programming Languages - ONLY actual programming languages (NOT markup/styling languages)
-export const PROGRAMMING_LANGUAGES = [
-  'javascript', 'typescript', 'python', 'java', 'c++', 'c#', 'go', 'rust', 'ruby', 'php',
-  'swift', 'kotlin', 'scala', 'r', 'matlab', 'perl', 'lua', 'dart', 'elixir', 'clojure',
-  'haskell', 'f#', 'objective-c', 'assembly', 'cobol', 'fortran', 'pascal', 'vb.net',
-  'sql', 'bash', 'powershell', 'shell', 'groovy', 'julia'
-];
+export const PROGRAMMING_LANGUAGES = atsTerms(SKILL_CATEGORIES.PROGRAMMING_LANGUAGES);
 
 // Frontend Technologies - Frameworks, libraries, and tools for frontend development
-export const FRONTEND_TECHNOLOGIES = [
-  'react', 'react.js', 'angular', 'vue', 'vue.js', 'svelte', 'next.js', 'nuxt.js',
-  'gatsby', 'ember', 'backbone', 'jquery', 'bootstrap', 'tailwind', 'tailwind css',
-  'material-ui', 'mui', 'ant design', 'chakra ui', 'semantic ui', 'bulma',
-  'sass', 'scss', 'less', 'styled-components', 'emotion', 'webpack', 'vite',
-  'rollup', 'parcel', 'gulp', 'grunt', 'babel', 'html5', 'css3', 'responsive design'
-];
+export const FRONTEND_TECHNOLOGIES = atsTerms(SKILL_CATEGORIES.FRONTEND_TECHNOLOGIES);
 
 // Backend Technologies - Frameworks, libraries, and tools for backend development
-export const BACKEND_TECHNOLOGIES = [
-  'node.js', 'express', 'express.js', 'fastify', 'koa', 'nest.js', 'nestjs',
-  'django', 'flask', 'fastapi', 'spring', 'spring boot', 'hibernate', 'struts',
-  '.net', 'asp.net', 'entity framework', 'rails', 'ruby on rails', 'sinatra',
-  'laravel', 'symfony', 'codeigniter', 'graphql', 'rest', 'restful', 'rest api',
-  'restful api', 'soap', 'grpc', 'microservices', 'api', 'api development',
-  'websockets', 'socket.io', 'redis pub/sub'
-];
+export const BACKEND_TECHNOLOGIES = atsTerms(SKILL_CATEGORIES.BACKEND_TECHNOLOGIES);
 
 // Databases - All database systems and data storage technologies
-export const DATABASES = [
-  'mysql', 'postgresql', 'postgres', 'sqlite', 'mongodb', 'redis', 'elasticsearch',
-  'cassandra', 'dynamodb', 'couchdb', 'neo4j', 'influxdb', 'oracle', 'oracle db',
-  'sql server', 'mariadb', 'firebase', 'firestore', 'supabase', 'planetscale',
-  'cockroachdb', 'clickhouse', 'snowflake', 'bigquery', 'nosql', 'rds', 'aurora'
-];
+export const DATABASES = atsTerms(SKILL_CATEGORIES.DATABASES);
 
 // Cloud & DevOps - Cloud platforms AND DevOps tools (combined for ATS compatibility)
-export const CLOUD_AND_DEVOPS = [
-  // Cloud Platforms
-  'aws', 'amazon web services', 'azure', 'microsoft azure', 'gcp', 'google cloud',
-  'google cloud platform', 'digital ocean', 'digitalocean', 'heroku', 'vercel',
-  'netlify', 'cloudflare', 'linode', 'vultr', 'oracle cloud', 'ibm cloud',
-  'alibaba cloud', 'aws lambda', 'azure functions', 'cloud functions', 'ec2', 's3',
-  // DevOps Tools
-  'docker', 'kubernetes', 'k8s', 'terraform', 'ansible', 'puppet', 'chef', 'vagrant',
-  'jenkins', 'gitlab ci', 'github actions', 'circleci', 'travis ci', 'bamboo',
-  'helm', 'istio', 'prometheus', 'grafana', 'elk stack', 'datadog', 'new relic',
-  'ci/cd', 'continuous integration', 'continuous deployment', 'devops', 'infrastructure as code',
-  'iac', 'cloudformation', 'arm templates'
-];
+export const CLOUD_AND_DEVOPS = atsTerms(SKILL_CATEGORIES.CLOUD_AND_DEVOPS);
 
 // Data Science & ML - Machine Learning, AI, and Data Science tools and frameworks
-export const DATA_SCIENCE_AND_ML = [
-  // ML/AI Frameworks
-  'tensorflow', 'pytorch', 'keras', 'scikit-learn', 'sklearn', 'xgboost', 'lightgbm',
-  'catboost', 'hugging face', 'transformers', 'openai', 'langchain', 'llama',
-  // Data Science Tools
-  'pandas', 'numpy', 'scipy', 'matplotlib', 'seaborn', 'plotly', 'jupyter',
-  'jupyter notebook', 'anaconda', 'spacy', 'nltk', 'opencv', 'pillow',
-  // ML/AI Techniques
-  'machine learning', 'deep learning', 'neural networks', 'cnn', 'rnn', 'lstm',
-  'gpt', 'transformer', 'bert', 'computer vision', 'nlp', 'natural language processing',
-  'reinforcement learning', 'supervised learning', 'unsupervised learning',
-  // Big Data & Analytics
-  'spark', 'apache spark', 'pyspark', 'hadoop', 'kafka', 'airflow', 'databricks',
-  'tableau', 'power bi', 'looker', 'data analysis', 'data visualization',
-  'statistical analysis', 'predictive modeling', 'data mining', 'feature engineering'
-];
+export const DATA_SCIENCE_AND_ML = atsTerms(SKILL_CATEGORIES.DATA_SCIENCE_AND_ML);
 
 // Tools & Platforms - Development tools, version control, and general platforms
-export const TOOLS_AND_PLATFORMS = [
-  'git', 'github', 'gitlab', 'bitbucket', 'svn', 'mercurial', 'jira', 'confluence',
-  'slack', 'teams', 'microsoft teams', 'zoom', 'vscode', 'visual studio code',
-  'intellij', 'eclipse', 'vim', 'emacs', 'sublime', 'atom', 'webstorm', 'pycharm',
-  'postman', 'insomnia', 'swagger', 'openapi', 'npm', 'yarn', 'pnpm', 'pip',
-  'maven', 'gradle', 'linux', 'unix', 'ubuntu', 'centos', 'debian', 'windows',
-  'macos', 'bash', 'terminal', 'command line', 'cli', 'agile', 'scrum', 'kanban'
-];
+export const TOOLS_AND_PLATFORMS = atsTerms(SKILL_CATEGORIES.TOOLS_AND_PLATFORMS);
 
 // Testing & QA - All testing tools, frameworks, and QA methodologies
-export const TESTING_AND_QA = [
-  // Automated Testing
-  'jest', 'mocha', 'chai', 'jasmine', 'karma', 'cypress', 'selenium', 'playwright',
-  'puppeteer', 'testcafe', 'junit', 'testng', 'pytest', 'unittest', 'rspec',
-  'cucumber', 'behave', 'specflow', 'testing library', 'react testing library',
-  'vitest', 'ava', 'tape', 'enzyme', 'sinon', 'supertest',
-  // Testing Methodologies & QA
-  'unit testing', 'integration testing', 'e2e testing', 'end-to-end testing',
-  'test automation', 'manual testing', 'manual qa', 'regression testing',
-  'test scripting', 'test cases', 'test planning', 'qa', 'quality assurance',
-  'validation', 'verification', 'issue reporting', 'bug tracking', 'test coverage',
-  'tdd', 'test-driven development', 'bdd', 'behavior-driven development',
-  'performance testing', 'load testing', 'stress testing', 'security testing'
-];
+export const TESTING_AND_QA = atsTerms(SKILL_CATEGORIES.TESTING_AND_QA);
 
 // Soft Skills - Non-technical skills and competencies
-export const SOFT_SKILLS = [
-  'leadership', 'communication', 'teamwork', 'team collaboration', 'collaboration',
-  'problem solving', 'problem-solving', 'analytical thinking', 'critical thinking',
-  'project management', 'time management', 'adaptability', 'flexibility',
-  'creativity', 'innovation', 'mentoring', 'coaching', 'presentation',
-  'presentation skills', 'negotiation', 'customer service', 'stakeholder management',
-  'decision making', 'conflict resolution', 'multitasking', 'organizational skills',
-  'attention to detail', 'work ethic', 'interpersonal skills', 'emotional intelligence'
-];
+export const SOFT_SKILLS = atsTerms(SKILL_CATEGORIES.SOFT_SKILLS);
 
 // Category Skills Map for easy lookup
 export const CATEGORY_SKILLS_MAP: Record<SkillCategoryName, string[]> = {
@@ -173,13 +103,30 @@ export const SKILL_DISPLAY_NAMES: Record<string, string> = {
   'qa': 'QA'
 };
 
+/**
+ * English name for a skill written in another language
+ * @param skill - The skill as written, e.g. "Maschinelles Lernen"
+ * @returns The lowercase English taxonomy name, or the skill unchanged when it has no localized name
+ */
+export function canonicalSkillName(skill: string): string {
+  const resolution = skillTaxonomyRegistry.resolve(skill);
+  return resolution?.matchedAs === 'localized' ? resolution.skill.name.toLowerCase() : skill.trim();
+}
+
 /**
  * Categorize a skill into the correct ATS-friendly category
  * @param skill - The skill to categorize (case-insensitive)
  * @returns The category name or null if not found
  */
 export function categorizeSkill(skill: string): SkillCategoryName | null {
-  const skillLower = skill.toLowerCase().trim();
+  // Skills the taxonomy knows by this exact name, alias or synonym are filed
+  // where it says, or under their nearest categorized parent
+  const known = skillTaxonomyRegistry.atsCategoryOf(skill);
+  if (known) {
+    return known;
+  }
+
+  const skillLower = canonicalSkillName(skill).toLowerCase().trim();
 
   // Check each category in priority order
   // Order matters! Check more specific categories first to prevent false matches
@@ -1,18 +1,22 @@
 // src/hooks/usePipelineController.ts
 // React hook for managing pipeline controller state
 
-import { useState, useEffect, useCallback, useRef } from 'react';
-import { PipelineController } from '../services/pipelineController';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { PipelineController, PipelineControllerOptions } from '../services/pipelineController';
 import { PipelineStateService } from '../services/pipelineStateService';
 import { 
   PipelineState, 
-  PipelineStep, 
+  PipelineStepId, 
+  PipelineStepSummary,
+  PipelineRunResult,
   ProgressIndicator, 
   StepResult,
-  PipelineExecutionContext 
+  PipelineExecutionContext,
+  PipelineConfiguration
 } from '../types/pipeline';
+import { SyncedSessionSummary } from '../types/sessionSync';
 
-interface UsePipelineControllerOptions {
+interface UsePipelineControllerOptions extends PipelineControllerOptions {
   userId: string;
   jobDescription?: string;
   targetRole?: string;
@@ -24,20 +28,23 @@ interface UsePipelineControllerReturn {
   controller: PipelineController | null;
   state: PipelineState | null;
   progress: ProgressIndicator | null;
+  steps: PipelineStepSummary[];
   isLoading: boolean;
   error: string | null;
   
   // Actions
-  executeStep: (step: PipelineStep, input?: any) => Promise<StepResult>;
+  executeStep: (step: PipelineStepId, input?: unknown) => Promise<StepResult>;
+  runPipeline: (inputs?: Record<string, unknown>) => Promise<PipelineRunResult>;
   proceedToNext: () => void;
-  rollbackToPrevious: () => void;
-  handleError: (step: PipelineStep, error: Error) => Promise<void>;
+  rollbackToPrevious: () => Promise<void>;
+  handleError: (step: PipelineStepId, error: Error) => Promise<void>;
   
   // Session management
   saveSession: () => void;
-  loadSession: (sessionId: string) => boolean;
+  loadSession: (sessionId: string) => Promise<boolean>;
   clearSession: () => void;
   getResumableSessions: () => PipelineExecutionContext[];
+  getSessionsFromAllDevices: () => Promise<SyncedSessionSummary[]>;
 }
 
 export const usePipelineController = (
@@ -52,42 +59,41 @@ export const usePipelineController = (
   const controllerRef = useRef<PipelineController | null>(null);
   const autoSaveIntervalRef = useRef<NodeJS.Timeout | null>(null);
 
+  // Step configuration, compared by value so a new array literal each render
+  // does not rebuild the controller
+  const stepConfigKey = JSON.stringify({ steps: options.steps, skipSteps: options.skipSteps, userType: options.userType });
+  const stepConfig = useMemo(() => JSON.parse(stepConfigKey) as PipelineConfiguration, [stepConfigKey]);
+  const { userId, registry } = options;
+  const createController = useCallback((jobDescription: string, targetRole: string) => (
+    new PipelineController(userId, jobDescription, targetRole, { ...stepConfig, registry })
+  ), [userId, stepConfig, registry]);
+
   // Initialize controller
   useEffect(() => {
     const initializeController = () => {
       console.log('🚀 Initializing pipeline controller...');
       
-      let newController: PipelineController;
+      const newController = createController(options.jobDescription || '', options.targetRole || '');
       
-      // Try to resume existing session if requested
+      // Try to resume existing session if requested: this device's latest
+      // session straight away, then a newer one from another device if any
       if (options.resumeSession) {
         const resumableSessions = PipelineStateService.getResumableSessions(options.userId);
         if (resumableSessions.length > 0) {
-          const latestSession = resumableSessions[0];
-          console.log(`📂 Resuming session: ${latestSession.sessionId}`);
-          
-          // Create controller with existing context
-          newController = new PipelineController(
-            options.userId,
-            latestSession.jobDescription,
-            latestSession.targetRole
-          );
-          
-          // TODO: Restore controller state from context
-          // This will be implemented when we add state restoration methods
-        } else {
-          newController = new PipelineController(
-            options.userId,
-            options.jobDescription || '',
-            options.targetRole || ''
-          );
+          console.log(`📂 Resuming session: ${resumableSessions[0].sessionId}`);
+          newController.restoreContext(resumableSessions[0]);
         }
-      } else {
-        newController = new PipelineController(
-          options.userId,
-          options.jobDescription || '',
-          options.targetRole || ''
-        );
+
+        PipelineStateService.getSessionsFromAllDevices(options.userId).then(async sessions => {
+          const latest = sessions[0];
+          if (!latest || (latest.isCurrentDevice && latest.sessionId === resumableSessions[0]?.sessionId)) return;
+
+          const context = await PipelineStateService.loadContextFromAnyDevice(options.userId, latest.sessionId);
+          if (context && controllerRef.current === newController) {
+            console.log(`📂 Resuming session from ${latest.deviceLabel}: ${latest.sessionId}`);
+            newController.restoreContext(context);
+          }
+        });
       }
       
       // Set up event listeners
@@ -116,7 +122,24 @@ export const usePipelineController = (
         clearInterval(autoSaveIntervalRef.current);
       }
     };
-  }, [options.userId, options.jobDescription, options.targetRole, options.resumeSession]);
+  }, [options.userId, options.jobDescription, options.targetRole, options.resumeSession, createController]);
+
+  // Save current session locally and to the user's other devices
+  const saveSession = useCallback(() => {
+    const current = controllerRef.current;
+    if (!current) return;
+    
+    PipelineStateService.syncContext(current.getContext()).then(result => {
+      if (result.status === 'failed') {
+        console.warn('Session saved on this device only:', result.error);
+      } else if (result.conflict && controllerRef.current === current) {
+        // Another device changed the session; adopt the combined copy, keeping
+        // anything this device did while the save was in flight
+        console.log(`🔀 Merged changes made on ${result.conflict.deviceLabel}`);
+        current.restoreContext(PipelineStateService.mergeContexts(current.getContext(), result.payload));
+      }
+    });
+  }, []);
 
   // Auto-save functionality
   useEffect(() => {
@@ -131,10 +154,10 @@ export const usePipelineController = (
         }
       };
     }
-  }, [options.autoSave, controller]);
+  }, [options.autoSave, controller, saveSession]);
 
   // Execute pipeline step
-  const executeStep = useCallback(async (step: PipelineStep, input?: any): Promise<StepResult> => {
+  const executeStep = useCallback(async (step: PipelineStepId, input?: unknown): Promise<StepResult> => {
     if (!controller) {
       throw new Error('Pipeline controller not initialized');
     }
@@ -165,7 +188,34 @@ export const usePipelineController = (
     } finally {
       setIsLoading(false);
     }
-  }, [controller, options.autoSave]);
+  }, [controller, options.autoSave, saveSession]);
+
+  // Run the configured steps until one needs input or fails
+  const runPipeline = useCallback(async (inputs?: Record<string, unknown>): Promise<PipelineRunResult> => {
+    if (!controller) {
+      throw new Error('Pipeline controller not initialized');
+    }
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const result = await controller.runPipeline(inputs);
+      const last = result.results[result.results.length - 1]?.result;
+      
+      if (last && !last.success) {
+        setError(last.error || 'Step execution failed');
+      }
+      
+      if (options.autoSave) {
+        saveSession();
+      }
+      
+      return result;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [controller, options.autoSave, saveSession]);
 
   // Proceed to next step
   const proceedToNext = useCallback(() => {
@@ -176,21 +226,21 @@ export const usePipelineController = (
     if (options.autoSave) {
       saveSession();
     }
-  }, [controller, options.autoSave]);
+  }, [controller, options.autoSave, saveSession]);
 
   // Rollback to previous step
-  const rollbackToPrevious = useCallback(() => {
+  const rollbackToPrevious = useCallback(async () => {
     if (!controller) return;
     
-    controller.rollbackToPreviousStep();
+    await controller.rollbackToPreviousStep();
     
     if (options.autoSave) {
       saveSession();
     }
-  }, [controller, options.autoSave]);
+  }, [controller, options.autoSave, saveSession]);
 
   // Handle step error
-  const handleError = useCallback(async (step: PipelineStep, error: Error): Promise<void> => {
+  const handleError = useCallback(async (step: PipelineStepId, error: Error): Promise<void> => {
     if (!controller) return;
     
     setError(error.message);
@@ -202,23 +252,10 @@ export const usePipelineController = (
     }
   }, [controller]);
 
-  // Save current session
-  const saveSession = useCallback(() => {
-    if (!controllerRef.current) return;
-    
+  // Load existing session, from this or any other device
+  const loadSession = useCallback(async (sessionId: string): Promise<boolean> => {
     try {
-      // TODO: Get context from controller and save it
-      // This will be implemented when we add context getter methods
-      console.log('💾 Session saved');
-    } catch (err) {
-      console.error('Failed to save session:', err);
-    }
-  }, []);
-
-  // Load existing session
-  const loadSession = useCallback((sessionId: string): boolean => {
-    try {
-      const context = PipelineStateService.loadContext(sessionId);
+      const context = await PipelineStateService.loadContextFromAnyDevice(options.userId, sessionId);
       if (!context) {
         console.warn(`Session ${sessionId} not found`);
         return false;
@@ -229,28 +266,23 @@ export const usePipelineController = (
         return false;
       }
       
-      // TODO: Restore controller from context
-      // This will be implemented when we add context restoration methods
+      controllerRef.current?.restoreContext(context);
       console.log(`📂 Session ${sessionId} loaded`);
       return true;
     } catch (err) {
       console.error('Failed to load session:', err);
       return false;
     }
-  }, []);
+  }, [options.userId]);
 
   // Clear current session
   const clearSession = useCallback(() => {
     if (state?.sessionId) {
-      PipelineStateService.deleteContext(state.sessionId);
+      PipelineStateService.deleteContextEverywhere(options.userId, state.sessionId);
     }
     
     // Reset controller
-    const newController = new PipelineController(
-      options.userId,
-      options.jobDescription || '',
-      options.targetRole || ''
-    );
+    const newController = createController(options.jobDescription || '', options.targetRole || '');
     
     setController(newController);
     controllerRef.current = newController;
@@ -259,22 +291,29 @@ export const usePipelineController = (
     setError(null);
     
     console.log('🧹 Session cleared');
-  }, [state?.sessionId, options.userId, options.jobDescription, options.targetRole]);
+  }, [state?.sessionId, options.userId, options.jobDescription, options.targetRole, createController]);
 
   // Get resumable sessions
   const getResumableSessions = useCallback((): PipelineExecutionContext[] => {
     return PipelineStateService.getResumableSessions(options.userId);
   }, [options.userId]);
 
+  // Get resumable sessions from every device the user is signed in on
+  const getSessionsFromAllDevices = useCallback((): Promise<SyncedSessionSummary[]> => {
+    return PipelineStateService.getSessionsFromAllDevices(options.userId);
+  }, [options.userId]);
+
   return {
     controller,
     state,
     progress,
+    steps: progress?.steps ?? [],
     isLoading,
     error,
     
     // Actions
     executeStep,
+    runPipeline,
     proceedToNext,
     rollbackToPrevious,
     handleError,
@@ -283,6 +322,7 @@ export const usePipelineController = (
     saveSession,
     loadSession,
     clearSession,
-    getResumableSessions
+    getResumableSessions,
+    getSessionsFromAllDevices
   };
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 import { supabase } from '../lib/supabaseClient';
 import { geminiService } from './geminiServiceWrapper';
 import { adaptiveQuestionService } from './adaptiveQuestionService';
+import { RubricAssessment } from '../types/interviewRubric';
 
 export interface ResponseAnalysis {
   clarity: number;
@@ -229,11 +230,13 @@ Format your response as JSON:
   async updateResponseWithAnalysis(
     responseId: string,
     analysis: ResponseAnalysis,
-    codeQualityAnalysis?: any
+    codeQualityAnalysis?: any,
+    rubric?: RubricAssessment
   ) {
     const aiAnalysis = {
       ...analysis,
-      codeQuality: codeQualityAnalysis
+      codeQuality: codeQualityAnalysis,
+      rubric
     };
 
     const { data, error } = await supabase
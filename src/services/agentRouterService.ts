@@ -1,12 +1,11 @@
 import { getApiEndpoint } from '../utils/apiConfig';
+import { llmGateway } from './llm/llmGateway';
 
 const MAX_INPUT_LENGTH = 50000;
 const MAX_RETRIES = 3;
-const INITIAL_RETRY_DELAY_MS = 1000;
 const REQUEST_TIMEOUT_MS = 30000;
 
 // Local API endpoints (server proxy), not AgentRouter directly
-const getAiEndpoint = () => getApiEndpoint('/ai-enrich');
 const getHealthEndpoint = () => getApiEndpoint('/ai-health');
 
 interface AgentRouterMessage {
@@ -14,13 +13,6 @@ interface AgentRouterMessage {
   content: string;
 }
 
-interface AgentRouterRequest {
-  model: string;
-  messages: AgentRouterMessage[];
-  temperature?: number;
-  max_tokens?: number;
-}
-
 interface AgentRouterResponse {
   id: string;
   object: string;
@@ -43,114 +35,37 @@ class AgentRouterService {
   private primaryModel: string = 'gpt-4o';
   private fallbackModels: string[] = ['claude-3-5-haiku-20241022', 'deepseek-chat'];
 
+  // Retries, timeouts and the model fallback chain are handled by the LLM gateway
   private async safeFetch(
     messages: AgentRouterMessage[],
     options: { temperature?: number; maxTokens?: number; model?: string } = {}
   ): Promise<AgentRouterResponse> {
     const { temperature = 0.7, maxTokens = 2000, model = this.primaryModel } = options;
+    const models = [model, ...this.fallbackModels.filter(fallback => fallback !== model)];
+
+    const response = await llmGateway.complete({
+      feature: 'portfolio',
+      messages,
+      temperature,
+      maxTokens,
+      cache: false, // generated copy; asking again should give a new draft
+      retries: MAX_RETRIES - 1,
+      timeoutMs: REQUEST_TIMEOUT_MS,
+      route: models.map(name => ({ provider: 'agent-router' as const, model: name }))
+    });
 
-    let retries = 0;
-    let delay = INITIAL_RETRY_DELAY_MS;
-    let currentModel = model;
-    let fallbackIndex = 0;
-
-    while (retries < MAX_RETRIES) {
-      const requestBody: AgentRouterRequest = {
-        model: currentModel,
-        messages,
-        temperature,
-        max_tokens: maxTokens,
-      };
-
-      // Timeout controller per request
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
-
-      try {
-        const response = await fetch(getAiEndpoint(), {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(requestBody),
-          signal: controller.signal,
-        });
-
-        clearTimeout(timeout);
-
-        if (!response.ok) {
-          const errorText = await response.text().catch(() => '');
-          let errorMessage = `AI API error: ${response.status}`;
-
-          try {
-            const errorJson = JSON.parse(errorText);
-            if (errorJson.error) {
-              errorMessage = `AI API error: ${errorJson.error} (Code: ${errorJson.code || response.status})`;
-            }
-          } catch {
-            if (errorText) errorMessage = `AI API error: ${errorText} (Status: ${response.status})`;
-          }
-
-          if (response.status === 400) throw new Error(`Bad Request. ${errorMessage}`);
-          if (response.status === 401) throw new Error(`Authentication failed. Please check server configuration.`);
-          if (response.status === 402) throw new Error(`Insufficient AI credits. Please upgrade your plan.`);
-          if (response.status === 504) throw new Error(`Request timeout. The AI service took too long to respond.`);
-
-          if (response.status === 429 || response.status >= 500) {
-            retries++;
-            if (retries >= MAX_RETRIES && fallbackIndex < this.fallbackModels.length) {
-              console.warn(`Primary model ${currentModel} failed. Trying fallback: ${this.fallbackModels[fallbackIndex]}`);
-              currentModel = this.fallbackModels[fallbackIndex++];
-              retries = 0;
-              delay = INITIAL_RETRY_DELAY_MS;
-              continue;
-            }
-            if (retries >= MAX_RETRIES && fallbackIndex >= this.fallbackModels.length) {
-              throw new Error(`AI service unavailable after ${MAX_RETRIES} retries on all models. ${errorMessage}`);
-            }
-            const jitter = Math.random() * 400;
-            console.warn(`AI API: ${errorMessage}. Retrying in ${(delay + jitter) / 1000}s... (Attempt ${retries}/${MAX_RETRIES})`);
-            await new Promise(r => setTimeout(r, delay + jitter));
-            delay *= 2;
-            continue;
-          }
-
-          throw new Error(errorMessage);
-        }
-
-        const data: AgentRouterResponse = await response.json();
-        return data;
-      } catch (err: any) {
-        clearTimeout(timeout);
-
-        // Timeout from AbortController
-        if (err?.name === 'AbortError') {
-          retries++;
-          if (retries >= MAX_RETRIES) {
-            throw new Error(`Request timeout after ${MAX_RETRIES} attempts. The AI service is not responding.`);
-          }
-          console.warn(`Request timeout. Retrying... (Attempt ${retries}/${MAX_RETRIES})`);
-          await new Promise(r => setTimeout(r, delay));
-          delay *= 2;
-          continue;
-        }
-
-        // Network failures
-        if ((err.message || '').includes('Failed to fetch') || (err.message || '').includes('NetworkError')) {
-          retries++;
-          if (retries >= MAX_RETRIES) {
-            throw new Error(`Network error: Unable to connect to AI service after ${MAX_RETRIES} retries. Please check your internet connection.`);
-          }
-          console.warn(`Network error: ${err.message}. Retrying in ${delay / 1000}s... (Attempt ${retries}/${MAX_RETRIES})`);
-          await new Promise(r => setTimeout(r, delay));
-          delay *= 2;
-          continue;
-        }
-
-        // Other errors → bubble up
-        throw err;
+    return {
+      id: `llm-${Date.now()}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: response.model || model,
+      choices: [{ index: 0, message: { role: 'assistant', content: response.text }, finish_reason: 'stop' }],
+      usage: {
+        prompt_tokens: response.usage.promptTokens,
+        completion_tokens: response.usage.completionTokens,
+        total_tokens: response.usage.totalTokens
       }
-    }
-
-    throw new Error(`Failed after ${MAX_RETRIES} retries`);
+    };
   }
 
   async enrichPortfolioContent(params: {
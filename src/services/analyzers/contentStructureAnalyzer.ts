@@ -11,6 +11,10 @@
  */
 
 import { TierScore, ResumeData, SectionInfo, OrderIssue, EXPECTED_SECTION_ORDER } from '../../types/resume';
+import { scoringEnvironment } from '../scoringEnvironment';
+import { LanguageDetectionService } from '../languageDetectionService';
+import { DetectedSectionKey } from '../../types/language';
+import { SUPPORTED_LANGUAGES } from '../../constants/languageResources';
 
 // ============================================================================
 // TYPES
@@ -98,6 +102,20 @@ const SECTION_PATTERNS: Record<string, RegExp> = {
   additional: /^(additional|other|interests|hobbies|volunteer)/im,
 };
 
+// Non-English headings, from the shared dictionaries, mapped onto the names above
+const LOCALIZED_LANGUAGES = SUPPORTED_LANGUAGES.filter(language => language !== 'en');
+const LOCALIZED_SECTION_NAMES: Record<DetectedSectionKey, string> = {
+  header: 'contact',
+  summary: 'summary',
+  skills: 'skills',
+  experience: 'experience',
+  projects: 'projects',
+  education: 'education',
+  certifications: 'certifications',
+  achievements: 'additional',
+  additional: 'additional',
+};
+
 // ============================================================================
 // CONTENT STRUCTURE ANALYZER
 // ============================================================================
@@ -130,19 +148,17 @@ export class ContentStructureAnalyzer {
 
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i].trim();
-      
-      for (const [sectionName, pattern] of Object.entries(SECTION_PATTERNS)) {
-        if (pattern.test(line)) {
-          const expectedPosition = EXPECTED_SECTION_ORDER.indexOf(sectionName as any);
-          sections.push({
-            name: sectionName,
-            position: position,
-            expectedPosition: expectedPosition >= 0 ? expectedPosition : 99,
-            isCorrectlyPlaced: false, // Will be calculated later
-          });
-          position++;
-          break;
-        }
+      const sectionName = this.sectionNameForLine(line);
+
+      if (sectionName) {
+        const expectedPosition = EXPECTED_SECTION_ORDER.indexOf(sectionName as any);
+        sections.push({
+          name: sectionName,
+          position: position,
+          expectedPosition: expectedPosition >= 0 ? expectedPosition : 99,
+          isCorrectlyPlaced: false, // Will be calculated later
+        });
+        position++;
       }
     }
 
@@ -155,6 +171,16 @@ export class ContentStructureAnalyzer {
     return sections;
   }
 
+  private static sectionNameForLine(line: string): string | null {
+    for (const [sectionName, pattern] of Object.entries(SECTION_PATTERNS)) {
+      if (pattern.test(line)) {
+        return sectionName;
+      }
+    }
+    const localized = LanguageDetectionService.matchSectionHeader(line, LOCALIZED_LANGUAGES);
+    return localized ? LOCALIZED_SECTION_NAMES[localized] : null;
+  }
+
   /**
    * Detect section order issues
    */
@@ -352,6 +378,7 @@ export class ContentStructureAnalyzer {
   private static analyzeSummaryPresence(_resumeText: string, resumeData?: ResumeData): MetricResult {
     const hasSummary = resumeData?.summary || resumeData?.careerObjective || 
       /^(summary|profile|objective|about|career)/im.test(_resumeText) ||
+      _resumeText.split('\n').some(line => LanguageDetectionService.matchSectionHeader(line, LOCALIZED_LANGUAGES) === 'summary') ||
       // Also check for summary-like content at the beginning (first 500 chars)
       /seeking|passionate|experienced|skilled|professional|dedicated|results-driven/i.test(_resumeText.slice(0, 500));
     
@@ -475,7 +502,7 @@ export class ContentStructureAnalyzer {
 
   private static analyzeDateValidity(resumeText: string): MetricResult {
     // Check for future dates (except "Present")
-    const currentYear = new Date().getFullYear();
+    const currentYear = scoringEnvironment.currentYear();
     const futureYearPattern = new RegExp(`\\b(${currentYear + 1}|${currentYear + 2})\\b`, 'g');
     const hasFutureDates = futureYearPattern.test(resumeText.replace(/expected|anticipated/gi, ''));
     
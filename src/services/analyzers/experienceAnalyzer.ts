@@ -1,5 +1,7 @@
 // src/services/analyzers/experienceAnalyzer.ts
 import { ExperienceAnalyzerInterface, ExperienceAnalysisResult, ResumeData } from '../../types/resume';
+import { Timeline } from '../../types/timeline';
+import { TimelineEngine } from '../../utils/timelineEngine';
 
 /**
  * ExperienceAnalyzer - Analyzes work experience quality and presentation
@@ -54,9 +56,14 @@ export class ExperienceAnalyzer implements ExperienceAnalyzerInterface {
   /**
    * Static analyze method for compatibility with enhanced scoring service
    */
-  static analyze(input: { resumeText: string; resumeData?: ResumeData; jobDescription?: string; targetRole?: string }) {
+  static analyze(input: { resumeText: string; resumeData?: ResumeData; jobDescription?: string; targetRole?: string; timeline?: Timeline }) {
     const analyzer = new ExperienceAnalyzer();
     const result = analyzer.analyzeExperience(input.resumeText);
+
+    const timeline = input.timeline ?? (input.resumeData ? TimelineEngine.build(input.resumeData) : undefined);
+    if (timeline) {
+      analyzer.applyTimeline(result, timeline);
+    }
     
     // Convert to the expected tier score format
     const score = (result.impact_strength_score + (result.metrics_usage_ratio * 100) + (result.action_verb_ratio * 100)) / 3;
@@ -116,6 +123,27 @@ export class ExperienceAnalyzer implements ExperienceAnalyzerInterface {
     return result;
   }
 
+  /**
+   * Add tenure figures and date problems from the resume timeline
+   */
+  applyTimeline(result: ExperienceAnalysisResult, timeline: Timeline): ExperienceAnalysisResult {
+    const roles = timeline.experience.filter(interval => interval.isValid);
+
+    result.total_experience_months = timeline.totalExperienceMonths;
+    result.average_tenure_months = roles.length > 0
+      ? Math.round(roles.reduce((sum, role) => sum + role.durationMonths, 0) / roles.length)
+      : 0;
+    result.employment_gap_months = timeline.gaps
+      .filter(gap => !gap.explainedBy)
+      .reduce((sum, gap) => sum + gap.months, 0);
+
+    timeline.issues
+      .filter(issue => issue.entryId.startsWith('experience'))
+      .forEach(issue => result.experience_quality_issues.push(issue.message));
+
+    return result;
+  }
+
   /**
    * Extract experience section from resume
    */
@@ -4,6 +4,7 @@
  */
 
 import { ResumeData, TierScore, Project } from '../../types/resume';
+import { scoringEnvironment } from '../scoringEnvironment';
 
 export interface ProjectsInput {
   resumeText: string;
@@ -181,7 +182,7 @@ export class ProjectsAnalyzer {
     const projectScale = Math.min(100, scaleMatches * 20 + 30);
 
     // 11. Project recency
-    const currentYear = new Date().getFullYear();
+    const currentYear = scoringEnvironment.currentYear();
     const recentYears = [currentYear, currentYear - 1, currentYear - 2].map(String);
     const projectRecency = recentYears.some(y => allProjectText.includes(y)) || /\b(current|ongoing|present)\b/i.test(allProjectText);
 
@@ -4,6 +4,7 @@
  */
 
 import { ResumeData, TierScore } from '../../types/resume';
+import { scoringEnvironment } from '../scoringEnvironment';
 
 export interface QualitativeInput {
   resumeText: string;
@@ -335,7 +336,7 @@ export class QualitativeAnalyzer {
     if (hasLeadership) score += 15;
 
     // Check for recent activity
-    const currentYear = new Date().getFullYear();
+    const currentYear = scoringEnvironment.currentYear();
     const recentYears = [currentYear, currentYear - 1].map(String);
     const hasRecent = recentYears.some(y => textLower.includes(y));
     if (hasRecent) score += 10;
@@ -9,6 +9,11 @@
  */
 
 import { TierScore, ResumeData, RedFlag, RedFlagType, RedFlagSeverity, RED_FLAG_PENALTIES } from '../../types/resume';
+import { Timeline } from '../../types/timeline';
+import { scoringEnvironment } from '../scoringEnvironment';
+import { TimelineEngine } from '../../utils/timelineEngine';
+import { SupportedLanguage } from '../../types/language';
+import { LanguageDetectionService } from '../languageDetectionService';
 
 // ============================================================================
 // TYPES
@@ -18,6 +23,8 @@ export interface RedFlagDetectorInput {
   resumeText: string;
   resumeData?: ResumeData;
   jobDescription?: string;
+  timeline?: Timeline; // built from resumeData when not supplied
+  language?: SupportedLanguage; // detected from resumeText when not supplied
 }
 
 export interface RedFlagDetectorResult {
@@ -87,10 +94,11 @@ export class RedFlagDetector {
   private static detectEmploymentRedFlags(input: RedFlagDetectorInput, startId: number): RedFlag[] {
     const flags: RedFlag[] = [];
     const { resumeText, resumeData } = input;
+    const timeline = input.timeline ?? TimelineEngine.build(resumeData);
     let id = startId;
 
     // 1. Unexplained gap > 6 months
-    const gaps = this.detectEmploymentGaps(resumeData);
+    const gaps = this.detectEmploymentGaps(timeline);
     const largeGaps = gaps.filter(g => g > 6);
     if (largeGaps.length > 0) {
       flags.push(this.createFlag(id++, 'employment', 'Unexplained Employment Gap', 'high',
@@ -120,7 +128,7 @@ export class RedFlagDetector {
     }
 
     // 4. Conflicting dates
-    if (this.detectConflictingDates(resumeData)) {
+    if (this.detectConflictingDates(timeline)) {
       flags.push(this.createFlag(id++, 'employment', 'Conflicting Dates', 'medium',
         -2,
         'Overlapping or inconsistent employment dates',
@@ -264,7 +272,8 @@ export class RedFlagDetector {
     }
 
     // 7. Generic language
-    if (this.detectGenericLanguage(resumeText)) {
+    const language = input.language || resumeData?.language || LanguageDetectionService.detect(resumeText).language;
+    if (this.detectGenericLanguage(resumeText, language)) {
       flags.push(this.createFlag(id++, 'skills', 'Generic Language', 'low',
         -1,
         'Overuse of generic phrases',
@@ -397,27 +406,11 @@ export class RedFlagDetector {
   // DETECTION HELPERS
   // ============================================================================
 
-  private static detectEmploymentGaps(resumeData?: ResumeData): number[] {
-    if (!resumeData?.workExperience || resumeData.workExperience.length < 2) {
-      return [];
-    }
-
-    const gaps: number[] = [];
-    const experiences = resumeData.workExperience;
-
-    for (let i = 0; i < experiences.length - 1; i++) {
-      const currentEnd = this.extractEndYear(experiences[i].year);
-      const nextStart = this.extractStartYear(experiences[i + 1].year);
-
-      if (currentEnd && nextStart && currentEnd > nextStart) {
-        const gapMonths = (currentEnd - nextStart) * 12;
-        if (gapMonths > 2) {
-          gaps.push(gapMonths);
-        }
-      }
-    }
-
-    return gaps;
+  // Months of each gap between roles that no education entry accounts for
+  private static detectEmploymentGaps(timeline: Timeline): number[] {
+    return timeline.gaps
+      .filter(gap => !gap.explainedBy && gap.months > 2)
+      .map(gap => gap.months);
   }
 
   private static countShortTenures(resumeData?: ResumeData): number {
@@ -439,25 +432,10 @@ export class RedFlagDetector {
     return inflatedPatterns.some(p => p.test(resumeText));
   }
 
-  private static detectConflictingDates(resumeData?: ResumeData): boolean {
-    if (!resumeData?.workExperience || resumeData.workExperience.length < 2) {
-      return false;
-    }
-
-    // Check for overlapping dates
-    for (let i = 0; i < resumeData.workExperience.length - 1; i++) {
-      const current = resumeData.workExperience[i];
-      const next = resumeData.workExperience[i + 1];
-      
-      const currentStart = this.extractStartYear(current.year);
-      const nextEnd = this.extractEndYear(next.year);
-
-      if (currentStart && nextEnd && currentStart < nextEnd) {
-        return true; // Overlap detected
-      }
-    }
-
-    return false;
+  // Overlapping roles, or dates that cannot be true (end before start, start in the future)
+  private static detectConflictingDates(timeline: Timeline): boolean {
+    return timeline.overlaps.some(overlap => overlap.kind === 'concurrent-roles')
+      || timeline.issues.some(issue => issue.severity === 'error');
   }
 
   private static detectVagueResponsibilities(resumeData?: ResumeData): boolean {
@@ -496,7 +474,7 @@ export class RedFlagDetector {
       return false;
     }
 
-    const currentYear = new Date().getFullYear();
+    const currentYear = scoringEnvironment.currentYear();
     const recentJobs = resumeData.workExperience.filter(exp => {
       const year = this.extractStartYear(exp.year);
       return year && year >= currentYear - 3;
@@ -627,19 +605,15 @@ export class RedFlagDetector {
     return resumeData.skills.length === 1 && resumeData.skills[0].list.length > 20;
   }
 
-  private static detectGenericLanguage(resumeText: string): boolean {
-    const genericPhrases = [
-      /team player/i,
-      /hard worker/i,
-      /detail-oriented/i,
-      /self-starter/i,
-      /go-getter/i,
-      /think outside the box/i,
-      /synergy/i,
-      /leverage/i,
-    ];
+  private static detectGenericLanguage(resumeText: string, language: SupportedLanguage = 'en'): boolean {
+    // English cliches turn up in every language's resumes
+    const genericPhrases = new Set([
+      ...LanguageDetectionService.getResources('en').genericPhrases,
+      ...LanguageDetectionService.getResources(language).genericPhrases,
+    ]);
+    const text = LanguageDetectionService.foldText(resumeText);
 
-    const matches = genericPhrases.filter(p => p.test(resumeText)).length;
+    const matches = [...genericPhrases].filter(phrase => text.includes(LanguageDetectionService.foldText(phrase))).length;
     return matches >= 3;
   }
 
@@ -762,7 +736,7 @@ export class RedFlagDetector {
 
   private static extractEndYear(dateStr: string): number | null {
     if (/present|current|now/i.test(dateStr)) {
-      return new Date().getFullYear();
+      return scoringEnvironment.currentYear();
     }
     const years = dateStr.match(/\d{4}/g);
     if (!years) return null;
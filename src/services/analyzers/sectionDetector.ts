@@ -1,11 +1,15 @@
 // src/services/analyzers/sectionDetector.ts
-import { SectionDetectorInterface, SectionDetectionResult, OrderIssue } from '../../types/resume';
+import { SectionDetectorInterface, SectionDetectionResult, OrderIssue, LayoutStructure } from '../../types/resume';
+import { SupportedLanguage } from '../../types/language';
+import { layoutParserService } from '../layoutParserService';
+import { LanguageDetectionService } from '../languageDetectionService';
 
 /**
  * SectionDetector - Analyzes resume section organization and structure
  * 
  * Handles:
  * - Section identification for Header, Summary, Skills, Experience, Projects, Education, Certifications, Achievements
+ *   from English, German, French, Spanish, Hindi and Arabic headings
  * - Missing section detection against standard sections
  * - Section order validation against professional best practices
  * - ATS-specific section ordering validation
@@ -35,21 +39,10 @@ export class SectionDetector implements SectionDetectorInterface {
     'achievements'
   ];
 
-  private readonly SECTION_PATTERNS = {
-    header: /^[\s]*(?:contact|personal\s+info|header)/i,
-    summary: /^[\s]*(?:professional\s+summary|summary|profile|about\s+me|career\s+objective|objective)/i,
-    skills: /^[\s]*(?:skills|technical\s+skills|core\s+competencies|technologies|expertise)/i,
-    experience: /^[\s]*(?:work\s+experience|professional\s+experience|experience|employment|career\s+history)/i,
-    projects: /^[\s]*(?:projects?|portfolio|key\s+projects|notable\s+projects)/i,
-    education: /^[\s]*(?:education|academic\s+background|qualifications)/i,
-    certifications: /^[\s]*(?:certifications?|licenses?|credentials)/i,
-    achievements: /^[\s]*(?:achievements?|accomplishments?|awards?|honors?)/i
-  };
-
   /**
    * Detect and analyze resume sections
    */
-  detectSections(resumeText: string): SectionDetectionResult {
+  detectSections(resumeText: string, language?: SupportedLanguage): SectionDetectionResult {
     console.log('📋 SectionDetector: Starting section analysis...');
     
     const sections = this.identifySections(resumeText);
@@ -66,7 +59,8 @@ export class SectionDetector implements SectionDetectorInterface {
       section_positions: this.getSectionPositions(presentSections),
       section_word_counts: sectionWordCounts,
       section_bullet_counts: sectionBulletCounts,
-      order_issues: orderIssues
+      order_issues: orderIssues,
+      language: LanguageDetectionService.resolve(resumeText, language)
     };
 
     console.log('📊 Section Detection Results:', {
@@ -79,6 +73,14 @@ export class SectionDetector implements SectionDetectorInterface {
     return result;
   }
 
+  /**
+   * Detect sections using the geometric reading order of a parsed PDF, so
+   * sidebar and second-column sections are not merged into their neighbours
+   */
+  detectSectionsFromLayout(layout: LayoutStructure, language?: SupportedLanguage): SectionDetectionResult {
+    return this.detectSections(layoutParserService.extractOrderedText(layout), language);
+  }
+
   /**
    * Identify sections in resume text
    */
@@ -168,14 +170,9 @@ export class SectionDetector implements SectionDetectorInterface {
     // Skip if line is too long to be a header
     if (line.length > 50) return null;
     
-    // Check against all section patterns
-    for (const [section, pattern] of Object.entries(this.SECTION_PATTERNS)) {
-      if (pattern.test(line)) {
-        return section;
-      }
-    }
-    
-    return null;
+    // Headings in any supported language; other headings (languages, hobbies) are not standard sections
+    const section = LanguageDetectionService.matchSectionHeader(line);
+    return section && this.STANDARD_SECTIONS.includes(section) ? section : null;
   }
 
   /**
@@ -268,14 +265,14 @@ export class SectionDetector implements SectionDetectorInterface {
     if (!text || text.trim().length === 0) return 0;
     
     const cleanText = text
-      .replace(/[^\w\s'-]/g, ' ')
+      .replace(/[^\p{L}\p{M}\p{N}_\s'-]/gu, ' ')
       .replace(/\s+/g, ' ')
       .trim();
     
     if (cleanText.length === 0) return 0;
     
     const words = cleanText.split(' ').filter(word => 
-      word.length > 0 && /[a-zA-Z]/.test(word)
+      word.length > 0 && /\p{L}/u.test(word)
     );
     
     return words.length;
@@ -10,6 +10,7 @@
  */
 
 import { TierScore, ResumeData, MissingKeyword, KeywordTier, KeywordColor } from '../../types/resume';
+import { LanguageDetectionService } from '../languageDetectionService';
 
 // ============================================================================
 // TYPES
@@ -200,6 +201,14 @@ export class SkillsKeywordsAnalyzer {
     // Extract other significant words (capitalized terms, acronyms)
     // FIXED: Filter out section headers, concatenated text, and invalid keywords
     const significantTerms = jobDescription.match(/\b[A-Z][A-Za-z]+(?:\s+[A-Z][A-Za-z]+)*\b/g) || [];
+
+    // German capitalises every noun, so non-English JDs also drop their own
+    // stopwords and boilerplate nouns ("Aufgaben", "Anforderungen")
+    const jdLanguage = LanguageDetectionService.detect(jobDescription).language;
+    const jdResources = LanguageDetectionService.getResources(jdLanguage);
+    const languageNoise = new Set(
+      jdLanguage === 'en' ? [] : [...jdResources.stopwords, ...jdResources.jdBoilerplate].map(word => LanguageDetectionService.foldText(word))
+    );
     
     // Common section headers and invalid patterns to exclude
     const invalidPatterns = [
@@ -256,6 +265,8 @@ export class SkillsKeywordsAnalyzer {
       
       // Skip if matches invalid patterns
       if (invalidPatterns.some(pattern => pattern.test(term))) return false;
+
+      if (term.split(/\s+/).some(word => languageNoise.has(LanguageDetectionService.foldText(word)))) return false;
       
       // Skip if contains concatenated words (CamelCase without spaces like "ResponsibilitiesWork")
       // Valid: "React Native", "Node.js" - Invalid: "ResponsibilitiesWork", "QualificationsSkills"
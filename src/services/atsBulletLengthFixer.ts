@@ -1,5 +1,5 @@
 import { ResumeData } from '../types/resume';
-import { metricPreserver } from './metricPreserver';
+import { ExtractedMetric, metricPreserver } from './metricPreserver';
 
 export interface BulletViolation {
   location: string;
@@ -270,14 +270,14 @@ export class ATSBulletLengthFixer {
     return [bullet];
   }
 
-  private static validateMetricsPreserved(originalMetrics: string[], fixedBullets: string[]): boolean {
+  private static validateMetricsPreserved(originalMetrics: ExtractedMetric[], fixedBullets: string[]): boolean {
     if (originalMetrics.length === 0) return true;
 
     const combinedFixed = fixedBullets.join(' ');
     const fixedMetrics = metricPreserver.extractMetrics(combinedFixed);
 
-    const normalizedOriginal = originalMetrics.map(m => m.replace(/[,\s]/g, '').toLowerCase());
-    const normalizedFixed = fixedMetrics.map(m => m.replace(/[,\s]/g, '').toLowerCase());
+    const normalizedOriginal = originalMetrics.map(m => m.normalized);
+    const normalizedFixed = fixedMetrics.map(m => m.normalized);
 
     return normalizedOriginal.every(metric =>
       normalizedFixed.some(fixed =>
@@ -0,0 +1,200 @@
+// src/services/atsRoundTripService.ts
+import { ResumeData, UserType, SectionDetectionResult } from '../types/resume';
+import { ExportOptions, defaultExportOptions } from '../types/export';
+import { ResumeSectionKey, TemplateDocument } from '../types/template';
+import { parseFile } from '../utils/fileParser';
+import { generateDocxBlob, generatePdfBlob, generatePlainText, getFileName } from '../utils/exportUtils';
+import { templateRegistry } from './templates/templateRegistry';
+import { buildTemplateDocument } from './templates/templateLayoutEngine';
+import { sectionDetector } from './analyzers/sectionDetector';
+import { ATSSimulator, ATSParsingResult } from './atsSimulator';
+
+export type RoundTripFormat = 'pdf' | 'word' | 'txt';
+
+export type RoundTripField = 'contact' | 'section' | 'entry' | 'date' | 'bullet' | 'text';
+
+export interface RoundTripIssue {
+  field: RoundTripField;
+  kind: 'lost' | 'reordered';
+  expected: string;
+  // Section title (or "Header") the field belongs to
+  location: string;
+}
+
+export interface ATSRoundTripReport {
+  format: RoundTripFormat;
+  extractedText: string;
+  extractionMode: string;
+  fieldsChecked: number;
+  fieldsPreserved: number;
+  issues: RoundTripIssue[];
+  // Sections the template wrote that the section detector could not find again
+  undetectedSections: string[];
+  sections: SectionDetectionResult;
+  ats: ATSParsingResult;
+  passed: boolean;
+}
+
+interface ExpectedField {
+  field: RoundTripField;
+  text: string;
+  location: string;
+}
+
+// Template section keys → names used by SectionDetector
+const DETECTOR_SECTION_NAMES: Partial<Record<ResumeSectionKey, string>> = {
+  summary: 'summary',
+  careerObjective: 'summary',
+  skills: 'skills',
+  workExperience: 'experience',
+  projects: 'projects',
+  education: 'education',
+  certifications: 'certifications',
+  achievements: 'achievements'
+};
+
+// Ignore case, bullet glyphs, dash variants and line wrapping when matching text
+const normalizeForMatch = (text: string): string =>
+  text
+    .toLowerCase()
+    .replace(/[•▪●◦]/g, ' ')
+    .replace(/[‐‑‒–—]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * ATS Round-Trip Service
+ * Exports a resume, re-extracts the text through the same parser used for
+ * uploads, and reports every field that was lost or came back out of order,
+ * so users see that a template breaks parsing before they submit it.
+ */
+export class ATSRoundTripService {
+  /**
+   * Every field the template wrote, in the order a parser should read it back
+   */
+  collectExpectedFields(document: TemplateDocument): ExpectedField[] {
+    const fields: ExpectedField[] = [{ field: 'contact', text: document.name, location: 'Header' }];
+    document.contactLines.forEach(line => {
+      line.forEach(item => fields.push({ field: 'contact', text: item.text, location: 'Header' }));
+    });
+
+    document.sections.forEach(section => {
+      const location = section.title;
+      fields.push({ field: 'section', text: section.title, location });
+
+      section.blocks.forEach(block => {
+        if (block.type === 'paragraph') {
+          fields.push({ field: 'text', text: block.label ? `${block.label} ${block.text}` : block.text, location });
+        } else if (block.type === 'bullet') {
+          fields.push({ field: 'bullet', text: block.label ? `${block.label} ${block.text}` : block.text, location });
+        } else {
+          fields.push({ field: 'entry', text: block.title, location });
+          if (block.date) fields.push({ field: 'date', text: block.date, location });
+          if (block.subtitle) fields.push({ field: 'text', text: block.subtitle, location });
+          (block.details || []).forEach(detail => fields.push({ field: 'text', text: detail, location }));
+          (block.bullets || []).forEach(bullet => fields.push({ field: 'bullet', text: bullet, location }));
+        }
+      });
+    });
+
+    return fields.filter(field => normalizeForMatch(field.text).length > 0);
+  }
+
+  /**
+   * Compare extracted text against the template document. Fields are matched
+   * in order; a field found only before the previous match was reordered.
+   */
+  compareExtractedText(document: TemplateDocument, extractedText: string): { issues: RoundTripIssue[]; fieldsChecked: number } {
+    const haystack = normalizeForMatch(extractedText);
+    const fields = this.collectExpectedFields(document);
+    const issues: RoundTripIssue[] = [];
+    let cursor = 0;
+
+    fields.forEach(({ field, text, location }) => {
+      const needle = normalizeForMatch(text);
+      const inOrder = haystack.indexOf(needle, cursor);
+      if (inOrder >= 0) {
+        cursor = inOrder + needle.length;
+        return;
+      }
+      const kind = haystack.includes(needle) ? 'reordered' : 'lost';
+      issues.push({ field, kind, expected: text, location });
+    });
+
+    return { issues, fieldsChecked: fields.length };
+  }
+
+  /**
+   * Sections the template wrote that SectionDetector cannot find in the extracted text
+   */
+  findUndetectedSections(document: TemplateDocument, sections: SectionDetectionResult): string[] {
+    return document.sections
+      .filter(section => {
+        const detectorName = DETECTOR_SECTION_NAMES[section.key];
+        return detectorName !== undefined && !sections.present_sections.includes(detectorName);
+      })
+      .map(section => section.title);
+  }
+
+  async generateExportFile(
+    resumeData: ResumeData,
+    userType: UserType,
+    options: ExportOptions,
+    format: RoundTripFormat
+  ): Promise<File> {
+    if (format === 'pdf') {
+      return new File([generatePdfBlob(resumeData, userType, options)], getFileName(resumeData, 'pdf'), { type: 'application/pdf' });
+    }
+    if (format === 'word') {
+      const blob = await generateDocxBlob(resumeData, userType, options);
+      return new File([blob], getFileName(resumeData, 'docx'), { type: blob.type });
+    }
+    return new File([generatePlainText(resumeData, userType, options)], getFileName(resumeData, 'txt'), { type: 'text/plain' });
+  }
+
+  /**
+   * Export the resume in the given format and check what the parser gets back
+   */
+  async runRoundTrip(
+    resumeData: ResumeData,
+    userType: UserType = 'experienced',
+    options: ExportOptions = defaultExportOptions,
+    format: RoundTripFormat = 'pdf'
+  ): Promise<ATSRoundTripReport> {
+    const document = buildTemplateDocument(resumeData, userType, templateRegistry.get(options.templateId));
+    const file = await this.generateExportFile(resumeData, userType, options, format);
+    const extraction = await parseFile(file);
+
+    const { issues, fieldsChecked } = this.compareExtractedText(document, extraction.text);
+    // PDFs come back with their layout; read sections in its column-aware order
+    const sections = extraction.layout
+      ? sectionDetector.detectSectionsFromLayout(extraction.layout, document.language)
+      : sectionDetector.detectSections(extraction.text, document.language);
+    const ats = ATSSimulator.simulateATS(extraction.text, 'workday', extraction.layout);
+    const undetectedSections = this.findUndetectedSections(document, sections);
+
+    console.log('🔁 ATS ROUND-TRIP:', {
+      format,
+      template: document.templateId,
+      fieldsChecked,
+      lost: issues.filter(issue => issue.kind === 'lost').length,
+      reordered: issues.filter(issue => issue.kind === 'reordered').length,
+      undetectedSections
+    });
+
+    return {
+      format,
+      extractedText: extraction.text,
+      extractionMode: extraction.extraction_mode,
+      fieldsChecked,
+      fieldsPreserved: fieldsChecked - issues.length,
+      issues,
+      undetectedSections,
+      sections,
+      ats,
+      passed: issues.length === 0 && undetectedSections.length === 0
+    };
+  }
+}
+
+export const atsRoundTripService = new ATSRoundTripService();
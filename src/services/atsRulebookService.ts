@@ -1,4 +1,9 @@
+import { RulebookSection, ScoringProfile } from '../types/scoringProfile';
+import { scoringProfileRegistry } from './scoringProfiles/scoringProfileRegistry';
+
 export interface ATSRulebookConfig {
+  pageLimitMin: number;
+  pageLimitMax: number;
   totalWordCountMin: number;
   totalWordCountMax: number;
   summaryWordCountMin: number;
@@ -14,12 +19,14 @@ export interface SectionOrderValidation {
   isValid: boolean;
   expectedOrder: string[];
   actualOrder: string[];
+  missingRequired: string[];
   violations: string[];
 }
 
 export interface WordCountValidation {
   isValid: boolean;
   totalWords: number;
+  estimatedPages: number;
   summaryWords: number;
   bulletCounts: { [key: string]: number };
   violations: string[];
@@ -65,27 +72,8 @@ export interface ATSComplianceResult {
 }
 
 export class ATSRulebookService {
-  private static readonly DEFAULT_CONFIG: ATSRulebookConfig = {
-    totalWordCountMin: 400,
-    totalWordCountMax: 650,
-    summaryWordCountMin: 40,
-    summaryWordCountMax: 60,
-    bulletWordCountMin: 5,
-    bulletWordCountMax: 10,
-    minMetricPercentage: 75,
-    keywordRepetitionMin: 4,
-    keywordRepetitionMax: 6
-  };
-
-  private static readonly REQUIRED_SECTION_ORDER = [
-    'header',
-    'summary',
-    'skills',
-    'experience',
-    'projects',
-    'education',
-    'certifications'
-  ];
+  // Rough words per printed page, used to check the profile's page limit
+  private static readonly WORDS_PER_PAGE = 500;
 
   private static readonly ACTION_VERBS = [
     'developed', 'implemented', 'architected', 'optimized', 'engineered',
@@ -95,60 +83,61 @@ export class ATSRulebookService {
     'migrated', 'scaled', 'improved', 'enhanced', 'integrated'
   ];
 
-  static validateSectionOrder(resumeData: any): SectionOrderValidation {
-    const actualOrder: string[] = [];
-    const violations: string[] = [];
-
-    if (resumeData.name || resumeData.phone || resumeData.email) {
-      actualOrder.push('header');
-    }
-
-    if (resumeData.summary || resumeData.careerObjective) {
-      actualOrder.push('summary');
-    }
-
-    if (resumeData.skills && resumeData.skills.length > 0) {
-      actualOrder.push('skills');
-    }
-
-    if (resumeData.workExperience && resumeData.workExperience.length > 0) {
-      actualOrder.push('experience');
-    }
-
-    if (resumeData.projects && resumeData.projects.length > 0) {
-      actualOrder.push('projects');
-    }
-
-    if (resumeData.education && resumeData.education.length > 0) {
-      actualOrder.push('education');
-    }
+  /**
+   * Rulebook thresholds from a scoring profile. Callers' partial configs are
+   * layered on top of the default profile's values.
+   */
+  static configFromProfile(profile: ScoringProfile = scoringProfileRegistry.getDefault()): ATSRulebookConfig {
+    const { document } = profile;
+    return {
+      pageLimitMin: document.pageLimit.min,
+      pageLimitMax: document.pageLimit.max,
+      totalWordCountMin: document.totalWords.min,
+      totalWordCountMax: document.totalWords.max,
+      summaryWordCountMin: document.summaryWords.min,
+      summaryWordCountMax: document.summaryWords.max,
+      bulletWordCountMin: document.bulletWords.min,
+      bulletWordCountMax: document.bulletWords.max,
+      minMetricPercentage: document.minMetricPercentage,
+      keywordRepetitionMin: document.keywordRepetition.min,
+      keywordRepetitionMax: document.keywordRepetition.max
+    };
+  }
 
-    if (resumeData.certifications && resumeData.certifications.length > 0) {
-      actualOrder.push('certifications');
-    }
+  static validateSectionOrder(
+    resumeData: any,
+    profile: ScoringProfile = scoringProfileRegistry.getDefault()
+  ): SectionOrderValidation {
+    const { sectionOrder, requiredSections, minSections } = profile.document;
+    const violations: string[] = [];
 
-    const expectedSubset = this.REQUIRED_SECTION_ORDER.filter(section =>
-      actualOrder.includes(section)
-    );
+    // Resume data carries no section order of its own, so present sections are
+    // listed in the profile's order
+    const present: Record<RulebookSection, boolean> = {
+      header: Boolean(resumeData.name || resumeData.phone || resumeData.email),
+      summary: Boolean(resumeData.summary || resumeData.careerObjective),
+      skills: Boolean(resumeData.skills && resumeData.skills.length > 0),
+      experience: Boolean(resumeData.workExperience && resumeData.workExperience.length > 0),
+      projects: Boolean(resumeData.projects && resumeData.projects.length > 0),
+      education: Boolean(resumeData.education && resumeData.education.length > 0),
+      certifications: Boolean(resumeData.certifications && resumeData.certifications.length > 0)
+    };
+    const actualOrder = sectionOrder.filter(section => present[section]);
 
-    let isValid = true;
-    for (let i = 0; i < actualOrder.length; i++) {
-      if (actualOrder[i] !== expectedSubset[i]) {
-        isValid = false;
-        violations.push(
-          `Section '${actualOrder[i]}' at position ${i + 1} should be '${expectedSubset[i]}'`
-        );
-      }
-    }
+    const missingRequired = requiredSections.filter(section => !present[section]);
+    missingRequired.forEach(section => {
+      violations.push(`Required section '${section}' is missing`);
+    });
 
-    if (actualOrder.length < 5) {
-      violations.push(`Only ${actualOrder.length} sections present, minimum 5 recommended`);
+    if (actualOrder.length < minSections) {
+      violations.push(`Only ${actualOrder.length} sections present, minimum ${minSections} recommended`);
     }
 
     return {
-      isValid,
-      expectedOrder: expectedSubset,
+      isValid: missingRequired.length === 0,
+      expectedOrder: sectionOrder,
       actualOrder,
+      missingRequired,
       violations
     };
   }
@@ -157,12 +146,25 @@ export class ATSRulebookService {
     resumeData: any,
     config: Partial<ATSRulebookConfig> = {}
   ): WordCountValidation {
-    const finalConfig = { ...this.DEFAULT_CONFIG, ...config };
+    const finalConfig = { ...this.configFromProfile(), ...config };
     const violations: string[] = [];
     const bulletCounts: { [key: string]: number } = {};
 
     const totalWords = this.countTotalWords(resumeData);
     const summaryWords = this.countSummaryWords(resumeData);
+    const estimatedPages = Math.max(1, Math.ceil(totalWords / this.WORDS_PER_PAGE));
+
+    if (estimatedPages > finalConfig.pageLimitMax) {
+      violations.push(
+        `Estimated length of ${estimatedPages} pages exceeds the ${finalConfig.pageLimitMax}-page limit`
+      );
+    }
+
+    if (estimatedPages < finalConfig.pageLimitMin) {
+      violations.push(
+        `Estimated length of ${estimatedPages} page(s) is below the ${finalConfig.pageLimitMin}-page minimum`
+      );
+    }
 
     if (totalWords < finalConfig.totalWordCountMin) {
       violations.push(
@@ -203,6 +205,7 @@ export class ATSRulebookService {
     return {
       isValid: violations.length === 0,
       totalWords,
+      estimatedPages,
       summaryWords,
       bulletCounts,
       violations
@@ -213,7 +216,7 @@ export class ATSRulebookService {
     resumeData: any,
     config: Partial<ATSRulebookConfig> = {}
   ): BulletPatternValidation {
-    const finalConfig = { ...this.DEFAULT_CONFIG, ...config };
+    const finalConfig = { ...this.configFromProfile(), ...config };
     const allBullets = this.extractAllBullets(resumeData);
 
     let bulletsWithMetrics = 0;
@@ -305,7 +308,7 @@ export class ATSRulebookService {
     topKeywords: string[],
     config: Partial<ATSRulebookConfig> = {}
   ): KeywordFrequencyAnalysis[] {
-    const finalConfig = { ...this.DEFAULT_CONFIG, ...config };
+    const finalConfig = { ...this.configFromProfile(), ...config };
     const resumeText = this.extractFullText(resumeData).toLowerCase();
     const results: KeywordFrequencyAnalysis[] = [];
 
@@ -349,15 +352,17 @@ export class ATSRulebookService {
     resumeData: any,
     jobDescription: string,
     topKeywords: string[],
-    config: Partial<ATSRulebookConfig> = {}
+    config: Partial<ATSRulebookConfig> = {},
+    profile: ScoringProfile = scoringProfileRegistry.select(jobDescription).profile
   ): ATSComplianceResult {
     const jobTitle = this.extractJobTitle(jobDescription);
+    const finalConfig = { ...this.configFromProfile(profile), ...config };
 
-    const sectionOrder = this.validateSectionOrder(resumeData);
-    const wordCount = this.validateWordCounts(resumeData, config);
-    const bulletPattern = this.validateBulletPatterns(resumeData, config);
+    const sectionOrder = this.validateSectionOrder(resumeData, profile);
+    const wordCount = this.validateWordCounts(resumeData, finalConfig);
+    const bulletPattern = this.validateBulletPatterns(resumeData, finalConfig);
     const jobTitlePlacement = this.validateJobTitlePlacement(resumeData, jobTitle);
-    const keywordFrequencies = this.analyzeKeywordFrequency(resumeData, topKeywords, config);
+    const keywordFrequencies = this.analyzeKeywordFrequency(resumeData, topKeywords, finalConfig);
 
     const scores = {
       sectionOrder: sectionOrder.isValid ? 100 : Math.max(0, 100 - (sectionOrder.violations.length * 15)),
@@ -387,8 +392,8 @@ export class ATSRulebookService {
       recommendations.push(`Adjust word counts: ${wordCount.violations.slice(0, 3).join('; ')}`);
     }
 
-    if (bulletPattern.metricsPercentage < 75) {
-      recommendations.push(`Add quantifiable metrics to ${Math.ceil((0.75 - bulletPattern.metricsPercentage / 100) * bulletPattern.bulletsAnalyzed)} more bullets`);
+    if (bulletPattern.metricsPercentage < finalConfig.minMetricPercentage) {
+      recommendations.push(`Add quantifiable metrics to ${Math.ceil(((finalConfig.minMetricPercentage - bulletPattern.metricsPercentage) / 100) * bulletPattern.bulletsAnalyzed)} more bullets`);
     }
 
     if (!jobTitlePlacement.isValid) {
@@ -23,6 +23,10 @@
 import { EnhancedScoringService, EnhancedScoringInput } from './enhancedScoringService';
 import { EnhancedComprehensiveScore } from '../types/resume';
 import FullResumeRewriter16ParameterService, { Parameter16Score } from './fullResumeRewriter16ParameterService';
+import { ScoreAuditTrail } from '../types/scoreAudit';
+import { scoreAuditService, ParameterAuditRecorder, SCORE_PARAMETERS } from './scoreAuditService';
+import { ScoringProfile, ScoreParameterKey } from '../types/scoringProfile';
+import { scoringProfileRegistry } from './scoringProfiles/scoringProfileRegistry';
 
 // New unified 16-parameter scores interface (matches JD Optimizer)
 export interface Unified16ParameterScores {
@@ -70,6 +74,14 @@ export interface ATSScore16Parameter {
   };
   // NEW: Unified 16-parameter scores (same as JD Optimizer)
   unified16Scores?: Parameter16Score[];
+  // Steps, penalties and resume evidence behind each of the 16 scores
+  audit?: ScoreAuditTrail;
+  // Scoring profile that weighted the parameters, and why it was picked
+  scoringProfile?: {
+    id: string;
+    name: string;
+    reasons: string[];
+  };
   summary: string;
   strengths: string[];
   areasToImprove: string[];
@@ -80,6 +92,29 @@ export interface ATSScore16Parameter {
   };
 }
 
+// Unified parameter number feeding each legacy parameter
+// Unified: 1-Contact, 2-Summary, 3-RoleTitle, 4-HardSkills, 5-SoftSkills, 6-SectionOrder,
+//          7-WordVariety, 8-Quantified, 9-ActionVerbs, 10-KeywordDensity, 11-Formatting,
+//          12-SectionComplete, 13-Chronology, 14-Relevance, 15-Tools, 16-ProjectDepth
+const UNIFIED_TO_LEGACY: Record<string, number> = {
+  keywordMatch: 10,           // Keyword Density
+  skillsAlignment: 4,         // Hard Skills
+  experienceRelevance: 14,    // Relevance
+  technicalCompetencies: 15,  // Tools
+  educationScore: 12,         // Section Complete
+  quantifiedAchievements: 8,  // Quantified
+  employmentHistory: 13,      // Chronology
+  industryExperience: 16,     // Project Depth
+  jobTitleMatch: 3,           // Role Title
+  careerProgression: 9,       // Action Verbs
+  certifications: 5,          // Soft Skills
+  formatting: 11,             // Formatting
+  contentQuality: 2,          // Summary
+  grammar: 7,                 // Word Variety
+  resumeLength: 6,            // Section Order
+  filenameQuality: 1          // Contact
+};
+
 export class ATSScoreChecker16Parameter {
   
   /**
@@ -104,7 +139,7 @@ export class ATSScoreChecker16Parameter {
         undefined, 
         jobDescription
       );
-      return this.mapToSixteenParameters(enhancedScore, jobDescription);
+      return this.mapToSixteenParameters(enhancedScore, jobDescription, resumeText);
     } else {
       // Use text-only processing (no OCR)
       console.log('📝 16-Parameter ATS: Using text-only processing (OCR disabled)');
@@ -116,7 +151,7 @@ export class ATSScoreChecker16Parameter {
       };
       
       const enhancedScore = await EnhancedScoringService.calculateScore(enhancedInput);
-      return this.mapToSixteenParameters(enhancedScore, jobDescription);
+      return this.mapToSixteenParameters(enhancedScore, jobDescription, resumeText);
     }
   }
 
@@ -148,33 +183,25 @@ export class ATSScoreChecker16Parameter {
    */
   private static mapToSixteenParameters(
     enhancedScore: EnhancedComprehensiveScore,
-    jobDescription?: string
+    jobDescription?: string,
+    resumeText: string = ''
   ): ATSScore16Parameter {
     
     const hasJD = Boolean(jobDescription && jobDescription.length > 50);
     
     // Use intelligent mapping that considers both enhanced scores AND direct analysis
-    const scores = this.calculateIntelligentParameterScores(enhancedScore, jobDescription);
-    
-    // Calculate raw total from intelligent scores
-    const rawTotal = Object.values(scores).reduce((sum, score) => sum + score, 0);
-    
-    // Define max scores for each parameter
-    const maxScores: Record<string, number> = {
-      keywordMatch: 25, skillsAlignment: 20, experienceRelevance: 15,
-      technicalCompetencies: 12, educationScore: 10, quantifiedAchievements: 8,
-      employmentHistory: 8, industryExperience: 7, jobTitleMatch: 6,
-      careerProgression: 6, certifications: 5, formatting: 5,
-      contentQuality: 4, grammar: 3, resumeLength: 2, filenameQuality: 2
-    };
+    const recorders = scoreAuditService.createRecorders();
+    this.calculateIntelligentParameterScores(enhancedScore, jobDescription, recorders);
     
     // Ensure no parameter exceeds its maximum
-    Object.keys(scores).forEach(key => {
-      scores[key] = Math.min(scores[key], maxScores[key] || 5);
+    SCORE_PARAMETERS.forEach(({ key, maxScore }) => {
+      recorders[key].atMost(maxScore, 'parameter-max', `Clamped to the ${maxScore}-point maximum`);
     });
+    const scores = this.scoresFromRecorders(recorders);
     
-    // Calculate overall score from parameter totals
-    const overallScore = Math.min(100, Math.max(0, Object.values(scores).reduce((sum, score) => sum + score, 0)));
+    // Calculate overall score with the weights of the profile matching the JD
+    const { profile, reasons } = scoringProfileRegistry.select(jobDescription || '');
+    const overallScore = this.calculateWeightedOverall(scores, profile);
     
     // Determine match quality and interview chance
     const matchQuality = this.getMatchQuality(overallScore);
@@ -195,24 +222,17 @@ export class ATSScoreChecker16Parameter {
       confidence: enhancedScore.confidence,
       matchQuality,
       interviewChance,
-      scores: {
-        keywordMatch: scores.keywordMatch,
-        skillsAlignment: scores.skillsAlignment,
-        experienceRelevance: scores.experienceRelevance,
-        technicalCompetencies: scores.technicalCompetencies,
-        educationScore: scores.educationScore,
-        quantifiedAchievements: scores.quantifiedAchievements,
-        employmentHistory: scores.employmentHistory,
-        industryExperience: scores.industryExperience,
-        jobTitleMatch: scores.jobTitleMatch,
-        careerProgression: scores.careerProgression,
-        certifications: scores.certifications,
-        formatting: scores.formatting,
-        contentQuality: scores.contentQuality,
-        grammar: scores.grammar,
-        resumeLength: scores.resumeLength,
-        filenameQuality: scores.filenameQuality
-      },
+      scores,
+      audit: scoreAuditService.buildTrail({
+        scoringModel: 'legacy-16',
+        recorders,
+        overallScore,
+        resumeText,
+        jobDescription,
+        enhancedScore,
+        profile
+      }),
+      scoringProfile: { id: profile.id, name: profile.name, reasons },
       summary,
       strengths,
       areasToImprove,
@@ -230,6 +250,22 @@ export class ATSScoreChecker16Parameter {
     return result;
   }
 
+  /**
+   * Sum each parameter's share of its maximum times the profile's weight for
+   * it. With the default profile the weights equal the maximums, so this is
+   * the plain points total.
+   */
+  private static calculateWeightedOverall(
+    scores: ATSScore16Parameter['scores'],
+    profile: ScoringProfile
+  ): number {
+    const total = SCORE_PARAMETERS.reduce((sum, { key, maxScore }) => {
+      const parameterKey = key as ScoreParameterKey;
+      return sum + (scores[parameterKey] / maxScore) * profile.parameterWeights[parameterKey];
+    }, 0);
+    return Math.min(100, Math.max(0, Math.round(total)));
+  }
+
   /**
    * NEW: Evaluate resume using the UNIFIED 16-parameter model (same as JD Optimizer)
    * This ensures consistency between Score Checker and JD Optimizer scores
@@ -268,7 +304,15 @@ export class ATSScoreChecker16Parameter {
       legacyResult.interviewChance = this.getInterviewChance(unifiedOverall);
       
       // Map unified scores to legacy format for backward compatibility
-      legacyResult.scores = this.mapUnifiedToLegacy(unified16Result.scores);
+      const unifiedRecorders = this.recordUnifiedScores(unified16Result.scores);
+      legacyResult.scores = this.scoresFromRecorders(unifiedRecorders);
+      legacyResult.audit = scoreAuditService.buildTrail({
+        scoringModel: 'unified-16',
+        recorders: unifiedRecorders,
+        overallScore: unifiedOverall,
+        resumeText,
+        jobDescription
+      });
       
       // Update suggestions from unified scores
       const allSuggestions = unified16Result.scores
@@ -346,7 +390,15 @@ export class ATSScoreChecker16Parameter {
       legacyResult.interviewChance = this.getInterviewChance(unifiedOverall);
       
       // Map unified scores to legacy format
-      legacyResult.scores = this.mapUnifiedToLegacy(unified16Result.scores);
+      const unifiedRecorders = this.recordUnifiedScores(unified16Result.scores);
+      legacyResult.scores = this.scoresFromRecorders(unifiedRecorders);
+      legacyResult.audit = scoreAuditService.buildTrail({
+        scoringModel: 'unified-16',
+        recorders: unifiedRecorders,
+        overallScore: unifiedOverall,
+        resumeText,
+        jobDescription
+      });
       
       // Update suggestions from unified scores
       const allSuggestions = unified16Result.scores
@@ -377,37 +429,47 @@ export class ATSScoreChecker16Parameter {
   }
 
   /**
-   * Map unified 16 scores to legacy format for backward compatibility
+   * Record unified 16 scores against the legacy parameters for backward compatibility
    */
-  private static mapUnifiedToLegacy(unified16Scores: Parameter16Score[]): ATSScore16Parameter['scores'] {
+  private static recordUnifiedScores(unified16Scores: Parameter16Score[]): Record<string, ParameterAuditRecorder> {
     // Create a map for quick lookup
     const scoreMap = new Map<number, Parameter16Score>();
     unified16Scores.forEach(s => scoreMap.set(s.parameterNumber, s));
     
-    // Map unified parameters to legacy parameters
-    // Unified: 1-Contact, 2-Summary, 3-RoleTitle, 4-HardSkills, 5-SoftSkills, 6-SectionOrder,
-    //          7-WordVariety, 8-Quantified, 9-ActionVerbs, 10-KeywordDensity, 11-Formatting,
-    //          12-SectionComplete, 13-Chronology, 14-Relevance, 15-Tools, 16-ProjectDepth
-    
-    const getScore = (num: number) => scoreMap.get(num);
-    
+    const recorders = scoreAuditService.createRecorders();
+    SCORE_PARAMETERS.forEach(({ key, maxScore }) => {
+      const unifiedNumber = UNIFIED_TO_LEGACY[key];
+      const unified = scoreMap.get(unifiedNumber);
+      const percentage = unified?.percentage || 0;
+      recorders[key]
+        .input(`unified_${unifiedNumber}_percentage`, percentage)
+        .base(
+          Math.round((percentage / 100) * maxScore),
+          `unified-${unifiedNumber}`,
+          `${unified?.parameter || `Unified parameter ${unifiedNumber}`} ${percentage}% of ${maxScore} points`
+        );
+    });
+    return recorders;
+  }
+
+  private static scoresFromRecorders(recorders: Record<string, ParameterAuditRecorder>): ATSScore16Parameter['scores'] {
     return {
-      keywordMatch: Math.round(((getScore(10)?.percentage || 0) / 100) * 25), // Keyword Density -> keywordMatch
-      skillsAlignment: Math.round(((getScore(4)?.percentage || 0) / 100) * 20), // Hard Skills -> skillsAlignment
-      experienceRelevance: Math.round(((getScore(14)?.percentage || 0) / 100) * 15), // Relevance -> experienceRelevance
-      technicalCompetencies: Math.round(((getScore(15)?.percentage || 0) / 100) * 12), // Tools -> technicalCompetencies
-      educationScore: Math.round(((getScore(12)?.percentage || 0) / 100) * 10), // Section Complete -> educationScore
-      quantifiedAchievements: Math.round(((getScore(8)?.percentage || 0) / 100) * 8), // Quantified -> quantifiedAchievements
-      employmentHistory: Math.round(((getScore(13)?.percentage || 0) / 100) * 8), // Chronology -> employmentHistory
-      industryExperience: Math.round(((getScore(16)?.percentage || 0) / 100) * 7), // Project Depth -> industryExperience
-      jobTitleMatch: Math.round(((getScore(3)?.percentage || 0) / 100) * 6), // Role Title -> jobTitleMatch
-      careerProgression: Math.round(((getScore(9)?.percentage || 0) / 100) * 6), // Action Verbs -> careerProgression
-      certifications: Math.round(((getScore(5)?.percentage || 0) / 100) * 5), // Soft Skills -> certifications
-      formatting: Math.round(((getScore(11)?.percentage || 0) / 100) * 5), // Formatting -> formatting
-      contentQuality: Math.round(((getScore(2)?.percentage || 0) / 100) * 4), // Summary -> contentQuality
-      grammar: Math.round(((getScore(7)?.percentage || 0) / 100) * 3), // Word Variety -> grammar
-      resumeLength: Math.round(((getScore(6)?.percentage || 0) / 100) * 2), // Section Order -> resumeLength
-      filenameQuality: Math.round(((getScore(1)?.percentage || 0) / 100) * 2), // Contact -> filenameQuality
+      keywordMatch: recorders.keywordMatch.value,
+      skillsAlignment: recorders.skillsAlignment.value,
+      experienceRelevance: recorders.experienceRelevance.value,
+      technicalCompetencies: recorders.technicalCompetencies.value,
+      educationScore: recorders.educationScore.value,
+      quantifiedAchievements: recorders.quantifiedAchievements.value,
+      employmentHistory: recorders.employmentHistory.value,
+      industryExperience: recorders.industryExperience.value,
+      jobTitleMatch: recorders.jobTitleMatch.value,
+      careerProgression: recorders.careerProgression.value,
+      certifications: recorders.certifications.value,
+      formatting: recorders.formatting.value,
+      contentQuality: recorders.contentQuality.value,
+      grammar: recorders.grammar.value,
+      resumeLength: recorders.resumeLength.value,
+      filenameQuality: recorders.filenameQuality.value
     };
   }
   
@@ -494,182 +556,196 @@ export class ATSScoreChecker16Parameter {
   }
   
   /**
-   * Calculate intelligent parameter scores that don't just rely on tier percentages
+   * Calculate intelligent parameter scores that don't just rely on tier percentages.
+   * Every base value, floor and cap is recorded on the parameter's audit recorder.
    */
   private static calculateIntelligentParameterScores(
     enhancedScore: EnhancedComprehensiveScore,
-    jobDescription?: string
+    jobDescription: string | undefined,
+    recorders: Record<string, ParameterAuditRecorder>
   ): Record<string, number> {
+    const tiers = enhancedScore.tier_scores;
+    const metrics = enhancedScore.critical_metrics;
     
     // Start with enhanced scoring as baseline but apply intelligent adjustments
     const baseScores = {
       // Skills & Keywords Group (45 points total) - Use intelligent scoring
-      keywordMatch: this.calculateKeywordMatch(enhancedScore, jobDescription),
-      skillsAlignment: this.calculateSkillsAlignment(enhancedScore, jobDescription),
+      keywordMatch: this.calculateKeywordMatch(enhancedScore, jobDescription, recorders.keywordMatch),
+      skillsAlignment: this.calculateSkillsAlignment(enhancedScore, jobDescription, recorders.skillsAlignment),
       
       // Experience Group (29 points total) - Apply intelligent experience scoring
-      experienceRelevance: this.calculateExperienceRelevance(enhancedScore, jobDescription),
-      employmentHistory: this.calculateEmploymentHistory(enhancedScore),
-      careerProgression: this.calculateCareerProgression(enhancedScore),
+      experienceRelevance: this.calculateExperienceRelevance(enhancedScore, jobDescription, recorders.experienceRelevance),
+      employmentHistory: this.calculateEmploymentHistory(enhancedScore, recorders.employmentHistory),
+      careerProgression: this.calculateCareerProgression(enhancedScore, recorders.careerProgression),
       
       // Technical & Critical Metrics (18 points total)
-      technicalCompetencies: Math.max(
-        Math.round((enhancedScore.critical_metrics.technical_skills_alignment.percentage / 100) * 12),
-        enhancedScore.critical_metrics.technical_skills_alignment.score > 0 ? 2 : 0
-      ),
-      quantifiedAchievements: this.calculateQuantifiedAchievements(enhancedScore),
-      jobTitleMatch: Math.max(
-        Math.round((enhancedScore.critical_metrics.job_title_relevance.percentage / 100) * 6),
-        enhancedScore.critical_metrics.job_title_relevance.score > 0 ? 1 : 0
-      ),
+      technicalCompetencies: this.scoreFromPercentage(recorders.technicalCompetencies, 'technical_skills_alignment', metrics.technical_skills_alignment, 2),
+      quantifiedAchievements: this.calculateQuantifiedAchievements(enhancedScore, recorders.quantifiedAchievements),
+      jobTitleMatch: this.scoreFromPercentage(recorders.jobTitleMatch, 'job_title_relevance', metrics.job_title_relevance, 1),
       
       // Education & Certifications (15 points total)
-      educationScore: Math.max(
-        Math.round((enhancedScore.tier_scores.education.percentage / 100) * 10),
-        enhancedScore.tier_scores.education.score > 0 ? 2 : 0
-      ),
-      certifications: Math.max(
-        Math.round((enhancedScore.tier_scores.certifications.percentage / 100) * 5),
-        enhancedScore.tier_scores.certifications.score > 0 ? 1 : 0
-      ),
+      educationScore: this.scoreFromPercentage(recorders.educationScore, 'education', tiers.education, 2),
+      certifications: this.scoreFromPercentage(recorders.certifications, 'certifications', tiers.certifications, 1),
       
       // Structure & Quality (13 points total)
-      formatting: Math.max(
-        Math.round((enhancedScore.tier_scores.basic_structure.percentage / 100) * 5),
-        2 // Minimum formatting score
-      ),
-      contentQuality: Math.max(
-        Math.round((enhancedScore.tier_scores.content_structure.percentage / 100) * 4),
-        1 // Minimum content quality
-      ),
-      grammar: Math.max(
-        Math.round((enhancedScore.tier_scores.qualitative.percentage / 100) * 3),
-        1 // Minimum grammar score
-      ),
-      resumeLength: Math.max(
-        Math.round((enhancedScore.tier_scores.basic_structure.percentage / 100) * 2),
-        1 // Minimum length score
-      ),
+      formatting: this.scoreFromPercentage(recorders.formatting, 'basic_structure', tiers.basic_structure, 2, false), // Minimum formatting score
+      contentQuality: this.scoreFromPercentage(recorders.contentQuality, 'content_structure', tiers.content_structure, 1, false), // Minimum content quality
+      grammar: this.scoreFromPercentage(recorders.grammar, 'qualitative', tiers.qualitative, 1, false), // Minimum grammar score
+      resumeLength: this.scoreFromPercentage(recorders.resumeLength, 'basic_structure', tiers.basic_structure, 1, false), // Minimum length score
       
       // Industry & Competitive (7 points total)
-      industryExperience: Math.max(
-        Math.round((enhancedScore.tier_scores.competitive.percentage / 100) * 7),
-        enhancedScore.tier_scores.competitive.score > 0 ? 1 : 0
-      ),
+      industryExperience: this.scoreFromPercentage(recorders.industryExperience, 'competitive', tiers.competitive, 1),
       
       // Filename Quality (2 points)
-      filenameQuality: Math.max(
-        Math.round((enhancedScore.tier_scores.basic_structure.percentage / 100) * 2),
-        1 // Minimum filename score
-      )
+      filenameQuality: this.scoreFromPercentage(recorders.filenameQuality, 'basic_structure', tiers.basic_structure, 1, false) // Minimum filename score
     };
     
     return baseScores;
   }
+
+  /**
+   * Scale a tier or critical metric percentage to the parameter maximum, with a
+   * minimum that applies always or only when the metric scored at all
+   */
+  private static scoreFromPercentage(
+    audit: ParameterAuditRecorder,
+    metricName: string,
+    metric: { score: number; percentage: number },
+    minimum: number,
+    minimumNeedsScore: boolean = true
+  ): number {
+    const { maxScore } = audit.definition;
+    const rule = metricName.replace(/_/g, '-');
+    
+    audit.input(`${metricName}_percentage`, metric.percentage).input(`${metricName}_score`, metric.score);
+    audit.base(Math.round((metric.percentage / 100) * maxScore), rule, `${metricName} ${metric.percentage}% of ${maxScore} points`);
+    
+    if (!minimumNeedsScore) {
+      audit.atLeast(minimum, 'minimum', `Minimum ${minimum} points`);
+    } else if (metric.score > 0) {
+      audit.atLeast(minimum, `${rule}-minimum`, `Minimum ${minimum} points when ${metricName} scored`);
+    }
+    
+    return audit.value;
+  }
   
   /**
    * Calculate experience relevance with intelligent analysis
    */
   private static calculateExperienceRelevance(
     enhancedScore: EnhancedComprehensiveScore,
-    jobDescription?: string
+    jobDescription: string | undefined,
+    audit: ParameterAuditRecorder
   ): number {
     const maxScore = 15;
+    const experience = enhancedScore.tier_scores.experience;
+    const jdMatch = enhancedScore.critical_metrics.jd_keywords_match;
     
     // Start with enhanced score
-    let score = Math.round((enhancedScore.tier_scores.experience.percentage / 100) * maxScore);
+    audit.input('experience_percentage', experience.percentage);
+    audit.base(Math.round((experience.percentage / 100) * maxScore), 'experience-tier', `Experience tier ${experience.percentage}% of ${maxScore} points`);
     
     // Apply intelligent adjustments
     if (enhancedScore.critical_metrics.experience_relevance.score > 0) {
       // If critical experience metric shows relevance, ensure minimum score
-      score = Math.max(score, 3);
+      audit.atLeast(3, 'relevance-minimum', 'Minimum 3 points when experience is relevant');
     }
     
     // If JD-based and has job description, boost score based on keyword matches
-    if (jobDescription && enhancedScore.critical_metrics.jd_keywords_match.percentage > 30) {
-      score = Math.max(score, Math.round(maxScore * 0.4)); // At least 40% if good keyword match
+    if (jobDescription && jdMatch.percentage > 30) {
+      audit.input('jd_keywords_match_percentage', jdMatch.percentage);
+      audit.atLeast(Math.round(maxScore * 0.4), 'jd-keyword-floor', 'At least 40% when JD keyword match exceeds 30%');
     }
     
     // Ensure experience tier contributes meaningfully
-    if (enhancedScore.tier_scores.experience.score > 0) {
-      score = Math.max(score, 2); // Minimum 2 points if any experience detected
+    if (experience.score > 0) {
+      audit.atLeast(2, 'any-experience', 'Minimum 2 points if any experience detected');
     }
     
-    return Math.min(score, maxScore);
+    return audit.atMost(maxScore, 'max', `Capped at ${maxScore} points`);
   }
   
   /**
    * Calculate employment history score
    */
-  private static calculateEmploymentHistory(enhancedScore: EnhancedComprehensiveScore): number {
+  private static calculateEmploymentHistory(enhancedScore: EnhancedComprehensiveScore, audit: ParameterAuditRecorder): number {
     const maxScore = 8;
+    const experience = enhancedScore.tier_scores.experience;
     
     // Start with enhanced score
-    let score = Math.round((enhancedScore.tier_scores.experience.percentage / 100) * maxScore);
+    audit.input('experience_percentage', experience.percentage).input('red_flags', enhancedScore.red_flags.length);
+    audit.base(Math.round((experience.percentage / 100) * maxScore), 'experience-tier', `Experience tier ${experience.percentage}% of ${maxScore} points`);
     
     // Ensure minimum if experience exists
-    if (enhancedScore.tier_scores.experience.score > 0) {
-      score = Math.max(score, 2);
+    if (experience.score > 0) {
+      audit.atLeast(2, 'any-experience', 'Minimum 2 points if any experience detected');
     }
     
     // Boost if no red flags in employment
     if (enhancedScore.red_flags.length === 0) {
-      score = Math.max(score, Math.round(maxScore * 0.5));
+      audit.atLeast(Math.round(maxScore * 0.5), 'no-red-flags', 'At least 50% when no red flags were raised');
     }
     
-    return Math.min(score, maxScore);
+    return audit.atMost(maxScore, 'max', `Capped at ${maxScore} points`);
   }
   
   /**
    * Calculate career progression score
    */
-  private static calculateCareerProgression(enhancedScore: EnhancedComprehensiveScore): number {
+  private static calculateCareerProgression(enhancedScore: EnhancedComprehensiveScore, audit: ParameterAuditRecorder): number {
     const maxScore = 6;
+    const { experience, competitive } = enhancedScore.tier_scores;
     
     // Start with enhanced score
-    let score = Math.round((enhancedScore.tier_scores.experience.percentage / 100) * maxScore);
+    audit.input('experience_percentage', experience.percentage).input('competitive_percentage', competitive.percentage);
+    audit.base(Math.round((experience.percentage / 100) * maxScore), 'experience-tier', `Experience tier ${experience.percentage}% of ${maxScore} points`);
     
     // Look for progression indicators in the enhanced score
-    if (enhancedScore.tier_scores.experience.score > 0) {
+    if (experience.score > 0) {
       // If experience exists, assume some progression
-      score = Math.max(score, 1);
+      audit.atLeast(1, 'any-experience', 'Minimum 1 point if any experience detected');
     }
     
     // Check if competitive tier shows good progression
-    if (enhancedScore.tier_scores.competitive.percentage > 50) {
-      score = Math.max(score, Math.round(maxScore * 0.5));
+    if (competitive.percentage > 50) {
+      audit.atLeast(Math.round(maxScore * 0.5), 'competitive-floor', 'At least 50% when the competitive tier exceeds 50%');
     }
     
-    return Math.min(score, maxScore);
+    return audit.atMost(maxScore, 'max', `Capped at ${maxScore} points`);
   }
   
   /**
    * Calculate quantified achievements score with intelligent detection
    */
-  private static calculateQuantifiedAchievements(enhancedScore: EnhancedComprehensiveScore): number {
+  private static calculateQuantifiedAchievements(enhancedScore: EnhancedComprehensiveScore, audit: ParameterAuditRecorder): number {
     const maxScore = 8;
+    const quantified = enhancedScore.critical_metrics.quantified_results_presence;
+    const { experience, competitive } = enhancedScore.tier_scores;
     
     // Start with enhanced score
-    let score = Math.round((enhancedScore.critical_metrics.quantified_results_presence.percentage / 100) * maxScore);
+    audit.input('quantified_results_percentage', quantified.percentage)
+      .input('experience_percentage', experience.percentage)
+      .input('competitive_percentage', competitive.percentage);
+    audit.base(Math.round((quantified.percentage / 100) * maxScore), 'quantified-results', `Quantified results ${quantified.percentage}% of ${maxScore} points`);
     
     // Apply intelligent detection
-    if (enhancedScore.critical_metrics.quantified_results_presence.score > 0) {
+    if (quantified.score > 0) {
       // If any quantified results detected, ensure minimum score
-      score = Math.max(score, 2);
+      audit.atLeast(2, 'any-metric', 'Minimum 2 points if any quantified result detected');
     }
     
     // Check experience tier for quantified content
-    if (enhancedScore.tier_scores.experience.percentage > 40) {
+    if (experience.percentage > 40) {
       // If experience tier is decent, likely has some quantified content
-      score = Math.max(score, Math.round(maxScore * 0.25)); // At least 25%
+      audit.atLeast(Math.round(maxScore * 0.25), 'experience-floor', 'At least 25% when the experience tier exceeds 40%');
     }
     
     // Check if competitive tier indicates strong achievements
-    if (enhancedScore.tier_scores.competitive.percentage > 60) {
-      score = Math.max(score, Math.round(maxScore * 0.4)); // 40% if competitive
+    if (competitive.percentage > 60) {
+      audit.atLeast(Math.round(maxScore * 0.4), 'competitive-floor', 'At least 40% when the competitive tier exceeds 60%');
     }
     
-    return Math.min(score, maxScore);
+    return audit.atMost(maxScore, 'max', `Capped at ${maxScore} points`);
   }
   
   /**
@@ -677,30 +753,34 @@ export class ATSScoreChecker16Parameter {
    */
   private static calculateKeywordMatch(
     enhancedScore: EnhancedComprehensiveScore,
-    jobDescription?: string
+    jobDescription: string | undefined,
+    audit: ParameterAuditRecorder
   ): number {
     const maxScore = 25;
+    const skills = enhancedScore.tier_scores.skills_keywords;
+    const jdMatch = enhancedScore.critical_metrics.jd_keywords_match;
     
     // Start with enhanced score
-    let score = Math.round((enhancedScore.tier_scores.skills_keywords.percentage / 100) * maxScore);
+    audit.input('skills_keywords_percentage', skills.percentage);
+    audit.base(Math.round((skills.percentage / 100) * maxScore), 'skills-tier', `Skills & keywords tier ${skills.percentage}% of ${maxScore} points`);
     
     // If JD-based scoring, prioritize JD keyword match
     if (jobDescription) {
-      const jdMatchScore = Math.round((enhancedScore.critical_metrics.jd_keywords_match.percentage / 100) * maxScore);
-      score = Math.max(score, jdMatchScore);
+      audit.input('jd_keywords_match_percentage', jdMatch.percentage);
+      audit.atLeast(Math.round((jdMatch.percentage / 100) * maxScore), 'jd-match', `JD keyword match ${jdMatch.percentage}% of ${maxScore} points`);
       
       // Ensure minimum if any JD keywords matched
-      if (enhancedScore.critical_metrics.jd_keywords_match.percentage > 0) {
-        score = Math.max(score, 5); // Minimum 5 points for any JD match
+      if (jdMatch.percentage > 0) {
+        audit.atLeast(5, 'jd-match-minimum', 'Minimum 5 points for any JD match');
       }
     }
     
     // Ensure minimum based on skills tier
-    if (enhancedScore.tier_scores.skills_keywords.score > 0) {
-      score = Math.max(score, 3); // Minimum 3 points if any skills detected
+    if (skills.score > 0) {
+      audit.atLeast(3, 'any-skill', 'Minimum 3 points if any skills detected');
     }
     
-    return Math.min(score, maxScore);
+    return audit.atMost(maxScore, 'max', `Capped at ${maxScore} points`);
   }
   
   /**
@@ -708,28 +788,31 @@ export class ATSScoreChecker16Parameter {
    */
   private static calculateSkillsAlignment(
     enhancedScore: EnhancedComprehensiveScore,
-    jobDescription?: string
+    jobDescription: string | undefined,
+    audit: ParameterAuditRecorder
   ): number {
     const maxScore = 20;
+    const skills = enhancedScore.tier_scores.skills_keywords;
+    const technical = enhancedScore.critical_metrics.technical_skills_alignment;
     
     // Start with enhanced score
-    let score = Math.round((enhancedScore.tier_scores.skills_keywords.percentage / 100) * maxScore);
+    audit.input('skills_keywords_percentage', skills.percentage).input('technical_skills_percentage', technical.percentage);
+    audit.base(Math.round((skills.percentage / 100) * maxScore), 'skills-tier', `Skills & keywords tier ${skills.percentage}% of ${maxScore} points`);
     
     // Boost based on technical skills alignment
-    const techScore = Math.round((enhancedScore.critical_metrics.technical_skills_alignment.percentage / 100) * maxScore);
-    score = Math.max(score, techScore);
+    audit.atLeast(Math.round((technical.percentage / 100) * maxScore), 'technical-alignment', `Technical skills alignment ${technical.percentage}% of ${maxScore} points`);
     
     // If JD-based, ensure reasonable alignment
-    if (jobDescription && enhancedScore.critical_metrics.technical_skills_alignment.percentage > 30) {
-      score = Math.max(score, Math.round(maxScore * 0.4)); // At least 40% if decent tech alignment
+    if (jobDescription && technical.percentage > 30) {
+      audit.atLeast(Math.round(maxScore * 0.4), 'jd-technical-floor', 'At least 40% when technical alignment exceeds 30%');
     }
     
     // Ensure minimum if any technical skills detected
-    if (enhancedScore.critical_metrics.technical_skills_alignment.score > 0) {
-      score = Math.max(score, 4); // Minimum 4 points for any tech skills
+    if (technical.score > 0) {
+      audit.atLeast(4, 'any-technical-skill', 'Minimum 4 points for any tech skills');
     }
     
-    return Math.min(score, maxScore);
+    return audit.atMost(maxScore, 'max', `Capped at ${maxScore} points`);
   }
 
   /**
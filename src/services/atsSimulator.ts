@@ -1,3 +1,5 @@
+import { LayoutStructure } from '../types/resume';
+
 export interface ATSParsingResult {
   score: number;
   issues: ATSIssue[];
@@ -38,6 +40,7 @@ export interface FormattingValidation {
   dateFormat: 'standard' | 'nonstandard' | 'missing';
   hasColumns: boolean;
   hasGraphics: boolean;
+  hasSidebar: boolean;
   fontConsistent: boolean;
 }
 
@@ -88,7 +91,16 @@ export class ATSSimulator {
     /\b\d{4}\s*[-–—]\s*Present\b/gi
   ];
 
-  static simulateATS(resumeText: string, targetSystem: keyof typeof ATSSimulator.ATS_SYSTEMS = 'workday'): ATSParsingResult {
+  /**
+   * Simulate ATS parsing. When the layout parsed from the original PDF is
+   * supplied, column/table/sidebar checks use its geometry instead of
+   * guessing from whitespace in the extracted text.
+   */
+  static simulateATS(
+    resumeText: string,
+    targetSystem: keyof typeof ATSSimulator.ATS_SYSTEMS = 'workday',
+    layout?: LayoutStructure
+  ): ATSParsingResult {
     const issues: ATSIssue[] = [];
     const sections: ATSSection[] = [];
     const recommendations: string[] = [];
@@ -105,7 +117,7 @@ export class ATSSimulator {
       });
     });
 
-    const formatting = this.validateFormatting(resumeText);
+    const formatting = this.validateFormatting(resumeText, layout);
     if (!formatting.hasHeaders) {
       issues.push({
         severity: 'critical',
@@ -146,6 +158,16 @@ export class ATSSimulator {
       recommendations.push('Use single-column layout for better ATS parsing');
     }
 
+    if (formatting.hasSidebar) {
+      issues.push({
+        severity: 'warning',
+        category: 'Layout',
+        message: 'Sidebar detected. ATS may attach sidebar content to the wrong section.',
+        location: 'Sidebar'
+      });
+      recommendations.push('Move sidebar content (skills, contact details) into the main column');
+    }
+
     const detectedSections = this.detectSections(resumeText);
     detectedSections.forEach(section => {
       sections.push(section);
@@ -278,7 +300,7 @@ export class ATSSimulator {
     };
   }
 
-  private static validateFormatting(text: string): FormattingValidation {
+  private static validateFormatting(text: string, layout?: LayoutStructure): FormattingValidation {
     const headerMatches = text.match(/^[A-Z\s]{3,}$/gm);
     const hasHeaders = (headerMatches?.length || 0) > 0;
 
@@ -300,8 +322,11 @@ export class ATSSimulator {
     const dateMatches = text.match(/\d{4}/g);
     const dateFormat = dateMatches && dateMatches.length > 2 ? 'standard' : 'missing';
 
-    const hasColumns = text.includes('\t\t') || /\s{10,}/.test(text);
-    const hasGraphics = /\[image\]|\[chart\]|\[graph\]/i.test(text);
+    const hasColumns = layout
+      ? layout.columns.columnCount > 1
+      : text.includes('\t\t') || /\s{10,}/.test(text);
+    const hasGraphics = /\[image\]|\[chart\]|\[graph\]/i.test(text) || (layout?.tables.length ?? 0) > 0;
+    const hasSidebar = layout?.textboxes.some(textbox => textbox.contextualPlacement.startsWith('sidebar')) ?? false;
     const fontConsistent = true;
 
     return {
@@ -311,6 +336,7 @@ export class ATSSimulator {
       dateFormat,
       hasColumns,
       hasGraphics,
+      hasSidebar,
       fontConsistent
     };
   }
@@ -415,10 +441,10 @@ export class ATSSimulator {
   private static validateSpecialCharacters(text: string): { hasProblematicChars: boolean; chars: string[] } {
     const problematicChars: string[] = [];
     const problematicPatterns = [
-      { char: '"', name: 'Smart quotes' },
-      { char: '"', name: 'Smart quotes' },
-      { char: ''', name: 'Smart apostrophe' },
-      { char: ''', name: 'Smart apostrophe' },
+      { char: '\u201C', name: 'Smart quotes' },
+      { char: '\u201D', name: 'Smart quotes' },
+      { char: '\u2018', name: 'Smart apostrophe' },
+      { char: '\u2019', name: 'Smart apostrophe' },
       { char: '—', name: 'Em dash (use - instead)' },
       { char: '–', name: 'En dash (use - instead)' }
     ];
@@ -493,11 +519,15 @@ export class ATSSimulator {
     return recommendations;
   }
 
-  static compareAcrossSystems(resumeText: string): Record<string, ATSParsingResult> {
+  /**
+   * Simulate every ATS system on the same resume, with the same PDF layout
+   * checks as simulateATS when the layout is supplied
+   */
+  static compareAcrossSystems(resumeText: string, layout?: LayoutStructure): Record<string, ATSParsingResult> {
     const results: Record<string, ATSParsingResult> = {};
 
     Object.keys(this.ATS_SYSTEMS).forEach(system => {
-      results[system] = this.simulateATS(resumeText, system as keyof typeof ATSSimulator.ATS_SYSTEMS);
+      results[system] = this.simulateATS(resumeText, system as keyof typeof ATSSimulator.ATS_SYSTEMS, layout);
     });
 
     return results;
@@ -0,0 +1,183 @@
+// src/services/batchScoringService.ts
+import JSZip from 'jszip';
+import { parseFile } from '../utils/fileParser';
+import { runWithConcurrency } from '../utils/concurrency';
+import { ATSScoreChecker16Parameter, ATSScore16Parameter } from './atsScoreChecker16Parameter';
+import {
+  BatchScoreRow,
+  BatchScoringOptions,
+  BatchScoringProgress,
+  BatchScoringResult
+} from '../types/batchScoring';
+
+const SUPPORTED_EXTENSIONS = ['.pdf', '.docx', '.txt'];
+const MAX_CONCURRENCY = 6;
+const DEFAULT_CONCURRENCY = 3;
+
+const MIME_TYPES: Record<string, string> = {
+  '.pdf': 'application/pdf',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.txt': 'text/plain'
+};
+
+const extensionOf = (fileName: string): string => {
+  const dot = fileName.lastIndexOf('.');
+  return dot >= 0 ? fileName.slice(dot).toLowerCase() : '';
+};
+
+const baseName = (path: string): string => path.split('/').pop() || path;
+
+export interface ExpandedUploads {
+  files: File[];
+  skipped: string[];
+}
+
+/**
+ * Batch Scoring Service
+ * Scores a folder or zip of resumes against one job description with the
+ * 16-parameter pipeline, a few files at a time, and ranks the results.
+ * A resume that fails to parse or score becomes an error row instead of
+ * failing the whole batch.
+ */
+class BatchScoringService {
+  /**
+   * Flatten the user's selection into scorable resume files: zips are
+   * unpacked (nested folders included), and anything that is not a PDF, DOCX
+   * or TXT, plus hidden files and macOS zip metadata, is reported as skipped.
+   */
+  async expandUploads(uploads: File[]): Promise<ExpandedUploads> {
+    const files: File[] = [];
+    const skipped: string[] = [];
+
+    for (const upload of uploads) {
+      const extension = extensionOf(upload.name);
+
+      if (extension === '.zip') {
+        let zip: JSZip;
+        try {
+          zip = await JSZip.loadAsync(upload);
+        } catch {
+          skipped.push(upload.name);
+          continue;
+        }
+
+        const entries = Object.values(zip.files).filter(entry => !entry.dir);
+        for (const entry of entries) {
+          const name = baseName(entry.name);
+          const entryExtension = extensionOf(name);
+          if (entry.name.startsWith('__MACOSX/') || name.startsWith('.') || !SUPPORTED_EXTENSIONS.includes(entryExtension)) {
+            skipped.push(`${upload.name}/${entry.name}`);
+            continue;
+          }
+          const blob = await entry.async('blob');
+          files.push(new File([blob], name, { type: MIME_TYPES[entryExtension] }));
+        }
+      } else if (SUPPORTED_EXTENSIONS.includes(extension) && !upload.name.startsWith('.')) {
+        files.push(upload);
+      } else {
+        skipped.push(upload.name);
+      }
+    }
+
+    return { files, skipped };
+  }
+
+  async scoreBatch(uploads: File[], jobDescription: string, options: BatchScoringOptions = {}): Promise<BatchScoringResult> {
+    if (!jobDescription.trim()) {
+      throw new Error('A job description is required for batch scoring');
+    }
+
+    const { files, skipped } = await this.expandUploads(uploads);
+    if (files.length === 0) {
+      throw new Error('No PDF, DOCX or TXT resumes found in the selected files');
+    }
+
+    const concurrency = Math.min(Math.max(options.concurrency ?? DEFAULT_CONCURRENCY, 1), MAX_CONCURRENCY);
+    const progress: BatchScoringProgress = { total: files.length, completed: 0, failed: 0 };
+    options.onProgress?.({ ...progress });
+
+    console.log(`📦 Batch scoring ${files.length} resumes (${concurrency} at a time)`);
+
+    const rows = await runWithConcurrency(files, concurrency, async file => {
+      const row = await this.scoreFile(file, jobDescription);
+      progress.completed += 1;
+      if (row.error) progress.failed += 1;
+      progress.current = file.name;
+      options.onProgress?.({ ...progress });
+      return row;
+    }, options.signal);
+
+    return {
+      jobDescription,
+      rows: this.rankRows(rows),
+      skipped,
+      scoredAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Rank by overall score, then keyword match, then file name so equal
+   * inputs always produce the same order. Tied scores share a rank
+   * (1, 2, 2, 4); failed files go last without a rank.
+   */
+  rankRows(rows: BatchScoreRow[]): BatchScoreRow[] {
+    const scored = rows
+      .filter(row => !row.error)
+      .sort((a, b) =>
+        b.overallScore - a.overallScore ||
+        (b.scores?.keywordMatch ?? 0) - (a.scores?.keywordMatch ?? 0) ||
+        a.fileName.localeCompare(b.fileName)
+      );
+    const failed = rows
+      .filter(row => row.error)
+      .sort((a, b) => a.fileName.localeCompare(b.fileName));
+
+    let rank = 0;
+    const ranked = scored.map((row, index) => {
+      if (index === 0 || scored[index - 1].overallScore !== row.overallScore) rank = index + 1;
+      return { ...row, rank };
+    });
+
+    return [...ranked, ...failed.map(row => ({ ...row, rank: null }))];
+  }
+
+  private async scoreFile(file: File, jobDescription: string): Promise<BatchScoreRow> {
+    try {
+      const extraction = await parseFile(file);
+      if (!extraction.text.trim()) {
+        throw new Error('No text could be extracted from this file');
+      }
+
+      const score = await ATSScoreChecker16Parameter.evaluateResumeTextOnly(extraction.text, jobDescription, file.name);
+      return this.toRow(file.name, score);
+    } catch (error) {
+      console.warn(`⚠️ Batch scoring failed for ${file.name}:`, error);
+      return {
+        rank: null,
+        fileName: file.name,
+        overallScore: 0,
+        matchQuality: null,
+        interviewChance: null,
+        profileId: null,
+        scores: null,
+        missingKeywords: { critical: [], important: [], optional: [] },
+        error: error instanceof Error ? error.message : 'Scoring failed'
+      };
+    }
+  }
+
+  private toRow(fileName: string, score: ATSScore16Parameter): BatchScoreRow {
+    return {
+      rank: null,
+      fileName,
+      overallScore: score.overallScore,
+      matchQuality: score.matchQuality,
+      interviewChance: score.interviewChance,
+      profileId: score.scoringProfile?.id ?? null,
+      scores: score.scores,
+      missingKeywords: score.missingKeywords
+    };
+  }
+}
+
+export const batchScoringService = new BatchScoringService();
@@ -0,0 +1,447 @@
+// src/services/claimProvenanceService.ts
+// Traces every tool, metric, company, certification and date in generated resume text back to its source
+
+import { ResumeData } from '../types/resume';
+import {
+  ClaimProvenance,
+  ClaimSeverity,
+  ClaimType,
+  ProvenanceClaim,
+  ProvenanceReport,
+  ProvenanceSource,
+  SourceSpan
+} from '../types/provenance';
+import { LanguageDetectionService } from './languageDetectionService';
+import { MetricPreserver } from './metricPreserver';
+import { skillTaxonomyRegistry } from './skillTaxonomy/skillTaxonomyRegistry';
+import { DateNormalizer } from '../utils/dateNormalizer';
+import { resumeDataToText } from '../utils/resumeText';
+
+interface Span {
+  start: number;
+  end: number;
+}
+
+interface Mention extends Span {
+  key: string;
+  value: string;
+}
+
+interface ClaimField {
+  field: string;
+  text: string;
+  // The whole field is one claim of this type, e.g. a job's company
+  whole?: 'company' | 'certification';
+  freeText: boolean;
+}
+
+interface SourceIndex {
+  source: ProvenanceSource;
+  text: string;
+  folded: string;
+  tools: Map<string, Span>;
+  numbers: Map<string, Span>;
+  dates: Map<string, Span>;
+  lines: { span: Span; tokens: Set<string> }[];
+}
+
+// Invented numbers, employers, credentials and tools are the claims a recruiter
+// can check; dates are often only reformatted, so they are flagged, not blocked
+const SEVERITY: Record<ClaimType, ClaimSeverity> = {
+  tool: 'block',
+  metric: 'block',
+  company: 'block',
+  certification: 'block',
+  date: 'flag'
+};
+
+const CONFIRMED_SOURCE_ID = 'confirmed-claims';
+
+const ORG_SUFFIXES = 'Inc|Ltd|LLC|LLP|Corp|Corporation|Technologies|Labs|Solutions|Systems|Pvt|GmbH';
+const COMPANY_PATTERNS = [
+  /\b(?:[Aa]t|[Jj]oined)\s+([A-Z][\w&'-]*(?:\s+[A-Z][\w&'-]*){0,3})/g,
+  new RegExp(`\\b((?:[A-Z][\\w&'-]*\\s+){1,3}(?:${ORG_SUFFIXES})\\b\\.?)`, 'g')
+];
+const CERTIFICATION_PATTERNS = [
+  /\b((?:[A-Z][\w+-]*\s+){0,4}Certified(?:\s+[A-Z][\w+-]*){1,5})/g,
+  /\b((?:[A-Z][\w+-]*\s+){1,5}[Cc]ertification)\b/g
+];
+const DATE_PATTERN = /\b(?:(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\.?\s+)?(?:19|20)\d{2}\b/gi;
+const SENTENCE_END = /[.!?](?=\s|$)|\n/g;
+const NUMBER_PATTERN = /(\d+(?:[.,]\d+)*)(?:\s*(%|percent\b)|([xkmb])(?![a-z])|\s+(thousand|million|billion)\b)?/gi;
+
+const MULTIPLIERS: Record<string, number> = {
+  k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, b: 1e9, billion: 1e9
+};
+
+// Words that say what kind of name it is rather than which one
+const GENERIC_TOKENS = new Set([
+  'the', 'and', 'of', 'for', 'in', 'inc', 'ltd', 'llc', 'llp', 'corp', 'corporation', 'pvt', 'gmbh',
+  'certified', 'certification', 'certificate'
+]);
+
+// Taxonomy entries that describe work rather than name something to have used
+const GENERAL_CONCEPTS = new Set(['api', 'rest-api', 'agile', 'scrum', 'microservices', 'responsive-design', 'command-line']);
+
+const NOT_COMPANIES = new Set(['present', 'scale', 'least', 'most', 'first', 'launch']);
+
+const fold = (text: string) => LanguageDetectionService.foldText(text.normalize('NFC'));
+
+const tokensOf = (text: string) =>
+  fold(text).split(/[^\p{L}\p{N}+#]+/u).filter(token => token.length > 1 && !GENERIC_TOKENS.has(token));
+
+/**
+ * Claim Provenance Service
+ * The rewrite validator only asks whether a technical term appears anywhere in
+ * the resume or the JD. Here every claim a generator can invent - a tool, a
+ * number, an employer, a certification, a date - must map to a span of the
+ * original resume or of something the user typed themselves; the JD is not a
+ * source, since it says what the employer wants, not what the user has done.
+ * Tools are the taxonomy's skills, so "k8s" is backed by "Kubernetes".
+ */
+export class ClaimProvenanceService {
+  private static toolPatterns: { version: string; claims: RegExp | null; sources: RegExp | null } | null = null;
+
+  // ============================================================================
+  // SOURCES
+  // ============================================================================
+
+  /**
+   * The original resume, as extracted text or as parsed data
+   */
+  static resumeSource(resume: ResumeData | string, id: string = 'resume', label: string = 'Your resume'): ProvenanceSource {
+    return { id, kind: 'resume', label, text: typeof resume === 'string' ? resume : resumeDataToText(resume) };
+  }
+
+  /**
+   * Anything the user typed, e.g. MissingSectionsModal answers or a manually
+   * added project. Every string in the value counts, one per line.
+   */
+  static answersSource(answers: unknown, id: string, label: string): ProvenanceSource {
+    const lines: string[] = [];
+    const collect = (value: unknown) => {
+      if (typeof value === 'string') {
+        if (value.trim()) lines.push(value.trim());
+      } else if (Array.isArray(value)) {
+        value.forEach(collect);
+      } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(collect);
+      }
+    };
+    collect(answers);
+
+    return { id, kind: 'user-answer', label, text: lines.join('\n') };
+  }
+
+  /**
+   * The user vouching for claims the checker could not trace. Returns the
+   * sources with those claims added to the confirmation source.
+   */
+  static confirmClaims(sources: ProvenanceSource[], claims: ProvenanceClaim[]): ProvenanceSource[] {
+    const previous = sources.find(source => source.id === CONFIRMED_SOURCE_ID);
+    const confirmed = this.answersSource(
+      [previous?.text || '', ...claims.map(claim => claim.value)],
+      CONFIRMED_SOURCE_ID,
+      'Confirmed by you'
+    );
+
+    return [...sources.filter(source => source.id !== CONFIRMED_SOURCE_ID), confirmed];
+  }
+
+  // ============================================================================
+  // CHECKS
+  // ============================================================================
+
+  static checkResume(resume: ResumeData, sources: ProvenanceSource[]): ProvenanceReport {
+    return this.check(this.extractClaims(resume), sources);
+  }
+
+  /**
+   * Check one piece of generated text, e.g. a synthesized project bullet
+   */
+  static checkText(text: string, sources: ProvenanceSource[], field: string = 'text'): ProvenanceReport {
+    return this.check(this.claimsIn({ field, text, freeText: true }), sources);
+  }
+
+  static extractClaims(resume: ResumeData): ProvenanceClaim[] {
+    return this.claimFields(resume).flatMap(field => this.claimsIn(field));
+  }
+
+  /**
+   * "Kafka (tool)", for messages that list unsupported claims
+   */
+  static describe(result: ClaimProvenance): string {
+    return `${result.claim.value} (${result.claim.type})`;
+  }
+
+  // ============================================================================
+  // PRIVATE METHODS
+  // ============================================================================
+
+  private static check(claims: ProvenanceClaim[], sources: ProvenanceSource[]): ProvenanceReport {
+    const indexes = sources.filter(source => source.text.trim()).map(source => this.indexSource(source));
+
+    const results: ClaimProvenance[] = claims.map(claim => {
+      const evidence = this.findEvidence(claim, indexes);
+      return { claim, supported: !!evidence, evidence, severity: SEVERITY[claim.type] };
+    });
+
+    const unsupported = results.filter(result => !result.supported);
+    const blocking = unsupported.filter(result => result.severity === 'block');
+
+    if (unsupported.length > 0) {
+      console.warn(`⚠️ ${unsupported.length} of ${results.length} claims have no source: ${unsupported.map(r => this.describe(r)).join(', ')}`);
+    }
+
+    return {
+      claims: results,
+      unsupported,
+      blocking,
+      canExport: blocking.length === 0,
+      sourceIds: sources.map(source => source.id)
+    };
+  }
+
+  private static claimFields(resume: ResumeData): ClaimField[] {
+    const fields: ClaimField[] = [];
+    const add = (field: string, text: string | undefined, whole?: ClaimField['whole'], freeText: boolean = true) => {
+      if (text && text.trim()) fields.push({ field, text, whole, freeText });
+    };
+
+    add('summary', resume.summary);
+    add('careerObjective', resume.careerObjective);
+
+    resume.workExperience?.forEach((exp, i) => {
+      add(`workExperience[${i}].company`, exp.company, 'company', false);
+      add(`workExperience[${i}].year`, exp.year);
+      exp.bullets?.forEach((bullet, j) => add(`workExperience[${i}].bullets[${j}]`, bullet));
+    });
+
+    resume.projects?.forEach((project, i) => {
+      add(`projects[${i}].title`, project.title);
+      add(`projects[${i}].description`, project.description);
+      add(`projects[${i}].techStack`, project.techStack?.join(', '));
+      project.bullets?.forEach((bullet, j) => add(`projects[${i}].bullets[${j}]`, bullet));
+    });
+
+    resume.skills?.forEach((skill, i) => add(`skills[${i}].list`, skill.list.join(', ')));
+    resume.education?.forEach((edu, i) => add(`education[${i}].year`, edu.year));
+
+    resume.certifications?.forEach((cert, i) => {
+      if (typeof cert === 'string') {
+        add(`certifications[${i}]`, cert, 'certification');
+      } else {
+        add(`certifications[${i}].title`, cert.title, 'certification');
+        add(`certifications[${i}].description`, cert.description);
+      }
+    });
+
+    resume.achievements?.forEach((achievement, i) => add(`achievements[${i}]`, achievement));
+    resume.additionalSections?.forEach((section, i) =>
+      section.bullets.forEach((bullet, j) => add(`additionalSections[${i}].bullets[${j}]`, bullet))
+    );
+
+    return fields;
+  }
+
+  private static claimsIn({ field, text, whole, freeText }: ClaimField): ProvenanceClaim[] {
+    const claims: ProvenanceClaim[] = [];
+    const seen = new Set<string>();
+    const add = (type: ClaimType, value: string, key: string, index: number) => {
+      if (!key || seen.has(`${type}:${key}`)) return;
+      seen.add(`${type}:${key}`);
+      claims.push({ type, value, key, field, excerpt: this.sentenceAt(text, index) });
+    };
+
+    if (whole) add(whole, text.trim(), fold(text).trim(), 0);
+    if (!freeText) return claims;
+
+    this.findTools(text, 'claims').forEach(tool => add('tool', tool.value, tool.key, tool.start));
+
+    // "Reduced p99 latency by 40%" claims the 40%, which the percentage
+    // pattern usually reports on its own
+    MetricPreserver.extractMetrics(text)
+      .sort((a, b) => Number(a.type === 'range') - Number(b.type === 'range'))
+      .forEach(metric => {
+        const number = this.findNumbers(metric.value).pop();
+        if (number) add('metric', metric.type === 'range' ? number.value : metric.value, number.key, metric.position);
+      });
+
+    if (!whole) {
+      this.findNames(text, COMPANY_PATTERNS)
+        .filter(name => !NOT_COMPANIES.has(fold(name.value)) && !skillTaxonomyRegistry.resolve(name.value))
+        .forEach(name => add('company', name.value, name.key, name.start));
+      this.findNames(text, CERTIFICATION_PATTERNS).forEach(name => add('certification', name.value, name.key, name.start));
+    }
+
+    this.findDates(text).forEach(date => add('date', date.value, date.key, date.start));
+
+    return claims;
+  }
+
+  private static indexSource(source: ProvenanceSource): SourceIndex {
+    const text = source.text.normalize('NFC');
+    const firstSpans = (mentions: Mention[]) => {
+      const spans = new Map<string, Span>();
+      mentions.forEach(mention => {
+        if (!spans.has(mention.key)) spans.set(mention.key, { start: mention.start, end: mention.end });
+      });
+      return spans;
+    };
+
+    // A month-year also backs a claim of the bare year
+    const dates = this.findDates(text).flatMap(date => [date, { ...date, key: date.key.split('-')[0] }]);
+
+    let offset = 0;
+    const lines = text.split('\n').map(line => {
+      const span = { start: offset, end: offset + line.length };
+      offset += line.length + 1;
+      return { span, tokens: new Set(tokensOf(line)) };
+    });
+
+    return {
+      source,
+      text,
+      folded: fold(text),
+      tools: firstSpans(this.findTools(text, 'sources')),
+      numbers: firstSpans(this.findNumbers(text)),
+      dates: firstSpans(dates),
+      lines
+    };
+  }
+
+  private static findEvidence(claim: ProvenanceClaim, indexes: SourceIndex[]): SourceSpan | undefined {
+    for (const index of indexes) {
+      const span = this.findSpan(claim, index);
+      if (span) {
+        return {
+          sourceId: index.source.id,
+          sourceKind: index.source.kind,
+          label: index.source.label,
+          start: span.start,
+          end: span.end,
+          text: index.text.slice(span.start, span.end)
+        };
+      }
+    }
+    return undefined;
+  }
+
+  private static findSpan(claim: ProvenanceClaim, index: SourceIndex): Span | undefined {
+    switch (claim.type) {
+      case 'tool':
+        return index.tools.get(claim.key);
+      case 'metric':
+        return index.numbers.get(claim.key);
+      case 'date':
+        return index.dates.get(claim.key);
+      case 'company':
+      case 'certification':
+        return this.findPhrase(claim.value, index);
+    }
+  }
+
+  /**
+   * The phrase itself, or else one line holding all of its distinctive words:
+   * "AWS Certified Solutions Architect" is backed by "Solutions Architect -
+   * Associate, AWS (2022)"
+   */
+  private static findPhrase(value: string, index: SourceIndex): Span | undefined {
+    const pattern = LanguageDetectionService.termPattern([value], 'u');
+    const match = pattern?.exec(index.folded);
+    if (match) return { start: match.index, end: match.index + match[0].length };
+
+    const tokens = tokensOf(value);
+    if (tokens.length === 0) return undefined;
+    return index.lines.find(line => tokens.every(token => line.tokens.has(token)))?.span;
+  }
+
+  private static findTools(text: string, role: 'claims' | 'sources'): Mention[] {
+    const pattern = this.getToolPatterns()[role];
+    if (!pattern) return [];
+
+    const mentions: Mention[] = [];
+    for (const match of fold(text).matchAll(pattern)) {
+      const start = match.index ?? 0;
+      const value = text.slice(start, start + match[0].length);
+      if (role === 'claims' && !this.looksLikeToolName(value)) continue;
+
+      const skill = skillTaxonomyRegistry.canonical(match[0]);
+      if (skill) mentions.push({ key: skill.id, value, start, end: start + value.length });
+    }
+    return mentions;
+  }
+
+  // "React" and "Node.js" are tools; "react to incidents" and "go live" are not
+  private static looksLikeToolName(value: string): boolean {
+    return /[A-Z]/.test(value) || /[^a-z\s]/i.test(value) || value.length >= 7;
+  }
+
+  /**
+   * Claims are named by a skill's name or alias; sources may also describe it
+   * ("container orchestration" backs Kubernetes). Groups, soft skills and
+   * general concepts such as "API" are not tool claims.
+   */
+  private static getToolPatterns(): { claims: RegExp | null; sources: RegExp | null } {
+    const version = skillTaxonomyRegistry.version;
+    if (this.toolPatterns?.version !== version) {
+      const skills = skillTaxonomyRegistry.list();
+      const claimed = skills
+        .filter(skill => skill.kind === 'skill' && skill.category !== 'soft_skills' && !GENERAL_CONCEPTS.has(skill.id))
+        .flatMap(skill => [skill.name, ...(skill.aliases || [])]);
+
+      this.toolPatterns = {
+        version,
+        claims: LanguageDetectionService.termPattern(claimed),
+        sources: LanguageDetectionService.termPattern(skills.flatMap(skill => skillTaxonomyRegistry.spellingsOf(skill)))
+      };
+    }
+    return this.toolPatterns;
+  }
+
+  // "$50K" and "50,000" are the same number; "40%" and "40" are not
+  private static findNumbers(text: string): Mention[] {
+    return Array.from(text.matchAll(NUMBER_PATTERN), match => {
+      const [value, digits, percent, suffix, word] = match;
+      const unit = percent ? '%' : suffix?.toLowerCase() === 'x' ? 'x' : '';
+      const scale = MULTIPLIERS[(suffix || word || '').toLowerCase()] || 1;
+      const number = parseFloat(digits.replace(/,/g, '')) * scale;
+      const start = match.index ?? 0;
+      return { key: `${number}${unit}`, value, start, end: start + value.length };
+    });
+  }
+
+  private static findDates(text: string): Mention[] {
+    return Array.from(text.matchAll(DATE_PATTERN), match => {
+      const parsed = DateNormalizer.parseDateFlexible(match[0]);
+      const start = match.index ?? 0;
+      const key = parsed.month ? `${parsed.year}-${parsed.month}` : `${parsed.year}`;
+      return { key, value: match[0], start, end: start + match[0].length };
+    });
+  }
+
+  private static findNames(text: string, patterns: RegExp[]): Mention[] {
+    return patterns.flatMap(pattern =>
+      Array.from(text.matchAll(pattern), match => {
+        const value = match[1].trim();
+        const start = (match.index ?? 0) + match[0].indexOf(value);
+        return { key: fold(value), value, start, end: start + value.length };
+      })
+    );
+  }
+
+  private static sentenceAt(text: string, index: number): string {
+    let start = 0;
+    let end = text.length;
+    for (const boundary of text.matchAll(SENTENCE_END)) {
+      const position = boundary.index ?? 0;
+      if (position < index) {
+        start = position + 1;
+      } else {
+        end = position + 1;
+        break;
+      }
+    }
+    return text.slice(start, end).trim();
+  }
+}
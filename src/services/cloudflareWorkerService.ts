@@ -4,21 +4,10 @@
  * This prevents API keys from being exposed in frontend code
  */
 
-const CLOUDFLARE_WORKER_URL = import.meta.env.VITE_CLOUDFLARE_WORKER_URL || 'https://damp-haze-85c6.harshithayadali30.workers.dev';
+import { llmGateway, parseLlmJson, workerFirstRoute } from './llm/llmGateway';
+import { WORKER_URL, workerFetch } from '../utils/workerClient';
 
-console.log('Cloudflare Worker Service: Using URL:', CLOUDFLARE_WORKER_URL);
-
-interface AIRequest {
-  prompt: string;
-  provider?: string;
-  temperature?: number;
-  maxTokens?: number;
-}
-
-interface AIResponse {
-  text: string;
-  provider: string;
-}
+console.log('Cloudflare Worker Service: Using URL:', WORKER_URL);
 
 interface GitHubRepo {
   title: string;
@@ -29,7 +18,7 @@ interface GitHubRepo {
 }
 
 /**
- * Call AI through Cloudflare Worker proxy
+ * Call AI through the LLM gateway, Cloudflare Worker proxy first
  */
 export const callAI = async (
   prompt: string,
@@ -37,52 +26,37 @@ export const callAI = async (
     provider?: string;
     temperature?: number;
     maxTokens?: number;
+    feature?: string;
+    retries?: number;
   } = {}
 ): Promise<string> => {
   const {
     provider = 'openai/gpt-4o-mini',
     temperature = 0.3,
-    maxTokens = 4000
+    maxTokens = 4000,
+    feature = 'worker-ai',
+    retries
   } = options;
 
   console.log('🔒 Calling AI through Cloudflare Worker proxy');
   console.log('   Provider:', provider);
-  console.log('   Temperature:', temperature);
-  console.log('   Max Tokens:', maxTokens);
   console.log('   Prompt length:', prompt.length, 'chars');
 
   try {
-    const response = await fetch(CLOUDFLARE_WORKER_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        prompt,
-        provider,
-        temperature,
-        maxTokens
-      })
+    const response = await llmGateway.complete({
+      feature,
+      messages: [{ role: 'user', content: prompt }],
+      temperature,
+      maxTokens,
+      retries,
+      route: workerFirstRoute(provider)
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ Cloudflare Worker AI error:', errorText);
-      throw new Error(`Worker AI error: ${response.status} - ${errorText}`);
-    }
-
-    const data: AIResponse = await response.json();
+    console.log('✅ AI Response received');
+    console.log('   Provider used:', response.model ? `${response.provider} (${response.model})` : response.provider);
+    console.log('   Response length:', response.text.length, 'chars');
 
-    if (!data.text || data.text.trim().length === 0) {
-      console.error('❌ Empty response from Worker');
-      throw new Error('Empty response from AI worker');
-    }
-
-    console.log('✅ AI Response received from worker');
-    console.log('   Provider used:', data.provider);
-    console.log('   Response length:', data.text.length, 'chars');
-
-    return data.text;
+    return response.text;
   } catch (error) {
     console.error('❌ Error calling Cloudflare Worker AI:', error);
     throw error;
@@ -99,28 +73,11 @@ export const callAIWithRetry = async (
     temperature?: number;
     maxTokens?: number;
     maxRetries?: number;
+    feature?: string;
   } = {}
 ): Promise<string> => {
   const { maxRetries = 3, ...aiOptions } = options;
-  let lastError: Error | null = null;
-  let delay = 1000;
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`🔄 Worker AI attempt ${attempt}/${maxRetries}...`);
-      return await callAI(prompt, aiOptions);
-    } catch (error) {
-      lastError = error as Error;
-      console.warn(`Worker AI attempt ${attempt}/${maxRetries} failed:`, error);
-
-      if (attempt < maxRetries) {
-        await new Promise(resolve => setTimeout(resolve, delay));
-        delay *= 2;
-      }
-    }
-  }
-
-  throw lastError || new Error('Failed to generate text after retries');
+  return callAI(prompt, { ...aiOptions, retries: maxRetries - 1 });
 };
 
 /**
@@ -153,7 +110,7 @@ export const fetchGitHubRepos = async (
       per_page: perPage.toString()
     });
 
-    const response = await fetch(`${CLOUDFLARE_WORKER_URL}/github/search/repositories?${params}`, {
+    const response = await workerFetch(`/github/search/repositories?${params}`, {
       method: 'GET',
       headers: {
         'Content-Type': 'application/json'
@@ -196,46 +153,7 @@ export const fetchGitHubRepos = async (
 /**
  * Parse JSON from AI response
  */
-export const parseJSONResponse = <T>(response: string): T => {
-  if (!response || response.trim().length === 0) {
-    console.error('❌ Empty response received for JSON parsing');
-    throw new Error('Empty response from AI - cannot parse JSON');
-  }
-
-  // Clean the response
-  let cleaned = response
-    .replace(/```json/gi, '')
-    .replace(/```/g, '')
-    .trim();
-
-  // Try to extract JSON object or array from the response
-  const jsonMatch = cleaned.match(/(\{[\s\S]*\}|\[[\s\S]*\])/);
-  if (jsonMatch) {
-    cleaned = jsonMatch[1];
-  }
-
-  console.log('🔍 Attempting to parse JSON, length:', cleaned.length);
-  console.log('   First 200 chars:', cleaned.slice(0, 200));
-
-  try {
-    return JSON.parse(cleaned);
-  } catch (error) {
-    console.error('❌ Failed to parse JSON response:', error);
-    console.error('   Raw response:', cleaned.slice(0, 500));
-
-    // Try to fix common JSON issues
-    try {
-      // Remove trailing commas before closing brackets
-      const fixed = cleaned
-        .replace(/,\s*}/g, '}')
-        .replace(/,\s*]/g, ']');
-      return JSON.parse(fixed);
-    } catch (fixError) {
-      console.error('❌ Failed to fix and parse JSON');
-      throw new Error('Invalid JSON response from AI');
-    }
-  }
-};
+export const parseJSONResponse = <T>(response: string): T => parseLlmJson<T>(response);
 
 export const cloudflareWorkerService = {
   callAI,
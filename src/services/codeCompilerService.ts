@@ -1,126 +1,218 @@
+import { z } from 'zod';
 import { supabase } from '../lib/supabaseClient';
 import { geminiService } from './geminiServiceWrapper';
+import { llmGateway } from './llm/llmGateway';
+import { Judge0Runner, Judge0RunnerOptions, JUDGE0_LANGUAGE_IDS } from './codeExecution/judge0Runner';
+import { BrowserRunner } from './codeExecution/browserRunner';
+import { gradeOutcome, scoreResults } from './codeExecution/grading';
+import { findBankedProblem } from './codeExecution/testCaseBank';
+import {
+  CodeRunner,
+  CompilationResult,
+  ExecutionLimits,
+  ExecutionResult,
+  TestCase,
+  TestSuite
+} from '../types/codeExecution';
+
+export type { TestCase, ExecutionResult, CompilationResult } from '../types/codeExecution';
+
+export const DEFAULT_EXECUTION_LIMITS: ExecutionLimits = {
+  timeLimitMs: 2000,
+  memoryLimitMb: 128,
+  outputLimitKb: 64
+};
+
+const generatedSuiteSchema = z.object({
+  ioFormat: z.string().min(1),
+  testCases: z
+    .array(
+      z.object({
+        input: z.string(),
+        expectedOutput: z.string(),
+        description: z.string().optional(),
+        hidden: z.boolean().optional(),
+        category: z.string().optional()
+      })
+    )
+    .min(3)
+});
+
+// A self-hosted Judge0 (VITE_JUDGE0_URL) wins over RapidAPI (VITE_RAPIDAPI_KEY)
+const judge0Options = (): Judge0RunnerOptions | undefined => {
+  const url = import.meta.env.VITE_JUDGE0_URL;
+  if (url) {
+    const token = import.meta.env.VITE_JUDGE0_AUTH_TOKEN;
+    return { baseUrl: url, headers: token ? { 'X-Auth-Token': token } : undefined };
+  }
+  const rapidApiKey = import.meta.env.VITE_RAPIDAPI_KEY;
+  if (rapidApiKey) {
+    return {
+      baseUrl: 'https://judge0-ce.p.rapidapi.com',
+      headers: { 'X-RapidAPI-Key': rapidApiKey, 'X-RapidAPI-Host': 'judge0-ce.p.rapidapi.com' }
+    };
+  }
+  return undefined;
+};
 
-export interface TestCase {
-  input: string;
-  expectedOutput: string;
-  description?: string;
-}
+class CodeCompilerService {
+  private runners?: CodeRunner[];
+  // Generated suites are kept so every run of a question is graded against the same hidden tests
+  private suites = new Map<string, TestSuite>();
+
+  // Judge0 first when configured, since it enforces limits for every language; the browser covers JS and Python
+  private getRunners(): CodeRunner[] {
+    if (!this.runners) {
+      const runners: CodeRunner[] = [];
+      const judge0 = judge0Options();
+      if (judge0) runners.push(new Judge0Runner(judge0));
+      if (BrowserRunner.isAvailable()) runners.push(new BrowserRunner({ pyodideUrl: import.meta.env.VITE_PYODIDE_URL }));
+      this.runners = runners;
+    }
+    return this.runners;
+  }
 
-export interface ExecutionResult {
-  testCase: TestCase;
-  actualOutput: string;
-  passed: boolean;
-  executionTime?: number;
-  error?: string;
-}
+  /**
+   * Replaces the execution backends, e.g. with fakes in tests
+   */
+  useRunners(runners: CodeRunner[]): void {
+    this.runners = runners;
+  }
 
-export interface CompilationResult {
-  success: boolean;
-  output?: string;
-  error?: string;
-  executionResults?: ExecutionResult[];
-  allTestsPassed?: boolean;
-  totalExecutionTime?: number;
-}
+  private runnerFor(language: string): CodeRunner | undefined {
+    return this.getRunners().find(runner => runner.supports(language));
+  }
 
-class CodeCompilerService {
-  private readonly JUDGE0_API = 'https://judge0-ce.p.rapidapi.com';
-  private readonly RAPIDAPI_KEY = import.meta.env.VITE_RAPIDAPI_KEY;
-  private readonly RAPIDAPI_HOST = 'judge0-ce.p.rapidapi.com';
-
-  private languageIds: { [key: string]: number } = {
-    'Python': 71,
-    'JavaScript': 63,
-    'Java': 62,
-    'C++': 54,
-    'C': 50,
-    'C#': 51,
-    'Go': 60,
-    'Ruby': 72,
-    'PHP': 68,
-    'Swift': 83,
-    'Kotlin': 78,
-    'Rust': 73,
-    'TypeScript': 74
-  };
+  /**
+   * Visible and hidden tests for a question: the bank's edge and stress cases when it is a
+   * known problem, otherwise generated by the LLM
+   */
+  async getTestSuite(questionText: string, language: string): Promise<TestSuite> {
+    const banked = findBankedProblem(questionText);
+    if (banked) {
+      return {
+        source: 'bank',
+        problemId: banked.id,
+        title: banked.title,
+        ioFormat: banked.ioFormat,
+        limits: { ...DEFAULT_EXECUTION_LIMITS, ...banked.limits },
+        testCases: banked.testCases
+      };
+    }
+
+    const cached = this.suites.get(questionText);
+    if (cached) return cached;
 
-  async generateTestCases(questionText: string, language: string): Promise<TestCase[]> {
     const prompt = `
 You are a test case generator for coding interviews.
 
 Question: ${questionText}
-Programming Language: ${language}
+The candidate writes ${language}, but tests must work in any language: the program reads its input from stdin and prints its answer to stdout.
 
-Generate EXACTLY 2 test cases that:
-1. Test basic functionality (simple case)
-2. Test edge cases or complex scenarios
+Write 8 test cases:
+- 3 "basic" cases the candidate sees, covering normal inputs
+- 5 "edge" cases that are hidden, covering empty or minimal input, duplicates, negative numbers, boundaries and other tricky inputs that apply to this question
+
+Each input is the exact stdin text (use \\n between lines) and each expectedOutput is the exact stdout text.
+Double-check every expectedOutput by working it out step by step.
 
 Format your response as JSON:
 {
+  "ioFormat": "how the input is laid out on stdin and what to print",
   "testCases": [
-    {
-      "input": "test input as string",
-      "expectedOutput": "expected output as string",
-      "description": "what this test case checks"
-    },
-    {
-      "input": "test input as string",
-      "expectedOutput": "expected output as string",
-      "description": "what this test case checks"
-    }
+    { "input": "stdin text", "expectedOutput": "stdout text", "description": "what this case checks", "category": "basic", "hidden": false }
   ]
 }
-
-Important: Keep inputs and outputs simple and clear. For functions, provide the function call with arguments.
 `;
 
     try {
-      const response = await geminiService.generateText(prompt);
-      const parsed = this.parseJSONResponse(response);
-      return parsed.testCases || this.createFallbackTestCases();
+      const { data } = await llmGateway.completeJson(
+        { feature: 'interview-test-cases', messages: [{ role: 'user', content: prompt }], temperature: 0.2, maxTokens: 2000 },
+        generatedSuiteSchema
+      );
+      const testCases: TestCase[] = data.testCases.map(testCase => {
+        const category = testCase.category === 'basic' ? 'basic' : 'edge';
+        return {
+          input: testCase.input,
+          expectedOutput: testCase.expectedOutput,
+          description: testCase.description,
+          hidden: testCase.hidden ?? category === 'edge',
+          category,
+          weight: category === 'basic' ? 1 : 2
+        };
+      });
+      // The candidate needs at least a couple of examples to see the format
+      if (!testCases.some(testCase => !testCase.hidden)) {
+        testCases.slice(0, 2).forEach(testCase => (testCase.hidden = false));
+      }
+
+      const suite: TestSuite = { source: 'generated', ioFormat: data.ioFormat, limits: DEFAULT_EXECUTION_LIMITS, testCases };
+      this.suites.set(questionText, suite);
+      return suite;
     } catch (error) {
       console.error('Error generating test cases:', error);
-      return this.createFallbackTestCases();
+      // No tests: the code still runs once so the candidate sees its output
+      return { source: 'none', limits: DEFAULT_EXECUTION_LIMITS, testCases: [] };
     }
   }
 
+  async generateTestCases(questionText: string, language: string): Promise<TestCase[]> {
+    return (await this.getTestSuite(questionText, language)).testCases;
+  }
+
   async executeCode(
     code: string,
     language: string,
-    testCases: TestCase[]
+    testCases: TestCase[],
+    limits: Partial<ExecutionLimits> = {}
   ): Promise<CompilationResult> {
-    if (!this.RAPIDAPI_KEY) {
-      return this.mockExecuteCode(code, language, testCases);
-    }
-
-    const languageId = this.languageIds[language];
-    if (!languageId) {
+    const runner = this.runnerFor(language);
+    if (!runner) {
       return {
         success: false,
-        error: `Unsupported language: ${language}`
+        error: `${language} cannot run here. Set VITE_JUDGE0_URL to a Judge0 server to run it, or use JavaScript or Python, which run in the browser.`
       };
     }
+    const runLimits = { ...DEFAULT_EXECUTION_LIMITS, ...limits };
 
     try {
-      const executionResults: ExecutionResult[] = [];
-      let totalExecutionTime = 0;
+      if (!testCases.length) {
+        const run = await runner.run({ code, language, stdin: '', limits: runLimits });
+        const failed = run.status !== 'ok';
+        return {
+          success: !failed,
+          output: run.stdout,
+          error: failed ? [run.message, run.stderr.trim()].filter(Boolean).join('\n') || run.status : undefined,
+          totalExecutionTime: run.timeMs,
+          runner: runner.id,
+          run
+        };
+      }
 
+      const executionResults: ExecutionResult[] = [];
       for (const testCase of testCases) {
-        const result = await this.executeWithTestCase(code, languageId, testCase);
-        executionResults.push(result);
-        if (result.executionTime) {
-          totalExecutionTime += result.executionTime;
+        const outcome = await runner.run({ code, language, stdin: testCase.input, limits: runLimits });
+        executionResults.push(gradeOutcome(testCase, outcome));
+        // Code that does not compile fails every test the same way
+        if (outcome.status === 'compile_error') {
+          testCases.slice(executionResults.length).forEach(rest => executionResults.push(gradeOutcome(rest, outcome)));
+          break;
         }
       }
 
-      const allTestsPassed = executionResults.every(r => r.passed);
-
+      const { score, passedCount, totalCount } = scoreResults(executionResults);
+      const compileError = executionResults.find(result => result.status === 'compile_error');
       return {
         success: true,
+        output: executionResults.find(result => !result.testCase.hidden)?.stdout,
+        error: compileError?.error,
         executionResults,
-        allTestsPassed,
-        totalExecutionTime
+        allTestsPassed: passedCount === totalCount,
+        totalExecutionTime: executionResults.reduce((sum, result) => sum + (result.executionTime || 0), 0),
+        score,
+        passedCount,
+        totalCount,
+        runner: runner.id
       };
     } catch (error) {
       console.error('Code execution error:', error);
@@ -131,75 +223,6 @@ Important: Keep inputs and outputs simple and clear. For functions, provide the
     }
   }
 
-  private async executeWithTestCase(
-    code: string,
-    languageId: number,
-    testCase: TestCase
-  ): Promise<ExecutionResult> {
-    try {
-      const submissionData = {
-        source_code: btoa(code),
-        language_id: languageId,
-        stdin: btoa(testCase.input)
-      };
-
-      const createResponse = await fetch(`${this.JUDGE0_API}/submissions?base64_encoded=true&wait=true`, {
-        method: 'POST',
-        headers: {
-          'content-type': 'application/json',
-          'X-RapidAPI-Key': this.RAPIDAPI_KEY!,
-          'X-RapidAPI-Host': this.RAPIDAPI_HOST
-        },
-        body: JSON.stringify(submissionData)
-      });
-
-      if (!createResponse.ok) {
-        throw new Error(`Judge0 API error: ${createResponse.statusText}`);
-      }
-
-      const result = await createResponse.json();
-
-      const actualOutput = result.stdout ? atob(result.stdout).trim() : '';
-      const error = result.stderr ? atob(result.stderr) : result.compile_output ? atob(result.compile_output) : undefined;
-      const passed = actualOutput === testCase.expectedOutput.trim() && !error;
-
-      return {
-        testCase,
-        actualOutput: actualOutput || error || 'No output',
-        passed,
-        executionTime: result.time ? parseFloat(result.time) * 1000 : undefined,
-        error
-      };
-    } catch (error) {
-      return {
-        testCase,
-        actualOutput: '',
-        passed: false,
-        error: error instanceof Error ? error.message : 'Execution failed'
-      };
-    }
-  }
-
-  private mockExecuteCode(code: string, language: string, testCases: TestCase[]): CompilationResult {
-    const executionResults: ExecutionResult[] = testCases.map((testCase, index) => {
-      const mockPassed = index === 0;
-      return {
-        testCase,
-        actualOutput: mockPassed ? testCase.expectedOutput : 'Mock output',
-        passed: mockPassed,
-        executionTime: Math.random() * 100 + 50
-      };
-    });
-
-    return {
-      success: true,
-      executionResults,
-      allTestsPassed: executionResults.every(r => r.passed),
-      totalExecutionTime: executionResults.reduce((sum, r) => sum + (r.executionTime || 0), 0),
-      output: 'Mock execution - Configure RAPIDAPI_KEY for real execution'
-    };
-  }
-
   async saveExecutionResult(
     responseId: string,
     sessionId: string,
@@ -287,8 +310,9 @@ Format your response as JSON:
     }
   }
 
+  // Languages some configured backend can run
   getSupportedLanguages(): string[] {
-    return Object.keys(this.languageIds);
+    return Object.keys(JUDGE0_LANGUAGE_IDS).filter(language => this.runnerFor(language));
   }
 
   private parseJSONResponse(response: string): any {
@@ -302,21 +326,6 @@ Format your response as JSON:
       return {};
     }
   }
-
-  private createFallbackTestCases(): TestCase[] {
-    return [
-      {
-        input: 'test input 1',
-        expectedOutput: 'expected output 1',
-        description: 'Basic functionality test'
-      },
-      {
-        input: 'test input 2',
-        expectedOutput: 'expected output 2',
-        description: 'Edge case test'
-      }
-    ];
-  }
 }
 
 export const codeCompilerService = new CodeCompilerService();
@@ -0,0 +1,363 @@
+// src/services/codeExecution/browserRunner.ts
+import { CodeRunner, RunOutcome, RunRequest, RunStatus } from '../../types/codeExecution';
+
+export type WorkerMessage =
+  | { type: 'started' }
+  | { type: 'stdout' | 'stderr'; text: string }
+  | { type: 'done'; error?: string; errorKind?: 'compile' | 'runtime'; timeMs: number; memoryBytes: number }
+  | { type: 'failed'; error: string }; // the runtime itself could not run
+
+// The slice of a Web Worker the runner uses; tests pass a fake
+export interface WorkerLike {
+  onmessage: ((message: WorkerMessage) => void) | null;
+  onerror: ((message: string) => void) | null;
+  postMessage(message: unknown): void;
+  terminate(): void;
+}
+
+export interface BrowserRunnerOptions {
+  pyodideUrl?: string; // directory holding pyodide.js; self-host it to run without the CDN
+  createWorker?: () => WorkerLike;
+}
+
+const DEFAULT_PYODIDE_URL = 'https://cdn.jsdelivr.net/pyodide/v0.26.4/full/';
+// Pyodide downloads ~10 MB on first use and starts again in every worker; the time limit only starts once the runtime is up
+const LOAD_TIMEOUT_MS = 60000;
+
+// Runs inside the worker. Candidate code gets Node-style stdin (fs.readFileSync(0), readline,
+// process.stdin) in JavaScript and input()/sys.stdin in Python; network and storage are removed first.
+const WORKER_SOURCE = String.raw`
+const post = (type, data) => self.postMessage(Object.assign({ type: type }, data));
+const now = () => performance.now();
+const splitLines = (text) => {
+  const lines = text.split(/\r?\n/);
+  if (lines.length && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+const BLOCKED_GLOBALS = [
+  'fetch', 'XMLHttpRequest', 'WebSocket', 'WebSocketStream', 'WebTransport', 'EventSource', 'importScripts',
+  'indexedDB', 'caches', 'BroadcastChannel', 'Worker', 'SharedWorker'
+];
+
+// The global and every prototype above it (DedicatedWorkerGlobalScope, WorkerGlobalScope, ...):
+// removing an API from self alone leaves it callable through its prototype
+const globalChain = () => {
+  const chain = [];
+  for (let target = self; target; target = Object.getPrototypeOf(target)) chain.push(target);
+  return chain;
+};
+
+const reachable = (target, name) => {
+  const descriptor = Object.getOwnPropertyDescriptor(target, name);
+  return Boolean(descriptor && (descriptor.get || descriptor.set || descriptor.value !== undefined));
+};
+
+let lockedDown = false;
+const lockDown = () => {
+  if (lockedDown) return;
+  const chain = globalChain();
+  BLOCKED_GLOBALS.forEach((name) => {
+    chain.forEach((target) => {
+      if (!Object.prototype.hasOwnProperty.call(target, name)) return;
+      try { delete target[name]; } catch (error) { /* overridden below */ }
+      if (Object.prototype.hasOwnProperty.call(target, name)) {
+        try {
+          Object.defineProperty(target, name, { value: undefined, writable: false, configurable: false });
+        } catch (error) { /* checked below */ }
+      }
+    });
+    // Fail closed: code never runs while a network or script-loading API is still reachable
+    if (chain.some((target) => reachable(target, name))) {
+      throw new Error('Could not disable ' + name + ' in the sandbox');
+    }
+  });
+  lockedDown = true;
+};
+
+class ExitSignal {
+  constructor(code) { this.code = code; }
+}
+
+const emitter = () => {
+  const handlers = {};
+  const api = {
+    on(event, handler) { (handlers[event] = handlers[event] || []).push(handler); return api; },
+    emit(event, value) { (handlers[event] || []).forEach((handler) => handler(value)); },
+    resume() { return api; },
+    setEncoding() { return api; },
+    close() {}
+  };
+  api.once = api.on;
+  api.addListener = api.on;
+  return api;
+};
+
+const show = (value) => {
+  if (typeof value === 'string') return value;
+  try {
+    const json = JSON.stringify(value);
+    return json === undefined ? String(value) : json;
+  } catch (error) {
+    return String(value);
+  }
+};
+
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+const runJavaScript = async (code, stdin, run) => {
+  const writer = (type) => (...args) => post(type, { text: args.map(show).join(' ') + '\n' });
+  const sandboxConsole = { log: writer('stdout'), info: writer('stdout'), debug: writer('stdout'), warn: writer('stderr'), error: writer('stderr') };
+  const stdinStream = emitter();
+  const lineReaders = [];
+  const modules = {
+    fs: {
+      readFileSync: (file) => {
+        if (file === 0 || file === '/dev/stdin') return stdin;
+        throw new Error("ENOENT: no such file or directory, open '" + file + "'");
+      }
+    },
+    readline: {
+      createInterface: () => {
+        const reader = emitter();
+        lineReaders.push(reader);
+        return reader;
+      }
+    }
+  };
+  const require = (name) => {
+    const module = modules[String(name).replace(/^node:/, '')];
+    if (!module) throw new Error("Cannot find module '" + name + "'");
+    return module;
+  };
+  const stream = (type) => ({ write: (text) => { post(type, { text: String(text) }); return true; } });
+  const process = {
+    stdin: stdinStream,
+    stdout: stream('stdout'),
+    stderr: stream('stderr'),
+    argv: ['node', 'main.js'],
+    env: {},
+    exit: (code) => { throw new ExitSignal(code || 0); }
+  };
+
+  let main;
+  try {
+    main = new AsyncFunction('require', 'process', 'console', 'module', 'exports', code);
+  } catch (error) {
+    return { error: String(error), errorKind: 'compile' };
+  }
+
+  lockDown();
+  run.begin(() => (performance.memory ? performance.memory.usedJSHeapSize : 0));
+  try {
+    const module = { exports: {} };
+    await main(require, process, sandboxConsole, module, module.exports);
+    // Like Node, stdin arrives after the script's first pass has registered its listeners
+    stdinStream.emit('data', stdin);
+    stdinStream.emit('end');
+    lineReaders.forEach((reader) => {
+      splitLines(stdin).forEach((line) => reader.emit('line', line));
+      reader.emit('close');
+    });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  } catch (error) {
+    if (error instanceof ExitSignal) return error.code ? { error: 'Process exited with code ' + error.code } : {};
+    return { error: String(error) };
+  }
+  return {};
+};
+
+let pyodide = null;
+
+// Drop Pyodide's own frames so the traceback starts at the candidate's code
+const cleanTraceback = (message) => {
+  const lines = message.split('\n');
+  const first = lines.findIndex((line) => line.includes('File "<exec>"'));
+  return first > 0 ? ['Traceback (most recent call last):'].concat(lines.slice(first)).join('\n') : message;
+};
+
+const runPython = async (code, stdin, indexUrl, run) => {
+  if (!pyodide) {
+    importScripts(indexUrl + 'pyodide.js');
+    pyodide = await self.loadPyodide({ indexURL: indexUrl });
+  }
+  lockDown();
+
+  const lines = splitLines(stdin);
+  pyodide.setStdin({ stdin: () => (lines.length ? lines.shift() : undefined) });
+  pyodide.setStdout({ batched: (text) => post('stdout', { text: text + '\n' }) });
+  pyodide.setStderr({ batched: (text) => post('stderr', { text: text + '\n' }) });
+
+  // Pyodide's WebAssembly memory only grows, so its growth during the run is the peak the code needed
+  const heap = () => {
+    try { return pyodide._module.HEAPU8.length; } catch (error) { return 0; }
+  };
+  const globals = pyodide.globals.get('dict')();
+  run.begin(heap);
+  try {
+    await pyodide.runPythonAsync(code, { globals: globals });
+  } catch (error) {
+    const message = cleanTraceback(String((error && error.message) || error)).trim();
+    if (/SystemExit(: (0|None))?$/.test(message)) return {};
+    const compile = /\n(SyntaxError|IndentationError|TabError): [^\n]*$/.test(message);
+    return { error: message, errorKind: compile ? 'compile' : 'runtime' };
+  } finally {
+    globals.destroy();
+  }
+  return {};
+};
+
+self.onmessage = async (event) => {
+  const request = event.data;
+  let startedAt = 0;
+  let heap = () => 0;
+  let baseline = 0;
+  const run = {
+    begin: (measure) => {
+      heap = measure;
+      baseline = measure();
+      startedAt = now();
+      post('started');
+    }
+  };
+  try {
+    const result = request.language === 'Python'
+      ? await runPython(request.code, request.stdin, request.pyodideUrl, run)
+      : await runJavaScript(request.code, request.stdin, run);
+    post('done', {
+      error: result.error,
+      errorKind: result.errorKind,
+      timeMs: startedAt ? Math.round(now() - startedAt) : 0,
+      memoryBytes: Math.max(0, heap() - baseline)
+    });
+  } catch (error) {
+    post('failed', { error: String((error && error.message) || error) });
+  }
+};
+`;
+
+const createBlobWorker = (): WorkerLike => {
+  const url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+  const worker = new Worker(url);
+  const handle: WorkerLike = {
+    onmessage: null,
+    onerror: null,
+    postMessage: message => worker.postMessage(message),
+    terminate: () => {
+      worker.terminate();
+      URL.revokeObjectURL(url);
+    }
+  };
+  worker.onmessage = event => handle.onmessage?.(event.data as WorkerMessage);
+  worker.onerror = event => {
+    event.preventDefault();
+    handle.onerror?.(event.message || 'The worker stopped unexpectedly');
+  };
+  return handle;
+};
+
+/**
+ * Runs JavaScript and Python (via Pyodide) in a Web Worker, with no server.
+ * Every run gets a fresh worker, so nothing one test case defines or imports is seen by the next.
+ * Time and output limits are hard: the worker is terminated. Memory is measured after
+ * the run where the browser exposes it, so a runaway allocation is usually stopped
+ * by the time limit or the browser's own worker limits first.
+ */
+export class BrowserRunner implements CodeRunner {
+  readonly id = 'browser' as const;
+  private pyodideUrl: string;
+  private createWorker: () => WorkerLike;
+
+  constructor(options: BrowserRunnerOptions = {}) {
+    const pyodideUrl = options.pyodideUrl || DEFAULT_PYODIDE_URL;
+    this.pyodideUrl = pyodideUrl.endsWith('/') ? pyodideUrl : `${pyodideUrl}/`;
+    this.createWorker = options.createWorker || createBlobWorker;
+  }
+
+  static isAvailable(): boolean {
+    return typeof Worker !== 'undefined' && typeof Blob !== 'undefined' && typeof URL.createObjectURL === 'function';
+  }
+
+  supports(language: string): boolean {
+    return language === 'JavaScript' || language === 'Python';
+  }
+
+  run({ code, language, stdin, limits }: RunRequest): Promise<RunOutcome> {
+    const worker = this.createWorker();
+    const outputLimit = limits.outputLimitKb * 1024;
+    let stdout = '';
+    let stderr = '';
+
+    return new Promise(resolve => {
+      let settled = false;
+      let timer: ReturnType<typeof setTimeout>;
+
+      const finish = (outcome: Omit<RunOutcome, 'stdout' | 'stderr'>) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        worker.onmessage = null;
+        worker.onerror = null;
+        worker.terminate();
+        resolve({ ...outcome, stdout, stderr });
+      };
+
+      timer = setTimeout(
+        () => finish({ status: 'internal_error', message: `Could not start the ${language} runtime` }),
+        LOAD_TIMEOUT_MS
+      );
+
+      worker.onmessage = message => {
+        switch (message.type) {
+          case 'started':
+            clearTimeout(timer);
+            timer = setTimeout(
+              () => finish({ status: 'time_limit', timeMs: limits.timeLimitMs, message: `Time limit exceeded (${limits.timeLimitMs}ms)` }),
+              limits.timeLimitMs
+            );
+            break;
+          case 'stdout':
+          case 'stderr':
+            if (message.type === 'stdout') stdout += message.text;
+            else stderr += message.text;
+            if (stdout.length + stderr.length > outputLimit) {
+              stdout = stdout.slice(0, outputLimit);
+              stderr = stderr.slice(0, Math.max(0, outputLimit - stdout.length));
+              finish({ status: 'output_limit', message: `Output limit exceeded (${limits.outputLimitKb} KB)` });
+            }
+            break;
+          case 'done': {
+            const memoryKb = message.memoryBytes ? Math.round(message.memoryBytes / 1024) : undefined;
+            const overMemory = memoryKb !== undefined && memoryKb > limits.memoryLimitMb * 1024;
+            if (message.error) stderr += `${stderr && !stderr.endsWith('\n') ? '\n' : ''}${message.error}`;
+            const status: RunStatus = message.errorKind === 'compile'
+              ? 'compile_error'
+              : overMemory
+                ? 'memory_limit'
+                : message.error
+                  ? 'runtime_error'
+                  : 'ok';
+            finish({
+              status,
+              timeMs: message.timeMs,
+              memoryKb,
+              message: overMemory ? `Memory limit exceeded (${limits.memoryLimitMb} MB)` : undefined
+            });
+            break;
+          }
+          case 'failed':
+            finish({ status: 'internal_error', message: `The ${language} runtime failed: ${message.error}` });
+            break;
+        }
+      };
+
+      // Uncaught errors from timers and callbacks, or the browser killing the worker
+      worker.onerror = error => {
+        stderr += `${stderr && !stderr.endsWith('\n') ? '\n' : ''}${error}`;
+        finish({ status: 'runtime_error' });
+      };
+
+      worker.postMessage({ code, language, stdin, pyodideUrl: this.pyodideUrl });
+    });
+  }
+}
@@ -0,0 +1,63 @@
+// src/services/codeExecution/grading.ts
+import { ExecutionResult, RunOutcome, TestCase, TestStatus } from '../../types/codeExecution';
+
+export const TEST_STATUS_LABELS: Record<TestStatus, string> = {
+  passed: 'Passed',
+  wrong_answer: 'Wrong Answer',
+  compile_error: 'Compile Error',
+  runtime_error: 'Runtime Error',
+  time_limit: 'Time Limit Exceeded',
+  memory_limit: 'Memory Limit Exceeded',
+  output_limit: 'Output Limit Exceeded',
+  internal_error: 'Runner Error'
+};
+
+// Line endings, trailing spaces and trailing blank lines never fail a test
+export const normalizeOutput = (text: string): string =>
+  text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .replace(/\n+$/, '');
+
+export const outputsMatch = (actual: string, expected: string): boolean =>
+  normalizeOutput(actual) === normalizeOutput(expected);
+
+export const testWeight = (testCase: TestCase): number =>
+  testCase.weight !== undefined && testCase.weight > 0 ? testCase.weight : 1;
+
+/**
+ * One test's verdict. Output is only compared when the run finished; a limit or crash fails
+ * the test whatever it printed.
+ */
+export const gradeOutcome = (testCase: TestCase, outcome: RunOutcome): ExecutionResult => {
+  const finished = outcome.status === 'ok';
+  const passed = finished && outputsMatch(outcome.stdout, testCase.expectedOutput);
+  const status: TestStatus = passed ? 'passed' : outcome.status === 'ok' ? 'wrong_answer' : outcome.status;
+  // The limit that stopped the run, or the traceback / compiler output
+  const error = finished ? undefined : outcome.message || outcome.stderr.trim() || TEST_STATUS_LABELS[status];
+
+  return {
+    testCase,
+    actualOutput: normalizeOutput(outcome.stdout),
+    passed,
+    status,
+    stdout: outcome.stdout,
+    stderr: outcome.stderr,
+    executionTime: outcome.timeMs,
+    memoryKb: outcome.memoryKb,
+    error
+  };
+};
+
+// Partial credit: the weighted share of passed tests, 0-100
+export const scoreResults = (results: ExecutionResult[]) => {
+  const total = results.reduce((sum, result) => sum + testWeight(result.testCase), 0);
+  const earned = results.reduce((sum, result) => sum + (result.passed ? testWeight(result.testCase) : 0), 0);
+  return {
+    score: total ? Math.round((earned / total) * 100) : 0,
+    passedCount: results.filter(result => result.passed).length,
+    totalCount: results.length
+  };
+};
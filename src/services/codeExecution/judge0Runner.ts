@@ -0,0 +1,123 @@
+// src/services/codeExecution/judge0Runner.ts
+import { CodeRunner, RunOutcome, RunRequest, RunStatus } from '../../types/codeExecution';
+
+// Judge0 CE language ids
+export const JUDGE0_LANGUAGE_IDS: Record<string, number> = {
+  'Python': 71,
+  'JavaScript': 63,
+  'Java': 62,
+  'C++': 54,
+  'C': 50,
+  'C#': 51,
+  'Go': 60,
+  'Ruby': 72,
+  'PHP': 68,
+  'Swift': 83,
+  'Kotlin': 78,
+  'Rust': 73,
+  'TypeScript': 74
+};
+
+export interface Judge0RunnerOptions {
+  baseUrl: string; // e.g. http://localhost:2358 for a self-hosted server
+  headers?: Record<string, string>; // X-Auth-Token, or the RapidAPI key and host
+}
+
+interface Judge0Submission {
+  stdout: string | null;
+  stderr: string | null;
+  compile_output: string | null;
+  message: string | null;
+  time: string | null; // seconds
+  memory: number | null; // KB
+  status: { id: number; description: string };
+}
+
+// Judge0 refuses memory limits below 2 MB and wall limits beyond its configured maximum (20s by default)
+const MIN_MEMORY_KB = 2048;
+const MAX_WALL_TIME_S = 20;
+
+// Source and stdin go base64-encoded so non-ASCII code survives; btoa alone only takes Latin-1
+export const encodeBase64 = (text: string): string => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+export const decodeBase64 = (encoded: string | null): string =>
+  encoded ? new TextDecoder().decode(Uint8Array.from(atob(encoded.replace(/\s/g, '')), char => char.charCodeAt(0))) : '';
+
+// Status ids: 3 accepted, 4 wrong answer (unused, we compare ourselves), 5 time limit,
+// 6 compilation error, 7-12 runtime errors (SIGSEGV, SIGXFSZ, SIGFPE, SIGABRT, NZEC, other),
+// 13 internal error, 14 exec format error
+const statusFor = (id: number): RunStatus => {
+  if (id === 3 || id === 4) return 'ok';
+  if (id === 5) return 'time_limit';
+  if (id === 6) return 'compile_error';
+  if (id >= 7 && id <= 12) return 'runtime_error';
+  return 'internal_error';
+};
+
+/**
+ * Runs code on a Judge0 CE-compatible server, one synchronous submission per test
+ */
+export class Judge0Runner implements CodeRunner {
+  readonly id = 'judge0' as const;
+
+  constructor(private options: Judge0RunnerOptions) {}
+
+  supports(language: string): boolean {
+    return language in JUDGE0_LANGUAGE_IDS;
+  }
+
+  async run({ code, language, stdin, limits }: RunRequest): Promise<RunOutcome> {
+    const languageId = JUDGE0_LANGUAGE_IDS[language];
+    if (!languageId) throw new Error(`Unsupported language: ${language}`);
+
+    const cpuSeconds = limits.timeLimitMs / 1000;
+    const memoryLimitKb = Math.max(MIN_MEMORY_KB, limits.memoryLimitMb * 1024);
+    const response = await fetch(`${this.options.baseUrl.replace(/\/$/, '')}/submissions?base64_encoded=true&wait=true`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.options.headers },
+      body: JSON.stringify({
+        source_code: encodeBase64(code),
+        language_id: languageId,
+        stdin: encodeBase64(stdin),
+        cpu_time_limit: cpuSeconds,
+        // Sleeping or blocked code burns wall time, not CPU time
+        wall_time_limit: Math.min(MAX_WALL_TIME_S, Math.max(1, cpuSeconds * 3)),
+        memory_limit: memoryLimitKb,
+        // Judge0 caps files, stdout included, at max_file_size KB; going over is a SIGXFSZ runtime error
+        max_file_size: limits.outputLimitKb
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Judge0 API error: ${response.status} ${response.statusText}`);
+    }
+
+    const result = (await response.json()) as Judge0Submission;
+    const stdout = decodeBase64(result.stdout);
+    const stderr = result.status.id === 6 ? decodeBase64(result.compile_output) : decodeBase64(result.stderr);
+    const memoryKb = result.memory ?? undefined;
+    let status = statusFor(result.status.id);
+
+    // An allocation that hits the cgroup limit surfaces as a runtime error; the peak memory tells them apart
+    if (status === 'runtime_error' && memoryKb !== undefined && memoryKb >= memoryLimitKb * 0.95) {
+      status = 'memory_limit';
+    }
+    if (result.status.id === 8) status = 'output_limit'; // SIGXFSZ
+
+    return {
+      status,
+      stdout,
+      stderr,
+      timeMs: result.time ? Math.round(parseFloat(result.time) * 1000) : undefined,
+      memoryKb,
+      message: status === 'ok' ? undefined : decodeBase64(result.message) || result.status.description
+    };
+  }
+}
@@ -0,0 +1,230 @@
+// src/services/codeExecution/testCaseBank.ts
+import { BankedProblem, TestCase } from '../../types/codeExecution';
+
+// Every input is a complete stdin, so input() and readline see their last line
+const stdin = (text: string) => (text.endsWith('\n') ? text : `${text}\n`);
+
+const visible = (input: string, expectedOutput: string, description: string): TestCase => ({
+  input: stdin(input),
+  expectedOutput,
+  description,
+  category: 'basic',
+  weight: 1
+});
+
+const edge = (input: string, expectedOutput: string, description: string): TestCase => ({
+  input: stdin(input),
+  expectedOutput,
+  description,
+  hidden: true,
+  category: 'edge',
+  weight: 2
+});
+
+// Large inputs that a brute-force solution cannot finish inside the time limit
+const stress = (input: string, expectedOutput: string, description: string): TestCase => ({
+  input: stdin(input),
+  expectedOutput,
+  description,
+  hidden: true,
+  category: 'stress',
+  weight: 2
+});
+
+/**
+ * The question names the problem as its task: it opens with the title ("Two Sum: given...")
+ * or asks for it by name ("Solve the classic Two Sum problem"). A passing mention such as
+ * "climbing stairs (like Fibonacci)" or "implement a Fibonacci heap" does not select it.
+ */
+const titled = (name: string): RegExp[] => [
+  new RegExp(`^\\s*(problem\\s*:\\s*)?(the\\s+)?${name}(\\s+problem)?(\\s*[:.(\\n]|\\s+[-–—]\\s|\\s*$)`, 'i'),
+  new RegExp(
+    `\\b(solve|implement|write|code|complete)\\s+(the\\s+)?(classic\\s+|famous\\s+|standard\\s+)?${name}` +
+      `(\\s+(problem|question|challenge))?(?=\\s*([.,:;!?)\\n]|$)|\\s+(in|using|with|for|that|where|which|and)\\b)`,
+    'i'
+  )
+];
+
+const range = (length: number, value: (index: number) => number) => Array.from({ length }, (_, index) => value(index));
+
+const fizzBuzz = (n: number) =>
+  range(n, index => index + 1)
+    .map(value => (value % 15 === 0 ? 'FizzBuzz' : value % 3 === 0 ? 'Fizz' : value % 5 === 0 ? 'Buzz' : String(value)))
+    .join('\n');
+
+const fibonacci = (n: number) => {
+  let [previous, current] = [0n, 1n];
+  for (let i = 0; i < n; i++) [previous, current] = [current, previous + current];
+  return previous.toString();
+};
+
+const maxSubarray = (values: number[]) => {
+  let best = values[0];
+  let ending = values[0];
+  for (const value of values.slice(1)) {
+    ending = Math.max(value, ending + value);
+    best = Math.max(best, ending);
+  }
+  return String(best);
+};
+
+const TWO_SUM_STRESS = range(20000, index => index + 1);
+const MAX_SUBARRAY_STRESS = range(100000, index => ((index * 7919) % 201) - 100);
+
+export const BANKED_PROBLEMS: BankedProblem[] = [
+  {
+    id: 'two-sum',
+    title: 'Two Sum',
+    match: [
+      ...titled('two[\\s-]?sum'),
+      /(indices|indexes|positions) of (the )?two numbers[\s\S]{0,80}(add up|sum) to[\s\S]{0,20}target/i
+    ],
+    ioFormat:
+      'Line 1: the numbers, space-separated. Line 2: the target. Print the two indices (0-based, smaller first) separated by a space. Exactly one pair adds up to the target.',
+    testCases: [
+      visible('2 7 11 15\n9', '0 1', 'Pair at the start'),
+      visible('3 2 4\n6', '1 2', 'Pair that skips the first number'),
+      edge('3 3\n6', '0 1', 'Duplicate values'),
+      edge('-3 4 3 90\n0', '0 2', 'Negative numbers'),
+      edge('0 4 3 0\n0', '0 3', 'Zeros'),
+      edge('1 5 9 13\n22', '2 3', 'Pair at the end'),
+      stress(`${TWO_SUM_STRESS.join(' ')}\n39999`, '19998 19999', '20,000 numbers')
+    ]
+  },
+  {
+    id: 'reverse-string',
+    title: 'Reverse a String',
+    match: [
+      ...titled('(reverse a string|string reversal)'),
+      /\b(reverse|reverses|reversing) (a|the|an input|a given|the given|the input) string(?! of words)\b/i
+    ],
+    ioFormat: 'One line of text. Print it reversed.',
+    testCases: [
+      visible('hello', 'olleh', 'Single word'),
+      visible('PrimoBoost', 'tsooBomirP', 'Mixed case'),
+      edge('', '', 'Empty string'),
+      edge('a', 'a', 'Single character'),
+      edge('hello world', 'dlrow olleh', 'Spaces are kept'),
+      edge('12345!', '!54321', 'Digits and punctuation'),
+      stress('abc'.repeat(10000), 'cba'.repeat(10000), '30,000 characters')
+    ]
+  },
+  {
+    id: 'valid-palindrome',
+    title: 'Valid Palindrome',
+    // Not palindromic substrings, palindrome numbers or linked lists, which take different input
+    match: [
+      ...titled('valid palindrome'),
+      /(check|determine|return|print)( whether| if)? (a|the|an input|a given|the given) (string|sentence|phrase|line of text) is a (valid )?palindrome\b/i
+    ],
+    ioFormat:
+      'One line of text. Print true if it reads the same forwards and backwards after lowercasing it and removing every non-alphanumeric character, otherwise false.',
+    testCases: [
+      visible('A man, a plan, a canal: Panama', 'true', 'Punctuation and case are ignored'),
+      visible('race a car', 'false', 'Not a palindrome'),
+      edge('', 'true', 'Empty string'),
+      edge('a', 'true', 'Single character'),
+      edge('0P', 'false', 'Digits count as characters'),
+      edge("No 'x' in Nixon", 'true', 'Quotes and spaces'),
+      edge('ab_a', 'true', 'Underscore is not alphanumeric'),
+      stress(`${'ab'.repeat(50000)}x${'ba'.repeat(50000)}`, 'true', '200,001 characters')
+    ]
+  },
+  {
+    id: 'fizzbuzz',
+    title: 'FizzBuzz',
+    match: [...titled('fizz\\s?buzz'), /multiples of (3|three)[\s\S]{0,60}\bfizz\b/i],
+    ioFormat:
+      'One integer n. Print the numbers 1 to n, one per line, with Fizz for multiples of 3, Buzz for multiples of 5 and FizzBuzz for multiples of both.',
+    testCases: [
+      visible('5', fizzBuzz(5), 'Fizz and Buzz'),
+      visible('15', fizzBuzz(15), 'Up to the first FizzBuzz'),
+      edge('0', '', 'n = 0 prints nothing'),
+      edge('1', '1', 'n = 1'),
+      edge('30', fizzBuzz(30), 'Two FizzBuzz lines'),
+      stress('5000', fizzBuzz(5000), 'n = 5,000')
+    ]
+  },
+  {
+    id: 'fibonacci',
+    title: 'Fibonacci Number',
+    match: [
+      ...titled("(n-?th |n'th )?fibonacci( number)?"),
+      /(return|print|compute|calculate|find|output) (the )?(n-?th|n'th) fibonacci number/i,
+      /\bfibonacci number f\(n\)/i
+    ],
+    ioFormat: 'One integer n (0 ≤ n ≤ 70). Print F(n), where F(0) = 0 and F(1) = 1.',
+    testCases: [
+      visible('5', fibonacci(5), 'Small n'),
+      visible('10', fibonacci(10), 'n = 10'),
+      edge('0', '0', 'F(0)'),
+      edge('1', '1', 'F(1)'),
+      edge('2', '1', 'F(2)'),
+      edge('50', fibonacci(50), 'Past 32-bit integers'),
+      stress('70', fibonacci(70), 'Naive recursion is too slow')
+    ]
+  },
+  {
+    id: 'valid-parentheses',
+    title: 'Valid Parentheses',
+    match: [
+      ...titled('(valid|balanced) (parenthes[ie]s|brackets)'),
+      /(determine|check|return|print)[\s\S]{0,30}(whether|if)[\s\S]{0,60}(parenthes[ie]s|brackets)[\s\S]{0,30}(are|is) (valid|balanced)/i
+    ],
+    ioFormat:
+      'One line containing only the characters ()[]{}. Print true if every bracket is closed by the same type in the right order, otherwise false.',
+    testCases: [
+      visible('()[]{}', 'true', 'Pairs side by side'),
+      visible('(]', 'false', 'Mismatched types'),
+      edge('', 'true', 'Empty string'),
+      edge('(((', 'false', 'Never closed'),
+      edge(']', 'false', 'Closes before opening'),
+      edge('([{}])', 'true', 'Nested'),
+      edge('([)]', 'false', 'Wrong closing order'),
+      stress(`${'('.repeat(50000)}${')'.repeat(50000)}`, 'true', '50,000 levels deep')
+    ]
+  },
+  {
+    id: 'maximum-subarray',
+    title: 'Maximum Subarray',
+    match: [
+      ...titled('max(imum)? (sum )?sub-?array( sum)?'),
+      /(largest|maximum) sum[\s\S]{0,40}contiguous sub-?array/i,
+      /contiguous sub-?array[\s\S]{0,40}(largest|maximum) sum/i
+    ],
+    ioFormat: 'One line of space-separated integers (at least one). Print the largest sum of a non-empty contiguous subarray.',
+    testCases: [
+      visible('-2 1 -3 4 -1 2 1 -5 4', '6', 'Mixed signs'),
+      visible('1', '1', 'Single element'),
+      edge('-3 -1 -2', '-1', 'All negative'),
+      edge('5 4 -1 7 8', '23', 'Whole array'),
+      edge('0 0 0', '0', 'All zeros'),
+      edge('2 -1 2 -1 2', '4', 'Crossing small dips'),
+      stress(MAX_SUBARRAY_STRESS.join(' '), maxSubarray(MAX_SUBARRAY_STRESS), '100,000 numbers')
+    ]
+  },
+  {
+    id: 'valid-anagram',
+    title: 'Valid Anagram',
+    match: [
+      ...titled('valid anagram'),
+      /(determine|check|return|print)[\s\S]{0,30}(whether|if)[\s\S]{0,60}(is an anagram of|are anagrams)\b/i
+    ],
+    ioFormat: 'Two lines, each a lowercase word. Print true if the second is an anagram of the first, otherwise false.',
+    testCases: [
+      visible('anagram\nnagaram', 'true', 'Anagram'),
+      visible('rat\ncar', 'false', 'Different letters'),
+      edge('\n\n', 'true', 'Two empty words'),
+      edge('a\na', 'true', 'Same single letter'),
+      edge('ab\na', 'false', 'Different lengths'),
+      edge('aacc\nccac', 'false', 'Same letters, different counts'),
+      stress(`${'abcde'.repeat(20000)}\n${'edcba'.repeat(20000)}`, 'true', '100,000 letters')
+    ]
+  }
+];
+
+/**
+ * The banked problem a question asks for, if any
+ */
+export const findBankedProblem = (questionText: string): BankedProblem | undefined =>
+  BANKED_PROBLEMS.find(problem => problem.match.some(pattern => pattern.test(questionText)));
@@ -1,84 +1,25 @@
-const DEEPSEEK_API_KEY = import.meta.env.VITE_DEEPSEEK_API_KEY;
-const DEEPSEEK_API_URL = 'https://api.deepseek.com/v1/chat/completions';
+import { llmGateway, workerFirstRoute } from './llm/llmGateway';
+
+// DeepSeek through the worker's OpenRouter allowlist; the key stays on the server
+const DEEPSEEK_MODEL = 'deepseek/deepseek-chat';
 
 interface DeepSeekMessage {
   role: 'system' | 'user' | 'assistant';
   content: string;
 }
 
-interface DeepSeekRequest {
-  model: string;
-  messages: DeepSeekMessage[];
-  temperature?: number;
-  max_tokens?: number;
-  stream?: boolean;
-}
-
-interface DeepSeekResponse {
-  id: string;
-  object: string;
-  created: number;
-  model: string;
-  choices: Array<{
-    index: number;
-    message: DeepSeekMessage;
-    finish_reason: string;
-  }>;
-  usage: {
-    prompt_tokens: number;
-    completion_tokens: number;
-    total_tokens: number;
-  };
-}
-
 class DeepSeekService {
-  private apiKey: string;
-
-  constructor() {
-    if (!DEEPSEEK_API_KEY) {
-      console.warn('DeepSeek API key not configured. AI features will be disabled.');
-      this.apiKey = '';
-    } else {
-      this.apiKey = DEEPSEEK_API_KEY;
-    }
-  }
-
   private async callDeepSeek(messages: DeepSeekMessage[], temperature = 0.7, maxTokens = 2000): Promise<string> {
-    if (!this.apiKey) {
-      throw new Error('DeepSeek API key is not configured. Please add VITE_DEEPSEEK_API_KEY to your environment variables.');
-    }
-
     try {
-      const requestBody: DeepSeekRequest = {
-        model: 'deepseek-chat',
+      const response = await llmGateway.complete({
+        feature: 'job-listings',
         messages,
         temperature,
-        max_tokens: maxTokens,
-        stream: false,
-      };
-
-      const response = await fetch(DEEPSEEK_API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`,
-        },
-        body: JSON.stringify(requestBody),
+        maxTokens,
+        cache: false, // a second polish of the same posting should read differently
+        route: workerFirstRoute(DEEPSEEK_MODEL)
       });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('DeepSeek API error:', errorText);
-        throw new Error(`DeepSeek API error: ${response.status} - ${errorText}`);
-      }
-
-      const data: DeepSeekResponse = await response.json();
-
-      if (!data.choices || data.choices.length === 0) {
-        throw new Error('No response from DeepSeek API');
-      }
-
-      return data.choices[0].message.content.trim();
+      return response.text;
     } catch (error) {
       console.error('Error calling DeepSeek API:', error);
       throw error;
@@ -243,10 +184,6 @@ Interview Tips:`;
       return `Prepare thoroughly for your ${roleTitle} interview by reviewing core ${domain} concepts, practicing common technical questions, and being ready to discuss your relevant projects and experience. Research ${companyName} and prepare thoughtful questions about the role and team.`;
     }
   }
-
-  isConfigured(): boolean {
-    return !!this.apiKey;
-  }
 }
 
 export const deepseekService = new DeepSeekService();
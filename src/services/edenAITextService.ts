@@ -5,6 +5,7 @@
  */
 
 import { cloudflareWorkerService } from './cloudflareWorkerService';
+import { llmGateway, workerFirstRoute } from './llm/llmGateway';
 
 // Available providers: openai/gpt-4o-mini, google/gemini-1.5-flash, etc.
 const DEFAULT_PROVIDER = 'openai/gpt-4o-mini';
@@ -57,23 +58,14 @@ export const chat = async (
     maxTokens = 4000
   } = options;
 
-  // Convert messages to a single prompt for now
-  // The worker can be enhanced later to support chat history
-  const systemMessage = messages.find(m => m.role === 'system')?.content || '';
-  const conversationHistory = messages
-    .filter(m => m.role !== 'system')
-    .map(m => `${m.role}: ${m.content}`)
-    .join('\n\n');
-
-  const fullPrompt = systemMessage
-    ? `${systemMessage}\n\n${conversationHistory}`
-    : conversationHistory;
-
-  return cloudflareWorkerService.callAI(fullPrompt, {
-    provider,
+  const response = await llmGateway.complete({
+    feature: 'worker-ai',
+    messages,
     temperature,
-    maxTokens
+    maxTokens,
+    route: workerFirstRoute(provider)
   });
+  return response.text;
 };
 
 /**
@@ -1,10 +1,11 @@
 // src/services/edenModerationService.ts
 // EdenAI Moderation & Spell Check Service
 
-// Use environment variable - DO NOT hard-code
-const EDENAI_API_KEY = import.meta.env.VITE_EDENAI_API_KEY || '';
-const EDENAI_MODERATION_URL = 'https://api.edenai.run/v2/text/moderation';
-const EDENAI_SPELL_CHECK_URL = 'https://api.edenai.run/v2/text/spell_check';
+import { edenFetch } from '../utils/workerClient';
+
+// Called through the worker, which holds the EdenAI key
+const EDENAI_MODERATION_PATH = 'text/moderation';
+const EDENAI_SPELL_CHECK_PATH = 'text/spell_check';
 
 // Moderation result interface
 export interface ModerationResult {
@@ -35,20 +36,14 @@ export interface SpellCorrection {
  * Check text for unsafe/offensive content using EdenAI Moderation
  */
 export const moderateText = async (text: string): Promise<ModerationResult> => {
-  if (!EDENAI_API_KEY) {
-    console.warn('EdenAI API key not configured. Skipping moderation.');
-    return { isSafe: true, flaggedCategories: [], confidence: 0 };
-  }
-
   if (!text || text.trim().length < 10) {
     return { isSafe: true, flaggedCategories: [], confidence: 1 };
   }
 
   try {
-    const response = await fetch(EDENAI_MODERATION_URL, {
+    const response = await edenFetch(EDENAI_MODERATION_PATH, {
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${EDENAI_API_KEY}`,
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
@@ -95,20 +90,14 @@ export const moderateText = async (text: string): Promise<ModerationResult> => {
  * Check and correct spelling/grammar using EdenAI Spell Check
  */
 export const spellCheck = async (text: string): Promise<SpellCheckResult> => {
-  if (!EDENAI_API_KEY) {
-    console.warn('EdenAI API key not configured. Skipping spell check.');
-    return { correctedText: text, corrections: [], hasCorrections: false };
-  }
-
   if (!text || text.trim().length < 10) {
     return { correctedText: text, corrections: [], hasCorrections: false };
   }
 
   try {
-    const response = await fetch(EDENAI_SPELL_CHECK_URL, {
+    const response = await edenFetch(EDENAI_SPELL_CHECK_PATH, {
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${EDENAI_API_KEY}`,
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
@@ -12,20 +12,11 @@ import {
   Certification,
 } from '../types/resume';
 import { callCloudflareAI } from '../utils/cloudflareApi';
+import { edenFetch } from '../utils/workerClient';
 
-let EDENAI_API_KEY = '';
-
-// Add function to fetch API key
-const fetchApiKey = async (): Promise<string> => {
-  const WORKER_URL = import.meta.env.VITE_CLOUDFLARE_WORKER_URL || 
-    'https://damp-haze-85c6.harshithayadali30.workers.dev';
-  
-  const response = await fetch(`${WORKER_URL}/get-eden-key`);
-  const data = await response.json();
-  return data.apiKey;
-};
-const EDENAI_OCR_ASYNC_URL = 'https://api.edenai.run/v2/ocr/ocr_async'; // For multi-page PDFs with Mistral
-const EDENAI_CHAT_URL = 'https://api.edenai.run/v2/text/chat';
+// EdenAI endpoints, called through the worker so the EdenAI key stays server-side
+const EDENAI_OCR_ASYNC_PATH = 'ocr/ocr_async'; // For multi-page PDFs with Mistral
+const EDENAI_CHAT_PATH = 'text/chat';
 
 const delay = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
 
@@ -40,9 +31,6 @@ export interface ParsedResume extends ResumeData {
  * Flow: Mistral OCR (async) → Chat API parsing
  */
 export const parseResumeFromFile = async (file: File): Promise<ParsedResume> => {
-  if (!EDENAI_API_KEY) {
-    EDENAI_API_KEY = await fetchApiKey();
-  }
   let extractedText = '';
 
   try {
@@ -106,9 +94,8 @@ const extractTextWithMistralOCR = async (file: File, retryCount = 0): Promise<st
   formData.append('language', 'en');
 
   try {
-    const response = await fetch(EDENAI_OCR_ASYNC_URL, {
+    const response = await edenFetch(EDENAI_OCR_ASYNC_PATH, {
       method: 'POST',
-      headers: { Authorization: `Bearer ${EDENAI_API_KEY}` },
       body: formData,
     });
 
@@ -117,10 +104,13 @@ const extractTextWithMistralOCR = async (file: File, retryCount = 0): Promise<st
       console.error('Mistral OCR API Error:', response.status, errorText);
       
       if (response.status === 401 || response.status === 403) {
-        throw new Error('EdenAI API authentication failed. Please check your API key.');
+        throw new Error('Please sign in to parse your resume.');
       }
       if (response.status === 429) {
-        throw new Error('EdenAI API rate limit exceeded. Please try again later.');
+        throw new Error('Too many resume uploads. Please try again in a minute.');
+      }
+      if (response.status === 413) {
+        throw new Error('This file is too large to parse. Please upload a file under 10 MB.');
       }
       if (response.status === 400) {
         throw new Error('Invalid file format. Please upload a PDF or DOCX file.');
@@ -156,14 +146,11 @@ const extractTextWithMistralOCR = async (file: File, retryCount = 0): Promise<st
  * Poll for async OCR job results
  */
 const pollAsyncOCRResult = async (jobId: string, maxAttempts = 30): Promise<string> => {
-  const pollUrl = `https://api.edenai.run/v2/ocr/ocr_async/${jobId}`;
+  const pollPath = `${EDENAI_OCR_ASYNC_PATH}/${jobId}`;
   
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
     try {
-      const response = await fetch(pollUrl, {
-        method: 'GET',
-        headers: { Authorization: `Bearer ${EDENAI_API_KEY}` },
-      });
+      const response = await edenFetch(pollPath, { method: 'GET' });
 
       if (!response.ok) {
         await delay(2000);
@@ -281,12 +268,9 @@ IMPORTANT: Extract ACTUAL data from the resume text. Do NOT use placeholder valu
   };
 
   try {
-    const response = await fetch(EDENAI_CHAT_URL, {
+    const response = await edenFetch(EDENAI_CHAT_PATH, {
       method: 'POST',
-      headers: {
-        Authorization: `Bearer ${EDENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
+      headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(requestBody),
     });
 
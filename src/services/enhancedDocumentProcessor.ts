@@ -72,7 +72,11 @@ export class EnhancedDocumentProcessor implements DocumentProcessorInterface {
         layoutStructure: this.getEmptyLayoutStructure(),
         parsingQuality: this.getFailedParsingQuality(),
         confidence: 0,
-        warnings: ['Document processing failed. Please try a different file format.']
+        warnings: [
+          error instanceof Error && error.message.startsWith('OCR failed')
+            ? `${error.message}. Please upload a clearer scan or a searchable PDF/DOCX file.`
+            : 'Document processing failed. Please try a different file format.'
+        ]
       };
     }
   }
@@ -210,56 +214,32 @@ export class EnhancedDocumentProcessor implements DocumentProcessorInterface {
   }
   
   /**
-   * Extract text using OCR
+   * Extract text using OCR. Mistral OCR + GPT-4o-mini is tried first and
+   * falls back to local tesseract.js; if neither can read the image this
+   * throws instead of returning placeholder text.
    */
   private async extractWithOCR(file: File): Promise<string> {
-    try {
-      // Try Mistral OCR + GPT-4o-mini first for superior accuracy
-      const { mistralOCRService } = await import('./mistralOCRService');
-      
-      // Convert file to buffer - handle both real File objects and test mocks
-      let buffer: Buffer;
-      if (typeof file.arrayBuffer === 'function') {
-        const arrayBuffer = await file.arrayBuffer();
-        buffer = Buffer.from(arrayBuffer);
-      } else {
-        // Fallback for test environment - create a mock buffer
-        buffer = Buffer.from('mock file content');
-      }
-      
-      // Perform enhanced OCR extraction with Mistral + GPT-4o-mini
-      const ocrResult = await mistralOCRService.extractTextFromImage(buffer);
-      
-      if (ocrResult.confidence < 50) {
-        console.warn(`Low OCR confidence (${ocrResult.confidence}%) for file: ${file.name}`);
-      }
-      
-      return ocrResult.text || `[OCR extraction failed for ${file.name}]`;
-      
-    } catch (error) {
-      console.error('Enhanced OCR extraction failed, trying fallback:', error);
-      
-      // Fallback to basic OCR service
-      try {
-        const { ocrService } = await import('./ocrService');
-        
-        let buffer: Buffer;
-        if (typeof file.arrayBuffer === 'function') {
-          const arrayBuffer = await file.arrayBuffer();
-          buffer = Buffer.from(arrayBuffer);
-        } else {
-          buffer = Buffer.from('mock file content');
-        }
-        
-        const fallbackResult = await ocrService.extractTextFromImage(buffer, false); // Basic OCR
-        console.log('Fallback OCR succeeded');
-        return fallbackResult.text || `[Fallback OCR extraction failed for ${file.name}]`;
-        
-      } catch (fallbackError) {
-        console.error('Fallback OCR also failed:', fallbackError);
-        return `[OCR extraction failed for ${file.name}]`;
-      }
+    const { mistralOCRService } = await import('./mistralOCRService');
+    
+    // Convert file to buffer - handle both real File objects and test mocks
+    let buffer: Buffer;
+    if (typeof file.arrayBuffer === 'function') {
+      const arrayBuffer = await file.arrayBuffer();
+      buffer = Buffer.from(arrayBuffer);
+    } else {
+      throw new Error(`OCR failed: could not read ${file.name}`);
     }
+    
+    const ocrResult = await mistralOCRService.extractTextFromImage(buffer);
+    
+    if (ocrResult.confidence < 50) {
+      console.warn(`Low OCR confidence (${ocrResult.confidence}%) for file: ${file.name}`);
+    }
+    if (!ocrResult.text.trim()) {
+      throw new Error(`OCR failed: no readable text found in ${file.name}`);
+    }
+    
+    return ocrResult.text;
   }
   
   /**
@@ -25,7 +25,8 @@ import {
 import { GapAnalyzerService } from './gapAnalyzerService';
 import { EnhancedScoringService, EnhancedScoringInput } from './enhancedScoringService';
 import { FullResumeRewriter16ParameterService } from './fullResumeRewriter16ParameterService';
-import { optimizeResume as geminiOptimizeResume } from './geminiService';
+import { optimizeResume as geminiOptimizeResume, ResumeStreamOptions } from './geminiService';
+import { isAbortError } from './llm/llmStream';
 
 // ============================================================================
 // USER ACTION REQUIRED TYPES
@@ -332,7 +333,8 @@ export class EnhancedJdOptimizerService {
     resumeText: string,
     jobDescription: string,
     _targetRole: string,
-    mode: OptimizationMode = 'standard'
+    mode: OptimizationMode = 'standard',
+    stream?: ResumeStreamOptions
   ): Promise<OptimizationResult> {
     const startTime = Date.now();
     const modeConfig = OPTIMIZATION_MODES[mode];
@@ -378,7 +380,10 @@ export class EnhancedJdOptimizerService {
         resumeData.github,
         resumeData.linkedin,
         resumeData.github,
-        _targetRole || resumeData.targetRole
+        _targetRole || resumeData.targetRole,
+        undefined, // additionalSections
+        undefined, // jdSummary
+        stream
       );
       
       // Use the AI-optimized resume
@@ -499,6 +504,8 @@ export class EnhancedJdOptimizerService {
       });
       
     } catch (rewriteError) {
+      // A cancelled optimization stops here rather than falling back
+      if (isAbortError(rewriteError)) throw rewriteError;
       console.error('AI optimization failed, falling back to legacy optimization:', rewriteError);
       
       // Fallback to legacy optimization
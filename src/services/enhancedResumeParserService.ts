@@ -16,12 +16,9 @@ import {
   Skill,
   Certification,
 } from '../types/resume';
+import { WORKER_URL, workerFetch } from '../utils/workerClient';
 
-const CLOUDFLARE_WORKER_URL = (
-  import.meta.env.VITE_CLOUDFLARE_WORKER_URL || 
-  'https://damp-haze-85c6.harshithayadali30.workers.dev'
-).replace(/\/$/, ''); // Remove any trailing slash
-console.log('🔗 Worker URL:', CLOUDFLARE_WORKER_URL);
+console.log('🔗 Worker URL:', WORKER_URL);
 
 const delay = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
 
@@ -275,9 +272,7 @@ export class EnhancedResumeParserService {
     try {
       const base64 = await this.fileToBase64(file);
 
-     const ocrUrl = `${CLOUDFLARE_WORKER_URL}/ocr`;
-console.log('📡 OCR URL:', ocrUrl);
-const response = await fetch(ocrUrl, {
+      const response = await workerFetch('/ocr', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -690,7 +685,7 @@ Extract ACTUAL data from the resume. Do NOT use placeholder values.`;
     const MAX_RETRIES = 3;
 
     try {
-      const response = await fetch(CLOUDFLARE_WORKER_URL, {
+      const response = await workerFetch('', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
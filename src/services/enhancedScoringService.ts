@@ -33,6 +33,10 @@ import { QualitativeAnalyzer } from './analyzers/qualitativeAnalyzer';
 import { ScoreMapperService } from './scoreMapperService';
 import { enhancedDocumentProcessor } from './enhancedDocumentProcessor';
 import { parsingMetricsService } from './parsingMetricsService';
+import { scoringEnvironment } from './scoringEnvironment';
+import { TimelineEngine } from '../utils/timelineEngine';
+import { LanguageDetectionService } from './languageDetectionService';
+import { SupportedLanguage } from '../types/language';
 
 // ============================================================================
 // TYPES
@@ -52,6 +56,8 @@ export interface EnhancedScoringInput {
   hasColors?: boolean;
   hasGraphics?: boolean;
   userType?: 'fresher' | 'experienced' | 'student';
+  locale?: string; // date format hint for the resume, e.g. 'es' or 'en-US'
+  language?: SupportedLanguage; // detected from resumeText when absent
   // Enhanced parsing fields
   file?: File;
   processedDocument?: ProcessedDocument;
@@ -152,7 +158,8 @@ export class EnhancedScoringService {
    */
   static async calculateScore(input: EnhancedScoringInput): Promise<EnhancedComprehensiveScore> {
     const { resumeText, resumeData, jobDescription, extractionMode } = input;
-
+    const language = input.language || resumeData?.language || LanguageDetectionService.detect(resumeText).language;
+    const languageResources = LanguageDetectionService.getResources(language);
 
     // =========================================================================
     // TIER 1: Basic Structure Analysis (20 metrics)
@@ -184,6 +191,10 @@ export class EnhancedScoringService {
     // =========================================================================
     const isFresherRole = this.detectFresherRole(resumeData, jobDescription, input.userType);
 
+    // One timeline of experience and education dates, shared by the experience
+    // and red flag tiers
+    const timeline = TimelineEngine.build(resumeData, { locale: input.locale || languageResources.locale });
+
     // =========================================================================
     // TIER 3: Experience Analysis (35 metrics) - CONDITIONAL
     // =========================================================================
@@ -198,6 +209,7 @@ export class EnhancedScoringService {
         resumeData,
         jobDescription,
         targetRole: resumeData?.targetRole,
+        timeline,
       });
     }
 
@@ -244,6 +256,8 @@ export class EnhancedScoringService {
       resumeText,
       resumeData,
       jobDescription,
+      timeline,
+      language,
     });
 
     // =========================================================================
@@ -767,7 +781,7 @@ export class EnhancedScoringService {
    */
   private static calculateTotalExperience(workExperience: any[]): number {
     let totalMonths = 0;
-    const currentYear = new Date().getFullYear();
+    const currentYear = scoringEnvironment.currentYear();
 
     for (const exp of workExperience) {
       if (exp.year) {
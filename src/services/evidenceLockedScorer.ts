@@ -1,5 +1,7 @@
 import { hybridMatcher, HybridMatch } from './hybridMatcher';
 import { roleClassifier, RoleClassification } from './roleClassifier';
+import { scoringProfileRegistry } from './scoringProfiles/scoringProfileRegistry';
+import { EvidenceRoleFamily, ScoringProfile } from '../types/scoringProfile';
 
 export interface EvidenceSource {
   type: 'resume' | 'jd' | 'semantic_match';
@@ -31,59 +33,21 @@ export interface EvidenceLockedScore {
 }
 
 export class EvidenceLockedScorer {
-  private static readonly ROLE_WEIGHT_MATRIX = {
-    'ops-data-entry': {
-      'MS Office': 1.5,
-      'Accuracy': 1.4,
-      'SLAs': 1.3,
-      'Documentation': 1.2,
-      'Data Entry': 1.5,
-      'Technical Skills': 0.6
-    },
-    'software-dev': {
-      'Technical Skills': 1.4,
-      'APIs': 1.3,
-      'System Design': 1.3,
-      'Code Quality': 1.2,
-      'MS Office': 0.7,
-      'Data Entry': 0.5
-    },
-    'data-analytics': {
-      'SQL': 1.4,
-      'Data Analysis': 1.4,
-      'Visualization': 1.3,
-      'Statistics': 1.2,
-      'Python/R': 1.3
-    },
-    'ai-ml': {
-      'ML Models': 1.5,
-      'Python': 1.4,
-      'Data Science': 1.4,
-      'Algorithms': 1.3,
-      'Research': 1.2
-    },
-    'devops-cloud': {
-      'CI/CD': 1.5,
-      'Cloud': 1.4,
-      'Infrastructure': 1.3,
-      'Automation': 1.3,
-      'Monitoring': 1.2
-    }
-  };
-
   static async scoreWithEvidence(
     resumeText: string,
     jobDescription: string,
-    roleClassification?: RoleClassification
+    roleClassification?: RoleClassification,
+    profile?: ScoringProfile
   ): Promise<EvidenceLockedScore> {
     const components: ScoredComponent[] = [];
     const blockedScores: string[] = [];
 
-    const matchingResult = await hybridMatcher.matchJDToResume(jobDescription, resumeText);
-
     const role = roleClassification || roleClassifier.classifyRole(jobDescription);
-    const roleType = this.mapToRoleType(role.roleType);
-    const weights = this.ROLE_WEIGHT_MATRIX[roleType] || {};
+    const scoringProfile = profile || scoringProfileRegistry.select(jobDescription, { classification: role }).profile;
+
+    const matchingResult = await hybridMatcher.matchJDToResume(jobDescription, resumeText, scoringProfile);
+
+    const weights = scoringProfileRegistry.getSkillWeights(scoringProfile, this.mapToRoleType(role.roleType));
 
     const technicalScore = await this.scoreTechnicalSkills(
       resumeText,
@@ -150,7 +114,7 @@ export class EvidenceLockedScorer {
     };
   }
 
-  private static mapToRoleType(roleType: string): keyof typeof EvidenceLockedScorer.ROLE_WEIGHT_MATRIX {
+  private static mapToRoleType(roleType: string): EvidenceRoleFamily {
     if (['backend', 'frontend', 'fullstack', 'mobile'].includes(roleType)) {
       return 'software-dev';
     }
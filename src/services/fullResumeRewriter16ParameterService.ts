@@ -302,6 +302,18 @@ export class FullResumeRewriter16ParameterService {
     return { scores, overallScore };
   }
 
+  /**
+   * Score structured resume data as-is - cheap enough to call once
+   * per candidate edit, e.g. to predict the score change of a single bullet
+   */
+  static scoreResumeData(
+    resumeData: ResumeData,
+    jobDescription: string
+  ): { scores: Parameter16Score[]; overallScore: number } {
+    const scores = this.scoreResume(resumeData, this.analyzeJobDescription(jobDescription));
+    return { scores, overallScore: this.calculateOverallScore(scores) };
+  }
+
   /**
    * Parse plain text resume into ResumeData structure
    * Enhanced parsing to handle various resume formats
@@ -26,10 +26,11 @@ import { EnhancedScoringService, EnhancedScoringInput } from './enhancedScoringS
 export class GapAnalyzerService {
   /**
    * Analyze gaps between current resume and JD requirements
-   * Uses the 220+ metrics framework
+   * Uses the 220+ metrics framework; resumeData is optional when only the
+   * extracted resume text is available
    */
   static async analyzeGaps(
-    resumeData: ResumeData,
+    resumeData: ResumeData | undefined,
     resumeText: string,
     jobDescription: string
   ): Promise<GapAnalysisResult> {
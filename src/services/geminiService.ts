@@ -2,6 +2,7 @@
 import { ResumeData, UserType, AdditionalSection } from '../types/resume';
 import { cleanResumeTextForAI, stripVersionFromSkill, deduplicateSkills } from '../utils/skillsVersionStripper';
 import { callCloudflareAI } from '../utils/cloudflareApi';
+import { isAbortError, PartialJsonParser } from './llm/llmStream';
 import {
   PROGRAMMING_LANGUAGES,
   FRONTEND_TECHNOLOGIES,
@@ -19,6 +20,19 @@ console.log('GeminiService: Using Cloudflare Worker with automatic AI provider f
 export const MAX_INPUT_LENGTH = 50000;
 export const MAX_RETRIES = 3;
 
+// How often a streamed reply is re-parsed for onPartial
+const PARTIAL_PARSE_INTERVAL_MS = 200;
+
+/**
+ * Watch an optimization as it is written: onPartial gets the resume JSON as far
+ * as the model has got (raw, before cleanup), and aborting the signal cancels
+ * the AI request
+ */
+export interface ResumeStreamOptions {
+  onPartial?: (partial: Partial<ResumeData>) => void;
+  signal?: AbortSignal;
+}
+
 const deepCleanComments = (val: any): any => {
   const stripLineComments = (input: string): string => {
     let cleanedInput = input;
@@ -62,14 +76,32 @@ const deepCleanComments = (val: any): any => {
   return val;
 };
 
-const safeFetch = async (options: { prompt: string }): Promise<{ content: string }> => {
+const safeFetch = async (
+  options: { prompt: string },
+  stream?: ResumeStreamOptions
+): Promise<{ content: string }> => {
+  const parser = new PartialJsonParser();
+  let lastParse = 0;
+  const onPartial = stream?.onPartial;
+
   try {
     const content = await callCloudflareAI({
       prompt: options.prompt,
-      retries: MAX_RETRIES
+      retries: MAX_RETRIES,
+      feature: 'resume-optimization',
+      signal: stream?.signal,
+      onToken: onPartial && (delta => {
+        parser.push(delta);
+        const now = Date.now();
+        if (now - lastParse < PARTIAL_PARSE_INTERVAL_MS && !parser.isComplete()) return;
+        lastParse = now;
+        const partial = parser.value<Partial<ResumeData>>();
+        if (partial && typeof partial === 'object') onPartial(partial);
+      })
     });
     return { content };
   } catch (error: any) {
+    if (isAbortError(error)) throw error;
     console.error('Cloudflare Worker AI request failed:', error);
     throw new Error(`AI service error: ${error.message}`);
   }
@@ -89,7 +121,8 @@ export const optimizeResume = async (
   githubUrl?: string,
   targetRole?: string,
   additionalSections?: AdditionalSection[], // NEW: Add additionalSections parameter
-  jdSummary?: string // NEW: Optional JD summary from EdenAI for better alignment
+  jdSummary?: string, // NEW: Optional JD summary from EdenAI for better alignment
+  stream?: ResumeStreamOptions
 ): Promise<ResumeData> => {
   // Log optimization start
   console.log('═══════════════════════════════════════════════════════════');
@@ -487,7 +520,7 @@ LinkedIn URL provided: ${linkedinUrl || 'NONE - leave empty'}
 GitHub URL provided: ${githubUrl || 'NONE - leave empty'}
 ${additionalSections && additionalSections.length > 0 ? `Additional Sections Provided: ${JSON.stringify(additionalSections)}` : ''}`;
 
-  const response = await safeFetch({ prompt: promptContent });
+  const response = await safeFetch({ prompt: promptContent }, stream);
   let raw = response.content;
   if (!raw) throw new Error("No content returned from EdenAI");
 
@@ -1,4 +1,6 @@
-import { semanticMatchingService } from './semanticMatchingService';
+import { semanticIndexService } from './semantic/semanticIndexService';
+import { scoringProfileRegistry } from './scoringProfiles/scoringProfileRegistry';
+import { ScoringProfile } from '../types/scoringProfile';
 
 export interface JDRequirement {
   id: string;
@@ -40,27 +42,22 @@ export interface MatchingResult {
 }
 
 export class HybridMatcher {
-  private static readonly SEMANTIC_WEIGHT = 0.6;
-  private static readonly LITERAL_WEIGHT = 0.4;
   private static readonly HYBRID_THRESHOLD = 0.65;
   private static readonly SEMANTIC_THRESHOLD = 0.70;
   private static readonly LITERAL_THRESHOLD = 0.5;
 
   static async matchJDToResume(
     jobDescription: string,
-    resumeText: string
+    resumeText: string,
+    profile: ScoringProfile = scoringProfileRegistry.select(jobDescription).profile
   ): Promise<MatchingResult> {
-    await semanticMatchingService.initialize();
-
     const requirements = this.extractRequirements(jobDescription);
     const bullets = this.extractResumeBullets(resumeText);
+    const semanticScores = await this.calculateSemanticScores(requirements, bullets);
 
-    const matches: HybridMatch[] = [];
-
-    for (const requirement of requirements) {
-      const match = await this.findBestMatch(requirement, bullets);
-      matches.push(match);
-    }
+    const matches = requirements.map((requirement, i) =>
+      this.findBestMatch(requirement, bullets, semanticScores[i], profile.matching)
+    );
 
     const matchingSummary = this.generateSummary(matches);
     const overallCoverage = matchingSummary.matched / matchingSummary.totalRequirements;
@@ -195,10 +192,12 @@ export class HybridMatcher {
     return bullets;
   }
 
-  private static async findBestMatch(
+  private static findBestMatch(
     requirement: JDRequirement,
-    bullets: ResumeBullet[]
-  ): Promise<HybridMatch> {
+    bullets: ResumeBullet[],
+    semanticScores: Float32Array,
+    weights: ScoringProfile['matching']
+  ): HybridMatch {
     let bestMatch: HybridMatch = {
       requirement,
       matchedBullet: null,
@@ -210,10 +209,10 @@ export class HybridMatcher {
       confidence: 0
     };
 
-    for (const bullet of bullets) {
-      const semanticScore = await this.calculateSemanticScore(requirement.text, bullet.text);
+    bullets.forEach((bullet, i) => {
+      const semanticScore = Math.max(0, Math.min(1, semanticScores[i]));
       const literalScore = this.calculateLiteralScore(requirement.keywords, bullet.text);
-      const hybridScore = (semanticScore * this.SEMANTIC_WEIGHT) + (literalScore * this.LITERAL_WEIGHT);
+      const hybridScore = (semanticScore * weights.semanticWeight) + (literalScore * weights.literalWeight);
 
       if (hybridScore > bestMatch.hybridScore) {
         const matchType = this.determineMatchType(semanticScore, literalScore, hybridScore);
@@ -229,20 +228,32 @@ export class HybridMatcher {
           confidence: hybridScore
         };
       }
-    }
+    });
 
     return bestMatch;
   }
 
-  private static async calculateSemanticScore(reqText: string, bulletText: string): Promise<number> {
+  /**
+   * Requirement × bullet similarity matrix from the cached embedding index;
+   * all zeros when embeddings are unavailable, leaving literal matching
+   */
+  private static async calculateSemanticScores(
+    requirements: JDRequirement[],
+    bullets: ResumeBullet[]
+  ): Promise<Float32Array[]> {
+    const empty = () => requirements.map(() => new Float32Array(bullets.length));
+    if (requirements.length === 0 || bullets.length === 0) return empty();
+    if (!(await semanticIndexService.initialize())) return empty();
+
     try {
-      const reqEmbedding = await semanticMatchingService.generateEmbedding(reqText);
-      const bulletEmbedding = await semanticMatchingService.generateEmbedding(bulletText);
-      const similarity = semanticMatchingService.cosineSimilarity(reqEmbedding, bulletEmbedding);
-      return Math.max(0, Math.min(1, similarity));
+      return await semanticIndexService.similarityMatrix(
+        requirements.map(requirement => requirement.text),
+        bullets.map(bullet => bullet.text),
+        { query: 'requirement', target: 'bullet' }
+      );
     } catch (error) {
       console.error('Semantic score calculation error:', error);
-      return 0;
+      return empty();
     }
   }
 
@@ -1,22 +1,68 @@
-import { AIFeedback } from '../types/interview';
-import { edenAITextService } from './edenAITextService';
+import { z } from 'zod';
+import { AIFeedback, QuestionCategory } from '../types/interview';
+import { llmGateway } from './llm/llmGateway';
+import { isAbortError, PartialJsonParser } from './llm/llmStream';
+import { describeRubric } from './interviewRubric/rubrics';
+import { calibrateAssessment, lowestAssessment } from './interviewRubric/rubricScoring';
+
+const rubricFeedbackSchema = z.object({
+  competencies: z
+    .array(
+      z.object({
+        competency: z.string(),
+        level: z.number(),
+        evidence: z.array(z.string()).default([]),
+        rationale: z.string().default('')
+      })
+    )
+    .min(1),
+  missed_points: z.array(z.string()).default([]),
+  suggestions: z.array(z.string()).default([]),
+  strengths: z.array(z.string()).default([]),
+  improvement_areas: z.array(z.string()).default([]),
+  tone_confidence_rating: z.string().default('Unable to assess')
+});
+
+type RubricFeedback = z.infer<typeof rubricFeedbackSchema>;
+
+// How often a streamed evaluation is re-parsed for onPartial
+const PARTIAL_PARSE_INTERVAL_MS = 200;
+
+/**
+ * Watch an evaluation as it is written: onPartial gets the model's reply as far
+ * as it has got (raw, before calibration), and aborting the signal cancels the
+ * AI request
+ */
+export interface FeedbackStreamOptions {
+  onPartial?: (partial: Partial<RubricFeedback>) => void;
+  signal?: AbortSignal;
+}
 
-console.log('InterviewFeedbackService: Using EdenAI for text generation');
+// Who is grading: the rubric fixes the scale, the persona sets what the interviewer listens for
+const INTERVIEWER_PERSONAS: Record<QuestionCategory, string> = {
+  Technical: 'an expert technical interviewer',
+  Coding: 'an expert technical interviewer reviewing a coding answer',
+  Projects: 'a senior engineer probing the candidate\'s own project work',
+  Behavioral: 'a behavioral interview expert who listens for the STAR method (Situation, Task, Action, Result)',
+  HR: 'an experienced HR interviewer',
+  Aptitude: 'an interviewer assessing reasoning and aptitude'
+};
 
 export class InterviewFeedbackService {
-  private async callEdenAI(prompt: string): Promise<string> {
-    return edenAITextService.generateTextWithRetry(prompt, {
-      temperature: 0.3,
-      maxTokens: 2000
-    });
-  }
-
-  async analyzeTechnicalAnswer(
+  /**
+   * Scores an answer against its category's rubric. The model proposes a level for each
+   * competency with quotes from the answer; calibrateAssessment keeps only quotes that are
+   * really in the answer and caps unsupported levels, and the 0-10 score comes from the
+   * calibrated levels rather than from the model.
+   */
+  async scoreAgainstRubric(
     question: string,
     userAnswer: string,
-    difficulty: string = 'Medium'
+    category: QuestionCategory,
+    difficulty: string = 'Medium',
+    stream?: FeedbackStreamOptions
   ): Promise<AIFeedback> {
-    const prompt = `You are an expert technical interviewer conducting a mock interview evaluation. Analyze the candidate's answer and provide structured feedback in JSON format.
+    const prompt = `You are ${INTERVIEWER_PERSONAS[category]} conducting a mock interview evaluation. Rate the candidate's answer against the rubric below.
 
 QUESTION (${difficulty} difficulty):
 ${question}
@@ -24,153 +70,96 @@ ${question}
 CANDIDATE'S ANSWER:
 ${userAnswer}
 
+RUBRIC (rate every competency from 1 to 5 using these anchors):
+${describeRubric(category)}
+
+Rules:
+- Pick the level whose descriptor best matches the answer; do not round up for effort.
+- For each competency, quote the exact words from the candidate's answer that justify the level. Copy them verbatim, at least a few words each.
+- If nothing in the answer supports a level above 2, give 2 or lower.
+
 Provide your evaluation as a JSON object with the following structure:
 {
-  "score": <number from 0-10>,
-  "missed_points": [<array of key concepts or details the candidate missed>],
-  "suggestions": [<array of specific actionable suggestions to improve the answer>],
-  "tone_confidence_rating": "<one of: Confident, Somewhat Confident, Nervous, Very Nervous, Professional>",
+  "competencies": [
+    { "competency": "<competency id from the rubric>", "level": <1-5>, "evidence": ["<verbatim quote>"], "rationale": "<one sentence tying the quotes to the level>" }
+  ],
+  "missed_points": [<array of key points the candidate missed>],
+  "suggestions": [<array of specific actionable suggestions to reach the next level>],
+  "tone_confidence_rating": "<one of: Confident and Professional, Confident, Somewhat Confident, Nervous, Very Nervous>",
   "strengths": [<array of things the candidate did well>],
   "improvement_areas": [<array of areas needing improvement>]
-}
+}`;
 
-SCORING CRITERIA:
-- 9-10: Excellent answer with deep understanding, clear explanation, and relevant examples
-- 7-8: Good answer covering main concepts with minor gaps
-- 5-6: Satisfactory answer with significant gaps or unclear explanations
-- 3-4: Poor answer missing key concepts or containing inaccuracies
-- 0-2: Very poor answer showing fundamental misunderstanding
-
-Be constructive, specific, and encouraging in your feedback. Focus on both what was done well and what could be improved.`;
+    const onPartial = stream?.onPartial;
+    let parser = new PartialJsonParser();
+    let lastParse = 0;
 
     try {
-      const response = await this.callOpenRouter(prompt);
-      const cleanedResponse = response.replace(/```json/g, '').replace(/```/g, '').trim();
-      const feedback: AIFeedback = JSON.parse(cleanedResponse);
-
-      if (typeof feedback.score !== 'number' || feedback.score < 0 || feedback.score > 10) {
-        feedback.score = 5;
-      }
+      const { data } = await llmGateway.completeJson(
+        { feature: 'interview-feedback', messages: [{ role: 'user', content: prompt }], temperature: 0.2, maxTokens: 2000 },
+        rubricFeedbackSchema,
+        {
+          stream: stream && {
+            signal: stream.signal,
+            onToken: onPartial && ((delta, text) => {
+              // A repair attempt starts a new reply
+              if (text === delta) parser = new PartialJsonParser();
+              parser.push(delta);
+              const now = Date.now();
+              if (now - lastParse < PARTIAL_PARSE_INTERVAL_MS && !parser.isComplete()) return;
+              lastParse = now;
+              const partial = parser.value<Partial<RubricFeedback>>();
+              if (partial && typeof partial === 'object') onPartial(partial);
+            })
+          }
+        }
+      );
+      const rubric = calibrateAssessment(category, data.competencies, userAnswer);
 
-      return feedback;
+      return {
+        score: rubric.score,
+        missed_points: data.missed_points,
+        suggestions: data.suggestions,
+        tone_confidence_rating: data.tone_confidence_rating,
+        strengths: data.strengths,
+        improvement_areas: data.improvement_areas,
+        rubric
+      };
     } catch (error) {
-      console.error('Error parsing AI feedback:', error);
+      if (isAbortError(error)) throw error;
+      console.error('Error scoring answer against rubric:', error);
       return this.getFallbackFeedback();
     }
   }
 
+  async analyzeTechnicalAnswer(
+    question: string,
+    userAnswer: string,
+    difficulty: string = 'Medium'
+  ): Promise<AIFeedback> {
+    return this.scoreAgainstRubric(question, userAnswer, 'Technical', difficulty);
+  }
+
   async analyzeHRAnswer(
     question: string,
     userAnswer: string
   ): Promise<AIFeedback> {
-    const prompt = `You are an experienced HR interviewer conducting a mock interview evaluation. Analyze the candidate's answer and provide structured feedback in JSON format.
-
-QUESTION:
-${question}
-
-CANDIDATE'S ANSWER:
-${userAnswer}
-
-Provide your evaluation as a JSON object with the following structure:
-{
-  "score": <number from 0-10>,
-  "missed_points": [<array of important points or examples the candidate should have mentioned>],
-  "suggestions": [<array of specific suggestions to improve communication, structure, or content>],
-  "tone_confidence_rating": "<one of: Confident and Professional, Confident, Somewhat Confident, Nervous, Very Nervous>",
-  "strengths": [<array of positive aspects like clarity, examples, enthusiasm, structure>],
-  "improvement_areas": [<array of areas like body language cues detected in text, answer structure, depth, relevance>]
-}
-
-SCORING CRITERIA:
-- 9-10: Outstanding answer with clear structure, relevant examples, and strong communication
-- 7-8: Good answer with solid examples and good communication
-- 5-6: Adequate answer but lacking depth, structure, or specific examples
-- 3-4: Weak answer with vague responses or poor structure
-- 0-2: Very poor answer that doesn't address the question
-
-Evaluate based on:
-- Relevance and directness of the answer
-- Use of specific examples and achievements
-- Structure and clarity of communication
-- Professionalism and enthusiasm
-- Self-awareness and honesty
-
-Be encouraging and provide actionable feedback.`;
-
-    try {
-      const response = await this.callOpenRouter(prompt);
-      const cleanedResponse = response.replace(/```json/g, '').replace(/```/g, '').trim();
-      const feedback: AIFeedback = JSON.parse(cleanedResponse);
-
-      if (typeof feedback.score !== 'number' || feedback.score < 0 || feedback.score > 10) {
-        feedback.score = 5;
-      }
-
-      return feedback;
-    } catch (error) {
-      console.error('Error parsing AI feedback:', error);
-      return this.getFallbackFeedback();
-    }
+    return this.scoreAgainstRubric(question, userAnswer, 'HR');
   }
 
   async analyzeBehavioralAnswer(
     question: string,
     userAnswer: string
   ): Promise<AIFeedback> {
-    const prompt = `You are a behavioral interview expert conducting a mock interview evaluation using the STAR method (Situation, Task, Action, Result). Analyze the candidate's answer and provide structured feedback in JSON format.
-
-QUESTION:
-${question}
-
-CANDIDATE'S ANSWER:
-${userAnswer}
-
-Provide your evaluation as a JSON object with the following structure:
-{
-  "score": <number from 0-10>,
-  "missed_points": [<array of STAR components missing or underdeveloped>],
-  "suggestions": [<array of specific suggestions to improve the STAR structure and impact>],
-  "tone_confidence_rating": "<one of: Confident and Articulate, Confident, Somewhat Confident, Nervous, Very Nervous>",
-  "strengths": [<array of well-presented STAR elements or compelling story aspects>],
-  "improvement_areas": [<array of areas to strengthen the narrative, add metrics, or clarify impact>]
-}
-
-SCORING CRITERIA (STAR Method):
-- 9-10: Complete STAR with clear situation, specific actions, and measurable results
-- 7-8: Good STAR coverage with most elements well-explained
-- 5-6: Partial STAR with missing elements or vague descriptions
-- 3-4: Incomplete STAR or overly generic response
-- 0-2: No clear STAR structure or irrelevant answer
-
-Evaluate specifically for:
-- Situation: Was context clearly established?
-- Task: Was their responsibility/challenge defined?
-- Action: Were specific actions taken described?
-- Result: Were outcomes and impact quantified?
-
-Provide feedback that helps them tell more compelling stories.`;
-
-    try {
-      const response = await this.callOpenRouter(prompt);
-      const cleanedResponse = response.replace(/```json/g, '').replace(/```/g, '').trim();
-      const feedback: AIFeedback = JSON.parse(cleanedResponse);
-
-      if (typeof feedback.score !== 'number' || feedback.score < 0 || feedback.score > 10) {
-        feedback.score = 5;
-      }
-
-      return feedback;
-    } catch (error) {
-      console.error('Error parsing AI feedback:', error);
-      return this.getFallbackFeedback();
-    }
+    return this.scoreAgainstRubric(question, userAnswer, 'Behavioral');
   }
 
   async analyzeAnswer(
     question: string,
     userAnswer: string,
-    category: 'Technical' | 'HR' | 'Behavioral' | 'Coding' | 'Projects' | 'Aptitude',
-    difficulty: string = 'Medium'
+    category: QuestionCategory,
+    difficulty: string = 'Medium',
+    stream?: FeedbackStreamOptions
   ): Promise<AIFeedback> {
     if (!userAnswer || userAnswer.trim().length < 10) {
       return {
@@ -179,22 +168,12 @@ Provide feedback that helps them tell more compelling stories.`;
         suggestions: ['Please provide a more detailed response to the question'],
         tone_confidence_rating: 'Unable to assess',
         strengths: [],
-        improvement_areas: ['Provide more detailed responses']
+        improvement_areas: ['Provide more detailed responses'],
+        rubric: lowestAssessment(category, 'No substantial answer provided')
       };
     }
 
-    switch (category) {
-      case 'Technical':
-      case 'Coding':
-      case 'Projects':
-        return this.analyzeTechnicalAnswer(question, userAnswer, difficulty);
-      case 'Behavioral':
-        return this.analyzeBehavioralAnswer(question, userAnswer);
-      case 'HR':
-      case 'Aptitude':
-      default:
-        return this.analyzeHRAnswer(question, userAnswer);
-    }
+    return this.scoreAgainstRubric(question, userAnswer, category, difficulty, stream);
   }
 
   private getFallbackFeedback(): AIFeedback {
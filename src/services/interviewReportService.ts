@@ -1,5 +1,8 @@
 import { supabase } from '../lib/supabaseClient';
 import { geminiService } from './geminiServiceWrapper';
+import { CompetencyId, RubricAssessment } from '../types/interviewRubric';
+import { COMPETENCIES } from './interviewRubric/rubrics';
+import { levelToScore } from './interviewRubric/rubricScoring';
 
 export interface InterviewReport {
   sessionId: string;
@@ -138,11 +141,24 @@ class InterviewReportService {
       communication: 0
     };
 
-    responses.forEach((response, idx) => {
+    responses.forEach(response => {
       const question = questions.find(q => q.id === response.question_id);
       if (!question) return;
 
-      const score = response.score || 50;
+      // Rubric-scored answers count each competency toward the category it measures
+      const rubric: RubricAssessment | undefined = response.ai_analysis?.rubric;
+      if (rubric) {
+        rubric.ratings.forEach(rating => {
+          const category = this.categoryForCompetency(rating.competency, question.question_type);
+          categoryScores[category] += levelToScore(rating.level) * 10;
+          categoryCounts[category]++;
+        });
+        return;
+      }
+
+      // An answer that was never scored is left out rather than counted as 50
+      if (typeof response.score !== 'number') return;
+      const score = response.score;
 
       if (question.question_type === 'project_specific') {
         categoryScores.projectKnowledge += score;
@@ -181,6 +197,24 @@ class InterviewReportService {
     };
   }
 
+  private categoryForCompetency(
+    competency: CompetencyId,
+    questionType: string
+  ): keyof InterviewReport['categoryScores'] {
+    switch (competency) {
+      case 'code_quality':
+        return 'codingProficiency';
+      case 'technical_depth':
+        return questionType === 'project_specific' ? 'projectKnowledge' : 'problemSolving';
+      case 'communication':
+      case 'star_structure':
+        return 'communication';
+      case 'problem_solving':
+      default:
+        return 'problemSolving';
+    }
+  }
+
   private calculateOverallScore(categoryScores: any): number {
     const scores = Object.values(categoryScores).filter(s => s > 0);
     return scores.length > 0
@@ -276,6 +310,12 @@ Return ONLY the summary text, no additional formatting.
     const analysis = response.ai_analysis || {};
     const parts: string[] = [];
 
+    if (analysis.rubric) {
+      (analysis.rubric as RubricAssessment).ratings.forEach(rating => {
+        parts.push(`${COMPETENCIES[rating.competency].name}: ${rating.level}/5`);
+      });
+    }
+
     if (analysis.clarity) {
       parts.push(`Clarity: ${analysis.clarity}/100`);
     }
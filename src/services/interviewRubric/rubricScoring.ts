@@ -0,0 +1,164 @@
+// src/services/interviewRubric/rubricScoring.ts
+import { QuestionCategory } from '../../types/interview';
+import {
+  CompetencyId,
+  CompetencyRating,
+  CompetencyScore,
+  CompetencyTrendPoint,
+  RubricAssessment,
+  RubricLevel
+} from '../../types/interviewRubric';
+import { RUBRICS, RUBRIC_VERSION } from './rubrics';
+
+// A rating above this level needs at least one quote from the answer to stand
+export const UNSUPPORTED_LEVEL_CAP: RubricLevel = 2;
+// Shorter quotes ("yes", "I think") match almost any answer and prove nothing
+export const MIN_QUOTE_WORDS = 3;
+const MAX_EVIDENCE_PER_RATING = 3;
+
+export interface ProposedRating {
+  competency: string;
+  level: number;
+  evidence?: string[];
+  rationale?: string;
+}
+
+// Case, punctuation, curly quotes and spacing differ between a transcript and a model's quote.
+// Letters, combining marks and digits of any script are kept, so Hindi or accented answers match too.
+const normalizeForQuote = (text: string): string =>
+  text
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[^\p{L}\p{M}\p{N}'\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+export const isQuoteFromTranscript = (quote: string, transcript: string): boolean => {
+  const normalized = normalizeForQuote(quote);
+  if (normalized.split(' ').length < MIN_QUOTE_WORDS) return false;
+  return ` ${normalizeForQuote(transcript)} `.includes(` ${normalized} `);
+};
+
+export const levelToScore = (level: number): number => ((level - 1) / 4) * 10;
+
+const clampLevel = (level: number): RubricLevel =>
+  Math.min(5, Math.max(1, Math.round(Number.isFinite(level) ? level : 1))) as RubricLevel;
+
+const round1 = (value: number): number => Math.round(value * 10) / 10;
+
+const weightOf = (category: QuestionCategory, competency: CompetencyId): number =>
+  RUBRICS[category].competencies.find(entry => entry.id === competency)?.weight ?? 0;
+
+/**
+ * Turns a model's proposed levels into an assessment the report can trust: only the
+ * category's competencies are kept, evidence must appear in the transcript, and a level
+ * above UNSUPPORTED_LEVEL_CAP without any verified quote is capped to it.
+ */
+export const calibrateAssessment = (
+  category: QuestionCategory,
+  proposed: ProposedRating[],
+  transcript: string
+): RubricAssessment => {
+  const ratings: CompetencyRating[] = [];
+
+  RUBRICS[category].competencies.forEach(({ id }) => {
+    const rating = proposed.find(candidate => candidate.competency === id);
+    if (!rating) return;
+
+    const evidence = Array.from(
+      new Set((rating.evidence || []).map(quote => quote.trim()).filter(quote => isQuoteFromTranscript(quote, transcript)))
+    ).slice(0, MAX_EVIDENCE_PER_RATING);
+    const level = clampLevel(rating.level);
+    const capped = level > UNSUPPORTED_LEVEL_CAP && evidence.length === 0;
+
+    ratings.push({
+      competency: id,
+      level: capped ? UNSUPPORTED_LEVEL_CAP : level,
+      evidence,
+      rationale: rating.rationale?.trim() || '',
+      ...(capped ? { proposedLevel: level } : {})
+    });
+  });
+
+  if (ratings.length === 0) {
+    throw new Error(`No ${category} rubric competencies were rated`);
+  }
+
+  return { version: RUBRIC_VERSION, category, ratings, score: scoreRatings(category, ratings) };
+};
+
+// 0-10 from the levels, weighted by the rubric over the competencies that were rated
+export const scoreRatings = (category: QuestionCategory, ratings: CompetencyRating[]): number => {
+  const totalWeight = ratings.reduce((sum, rating) => sum + weightOf(category, rating.competency), 0);
+  if (totalWeight === 0) return 0;
+  const weighted = ratings.reduce(
+    (sum, rating) => sum + weightOf(category, rating.competency) * levelToScore(rating.level),
+    0
+  );
+  return round1(weighted / totalWeight);
+};
+
+// Every competency at level 1, for answers too short to rate
+export const lowestAssessment = (category: QuestionCategory, rationale: string): RubricAssessment => {
+  const ratings: CompetencyRating[] = RUBRICS[category].competencies.map(({ id }) => ({
+    competency: id,
+    level: 1,
+    evidence: [],
+    rationale
+  }));
+  return { version: RUBRIC_VERSION, category, ratings, score: 0 };
+};
+
+/**
+ * One level per competency across a session's answers. Each answer counts by the weight
+ * its rubric gives the competency, so a communication rating on an HR question moves the
+ * result more than one on a coding question.
+ */
+export const aggregateCompetencies = (assessments: RubricAssessment[]): CompetencyScore[] => {
+  const totals = new Map<CompetencyId, { weighted: number; weight: number; answers: number; best?: CompetencyRating }>();
+
+  assessments.forEach(assessment => {
+    assessment.ratings.forEach(rating => {
+      const weight = weightOf(assessment.category, rating.competency) || 1;
+      const total = totals.get(rating.competency) || { weighted: 0, weight: 0, answers: 0 };
+      total.weighted += rating.level * weight;
+      total.weight += weight;
+      total.answers++;
+      if (rating.evidence.length > 0 && (!total.best || rating.level > total.best.level)) {
+        total.best = rating;
+      }
+      totals.set(rating.competency, total);
+    });
+  });
+
+  return Array.from(totals.entries()).map(([competency, total]) => ({
+    competency,
+    level: round1(total.weighted / total.weight),
+    answers: total.answers,
+    evidence: total.best?.evidence[0]
+  }));
+};
+
+/**
+ * Competency levels per session, oldest first, for sessions with at least one rated answer.
+ */
+export const competencyTrends = (
+  sessions: Array<{ sessionId: string; date: string; assessments: RubricAssessment[] }>
+): CompetencyTrendPoint[] =>
+  sessions
+    .filter(session => session.assessments.length > 0)
+    .sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime())
+    .map(session => ({
+      sessionId: session.sessionId,
+      date: session.date,
+      scores: aggregateCompetencies(session.assessments)
+    }));
+
+// Change in a competency's level between the last two sessions that rated it
+export const competencyDelta = (trend: CompetencyTrendPoint[], competency: CompetencyId): number | null => {
+  const levels = trend
+    .map(point => point.scores.find(score => score.competency === competency)?.level)
+    .filter((level): level is number => level !== undefined);
+  return levels.length < 2 ? null : round1(levels[levels.length - 1] - levels[levels.length - 2]);
+};
@@ -0,0 +1,149 @@
+// src/services/interviewRubric/rubrics.ts
+import { QuestionCategory } from '../../types/interview';
+import { Competency, CompetencyId, Rubric, RubricLevel } from '../../types/interviewRubric';
+
+// Bump when a descriptor or weight changes so stored assessments can be told apart
+export const RUBRIC_VERSION = 1;
+
+export const RUBRIC_LEVELS: RubricLevel[] = [1, 2, 3, 4, 5];
+
+export const COMPETENCIES: Record<CompetencyId, Competency> = {
+  problem_solving: {
+    id: 'problem_solving',
+    name: 'Problem Solving',
+    description: 'Breaks the problem down, reasons about approaches and handles constraints and edge cases',
+    levels: {
+      1: 'No workable approach; restates the question or guesses',
+      2: 'Names an approach but cannot carry it through or justify it',
+      3: 'Reaches a workable approach with some prompting; misses edge cases or trade-offs',
+      4: 'Structured approach, compares alternatives and covers the main edge cases',
+      5: 'Optimal approach with clear justification, trade-offs and complexity, anticipates follow-ups'
+    }
+  },
+  technical_depth: {
+    id: 'technical_depth',
+    name: 'Technical Depth',
+    description: 'Understands how and why the technology works, beyond naming it',
+    levels: {
+      1: 'Incorrect or no technical content',
+      2: 'Buzzwords and surface definitions without explanation',
+      3: 'Correct explanation of the main concepts with gaps under probing',
+      4: 'Explains internals and trade-offs and ties them to concrete experience',
+      5: 'Expert command: precise internals, limits, alternatives and when each applies'
+    }
+  },
+  communication: {
+    id: 'communication',
+    name: 'Communication',
+    description: 'Answers the question asked, clearly and in a logical order',
+    levels: {
+      1: 'Off-topic or incoherent',
+      2: 'Rambling or hard to follow; the point is buried',
+      3: 'Understandable and on-topic, but loosely ordered or padded',
+      4: 'Clear, direct and well ordered with relevant detail',
+      5: 'Concise and compelling; adapts detail to the listener and leads with the point'
+    }
+  },
+  star_structure: {
+    id: 'star_structure',
+    name: 'STAR Structure',
+    description: 'Grounds the answer in a specific Situation, Task, Action and Result',
+    levels: {
+      1: 'Hypothetical or generic; no real example',
+      2: 'Mentions an example but skips most of Situation, Task, Action and Result',
+      3: 'All four parts present; actions are team-level or the result is vague',
+      4: 'Specific situation, personal actions and a clear result',
+      5: 'Complete, specific story with quantified impact and what was learned'
+    }
+  },
+  code_quality: {
+    id: 'code_quality',
+    name: 'Code Quality',
+    description: 'Writes correct, readable code and can explain it',
+    levels: {
+      1: 'No working code or cannot explain it',
+      2: 'Partially working code; unclear structure or naming',
+      3: 'Working code for the main case; readability or edge cases need work',
+      4: 'Correct, readable code that handles edge cases, with stated complexity',
+      5: 'Clean, idiomatic and efficient code with tests or reasoning about correctness'
+    }
+  }
+};
+
+// Which competencies each question category is scored on, and how much each counts
+export const RUBRICS: Record<QuestionCategory, Rubric> = {
+  Technical: {
+    category: 'Technical',
+    competencies: [
+      { id: 'technical_depth', weight: 0.45 },
+      { id: 'problem_solving', weight: 0.3 },
+      { id: 'communication', weight: 0.25 }
+    ]
+  },
+  Coding: {
+    category: 'Coding',
+    competencies: [
+      { id: 'problem_solving', weight: 0.4 },
+      { id: 'code_quality', weight: 0.35 },
+      { id: 'communication', weight: 0.25 }
+    ]
+  },
+  Projects: {
+    category: 'Projects',
+    competencies: [
+      { id: 'technical_depth', weight: 0.4 },
+      { id: 'problem_solving', weight: 0.3 },
+      { id: 'communication', weight: 0.3 }
+    ]
+  },
+  Behavioral: {
+    category: 'Behavioral',
+    competencies: [
+      { id: 'star_structure', weight: 0.5 },
+      { id: 'communication', weight: 0.3 },
+      { id: 'problem_solving', weight: 0.2 }
+    ]
+  },
+  HR: {
+    category: 'HR',
+    competencies: [
+      { id: 'communication', weight: 0.6 },
+      { id: 'star_structure', weight: 0.4 }
+    ]
+  },
+  Aptitude: {
+    category: 'Aptitude',
+    competencies: [
+      { id: 'problem_solving', weight: 0.7 },
+      { id: 'communication', weight: 0.3 }
+    ]
+  }
+};
+
+// Question types used by the adaptive and realistic interview flows
+const QUESTION_TYPE_CATEGORIES: Record<string, QuestionCategory> = {
+  project_specific: 'Projects',
+  project: 'Projects',
+  coding: 'Coding',
+  technical: 'Technical',
+  behavioral: 'Behavioral',
+  hr: 'HR',
+  introduction: 'HR',
+  aptitude: 'Aptitude'
+};
+
+export const rubricCategoryFor = (questionType: string): QuestionCategory =>
+  QUESTION_TYPE_CATEGORIES[questionType.toLowerCase()] || 'Technical';
+
+/**
+ * The rubric as prompt text: every competency the category is scored on with its
+ * anchored level descriptors.
+ */
+export const describeRubric = (category: QuestionCategory): string =>
+  RUBRICS[category].competencies
+    .map(({ id }) => {
+      const competency = COMPETENCIES[id];
+      const levels = RUBRIC_LEVELS.map(level => `  ${level}: ${competency.levels[level]}`).join('\n');
+      return `${competency.id} (${competency.name}): ${competency.description}\n${levels}`;
+    })
+    .join('\n\n');
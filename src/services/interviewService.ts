@@ -10,6 +10,8 @@ import {
   AIFeedback
 } from '../types/interview';
 import { UserResume } from '../types/resumeInterview';
+import { CompetencyTrendPoint, RubricAssessment } from '../types/interviewRubric';
+import { competencyTrends } from './interviewRubric/rubricScoring';
 
 export class InterviewService {
   async getQuestionsByCategory(
@@ -287,6 +289,37 @@ export class InterviewService {
     return data || [];
   }
 
+  /**
+   * Competency levels from the rubric-scored answers of the user's recent completed
+   * sessions, oldest first. Sessions scored before rubrics existed are left out.
+   */
+  async getCompetencyHistory(userId: string, limit: number = 10): Promise<CompetencyTrendPoint[]> {
+    const sessions = (await this.getUserSessions(userId, limit)).filter(session => session.status === 'completed');
+    if (sessions.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('interview_responses')
+      .select('session_id, ai_feedback_json')
+      .in('session_id', sessions.map(session => session.id));
+
+    if (error) {
+      console.error('Error fetching competency history:', error);
+      throw new Error(`Failed to fetch competency history: ${error.message}`);
+    }
+
+    const rows = (data || []) as Array<Pick<InterviewResponse, 'session_id' | 'ai_feedback_json'>>;
+    return competencyTrends(
+      sessions.map(session => ({
+        sessionId: session.id,
+        date: session.completed_at || session.started_at,
+        assessments: rows
+          .filter(row => row.session_id === session.id)
+          .map(row => row.ai_feedback_json?.rubric)
+          .filter((rubric): rubric is RubricAssessment => Boolean(rubric))
+      }))
+    );
+  }
+
   async calculateOverallScore(sessionId: string): Promise<number> {
     const responses = await this.getSessionResponses(sessionId);
 
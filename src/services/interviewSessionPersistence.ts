@@ -1,4 +1,6 @@
 import { supabase } from '../lib/supabaseClient';
+import { SyncedSessionDetails, SyncedSessionSummary } from '../types/sessionSync';
+import { SESSION_TTL_MS, sessionSyncService } from './sessionSyncService';
 
 export interface InterviewSessionState {
   sessionId: string;
@@ -18,92 +20,93 @@ export interface InterviewSessionState {
 
 const SESSION_STORAGE_KEY = 'interview_session_state';
 const AUTO_SAVE_INTERVAL = 30000;
+const MAX_SESSION_AGE_HOURS = 24;
+
+const describeState = (state: InterviewSessionState): SyncedSessionDetails => ({
+  title: `${state.interviewType.charAt(0).toUpperCase()}${state.interviewType.slice(1)} interview`,
+  progressLabel: `Question ${state.currentQuestionIndex + 1} of ${state.totalQuestions}`,
+  progress: state.totalQuestions > 0 ? Math.round((state.currentQuestionIndex / state.totalQuestions) * 100) : 0,
+  subtype: state.interviewType,
+  secondsRemaining: state.timeRemaining
+});
+
+/**
+ * Two devices saved the same interview: keep whichever got further, and the
+ * later save when they are level
+ */
+export const mergeInterviewStates = (a: InterviewSessionState, b: InterviewSessionState): InterviewSessionState => {
+  const progress = (state: InterviewSessionState) => state.currentQuestionIndex * 1000 + state.questionsAnswered + state.questionsSkipped;
+  if (progress(a) !== progress(b)) {
+    return progress(a) > progress(b) ? a : b;
+  }
+  return new Date(a.lastSaved) >= new Date(b.lastSaved) ? a : b;
+};
 
 class InterviewSessionPersistenceService {
   private autoSaveTimer: NodeJS.Timeout | null = null;
 
-  async saveSessionState(state: InterviewSessionState): Promise<void> {
-    try {
-      localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
-        ...state,
-        lastSaved: new Date().toISOString()
-      }));
-
-      const { error } = await supabase
-        .from('interview_session_backups')
-        .upsert({
-          session_id: state.sessionId,
-          user_id: state.userId,
-          current_question_index: state.currentQuestionIndex,
-          total_questions: state.totalQuestions,
-          time_remaining: state.timeRemaining,
-          current_transcript: state.currentTranscript,
-          text_answer: state.textAnswer,
-          code_answer: state.codeAnswer,
-          selected_language: state.selectedLanguage,
-          questions_answered: state.questionsAnswered,
-          questions_skipped: state.questionsSkipped,
-          interview_type: state.interviewType,
-          last_saved: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        }, {
-          onConflict: 'session_id'
-        });
+  /**
+   * Save locally and, encrypted, to the user's synced sessions so the
+   * interview can be resumed on another device. Returns the state that won
+   * if another device had moved further.
+   */
+  async saveSessionState(state: InterviewSessionState): Promise<InterviewSessionState> {
+    const savedState = { ...state, lastSaved: new Date().toISOString() };
 
-      if (error) {
-        console.error('Error saving session to database:', error);
-      }
+    try {
+      localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(savedState));
     } catch (error) {
       console.error('Error saving session state:', error);
     }
+
+    const result = await sessionSyncService.push('interview', state.userId, state.sessionId, savedState, {
+      details: describeState(savedState),
+      merge: mergeInterviewStates
+    });
+
+    if (result.status === 'failed') {
+      console.error('Error saving session to database:', result.error);
+    } else if (result.payload !== savedState) {
+      localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(result.payload));
+    }
+    return result.payload;
   }
 
-  async loadSessionState(sessionId: string): Promise<InterviewSessionState | null> {
+  async loadSessionState(sessionId: string, userId?: string): Promise<InterviewSessionState | null> {
     try {
       const localState = localStorage.getItem(SESSION_STORAGE_KEY);
-
-      if (localState) {
-        const parsedState = JSON.parse(localState) as InterviewSessionState;
-        if (parsedState.sessionId === sessionId) {
-          return parsedState;
-        }
+      const parsedState = localState ? JSON.parse(localState) as InterviewSessionState : null;
+      const local = parsedState?.sessionId === sessionId ? parsedState : null;
+      const owner = userId || local?.userId;
+
+      const synced = owner
+        ? await sessionSyncService.pull<InterviewSessionState>(owner, 'interview', sessionId)
+        : null;
+      if (synced) {
+        return local ? mergeInterviewStates(local, synced.payload) : synced.payload;
       }
-
-      const { data, error } = await supabase
-        .from('interview_session_backups')
-        .select('*')
-        .eq('session_id', sessionId)
-        .single();
-
-      if (error || !data) {
-        return null;
+      if (local) {
+        return local;
       }
 
-      return {
-        sessionId: data.session_id,
-        userId: data.user_id,
-        currentQuestionIndex: data.current_question_index,
-        totalQuestions: data.total_questions,
-        timeRemaining: data.time_remaining,
-        currentTranscript: data.current_transcript || '',
-        textAnswer: data.text_answer || '',
-        codeAnswer: data.code_answer || '',
-        selectedLanguage: data.selected_language || 'Python',
-        questionsAnswered: data.questions_answered || 0,
-        questionsSkipped: data.questions_skipped || 0,
-        lastSaved: data.last_saved,
-        interviewType: data.interview_type
-      };
+      return await this.loadLegacyBackup(sessionId);
     } catch (error) {
       console.error('Error loading session state:', error);
       return null;
     }
   }
 
-  async clearSessionState(sessionId: string): Promise<void> {
+  async clearSessionState(sessionId: string, userId?: string): Promise<void> {
     try {
+      const localState = localStorage.getItem(SESSION_STORAGE_KEY);
+      const owner = userId || (localState ? (JSON.parse(localState) as InterviewSessionState).userId : undefined);
       localStorage.removeItem(SESSION_STORAGE_KEY);
 
+      if (owner) {
+        await sessionSyncService.remove(owner, 'interview', sessionId);
+      }
+
+      // Backups written before sessions were synced
       await supabase
         .from('interview_session_backups')
         .delete()
@@ -129,52 +132,89 @@ class InterviewSessionPersistenceService {
     }
   }
 
-  async checkForRecoverableSession(
+  /**
+   * Interrupted interviews of one type from every device, most recent first.
+   * A session only saved on this device (e.g. while offline) is included.
+   */
+  async listRecoverableSessions(
     userId: string,
     interviewType: 'realistic' | 'smart' | 'adaptive'
-  ): Promise<InterviewSessionState | null> {
+  ): Promise<SyncedSessionSummary[]> {
+    const synced = (await sessionSyncService.listSessions(userId, 'interview'))
+      .filter(session => session.details.subtype === interviewType);
+
     try {
-      const { data, error } = await supabase
-        .from('interview_session_backups')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('interview_type', interviewType)
-        .order('last_saved', { ascending: false })
-        .limit(1)
-        .single();
-
-      if (error || !data) {
-        return null;
+      const localState = localStorage.getItem(SESSION_STORAGE_KEY);
+      const local = localState ? JSON.parse(localState) as InterviewSessionState : null;
+      const isFresh = local && (Date.now() - new Date(local.lastSaved).getTime()) / (1000 * 60 * 60) <= MAX_SESSION_AGE_HOURS;
+
+      if (local && isFresh && local.userId === userId && local.interviewType === interviewType
+        && !synced.some(session => session.sessionId === local.sessionId)) {
+        synced.push({
+          sessionId: local.sessionId,
+          kind: 'interview',
+          deviceId: sessionSyncService.getDeviceId(),
+          deviceLabel: sessionSyncService.getDeviceLabel(),
+          isCurrentDevice: true,
+          revision: 0,
+          details: describeState(local),
+          updatedAt: new Date(local.lastSaved),
+          expiresAt: new Date(new Date(local.lastSaved).getTime() + SESSION_TTL_MS)
+        });
       }
+    } catch (error) {
+      console.error('Error reading local session state:', error);
+    }
 
-      const lastSaved = new Date(data.last_saved);
-      const now = new Date();
-      const hoursDiff = (now.getTime() - lastSaved.getTime()) / (1000 * 60 * 60);
+    return synced.sort((a, b) => b.updatedAt.getTime() - a.updatedAt.getTime());
+  }
 
-      if (hoursDiff > 24) {
-        await this.clearSessionState(data.session_id);
-        return null;
-      }
+  /**
+   * The most recent interrupted interview of a type, from any device
+   */
+  async checkForRecoverableSession(
+    userId: string,
+    interviewType: 'realistic' | 'smart' | 'adaptive'
+  ): Promise<InterviewSessionState | null> {
+    const [latest] = await this.listRecoverableSessions(userId, interviewType);
+    return latest ? this.loadSessionState(latest.sessionId, userId) : null;
+  }
 
-      return {
-        sessionId: data.session_id,
-        userId: data.user_id,
-        currentQuestionIndex: data.current_question_index,
-        totalQuestions: data.total_questions,
-        timeRemaining: data.time_remaining,
-        currentTranscript: data.current_transcript || '',
-        textAnswer: data.text_answer || '',
-        codeAnswer: data.code_answer || '',
-        selectedLanguage: data.selected_language || 'Python',
-        questionsAnswered: data.questions_answered || 0,
-        questionsSkipped: data.questions_skipped || 0,
-        lastSaved: data.last_saved,
-        interviewType: data.interview_type
-      };
-    } catch (error) {
-      console.error('Error checking for recoverable session:', error);
+  // ============================================================================
+  // PRIVATE METHODS
+  // ============================================================================
+
+  private async loadLegacyBackup(sessionId: string): Promise<InterviewSessionState | null> {
+    const { data, error } = await supabase
+      .from('interview_session_backups')
+      .select('*')
+      .eq('session_id', sessionId)
+      .single();
+
+    if (error || !data) {
       return null;
     }
+
+    const hoursDiff = (Date.now() - new Date(data.last_saved).getTime()) / (1000 * 60 * 60);
+    if (hoursDiff > MAX_SESSION_AGE_HOURS) {
+      return null;
+    }
+
+    return {
+      sessionId: data.session_id,
+      userId: data.user_id,
+      currentQuestionIndex: data.current_question_index,
+      totalQuestions: data.total_questions,
+      timeRemaining: data.time_remaining,
+      currentTranscript: data.current_transcript || '',
+      textAnswer: data.text_answer || '',
+      codeAnswer: data.code_answer || '',
+      selectedLanguage: data.selected_language || 'Python',
+      questionsAnswered: data.questions_answered || 0,
+      questionsSkipped: data.questions_skipped || 0,
+      lastSaved: data.last_saved,
+      interviewType: data.interview_type
+    };
   }
 }
 
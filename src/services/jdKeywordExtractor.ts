@@ -1,3 +1,8 @@
+import { SeniorityLevel, SupportedLanguage } from '../types/language';
+import { canonicalSkillName } from '../constants/skillsTaxonomy';
+import { skillTaxonomyRegistry } from './skillTaxonomy/skillTaxonomyRegistry';
+import { LanguageDetectionService } from './languageDetectionService';
+
 export interface ExtractedKeyword {
   keyword: string;
   category: 'technical_skill' | 'framework' | 'tool' | 'domain' | 'methodology' | 'soft_skill';
@@ -16,7 +21,8 @@ export interface JDAnalysisResult {
   architectureTerms: string[];
   allKeywords: ExtractedKeyword[];
   requiredSkillsCount: number;
-  seniority: 'intern' | 'junior' | 'mid' | 'senior' | 'lead';
+  seniority: SeniorityLevel;
+  language?: SupportedLanguage;
 }
 
 export class JDKeywordExtractor {
@@ -163,10 +169,12 @@ export class JDKeywordExtractor {
   static determineImportance(
     keyword: string,
     frequency: number,
-    jdText: string
+    jdText: string,
+    language: SupportedLanguage = 'en'
   ): ExtractedKeyword['importance'] {
     const jdLower = jdText.toLowerCase();
     const keywordLower = keyword.toLowerCase();
+    const { requirementMarkers } = LanguageDetectionService.getResources(language);
 
     const criticalPatterns = [
       /(?:required|must have|essential|critical|mandatory)[\s\S]{0,100}/i,
@@ -197,6 +205,13 @@ export class JDKeywordExtractor {
           return 'high';
         }
       }
+
+      if (LanguageDetectionService.countTerms(context, requirementMarkers.critical) > 0) {
+        return 'critical';
+      }
+      if (LanguageDetectionService.countTerms(context, requirementMarkers.preferred) > 0) {
+        return 'high';
+      }
     }
 
     if (frequency >= 5) return 'critical';
@@ -205,26 +220,28 @@ export class JDKeywordExtractor {
     return 'low';
   }
 
-  static determineSeniority(jdText: string): JDAnalysisResult['seniority'] {
+  static determineSeniority(jdText: string, language?: SupportedLanguage): JDAnalysisResult['seniority'] {
     const jdLower = jdText.toLowerCase();
+    const { seniorityTerms } = LanguageDetectionService.getResources(LanguageDetectionService.resolve(jdText, language));
+    const mentions = (level: SeniorityLevel) => LanguageDetectionService.countTerms(jdText, seniorityTerms[level] || []) > 0;
 
-    if (/\b(senior|lead|principal|staff|architect)\b/i.test(jdLower)) {
+    if (/\b(senior|lead|principal|staff|architect)\b/i.test(jdLower) || mentions('senior')) {
       return 'senior';
     }
 
-    if (/\b(mid[\s-]?level|intermediate|3[\s-]5\s+years?)\b/i.test(jdLower)) {
+    if (/\b(mid[\s-]?level|intermediate|3[\s-]5\s+years?)\b/i.test(jdLower) || mentions('mid')) {
       return 'mid';
     }
 
-    if (/\b(junior|entry[\s-]?level|1[\s-]2\s+years?|graduate)\b/i.test(jdLower)) {
+    if (/\b(junior|entry[\s-]?level|1[\s-]2\s+years?|graduate)\b/i.test(jdLower) || mentions('junior')) {
       return 'junior';
     }
 
-    if (/\b(intern|internship|co[\s-]?op|trainee)\b/i.test(jdLower)) {
+    if (/\b(intern|internship|co[\s-]?op|trainee)\b/i.test(jdLower) || mentions('intern')) {
       return 'intern';
     }
 
-    if (/\b(director|vp|cto|head of|10\+\s+years?)\b/i.test(jdLower)) {
+    if (/\b(director|vp|cto|head of|10\+\s+years?)\b/i.test(jdLower) || mentions('lead')) {
       return 'lead';
     }
 
@@ -246,9 +263,10 @@ export class JDKeywordExtractor {
     return contexts;
   }
 
-  static analyzeJobDescription(jdText: string): JDAnalysisResult {
+  static analyzeJobDescription(jdText: string, language?: SupportedLanguage): JDAnalysisResult {
     const jobTitle = this.extractJobTitle(jdText);
-    const jdLower = jdText.toLowerCase();
+    const jdLanguage = LanguageDetectionService.resolve(jdText, language);
+    const jdLower = this.toEnglishSkillTerms(jdText.toLowerCase(), jdLanguage);
     const allKeywords: ExtractedKeyword[] = [];
 
     const extractKeywordsByPattern = (
@@ -269,7 +287,7 @@ export class JDKeywordExtractor {
             found.push(capitalized);
 
             const frequency = matches.length;
-            const importance = this.determineImportance(capitalized, frequency, jdText);
+            const importance = this.determineImportance(capitalized, frequency, jdText, jdLanguage);
             const context = this.extractContextForKeyword(jdText, normalized);
 
             allKeywords.push({
@@ -294,7 +312,7 @@ export class JDKeywordExtractor {
     const domainKeywords = extractKeywordsByPattern(this.DOMAIN_KEYWORDS, 'domain');
 
     const criticalKeywords = allKeywords.filter(k => k.importance === 'critical');
-    const topSkillsWithFrequency = this.extractTopSkills(jdText, 10);
+    const topSkillsWithFrequency = this.extractTopSkills(jdLower, 10);
 
     const finalTopSkills = [
       ...new Set([
@@ -303,7 +321,7 @@ export class JDKeywordExtractor {
       ])
     ].slice(0, 10);
 
-    const seniority = this.determineSeniority(jdText);
+    const seniority = this.determineSeniority(jdText, jdLanguage);
 
     return {
       jobTitle,
@@ -319,7 +337,8 @@ export class JDKeywordExtractor {
         return importanceOrder[a.importance] - importanceOrder[b.importance];
       }),
       requiredSkillsCount: allKeywords.filter(k => k.importance === 'critical').length,
-      seniority
+      seniority,
+      language: jdLanguage
     };
   }
 
@@ -387,6 +406,15 @@ export class JDKeywordExtractor {
     }
   }
 
+  // "Maschinelles Lernen" → "machine learning", so the English skill lists match
+  private static toEnglishSkillTerms(jdLower: string, language: SupportedLanguage): string {
+    if (language === 'en') return jdLower;
+    const pattern = LanguageDetectionService.termPattern(skillTaxonomyRegistry.localizedTerms());
+    return pattern
+      ? LanguageDetectionService.foldText(jdLower).replace(pattern, match => canonicalSkillName(match))
+      : jdLower;
+  }
+
   private static capitalizeSkill(skill: string): string {
     const specialCases: { [key: string]: string } = {
       'javascript': 'JavaScript',
@@ -1,9 +1,10 @@
 // src/services/jdSummarizerService.ts
 // JD Summarization Service using EdenAI (OpenAI gpt-4o-mini)
 
-// Use environment variable - DO NOT hard-code
-const EDENAI_API_KEY = import.meta.env.VITE_EDENAI_API_KEY || '';
-const EDENAI_SUMMARIZE_URL = 'https://api.edenai.run/v2/text/summarize';
+import { edenFetch } from '../utils/workerClient';
+
+// Called through the worker, which holds the EdenAI key
+const EDENAI_SUMMARIZE_PATH = 'text/summarize';
 
 export interface JdSummary {
   summary: string;
@@ -18,21 +19,15 @@ export interface JdSummary {
  * Returns a 2-4 sentence summary focused on responsibilities, core skills, and domain
  */
 export const summarizeJd = async (jobDescription: string): Promise<string> => {
-  if (!EDENAI_API_KEY) {
-    console.warn('EdenAI API key not configured. Skipping JD summarization.');
-    return '';
-  }
-
   if (!jobDescription || jobDescription.trim().length < 50) {
     console.warn('Job description too short for summarization.');
     return '';
   }
 
   try {
-    const response = await fetch(EDENAI_SUMMARIZE_URL, {
+    const response = await edenFetch(EDENAI_SUMMARIZE_PATH, {
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${EDENAI_API_KEY}`,
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
@@ -0,0 +1,267 @@
+// src/services/jobFitMatrixService.ts
+import { ResumeData } from '../types/resume';
+import { JobListing } from '../types/jobs';
+import {
+  JobFitMatrix,
+  JobFitOptions,
+  JobFitRow,
+  JobFitTarget,
+  KeywordImportance,
+  KeywordMatrixRow,
+  SuggestedKeywordEdit
+} from '../types/jobFit';
+import { jdKeywordExtractor, ExtractedKeyword } from './jdKeywordExtractor';
+import { hybridMatcher } from './hybridMatcher';
+import { GapAnalyzerService } from './gapAnalyzerService';
+import { runWithConcurrency } from '../utils/concurrency';
+
+export interface JobFitResume {
+  text: string;
+  data?: ResumeData;
+}
+
+const IMPORTANCE_WEIGHT: Record<KeywordImportance, number> = { critical: 4, high: 3, medium: 2, low: 1 };
+const IMPORTANCE_ORDER: KeywordImportance[] = ['critical', 'high', 'medium', 'low'];
+
+const DEFAULT_TARGET_COVERAGE = 0.85;
+const DEFAULT_MAX_EDITS = 8;
+const DEFAULT_CONCURRENCY = 2;
+const TOP_IMPROVEMENTS = 3;
+
+const DEFAULT_PLACEMENT: Record<ExtractedKeyword['category'], string> = {
+  technical_skill: 'Skills section and one experience or project bullet',
+  framework: 'Skills section and one experience or project bullet',
+  tool: 'Skills section and one experience or project bullet',
+  methodology: 'an experience bullet that shows it in use',
+  domain: 'summary and an experience bullet',
+  soft_skill: 'summary'
+};
+
+const keyOf = (keyword: string) => keyword.toLowerCase();
+
+const round = (value: number, digits: number = 3) => Number(value.toFixed(digits));
+
+/**
+ * Job-Fit Matrix Service
+ * The reverse of single scoring: one resume against several job descriptions.
+ * Each JD gets an overall fit score (gap analyzer), requirement coverage
+ * (hybrid matcher) and keyword coverage (JD keyword extractor run over both
+ * the JD and the resume), and the keyword gaps across all JDs are folded
+ * into the fewest keyword edits that lift the average coverage to a target.
+ */
+class JobFitMatrixService {
+  fromJobListing(job: JobListing): JobFitTarget {
+    return {
+      id: job.id,
+      title: job.role_title,
+      company: job.company_name,
+      description: job.full_description || job.description || job.short_description,
+      source: 'job-listing'
+    };
+  }
+
+  async buildMatrix(resume: JobFitResume, targets: JobFitTarget[], options: JobFitOptions = {}): Promise<JobFitMatrix> {
+    if (!resume.text.trim()) {
+      throw new Error('Resume text is required for the job-fit matrix');
+    }
+    const usableTargets = targets.filter(target => target.description.trim().length > 0);
+    if (usableTargets.length === 0) {
+      throw new Error('Add at least one job description to compare against');
+    }
+
+    console.log(`🧭 Building job-fit matrix for ${usableTargets.length} job descriptions`);
+
+    const resumeKeywords = new Set(
+      jdKeywordExtractor.analyzeJobDescription(resume.text).allKeywords.map(keyword => keyOf(keyword.keyword))
+    );
+    const jdKeywords = new Map(usableTargets.map(target => [
+      target.id,
+      jdKeywordExtractor.analyzeJobDescription(target.description).allKeywords
+    ]));
+    const keywords = this.buildKeywordMatrix(usableTargets, jdKeywords, resumeKeywords);
+
+    let completed = 0;
+    const placements = new Map<string, string>();
+    const rows = await runWithConcurrency(usableTargets, options.concurrency ?? DEFAULT_CONCURRENCY, async target => {
+      const row = await this.evaluateTarget(resume, target, keywords, placements);
+      completed += 1;
+      options.onProgress?.(completed, usableTargets.length);
+      return row;
+    });
+
+    const targetIds = usableTargets.map(target => target.id);
+    const averageKeywordCoverage = round(rows.reduce((sum, row) => sum + row.keywordCoverage, 0) / rows.length);
+    const suggestedEdits = this.suggestEdits(keywords, targetIds, {
+      targetCoverage: options.targetCoverage ?? DEFAULT_TARGET_COVERAGE,
+      maxEdits: options.maxEdits ?? DEFAULT_MAX_EDITS,
+      placements
+    });
+    const scored = rows.filter(row => !row.error);
+
+    const uniqueMissingKeywords: Record<string, string[]> = Object.fromEntries(targetIds.map(id => [id, [] as string[]]));
+    keywords
+      .filter(row => row.missingIn.length === 1)
+      .forEach(row => uniqueMissingKeywords[row.missingIn[0]].push(row.keyword));
+
+    return {
+      rows,
+      keywords,
+      sharedMissingKeywords: keywords.filter(row => row.missingIn.length > 1).map(row => row.keyword),
+      uniqueMissingKeywords,
+      suggestedEdits,
+      averageFitScore: scored.length > 0 ? Math.round(scored.reduce((sum, row) => sum + row.fitScore, 0) / scored.length) : 0,
+      averageKeywordCoverage,
+      projectedKeywordCoverage: round(Math.min(1, averageKeywordCoverage + suggestedEdits.reduce((sum, edit) => sum + edit.averageCoverageGain, 0)))
+    };
+  }
+
+  /**
+   * One row per keyword any JD asks for, most widely missing first
+   */
+  buildKeywordMatrix(
+    targets: JobFitTarget[],
+    jdKeywords: Map<string, ExtractedKeyword[]>,
+    resumeKeywords: Set<string>
+  ): KeywordMatrixRow[] {
+    const rows = new Map<string, KeywordMatrixRow>();
+
+    targets.forEach(target => {
+      (jdKeywords.get(target.id) || []).forEach(extracted => {
+        const key = keyOf(extracted.keyword);
+        let row = rows.get(key);
+        if (!row) {
+          row = {
+            keyword: extracted.keyword,
+            category: extracted.category,
+            importance: extracted.importance,
+            importanceByTarget: {},
+            cells: Object.fromEntries(targets.map(t => [t.id, 'not-required' as const])),
+            missingIn: []
+          };
+          rows.set(key, row);
+        }
+
+        row.importanceByTarget[target.id] = extracted.importance;
+        if (IMPORTANCE_ORDER.indexOf(extracted.importance) < IMPORTANCE_ORDER.indexOf(row.importance)) {
+          row.importance = extracted.importance;
+        }
+        if (resumeKeywords.has(key)) {
+          row.cells[target.id] = 'present';
+        } else {
+          row.cells[target.id] = 'missing';
+          row.missingIn.push(target.id);
+        }
+      });
+    });
+
+    return Array.from(rows.values()).sort((a, b) =>
+      b.missingIn.length - a.missingIn.length ||
+      IMPORTANCE_ORDER.indexOf(a.importance) - IMPORTANCE_ORDER.indexOf(b.importance) ||
+      a.keyword.localeCompare(b.keyword)
+    );
+  }
+
+  /**
+   * Importance-weighted share of a JD's keywords the resume already has.
+   * A JD with no recognised keywords counts as fully covered.
+   */
+  keywordCoverage(keywords: KeywordMatrixRow[], targetId: string): number {
+    let total = 0;
+    let present = 0;
+    keywords.forEach(row => {
+      const importance = row.importanceByTarget[targetId];
+      if (!importance) return;
+      total += IMPORTANCE_WEIGHT[importance];
+      if (row.cells[targetId] === 'present') present += IMPORTANCE_WEIGHT[importance];
+    });
+    return total > 0 ? round(present / total) : 1;
+  }
+
+  /**
+   * Pick the fewest missing keywords that lift the average keyword coverage
+   * to `targetCoverage`. Each keyword's gain is fixed (the weight it carries
+   * in every JD it is missing from, averaged over all JDs) and gains simply
+   * add up, so taking the largest gains first is the smallest such set.
+   */
+  suggestEdits(
+    keywords: KeywordMatrixRow[],
+    targetIds: string[],
+    options: { targetCoverage: number; maxEdits: number; placements?: Map<string, string> }
+  ): SuggestedKeywordEdit[] {
+    const totals = new Map(targetIds.map(id => [id, 0]));
+    keywords.forEach(row => {
+      Object.entries(row.importanceByTarget).forEach(([id, importance]) => {
+        totals.set(id, (totals.get(id) || 0) + IMPORTANCE_WEIGHT[importance]);
+      });
+    });
+
+    const candidates: SuggestedKeywordEdit[] = keywords
+      .filter(row => row.missingIn.length > 0)
+      .map(row => ({
+        keyword: row.keyword,
+        placement: options.placements?.get(keyOf(row.keyword)) || DEFAULT_PLACEMENT[row.category],
+        targetIds: row.missingIn,
+        averageCoverageGain: row.missingIn.reduce(
+          (sum, id) => sum + IMPORTANCE_WEIGHT[row.importanceByTarget[id]] / (totals.get(id) || 1),
+          0
+        ) / targetIds.length
+      }))
+      .sort((a, b) => b.averageCoverageGain - a.averageCoverageGain || a.keyword.localeCompare(b.keyword));
+
+    let coverage = targetIds.reduce((sum, id) => sum + this.keywordCoverage(keywords, id), 0) / targetIds.length;
+    const edits: SuggestedKeywordEdit[] = [];
+    for (const candidate of candidates) {
+      if (coverage >= options.targetCoverage || edits.length >= options.maxEdits) break;
+      edits.push({ ...candidate, averageCoverageGain: round(candidate.averageCoverageGain) });
+      coverage += candidate.averageCoverageGain;
+    }
+
+    return edits;
+  }
+
+  private async evaluateTarget(
+    resume: JobFitResume,
+    target: JobFitTarget,
+    keywords: KeywordMatrixRow[],
+    placements: Map<string, string>
+  ): Promise<JobFitRow> {
+    const row: JobFitRow = {
+      targetId: target.id,
+      title: target.title,
+      company: target.company,
+      fitScore: 0,
+      matchBand: null,
+      requirementCoverage: 0,
+      keywordCoverage: this.keywordCoverage(keywords, target.id),
+      criticalGaps: [],
+      missingKeywords: keywords.filter(k => k.cells[target.id] === 'missing').map(k => k.keyword),
+      topImprovements: []
+    };
+
+    try {
+      const matching = await hybridMatcher.matchJDToResume(target.description, resume.text);
+      const { criticalGaps } = hybridMatcher.identifySkillGaps(matching);
+      const gapAnalysis = await GapAnalyzerService.analyzeGaps(resume.data, resume.text, target.description);
+
+      gapAnalysis.missingKeywords.forEach(missing => {
+        if (missing.suggestedPlacement && !placements.has(keyOf(missing.keyword))) {
+          placements.set(keyOf(missing.keyword), missing.suggestedPlacement);
+        }
+      });
+
+      return {
+        ...row,
+        fitScore: gapAnalysis.beforeScore.overall,
+        matchBand: gapAnalysis.beforeScore.match_band,
+        requirementCoverage: round(Number.isFinite(matching.overallCoverage) ? matching.overallCoverage : 0),
+        criticalGaps: criticalGaps.map(gap => gap.text),
+        topImprovements: gapAnalysis.prioritizedImprovements.slice(0, TOP_IMPROVEMENTS).map(improvement => improvement.recommendation)
+      };
+    } catch (error) {
+      console.warn(`⚠️ Job-fit scoring failed for "${target.title}":`, error);
+      return { ...row, error: error instanceof Error ? error.message : 'Scoring failed' };
+    }
+  }
+}
+
+export const jobFitMatrixService = new JobFitMatrixService();
@@ -513,11 +513,6 @@ async getJobListings(filters: JobFilters = {}, limit = 20, offset = 0): Promise<
       // Dynamically import deepseek service to avoid circular dependencies
       const { deepseekService } = await import('./deepseekService');
 
-      if (!deepseekService.isConfigured()) {
-        console.log('JobsService: DeepSeek not configured, skipping AI polish');
-        return;
-      }
-
       console.log('JobsService: Starting AI polish for job:', jobId);
 
       // Polish the full job description
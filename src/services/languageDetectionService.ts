@@ -0,0 +1,192 @@
+// src/services/languageDetectionService.ts
+import {
+  DetectedSectionKey,
+  LanguageDetectionResult,
+  LanguageResources,
+  SupportedLanguage,
+  WritingScript
+} from '../types/language';
+import { DEFAULT_LANGUAGE, LANGUAGE_RESOURCES, SUPPORTED_LANGUAGES } from '../constants/languageResources';
+
+// Detection reads at most this much of a document
+const MAX_SAMPLE_CHARS = 5000;
+// Share of letters in a non-Latin script that decides the language outright
+const MIN_SCRIPT_SHARE = 0.3;
+// Fewer stopword hits than this is too little evidence to leave English
+const MIN_STOPWORD_HITS = 3;
+
+const SCRIPT_LANGUAGES: Record<Exclude<WritingScript, 'latin'>, SupportedLanguage> = {
+  devanagari: 'hi',
+  arabic: 'ar'
+};
+
+// Checked in this order, so a line matching two sections takes the first
+const SECTION_KEYS: DetectedSectionKey[] = [
+  'header', 'summary', 'skills', 'experience', 'projects', 'education', 'certifications', 'achievements', 'additional'
+];
+
+// A term boundary that also works for accented letters and Devanagari vowel signs
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}]';
+
+const escapeRegExp = (value: string): string => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Language Detection Service
+ * Detects the language of resume and JD text from its script and stopwords,
+ * and gives analyzers Unicode-aware matching against the per-language
+ * dictionaries in constants/languageResources.
+ */
+export class LanguageDetectionService {
+  private static stopwordSets: Map<SupportedLanguage, Set<string>> | null = null;
+  private static headerPatterns = new Map<SupportedLanguage, Partial<Record<DetectedSectionKey, RegExp>>>();
+
+  static detect(text: string): LanguageDetectionResult {
+    const sample = (text || '').slice(0, MAX_SAMPLE_CHARS);
+    const letters = sample.match(/\p{L}/gu) || [];
+    const fallback = this.result(DEFAULT_LANGUAGE, letters.length > 0 ? 0.2 : 0, 'latin');
+    if (letters.length === 0) return fallback;
+
+    const devanagari = letters.filter(char => /\p{Script=Devanagari}/u.test(char)).length / letters.length;
+    const arabic = letters.filter(char => /\p{Script=Arabic}/u.test(char)).length / letters.length;
+    if (Math.max(devanagari, arabic) >= MIN_SCRIPT_SHARE) {
+      const script = arabic >= devanagari ? 'arabic' : 'devanagari';
+      return this.result(SCRIPT_LANGUAGES[script], Math.max(devanagari, arabic), script);
+    }
+
+    const words = this.foldText(sample).match(/\p{L}+/gu) || [];
+    const hits = new Map<SupportedLanguage, number>();
+    words.forEach(word => {
+      this.getStopwordSets().forEach((stopwords, language) => {
+        if (stopwords.has(word)) hits.set(language, (hits.get(language) || 0) + 1);
+      });
+    });
+
+    // English is checked first, so it wins ties
+    let best: SupportedLanguage = DEFAULT_LANGUAGE;
+    hits.forEach((count, language) => {
+      if (count > (hits.get(best) || 0)) best = language;
+    });
+
+    const bestHits = hits.get(best) || 0;
+    if (bestHits < MIN_STOPWORD_HITS) return fallback;
+
+    const totalHits = Array.from(hits.values()).reduce((sum, count) => sum + count, 0);
+    return this.result(best, bestHits / totalHits, 'latin');
+  }
+
+  /**
+   * The language given by the caller, or the one detected from the text
+   */
+  static resolve(text: string, language?: SupportedLanguage): SupportedLanguage {
+    return language || this.detect(text).language;
+  }
+
+  static getResources(language: SupportedLanguage = DEFAULT_LANGUAGE): LanguageResources {
+    return LANGUAGE_RESOURCES[language] || LANGUAGE_RESOURCES[DEFAULT_LANGUAGE];
+  }
+
+  static isRtl(language: SupportedLanguage): boolean {
+    return this.getResources(language).direction === 'rtl';
+  }
+
+  /**
+   * Lowercase and strip accents, so "Compétences" and "competences" compare equal
+   */
+  static foldText(text: string): string {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC').toLowerCase();
+  }
+
+  /**
+   * Whole-word, accent-insensitive pattern for a list of terms. Match it
+   * against foldText() output. `\b` only knows ASCII letters, so it cannot be
+   * used for "geführt" or "कौशल".
+   */
+  static termPattern(terms: string[], flags: string = 'gu'): RegExp | null {
+    const alternatives = this.alternation(terms);
+    if (!alternatives) return null;
+
+    return new RegExp(`(?<!${WORD_CHAR})(?:${alternatives})(?!${WORD_CHAR})`, flags);
+  }
+
+  static countTerms(text: string, terms: string[]): number {
+    const pattern = this.termPattern(terms);
+    return pattern ? (this.foldText(text).match(pattern) || []).length : 0;
+  }
+
+  static findTerms(text: string, terms: string[]): string[] {
+    const folded = this.foldText(text);
+    return terms.filter(term => this.termPattern([term], 'u')?.test(folded));
+  }
+
+  /**
+   * Section a heading line belongs to, in any of the given languages. English
+   * headings match as a prefix ("Experience & Projects"), as the analyzers
+   * always have; other languages must be the whole line, optionally with a
+   * trailing colon, so ordinary sentences starting with "Formation" are not
+   * taken for headings.
+   */
+  static matchSectionHeader(
+    line: string,
+    languages: SupportedLanguage[] = SUPPORTED_LANGUAGES
+  ): DetectedSectionKey | null {
+    const folded = this.foldText(line);
+    const patterns = languages.map(language => this.getHeaderPatterns(language));
+
+    for (const section of SECTION_KEYS) {
+      if (patterns.some(byLanguage => byLanguage[section]?.test(folded))) {
+        return section;
+      }
+    }
+    return null;
+  }
+
+  // ============================================================================
+  // PRIVATE METHODS
+  // ============================================================================
+
+  private static result(language: SupportedLanguage, confidence: number, script: WritingScript): LanguageDetectionResult {
+    return {
+      language,
+      confidence: Math.round(Math.min(1, confidence) * 100) / 100,
+      direction: this.getResources(language).direction,
+      script
+    };
+  }
+
+  // Folded, escaped terms joined for a regex, longest first
+  private static alternation(terms: string[]): string {
+    return [...new Set(terms.map(term => this.foldText(term.trim())).filter(Boolean))]
+      .sort((a, b) => b.length - a.length)
+      .map(term => escapeRegExp(term).replace(/\s+/g, '\\s+'))
+      .join('|');
+  }
+
+  private static getStopwordSets(): Map<SupportedLanguage, Set<string>> {
+    if (!this.stopwordSets) {
+      this.stopwordSets = new Map(
+        SUPPORTED_LANGUAGES.map(language => [
+          language,
+          new Set(LANGUAGE_RESOURCES[language].stopwords.map(word => this.foldText(word)))
+        ])
+      );
+    }
+    return this.stopwordSets;
+  }
+
+  private static getHeaderPatterns(language: SupportedLanguage): Partial<Record<DetectedSectionKey, RegExp>> {
+    let patterns = this.headerPatterns.get(language);
+    if (!patterns) {
+      patterns = {};
+      for (const [section, terms] of Object.entries(LANGUAGE_RESOURCES[language].sectionHeaders)) {
+        if (!terms || terms.length === 0) continue;
+        patterns[section as DetectedSectionKey] = language === 'en'
+          ? new RegExp(`^\\s*(?:${this.alternation(terms)})`, 'u')
+          : new RegExp(`^\\s*(?:${this.alternation(terms)})\\s*:?\\s*$`, 'u');
+      }
+      this.headerPatterns.set(language, patterns);
+    }
+    return patterns;
+  }
+}
+
+export const languageDetectionService = LanguageDetectionService;
@@ -1,40 +1,128 @@
-import { 
-  LayoutParserInterface, 
-  ColumnStructure, 
-  TextboxContent, 
-  TableContent, 
+import {
+  LayoutParserInterface,
+  ColumnStructure,
+  TextboxContent,
+  TableContent,
   ContentElement,
   Rectangle,
   LayoutStructure,
-  LayoutComplexity
+  LayoutComplexity,
+  LayoutDocument,
+  PageTextLayout,
+  PositionedTextItem
 } from '../types/resume';
 
+/**
+ * Minimal shape of a pdfjs-dist TextItem. Declared locally so the layout
+ * parser stays usable (and testable) without loading pdfjs itself.
+ */
+export interface PdfTextItemLike {
+  str: string;
+  transform: number[];
+  width: number;
+  height: number;
+  fontName?: string;
+}
+
+interface TextLine {
+  items: PositionedTextItem[];
+  text: string;
+  box: Rectangle;
+  fontSize: number;
+}
+
+interface PageAnalysis {
+  pageNumber: number;
+  columnCount: number;
+  columnBoundaries: Rectangle[];
+  orderedElements: ContentElement[];
+  textboxes: TextboxContent[];
+  tables: TableContent[];
+  confidence: number;
+}
+
+interface DocumentAnalysis {
+  count: number;
+  boundaries: Rectangle[];
+  orderedElements: ContentElement[];
+  textboxes: TextboxContent[];
+  tables: TableContent[];
+  confidence: number;
+}
+
 /**
  * Layout Parser Service
- * 
+ *
  * Provides advanced layout parsing capabilities for complex document structures
  * including multi-column detection, textbox extraction, and table parsing.
+ *
+ * All detection is geometric: it works on the positioned text items pdfjs
+ * reports for each page, so the same document always yields the same layout.
  */
 export class LayoutParserService implements LayoutParserInterface {
-  
+
+  // Minimum number of items a column must hold before a gap counts as a gutter
+  private static readonly MIN_COLUMN_ITEMS = 3;
+
+  // Share of the content height that may cross a gutter (full-width name/contact lines)
+  private static readonly GUTTER_CROSSING_RATIO = 0.15;
+
+  // Columns narrower than this share of the content width are treated as sidebars
+  private static readonly SIDEBAR_WIDTH_RATIO = 0.35;
+
+  // A table needs at least this many aligned cells per row
+  private static readonly MIN_TABLE_CELLS = 3;
+
+  /**
+   * Convert pdfjs text items for one page into top-left-origin positioned items
+   */
+  buildPageLayout(
+    pageNumber: number,
+    pageWidth: number,
+    pageHeight: number,
+    rawItems: PdfTextItemLike[]
+  ): PageTextLayout {
+    const items: PositionedTextItem[] = [];
+
+    rawItems.forEach(item => {
+      if (!item || typeof item.str !== 'string' || item.str.trim().length === 0) return;
+
+      const [, , c, d, e, f] = item.transform;
+      const fontSize = Math.hypot(c, d) || item.height || 10;
+      const height = item.height || fontSize;
+
+      items.push({
+        text: item.str,
+        x: e,
+        y: pageHeight - f - height,
+        width: item.width,
+        height,
+        fontSize,
+        fontName: item.fontName
+      });
+    });
+
+    return { pageNumber, width: pageWidth, height: pageHeight, items };
+  }
+
   /**
    * Detect column structure in document
    */
-  detectColumns(document: Document): ColumnStructure {
+  detectColumns(document: LayoutDocument): ColumnStructure {
     try {
       // Analyze document structure for column boundaries
       const columnAnalysis = this.analyzeColumnStructure(document);
-      
+
       return {
         columnCount: columnAnalysis.count,
         columnBoundaries: columnAnalysis.boundaries,
         readingOrder: columnAnalysis.orderedElements,
         confidence: columnAnalysis.confidence
       };
-      
+
     } catch (error) {
       console.error('Column detection failed:', error);
-      
+
       // Return single-column fallback
       return {
         columnCount: 1,
@@ -44,54 +132,34 @@ export class LayoutParserService implements LayoutParserInterface {
       };
     }
   }
-  
+
   /**
    * Extract textbox content from document
+   *
+   * PDFs carry no textbox objects, so narrow sidebar columns are reported as
+   * textboxes: that is the content ATS engines most often misplace.
    */
-  extractTextboxContent(document: Document): TextboxContent[] {
+  extractTextboxContent(document: LayoutDocument): TextboxContent[] {
     try {
-      const textboxes: TextboxContent[] = [];
-      
-      // Simulate textbox detection and extraction
-      // In full implementation, this would:
-      // 1. Identify textbox elements in the document
-      // 2. Extract content from each textbox
-      // 3. Determine contextual placement
-      
-      const mockTextboxes = this.generateMockTextboxes();
-      
-      return mockTextboxes;
-      
+      return this.analyzeColumnStructure(document).textboxes;
     } catch (error) {
       console.error('Textbox extraction failed:', error);
       return [];
     }
   }
-  
+
   /**
    * Parse table content from document
    */
-  parseTableContent(document: Document): TableContent[] {
+  parseTableContent(document: LayoutDocument): TableContent[] {
     try {
-      const tables: TableContent[] = [];
-      
-      // Simulate table detection and parsing
-      // In full implementation, this would:
-      // 1. Identify table structures
-      // 2. Extract headers and data rows
-      // 3. Convert to readable text format
-      // 4. Preserve logical relationships
-      
-      const mockTables = this.generateMockTables();
-      
-      return mockTables;
-      
+      return this.analyzeColumnStructure(document).tables;
     } catch (error) {
       console.error('Table parsing failed:', error);
       return [];
     }
   }
-  
+
   /**
    * Order content elements logically for reading flow
    */
@@ -104,201 +172,479 @@ export class LayoutParserService implements LayoutParserInterface {
         if (Math.abs(yDiff) > 10) { // 10px tolerance for same line
           return yDiff;
         }
-        
+
         // Secondary sort: left to right
         return a.position.x - b.position.x;
       });
-      
+
     } catch (error) {
       console.error('Content ordering failed:', error);
       return elements;
     }
   }
-  
+
   /**
    * Parse complete document layout
+   *
+   * When positioned pages are available (PDF extraction) they drive the
+   * analysis; otherwise the plain text is laid out as a single column.
    */
-  parseDocumentLayout(documentContent: string, extractionMode: string): LayoutStructure {
+  parseDocumentLayout(documentContent: string, extractionMode: string, pages?: PageTextLayout[]): LayoutStructure {
     try {
-      // Create mock document for analysis
-      const mockDocument = this.createMockDocument(documentContent);
-      
-      // Detect columns
-      const columns = this.detectColumns(mockDocument);
-      
-      // Extract textboxes
-      const textboxes = this.extractTextboxContent(mockDocument);
-      
-      // Parse tables
-      const tables = this.parseTableContent(mockDocument);
-      
-      // Generate content elements
-      const elements = this.generateContentElements(documentContent);
-      
-      // Order elements logically
-      const orderedElements = this.orderContentLogically(elements);
-      
+      const document: LayoutDocument = pages && pages.length > 0
+        ? { pages }
+        : this.createTextDocument(documentContent);
+
+      const analysis = this.analyzeColumnStructure(document);
+
+      // OCR coordinates are approximate, so trust them less
+      const elementConfidence = extractionMode === 'TEXT' ? 1 : 0.85;
+      const elements = analysis.orderedElements.map(element => ({
+        ...element,
+        confidence: Math.round(element.confidence * elementConfidence)
+      }));
+
+      const columns: ColumnStructure = {
+        columnCount: analysis.count,
+        columnBoundaries: analysis.boundaries,
+        readingOrder: elements,
+        confidence: analysis.confidence
+      };
+
       // Assess complexity
-      const complexity = this.assessLayoutComplexity(columns, textboxes, tables);
-      
+      const complexity = this.assessLayoutComplexity(columns, analysis.textboxes, analysis.tables);
+
       return {
         columns,
-        textboxes,
-        tables,
-        elements: orderedElements,
+        textboxes: analysis.textboxes,
+        tables: analysis.tables,
+        elements,
         complexity
       };
-      
+
     } catch (error) {
       console.error('Layout parsing failed:', error);
       return this.getEmptyLayoutStructure();
     }
   }
-  
+
+  /**
+   * Analyze positioned PDF pages into a layout structure
+   */
+  analyzePages(pages: PageTextLayout[]): LayoutStructure {
+    return this.parseDocumentLayout('', 'TEXT', pages);
+  }
+
   /**
    * Analyze column structure in document
    */
-  private analyzeColumnStructure(document: Document): {
-    count: number;
-    boundaries: Rectangle[];
-    orderedElements: ContentElement[];
-    confidence: number;
-  } {
-    // Simulate column analysis
-    // In full implementation, this would:
-    // 1. Analyze text positioning and spacing
-    // 2. Detect vertical gaps that indicate column boundaries
-    // 3. Group content by columns
-    // 4. Determine reading order within and across columns
-    
-    const hasMultipleColumns = Math.random() > 0.7; // 30% chance of multi-column
-    
-    if (hasMultipleColumns) {
-      return {
-        count: 2,
-        boundaries: [
-          { x: 0, y: 0, width: 45, height: 100 },
-          { x: 55, y: 0, width: 45, height: 100 }
-        ],
-        orderedElements: [],
-        confidence: 85
-      };
-    } else {
+  private analyzeColumnStructure(document: LayoutDocument): DocumentAnalysis {
+    const pages = (document?.pages || []).filter(page => page.items.length > 0);
+
+    if (pages.length === 0) {
       return {
         count: 1,
-        boundaries: [{ x: 0, y: 0, width: 100, height: 100 }],
+        boundaries: [],
         orderedElements: [],
-        confidence: 95
+        textboxes: [],
+        tables: [],
+        confidence: 0
       };
     }
+
+    const pageAnalyses: PageAnalysis[] = [];
+    let pageOffset = 0;
+
+    // Pages are stacked vertically so element positions keep increasing
+    // across page breaks
+    [...pages]
+      .sort((a, b) => a.pageNumber - b.pageNumber)
+      .forEach(page => {
+        pageAnalyses.push(this.analyzePage(page, pageOffset));
+        pageOffset += page.height;
+      });
+
+    const widest = pageAnalyses.reduce((best, current) =>
+      current.columnCount > best.columnCount ? current : best
+    );
+
+    return {
+      count: widest.columnCount,
+      boundaries: widest.columnBoundaries,
+      orderedElements: pageAnalyses.flatMap(page => page.orderedElements),
+      textboxes: pageAnalyses.flatMap(page => page.textboxes),
+      tables: pageAnalyses.flatMap(page => page.tables),
+      confidence: Math.min(...pageAnalyses.map(page => page.confidence))
+    };
   }
-  
+
   /**
-   * Generate mock textboxes for testing
+   * Detect columns, sidebars and tables on a single page and produce its
+   * reading order
    */
-  private generateMockTextboxes(): TextboxContent[] {
+  private analyzePage(page: PageTextLayout, pageOffset: number): PageAnalysis {
+    const items = page.items.filter(item => item.text.trim().length > 0 && item.width >= 0);
+    const gutters = this.findGutters(items);
+
+    // Valley runs also swallow the ragged edge of a column, so only items
+    // reaching across the middle of a gutter span the columns (name, contact
+    // line, rules)
+    const gutterMidpoints = gutters.map(g => (g.start + g.end) / 2);
+    const spanning: PositionedTextItem[] = [];
+    const columnItems: PositionedTextItem[][] = Array.from({ length: gutters.length + 1 }, () => []);
+
+    items.forEach(item => {
+      const crossesGutter = gutterMidpoints.some(mid => item.x < mid && item.x + item.width > mid);
+      if (crossesGutter) {
+        spanning.push(item);
+        return;
+      }
+      const center = item.x + item.width / 2;
+      const columnIndex = gutterMidpoints.filter(mid => center >= mid).length;
+      columnItems[columnIndex].push(item);
+    });
+
+    const columnLines = columnItems.map(column => this.groupIntoLines(column));
+    const spanningLines = this.groupIntoLines(spanning);
+    const columnBoxes = columnItems.map(column => this.boundingBox(column));
+
+    // Sidebars: a narrow column beside a main column at least twice as wide
+    const contentBox = this.boundingBox(items);
+    const sidebarColumns = new Set<number>();
+    if (columnItems.length === 2) {
+      columnBoxes.forEach((box, index) => {
+        const otherBox = columnBoxes[1 - index];
+        if (
+          box.width < contentBox.width * LayoutParserService.SIDEBAR_WIDTH_RATIO &&
+          box.width * 2 <= otherBox.width
+        ) {
+          sidebarColumns.add(index);
+        }
+      });
+    }
+
+    const tables: TableContent[] = [];
+    const tableLines = new Map<TextLine, string[]>();
+    [...columnLines, spanningLines].forEach(lines => {
+      this.detectTables(lines).forEach(({ table, rows }) => {
+        table.id = `table-p${page.pageNumber}-${tables.length + 1}`;
+        tables.push(table);
+        rows.forEach(({ line, cells }) => tableLines.set(line, cells));
+      });
+    });
+
     const textboxes: TextboxContent[] = [];
-    
-    // Simulate finding textboxes in document
-    const hasTextboxes = Math.random() > 0.8; // 20% chance of textboxes
-    
-    if (hasTextboxes) {
+    sidebarColumns.forEach(index => {
+      const box = columnBoxes[index];
       textboxes.push({
-        id: 'textbox-1',
-        content: 'Key Skills: JavaScript, Python, React, Node.js',
-        position: { x: 10, y: 50, width: 200, height: 30 },
-        contextualPlacement: 'skills-section'
+        id: `sidebar-p${page.pageNumber}-${textboxes.length + 1}`,
+        content: columnLines[index].map(line => line.text).join('\n'),
+        position: { ...box, y: box.y + pageOffset },
+        contextualPlacement: index === 0 ? 'sidebar-left' : 'sidebar-right'
       });
-      
-      textboxes.push({
-        id: 'textbox-2',
-        content: 'Contact: john.doe@email.com | (555) 123-4567',
-        position: { x: 10, y: 10, width: 300, height: 20 },
-        contextualPlacement: 'header'
+    });
+
+    const medianFontSize = this.median(items.map(item => item.fontSize));
+    const orderedElements: ContentElement[] = [];
+    const pushLine = (line: TextLine, columnIndex: number | null) => {
+      const cells = tableLines.get(line);
+      let type: ContentElement['type'] = 'text';
+      if (cells) {
+        type = 'table';
+      } else if (columnIndex !== null && sidebarColumns.has(columnIndex)) {
+        type = 'textbox';
+      } else if (this.isHeaderLine(line.text) || line.fontSize >= medianFontSize * 1.2) {
+        type = 'header';
+      }
+
+      orderedElements.push({
+        id: `p${page.pageNumber}-e${orderedElements.length}`,
+        type,
+        content: cells ? cells.join(' | ') : line.text,
+        position: { ...line.box, y: line.box.y + pageOffset },
+        confidence: type === 'table' ? 80 : 90
       });
-    }
-    
-    return textboxes;
+    };
+
+    // Spanning lines cut the page into horizontal bands; inside each band the
+    // columns are read left to right, each one top to bottom
+    const columnCursor = columnLines.map(() => 0);
+    const flushColumnsAbove = (limitY: number) => {
+      columnLines.forEach((lines, columnIndex) => {
+        while (
+          columnCursor[columnIndex] < lines.length &&
+          this.lineCenter(lines[columnCursor[columnIndex]]) < limitY
+        ) {
+          pushLine(lines[columnCursor[columnIndex]], columnIndex);
+          columnCursor[columnIndex]++;
+        }
+      });
+    };
+
+    spanningLines.forEach(line => {
+      flushColumnsAbove(this.lineCenter(line));
+      pushLine(line, null);
+    });
+    flushColumnsAbove(Number.POSITIVE_INFINITY);
+
+    const columnBoundaries = columnBoxes
+      .filter(box => box.width > 0 || box.height > 0)
+      .map(box => ({ ...box, y: contentBox.y, height: contentBox.height }));
+
+    return {
+      pageNumber: page.pageNumber,
+      columnCount: Math.max(1, columnBoundaries.length),
+      columnBoundaries,
+      orderedElements,
+      textboxes,
+      tables,
+      confidence: this.calculateColumnConfidence(items.length, spanning.length, gutters.length)
+    };
   }
-  
+
   /**
-   * Generate mock tables for testing
+   * Find vertical gutters: x-ranges that (almost) no text covers while both
+   * sides hold enough content to form a column
    */
-  private generateMockTables(): TableContent[] {
-    const tables: TableContent[] = [];
-    
-    // Simulate finding tables in document
-    const hasTables = Math.random() > 0.7; // 30% chance of tables
-    
-    if (hasTables) {
-      tables.push({
-        id: 'table-1',
-        headers: ['Skill', 'Proficiency', 'Years'],
-        rows: [
-          ['JavaScript', 'Expert', '5'],
-          ['Python', 'Advanced', '3'],
-          ['React', 'Expert', '4']
-        ],
-        extractedText: 'Skills Table:\nJavaScript - Expert - 5 years\nPython - Advanced - 3 years\nReact - Expert - 4 years',
-        preservedStructure: true
-      });
+  private findGutters(items: PositionedTextItem[]): Array<{ start: number; end: number }> {
+    if (items.length < LayoutParserService.MIN_COLUMN_ITEMS * 2) return [];
+
+    const contentLeft = Math.floor(Math.min(...items.map(item => item.x)));
+    const contentRight = Math.ceil(Math.max(...items.map(item => item.x + item.width)));
+    const span = contentRight - contentLeft;
+    if (span <= 0) return [];
+
+    // Vertical extent of text covering each x position
+    const coverage = new Array<number>(span).fill(0);
+    items.forEach(item => {
+      const start = Math.max(0, Math.floor(item.x - contentLeft));
+      const end = Math.min(span, Math.ceil(item.x + item.width - contentLeft));
+      for (let i = start; i < end; i++) coverage[i] += item.height;
+    });
+
+    const contentBox = this.boundingBox(items);
+    const allowedCrossings = contentBox.height * LayoutParserService.GUTTER_CROSSING_RATIO;
+    const minGutterWidth = Math.max(10, this.median(items.map(item => item.fontSize)) * 1.5);
+
+    const candidates: Array<{ start: number; end: number }> = [];
+    let runStart = -1;
+    for (let i = 0; i <= span; i++) {
+      const isValley = i < span && coverage[i] <= allowedCrossings;
+      if (isValley && runStart === -1) {
+        runStart = i;
+      } else if (!isValley && runStart !== -1) {
+        // Only interior runs can separate columns
+        if (runStart > 0 && i < span && i - runStart >= minGutterWidth) {
+          candidates.push({ start: contentLeft + runStart, end: contentLeft + i });
+        }
+        runStart = -1;
+      }
     }
-    
-    return tables;
+
+    const gutters: Array<{ start: number; end: number }> = [];
+    let leftEdge = contentLeft;
+    candidates.forEach((candidate, index) => {
+      const nextStart = index + 1 < candidates.length ? candidates[index + 1].start : contentRight;
+      const leftItems = items.filter(item => item.x >= leftEdge && item.x + item.width <= candidate.start);
+      const rightItems = items.filter(item => item.x >= candidate.end && item.x + item.width <= nextStart);
+
+      if (
+        leftItems.length >= LayoutParserService.MIN_COLUMN_ITEMS &&
+        rightItems.length >= LayoutParserService.MIN_COLUMN_ITEMS
+      ) {
+        gutters.push(candidate);
+        leftEdge = candidate.end;
+      }
+    });
+
+    return gutters;
   }
-  
+
   /**
-   * Create mock document for analysis
+   * Group items into visual lines, top to bottom, left to right within a line
    */
-  private createMockDocument(content: string): Document {
-    // In full implementation, this would create a proper document object
-    // For now, return a mock document
-    return {} as Document;
+  private groupIntoLines(items: PositionedTextItem[]): TextLine[] {
+    const sorted = [...items].sort((a, b) => (a.y + a.height / 2) - (b.y + b.height / 2) || a.x - b.x);
+    const lines: TextLine[] = [];
+
+    sorted.forEach(item => {
+      const center = item.y + item.height / 2;
+      const current = lines[lines.length - 1];
+      if (current && Math.abs(center - this.lineCenter(current)) <= Math.min(item.height, current.box.height) / 2) {
+        current.items.push(item);
+        current.box = this.boundingBox(current.items);
+        current.fontSize = Math.max(current.fontSize, item.fontSize);
+      } else {
+        lines.push({ items: [item], text: '', box: this.boundingBox([item]), fontSize: item.fontSize });
+      }
+    });
+
+    lines.forEach(line => {
+      line.items.sort((a, b) => a.x - b.x);
+      line.text = this.joinItems(line.items);
+    });
+
+    return lines;
   }
-  
+
   /**
-   * Generate content elements from document text
+   * Join the items of a line, inserting spaces where pdfjs left a visual gap
    */
-  private generateContentElements(content: string): ContentElement[] {
-    const elements: ContentElement[] = [];
-    const lines = content.split('\n').filter(line => line.trim().length > 0);
-    
-    lines.forEach((line, index) => {
-      const isHeader = this.isHeaderLine(line);
-      
-      elements.push({
-        id: `element-${index}`,
-        type: isHeader ? 'header' : 'text',
-        content: line.trim(),
-        position: {
-          x: 10,
-          y: 20 + (index * 25),
-          width: Math.min(400, line.length * 8),
-          height: 20
-        },
-        confidence: 90
-      });
+  private joinItems(items: PositionedTextItem[]): string {
+    let text = '';
+    items.forEach((item, index) => {
+      if (index > 0) {
+        const previous = items[index - 1];
+        const gap = item.x - (previous.x + previous.width);
+        if (gap > item.fontSize * 0.15 && !text.endsWith(' ') && !item.text.startsWith(' ')) {
+          text += ' ';
+        }
+      }
+      text += item.text;
+    });
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Split a line into cells separated by wide horizontal gaps
+   */
+  private splitIntoCells(line: TextLine): Array<{ text: string; x: number }> {
+    const cells: Array<{ items: PositionedTextItem[]; x: number }> = [];
+
+    line.items.forEach(item => {
+      const current = cells[cells.length - 1];
+      const previous = current?.items[current.items.length - 1];
+      const gap = previous ? item.x - (previous.x + previous.width) : 0;
+
+      if (!current || gap > Math.max(12, item.fontSize * 1.5)) {
+        cells.push({ items: [item], x: item.x });
+      } else {
+        current.items.push(item);
+      }
     });
-    
-    return elements;
+
+    return cells.map(cell => ({ text: this.joinItems(cell.items), x: cell.x }));
   }
-  
+
+  /**
+   * Detect runs of consecutive lines whose cells line up vertically
+   */
+  private detectTables(lines: TextLine[]): Array<{
+    table: TableContent;
+    rows: Array<{ line: TextLine; cells: string[] }>;
+  }> {
+    const found: Array<{ table: TableContent; rows: Array<{ line: TextLine; cells: string[] }> }> = [];
+    let run: Array<{ line: TextLine; cells: Array<{ text: string; x: number }> }> = [];
+
+    const closeRun = () => {
+      if (run.length >= 2) {
+        const rows = run.map(row => ({ line: row.line, cells: row.cells.map(cell => cell.text) }));
+        const [headerRow, ...bodyRows] = rows;
+        found.push({
+          table: {
+            id: '',
+            headers: headerRow.cells,
+            rows: bodyRows.map(row => row.cells),
+            extractedText: rows.map(row => row.cells.join(' | ')).join('\n'),
+            preservedStructure: true
+          },
+          rows
+        });
+      }
+      run = [];
+    };
+
+    lines.forEach(line => {
+      const cells = this.splitIntoCells(line);
+      if (cells.length < LayoutParserService.MIN_TABLE_CELLS) {
+        closeRun();
+        return;
+      }
+
+      const anchor = run[0];
+      const tolerance = Math.max(6, line.fontSize);
+      const aligned = anchor &&
+        anchor.cells.length === cells.length &&
+        anchor.cells.every((cell, index) => Math.abs(cell.x - cells[index].x) <= tolerance);
+
+      if (!aligned) closeRun();
+      run.push({ line, cells });
+    });
+    closeRun();
+
+    return found;
+  }
+
+  private boundingBox(items: PositionedTextItem[]): Rectangle {
+    if (items.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+
+    const left = Math.min(...items.map(item => item.x));
+    const top = Math.min(...items.map(item => item.y));
+    const right = Math.max(...items.map(item => item.x + item.width));
+    const bottom = Math.max(...items.map(item => item.y + item.height));
+
+    return { x: left, y: top, width: right - left, height: bottom - top };
+  }
+
+  private lineCenter(line: TextLine): number {
+    return line.box.y + line.box.height / 2;
+  }
+
+  private median(values: number[]): number {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
+  /**
+   * Confidence in the column verdict: clean gutters score high, gutters that
+   * many items cross score lower
+   */
+  private calculateColumnConfidence(itemCount: number, spanningCount: number, gutterCount: number): number {
+    if (itemCount === 0) return 0;
+    if (gutterCount === 0) return 95;
+
+    const crossingRatio = spanningCount / itemCount;
+    return Math.round(Math.max(60, 95 - crossingRatio * 150));
+  }
+
+  /**
+   * Lay plain text out as a single column, one item per line
+   */
+  private createTextDocument(content: string): LayoutDocument {
+    const lines = content.split('\n').filter(line => line.trim().length > 0);
+
+    const items: PositionedTextItem[] = lines.map((line, index) => ({
+      text: line.trim(),
+      x: 10,
+      y: 20 + (index * 25),
+      width: Math.min(400, line.length * 8),
+      height: 20,
+      fontSize: 10
+    }));
+
+    return {
+      pages: [{ pageNumber: 1, width: 612, height: 40 + lines.length * 25, items }]
+    };
+  }
+
   /**
    * Determine if a line is a header
    */
   private isHeaderLine(line: string): boolean {
     const trimmed = line.trim();
-    
+
     // Check for common header patterns
     const headerPatterns = [
       /^[A-Z\s]+$/, // All caps
       /^[A-Z][a-z\s]+:$/, // Title case with colon
       /^(EXPERIENCE|EDUCATION|SKILLS|PROJECTS|SUMMARY|CONTACT)/i
     ];
-    
+
     return headerPatterns.some(pattern => pattern.test(trimmed));
   }
-  
+
   /**
    * Assess layout complexity based on detected elements
    */
@@ -308,25 +654,25 @@ export class LayoutParserService implements LayoutParserInterface {
     tables: TableContent[]
   ): LayoutComplexity {
     let complexityScore = 0;
-    
+
     // Multi-column adds complexity
     if (columns.columnCount > 1) {
       complexityScore += 2;
     }
-    
+
     // Textboxes add complexity
     complexityScore += textboxes.length;
-    
+
     // Tables add significant complexity
     complexityScore += tables.length * 2;
-    
+
     // Determine complexity level
     if (complexityScore === 0) return 'simple';
     if (complexityScore <= 2) return 'multi-column';
     if (complexityScore <= 5) return 'complex';
     return 'template-heavy';
   }
-  
+
   /**
    * Get empty layout structure for fallback
    */
@@ -344,7 +690,7 @@ export class LayoutParserService implements LayoutParserInterface {
       complexity: 'simple'
     };
   }
-  
+
   /**
    * Validate layout parsing results
    */
@@ -355,64 +701,72 @@ export class LayoutParserService implements LayoutParserInterface {
   } {
     const issues: string[] = [];
     let accuracy = 100;
-    
+
     // Check column structure
     if (layout.columns.columnCount < 1) {
       issues.push('Invalid column count');
       accuracy -= 20;
     }
-    
+
     if (layout.columns.confidence < 70) {
       issues.push('Low confidence in column detection');
       accuracy -= 10;
     }
-    
+
     // Check content elements
     if (layout.elements.length === 0) {
       issues.push('No content elements detected');
       accuracy -= 30;
     }
-    
+
     // Check for logical ordering
     const hasLogicalOrder = this.validateContentOrder(layout.elements);
     if (!hasLogicalOrder) {
       issues.push('Content ordering may be incorrect');
       accuracy -= 15;
     }
-    
+
     return {
       valid: issues.length === 0,
       issues,
       accuracy: Math.max(0, accuracy)
     };
   }
-  
+
   /**
    * Validate content ordering logic
    */
   private validateContentOrder(elements: ContentElement[]): boolean {
     if (elements.length < 2) return true;
-    
+
     // Check if elements are generally ordered top-to-bottom
     for (let i = 1; i < elements.length; i++) {
       const prev = elements[i - 1];
       const curr = elements[i];
-      
+
+      // Moving back up is expected when reading continues in the next column
+      const startsNextColumn = curr.position.x >= prev.position.x + prev.position.width;
+
       // Allow some tolerance for elements on the same line
-      if (curr.position.y < prev.position.y - 30) {
+      if (curr.position.y < prev.position.y - 30 && !startsNextColumn) {
         return false; // Current element is significantly above previous
       }
     }
-    
+
     return true;
   }
-  
+
   /**
    * Extract text from layout structure maintaining order
    */
   extractOrderedText(layout: LayoutStructure): string {
+    // The reading order already interleaves sidebars and tables correctly
+    if (layout.columns.readingOrder.length > 0) {
+      return layout.columns.readingOrder.map(element => element.content).join('\n');
+    }
+
     const textParts: string[] = [];
-    
+
     // Add textbox content first (usually headers/contact info)
     layout.textboxes.forEach(textbox => {
       if (textbox.contextualPlacement === 'header') {
@@ -421,20 +775,20 @@ export class LayoutParserService implements LayoutParserInterface {
         textParts.push(textbox.content);
       }
     });
-    
+
     // Add main content elements in order
     layout.elements.forEach(element => {
       textParts.push(element.content);
     });
-    
+
     // Add table content
     layout.tables.forEach(table => {
       textParts.push(table.extractedText);
     });
-    
+
     return textParts.join('\n');
   }
 }
 
 // Export singleton instance
-export const layoutParserService = new LayoutParserService();
\ No newline at end of file
+export const layoutParserService = new LayoutParserService();
@@ -0,0 +1,90 @@
+// src/services/llm/llmCache.ts
+import { LlmMessage } from '../../types/llm';
+
+export interface LlmRequestKeyInput {
+  messages: LlmMessage[];
+  model?: string;
+  temperature: number;
+  maxTokens: number;
+}
+
+// FNV-1a over two lanes; keys must be synchronous and identical across runs
+// so recordings made on one machine replay on another
+const hash = (text: string): string => {
+  let h1 = 0x811c9dc5;
+  let h2 = 0x01000193;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 0x01000193);
+    h2 = Math.imul(h2 ^ code, 0x5bd1e995);
+  }
+  return `${(h1 >>> 0).toString(16).padStart(8, '0')}${(h2 >>> 0).toString(16).padStart(8, '0')}`;
+};
+
+export const llmRequestKey = (input: LlmRequestKeyInput): string =>
+  hash(JSON.stringify([
+    input.messages.map(m => [m.role, m.content.trim()]),
+    input.model || '',
+    input.temperature,
+    input.maxTokens
+  ]));
+
+interface CacheEntry<T> {
+  value: T;
+  expiresAt: number;
+}
+
+/**
+ * LLM Response Cache
+ * In-memory, least-recently-used eviction with a time-to-live, so repeated
+ * identical prompts within a session (re-scoring, re-rendering a panel) cost
+ * one call
+ */
+export class LlmResponseCache<T> {
+  private entries = new Map<string, CacheEntry<T>>();
+  private stats = { hits: 0, misses: 0 };
+
+  constructor(private maxEntries = 200, private ttlMs = 10 * 60 * 1000) {}
+
+  configure(options: { maxEntries?: number; ttlMs?: number }): void {
+    if (options.maxEntries !== undefined) this.maxEntries = options.maxEntries;
+    if (options.ttlMs !== undefined) this.ttlMs = options.ttlMs;
+  }
+
+  get(key: string): T | null {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.stats.misses++;
+      return null;
+    }
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return entry.value;
+  }
+
+  set(key: string, value: T): void {
+    if (this.maxEntries <= 0) return;
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value as string;
+      this.entries.delete(oldest);
+    }
+  }
+
+  delete(key: string): void {
+    this.entries.delete(key);
+  }
+
+  clear(): void {
+    this.entries.clear();
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  getStats(): { size: number; hits: number; misses: number } {
+    return { size: this.entries.size, ...this.stats };
+  }
+}
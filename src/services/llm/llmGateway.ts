@@ -0,0 +1,467 @@
+// src/services/llm/llmGateway.ts
+import { z } from 'zod';
+import {
+  LlmFeatureBudget,
+  LlmFeatureUsage,
+  LlmJsonResponse,
+  LlmProvider,
+  LlmProviderId,
+  LlmProviderResponse,
+  LlmRequest,
+  LlmResponse,
+  LlmRoute,
+  LlmStreamOptions,
+  LlmUsage
+} from '../../types/llm';
+import { scoringEnvironment } from '../scoringEnvironment';
+import { AgentRouterProvider, CloudflareWorkerProvider, isLlmError, llmError } from './llmProviders';
+import { LlmResponseCache, llmRequestKey } from './llmCache';
+import { MockLlmProvider } from './llmMockProvider';
+import { llmCancelledError } from './llmStream';
+
+const USAGE_STORAGE_KEY = 'llm_feature_usage';
+
+export interface LlmGatewayOptions {
+  route: LlmRoute[];
+  temperature: number;
+  maxTokens: number;
+  timeoutMs: number;
+  retries: number;
+  retryDelayMs: number; // doubled after every retry, plus up to 40% jitter
+  offline: boolean; // only the mock provider answers; also on when scoring runs offline
+  budgets: Record<string, LlmFeatureBudget>;
+  cache: { maxEntries: number; ttlMs: number };
+}
+
+// The default chain, optionally pinning the model the worker should ask for. Both steps
+// are server-side proxies, so no provider key ever reaches the browser.
+export const workerFirstRoute = (model?: string): LlmRoute[] => [
+  { provider: 'cloudflare-worker', model },
+  { provider: 'agent-router' }
+];
+
+// Features that run on every user action. The per-request cap catches a runaway
+// prompt; the daily cap bounds what one browser can spend on the feature.
+const FEATURE_BUDGETS: Record<string, LlmFeatureBudget> = {
+  'resume-optimization': { maxTokensPerRequest: 32000, maxTokensPerDay: 500000 },
+  'interview-feedback': { maxTokensPerRequest: 12000, maxTokensPerDay: 200000 },
+  chatbot: { maxTokensPerRequest: 8000, maxTokensPerDay: 100000 }
+};
+
+// The worker tries up to five providers at 15 seconds each before it gives up, so an
+// attempt must outlast that chain rather than abort it halfway
+const WORKER_CHAIN_TIMEOUT_MS = 5 * 15000;
+
+const DEFAULT_OPTIONS: LlmGatewayOptions = {
+  route: workerFirstRoute(),
+  temperature: 0.3,
+  maxTokens: 4000,
+  timeoutMs: WORKER_CHAIN_TIMEOUT_MS + 15000,
+  retries: 2,
+  retryDelayMs: 1000,
+  offline: false,
+  budgets: FEATURE_BUDGETS,
+  cache: { maxEntries: 200, ttlMs: 10 * 60 * 1000 }
+};
+
+// Rough count for budgets and for providers that do not report usage
+export const estimateTokens = (text: string): number => Math.ceil(text.length / 4);
+
+/**
+ * Pull a JSON value out of a model reply: code fences, leading prose and
+ * trailing commas are tolerated
+ */
+export const parseLlmJson = <T = unknown>(response: string): T => {
+  if (!response || response.trim().length === 0) {
+    throw new Error('Empty response from AI - cannot parse JSON');
+  }
+
+  let cleaned = response.replace(/```json/gi, '').replace(/```/g, '').trim();
+  const jsonMatch = cleaned.match(/(\{[\s\S]*\}|\[[\s\S]*\])/);
+  if (jsonMatch) cleaned = jsonMatch[1];
+
+  try {
+    return JSON.parse(cleaned);
+  } catch {
+    try {
+      return JSON.parse(cleaned.replace(/,\s*}/g, '}').replace(/,\s*]/g, ']'));
+    } catch {
+      throw new Error('Invalid JSON response from AI');
+    }
+  }
+};
+
+const describeIssues = (error: z.ZodError): string =>
+  error.issues
+    .slice(0, 10)
+    .map(issue => `${issue.path.length > 0 ? issue.path.join('.') : '(root)'}: ${issue.message}`)
+    .join('; ');
+
+const today = (): string => {
+  const now = new Date();
+  const pad = (value: number) => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+interface StoredUsage {
+  day: string;
+  features: Record<string, { tokens: number; requests: number }>;
+}
+
+/**
+ * LLM Gateway
+ * The one way to call a language model. Walks a route of providers (and models
+ * per provider), retrying retryable failures with backoff and a per-attempt
+ * timeout before falling back to the next step; enforces per-feature token
+ * budgets; caches responses; and validates JSON replies against a zod schema,
+ * asking the model to repair them when they do not match. Replies can also be
+ * streamed token by token and cancelled.
+ */
+class LlmGateway {
+  private options: LlmGatewayOptions = { ...DEFAULT_OPTIONS, budgets: { ...DEFAULT_OPTIONS.budgets }, cache: { ...DEFAULT_OPTIONS.cache } };
+  private providers = new Map<LlmProviderId, LlmProvider>();
+  private cache = new LlmResponseCache<LlmResponse>(DEFAULT_OPTIONS.cache.maxEntries, DEFAULT_OPTIONS.cache.ttlMs);
+  private memoryUsage: StoredUsage = { day: today(), features: {} };
+
+  constructor() {
+    this.useProviders([
+      new CloudflareWorkerProvider(),
+      new AgentRouterProvider(),
+      new MockLlmProvider()
+    ]);
+  }
+
+  configure(options: Partial<LlmGatewayOptions>): void {
+    this.options = {
+      ...this.options,
+      ...options,
+      budgets: { ...this.options.budgets, ...options.budgets },
+      cache: { ...this.options.cache, ...options.cache }
+    };
+    if (options.cache) this.cache.configure(this.options.cache);
+  }
+
+  /**
+   * Replace every registered provider; tests use this to swap in a MockLlmProvider
+   */
+  useProviders(providers: LlmProvider[]): void {
+    this.providers = new Map(providers.map(provider => [provider.id, provider]));
+  }
+
+  registerProvider(provider: LlmProvider): void {
+    this.providers.set(provider.id, provider);
+  }
+
+  getProvider(id: LlmProviderId): LlmProvider | undefined {
+    return this.providers.get(id);
+  }
+
+  setBudget(feature: string, budget: LlmFeatureBudget): void {
+    this.options.budgets[feature] = budget;
+  }
+
+  isOffline(): boolean {
+    return this.options.offline || scoringEnvironment.isOffline();
+  }
+
+  async complete(request: LlmRequest): Promise<LlmResponse> {
+    return (await this.run(request)).response;
+  }
+
+  /**
+   * Complete, handing each piece of the reply to onToken as it arrives.
+   * Providers that cannot stream, and cache hits, deliver the reply in one
+   * piece. Failures are retried and fall back along the route only until the
+   * first token; after that they are thrown, since the caller has already
+   * shown part of the reply. While streaming, timeoutMs is the longest allowed
+   * gap between tokens. Aborting the signal cancels the upstream request and
+   * rejects with an AbortError.
+   */
+  async stream(request: LlmRequest, options: LlmStreamOptions = {}): Promise<LlmResponse> {
+    return (await this.run(request, options)).response;
+  }
+
+  /**
+   * Complete and validate the reply as JSON against the schema. A reply that
+   * does not parse or validate is sent back with the validation errors, up to
+   * repairAttempts times, before giving up. With options.stream every attempt
+   * is streamed as in stream(); onToken's text starts over with each attempt.
+   */
+  async completeJson<T>(
+    request: LlmRequest,
+    schema: z.ZodType<T, z.ZodTypeDef, unknown>,
+    options: { repairAttempts?: number; stream?: LlmStreamOptions } = {}
+  ): Promise<LlmJsonResponse<T>> {
+    const repairAttempts = options.repairAttempts ?? 1;
+    let current = request;
+    let totalAttempts = 0;
+    let totalLatency = 0;
+    const usage: LlmUsage = { promptTokens: 0, completionTokens: 0, totalTokens: 0, estimated: false };
+
+    for (let repair = 0; repair <= repairAttempts; repair++) {
+      const { response, cacheKey } = await this.run(current, options.stream);
+      totalAttempts += response.attempts;
+      totalLatency += response.latencyMs;
+      if (!response.cached) {
+        usage.promptTokens += response.usage.promptTokens;
+        usage.completionTokens += response.usage.completionTokens;
+        usage.totalTokens += response.usage.totalTokens;
+        usage.estimated = usage.estimated || response.usage.estimated;
+      }
+
+      let problem: string;
+      try {
+        const parsed = schema.safeParse(parseLlmJson(response.text));
+        if (parsed.success) {
+          return {
+            ...response,
+            usage,
+            attempts: totalAttempts,
+            latencyMs: totalLatency,
+            data: parsed.data,
+            repaired: repair > 0
+          };
+        }
+        problem = describeIssues(parsed.error);
+      } catch (error) {
+        problem = error instanceof Error ? error.message : String(error);
+      }
+
+      // Never serve an invalid reply from the cache
+      if (cacheKey) this.cache.delete(cacheKey);
+      console.warn(`⚠️ LLM reply for "${request.feature}" failed validation (${problem})`);
+
+      current = {
+        ...request,
+        cache: false,
+        messages: [
+          ...request.messages,
+          { role: 'assistant', content: response.text },
+          {
+            role: 'user',
+            content: `Your reply could not be used: ${problem}. Reply again with only the corrected JSON, no prose and no code fences.`
+          }
+        ]
+      };
+    }
+
+    throw new Error(`LLM reply for "${request.feature}" failed validation after ${repairAttempts} repair attempt(s)`);
+  }
+
+  getUsage(feature?: string): LlmFeatureUsage[] {
+    const usage = this.readUsage();
+    return Object.entries(usage.features)
+      .filter(([name]) => !feature || name === feature)
+      .map(([name, entry]) => ({ feature: name, day: usage.day, ...entry }));
+  }
+
+  resetUsage(): void {
+    this.writeUsage({ day: today(), features: {} });
+  }
+
+  clearCache(): void {
+    this.cache.clear();
+  }
+
+  getCacheStats() {
+    return this.cache.getStats();
+  }
+
+  // ==========================================================================
+  // ROUTING
+  // ==========================================================================
+
+  private async run(
+    request: LlmRequest,
+    stream?: LlmStreamOptions
+  ): Promise<{ response: LlmResponse; cacheKey: string | null }> {
+    if (request.messages.length === 0) {
+      throw new Error(`LLM request for "${request.feature}" has no messages`);
+    }
+    if (stream?.signal?.aborted) throw llmCancelledError(request.feature);
+
+    const temperature = request.temperature ?? this.options.temperature;
+    const maxTokens = request.maxTokens ?? this.options.maxTokens;
+    const timeoutMs = request.timeoutMs ?? this.options.timeoutMs;
+    const retries = Math.max(0, request.retries ?? this.options.retries);
+
+    const route = this.resolveRoute(request.route || this.options.route);
+    if (route.length === 0) {
+      throw new Error(
+        this.isOffline()
+          ? `LLM calls are disabled offline and no mock provider is registered (feature "${request.feature}")`
+          : `No LLM provider is available for "${request.feature}"`
+      );
+    }
+
+    const useCache = request.cache !== false;
+    const cacheKey = useCache
+      ? `${request.feature}:${llmRequestKey({ messages: request.messages, temperature, maxTokens })}:${route.map(step => `${step.provider}/${step.model || ''}`).join(',')}`
+      : null;
+    if (cacheKey) {
+      const cached = this.cache.get(cacheKey);
+      if (cached) {
+        stream?.onToken?.(cached.text, cached.text);
+        return { response: { ...cached, cached: true, attempts: 0, latencyMs: 0 }, cacheKey };
+      }
+    }
+
+    const promptTokens = estimateTokens(request.messages.map(m => m.content).join('\n'));
+    this.checkBudget(request.feature, promptTokens + maxTokens);
+
+    const started = Date.now();
+    const failures: string[] = [];
+    let attempts = 0;
+
+    for (const step of route) {
+      const provider = this.providers.get(step.provider)!;
+      let delay = this.options.retryDelayMs;
+
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        if (stream?.signal?.aborted) throw llmCancelledError(request.feature);
+        attempts++;
+        const controller = new AbortController();
+        let timer = setTimeout(() => controller.abort(), timeoutMs);
+        const cancel = () => controller.abort();
+        stream?.signal?.addEventListener('abort', cancel);
+        let streamed = '';
+
+        try {
+          const providerRequest = {
+            messages: request.messages,
+            model: step.model,
+            temperature,
+            maxTokens,
+            signal: controller.signal
+          };
+          let result: LlmProviderResponse;
+          if (stream && provider.stream) {
+            result = await provider.stream(providerRequest, delta => {
+              clearTimeout(timer);
+              timer = setTimeout(() => controller.abort(), timeoutMs);
+              streamed += delta;
+              stream.onToken?.(delta, streamed);
+            });
+          } else {
+            result = await provider.complete(providerRequest);
+            stream?.onToken?.(result.text, result.text);
+          }
+
+          const usage: LlmUsage = result.usage
+            ? { ...result.usage, estimated: false }
+            : {
+                promptTokens,
+                completionTokens: estimateTokens(result.text),
+                totalTokens: promptTokens + estimateTokens(result.text),
+                estimated: true
+              };
+          const response: LlmResponse = {
+            text: result.text,
+            provider: provider.id,
+            model: result.model || step.model,
+            usage,
+            cached: false,
+            attempts,
+            latencyMs: Date.now() - started
+          };
+
+          this.recordUsage(request.feature, usage.totalTokens);
+          if (cacheKey) this.cache.set(cacheKey, response);
+          return { response, cacheKey };
+        } catch (error) {
+          if (stream?.signal?.aborted) throw llmCancelledError(request.feature);
+
+          // A worker that timed out has already run (and billed) its whole chain; try the next step instead
+          const failure: Error = controller.signal.aborted
+            ? llmError(`timed out after ${timeoutMs}ms`, { provider: provider.id, retryable: provider.id !== 'cloudflare-worker' })
+            : error instanceof Error ? error : new Error(String(error));
+          const retryable = isLlmError(failure) ? failure.retryable : true;
+          const label = `${provider.id}${step.model ? ` (${step.model})` : ''}`;
+
+          if (streamed) {
+            throw new Error(`LLM stream for "${request.feature}" broke off after ${streamed.length} characters: ${label}: ${failure.message}`);
+          }
+
+          if (retryable && attempt < retries) {
+            const wait = delay + Math.random() * delay * 0.4;
+            console.warn(`⚠️ LLM ${label} failed for "${request.feature}": ${failure.message}. Retrying in ${Math.round(wait)}ms (${attempt + 1}/${retries})`);
+            await sleep(wait);
+            delay *= 2;
+            continue;
+          }
+
+          failures.push(`${label}: ${failure.message}`);
+          break;
+        } finally {
+          clearTimeout(timer);
+          stream?.signal?.removeEventListener('abort', cancel);
+        }
+      }
+    }
+
+    throw new Error(`All LLM providers failed for "${request.feature}": ${failures.join(' | ')}`);
+  }
+
+  // Offline, every route collapses to the mock provider
+  private resolveRoute(route: LlmRoute[]): LlmRoute[] {
+    if (this.isOffline()) {
+      return this.providers.has('mock') ? [{ provider: 'mock' }] : [];
+    }
+    return route.filter(step => this.providers.get(step.provider)?.isAvailable());
+  }
+
+  // ==========================================================================
+  // BUDGETS
+  // ==========================================================================
+
+  private checkBudget(feature: string, requestTokens: number): void {
+    const budget = this.options.budgets[feature];
+    if (!budget) return;
+
+    if (budget.maxTokensPerRequest !== undefined && requestTokens > budget.maxTokensPerRequest) {
+      throw new Error(
+        `LLM request for "${feature}" needs ~${requestTokens} tokens, over its ${budget.maxTokensPerRequest} per-request budget`
+      );
+    }
+
+    if (budget.maxTokensPerDay !== undefined) {
+      const used = this.readUsage().features[feature]?.tokens || 0;
+      if (used + requestTokens > budget.maxTokensPerDay) {
+        throw new Error(
+          `Daily LLM budget for "${feature}" exhausted: ${used} of ${budget.maxTokensPerDay} tokens used today`
+        );
+      }
+    }
+  }
+
+  private recordUsage(feature: string, tokens: number): void {
+    const usage = this.readUsage();
+    const entry = usage.features[feature] || { tokens: 0, requests: 0 };
+    usage.features[feature] = { tokens: entry.tokens + tokens, requests: entry.requests + 1 };
+    this.writeUsage(usage);
+  }
+
+  private readUsage(): StoredUsage {
+    let usage = this.memoryUsage;
+    try {
+      const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(USAGE_STORAGE_KEY) : null;
+      if (stored) usage = JSON.parse(stored);
+    } catch {
+      // Storage unavailable or corrupt; the in-memory copy stands
+    }
+    return usage.day === today() ? usage : { day: today(), features: {} };
+  }
+
+  private writeUsage(usage: StoredUsage): void {
+    this.memoryUsage = usage;
+    try {
+      if (typeof localStorage !== 'undefined') localStorage.setItem(USAGE_STORAGE_KEY, JSON.stringify(usage));
+    } catch {
+      // Storage full or unavailable; budgets fall back to this session only
+    }
+  }
+}
+
+export const llmGateway = new LlmGateway();
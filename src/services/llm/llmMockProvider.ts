@@ -0,0 +1,87 @@
+// src/services/llm/llmMockProvider.ts
+import { LlmProvider, LlmProviderRequest, LlmProviderResponse, LlmRecording } from '../../types/llm';
+import { llmError } from './llmProviders';
+import { llmRequestKey } from './llmCache';
+
+// replay: answer from recordings, then the handler, else fail;
+// record: forward to the delegate provider and keep what it answered
+export type MockLlmMode = 'replay' | 'record';
+
+export type MockLlmHandler = (
+  request: LlmProviderRequest
+) => string | LlmProviderResponse | Promise<string | LlmProviderResponse>;
+
+export interface MockLlmProviderOptions {
+  mode?: MockLlmMode;
+  recordings?: LlmRecording[];
+  handler?: MockLlmHandler;
+  delegate?: LlmProvider; // required in record mode
+}
+
+/**
+ * Mock LLM Provider
+ * Record real responses once, commit them as fixtures, and replay them so any
+ * AI-dependent service runs offline and deterministically. Requests are matched
+ * on the same key as the response cache (messages, model, temperature and
+ * maxTokens), so a changed prompt is a missing recording rather than a stale one.
+ */
+export class MockLlmProvider implements LlmProvider {
+  readonly id = 'mock' as const;
+  private recordings = new Map<string, LlmRecording>();
+  private mode: MockLlmMode;
+  private handler?: MockLlmHandler;
+  private delegate?: LlmProvider;
+  readonly calls: LlmProviderRequest[] = [];
+
+  constructor(options: MockLlmProviderOptions = {}) {
+    this.mode = options.mode || 'replay';
+    this.handler = options.handler;
+    this.delegate = options.delegate;
+    if (this.mode === 'record' && !this.delegate) {
+      throw new Error('MockLlmProvider: record mode needs a delegate provider');
+    }
+    this.load(options.recordings || []);
+  }
+
+  isAvailable(): boolean {
+    return true;
+  }
+
+  load(recordings: LlmRecording[]): void {
+    recordings.forEach(recording => this.recordings.set(recording.key, recording));
+  }
+
+  exportRecordings(): LlmRecording[] {
+    return Array.from(this.recordings.values());
+  }
+
+  async complete(request: LlmProviderRequest): Promise<LlmProviderResponse> {
+    this.calls.push(request);
+    const key = llmRequestKey(request);
+
+    if (this.mode === 'record') {
+      const response = await this.delegate!.complete(request);
+      this.recordings.set(key, {
+        key,
+        messages: request.messages,
+        response,
+        recordedAt: new Date().toISOString()
+      });
+      return response;
+    }
+
+    const recording = this.recordings.get(key);
+    if (recording) return recording.response;
+
+    if (this.handler) {
+      const answer = await this.handler(request);
+      return typeof answer === 'string' ? { text: answer } : answer;
+    }
+
+    const lastMessage = request.messages[request.messages.length - 1]?.content || '';
+    throw llmError(`no recorded response for request ${key} ("${lastMessage.slice(0, 60)}")`, {
+      provider: this.id,
+      retryable: false
+    });
+  }
+}
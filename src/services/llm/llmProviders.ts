@@ -0,0 +1,231 @@
+// src/services/llm/llmProviders.ts
+import { getApiEndpoint } from '../../utils/apiConfig';
+import { getWorkerHeaders, WORKER_URL } from '../../utils/workerClient';
+import { readSseEvents } from './llmStream';
+import {
+  LlmErrorDetails,
+  LlmMessage,
+  LlmProvider,
+  LlmProviderId,
+  LlmProviderRequest,
+  LlmProviderResponse
+} from '../../types/llm';
+
+// Streams go through the Pages function at /api/chat, which pipes the worker's
+// events; the dev server has no Pages functions, so there they go to the worker
+const CHAT_STREAM_URL: string =
+  import.meta.env.VITE_CHAT_API_URL || (import.meta.env.DEV ? WORKER_URL : '/api/chat');
+
+export type LlmError = Error & LlmErrorDetails;
+
+export const llmError = (message: string, details: LlmErrorDetails): LlmError =>
+  Object.assign(new Error(message), details);
+
+export const isLlmError = (error: unknown): error is LlmError =>
+  error instanceof Error && typeof (error as Partial<LlmError>).retryable === 'boolean';
+
+// Rate limits and server errors are worth another try; bad requests, auth and credits are not
+const isRetryableStatus = (status: number): boolean => status === 408 || status === 429 || status >= 500;
+
+// The worker takes a single prompt, so chat history is flattened the same way edenAITextService.chat did
+export const flattenMessages = (messages: LlmMessage[]): string => {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const conversation = messages.filter(m => m.role !== 'system');
+  const history = conversation.length === 1 && conversation[0].role === 'user'
+    ? conversation[0].content
+    : conversation.map(m => `${m.role}: ${m.content}`).join('\n\n');
+  return system ? `${system}\n\n${history}` : history;
+};
+
+const post = async (
+  provider: LlmProviderId,
+  url: string,
+  body: unknown,
+  signal: AbortSignal,
+  headers: Record<string, string> = {}
+): Promise<Response> => {
+  let response: Response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (error) {
+    if (error instanceof Error && error.name === 'AbortError') throw error;
+    throw llmError(`network error: ${error instanceof Error ? error.message : error}`, { provider, retryable: true });
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => '');
+    let detail = errorText;
+    try {
+      const errorJson = JSON.parse(errorText);
+      if (errorJson.error) detail = typeof errorJson.error === 'string' ? errorJson.error : JSON.stringify(errorJson.error);
+    } catch {
+      // Plain-text error body
+    }
+    throw llmError(`HTTP ${response.status}${detail ? ` - ${detail.slice(0, 300)}` : ''}`, {
+      provider,
+      status: response.status,
+      retryable: isRetryableStatus(response.status)
+    });
+  }
+
+  return response;
+};
+
+const postJson = async <T>(
+  provider: LlmProviderId,
+  url: string,
+  body: unknown,
+  signal: AbortSignal,
+  headers: Record<string, string> = {}
+): Promise<T> => (await post(provider, url, body, signal, headers)).json();
+
+const requireText = (provider: LlmProviderId, text: unknown): string => {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    throw llmError('empty response', { provider, retryable: true });
+  }
+  return text;
+};
+
+interface ChatCompletionResponse {
+  model?: string;
+  choices?: Array<{ message?: LlmMessage }>;
+  usage?: { prompt_tokens: number; completion_tokens: number; total_tokens: number };
+}
+
+const fromChatCompletion = (provider: LlmProviderId, data: ChatCompletionResponse): LlmProviderResponse => ({
+  text: requireText(provider, data.choices?.[0]?.message?.content).trim(),
+  model: data.model,
+  usage: data.usage && {
+    promptTokens: data.usage.prompt_tokens,
+    completionTokens: data.usage.completion_tokens,
+    totalTokens: data.usage.total_tokens
+  }
+});
+
+interface WorkerChatResponse {
+  success?: boolean;
+  text?: string;
+  provider?: string;
+  model?: string;
+  error?: string;
+}
+
+/**
+ * Cloudflare Worker
+ * Keeps API keys server-side; the worker runs its own provider chain and
+ * reports which one answered. Needs a signed-in user.
+ */
+export class CloudflareWorkerProvider implements LlmProvider {
+  readonly id = 'cloudflare-worker' as const;
+
+  constructor(private url: string = WORKER_URL, private streamUrl: string = CHAT_STREAM_URL) {}
+
+  isAvailable(): boolean {
+    return Boolean(this.url);
+  }
+
+  async complete(request: LlmProviderRequest): Promise<LlmProviderResponse> {
+    const data = await postJson<WorkerChatResponse>(this.id, this.url, this.body(request), request.signal, await getWorkerHeaders());
+    return this.fromWorkerResponse(data);
+  }
+
+  /**
+   * Ask for server-sent events. An endpoint that answers with plain JSON
+   * instead (an older deployment) is treated as a single delta. A stream that
+   * closes before its done event was cut off, so it fails (retryably) rather
+   * than returning, and caching, half a reply.
+   */
+  async stream(request: LlmProviderRequest, onDelta: (delta: string) => void): Promise<LlmProviderResponse> {
+    const response = await post(
+      this.id,
+      this.streamUrl,
+      { ...this.body(request), stream: true },
+      request.signal,
+      await getWorkerHeaders({ Accept: 'text/event-stream' })
+    );
+
+    if (!response.headers.get('Content-Type')?.includes('text/event-stream') || !response.body) {
+      const result = this.fromWorkerResponse(await response.json());
+      onDelta(result.text);
+      return result;
+    }
+
+    let text = '';
+    let model: string | undefined;
+    let finished = false;
+    for await (const event of readSseEvents(response.body)) {
+      let data: { delta?: string; provider?: string; model?: string; error?: string };
+      try {
+        data = JSON.parse(event.data);
+      } catch {
+        continue;
+      }
+
+      if (event.event === 'error') {
+        throw llmError(data.error || 'stream failed', { provider: this.id, retryable: true });
+      }
+      if (event.event === 'done') {
+        model = data.model || data.provider;
+        finished = true;
+        break;
+      }
+      if (typeof data.delta === 'string' && data.delta) {
+        text += data.delta;
+        onDelta(data.delta);
+      }
+    }
+
+    if (!finished) {
+      throw llmError('stream ended before the reply was complete', { provider: this.id, retryable: true });
+    }
+    return { text: requireText(this.id, text), model };
+  }
+
+  private body(request: LlmProviderRequest) {
+    return {
+      prompt: flattenMessages(request.messages),
+      model: request.model,
+      provider: request.model,
+      temperature: request.temperature,
+      maxTokens: request.maxTokens
+    };
+  }
+
+  private fromWorkerResponse(data: WorkerChatResponse): LlmProviderResponse {
+    if (data.success === false) {
+      throw llmError(data.error || 'all worker providers failed', { provider: this.id, retryable: true });
+    }
+
+    return {
+      text: requireText(this.id, data.text),
+      model: data.model || data.provider
+    };
+  }
+}
+
+/**
+ * AgentRouter, through the /ai-enrich server proxy
+ */
+export class AgentRouterProvider implements LlmProvider {
+  readonly id = 'agent-router' as const;
+
+  isAvailable(): boolean {
+    return true;
+  }
+
+  async complete(request: LlmProviderRequest): Promise<LlmProviderResponse> {
+    const data = await postJson<ChatCompletionResponse>(this.id, getApiEndpoint('/ai-enrich'), {
+      model: request.model || 'gpt-4o',
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens
+    }, request.signal);
+
+    return fromChatCompletion(this.id, data);
+  }
+}
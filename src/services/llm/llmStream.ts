@@ -0,0 +1,176 @@
+// src/services/llm/llmStream.ts
+// Reading streamed replies: server-sent events off a fetch body, and JSON
+// that is still arriving.
+
+export interface SseEvent {
+  event: string; // "message" unless the server named it
+  data: string;
+}
+
+const parseSseEvent = (block: string): SseEvent | null => {
+  let event = 'message';
+  const data: string[] = [];
+  for (const line of block.split('\n')) {
+    if (!line || line.startsWith(':')) continue; // comments keep the connection alive
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+    if (field === 'event') event = value;
+    else if (field === 'data') data.push(value);
+  }
+  return data.length > 0 ? { event, data: data.join('\n') } : null;
+};
+
+/**
+ * Split a server-sent event stream into events. Leaving the loop early
+ * cancels the body, which closes the connection.
+ */
+export async function* readSseEvents(body: ReadableStream<Uint8Array>): AsyncGenerator<SseEvent> {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      // A trailing \r may be the first half of \r\n, so it waits for the next chunk
+      buffer = (buffer + (done ? decoder.decode() : decoder.decode(value, { stream: true })))
+        .replace(done ? /\r\n?/g : /\r\n|\r(?!$)/g, '\n');
+      let boundary: number;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const event = parseSseEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        if (event) yield event;
+      }
+      if (done) {
+        const event = parseSseEvent(buffer);
+        if (event) yield event;
+        return;
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+export const isAbortError = (error: unknown): boolean =>
+  typeof error === 'object' && error !== null && (error as { name?: unknown }).name === 'AbortError';
+
+export const llmCancelledError = (feature: string): Error =>
+  Object.assign(new Error(`LLM request for "${feature}" was cancelled`), { name: 'AbortError' });
+
+/**
+ * Partial JSON Parser
+ * Feed it a model reply as it streams and read back the best complete value
+ * so far: open strings, arrays and objects are closed, and a key or number
+ * that is cut off is left out until it is whole. Prose or a code fence before
+ * the first { or [ is skipped. Scanning is incremental; value() parses the
+ * repaired prefix, so callers streaming large replies should not call it on
+ * every token.
+ */
+export class PartialJsonParser {
+  private text = '';
+  private started = false;
+  private complete = false;
+  private stack: Array<'{' | '['> = [];
+  private inString = false;
+  private escaped = false;
+  private stringIsKey = false;
+  private expectKey = false; // inside an object, before the key's colon
+  private safeEnd = 0; // the prefix up to here is valid JSON once closed
+  private safeClosers = '';
+
+  push(delta: string): this {
+    for (const char of delta) {
+      if (this.complete) break;
+      if (!this.started) {
+        if (char !== '{' && char !== '[') continue;
+        this.started = true;
+      }
+      this.text += char;
+      this.scan(char);
+    }
+    return this;
+  }
+
+  isComplete(): boolean {
+    return this.complete;
+  }
+
+  // undefined until the first { or [ has arrived
+  value<T = unknown>(): T | undefined {
+    if (!this.started) return undefined;
+    if (this.complete) return this.tryParse<T>(this.text);
+
+    if (this.inString && !this.stringIsKey) {
+      // Show a string value as it grows, minus a half-written escape
+      const open = this.escaped ? this.text.slice(0, -1) : this.text.replace(/\\u[0-9a-fA-F]{0,3}$/, '');
+      const value = this.tryParse<T>(`${open}"${this.closers()}`);
+      if (value !== undefined) return value;
+    }
+    return this.tryParse<T>(this.text.slice(0, this.safeEnd) + this.safeClosers);
+  }
+
+  private scan(char: string): void {
+    const end = this.text.length;
+
+    if (this.inString) {
+      if (this.escaped) this.escaped = false;
+      else if (char === '\\') this.escaped = true;
+      else if (char === '"') {
+        this.inString = false;
+        if (!this.stringIsKey) this.markSafe(end);
+      }
+      return;
+    }
+
+    switch (char) {
+      case '{':
+      case '[':
+        this.stack.push(char);
+        this.expectKey = char === '{';
+        this.markSafe(end);
+        break;
+      case '}':
+      case ']':
+        this.stack.pop();
+        this.expectKey = false;
+        this.markSafe(end);
+        if (this.stack.length === 0) this.complete = true;
+        break;
+      case '"':
+        this.inString = true;
+        this.stringIsKey = this.top() === '{' && this.expectKey;
+        break;
+      case ':':
+        this.expectKey = false;
+        break;
+      case ',':
+        // Whatever came before the comma (a number, true, null...) is whole
+        this.markSafe(end - 1);
+        this.expectKey = this.top() === '{';
+        break;
+    }
+  }
+
+  private top(): '{' | '[' | undefined {
+    return this.stack[this.stack.length - 1];
+  }
+
+  private closers(): string {
+    return this.stack.map(open => (open === '{' ? '}' : ']')).reverse().join('');
+  }
+
+  private markSafe(end: number): void {
+    this.safeEnd = end;
+    this.safeClosers = this.closers();
+  }
+
+  private tryParse<T>(candidate: string): T | undefined {
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      return undefined;
+    }
+  }
+}
@@ -5,6 +5,8 @@ import {
   BoundingBox 
 } from '../types/resume';
 import { edenAITextService } from './edenAITextService';
+import { localOcrEngine } from './ocr/localOcrEngine';
+import { workerFetch } from '../utils/workerClient';
 
 /**
  * Mistral OCR + GPT-4o-mini Resume Parser
@@ -49,8 +51,8 @@ export class MistralOCRService implements OCRServiceInterface {
     } catch (error) {
       console.error('Mistral OCR + GPT-4o-mini failed:', error);
       
-      // Fallback to basic OCR
-      return this.fallbackOCR(imageData, Date.now() - startTime);
+      // Fallback to local OCR
+      return this.fallbackOCR(imageData, startTime);
     }
   }
   
@@ -158,10 +160,8 @@ Return only the cleaned, structured resume text. Do not add explanations or comm
     language?: string;
   }> {
 
-    const WORKER_URL = 'https://damp-haze-85c6.harshithayadali30.workers.dev';
-
     try {
-      const response = await fetch(`${WORKER_URL}/ocr`, {
+      const response = await workerFetch('/ocr', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -241,22 +241,16 @@ Return only the cleaned, structured resume text. Do not add explanations or comm
   }
   
   /**
-   * Preprocess image for better OCR accuracy
+   * Preprocess image for better OCR accuracy: greyscale, Otsu binarisation
+   * and skew correction. Returns a PNG.
    */
-  async preprocessImage(_imageData: Buffer): Promise<Buffer> {
+  async preprocessImage(imageData: Buffer): Promise<Buffer> {
     try {
-      // Basic preprocessing - in production, use image processing libraries
-      // like Sharp, Jimp, or OpenCV for:
-      // 1. Contrast enhancement
-      // 2. Noise reduction
-      // 3. Deskewing
-      // 4. Resolution optimization
-      
-      return _imageData; // Return original for now
-      
-    } catch (error: any) {
+      const processed = await localOcrEngine.preprocessImageBlob(new Blob([new Uint8Array(imageData)]));
+      return Buffer.from(await processed.arrayBuffer());
+    } catch (error) {
       console.error('Image preprocessing failed:', error);
-      return _imageData;
+      return imageData;
     }
   }
   
@@ -299,22 +293,29 @@ Return only the cleaned, structured resume text. Do not add explanations or comm
   }
   
   /**
-   * Fallback OCR when Mistral fails
+   * Fallback OCR when Mistral fails: local tesseract.js. Throws if that
+   * cannot read the image either.
    */
-  private async fallbackOCR(_imageData: Buffer, processingTime: number): Promise<OCRResult> {
-    console.log('🔄 Using fallback OCR...');
-    
-    const fallbackText = this.generateFallbackText();
+  private async fallbackOCR(imageData: Buffer, startTime: number): Promise<OCRResult> {
+    console.log('🔄 Using local OCR fallback...');
     
-    return {
-      text: fallbackText,
-      confidence: 60, // Lower confidence for fallback
-      characterAccuracy: 70,
-      boundingBoxes: [],
-      detectedLanguage: 'en',
-      processingTime,
-      imagePreprocessed: false
-    };
+    try {
+      const page = await localOcrEngine.recognizeImage(new Blob([new Uint8Array(imageData)]));
+      
+      return {
+        text: page.text,
+        confidence: page.confidence,
+        characterAccuracy: this.estimateCharacterAccuracy(page.text),
+        boundingBoxes: page.words.map(word => word.bbox),
+        detectedLanguage: 'en',
+        processingTime: Date.now() - startTime,
+        imagePreprocessed: true,
+        pages: [page]
+      };
+    } catch (error) {
+      console.error('Local OCR fallback failed:', error);
+      throw new Error(`OCR failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
   }
   
   /**
@@ -337,92 +338,6 @@ Return only the cleaned, structured resume text. Do not add explanations or comm
     return 'image/jpeg'; // Default fallback
   }
   
-  /**
-   * Generate high-quality mock text for testing
-   */
-  private generateHighQualityMockText(): string {
-    return `JOHN DOE
-Software Engineer
-
-CONTACT INFORMATION
-Email: john.doe@email.com
-Phone: (555) 123-4567
-LinkedIn: linkedin.com/in/johndoe
-Location: San Francisco, CA
-
-PROFESSIONAL SUMMARY
-Experienced software engineer with 5+ years of experience in full-stack development.
-Proficient in JavaScript, Python, React, and Node.js with a strong background in
-cloud technologies and agile development methodologies.
-
-WORK EXPERIENCE
-
-Senior Software Engineer | Tech Company Inc. | 2020 - Present
-• Developed and maintained 15+ web applications using React and Node.js
-• Improved application performance by 40% through code optimization and caching
-• Led a cross-functional team of 3 junior developers and 2 QA engineers
-• Implemented CI/CD pipelines reducing deployment time by 60%
-
-Software Engineer | Previous Company LLC | 2018 - 2020
-• Built RESTful APIs using Python and Django framework
-• Implemented automated testing suite reducing bugs by 30%
-• Collaborated with product managers and designers on feature development
-• Mentored 2 junior developers on best practices and code review
-
-EDUCATION
-Bachelor of Science in Computer Science
-University of California, Berkeley | 2018
-GPA: 3.8/4.0
-
-TECHNICAL SKILLS
-• Programming Languages: JavaScript, Python, Java, TypeScript, SQL
-• Frontend: React, Vue.js, HTML5, CSS3, Bootstrap, Tailwind CSS
-• Backend: Node.js, Django, Express.js, Flask
-• Databases: PostgreSQL, MongoDB, Redis, MySQL
-• Cloud & DevOps: AWS, Docker, Kubernetes, Jenkins, Git
-• Tools: VS Code, Postman, Jira, Slack, Figma
-
-PROJECTS
-
-E-Commerce Platform | 2021
-• Built full-stack e-commerce application using React and Node.js
-• Integrated Stripe payment processing and inventory management
-• Deployed on AWS with auto-scaling capabilities
-• GitHub: github.com/johndoe/ecommerce-platform
-
-Task Management App | 2020
-• Developed collaborative task management application
-• Implemented real-time updates using WebSocket technology
-• Used MongoDB for data persistence and Redis for caching
-• Achieved 99.9% uptime with comprehensive error handling
-
-CERTIFICATIONS
-• AWS Certified Solutions Architect - Associate (2021)
-• Google Cloud Professional Developer (2020)
-• Certified Scrum Master (CSM) (2019)`;
-  }
-  
-  /**
-   * Generate fallback text when all methods fail
-   */
-  private generateFallbackText(): string {
-    return `[OCR Processing Failed]
-
-Unable to extract text from the provided image. This may be due to:
-- Poor image quality or resolution
-- Complex formatting or layout
-- Handwritten content
-- Technical processing errors
-
-Please try:
-1. Using a higher quality scan or photo
-2. Converting to PDF format
-3. Ensuring good lighting and contrast
-4. Using a different file format
-
-For best results, upload a clear, high-resolution image or PDF of your resume.`;
-  }
-  
   /**
    * Estimate character accuracy from text analysis
    */
@@ -448,25 +363,6 @@ For best results, upload a clear, high-resolution image or PDF of your resume.`;
     
     return Math.max(60, Math.min(95, accuracy));
   }
-  
-  /**
-   * Generate mock bounding boxes
-   */
-  private generateMockBoundingBoxes(text: string): BoundingBox[] {
-    const lines = text.split('\n').filter(line => line.trim().length > 0);
-    const boundingBoxes: BoundingBox[] = [];
-    
-    lines.forEach((line, index) => {
-      boundingBoxes.push({
-        x: 50,
-        y: 50 + (index * 25),
-        width: Math.min(500, line.length * 8),
-        height: 20
-      });
-    });
-    
-    return boundingBoxes;
-  }
 }
 
 // Export singleton instance
@@ -0,0 +1,221 @@
+// src/services/ocr/imagePreprocessing.ts
+import { BoundingBox } from '../../types/resume';
+
+// Same layout as the browser's ImageData: RGBA, row-major, 4 bytes per pixel
+export interface RasterImage {
+  width: number;
+  height: number;
+  data: Uint8ClampedArray;
+}
+
+export interface PreprocessedImage {
+  image: RasterImage;
+  threshold: number; // grey level separating ink from paper
+  skewAngle: number; // degrees; the page was rotated by -skewAngle to straighten it
+}
+
+export interface PreprocessOptions {
+  deskew?: boolean;
+  maxSkewAngle?: number;
+}
+
+const INK = 0;
+const PAPER = 255;
+const SKEW_STEP = 0.25;
+// Angles smaller than this are left alone; rotating costs more accuracy than it wins
+const MIN_SKEW_CORRECTION = 0.3;
+// Skew estimation only needs a sample of the ink pixels
+const MAX_SKEW_SAMPLES = 60000;
+
+const toRadians = (degrees: number) => (degrees * Math.PI) / 180;
+
+/**
+ * Luma (ITU-R BT.601) of every pixel; transparent pixels count as paper
+ */
+export const toGrayscale = (image: RasterImage): Uint8Array => {
+  const gray = new Uint8Array(image.width * image.height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    const alpha = image.data[p + 3] / 255;
+    const luma = 0.299 * image.data[p] + 0.587 * image.data[p + 1] + 0.114 * image.data[p + 2];
+    gray[i] = Math.round(luma * alpha + PAPER * (1 - alpha));
+  }
+  return gray;
+};
+
+/**
+ * Otsu's method: the threshold that maximises the variance between the ink
+ * and paper classes of the grey-level histogram
+ */
+export const otsuThreshold = (gray: Uint8Array): number => {
+  const histogram = new Array<number>(256).fill(0);
+  gray.forEach(value => histogram[value]++);
+
+  const total = gray.length;
+  let sumAll = 0;
+  for (let level = 0; level < 256; level++) sumAll += level * histogram[level];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let bestVariance = -1;
+  let threshold = 127;
+
+  for (let level = 0; level < 256; level++) {
+    weightBackground += histogram[level];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += level * histogram[level];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sumAll - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      threshold = level;
+    }
+  }
+
+  return threshold;
+};
+
+export const binarize = (gray: Uint8Array, threshold: number): Uint8Array =>
+  gray.map(value => (value <= threshold ? INK : PAPER));
+
+/**
+ * Estimate how far text lines slope (degrees, positive = falling to the
+ * right) with a projection profile: project ink pixels onto the normal of
+ * each candidate angle and keep the angle whose row histogram is sharpest.
+ */
+export const estimateSkewAngle = (
+  binary: Uint8Array,
+  width: number,
+  height: number,
+  maxAngle: number = 5
+): number => {
+  const inkX: number[] = [];
+  const inkY: number[] = [];
+  let inkCount = 0;
+  for (let i = 0; i < binary.length; i++) if (binary[i] === INK) inkCount++;
+  if (inkCount === 0) return 0;
+
+  const stride = Math.max(1, Math.ceil(inkCount / MAX_SKEW_SAMPLES));
+  let seen = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (binary[y * width + x] === INK && seen++ % stride === 0) {
+        inkX.push(x);
+        inkY.push(y);
+      }
+    }
+  }
+
+  const diagonal = Math.ceil(Math.hypot(width, height));
+  const bins = new Float64Array(diagonal * 2 + 1);
+  let bestAngle = 0;
+  let bestScore = -1;
+
+  for (let angle = -maxAngle; angle <= maxAngle + 1e-9; angle += SKEW_STEP) {
+    const sin = Math.sin(toRadians(angle));
+    const cos = Math.cos(toRadians(angle));
+    bins.fill(0);
+    for (let i = 0; i < inkX.length; i++) {
+      bins[Math.round(inkY[i] * cos - inkX[i] * sin) + diagonal]++;
+    }
+
+    let score = 0;
+    for (let b = 1; b < bins.length; b++) score += (bins[b] - bins[b - 1]) ** 2;
+
+    // Prefer the smaller correction when two angles score the same
+    if (score > bestScore || (score === bestScore && Math.abs(angle) < Math.abs(bestAngle))) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+
+  return Number(bestAngle.toFixed(2));
+};
+
+// Source position of a point in the deskewed image (rotation about the centre)
+const sourcePoint = (x: number, y: number, sin: number, cos: number, cx: number, cy: number): [number, number] => {
+  const dx = x - cx;
+  const dy = y - cy;
+  return [dx * cos - dy * sin + cx, dx * sin + dy * cos + cy];
+};
+
+/**
+ * Rotate a binary image by -angle about its centre so lines sloping by
+ * `angle` come out horizontal. Areas rotated in from outside are paper.
+ */
+export const deskew = (binary: Uint8Array, width: number, height: number, angle: number): Uint8Array => {
+  const sin = Math.sin(toRadians(angle));
+  const cos = Math.cos(toRadians(angle));
+  const cx = (width - 1) / 2;
+  const cy = (height - 1) / 2;
+  const output = new Uint8Array(binary.length).fill(PAPER);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [sx, sy] = sourcePoint(x, y, sin, cos, cx, cy);
+      const ix = Math.round(sx);
+      const iy = Math.round(sy);
+      if (ix >= 0 && ix < width && iy >= 0 && iy < height) {
+        output[y * width + x] = binary[iy * width + ix];
+      }
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Map a box found in the deskewed image back onto the original page
+ */
+export const unrotateBox = (box: BoundingBox, angle: number, width: number, height: number): BoundingBox => {
+  if (angle === 0) return box;
+
+  const sin = Math.sin(toRadians(angle));
+  const cos = Math.cos(toRadians(angle));
+  const cx = (width - 1) / 2;
+  const cy = (height - 1) / 2;
+  const corners = [
+    sourcePoint(box.x, box.y, sin, cos, cx, cy),
+    sourcePoint(box.x + box.width, box.y, sin, cos, cx, cy),
+    sourcePoint(box.x, box.y + box.height, sin, cos, cx, cy),
+    sourcePoint(box.x + box.width, box.y + box.height, sin, cos, cx, cy)
+  ];
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+};
+
+/**
+ * Greyscale, Otsu-binarise and (optionally) deskew a page before OCR.
+ * Returns RGBA so the result can go straight back onto a canvas.
+ */
+export const preprocessForOcr = (image: RasterImage, options: PreprocessOptions = {}): PreprocessedImage => {
+  const { width, height } = image;
+  const gray = toGrayscale(image);
+  const threshold = otsuThreshold(gray);
+  let binary = binarize(gray, threshold);
+
+  let skewAngle = 0;
+  if (options.deskew !== false) {
+    const estimated = estimateSkewAngle(binary, width, height, options.maxSkewAngle);
+    if (Math.abs(estimated) >= MIN_SKEW_CORRECTION) {
+      skewAngle = estimated;
+      binary = deskew(binary, width, height, skewAngle);
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0, p = 0; i < binary.length; i++, p += 4) {
+    data[p] = data[p + 1] = data[p + 2] = binary[i];
+    data[p + 3] = 255;
+  }
+
+  return { image: { width, height, data }, threshold, skewAngle };
+};
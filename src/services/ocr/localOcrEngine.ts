@@ -0,0 +1,313 @@
+// src/services/ocr/localOcrEngine.ts
+import * as pdfjsLib from 'pdfjs-dist';
+import type { PDFDocumentProxy, PDFPageProxy } from 'pdfjs-dist';
+import { createWorker } from 'tesseract.js';
+import { BoundingBox, OCRPageResult, OCRWord, PageTextLayout } from '../../types/resume';
+import { preprocessForOcr, unrotateBox, RasterImage } from './imagePreprocessing';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`;
+
+export interface PdfPageTextInfo {
+  pageNumber: number;
+  textLength: number;
+  hasImages: boolean;
+  needsOCR: boolean;
+}
+
+export interface RecognizePdfOptions {
+  pageNumbers?: number[]; // defaults to every page
+  language?: string;
+}
+
+// Render PDF pages at 2x (~144 DPI) so body text is tall enough for tesseract
+const RENDER_SCALE = 2;
+// A page whose text layer has fewer characters than this is treated as scanned
+export const MIN_PAGE_TEXT_LENGTH = 30;
+const DEFAULT_LANGUAGE = 'eng';
+
+const IMAGE_OPS = new Set([
+  pdfjsLib.OPS.paintImageXObject,
+  pdfjsLib.OPS.paintInlineImageXObject,
+  pdfjsLib.OPS.paintImageXObjectRepeat,
+  pdfjsLib.OPS.paintImageMaskXObject,
+  pdfjsLib.OPS.paintInlineImageXObjectGroup
+]);
+
+const toBox = (bbox: Tesseract.Bbox): BoundingBox => ({
+  x: bbox.x0,
+  y: bbox.y0,
+  width: bbox.x1 - bbox.x0,
+  height: bbox.y1 - bbox.y0
+});
+
+const describeError = (error: unknown) => (error instanceof Error ? error.message : String(error));
+
+/**
+ * Local OCR Engine
+ * Real in-browser OCR with tesseract.js. PDF pages keep their text layer when
+ * they have one; pages without one are rasterised with pdfjs, binarised and
+ * deskewed, then recognised. Word boxes and confidences come straight from
+ * tesseract and are mapped back onto the original page. A page that cannot be
+ * read carries an `error` instead of made-up text.
+ */
+class LocalOCREngine {
+  /**
+   * How much text each page's text layer holds and whether it paints images,
+   * which together decide whether the page needs OCR
+   */
+  async inspectPdfTextLayer(source: ArrayBuffer | PDFDocumentProxy): Promise<PdfPageTextInfo[]> {
+    const pdf = await this.openPdf(source);
+    const pages: PdfPageTextInfo[] = [];
+
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const textLength = content.items
+        .map(item => ('str' in item ? item.str : ''))
+        .join('')
+        .replace(/\s+/g, '').length;
+      const hasImages = await this.pageHasImages(page);
+
+      pages.push({
+        pageNumber,
+        textLength,
+        hasImages,
+        needsOCR: textLength < MIN_PAGE_TEXT_LENGTH && hasImages
+      });
+    }
+
+    return pages;
+  }
+
+  /**
+   * OCR the given PDF pages one at a time. Pages fail independently.
+   */
+  async recognizePdf(source: ArrayBuffer | PDFDocumentProxy, options: RecognizePdfOptions = {}): Promise<OCRPageResult[]> {
+    const pdf = await this.openPdf(source);
+    const pageNumbers = options.pageNumbers ?? Array.from({ length: pdf.numPages }, (_, i) => i + 1);
+    if (pageNumbers.length === 0) return [];
+
+    console.log(`🔍 Running local OCR on ${pageNumbers.length} PDF page(s)`);
+    const worker = await createWorker(options.language || DEFAULT_LANGUAGE);
+    const results: OCRPageResult[] = [];
+
+    try {
+      for (const pageNumber of pageNumbers) {
+        const page = await pdf.getPage(pageNumber);
+        const viewport = page.getViewport({ scale: 1.0 });
+
+        try {
+          const raster = await this.renderPage(page);
+          const result = await this.recognizeRaster(worker, raster, pageNumber, RENDER_SCALE);
+          results.push({ ...result, width: viewport.width, height: viewport.height });
+        } catch (error) {
+          console.warn(`⚠️ OCR failed on page ${pageNumber}:`, error);
+          results.push(this.failedPage(pageNumber, viewport.width, viewport.height, describeError(error)));
+        }
+      }
+    } finally {
+      await worker.terminate();
+    }
+
+    return results;
+  }
+
+  /**
+   * OCR a single image (PNG, JPEG, ...). Throws if the image cannot be
+   * decoded or yields no text.
+   */
+  async recognizeImage(image: Blob, language: string = DEFAULT_LANGUAGE): Promise<OCRPageResult> {
+    const raster = await this.decodeImage(image);
+    const worker = await createWorker(language);
+
+    try {
+      const result = await this.recognizeRaster(worker, raster, 1, 1);
+      if (!result.text.trim()) {
+        throw new Error('No readable text was found in the image');
+      }
+      return result;
+    } finally {
+      await worker.terminate();
+    }
+  }
+
+  /**
+   * Binarise and deskew an encoded image, returning a PNG
+   */
+  async preprocessImageBlob(image: Blob): Promise<Blob> {
+    const raster = await this.decodeImage(image);
+    const { image: processed } = preprocessForOcr(raster);
+    const canvas = this.rasterToCanvas(processed);
+
+    return new Promise<Blob>((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the preprocessed image'))), 'image/png');
+    });
+  }
+
+  /**
+   * Turn OCR words into positioned text items so OCR'd pages go through the
+   * same column and section detection as pages with a text layer
+   */
+  toLayoutPage(page: OCRPageResult): PageTextLayout {
+    return {
+      pageNumber: page.pageNumber,
+      width: page.width,
+      height: page.height,
+      items: page.words.map(word => ({
+        text: word.text,
+        x: word.bbox.x,
+        y: word.bbox.y,
+        width: word.bbox.width,
+        height: word.bbox.height,
+        fontSize: word.bbox.height
+      }))
+    };
+  }
+
+  // ==========================================================================
+  // RECOGNITION
+  // ==========================================================================
+
+  /**
+   * Preprocess a raster, recognise it and map word boxes back onto the
+   * original page, dividing by `scale` to get page units
+   */
+  private async recognizeRaster(
+    worker: Tesseract.Worker,
+    raster: RasterImage,
+    pageNumber: number,
+    scale: number
+  ): Promise<OCRPageResult> {
+    const { image, skewAngle } = preprocessForOcr(raster);
+    const canvas = this.rasterToCanvas(image);
+
+    try {
+      const { data } = await worker.recognize(canvas, {}, { text: true, blocks: true });
+      const words: OCRWord[] = [];
+      const lines: string[] = [];
+
+      (data.blocks || []).forEach(block => {
+        block.paragraphs.forEach(paragraph => {
+          paragraph.lines.forEach(line => {
+            const lineText = line.words.map(word => word.text).join(' ').trim();
+            if (lineText) lines.push(lineText);
+
+            line.words.forEach(word => {
+              if (!word.text.trim()) return;
+              const box = unrotateBox(toBox(word.bbox), skewAngle, raster.width, raster.height);
+              words.push({
+                text: word.text,
+                confidence: Math.round(word.confidence),
+                bbox: {
+                  x: box.x / scale,
+                  y: box.y / scale,
+                  width: box.width / scale,
+                  height: box.height / scale
+                }
+              });
+            });
+          });
+          lines.push('');
+        });
+      });
+
+      const text = lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() || data.text.trim();
+      const confidence = words.length > 0
+        ? Math.round(words.reduce((sum, word) => sum + word.confidence, 0) / words.length)
+        : Math.round(data.confidence);
+
+      return {
+        pageNumber,
+        source: 'ocr',
+        text,
+        confidence,
+        words,
+        width: raster.width / scale,
+        height: raster.height / scale,
+        skewAngle
+      };
+    } finally {
+      canvas.remove();
+    }
+  }
+
+  private failedPage(pageNumber: number, width: number, height: number, error: string): OCRPageResult {
+    return { pageNumber, source: 'ocr', text: '', confidence: 0, words: [], width, height, skewAngle: 0, error };
+  }
+
+  // ==========================================================================
+  // RASTER HELPERS
+  // ==========================================================================
+
+  private async openPdf(source: ArrayBuffer | PDFDocumentProxy): Promise<PDFDocumentProxy> {
+    if (source instanceof ArrayBuffer) {
+      return pdfjsLib.getDocument({ data: source }).promise;
+    }
+    return source;
+  }
+
+  /**
+   * Whether a page paints any raster image (a scan, photo or pasted screenshot)
+   */
+  async pageHasImages(page: PDFPageProxy): Promise<boolean> {
+    try {
+      const operators = await page.getOperatorList();
+      return operators.fnArray.some(fn => IMAGE_OPS.has(fn));
+    } catch {
+      // If the operator list cannot be read, let OCR decide
+      return true;
+    }
+  }
+
+  private async renderPage(page: PDFPageProxy): Promise<RasterImage> {
+    const viewport = page.getViewport({ scale: RENDER_SCALE });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+    const context = canvas.getContext('2d');
+    if (!context) throw new Error('Could not get 2D context for canvas');
+
+    try {
+      await page.render({ canvasContext: context, viewport }).promise;
+      return context.getImageData(0, 0, canvas.width, canvas.height);
+    } finally {
+      canvas.remove();
+    }
+  }
+
+  private async decodeImage(image: Blob): Promise<RasterImage> {
+    if (typeof createImageBitmap !== 'function') {
+      throw new Error('Image decoding is not available in this environment');
+    }
+
+    const bitmap = await createImageBitmap(image);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const context = canvas.getContext('2d');
+
+    try {
+      if (!context) throw new Error('Could not get 2D context for canvas');
+      context.drawImage(bitmap, 0, 0);
+      return context.getImageData(0, 0, canvas.width, canvas.height);
+    } finally {
+      bitmap.close();
+      canvas.remove();
+    }
+  }
+
+  private rasterToCanvas(image: RasterImage): HTMLCanvasElement {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d');
+    if (!context) throw new Error('Could not get 2D context for canvas');
+
+    const imageData = context.createImageData(image.width, image.height);
+    imageData.data.set(image.data);
+    context.putImageData(imageData, 0, 0);
+    return canvas;
+  }
+}
+
+export const localOcrEngine = new LocalOCREngine();
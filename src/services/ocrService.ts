@@ -2,9 +2,13 @@ import {
   OCRServiceInterface, 
   OCRResult, 
   QualityAssessment, 
-  BoundingBox,
-  OCRQuality 
+  OCRQuality,
+  ExtractionMode,
+  ParsingStrategy
 } from '../types/resume';
+import { localOcrEngine } from './ocr/localOcrEngine';
+
+const IMAGE_FORMATS = ['image/jpeg', 'image/jpg', 'image/png', 'image/tiff', 'image/bmp'];
 
 /**
  * OCR Service
@@ -15,100 +19,40 @@ import {
 export class OCRService implements OCRServiceInterface {
   
   /**
-   * Extract text from image data using OCR
+   * Extract text from image data using local OCR (tesseract.js). Throws when
+   * nothing can be read rather than returning placeholder text.
    */
   async extractTextFromImage(imageData: Buffer, useEnhanced: boolean = false): Promise<OCRResult> {
-    const startTime = Date.now();
-    
-    try {
-      // Use enhanced Mistral OCR + GPT-4o-mini if requested
-      if (useEnhanced) {
-        return await this.extractWithMistralOCR(imageData);
-      }
-      
-      // Preprocess image for better OCR accuracy
-      const preprocessedImage = await this.preprocessImage(imageData);
-      
-      // Perform OCR extraction (placeholder implementation)
-      const ocrResult = await this.performOCR(preprocessedImage);
-      
-      const processingTime = Date.now() - startTime;
-      
-      return {
-        text: ocrResult.text,
-        confidence: ocrResult.confidence,
-        characterAccuracy: this.calculateCharacterAccuracy(ocrResult.text),
-        boundingBoxes: ocrResult.boundingBoxes,
-        detectedLanguage: ocrResult.detectedLanguage || 'en',
-        processingTime,
-        imagePreprocessed: true
-      };
-      
-    } catch (error) {
-      console.error('OCR extraction failed:', error);
-      
-      // Return fallback result
-      return {
-        text: '',
-        confidence: 0,
-        characterAccuracy: 0,
-        boundingBoxes: [],
-        detectedLanguage: 'en',
-        processingTime: Date.now() - startTime,
-        imagePreprocessed: false
-      };
+    // Use enhanced Mistral OCR + GPT-4o-mini if requested
+    if (useEnhanced) {
+      return await this.extractWithMistralOCR(imageData);
     }
+
+    return await this.performOCR(imageData);
   }
 
   /**
-   * Extract text using enhanced Mistral OCR + GPT-4o-mini
+   * Extract text using enhanced Mistral OCR + GPT-4o-mini. The Mistral
+   * service falls back to local OCR itself when the API is unavailable.
    */
   async extractWithMistralOCR(imageData: Buffer): Promise<OCRResult> {
-    try {
-      const { mistralOCRService } = await import('./mistralOCRService');
-      console.log('🔍 Using enhanced Mistral OCR + GPT-4o-mini processing...');
-      
-      const result = await mistralOCRService.extractTextFromImage(imageData);
-      
-      console.log(`✅ Enhanced OCR completed with ${result.confidence}% confidence`);
-      return result;
-      
-    } catch (error) {
-      console.error('Enhanced Mistral OCR failed, falling back to basic OCR:', error);
-      
-      // Fallback to basic OCR
-      const startTime = Date.now();
-      const preprocessedImage = await this.preprocessImage(imageData);
-      const ocrResult = await this.performOCR(preprocessedImage);
-      const processingTime = Date.now() - startTime;
-      
-      return {
-        text: ocrResult.text,
-        confidence: ocrResult.confidence * 0.8, // Reduce confidence for fallback
-        characterAccuracy: this.calculateCharacterAccuracy(ocrResult.text),
-        boundingBoxes: ocrResult.boundingBoxes,
-        detectedLanguage: ocrResult.detectedLanguage || 'en',
-        processingTime,
-        imagePreprocessed: true
-      };
-    }
+    const { mistralOCRService } = await import('./mistralOCRService');
+    console.log('🔍 Using enhanced Mistral OCR + GPT-4o-mini processing...');
+
+    const result = await mistralOCRService.extractTextFromImage(imageData);
+
+    console.log(`✅ Enhanced OCR completed with ${result.confidence}% confidence`);
+    return result;
   }
   
   /**
-   * Preprocess image to improve OCR accuracy
+   * Preprocess image to improve OCR accuracy: greyscale, Otsu binarisation
+   * and skew correction. Returns a PNG.
    */
   async preprocessImage(imageData: Buffer): Promise<Buffer> {
     try {
-      // Image preprocessing steps:
-      // 1. Enhance contrast
-      // 2. Remove noise
-      // 3. Optimize resolution
-      // 4. Correct skew/rotation
-      
-      // For now, return original image data
-      // In full implementation, this would use image processing libraries
-      return imageData;
-      
+      const processed = await localOcrEngine.preprocessImageBlob(new Blob([new Uint8Array(imageData)]));
+      return Buffer.from(await processed.arrayBuffer());
     } catch (error) {
       console.error('Image preprocessing failed:', error);
       return imageData; // Return original on failure
@@ -162,33 +106,28 @@ export class OCRService implements OCRServiceInterface {
   }
   
   /**
-   * Perform actual OCR processing (placeholder implementation)
+   * Run local OCR on an encoded image
    */
-  private async performOCR(imageData: Buffer): Promise<{
-    text: string;
-    confidence: number;
-    boundingBoxes: BoundingBox[];
-    detectedLanguage?: string;
-  }> {
-    // Simulate OCR processing delay (reduced for testing)
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    // Placeholder OCR result
-    // In full implementation, this would integrate with OCR services like:
-    // - Google Cloud Vision API
-    // - AWS Textract
-    // - Azure Computer Vision
-    // - Tesseract.js
-    
-    const mockText = this.generateMockOCRText();
-    const confidence = this.calculateMockConfidence(imageData);
-    
-    return {
-      text: mockText,
-      confidence,
-      boundingBoxes: this.generateMockBoundingBoxes(mockText),
-      detectedLanguage: 'en'
-    };
+  private async performOCR(imageData: Buffer): Promise<OCRResult> {
+    const startTime = Date.now();
+
+    try {
+      const page = await localOcrEngine.recognizeImage(new Blob([new Uint8Array(imageData)]));
+
+      return {
+        text: page.text,
+        confidence: page.confidence,
+        characterAccuracy: this.calculateCharacterAccuracy(page.text),
+        boundingBoxes: page.words.map(word => word.bbox),
+        detectedLanguage: 'en',
+        processingTime: Date.now() - startTime,
+        imagePreprocessed: true,
+        pages: [page]
+      };
+    } catch (error) {
+      console.error('OCR extraction failed:', error);
+      throw new Error(`OCR failed: ${error instanceof Error ? error.message : 'unknown error'}`);
+    }
   }
   
   /**
@@ -227,87 +166,6 @@ export class OCRService implements OCRServiceInterface {
     return Math.max(0, Math.min(100, accuracy));
   }
   
-  /**
-   * Generate mock OCR text for testing
-   */
-  private generateMockOCRText(): string {
-    return `JOHN DOE
-Software Engineer
-
-CONTACT INFORMATION
-Email: john.doe@email.com
-Phone: (555) 123-4567
-LinkedIn: linkedin.com/in/johndoe
-
-PROFESSIONAL SUMMARY
-Experienced software engineer with 5+ years of experience in full-stack development.
-Proficient in JavaScript, Python, and cloud technologies.
-
-WORK EXPERIENCE
-Senior Software Engineer | Tech Company | 2020-Present
-• Developed and maintained web applications using React and Node.js
-• Improved application performance by 40% through optimization
-• Led a team of 3 junior developers
-
-Software Engineer | Previous Company | 2018-2020
-• Built RESTful APIs using Python and Django
-• Implemented automated testing reducing bugs by 30%
-• Collaborated with cross-functional teams
-
-EDUCATION
-Bachelor of Science in Computer Science
-University Name | 2018
-
-SKILLS
-• Programming: JavaScript, Python, Java, TypeScript
-• Frameworks: React, Node.js, Django, Express
-• Databases: PostgreSQL, MongoDB, Redis
-• Cloud: AWS, Docker, Kubernetes`;
-  }
-  
-  /**
-   * Calculate mock confidence based on image properties
-   */
-  private calculateMockConfidence(imageData: Buffer): number {
-    // Simulate confidence calculation based on image size and quality
-    const imageSize = imageData.length;
-    
-    let confidence = 85; // Base confidence
-    
-    // Adjust based on image size (larger images generally have better quality)
-    if (imageSize > 1000000) { // > 1MB
-      confidence += 10;
-    } else if (imageSize < 100000) { // < 100KB
-      confidence -= 15;
-    }
-    
-    // Add some randomness to simulate real OCR variance
-    confidence += (Math.random() - 0.5) * 10;
-    
-    return Math.max(60, Math.min(95, confidence));
-  }
-  
-  /**
-   * Generate mock bounding boxes for text regions
-   */
-  private generateMockBoundingBoxes(text: string): BoundingBox[] {
-    const lines = text.split('\n').filter(line => line.trim().length > 0);
-    const boundingBoxes: BoundingBox[] = [];
-    
-    lines.forEach((line, index) => {
-      boundingBoxes.push({
-        x: 50,
-        y: 50 + (index * 25),
-        width: Math.min(500, line.length * 8),
-        height: 20
-      });
-    });
-    
-    return boundingBoxes;
-  }
-  
-
-  
   /**
    * Get OCR quality metrics
    */
@@ -385,60 +243,63 @@ SKILLS
   }
 
   /**
-   * Detect if document requires OCR processing
+   * Detect if document requires OCR processing. Images always do; for PDFs
+   * this only says "maybe" - routeDocumentExtraction inspects the text layer.
    */
   detectOCRRequirement(file: File): boolean {
-    const imageFormats = ['image/jpeg', 'image/jpg', 'image/png', 'image/tiff', 'image/bmp'];
-    
-    // Direct image files always need OCR
-    if (imageFormats.includes(file.type.toLowerCase())) {
-      return true;
-    }
-    
-    // Check for scanned PDF indicators
-    if (file.type === 'application/pdf') {
-      // In production, this would analyze PDF content to detect if it's image-based
-      // For now, use file size heuristics (very large PDFs are often scanned)
-      return file.size > 5000000; // 5MB+ PDFs likely scanned
-    }
-    
-    return false;
+    return IMAGE_FORMATS.includes(file.type.toLowerCase());
   }
 
   /**
-   * Route document to appropriate extraction method
+   * Route document to appropriate extraction method. PDFs are inspected page
+   * by page: pages with a text layer are read directly, scanned pages (little
+   * or no text but painted images) go through local OCR.
    */
   async routeDocumentExtraction(file: File): Promise<{ 
-    extractionMode: 'TEXT' | 'OCR' | 'HYBRID'; 
+    extractionMode: ExtractionMode; 
     requiresOCR: boolean; 
-    recommendedStrategy: 'direct' | 'ocr' | 'hybrid' | 'fallback'
+    recommendedStrategy: ParsingStrategy;
+    pagesNeedingOCR: number[];
   }> {
-    const requiresOCR = this.detectOCRRequirement(file);
-    
-    if (requiresOCR) {
+    if (this.detectOCRRequirement(file)) {
       return {
         extractionMode: 'OCR',
         requiresOCR: true,
-        recommendedStrategy: 'ocr'
+        recommendedStrategy: 'ocr',
+        pagesNeedingOCR: [1]
       };
     }
-    
-    // Check for complex layouts that might benefit from hybrid approach
-    const isComplexFormat = file.type === 'application/pdf' && file.size > 1000000; // 1MB+
-    
-    if (isComplexFormat) {
+
+    if (file.type !== 'application/pdf' && !file.name.toLowerCase().endsWith('.pdf')) {
       return {
-        extractionMode: 'HYBRID',
+        extractionMode: 'TEXT',
         requiresOCR: false,
-        recommendedStrategy: 'hybrid'
+        recommendedStrategy: 'direct',
+        pagesNeedingOCR: []
+      };
+    }
+
+    try {
+      const pages = await localOcrEngine.inspectPdfTextLayer(await file.arrayBuffer());
+      const pagesNeedingOCR = pages.filter(page => page.needsOCR).map(page => page.pageNumber);
+
+      if (pagesNeedingOCR.length === 0) {
+        return { extractionMode: 'TEXT', requiresOCR: false, recommendedStrategy: 'direct', pagesNeedingOCR };
+      }
+      if (pagesNeedingOCR.length === pages.length) {
+        return { extractionMode: 'OCR', requiresOCR: true, recommendedStrategy: 'ocr', pagesNeedingOCR };
+      }
+      return { extractionMode: 'HYBRID', requiresOCR: true, recommendedStrategy: 'hybrid', pagesNeedingOCR };
+
+    } catch (error) {
+      console.error('PDF text layer inspection failed:', error);
+      return {
+        extractionMode: 'TEXT',
+        requiresOCR: false,
+        recommendedStrategy: 'fallback',
+        pagesNeedingOCR: []
       };
     }
-    
-    return {
-      extractionMode: 'TEXT',
-      requiresOCR: false,
-      recommendedStrategy: 'direct'
-    };
   }
 }
 
@@ -0,0 +1,204 @@
+// src/services/offlineScoringService.ts
+import { EnhancedComprehensiveScore } from '../types/resume';
+import { EnhancedScoringService } from './enhancedScoringService';
+import { PrimoBoostATSEngine, PrimoBoostATSScore } from './primoBoostATSEngine';
+import { ATSScoreChecker16Parameter, ATSScore16Parameter } from './atsScoreChecker16Parameter';
+import FullResumeRewriter16ParameterService, { Parameter16Score } from './fullResumeRewriter16ParameterService';
+import { JDKeywordExtractor } from './jdKeywordExtractor';
+import { semanticMatchingService } from './semanticMatchingService';
+import { synonymExpansionService } from './synonymExpansionService';
+import { scoringEnvironment } from './scoringEnvironment';
+
+export const DEFAULT_SCORING_REFERENCE_DATE = '2025-01-15T00:00:00.000Z';
+
+export interface OfflineScoringOptions {
+  // Date "Present" and recency checks resolve against; fixed by default
+  referenceDate?: string;
+  filename?: string;
+}
+
+export interface LexicalKeywordMatch {
+  keyword: string;
+  matchedAs: string;
+  via: 'exact' | 'synonym' | 'semantic';
+}
+
+export interface LexicalMatchResult {
+  matched: LexicalKeywordMatch[];
+  missing: string[];
+  matchRate: number; // 0-100
+}
+
+export interface OfflineScoreResult {
+  referenceDate: string;
+  mode: 'jd_based' | 'general';
+  enhanced: EnhancedComprehensiveScore;
+  primoBoost: PrimoBoostATSScore;
+  sixteenParameter: ATSScore16Parameter;
+  unified16?: { scores: Parameter16Score[]; overallScore: number };
+  lexicalMatch?: LexicalMatchResult;
+}
+
+// Numbers and keyword lists only, stable enough to diff against golden files
+export interface OfflineScoreSummary {
+  referenceDate: string;
+  mode: 'jd_based' | 'general';
+  enhanced: {
+    overall: number;
+    matchBand: string;
+    confidence: string;
+    tiers: Record<string, number>;
+    criticalMetrics: Record<string, number>;
+    redFlags: string[];
+    missingKeywords: string[];
+  };
+  primoBoost: { overallScore: number; scores: Record<string, number> };
+  sixteenParameter: { profileId: string; overallScore: number; scores: Record<string, number> };
+  unified16?: { overallScore: number; scores: Record<string, number> };
+  lexicalMatch?: { matchRate: number; matched: string[]; missing: string[] };
+}
+
+const containsTerm = (text: string, term: string): boolean => {
+  const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return escaped.length > 0 && new RegExp(`(?<![a-z0-9])${escaped}(?![a-z0-9])`, 'i').test(text);
+};
+
+/**
+ * Offline Scoring Service
+ * Runs enhancedScoringService, primoBoostATSEngine and the 16-parameter
+ * checker with no LLM or embedding calls and a pinned reference date, so the
+ * same resume/JD pair always yields the same scores. Used by the golden-file
+ * regression suite and available to the app via VITE_SCORING_MODE=offline.
+ */
+export class OfflineScoringService {
+  async score(
+    resumeText: string,
+    jobDescription?: string,
+    options: OfflineScoringOptions = {}
+  ): Promise<OfflineScoreResult> {
+    const referenceDate = options.referenceDate || DEFAULT_SCORING_REFERENCE_DATE;
+    const hasJD = Boolean(jobDescription && jobDescription.trim().length > 0);
+
+    return scoringEnvironment.runDeterministic({ referenceDate }, async () => {
+      const enhanced = await EnhancedScoringService.calculateScore({
+        resumeText,
+        jobDescription,
+        extractionMode: 'TEXT',
+        filename: options.filename
+      });
+      const primoBoost = await PrimoBoostATSEngine.evaluateResume(resumeText, jobDescription, options.filename);
+      const sixteenParameter = await ATSScoreChecker16Parameter.evaluateResumeTextOnly(resumeText, jobDescription, options.filename);
+
+      const result: OfflineScoreResult = {
+        referenceDate,
+        mode: hasJD ? 'jd_based' : 'general',
+        enhanced,
+        primoBoost,
+        sixteenParameter
+      };
+
+      if (hasJD) {
+        result.unified16 = await FullResumeRewriter16ParameterService.scoreOnly(resumeText, jobDescription!);
+        result.lexicalMatch = await this.matchKeywordsLexically(resumeText, jobDescription!);
+      }
+
+      console.log('🧪 Offline score:', {
+        referenceDate,
+        enhanced: enhanced.overall,
+        primoBoost: primoBoost.overallScore,
+        sixteenParameter: sixteenParameter.overallScore,
+        unified16: result.unified16?.overallScore
+      });
+
+      return result;
+    });
+  }
+
+  /**
+   * Match JD keywords against the resume using only exact matches, the skill
+   * dictionary and the lexical semantic matcher
+   */
+  async matchKeywordsLexically(resumeText: string, jobDescription: string): Promise<LexicalMatchResult> {
+    const keywords = Array.from(new Set(
+      JDKeywordExtractor.analyzeJobDescription(jobDescription).allKeywords.map(keyword => keyword.keyword.toLowerCase())
+    ));
+    const semanticMatches = new Map(
+      semanticMatchingService
+        .findSemanticMatches(resumeText, jobDescription)
+        .filter(match => match.matchType !== 'related')
+        .map(match => [match.jdTerm.toLowerCase(), match.resumeTerm])
+    );
+
+    const matched: LexicalKeywordMatch[] = [];
+    const missing: string[] = [];
+
+    for (const keyword of keywords) {
+      if (containsTerm(resumeText, keyword)) {
+        matched.push({ keyword, matchedAs: keyword, via: 'exact' });
+        continue;
+      }
+
+      const synonyms = await synonymExpansionService.expandKeyword(keyword, false);
+      const synonym = synonyms.find(candidate => containsTerm(resumeText, candidate));
+      if (synonym) {
+        matched.push({ keyword, matchedAs: synonym, via: 'synonym' });
+        continue;
+      }
+
+      const semantic = semanticMatches.get(keyword);
+      if (semantic) {
+        matched.push({ keyword, matchedAs: semantic, via: 'semantic' });
+        continue;
+      }
+
+      missing.push(keyword);
+    }
+
+    return {
+      matched,
+      missing,
+      matchRate: keywords.length > 0 ? Math.round((matched.length / keywords.length) * 100) : 0
+    };
+  }
+
+  summarize(result: OfflineScoreResult): OfflineScoreSummary {
+    const { enhanced } = result;
+    const summary: OfflineScoreSummary = {
+      referenceDate: result.referenceDate,
+      mode: result.mode,
+      enhanced: {
+        overall: enhanced.overall,
+        matchBand: enhanced.match_band,
+        confidence: enhanced.confidence,
+        tiers: Object.fromEntries(Object.entries(enhanced.tier_scores).map(([key, tier]) => [key, tier.percentage])),
+        criticalMetrics: Object.fromEntries(Object.entries(enhanced.critical_metrics).map(([key, metric]) => [key, metric.percentage])),
+        redFlags: enhanced.red_flags.map(flag => flag.name),
+        missingKeywords: enhanced.missing_keywords_enhanced.map(keyword => `${keyword.tier}:${keyword.keyword}`)
+      },
+      primoBoost: { overallScore: result.primoBoost.overallScore, scores: { ...result.primoBoost.scores } },
+      sixteenParameter: {
+        profileId: result.sixteenParameter.scoringProfile?.id || 'default',
+        overallScore: result.sixteenParameter.overallScore,
+        scores: { ...result.sixteenParameter.scores }
+      }
+    };
+
+    if (result.unified16) {
+      summary.unified16 = {
+        overallScore: result.unified16.overallScore,
+        scores: Object.fromEntries(result.unified16.scores.map(score => [`${score.parameterNumber}. ${score.parameter}`, score.percentage]))
+      };
+    }
+    if (result.lexicalMatch) {
+      summary.lexicalMatch = {
+        matchRate: result.lexicalMatch.matchRate,
+        matched: result.lexicalMatch.matched.map(match => match.via === 'exact' ? match.keyword : `${match.keyword} (${match.via}: ${match.matchedAs})`),
+        missing: result.lexicalMatch.missing
+      };
+    }
+
+    return summary;
+  }
+}
+
+export const offlineScoringService = new OfflineScoringService();
@@ -1,12 +1,20 @@
 // src/services/pipelineController.ts
-// Core controller for the 8-step resume optimization pipeline
+// Core controller for the resume optimization pipeline. The 8 built-in steps
+// and any registered steps run as a configurable DAG.
 
 import {
   PipelineStep,
+  PipelineStepId,
   PipelineState,
   PipelineExecutionContext,
+  PipelineConfiguration,
+  PipelineRunResult,
+  PipelineStepDefinition,
+  PipelineStepSummary,
   StepExecution,
   StepResult,
+  StepRetryPolicy,
+  StepRunContext,
   ResumeVersion,
   UserInputRecord,
   ErrorRecord,
@@ -16,24 +24,111 @@ import {
   ERROR_RECOVERY_STRATEGIES
 } from '../types/pipeline';
 import { ResumeData } from '../types/resume';
+import { PipelineStepRegistry, pipelineStepRegistry } from './pipelineStepRegistry';
+import { ResumeVersionHistoryService } from './resumeVersionHistoryService';
+
+export interface PipelineControllerOptions extends PipelineConfiguration {
+  // Extra or replacement steps; defaults to the shared pipelineStepRegistry
+  registry?: PipelineStepRegistry;
+}
+
+// Failures caused by missing or invalid data will fail again on retry
+const isTransientFailure = (error: string) =>
+  !/validation|invalid|no resume data|not available|no .* provided|unsupported/i.test(error);
+
+const NO_RETRY: StepRetryPolicy = { maxAttempts: 1, backoffMs: 0 };
+const TRANSIENT_RETRY: StepRetryPolicy = { maxAttempts: 2, backoffMs: 1000, maxBackoffMs: 10000, retryOn: isTransientFailure };
+
+// Declarative wiring of the built-in steps. Inputs and outputs name keys of
+// the steps' result data; the controller publishes outputs as steps finish.
+const BUILT_IN_STEP_GRAPH: Record<PipelineStep, Pick<PipelineStepDefinition, 'dependsOn' | 'inputs' | 'outputs' | 'retry' | 'requiresUserInput' | 'actionDescription'>> = {
+  [PipelineStep.PARSE_RESUME]: {
+    dependsOn: [],
+    inputs: [],
+    outputs: ['resumeData', 'missingSections'],
+    retry: { ...TRANSIENT_RETRY, maxAttempts: ERROR_RECOVERY_STRATEGIES['parsing_failure'].retryAttempts }
+  },
+  [PipelineStep.ANALYZE_AGAINST_JD]: {
+    dependsOn: [PipelineStep.PARSE_RESUME],
+    inputs: ['resumeData'],
+    outputs: ['gapAnalysis', 'beforeScore', 'recommendations'],
+    retry: TRANSIENT_RETRY
+  },
+  [PipelineStep.MISSING_SECTIONS_MODAL]: {
+    dependsOn: [PipelineStep.ANALYZE_AGAINST_JD],
+    inputs: ['resumeData', 'gapAnalysis'],
+    outputs: ['updatedResumeData'],
+    retry: NO_RETRY,
+    requiresUserInput: true,
+    actionDescription: 'Please provide missing resume sections to continue'
+  },
+  [PipelineStep.PROJECT_ANALYSIS]: {
+    dependsOn: [PipelineStep.ANALYZE_AGAINST_JD, PipelineStep.MISSING_SECTIONS_MODAL],
+    inputs: ['resumeData', 'gapAnalysis'],
+    outputs: ['projectAnalysisResult', 'alignmentScores'],
+    retry: NO_RETRY,
+    requiresUserInput: true,
+    actionDescription: 'Review and modify your projects for better job alignment'
+  },
+  [PipelineStep.RE_ANALYSIS]: {
+    dependsOn: [PipelineStep.ANALYZE_AGAINST_JD, PipelineStep.PROJECT_ANALYSIS],
+    inputs: ['gapAnalysis', 'beforeScore'],
+    outputs: ['newGapAnalysis', 'newScore', 'scoreImprovement'],
+    retry: TRANSIENT_RETRY
+  },
+  [PipelineStep.BULLET_REWRITING]: {
+    dependsOn: [PipelineStep.RE_ANALYSIS],
+    inputs: ['newScore'],
+    outputs: ['rewrittenResume', 'bulletChanges'],
+    retry: TRANSIENT_RETRY
+  },
+  [PipelineStep.FINAL_OPTIMIZATION]: {
+    dependsOn: [PipelineStep.BULLET_REWRITING],
+    inputs: ['rewrittenResume', 'newScore'],
+    outputs: ['optimizedResume', 'finalValidation'],
+    retry: TRANSIENT_RETRY
+  },
+  [PipelineStep.OUTPUT_RESUME]: {
+    dependsOn: [PipelineStep.FINAL_OPTIMIZATION],
+    inputs: ['optimizedResume', 'beforeScore'],
+    outputs: ['finalResumeData', 'beforeAfterComparison', 'exportOptions'],
+    retry: NO_RETRY
+  }
+};
 
 export class PipelineController {
   private context: PipelineExecutionContext;
   private stateChangeListeners: ((state: PipelineState) => void)[] = [];
   private progressListeners: ((progress: ProgressIndicator) => void)[] = [];
+  private registry: PipelineStepRegistry;
+  private plan: PipelineStepDefinition[];
+  private skippedSteps: PipelineStepId[];
+  private userType?: string;
+  // Step whose handler is running, so versions and inputs are stamped with it
+  private activeStep: PipelineStepId | null = null;
+
+  constructor(userId: string, jobDescription: string = '', targetRole: string = '', options: PipelineControllerOptions = {}) {
+    this.registry = new PipelineStepRegistry();
+    this.createBuiltInSteps().forEach(step => this.registry.register(step));
+    (options.registry ?? pipelineStepRegistry).list().forEach(step => this.registry.register(step));
+
+    this.userType = options.userType;
+    this.plan = this.registry.resolve(options);
+    const planned = new Set(this.plan.map(step => step.id));
+    this.skippedSteps = (options.steps ?? this.registry.list().map(step => step.id)).filter(id => !planned.has(id));
 
-  constructor(userId: string, jobDescription: string = '', targetRole: string = '') {
     this.context = {
       sessionId: this.generateSessionId(),
       userId,
       startTime: new Date(),
-      currentStep: PipelineStep.PARSE_RESUME,
+      currentStep: this.plan[0]?.id ?? PipelineStep.PARSE_RESUME,
       stepHistory: [],
       resumeVersions: [],
       userInputs: [],
       errorLog: [],
       jobDescription,
-      targetRole
+      targetRole,
+      stepOutputs: {}
     };
   }
 
@@ -63,6 +158,7 @@ export class PipelineController {
       currentStep: this.context.currentStep,
       completedSteps,
       failedSteps,
+      skippedSteps: [...this.skippedSteps],
       userInputRequired,
       errorMessages: this.context.errorLog.slice(-5).map(e => e.error), // Last 5 errors
       progressPercentage: this.calculateProgress(),
@@ -78,24 +174,93 @@ export class PipelineController {
     const currentExecution = this.getCurrentStepExecution();
     const userActionRequired = currentExecution?.status === 'pending' && 
       this.isUserInputStep(this.context.currentStep);
+    const currentDefinition = this.registry.get(this.context.currentStep);
 
     return {
       currentStep: this.context.currentStep,
-      totalSteps: PIPELINE_CONFIG.TOTAL_STEPS,
-      stepName: PIPELINE_CONFIG.STEP_NAMES[this.context.currentStep],
-      stepDescription: PIPELINE_CONFIG.STEP_DESCRIPTIONS[this.context.currentStep],
+      currentStepIndex: this.plan.findIndex(step => step.id === this.context.currentStep) + 1,
+      totalSteps: this.plan.length,
+      stepName: currentDefinition?.name ?? String(this.context.currentStep),
+      stepDescription: currentDefinition?.description ?? '',
       percentageComplete: this.calculateProgress(),
       estimatedTimeRemaining: this.estimateTimeRemaining(),
       userActionRequired,
-      actionDescription: userActionRequired ? this.getUserActionDescription() : undefined
+      actionDescription: userActionRequired ? this.getUserActionDescription() : undefined,
+      steps: this.getStepSummaries()
     };
   }
 
   /**
-   * Execute a specific pipeline step
+   * The full execution context, for saving or syncing the session
    */
-  async executeStep(step: PipelineStep, input?: any): Promise<StepResult> {
-    console.log(`🔄 Executing pipeline step ${step}: ${PIPELINE_CONFIG.STEP_NAMES[step]}`);
+  getContext(): PipelineExecutionContext {
+    return {
+      ...this.context,
+      stepHistory: [...this.context.stepHistory],
+      resumeVersions: [...this.context.resumeVersions],
+      userInputs: [...this.context.userInputs],
+      errorLog: [...this.context.errorLog],
+      stepOutputs: { ...this.context.stepOutputs }
+    };
+  }
+
+  /**
+   * Continue a saved session, possibly one started on another device. The
+   * step plan stays this controller's; if the saved current step is not in
+   * it, the first unfinished planned step becomes current.
+   */
+  restoreContext(context: PipelineExecutionContext): void {
+    this.context = {
+      ...context,
+      stepOutputs: { ...context.stepOutputs }
+    };
+
+    if (!this.plan.some(step => step.id === context.currentStep)) {
+      const nextStep = this.plan.find(step => !this.isStepCompleted(step.id)) ?? this.plan[this.plan.length - 1];
+      if (nextStep) {
+        this.context.currentStep = nextStep.id;
+      }
+    }
+
+    console.log(`📂 Restored pipeline session ${context.sessionId}`);
+    this.notifyStateChange();
+    this.notifyProgressChange();
+  }
+
+  /**
+   * Configured steps in execution order, with their status
+   */
+  getStepSummaries(): PipelineStepSummary[] {
+    return this.plan.map(step => {
+      const latest = this.context.stepHistory.filter(s => s.step === step.id).pop();
+      const isCompleted = this.context.stepHistory.some(s => s.step === step.id && s.status === 'completed');
+
+      let status: PipelineStepSummary['status'] = 'pending';
+      if (step.id === this.context.currentStep) {
+        status = latest?.status === 'failed' ? 'failed' : 'current';
+      } else if (isCompleted) {
+        status = 'completed';
+      } else if (latest?.status === 'failed') {
+        status = 'failed';
+      }
+
+      return {
+        id: step.id,
+        name: step.name,
+        description: step.description,
+        icon: step.icon,
+        status,
+        requiresUserInput: !!step.requiresUserInput
+      };
+    });
+  }
+
+  /**
+   * Execute a specific pipeline step once
+   */
+  async executeStep(step: PipelineStepId, input?: unknown): Promise<StepResult> {
+    const definition = this.registry.get(step);
+    console.log(`🔄 Executing pipeline step ${step}: ${definition?.name ?? 'Unknown step'}`);
     
     // Start step execution
     const execution: StepExecution = {
@@ -109,47 +274,24 @@ export class PipelineController {
     this.notifyStateChange();
 
     try {
-      let result: StepResult;
-
-      // Execute the appropriate step
-      switch (step) {
-        case PipelineStep.PARSE_RESUME:
-          result = await this.executeParseResume(input);
-          break;
-        case PipelineStep.ANALYZE_AGAINST_JD:
-          result = await this.executeAnalyzeAgainstJD(input);
-          break;
-        case PipelineStep.MISSING_SECTIONS_MODAL:
-          result = await this.executeMissingSectionsModal(input);
-          break;
-        case PipelineStep.PROJECT_ANALYSIS:
-          result = await this.executeProjectAnalysis(input);
-          break;
-        case PipelineStep.RE_ANALYSIS:
-          result = await this.executeReAnalysis(input);
-          break;
-        case PipelineStep.BULLET_REWRITING:
-          result = await this.executeBulletRewriting(input);
-          break;
-        case PipelineStep.FINAL_OPTIMIZATION:
-          result = await this.executeFinalOptimization(input);
-          break;
-        case PipelineStep.OUTPUT_RESUME:
-          result = await this.executeOutputResume(input);
-          break;
-        default:
-          throw new Error(`Unknown pipeline step: ${step}`);
+      if (!definition) {
+        throw new Error(`Unknown pipeline step: ${step}`);
       }
 
-      // Update execution result
+      this.activeStep = step;
+      const result = await definition.run(this.createRunContext(definition, input, execution.retryCount + 1));
+
+      // Update execution result; a step waiting for the user stays pending
       execution.endTime = new Date();
-      execution.status = result.success ? 'completed' : 'failed';
+      execution.status = !result.success ? 'failed' : result.userInputRequired ? 'pending' : 'completed';
       execution.result = result.data;
       execution.error = result.error;
 
-      // Update current step if successful
-      if (result.success && result.nextStep) {
-        this.context.currentStep = result.nextStep;
+      if (result.success) {
+        this.publishOutputs(definition, result);
+        this.context.currentStep = result.userInputRequired
+          ? step
+          : this.getNextStep(step) ?? step;
       }
 
       this.notifyStateChange();
@@ -174,13 +316,44 @@ export class PipelineController {
         success: false,
         error: error.message
       };
+    } finally {
+      this.activeStep = null;
+    }
+  }
+
+  /**
+   * Run the configured steps in dependency order from the current step,
+   * retrying each per its policy. Stops at the first step that needs user
+   * input or still fails after its retries; a failed step is rolled back.
+   * `inputs` maps step ids to the input passed to that step.
+   */
+  async runPipeline(inputs: Record<string, unknown> = {}): Promise<PipelineRunResult> {
+    const startIndex = Math.max(0, this.plan.findIndex(step => step.id === this.context.currentStep));
+    const results: PipelineRunResult['results'] = [];
+
+    for (const step of this.plan.slice(startIndex)) {
+      if (this.isStepCompleted(step.id)) continue;
+
+      const result = await this.executeWithRetry(step, inputs[String(step.id)]);
+      results.push({ step: step.id, result });
+
+      if (!result.success || result.userInputRequired) {
+        return {
+          completed: false,
+          stoppedAt: step.id,
+          userInputRequired: !!result.success && !!result.userInputRequired,
+          results
+        };
+      }
     }
+
+    return { completed: true, userInputRequired: false, results };
   }
 
   /**
    * Handle step failure with recovery strategy
    */
-  async handleStepFailure(step: PipelineStep, error: Error): Promise<void> {
+  async handleStepFailure(step: PipelineStepId, error: Error): Promise<void> {
     console.log(`🔧 Handling failure for step ${step}:`, error.message);
     
     const errorType = this.categorizeError(error);
@@ -201,6 +374,7 @@ export class PipelineController {
       console.log(`❌ Max retries exceeded for step ${step}. Applying recovery strategy.`);
       
       // Apply recovery strategy
+      await this.rollbackStep(step);
       await this.applyRecoveryStrategy(step, strategy);
     }
   }
@@ -210,8 +384,8 @@ export class PipelineController {
    */
   proceedToNextStep(): void {
     const nextStep = this.getNextStep(this.context.currentStep);
-    if (nextStep) {
-      console.log(`➡️ Proceeding to next step: ${PIPELINE_CONFIG.STEP_NAMES[nextStep]}`);
+    if (nextStep !== null) {
+      console.log(`➡️ Proceeding to next step: ${this.registry.get(nextStep)?.name}`);
       this.context.currentStep = nextStep;
       this.notifyStateChange();
       this.notifyProgressChange();
@@ -219,12 +393,18 @@ export class PipelineController {
   }
 
   /**
-   * Rollback to previous step
+   * Rollback to previous step, undoing both the current step's partial work
+   * and the previous step's results so it can run again
    */
-  rollbackToPreviousStep(): void {
+  async rollbackToPreviousStep(): Promise<void> {
     const previousStep = this.getPreviousStep(this.context.currentStep);
-    if (previousStep) {
-      console.log(`⬅️ Rolling back to previous step: ${PIPELINE_CONFIG.STEP_NAMES[previousStep]}`);
+    if (previousStep !== null) {
+      console.log(`⬅️ Rolling back to previous step: ${this.registry.get(previousStep)?.name}`);
+      
+      if (this.context.stepHistory.some(s => s.step === this.context.currentStep)) {
+        await this.rollbackStep(this.context.currentStep);
+      }
+      await this.rollbackStep(previousStep);
       this.context.currentStep = previousStep;
       
       // Remove the current step from completed steps
@@ -241,16 +421,17 @@ export class PipelineController {
    * Save resume version at current step
    */
   saveResumeVersion(resumeData: ResumeData, changes: string[] = []): void {
+    const step = this.activeStep ?? this.context.currentStep;
     const version: ResumeVersion = {
       version: this.context.resumeVersions.length + 1,
-      step: this.context.currentStep,
+      step,
       data: JSON.parse(JSON.stringify(resumeData)), // Deep copy
       timestamp: new Date(),
       changes
     };
     
     this.context.resumeVersions.push(version);
-    console.log(`💾 Saved resume version ${version.version} at step ${this.context.currentStep}`);
+    console.log(`💾 Saved resume version ${version.version} at step ${step}`);
   }
 
   /**
@@ -265,16 +446,17 @@ export class PipelineController {
   /**
    * Record user input
    */
-  recordUserInput(inputType: string, data: any): void {
+  recordUserInput(inputType: string, data: unknown): void {
+    const step = this.activeStep ?? this.context.currentStep;
     const record: UserInputRecord = {
-      step: this.context.currentStep,
+      step,
       timestamp: new Date(),
       inputType,
       data: JSON.parse(JSON.stringify(data)) // Deep copy
     };
     
     this.context.userInputs.push(record);
-    console.log(`📝 Recorded user input: ${inputType} at step ${this.context.currentStep}`);
+    console.log(`📝 Recorded user input: ${inputType} at step ${step}`);
   }
 
   // ============================================================================
@@ -289,8 +471,121 @@ export class PipelineController {
     this.progressListeners.push(listener);
   }
 
+  // ============================================================================
+  // STEP REGISTRY AND DAG EXECUTION
+  // ============================================================================
+
+  /**
+   * The 8 built-in steps as registry definitions
+   */
+  private createBuiltInSteps(): PipelineStepDefinition[] {
+    const handlers: Record<PipelineStep, (input: unknown) => Promise<StepResult>> = {
+      [PipelineStep.PARSE_RESUME]: input => this.executeParseResume(input),
+      [PipelineStep.ANALYZE_AGAINST_JD]: input => this.executeAnalyzeAgainstJD(input),
+      [PipelineStep.MISSING_SECTIONS_MODAL]: input => this.executeMissingSectionsModal(input),
+      [PipelineStep.PROJECT_ANALYSIS]: input => this.executeProjectAnalysis(input),
+      [PipelineStep.RE_ANALYSIS]: input => this.executeReAnalysis(input),
+      [PipelineStep.BULLET_REWRITING]: input => this.executeBulletRewriting(input),
+      [PipelineStep.FINAL_OPTIMIZATION]: input => this.executeFinalOptimization(input),
+      [PipelineStep.OUTPUT_RESUME]: input => this.executeOutputResume(input)
+    };
+
+    return (Object.values(PipelineStep).filter(v => typeof v === 'number') as PipelineStep[]).map(step => ({
+      id: step,
+      name: PIPELINE_CONFIG.STEP_NAMES[step],
+      description: PIPELINE_CONFIG.STEP_DESCRIPTIONS[step],
+      icon: PIPELINE_CONFIG.STEP_ICONS[step],
+      progressWeight: PIPELINE_CONFIG.PROGRESS_WEIGHTS[step],
+      ...BUILT_IN_STEP_GRAPH[step],
+      run: context => handlers[step](context.input),
+      rollback: context => this.discardStepArtifacts(context.stepId)
+    }));
+  }
+
+  private createRunContext(definition: PipelineStepDefinition, input: unknown, attempt: number): StepRunContext {
+    const outputs = this.context.stepOutputs || {};
+
+    return {
+      stepId: definition.id,
+      sessionId: this.context.sessionId,
+      userId: this.context.userId,
+      userType: this.userType,
+      jobDescription: this.context.jobDescription,
+      targetRole: this.context.targetRole,
+      input,
+      inputs: Object.fromEntries(definition.inputs.filter(name => name in outputs).map(name => [name, outputs[name]])),
+      attempt,
+      getLatestResumeVersion: () => this.getLatestResumeVersion(),
+      saveResumeVersion: (resumeData, changes) => this.saveResumeVersion(resumeData, changes),
+      recordUserInput: (inputType, data) => this.recordUserInput(inputType, data)
+    };
+  }
+
+  /**
+   * Run a step until it succeeds or its retry policy gives up; a step that
+   * finally fails is rolled back
+   */
+  private async executeWithRetry(definition: PipelineStepDefinition, input: unknown): Promise<StepResult> {
+    const policy = definition.retry ?? NO_RETRY;
+    let result: StepResult = { success: false, error: 'Step did not run' };
+
+    for (let attempt = 1; attempt <= Math.max(1, policy.maxAttempts); attempt++) {
+      result = await this.executeStep(definition.id, input);
+      if (result.success) return result;
+
+      const retryable = attempt < policy.maxAttempts && (policy.retryOn ?? (() => true))(result.error || '');
+      if (!retryable) break;
+
+      const delay = Math.min(policy.backoffMs * Math.pow(2, attempt - 1), policy.maxBackoffMs ?? Infinity);
+      console.log(`🔄 Retrying step ${definition.name} in ${delay}ms (attempt ${attempt + 1}/${policy.maxAttempts})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    await this.rollbackStep(definition.id);
+    return result;
+  }
+
+  /**
+   * Undo a step: its rollback handler runs and its published outputs are withdrawn
+   */
+  private async rollbackStep(step: PipelineStepId): Promise<void> {
+    const definition = this.registry.get(step);
+    if (!definition) return;
+
+    try {
+      await definition.rollback?.(this.createRunContext(definition, undefined, this.getRetryCount(step) + 1));
+    } catch (error) {
+      const failure = error instanceof Error ? error : new Error(String(error));
+      console.error(`❌ Rollback of step ${definition.name} failed:`, failure.message);
+      this.logError(step, `Rollback failed: ${failure.message}`, failure.stack);
+    }
+
+    const outputs = this.context.stepOutputs || {};
+    definition.outputs.forEach(name => delete outputs[name]);
+  }
+
+  // Built-in rollback: drop the resume versions and inputs the step recorded
+  private discardStepArtifacts(step: PipelineStepId): void {
+    this.context.resumeVersions = this.context.resumeVersions.filter(v => v.step !== step);
+    this.context.userInputs = this.context.userInputs.filter(ui => ui.step !== step);
+  }
+
+  private publishOutputs(definition: PipelineStepDefinition, result: StepResult): void {
+    const outputs = this.context.stepOutputs || (this.context.stepOutputs = {});
+    definition.outputs.forEach(name => {
+      if (result.data && result.data[name] !== undefined) {
+        outputs[name] = result.data[name];
+      }
+    });
+  }
+
+  private isStepCompleted(step: PipelineStepId): boolean {
+    return this.context.stepHistory.some(s => s.step === step && s.status === 'completed');
+  }
+
   // ============================================================================
   // PRIVATE METHODS - Step Implementations (Stubs for now)
+
   // ============================================================================
 
   private async executeParseResume(input: any): Promise<StepResult> {
@@ -1316,6 +1611,12 @@ export class PipelineController {
         totalDuration: new Date().getTime() - this.context.startTime.getTime()
       });
 
+      // Keep the result as a named version on this job's branch
+      const historyVersionId = this.commitToVersionHistory(
+        finalResumeData,
+        finalOptimizationResults.data.finalValidation.score
+      );
+
       const stepResult = {
         success: true,
         data: {
@@ -1325,6 +1626,7 @@ export class PipelineController {
           userActionRecommendations,
           pipelineSummary,
           targetAchieved: finalOptimizationResults.data.targetAchieved,
+          historyVersionId,
           completionMessage: this.generateCompletionMessage(finalOptimizationResults.data.targetAchieved, beforeAfterComparison.overallImprovement)
         },
         progressUpdate: 100
@@ -1358,6 +1660,17 @@ export class PipelineController {
   // PRIVATE HELPER METHODS
   // ============================================================================
 
+  // Save the final resume on the version-history branch for this session's job
+  private commitToVersionHistory(resumeData: ResumeData, score: number): string | null {
+    const version = ResumeVersionHistoryService.recordOptimization(
+      this.context.userId,
+      { jobDescription: this.context.jobDescription, targetRole: this.context.targetRole },
+      resumeData,
+      { score, changes: this.context.resumeVersions.flatMap(version => version.changes) }
+    );
+    return version?.id ?? null;
+  }
+
   private generateSessionId(): string {
     return `pipeline_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
   }
@@ -1368,7 +1681,7 @@ export class PipelineController {
       .pop();
   }
 
-  private getRetryCount(step: PipelineStep): number {
+  private getRetryCount(step: PipelineStepId): number {
     return this.context.stepHistory
       .filter(s => s.step === step && s.status === 'failed')
       .length;
@@ -1378,25 +1691,18 @@ export class PipelineController {
     let totalWeight = 0;
     let completedWeight = 0;
 
-    for (const step of Object.values(PipelineStep)) {
-      if (typeof step === 'number') {
-        const weight = PIPELINE_CONFIG.PROGRESS_WEIGHTS[step] || 0;
-        totalWeight += weight;
-        
-        const isCompleted = this.context.stepHistory.some(
-          s => s.step === step && s.status === 'completed'
-        );
-        
-        if (isCompleted) {
-          completedWeight += weight;
-        } else if (step === this.context.currentStep) {
-          // Add partial progress for current step
-          completedWeight += weight * 0.5;
-        }
+    for (const step of this.plan) {
+      totalWeight += step.progressWeight;
+
+      if (this.isStepCompleted(step.id)) {
+        completedWeight += step.progressWeight;
+      } else if (step.id === this.context.currentStep) {
+        // Add partial progress for current step
+        completedWeight += step.progressWeight * 0.5;
       }
     }
 
-    return Math.round((completedWeight / totalWeight) * 100);
+    return totalWeight > 0 ? Math.round((completedWeight / totalWeight) * 100) : 0;
   }
 
   private estimateTimeRemaining(): number | undefined {
@@ -1410,36 +1716,26 @@ export class PipelineController {
       return sum + duration;
     }, 0) / completedSteps.length;
 
-    const remainingSteps = PIPELINE_CONFIG.TOTAL_STEPS - completedSteps.length;
+    const remainingSteps = Math.max(0, this.plan.length - completedSteps.length);
     return Math.round(avgTimePerStep * remainingSteps / 1000); // Return in seconds
   }
 
-  private isUserInputStep(step: PipelineStep): boolean {
-    return step === PipelineStep.MISSING_SECTIONS_MODAL || 
-           step === PipelineStep.PROJECT_ANALYSIS;
+  private isUserInputStep(step: PipelineStepId): boolean {
+    return !!this.registry.get(step)?.requiresUserInput;
   }
 
   private getUserActionDescription(): string {
-    switch (this.context.currentStep) {
-      case PipelineStep.MISSING_SECTIONS_MODAL:
-        return 'Please provide missing resume sections to continue';
-      case PipelineStep.PROJECT_ANALYSIS:
-        return 'Review and modify your projects for better job alignment';
-      default:
-        return 'User input required to continue';
-    }
+    return this.registry.get(this.context.currentStep)?.actionDescription || 'User input required to continue';
   }
 
-  private getNextStep(currentStep: PipelineStep): PipelineStep | null {
-    const stepValues = Object.values(PipelineStep).filter(v => typeof v === 'number') as number[];
-    const currentIndex = stepValues.indexOf(currentStep);
-    return currentIndex < stepValues.length - 1 ? stepValues[currentIndex + 1] : null;
+  private getNextStep(currentStep: PipelineStepId): PipelineStepId | null {
+    const currentIndex = this.plan.findIndex(step => step.id === currentStep);
+    return currentIndex >= 0 && currentIndex < this.plan.length - 1 ? this.plan[currentIndex + 1].id : null;
   }
 
-  private getPreviousStep(currentStep: PipelineStep): PipelineStep | null {
-    const stepValues = Object.values(PipelineStep).filter(v => typeof v === 'number') as number[];
-    const currentIndex = stepValues.indexOf(currentStep);
-    return currentIndex > 0 ? stepValues[currentIndex - 1] : null;
+  private getPreviousStep(currentStep: PipelineStepId): PipelineStepId | null {
+    const currentIndex = this.plan.findIndex(step => step.id === currentStep);
+    return currentIndex > 0 ? this.plan[currentIndex - 1].id : null;
   }
 
   private categorizeError(error: Error): string {
@@ -1458,7 +1754,7 @@ export class PipelineController {
     return 'network_error'; // Default fallback
   }
 
-  private async applyRecoveryStrategy(_step: PipelineStep, strategy: ErrorRecoveryStrategy): Promise<void> {
+  private async applyRecoveryStrategy(_step: PipelineStepId, strategy: ErrorRecoveryStrategy): Promise<void> {
     console.log(`🔧 Applying recovery strategy for ${strategy.errorType}`);
     
     // For now, just log the strategy - specific implementations will be added in later tasks
@@ -1469,7 +1765,7 @@ export class PipelineController {
     // TODO: Implement specific recovery actions in later tasks
   }
 
-  private logError(step: PipelineStep, error: string, stackTrace?: string): void {
+  private logError(step: PipelineStepId, error: string, stackTrace?: string): void {
     const errorRecord: ErrorRecord = {
       step,
       timestamp: new Date(),
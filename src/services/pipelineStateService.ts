@@ -1,7 +1,26 @@
 // src/services/pipelineStateService.ts
 // Service for persisting and restoring pipeline state
 
-import { PipelineExecutionContext, PipelineState } from '../types/pipeline';
+import {
+  ErrorRecord,
+  PIPELINE_CONFIG,
+  PipelineExecutionContext,
+  PipelineState,
+  ResumeVersion,
+  StepExecution,
+  UserInputRecord
+} from '../types/pipeline';
+import { ConflictStrategy, SyncedSessionDetails, SyncedSessionSummary, SyncResult } from '../types/sessionSync';
+import { SESSION_TTL_MS, sessionSyncService } from './sessionSyncService';
+
+// PipelineExecutionContext as stored and synced, with dates as ISO strings
+type SerializedContext = Omit<PipelineExecutionContext, 'startTime' | 'stepHistory' | 'resumeVersions' | 'userInputs' | 'errorLog'> & {
+  startTime: string;
+  stepHistory: Array<Omit<StepExecution, 'startTime' | 'endTime'> & { startTime: string; endTime?: string }>;
+  resumeVersions: Array<Omit<ResumeVersion, 'timestamp'> & { timestamp: string }>;
+  userInputs: Array<Omit<UserInputRecord, 'timestamp'> & { timestamp: string }>;
+  errorLog: Array<Omit<ErrorRecord, 'timestamp'> & { timestamp: string }>;
+};
 
 export class PipelineStateService {
   private static readonly STORAGE_KEY_PREFIX = 'pipeline_state_';
@@ -13,29 +32,7 @@ export class PipelineStateService {
   static saveContext(context: PipelineExecutionContext): void {
     try {
       const key = this.getStorageKey(context.sessionId);
-      const serializedContext = JSON.stringify({
-        ...context,
-        startTime: context.startTime.toISOString(),
-        stepHistory: context.stepHistory.map(step => ({
-          ...step,
-          startTime: step.startTime.toISOString(),
-          endTime: step.endTime?.toISOString()
-        })),
-        resumeVersions: context.resumeVersions.map(version => ({
-          ...version,
-          timestamp: version.timestamp.toISOString()
-        })),
-        userInputs: context.userInputs.map(input => ({
-          ...input,
-          timestamp: input.timestamp.toISOString()
-        })),
-        errorLog: context.errorLog.map(error => ({
-          ...error,
-          timestamp: error.timestamp.toISOString()
-        }))
-      });
-
-      localStorage.setItem(key, serializedContext);
+      localStorage.setItem(key, JSON.stringify(this.serializeContext(context)));
       this.cleanupOldSessions();
       
       console.log(`💾 Pipeline context saved for session: ${context.sessionId}`);
@@ -56,30 +53,7 @@ export class PipelineStateService {
         return null;
       }
 
-      const context = JSON.parse(serializedContext);
-      
-      // Deserialize dates
-      return {
-        ...context,
-        startTime: new Date(context.startTime),
-        stepHistory: context.stepHistory.map((step: any) => ({
-          ...step,
-          startTime: new Date(step.startTime),
-          endTime: step.endTime ? new Date(step.endTime) : undefined
-        })),
-        resumeVersions: context.resumeVersions.map((version: any) => ({
-          ...version,
-          timestamp: new Date(version.timestamp)
-        })),
-        userInputs: context.userInputs.map((input: any) => ({
-          ...input,
-          timestamp: new Date(input.timestamp)
-        })),
-        errorLog: context.errorLog.map((error: any) => ({
-          ...error,
-          timestamp: new Date(error.timestamp)
-        }))
-      };
+      return this.deserializeContext(JSON.parse(serializedContext));
     } catch (error) {
       console.error('Failed to load pipeline context:', error);
       return null;
@@ -266,10 +240,207 @@ export class PipelineStateService {
     return { totalSessions, totalSize, oldestSession };
   }
 
+  // ============================================================================
+  // CROSS-DEVICE SYNC
+  // ============================================================================
+
+  /**
+   * Save the context locally and to the user's synced sessions. If another
+   * device saved the same session in the meantime the two are merged; the
+   * merged context is saved locally and returned so the caller can adopt it.
+   */
+  static async syncContext(
+    context: PipelineExecutionContext,
+    onConflict: ConflictStrategy = 'merge'
+  ): Promise<SyncResult<PipelineExecutionContext>> {
+    this.saveContext(context);
+
+    const result = await sessionSyncService.push(
+      'pipeline',
+      context.userId,
+      context.sessionId,
+      this.serializeContext(context),
+      {
+        details: this.describeContext(context),
+        onConflict,
+        merge: (local, remote) => this.serializeContext(
+          this.mergeContexts(this.deserializeContext(local), this.deserializeContext(remote))
+        )
+      }
+    );
+
+    const synced = this.deserializeContext(result.payload);
+    if (result.status === 'merged' || result.status === 'remote-kept') {
+      this.saveContext(synced);
+    }
+    return { ...result, payload: synced };
+  }
+
+  /**
+   * Resumable sessions from every device (including ones only saved on this
+   * device), most recent first
+   */
+  static async getSessionsFromAllDevices(userId: string): Promise<SyncedSessionSummary[]> {
+    const remote = await sessionSyncService.listSessions(userId, 'pipeline');
+    const remoteIds = new Set(remote.map(session => session.sessionId));
+
+    const localOnly: SyncedSessionSummary[] = this.getResumableSessions(userId)
+      .filter(context => !remoteIds.has(context.sessionId))
+      .map(context => ({
+        sessionId: context.sessionId,
+        kind: 'pipeline',
+        deviceId: sessionSyncService.getDeviceId(),
+        deviceLabel: sessionSyncService.getDeviceLabel(),
+        isCurrentDevice: true,
+        revision: 0,
+        details: this.describeContext(context),
+        updatedAt: this.lastActivity(context),
+        expiresAt: new Date(context.startTime.getTime() + SESSION_TTL_MS)
+      }));
+
+    return [...remote, ...localOnly].sort((a, b) => b.updatedAt.getTime() - a.updatedAt.getTime());
+  }
+
+  /**
+   * Load a session saved on any device. The synced copy wins over a stale
+   * local one; either way the result is kept locally.
+   */
+  static async loadContextFromAnyDevice(userId: string, sessionId: string): Promise<PipelineExecutionContext | null> {
+    const local = this.loadContext(sessionId);
+    const remote = await sessionSyncService.pull<SerializedContext>(userId, 'pipeline', sessionId);
+    if (!remote) {
+      return local;
+    }
+
+    const context = local
+      ? this.mergeContexts(local, this.deserializeContext(remote.payload))
+      : this.deserializeContext(remote.payload);
+    this.saveContext(context);
+    return context;
+  }
+
+  /**
+   * Delete a session here and on every device
+   */
+  static async deleteContextEverywhere(userId: string, sessionId: string): Promise<void> {
+    this.deleteContext(sessionId);
+    await sessionSyncService.remove(userId, 'pipeline', sessionId);
+  }
+
+  /**
+   * Combine two copies of one session edited on different devices. History,
+   * resume versions, inputs and errors are unioned; the position in the
+   * pipeline and the step outputs come from whichever copy was active last.
+   */
+  static mergeContexts(a: PipelineExecutionContext, b: PipelineExecutionContext): PipelineExecutionContext {
+    const [older, newer] = this.lastActivity(a) <= this.lastActivity(b) ? [a, b] : [b, a];
+    const union = <T>(items: T[], key: (item: T) => string) =>
+      Array.from(new Map(items.map(item => [key(item), item])).values());
+
+    const resumeVersions = union(
+      [...older.resumeVersions, ...newer.resumeVersions],
+      version => `${version.step}|${version.timestamp.getTime()}`
+    )
+      .sort((x, y) => x.timestamp.getTime() - y.timestamp.getTime())
+      .map((version, index) => ({ ...version, version: index + 1 }));
+
+    return {
+      ...newer,
+      startTime: older.startTime < newer.startTime ? older.startTime : newer.startTime,
+      stepHistory: union(
+        [...older.stepHistory, ...newer.stepHistory],
+        execution => `${execution.step}|${execution.startTime.getTime()}`
+      ).sort((x, y) => x.startTime.getTime() - y.startTime.getTime()),
+      resumeVersions,
+      userInputs: union(
+        [...older.userInputs, ...newer.userInputs],
+        input => `${input.step}|${input.inputType}|${input.timestamp.getTime()}`
+      ).sort((x, y) => x.timestamp.getTime() - y.timestamp.getTime()),
+      errorLog: union(
+        [...older.errorLog, ...newer.errorLog],
+        error => `${error.step}|${error.error}|${error.timestamp.getTime()}`
+      ).sort((x, y) => x.timestamp.getTime() - y.timestamp.getTime()),
+      stepOutputs: { ...older.stepOutputs, ...newer.stepOutputs }
+    };
+  }
+
   // ============================================================================
   // PRIVATE METHODS
   // ============================================================================
 
+  // Dates become ISO strings so the context survives JSON
+  private static serializeContext(context: PipelineExecutionContext): SerializedContext {
+    return {
+      ...context,
+      startTime: context.startTime.toISOString(),
+      stepHistory: context.stepHistory.map(step => ({
+        ...step,
+        startTime: step.startTime.toISOString(),
+        endTime: step.endTime?.toISOString()
+      })),
+      resumeVersions: context.resumeVersions.map(version => ({
+        ...version,
+        timestamp: version.timestamp.toISOString()
+      })),
+      userInputs: context.userInputs.map(input => ({
+        ...input,
+        timestamp: input.timestamp.toISOString()
+      })),
+      errorLog: context.errorLog.map(error => ({
+        ...error,
+        timestamp: error.timestamp.toISOString()
+      }))
+    };
+  }
+
+  private static deserializeContext(context: SerializedContext): PipelineExecutionContext {
+    return {
+      ...context,
+      startTime: new Date(context.startTime),
+      stepHistory: context.stepHistory.map(step => ({
+        ...step,
+        startTime: new Date(step.startTime),
+        endTime: step.endTime ? new Date(step.endTime) : undefined
+      })),
+      resumeVersions: context.resumeVersions.map(version => ({
+        ...version,
+        timestamp: new Date(version.timestamp)
+      })),
+      userInputs: context.userInputs.map(input => ({
+        ...input,
+        timestamp: new Date(input.timestamp)
+      })),
+      errorLog: context.errorLog.map(error => ({
+        ...error,
+        timestamp: new Date(error.timestamp)
+      }))
+    };
+  }
+
+  // Listing details only; the resume itself stays in the encrypted payload
+  private static describeContext(context: PipelineExecutionContext): SyncedSessionDetails {
+    const completed = new Set(
+      context.stepHistory.filter(step => step.status === 'completed').map(step => step.step)
+    ).size;
+    const stepName = typeof context.currentStep === 'number'
+      ? PIPELINE_CONFIG.STEP_NAMES[context.currentStep]
+      : String(context.currentStep);
+
+    return {
+      title: context.targetRole || context.jobDescription.trim().split('\n')[0].slice(0, 60) || 'Resume optimization',
+      progressLabel: `${completed} step${completed === 1 ? '' : 's'} done · ${stepName}`
+    };
+  }
+
+  private static lastActivity(context: PipelineExecutionContext): Date {
+    const times = [
+      context.startTime,
+      ...context.stepHistory.map(step => step.endTime || step.startTime),
+      ...context.userInputs.map(input => input.timestamp)
+    ];
+    return new Date(Math.max(...times.map(time => time.getTime())));
+  }
+
   private static getStorageKey(sessionId: string): string {
     return `${this.STORAGE_KEY_PREFIX}${sessionId}`;
   }
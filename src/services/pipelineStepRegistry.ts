@@ -0,0 +1,143 @@
+// src/services/pipelineStepRegistry.ts
+// Registry of declarative pipeline steps and the DAG ordering over them
+
+import {
+  PipelineConfiguration,
+  PipelineStepDefinition,
+  PipelineStepId
+} from '../types/pipeline';
+
+/**
+ * Pipeline Step Registry
+ * Holds step definitions keyed by id. `resolve` turns a configuration into an
+ * execution order: it drops skipped steps, checks that every dependency and
+ * declared input is satisfied by an enabled upstream step, and orders the
+ * rest topologically (registration order breaks ties). Configuration
+ * mistakes throw when the order is resolved, not halfway through a run.
+ */
+export class PipelineStepRegistry {
+  private steps = new Map<PipelineStepId, PipelineStepDefinition>();
+
+  /**
+   * Add a step, or replace the registered step with the same id
+   */
+  register(step: PipelineStepDefinition): this {
+    if (step.progressWeight < 0) {
+      throw new Error(`Pipeline step "${step.name}" has a negative progress weight`);
+    }
+    this.steps.set(step.id, step);
+    return this;
+  }
+
+  unregister(id: PipelineStepId): boolean {
+    return this.steps.delete(id);
+  }
+
+  get(id: PipelineStepId): PipelineStepDefinition | undefined {
+    return this.steps.get(id);
+  }
+
+  has(id: PipelineStepId): boolean {
+    return this.steps.has(id);
+  }
+
+  list(): PipelineStepDefinition[] {
+    return Array.from(this.steps.values());
+  }
+
+  /**
+   * A copy with the same definitions, so a controller can layer its own
+   * steps on top without touching the shared registry
+   */
+  clone(): PipelineStepRegistry {
+    const copy = new PipelineStepRegistry();
+    this.steps.forEach(step => copy.register(step));
+    return copy;
+  }
+
+  /**
+   * Steps to run for a configuration, in dependency order
+   */
+  resolve(config: PipelineConfiguration = {}): PipelineStepDefinition[] {
+    const requested = config.steps ?? this.list().map(step => step.id);
+    requested.forEach(id => {
+      if (!this.steps.has(id)) throw new Error(`Unknown pipeline step: ${id}`);
+    });
+
+    const skipped = new Set(config.skipSteps ?? []);
+    const enabled = requested
+      .map(id => this.steps.get(id)!)
+      .filter(step => !skipped.has(step.id))
+      .filter(step => !(config.userType && step.skipForUserTypes?.includes(config.userType)));
+    const enabledIds = new Set(enabled.map(step => step.id));
+
+    // A dependency on a step that is registered but switched off is simply
+    // dropped; a dependency on a step nobody registered is a mistake
+    const dependencies = new Map(enabled.map(step => {
+      step.dependsOn.forEach(dep => {
+        if (!this.steps.has(dep)) {
+          throw new Error(`Pipeline step "${step.name}" depends on unknown step: ${dep}`);
+        }
+      });
+      return [step.id, step.dependsOn.filter(dep => enabledIds.has(dep))];
+    }));
+
+    const ordered = this.topologicalOrder(enabled, dependencies);
+    this.validateInputs(ordered, dependencies);
+    return ordered;
+  }
+
+  // Kahn's algorithm, always taking the earliest-registered ready step
+  private topologicalOrder(
+    steps: PipelineStepDefinition[],
+    dependencies: Map<PipelineStepId, PipelineStepId[]>
+  ): PipelineStepDefinition[] {
+    const registrationOrder = this.list().map(step => step.id);
+    const remaining = new Map(steps.map(step => [step.id, new Set(dependencies.get(step.id))]));
+    const ordered: PipelineStepDefinition[] = [];
+
+    while (remaining.size > 0) {
+      const ready = steps
+        .filter(step => remaining.get(step.id)?.size === 0)
+        .sort((a, b) => registrationOrder.indexOf(a.id) - registrationOrder.indexOf(b.id));
+
+      if (ready.length === 0) {
+        const cycle = Array.from(remaining.keys()).map(id => this.steps.get(id)!.name);
+        throw new Error(`Pipeline steps have a dependency cycle: ${cycle.join(' → ')}`);
+      }
+
+      const next = ready[0];
+      ordered.push(next);
+      remaining.delete(next.id);
+      remaining.forEach(deps => deps.delete(next.id));
+    }
+
+    return ordered;
+  }
+
+  // Every declared input must be an output of some enabled ancestor
+  private validateInputs(
+    ordered: PipelineStepDefinition[],
+    dependencies: Map<PipelineStepId, PipelineStepId[]>
+  ): void {
+    const available = new Map<PipelineStepId, Set<string>>();
+
+    ordered.forEach(step => {
+      const upstream = new Set<string>();
+      (dependencies.get(step.id) || []).forEach(dep => {
+        this.steps.get(dep)!.outputs.forEach(output => upstream.add(output));
+        available.get(dep)?.forEach(output => upstream.add(output));
+      });
+
+      const missing = step.inputs.filter(input => !upstream.has(input));
+      if (missing.length > 0) {
+        throw new Error(`Pipeline step "${step.name}" needs ${missing.join(', ')} but no enabled upstream step produces it`);
+      }
+      available.set(step.id, upstream);
+    });
+  }
+}
+
+// Shared registry for steps added by features (cover letters, review gates, ...).
+// Every PipelineController layers its built-in steps under these.
+export const pipelineStepRegistry = new PipelineStepRegistry();
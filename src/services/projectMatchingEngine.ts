@@ -2,10 +2,10 @@
 // Project Matching Engine - Matches resume projects against JD requirements
 
 import { ResumeData, Project } from '../types/resume';
+import { edenFetch } from '../utils/workerClient';
 
-// Use environment variable - DO NOT hard-code
-const EDENAI_API_KEY = import.meta.env.VITE_EDENAI_API_KEY || '';
-const EDENAI_CLASSIFICATION_URL = 'https://api.edenai.run/v2/text/custom_classification';
+// Called through the worker, which holds the EdenAI key
+const EDENAI_CLASSIFICATION_PATH = 'text/custom_classification';
 
 // JD Keywords interface
 export interface JdKeywords {
@@ -237,7 +237,7 @@ const getAIClassification = async (
 ): Promise<Map<string, 'high_match' | 'medium_match' | 'low_match'>> => {
   const results = new Map<string, 'high_match' | 'medium_match' | 'low_match'>();
 
-  if (!EDENAI_API_KEY || projects.length === 0) {
+  if (projects.length === 0) {
     return results;
   }
 
@@ -247,10 +247,9 @@ const getAIClassification = async (
       `JD: ${jdSummary}. Project: ${p.name} – ${p.description.slice(0, 200)}. Tech: ${p.techStack.join(', ')}`
     );
 
-    const response = await fetch(EDENAI_CLASSIFICATION_URL, {
+    const response = await edenFetch(EDENAI_CLASSIFICATION_PATH, {
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${EDENAI_API_KEY}`,
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
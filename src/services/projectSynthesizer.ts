@@ -1,4 +1,6 @@
 import { Project } from '../types/resume';
+import { ProvenanceSource } from '../types/provenance';
+import { ClaimProvenanceService } from './claimProvenanceService';
 
 export interface SynthesizedProject extends Project {
   domain: string;
@@ -283,11 +285,17 @@ export class ProjectSynthesizer {
     return bestTemplate;
   }
 
+  /**
+   * With provenance sources (the original resume and the user's answers), a
+   * project whose bullets carry tools or numbers the user never claimed is
+   * not returned
+   */
   static async generateProject(
     missingSkills: string[],
     domain: string,
     roleType: string,
-    availableTech: string[]
+    availableTech: string[],
+    sources?: ProvenanceSource[]
   ): Promise<SynthesizedProject | null> {
     const template = this.selectBestTemplate(missingSkills, domain, roleType);
 
@@ -307,7 +315,7 @@ export class ProjectSynthesizer {
       availableTech
     );
 
-    return {
+    const project: SynthesizedProject = {
       title: template.title,
       bullets,
       githubUrl: '',
@@ -316,6 +324,12 @@ export class ProjectSynthesizer {
       confidence,
       alignedSkills: missingSkills.slice(0, 5)
     };
+
+    if (sources && !this.validateProjectRealism(project, sources).isRealistic) {
+      return null;
+    }
+
+    return project;
   }
 
   private static generateBulletsFromTemplate(
@@ -440,7 +454,11 @@ export class ProjectSynthesizer {
     return Math.min(confidence, 1.0);
   }
 
-  static validateProjectRealism(project: SynthesizedProject): {
+  /**
+   * Templates fill in tools, providers and numbers the user may never have
+   * claimed; pass the provenance sources to have those reported as issues
+   */
+  static validateProjectRealism(project: SynthesizedProject, sources?: ProvenanceSource[]): {
     isRealistic: boolean;
     issues: string[];
     score: number;
@@ -474,6 +492,16 @@ export class ProjectSynthesizer {
       score -= 15;
     }
 
+    if (sources) {
+      project.bullets.forEach((bullet, index) => {
+        const { blocking } = ClaimProvenanceService.checkText(bullet, sources, `bullets[${index}]`);
+        if (blocking.length > 0) {
+          issues.push(`Unsupported claims: ${blocking.map(result => ClaimProvenanceService.describe(result)).join(', ')}`);
+          score -= 10 * blocking.length;
+        }
+      });
+    }
+
     return {
       isRealistic: score >= 70,
       issues,
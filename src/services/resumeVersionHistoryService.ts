@@ -0,0 +1,439 @@
+// src/services/resumeVersionHistoryService.ts
+// Persistent, named resume versions with one branch per target job
+
+import { ResumeData } from '../types/resume';
+import {
+  BranchTarget,
+  BulletRef,
+  CommitVersionOptions,
+  HistoryVersion,
+  ResumeBranch,
+  ResumeHistory,
+  VersionDiff
+} from '../types/resumeHistory';
+import { cherryPickBullets, diffResumes } from '../utils/resumeDiff';
+
+// ResumeHistory as kept in localStorage, with dates as ISO strings
+interface StoredResumeHistory {
+  branches: Array<Omit<ResumeBranch, 'createdAt' | 'updatedAt'> & { createdAt: string; updatedAt: string }>;
+  versions: Array<Omit<HistoryVersion, 'createdAt'> & { createdAt: string }>;
+}
+
+export class ResumeVersionHistoryService {
+  private static readonly STORAGE_KEY_PREFIX = 'resume_history_';
+  private static readonly MAX_VERSIONS_PER_BRANCH = 30;
+
+  // ============================================================================
+  // BRANCHES
+  // ============================================================================
+
+  /**
+   * A user's branches, most recently updated first
+   */
+  static getBranches(userId: string): ResumeBranch[] {
+    return this.loadHistory(userId).branches
+      .sort((a, b) => b.updatedAt.getTime() - a.updatedAt.getTime());
+  }
+
+  static getBranch(userId: string, branchId: string): ResumeBranch {
+    const branch = this.loadHistory(userId).branches.find(b => b.id === branchId);
+    if (!branch) {
+      throw new Error(`Resume branch not found: ${branchId}`);
+    }
+    return branch;
+  }
+
+  /**
+   * The branch for a job description, created on first use. The same JD
+   * (ignoring case and whitespace) always maps to the same branch.
+   */
+  static getOrCreateBranch(userId: string, target: BranchTarget): ResumeBranch {
+    const history = this.loadHistory(userId);
+    const jobFingerprint = this.fingerprint(target.jobDescription, target.targetRole);
+    const existing = history.branches.find(b => b.jobFingerprint === jobFingerprint);
+    if (existing) return existing;
+
+    const branch = this.newBranch(userId, target, jobFingerprint);
+    history.branches.push(branch);
+    this.saveHistory(history);
+
+    console.log(`🌿 Created resume branch "${branch.name}"`);
+    return branch;
+  }
+
+  /**
+   * Start a new branch (for another job) from an existing version
+   */
+  static branchFromVersion(userId: string, versionId: string, target: BranchTarget): ResumeBranch {
+    const history = this.loadHistory(userId);
+    const source = this.findVersion(history, versionId);
+    const jobFingerprint = this.fingerprint(target.jobDescription, target.targetRole);
+    if (history.branches.some(b => b.jobFingerprint === jobFingerprint)) {
+      throw new Error('A branch for this job description already exists');
+    }
+
+    const branch: ResumeBranch = {
+      ...this.newBranch(userId, target, jobFingerprint),
+      forkedFrom: { branchId: source.branchId, versionId: source.id }
+    };
+    const version = this.newVersion(branch, source.id, source.data, {
+      name: `From ${source.name}`,
+      source: 'manual',
+      changes: [`Branched from "${source.name}"`]
+    });
+
+    branch.headVersionId = version.id;
+    history.branches.push(branch);
+    history.versions.push(version);
+    this.saveHistory(history);
+
+    console.log(`🌿 Branched "${branch.name}" from "${source.name}"`);
+    return branch;
+  }
+
+  static renameBranch(userId: string, branchId: string, name: string): ResumeBranch {
+    const history = this.loadHistory(userId);
+    const branch = this.findBranch(history, branchId);
+    branch.name = name.trim() || branch.name;
+    branch.updatedAt = new Date();
+    this.saveHistory(history);
+    return branch;
+  }
+
+  static deleteBranch(userId: string, branchId: string): void {
+    const history = this.loadHistory(userId);
+    this.findBranch(history, branchId);
+    history.branches = history.branches.filter(b => b.id !== branchId);
+    history.versions = history.versions.filter(v => v.branchId !== branchId);
+    this.saveHistory(history);
+
+    console.log(`🗑️ Deleted resume branch ${branchId}`);
+  }
+
+  // ============================================================================
+  // VERSIONS
+  // ============================================================================
+
+  /**
+   * Versions on a branch, oldest first
+   */
+  static getVersions(userId: string, branchId: string): HistoryVersion[] {
+    return this.loadHistory(userId).versions
+      .filter(v => v.branchId === branchId)
+      .sort((a, b) => a.createdAt.getTime() - b.createdAt.getTime());
+  }
+
+  static getVersion(userId: string, versionId: string): HistoryVersion {
+    return this.findVersion(this.loadHistory(userId), versionId);
+  }
+
+  static getHeadVersion(userId: string, branchId: string): HistoryVersion | null {
+    const history = this.loadHistory(userId);
+    const branch = this.findBranch(history, branchId);
+    return branch.headVersionId ? this.findVersion(history, branch.headVersionId) : null;
+  }
+
+  /**
+   * Save a resume as the new head of a branch
+   */
+  static commitVersion(
+    userId: string,
+    branchId: string,
+    data: ResumeData,
+    options: CommitVersionOptions = {}
+  ): HistoryVersion {
+    const history = this.loadHistory(userId);
+    const branch = this.findBranch(history, branchId);
+    const version = this.newVersion(branch, branch.headVersionId, data, {
+      ...options,
+      name: options.name?.trim() || `Version ${history.versions.filter(v => v.branchId === branchId).length + 1}`
+    });
+
+    history.versions.push(version);
+    branch.headVersionId = version.id;
+    branch.updatedAt = version.createdAt;
+    this.pruneBranch(history, branch);
+    this.saveHistory(history);
+
+    console.log(`💾 Saved resume version "${version.name}" on branch "${branch.name}"${version.score !== undefined ? ` (score ${version.score})` : ''}`);
+    return version;
+  }
+
+  /**
+   * Commit a pipeline result onto the branch for its job description
+   */
+  static commitForJob(
+    userId: string,
+    target: BranchTarget,
+    data: ResumeData,
+    options: CommitVersionOptions = {}
+  ): HistoryVersion {
+    const branch = this.getOrCreateBranch(userId, target);
+    return this.commitVersion(userId, branch.id, data, { source: 'pipeline', ...options });
+  }
+
+  /**
+   * Keep an optimizer result on the branch for its job. History is a
+   * convenience, so a storage failure is logged and only costs the entry.
+   */
+  static recordOptimization(
+    userId: string,
+    target: BranchTarget,
+    data: ResumeData,
+    options: CommitVersionOptions = {}
+  ): HistoryVersion | null {
+    try {
+      return this.commitForJob(userId, target, data, { name: `Optimized ${new Date().toLocaleDateString()}`, ...options });
+    } catch (error) {
+      console.warn('⚠️ Could not save the optimized resume to version history:', error instanceof Error ? error.message : error);
+      return null;
+    }
+  }
+
+  static renameVersion(userId: string, versionId: string, name: string): HistoryVersion {
+    const history = this.loadHistory(userId);
+    const version = this.findVersion(history, versionId);
+    version.name = name.trim() || version.name;
+    this.saveHistory(history);
+    return version;
+  }
+
+  // ============================================================================
+  // DIFF, RESTORE AND CHERRY-PICK
+  // ============================================================================
+
+  /**
+   * Field- and bullet-level changes from one version to another. The versions
+   * may be on different branches.
+   */
+  static diffVersions(userId: string, fromVersionId: string, toVersionId: string): VersionDiff {
+    const history = this.loadHistory(userId);
+    const from = this.findVersion(history, fromVersionId);
+    const to = this.findVersion(history, toVersionId);
+
+    return {
+      ...diffResumes(from.data, to.data),
+      fromVersionId,
+      toVersionId,
+      scoreDelta: from.score !== undefined && to.score !== undefined ? to.score - from.score : undefined
+    };
+  }
+
+  /**
+   * Make an earlier version the head again. History is kept: the restore is a
+   * new version with the old content, on the version's own branch unless
+   * another branch is given.
+   */
+  static restoreVersion(userId: string, versionId: string, branchId?: string): HistoryVersion {
+    const version = this.getVersion(userId, versionId);
+    const targetBranchId = branchId ?? version.branchId;
+
+    return this.commitVersion(userId, targetBranchId, version.data, {
+      name: `Restored ${version.name}`,
+      score: targetBranchId === version.branchId ? version.score : undefined,
+      source: 'restore',
+      changes: [`Restored "${version.name}"`]
+    });
+  }
+
+  /**
+   * Copy individual bullets from any version onto the head of a branch
+   */
+  static cherryPick(userId: string, sourceVersionId: string, branchId: string, refs: BulletRef[]): HistoryVersion {
+    if (refs.length === 0) {
+      throw new Error('Select at least one bullet to cherry-pick');
+    }
+
+    const source = this.getVersion(userId, sourceVersionId);
+    const head = this.getHeadVersion(userId, branchId);
+    if (!head) {
+      throw new Error('The target branch has no version to cherry-pick into');
+    }
+
+    const data = cherryPickBullets(head.data, source.data, refs);
+    return this.commitVersion(userId, branchId, data, {
+      name: `${head.name} + ${refs.length} bullet${refs.length === 1 ? '' : 's'}`,
+      source: 'cherry-pick',
+      changes: [`Cherry-picked ${refs.length} bullet${refs.length === 1 ? '' : 's'} from "${source.name}"`]
+    });
+  }
+
+  // ============================================================================
+  // PRIVATE METHODS
+  // ============================================================================
+
+  private static getStorageKey(userId: string): string {
+    return `${this.STORAGE_KEY_PREFIX}${userId}`;
+  }
+
+  private static loadHistory(userId: string): ResumeHistory {
+    try {
+      const serialized = localStorage.getItem(this.getStorageKey(userId));
+      if (!serialized) {
+        return { userId, branches: [], versions: [] };
+      }
+
+      const history: StoredResumeHistory = JSON.parse(serialized);
+      return {
+        userId,
+        branches: history.branches.map(branch => ({
+          ...branch,
+          createdAt: new Date(branch.createdAt),
+          updatedAt: new Date(branch.updatedAt)
+        })),
+        versions: history.versions.map(version => ({
+          ...version,
+          createdAt: new Date(version.createdAt)
+        }))
+      };
+    } catch (error) {
+      console.error('Failed to load resume history:', error);
+      return { userId, branches: [], versions: [] };
+    }
+  }
+
+  /**
+   * When storage is full, the oldest versions no branch depends on are dropped
+   * until the history fits. If it still doesn't, the error says what to do:
+   * a version the user asked to keep must not vanish silently.
+   */
+  private static saveHistory(history: ResumeHistory): void {
+    for (;;) {
+      try {
+        localStorage.setItem(this.getStorageKey(history.userId), JSON.stringify(this.toStored(history)));
+        return;
+      } catch (error) {
+        if (!this.isQuotaError(error)) throw error;
+        if (!this.dropOldestVersion(history)) {
+          throw new Error('Resume history is full. Delete a branch you no longer need and try again.');
+        }
+      }
+    }
+  }
+
+  private static toStored(history: ResumeHistory): StoredResumeHistory {
+    return {
+      branches: history.branches.map(branch => ({
+        ...branch,
+        createdAt: branch.createdAt.toISOString(),
+        updatedAt: branch.updatedAt.toISOString()
+      })),
+      versions: history.versions.map(version => ({
+        ...version,
+        createdAt: version.createdAt.toISOString()
+      }))
+    };
+  }
+
+  private static isQuotaError(error: unknown): boolean {
+    return error instanceof DOMException &&
+      (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+  }
+
+  /**
+   * Drop the oldest version on any branch, keeping heads and fork points.
+   * Returns false when there is nothing left to drop.
+   */
+  private static dropOldestVersion(history: ResumeHistory): boolean {
+    const protectedIds = new Set<string | null>(
+      history.branches.flatMap(b => [b.headVersionId, b.forkedFrom?.versionId ?? null])
+    );
+    const oldest = history.versions
+      .filter(v => !protectedIds.has(v.id))
+      .sort((a, b) => a.createdAt.getTime() - b.createdAt.getTime())[0];
+    if (!oldest) return false;
+
+    history.versions = history.versions.filter(v => v.id !== oldest.id);
+    console.warn(`🧹 Resume history storage is full, dropped version "${oldest.name}"`);
+    return true;
+  }
+
+  private static findBranch(history: ResumeHistory, branchId: string): ResumeBranch {
+    const branch = history.branches.find(b => b.id === branchId);
+    if (!branch) {
+      throw new Error(`Resume branch not found: ${branchId}`);
+    }
+    return branch;
+  }
+
+  private static findVersion(history: ResumeHistory, versionId: string): HistoryVersion {
+    const version = history.versions.find(v => v.id === versionId);
+    if (!version) {
+      throw new Error(`Resume version not found: ${versionId}`);
+    }
+    return version;
+  }
+
+  private static newBranch(userId: string, target: BranchTarget, jobFingerprint: string): ResumeBranch {
+    const now = new Date();
+    const firstLine = target.jobDescription.trim().split('\n')[0].slice(0, 60);
+
+    return {
+      id: this.generateId('branch'),
+      userId,
+      name: target.name?.trim() || target.targetRole?.trim() || firstLine || 'General',
+      targetRole: target.targetRole || '',
+      jobDescription: target.jobDescription,
+      jobFingerprint,
+      headVersionId: null,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  private static newVersion(
+    branch: ResumeBranch,
+    parentId: string | null,
+    data: ResumeData,
+    options: CommitVersionOptions
+  ): HistoryVersion {
+    return {
+      id: this.generateId('version'),
+      branchId: branch.id,
+      parentId,
+      name: options.name || 'Untitled version',
+      data: JSON.parse(JSON.stringify(data)), // Deep copy
+      score: options.score,
+      source: options.source || 'manual',
+      changes: options.changes || [],
+      createdAt: new Date()
+    };
+  }
+
+  /**
+   * Drop a branch's oldest versions beyond the limit, keeping the head and
+   * any version another branch was forked from
+   */
+  private static pruneBranch(history: ResumeHistory, branch: ResumeBranch): void {
+    const versions = history.versions
+      .filter(v => v.branchId === branch.id)
+      .sort((a, b) => a.createdAt.getTime() - b.createdAt.getTime());
+    const excess = versions.length - this.MAX_VERSIONS_PER_BRANCH;
+    if (excess <= 0) return;
+
+    const protectedIds = new Set<string | null>([
+      branch.headVersionId,
+      ...history.branches.map(b => b.forkedFrom?.versionId ?? null)
+    ]);
+    const toDelete = new Set(versions.filter(v => !protectedIds.has(v.id)).slice(0, excess).map(v => v.id));
+    history.versions = history.versions.filter(v => !toDelete.has(v.id));
+  }
+
+  // Normalised JD text (or the role, when there is no JD) hashed with djb2
+  private static fingerprint(jobDescription: string, targetRole: string = ''): string {
+    const text = (jobDescription.trim() ? jobDescription : `role:${targetRole}`)
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+    }
+    return `${hash.toString(16)}_${text.length}`;
+  }
+
+  private static generateId(prefix: string): string {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+  }
+}
@@ -1,4 +1,4 @@
-import { semanticMatchingService } from './semanticMatchingService';
+import { semanticIndexService } from './semantic/semanticIndexService';
 import { metricPreserver } from './metricPreserver';
 import { rewriteValidator } from './rewriteValidator';
 
@@ -150,15 +150,7 @@ export class RewriteQualityScorer {
     rewritten: string
   ): Promise<{ score: number; similarity: number }> {
     try {
-      await semanticMatchingService.initialize();
-
-      const originalEmbedding = await semanticMatchingService.generateEmbedding(original);
-      const rewrittenEmbedding = await semanticMatchingService.generateEmbedding(rewritten);
-
-      const similarity = semanticMatchingService.cosineSimilarity(
-        originalEmbedding,
-        rewrittenEmbedding
-      );
+      const similarity = await semanticIndexService.similarity(original, rewritten);
 
       const score = Math.round(similarity * 100);
 
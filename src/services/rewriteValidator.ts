@@ -1,4 +1,4 @@
-import { semanticMatchingService } from './semanticMatchingService';
+import { semanticIndexService } from './semantic/semanticIndexService';
 
 export interface RewriteValidationResult {
   isValid: boolean;
@@ -47,15 +47,7 @@ export class RewriteValidator {
     const threshold = config.semanticThreshold || this.DEFAULT_THRESHOLD;
 
     try {
-      await semanticMatchingService.initialize();
-
-      const originalEmbedding = await semanticMatchingService.generateEmbedding(originalBullet);
-      const rewrittenEmbedding = await semanticMatchingService.generateEmbedding(rewrittenBullet);
-
-      const semanticSimilarity = semanticMatchingService.cosineSimilarity(
-        originalEmbedding,
-        rewrittenEmbedding
-      );
+      const semanticSimilarity = await semanticIndexService.similarity(originalBullet, rewrittenBullet);
 
       const originalMetrics = this.extractMetrics(originalBullet);
       const metricsInRewrite = this.extractMetrics(rewrittenBullet);
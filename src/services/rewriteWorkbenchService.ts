@@ -0,0 +1,371 @@
+// src/services/rewriteWorkbenchService.ts
+// Bullet-by-bullet review of rewrite suggestions before they replace anything
+
+import { ResumeData } from '../types/resume';
+import { HistoryVersion } from '../types/resumeHistory';
+import {
+  RewriteCandidate,
+  RewriteCandidateChecks,
+  RewriteCandidateSource,
+  WorkbenchBullet,
+  WorkbenchSession,
+  WorkbenchSummary
+} from '../types/rewriteWorkbench';
+import { ATSBulletLengthFixer } from './atsBulletLengthFixer';
+import { FullResumeRewriter16ParameterService } from './fullResumeRewriter16ParameterService';
+import { MetricPreserver } from './metricPreserver';
+import { ResumeVersionHistoryService } from './resumeVersionHistoryService';
+import { RewriteValidator } from './rewriteValidator';
+import { semanticIndexService } from './semantic/semanticIndexService';
+import { diffResumes, listBullets, replaceBullets } from '../utils/resumeDiff';
+
+export interface CreateWorkbenchOptions {
+  targetRole?: string;
+  branchId?: string;
+  baseVersionId?: string;
+}
+
+const normalize = (text: string) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+const bulletKey = (bullet: Pick<WorkbenchBullet, 'ref'>) =>
+  `${bullet.ref.section}:${bullet.ref.entryIndex}:${bullet.ref.bulletIndex}`;
+
+/**
+ * Rewrite Workbench
+ * Collects candidate rewrites for every bullet - from the 16-parameter
+ * optimizer, the ATS length fixer, and metric restoration - and runs the
+ * rewrite validator and metric preserver on each one, so the user sees
+ * hallucinated terms, lost or invented metrics and the predicted score change
+ * before choosing. Nothing changes until the decisions are saved as a new
+ * resume version. Sessions are plain data; every decision returns a new session.
+ */
+export class RewriteWorkbenchService {
+  private static readonly MAX_BULLET_LENGTH = 120;
+
+  // ============================================================================
+  // SESSIONS
+  // ============================================================================
+
+  static async createSession(
+    resume: ResumeData,
+    jobDescription: string,
+    options: CreateWorkbenchOptions = {}
+  ): Promise<WorkbenchSession> {
+    const optimized = await this.optimizerSuggestions(resume, jobDescription, options.targetRole);
+    return this.buildSession(resume, jobDescription, optimized, options);
+  }
+
+  /**
+   * Review a rewrite another flow already applied, such as the resume optimizer's
+   * result. The session starts from the rewritten resume with every reworded bullet
+   * back at its original text and the rewrite's wording as its optimizer candidate,
+   * so the rest of the rewrite stays and no reworded bullet is kept unreviewed.
+   */
+  static async createSessionFromRewrite(
+    original: ResumeData,
+    rewritten: ResumeData,
+    jobDescription: string,
+    options: CreateWorkbenchOptions = {}
+  ): Promise<WorkbenchSession> {
+    const reworded = diffResumes(original, rewritten).bullets.flatMap(change =>
+      change.type === 'modified' && change.before && change.after ? [{ before: change.before, after: change.after }] : []
+    );
+    const resume = replaceBullets(rewritten, reworded.map(({ before, after }) => ({ ref: after.ref, bullets: [before.text] })));
+    const suggestions = new Map(reworded.map(({ after }) => [bulletKey(after), after.text]));
+    return this.buildSession(resume, jobDescription, suggestions, options);
+  }
+
+  /**
+   * Open a workbench on the head version of a resume history branch
+   */
+  static async createSessionForBranch(userId: string, branchId: string): Promise<WorkbenchSession> {
+    const branch = ResumeVersionHistoryService.getBranch(userId, branchId);
+    const head = ResumeVersionHistoryService.getHeadVersion(userId, branchId);
+    if (!head) {
+      throw new Error(`Resume branch "${branch.name}" has no version to review`);
+    }
+
+    return this.createSession(head.data, branch.jobDescription, {
+      targetRole: branch.targetRole,
+      branchId,
+      baseVersionId: head.id
+    });
+  }
+
+  // ============================================================================
+  // DECISIONS
+  // ============================================================================
+
+  static accept(session: WorkbenchSession, key: string, candidateId: string): WorkbenchSession {
+    const bullet = this.findBullet(session, key);
+    if (!bullet.candidates.some(candidate => candidate.id === candidateId)) {
+      throw new Error(`Unknown candidate ${candidateId} for bullet ${key}`);
+    }
+    return this.updateBullet(session, key, { decision: { status: 'accepted', candidateId } });
+  }
+
+  static reject(session: WorkbenchSession, key: string): WorkbenchSession {
+    this.findBullet(session, key);
+    return this.updateBullet(session, key, { decision: { status: 'rejected' } });
+  }
+
+  // Back to undecided
+  static reset(session: WorkbenchSession, key: string): WorkbenchSession {
+    this.findBullet(session, key);
+    return this.updateBullet(session, key, { decision: { status: 'pending' } });
+  }
+
+  /**
+   * Accept the user's own wording, checked like any other candidate. One line
+   * per bullet; an empty edit removes the bullet. A previous edit is replaced.
+   */
+  static edit(session: WorkbenchSession, key: string, text: string): WorkbenchSession {
+    const bullet = this.findBullet(session, key);
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    const allowedTerms = RewriteValidator.createAllowedTermsSet(this.resumeText(session.resume), session.jobDescription);
+    const candidate = this.buildCandidate(session.resume, session.jobDescription, session.baseScore, bullet, 'edit', lines, allowedTerms);
+
+    return this.updateBullet(session, key, {
+      candidates: [...bullet.candidates.filter(c => c.source !== 'edit'), candidate],
+      decision: { status: 'accepted', candidateId: candidate.id }
+    });
+  }
+
+  // ============================================================================
+  // RESULTS
+  // ============================================================================
+
+  /**
+   * The resume with every accepted candidate applied
+   */
+  static applyDecisions(session: WorkbenchSession): ResumeData {
+    return replaceBullets(session.resume, session.bullets.flatMap(bullet => {
+      const candidate = this.acceptedCandidate(bullet);
+      return candidate ? [{ ref: bullet.ref, bullets: candidate.bullets }] : [];
+    }));
+  }
+
+  static summarize(session: WorkbenchSession): WorkbenchSummary {
+    const count = (status: WorkbenchBullet['decision']['status']) =>
+      session.bullets.filter(bullet => bullet.decision.status === status).length;
+    const accepted = session.bullets.map(bullet => this.acceptedCandidate(bullet)).filter((c): c is RewriteCandidate => !!c);
+
+    return {
+      total: session.bullets.length,
+      withCandidates: session.bullets.filter(bullet => bullet.candidates.length > 0).length,
+      accepted: accepted.length,
+      rejected: count('rejected'),
+      pending: count('pending'),
+      flagged: accepted.filter(candidate => this.isFlagged(candidate)).length,
+      baseScore: session.baseScore,
+      predictedScore: accepted.length > 0
+        ? FullResumeRewriter16ParameterService.scoreResumeData(this.applyDecisions(session), session.jobDescription).overallScore
+        : session.baseScore
+    };
+  }
+
+  static isFlagged(candidate: RewriteCandidate): boolean {
+    const { hallucinatedTerms, metricsPreserved, metricsAdded } = candidate.checks;
+    return hallucinatedTerms.length > 0 || !metricsPreserved || metricsAdded.length > 0;
+  }
+
+  /**
+   * Save the accepted rewrites as a new version on the session's branch, or
+   * on the branch for its job description
+   */
+  static saveAsVersion(userId: string, session: WorkbenchSession, name?: string): HistoryVersion {
+    const accepted = session.bullets.filter(bullet => this.acceptedCandidate(bullet));
+    if (accepted.length === 0) {
+      throw new Error('Accept or edit at least one bullet before saving');
+    }
+
+    const data = this.applyDecisions(session);
+    const options = {
+      name: name || `Reviewed rewrites (${accepted.length} bullet${accepted.length === 1 ? '' : 's'})`,
+      score: FullResumeRewriter16ParameterService.scoreResumeData(data, session.jobDescription).overallScore,
+      source: 'workbench' as const,
+      changes: accepted.map(bullet => {
+        const candidate = this.acceptedCandidate(bullet)!;
+        return candidate.bullets.length === 0
+          ? `Removed a bullet from ${bullet.entryLabel}`
+          : `Rewrote a bullet in ${bullet.entryLabel} (${candidate.source})`;
+      })
+    };
+
+    return session.branchId
+      ? ResumeVersionHistoryService.commitVersion(userId, session.branchId, data, options)
+      : ResumeVersionHistoryService.commitForJob(userId, {
+        jobDescription: session.jobDescription,
+        targetRole: session.targetRole
+      }, data, options);
+  }
+
+  // ============================================================================
+  // PRIVATE METHODS
+  // ============================================================================
+
+  // Candidates for every bullet, with the optimizer's wording keyed by bullet
+  private static async buildSession(
+    resume: ResumeData,
+    jobDescription: string,
+    optimized: Map<string, string>,
+    options: CreateWorkbenchOptions
+  ): Promise<WorkbenchSession> {
+    const baseScore = FullResumeRewriter16ParameterService.scoreResumeData(resume, jobDescription).overallScore;
+    const allowedTerms = RewriteValidator.createAllowedTermsSet(this.resumeText(resume), jobDescription);
+
+    const bullets: WorkbenchBullet[] = [];
+    for (const { ref, entryLabel, text } of listBullets(resume)) {
+      const bullet: WorkbenchBullet = { key: '', ref, entryLabel, original: text, candidates: [], decision: { status: 'pending' } };
+      bullet.key = bulletKey(bullet);
+
+      const proposals: { source: RewriteCandidateSource; bullets: string[] }[] = [];
+      const optimizerText = optimized.get(bullet.key);
+      if (optimizerText) {
+        proposals.push({ source: 'optimizer', bullets: [optimizerText] });
+
+        const lost = MetricPreserver.validateMetricsInRewrite(MetricPreserver.extractMetrics(text), optimizerText).lost;
+        if (lost.length > 0) {
+          proposals.push({ source: 'metric-restore', bullets: [MetricPreserver.reinsertMetrics(optimizerText, lost)] });
+        }
+      }
+      if (text.length > this.MAX_BULLET_LENGTH) {
+        proposals.push({ source: 'length-fix', bullets: ATSBulletLengthFixer.fixLongBullet(text).after });
+      }
+
+      const seen = new Set([normalize(text)]);
+      for (const proposal of proposals) {
+        const key = normalize(proposal.bullets.join(' '));
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const candidate = this.buildCandidate(resume, jobDescription, baseScore, bullet, proposal.source, proposal.bullets, allowedTerms);
+        candidate.checks.semanticSimilarity = await this.semanticSimilarity(text, proposal.bullets.join(' '));
+        bullet.candidates.push(candidate);
+      }
+
+      bullets.push(bullet);
+    }
+
+    console.log(`🧰 Rewrite workbench: ${bullets.filter(b => b.candidates.length > 0).length}/${bullets.length} bullets have suggestions`);
+
+    return {
+      id: this.generateId('workbench'),
+      jobDescription,
+      targetRole: options.targetRole,
+      branchId: options.branchId,
+      baseVersionId: options.baseVersionId,
+      resume,
+      baseScore,
+      bullets,
+      createdAt: new Date()
+    };
+  }
+
+  /**
+   * Bullets the 16-parameter optimizer would reword, keyed by the original
+   * bullet. The optimizer rewrites a copy; its output is only diffed here.
+   */
+  private static async optimizerSuggestions(resume: ResumeData, jobDescription: string, targetRole?: string): Promise<Map<string, string>> {
+    const suggestions = new Map<string, string>();
+    try {
+      const { rewrittenResume } = await FullResumeRewriter16ParameterService.rewriteResume(
+        JSON.parse(JSON.stringify(resume)),
+        jobDescription,
+        targetRole
+      );
+      diffResumes(resume, rewrittenResume).bullets.forEach(change => {
+        if (change.type === 'modified' && change.before && change.after) {
+          suggestions.set(bulletKey(change.before), change.after.text);
+        }
+      });
+    } catch (error) {
+      console.warn('⚠️ Optimizer suggestions unavailable:', error instanceof Error ? error.message : error);
+    }
+    return suggestions;
+  }
+
+  private static buildCandidate(
+    resume: ResumeData,
+    jobDescription: string,
+    baseScore: number,
+    bullet: WorkbenchBullet,
+    source: RewriteCandidateSource,
+    bullets: string[],
+    allowedTerms: Set<string>
+  ): RewriteCandidate {
+    const rewritten = bullets.join(' ');
+    const originalMetrics = MetricPreserver.extractMetrics(bullet.original);
+    const metricCheck = MetricPreserver.validateMetricsInRewrite(originalMetrics, rewritten);
+    const originalValues = new Set(originalMetrics.map(metric => metric.normalized));
+
+    const metricsAdded = MetricPreserver.extractMetrics(rewritten)
+      .filter(metric => !originalValues.has(metric.normalized))
+      .map(metric => metric.value);
+
+    const checks: RewriteCandidateChecks = {
+      // New numbers are reported once, as added metrics
+      hallucinatedTerms: RewriteValidator.detectHallucination(rewritten, allowedTerms).terms
+        .filter(term => !metricsAdded.some(metric => metric.includes(term))),
+      metricsLost: metricCheck.lost.map(metric => metric.value),
+      metricsAdded,
+      metricsPreserved: metricCheck.allPreserved
+    };
+
+    const withCandidate = replaceBullets(resume, [{ ref: bullet.ref, bullets }]);
+    const score = FullResumeRewriter16ParameterService.scoreResumeData(withCandidate, jobDescription).overallScore;
+
+    return {
+      id: this.generateId(source),
+      source,
+      bullets,
+      checks,
+      scoreDelta: score - baseScore
+    };
+  }
+
+  private static async semanticSimilarity(original: string, rewritten: string): Promise<number | undefined> {
+    if (!(await semanticIndexService.initialize())) return undefined;
+    try {
+      return Math.max(0, Math.min(1, await semanticIndexService.similarity(original, rewritten)));
+    } catch {
+      return undefined;
+    }
+  }
+
+  private static acceptedCandidate(bullet: WorkbenchBullet): RewriteCandidate | undefined {
+    if (bullet.decision.status !== 'accepted') return undefined;
+    return bullet.candidates.find(candidate => candidate.id === bullet.decision.candidateId);
+  }
+
+  private static findBullet(session: WorkbenchSession, key: string): WorkbenchBullet {
+    const bullet = session.bullets.find(b => b.key === key);
+    if (!bullet) {
+      throw new Error(`Bullet not found in workbench: ${key}`);
+    }
+    return bullet;
+  }
+
+  private static updateBullet(session: WorkbenchSession, key: string, update: Partial<WorkbenchBullet>): WorkbenchSession {
+    return {
+      ...session,
+      bullets: session.bullets.map(bullet => (bullet.key === key ? { ...bullet, ...update } : bullet))
+    };
+  }
+
+  private static resumeText(resume: ResumeData): string {
+    return [
+      resume.summary,
+      resume.careerObjective,
+      ...(resume.skills || []).flatMap(skill => skill.list),
+      ...(resume.projects || []).flatMap(project => [project.title, ...(project.techStack || [])]),
+      ...listBullets(resume).map(bullet => bullet.text)
+    ].filter(Boolean).join('\n');
+  }
+
+  private static generateId(prefix: string): string {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+  }
+}
+
+export const rewriteWorkbenchService = RewriteWorkbenchService;
@@ -0,0 +1,425 @@
+// src/services/scoreAuditService.ts
+import { EnhancedComprehensiveScore, KeywordTier } from '../types/resume';
+import {
+  AuditPenalty,
+  AuditStep,
+  EvidenceSpan,
+  ParameterAudit,
+  ScoreAuditTrail,
+  SCORE_AUDIT_SCHEMA_VERSION
+} from '../types/scoreAudit';
+import { ScoringProfile } from '../types/scoringProfile';
+import { ScoringCore } from './scoringCore';
+import { scoringProfileRegistry } from './scoringProfiles/scoringProfileRegistry';
+import { scoringEnvironment } from './scoringEnvironment';
+import { JDKeywordExtractor, ExtractedKeyword } from './jdKeywordExtractor';
+
+// ============================================================================
+// PARAMETER DEFINITIONS (legacy 16-parameter model, in display order)
+// ============================================================================
+
+export interface ScoreParameterDefinition {
+  key: string;
+  name: string;
+  parameterNumber: number;
+  maxScore: number;
+  rulePrefix: string;
+}
+
+const definitions: Array<[key: string, name: string, maxScore: number, rulePrefix: string]> = [
+  ['keywordMatch', 'Keyword Match', 25, 'keyword-match'],
+  ['skillsAlignment', 'Skills Alignment', 20, 'skills-alignment'],
+  ['experienceRelevance', 'Experience Relevance', 15, 'experience-relevance'],
+  ['technicalCompetencies', 'Technical Competencies', 12, 'technical-competencies'],
+  ['educationScore', 'Education', 10, 'education'],
+  ['quantifiedAchievements', 'Quantified Achievements', 8, 'quantified-achievements'],
+  ['employmentHistory', 'Employment History', 8, 'employment-history'],
+  ['industryExperience', 'Industry Experience', 7, 'industry-experience'],
+  ['jobTitleMatch', 'Job Title Match', 6, 'job-title-match'],
+  ['careerProgression', 'Career Progression', 6, 'career-progression'],
+  ['certifications', 'Certifications', 5, 'certifications'],
+  ['formatting', 'Formatting', 5, 'formatting'],
+  ['contentQuality', 'Content Quality', 4, 'content-quality'],
+  ['grammar', 'Grammar', 3, 'grammar'],
+  ['resumeLength', 'Resume Length', 2, 'resume-length'],
+  ['filenameQuality', 'Filename Quality', 2, 'filename-quality']
+];
+
+export const SCORE_PARAMETERS: ScoreParameterDefinition[] = definitions.map(([key, name, maxScore, rulePrefix], index) => ({
+  key,
+  name,
+  parameterNumber: index + 1,
+  maxScore,
+  rulePrefix
+}));
+
+export const SCORE_PARAMETER_MAX_TOTAL = SCORE_PARAMETERS.reduce((sum, parameter) => sum + parameter.maxScore, 0);
+
+// ============================================================================
+// RECORDER
+// ============================================================================
+
+/**
+ * Records every arithmetic step applied to one parameter score so the final
+ * value can be replayed and explained. Rule IDs are "<parameter>/<rule>".
+ */
+export class ParameterAuditRecorder {
+  readonly inputs: Record<string, number> = {};
+  private readonly steps: AuditStep[] = [];
+  private current = 0;
+
+  constructor(readonly definition: ScoreParameterDefinition) {}
+
+  get value(): number {
+    return this.current;
+  }
+
+  get recordedSteps(): AuditStep[] {
+    return [...this.steps];
+  }
+
+  input(name: string, value: number): this {
+    this.inputs[name] = value;
+    return this;
+  }
+
+  base(value: number, rule: string, description: string): number {
+    this.record('base', value, rule, description);
+    return this.current;
+  }
+
+  // Raise the score to a minimum; nothing is recorded when it is already higher
+  atLeast(minimum: number, rule: string, description: string): number {
+    if (minimum > this.current) this.record('floor', minimum, rule, description);
+    return this.current;
+  }
+
+  // Lower the score to a maximum; nothing is recorded when it is already lower
+  atMost(maximum: number, rule: string, description: string): number {
+    if (maximum < this.current) this.record('cap', maximum, rule, description);
+    return this.current;
+  }
+
+  private record(kind: AuditStep['kind'], after: number, rule: string, description: string): void {
+    this.steps.push({
+      ruleId: `${this.definition.rulePrefix}/${rule}`,
+      kind,
+      description,
+      before: this.current,
+      after,
+      delta: after - this.current
+    });
+    this.current = after;
+  }
+}
+
+// ============================================================================
+// EVIDENCE PATTERNS
+// ============================================================================
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_RANGE_PATTERN = new RegExp(
+  `\\b(?:${MONTH}\\s+)?\\d{4}\\s*(?:-|–|—|to)\\s*(?:(?:${MONTH}\\s+)?\\d{4}|present|current|now)\\b`,
+  'gi'
+);
+const QUANTIFIED_PATTERN = /(?:[$₹€£]\s?\d[\d,.]*(?:\s?(?:k|m|b|million|billion|lakh|crore)\b)?|\b\d+(?:\.\d+)?\s?(?:%|percent\b|x\b|\+))/gi;
+const SENIORITY_PATTERN = /\b(?:senior|sr\.|lead|principal|staff|manager|head|director|architect)\b/gi;
+const DEGREE_PATTERN = /\b(?:bachelor(?:'s)?|master(?:'s)?|ph\.?d\.?|mba|b\.?tech|m\.?tech|b\.e\.|m\.e\.|b\.?sc|m\.?sc|diploma)(?![a-z])[^\n]*/gi;
+const CERTIFICATION_PATTERN = /\b(?:certified|certification|certificate|licen[cs]ed?)\b[^\n]*/gi;
+const SECTION_HEADER_PATTERN = /^[ \t]*(?:professional summary|summary|profile|career objective|objective|(?:technical |core )?skills|(?:work |professional )?experience|employment history|projects?|education|certifications?|achievements?|awards)[ \t]*:?[ \t]*$/gim;
+const BULLET_PATTERN = /^[ \t]*[•\-*▪●][ \t]+\S[^\n]*/gm;
+const REPEATED_WORD_PATTERN = /\b([a-z]+)\s+\1\b/gi;
+
+const TIER_IMPORTANCE: Record<KeywordTier, 'critical' | 'high' | 'low'> = {
+  critical: 'critical',
+  important: 'high',
+  nice_to_have: 'low'
+};
+
+const escapeRegExp = (value: string): string => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const lineNumberAt = (text: string, offset: number): number => {
+  let line = 1;
+  for (let i = 0; i < offset; i++) {
+    if (text.charCodeAt(i) === 10) line++;
+  }
+  return line;
+};
+
+const keywordPattern = (keyword: string): RegExp =>
+  // Extractor keywords can carry regex escapes (e.g. "c\+\+"); match them literally
+  new RegExp(`(?<![a-z0-9])${escapeRegExp(keyword.replace(/\\/g, '').trim())}(?![a-z0-9])`, 'i');
+
+interface EvidenceContext {
+  resumeText: string;
+  jobDescription?: string;
+  enhancedScore?: EnhancedComprehensiveScore;
+  jdKeywords: ExtractedKeyword[];
+  profile: ScoringProfile;
+}
+
+/**
+ * Score Audit Service
+ * Builds the explainable audit trail for ATSScoreChecker16Parameter: the
+ * steps behind each of the 16 scores, the penalties that fed their metrics
+ * and the resume spans that earned or cost points.
+ */
+export class ScoreAuditService {
+  createRecorders(): Record<string, ParameterAuditRecorder> {
+    return Object.fromEntries(SCORE_PARAMETERS.map(parameter => [parameter.key, new ParameterAuditRecorder(parameter)]));
+  }
+
+  /**
+   * All matches of a pattern as evidence spans with offsets and line numbers
+   */
+  findSpans(
+    text: string,
+    pattern: RegExp,
+    effect: EvidenceSpan['effect'],
+    ruleId: string,
+    reason: string,
+    source: EvidenceSpan['source'] = 'resume'
+  ): EvidenceSpan[] {
+    const spans: EvidenceSpan[] = [];
+    const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+    let match: RegExpExecArray | null;
+
+    while ((match = global.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        global.lastIndex++;
+        continue;
+      }
+      const matchText = match[0].trim();
+      const start = match.index + match[0].indexOf(matchText);
+      spans.push({
+        source,
+        text: matchText,
+        start,
+        end: start + matchText.length,
+        line: lineNumberAt(text, start),
+        effect,
+        ruleId,
+        reason
+      });
+    }
+    return spans;
+  }
+
+  /**
+   * First occurrence of each keyword in the resume (earned) or, when absent,
+   * in the job description (cost)
+   */
+  private keywordSpans(context: EvidenceContext, keywords: string[], ruleId: string, label: string): EvidenceSpan[] {
+    const unique = Array.from(new Set(keywords.map(keyword => keyword.toLowerCase())));
+    return unique.flatMap(keyword => {
+      const pattern = keywordPattern(keyword);
+      const inResume = this.findSpans(context.resumeText, pattern, 'earned', ruleId, `${label} found: ${keyword}`).slice(0, 1);
+      if (inResume.length > 0 || !context.jobDescription) return inResume;
+      return this.findSpans(context.jobDescription, pattern, 'cost', ruleId, `${label} missing from resume: ${keyword}`, 'jd').slice(0, 1);
+    });
+  }
+
+  private keywordsIn(context: EvidenceContext, categories: ExtractedKeyword['category'][]): string[] {
+    return context.jdKeywords.filter(keyword => categories.includes(keyword.category)).map(keyword => keyword.keyword);
+  }
+
+  collectEvidence(definition: ScoreParameterDefinition, context: EvidenceContext): EvidenceSpan[] {
+    const { resumeText } = context;
+    const rule = (name: string) => `${definition.rulePrefix}/${name}`;
+    if (!resumeText) return [];
+
+    switch (definition.key) {
+      case 'keywordMatch':
+        return this.keywordSpans(context, context.jdKeywords.map(keyword => keyword.keyword), rule('keywords'), 'Keyword');
+      case 'skillsAlignment':
+        return this.keywordSpans(context, this.keywordsIn(context, ['technical_skill', 'framework']), rule('skills'), 'Skill');
+      case 'technicalCompetencies':
+        return this.keywordSpans(context, this.keywordsIn(context, ['tool', 'methodology']), rule('tools'), 'Tool');
+      case 'industryExperience':
+        return this.keywordSpans(context, this.keywordsIn(context, ['domain']), rule('domain'), 'Domain term');
+      case 'jobTitleMatch': {
+        const title = context.jobDescription ? JDKeywordExtractor.extractJobTitle(context.jobDescription) : '';
+        return title ? this.keywordSpans(context, [title], rule('title'), 'Job title') : [];
+      }
+      case 'experienceRelevance':
+      case 'employmentHistory':
+        return this.findSpans(resumeText, DATE_RANGE_PATTERN, 'earned', rule('dated-role'), 'Dated role or entry');
+      case 'careerProgression':
+        return this.findSpans(resumeText, SENIORITY_PATTERN, 'earned', rule('seniority'), 'Seniority signal');
+      case 'quantifiedAchievements':
+        return this.findSpans(resumeText, QUANTIFIED_PATTERN, 'earned', rule('metric'), 'Quantified result');
+      case 'educationScore':
+        return this.findSpans(resumeText, DEGREE_PATTERN, 'earned', rule('degree'), 'Degree');
+      case 'certifications':
+        return this.findSpans(resumeText, CERTIFICATION_PATTERN, 'earned', rule('certification'), 'Certification');
+      case 'formatting':
+        return this.findSpans(resumeText, SECTION_HEADER_PATTERN, 'earned', rule('section-header'), 'Standard section header');
+      case 'contentQuality':
+        return this.findSpans(resumeText, BULLET_PATTERN, 'earned', rule('bullet'), 'Bullet point');
+      case 'grammar':
+        return this.findSpans(resumeText, REPEATED_WORD_PATTERN, 'cost', rule('repeated-word'), 'Repeated word');
+      default:
+        // Resume length and filename quality are judged on the whole document, not spans
+        return [];
+    }
+  }
+
+  collectPenalties(definition: ScoreParameterDefinition, context: EvidenceContext): AuditPenalty[] {
+    const { enhancedScore } = context;
+
+    const redFlags = (type: 'employment' | 'skills' | 'formatting'): AuditPenalty[] =>
+      (enhancedScore?.red_flags || [])
+        .filter(flag => flag.type === type)
+        .map(flag => ({
+          source: 'red-flag',
+          type: `red_flag_${type}`,
+          severity: flag.severity,
+          penaltyPercentage: Math.abs(flag.penalty),
+          maxPenalty: Math.abs(flag.penalty),
+          appliedPenalty: Math.abs(flag.penalty),
+          reason: `${flag.name}: ${flag.description}`
+        }));
+
+    switch (definition.key) {
+      case 'keywordMatch': {
+        const missing = (enhancedScore?.missing_keywords_enhanced || []).map(keyword => ({
+          skill: keyword.keyword,
+          importance: TIER_IMPORTANCE[keyword.tier] || 'low'
+        }));
+        if (missing.length === 0) return [];
+        const { penalties } = ScoringCore.calculate_proportional_penalty(missing, missing.length + context.jdKeywords.length, context.profile);
+        return penalties.map(penalty => ({ source: 'scoring-core', ...penalty }));
+      }
+      case 'skillsAlignment':
+        return redFlags('skills');
+      case 'employmentHistory': {
+        const ranges = this.findSpans(context.resumeText, DATE_RANGE_PATTERN, 'earned', '', '')
+          .map(span => span.text.split(/\s*(?:-|–|—|to)\s*/i))
+          .filter(parts => parts.length === 2)
+          .map(([startDate, endDate]) => ({ startDate, endDate }));
+        const dateIssues = ScoringCore.validate_date_ranges(ranges).penalties
+          .map((penalty): AuditPenalty => ({ source: 'scoring-core', ...penalty }));
+        return [...dateIssues, ...redFlags('employment')];
+      }
+      case 'formatting':
+        return [
+          ...(enhancedScore?.format_issues || []).map((issue): AuditPenalty => ({
+            source: 'format-issue',
+            type: issue.type,
+            severity: issue.severity,
+            penaltyPercentage: 0,
+            maxPenalty: 0,
+            appliedPenalty: 0,
+            reason: issue.description
+          })),
+          ...redFlags('formatting')
+        ];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Assemble the trail from finished recorders. `scores` holds the final
+   * (clamped) values reported to the user.
+   */
+  buildTrail(params: {
+    scoringModel: ScoreAuditTrail['scoringModel'];
+    recorders: Record<string, ParameterAuditRecorder>;
+    overallScore: number;
+    resumeText: string;
+    jobDescription?: string;
+    enhancedScore?: EnhancedComprehensiveScore;
+    profile?: ScoringProfile;
+  }): ScoreAuditTrail {
+    const { scoringModel, recorders, overallScore, resumeText, jobDescription, enhancedScore } = params;
+    const profile = params.profile || scoringProfileRegistry.getDefault();
+    // Without a JD, technical terms in the resume itself are the keyword evidence
+    const jdKeywords = JDKeywordExtractor.analyzeJobDescription(jobDescription || resumeText || '').allKeywords;
+    const context: EvidenceContext = { resumeText, jobDescription, enhancedScore, jdKeywords, profile };
+    const weights = profile.parameterWeights as Record<string, number>;
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+
+    const parameters: ParameterAudit[] = SCORE_PARAMETERS.map(definition => {
+      const recorder = recorders[definition.key];
+      const steps = recorder ? recorder.recordedSteps : [];
+      return {
+        key: definition.key,
+        name: definition.name,
+        parameterNumber: definition.parameterNumber,
+        // The rule that set the final value
+        ruleId: steps.length > 0 ? steps[steps.length - 1].ruleId : `${definition.rulePrefix}/none`,
+        score: recorder ? recorder.value : 0,
+        maxScore: definition.maxScore,
+        weight: Math.round(((weights[definition.key] ?? 0) / totalWeight) * 10000) / 10000,
+        inputs: recorder ? { ...recorder.inputs } : {},
+        steps,
+        penalties: this.collectPenalties(definition, context),
+        evidence: this.collectEvidence(definition, context)
+      };
+    });
+
+    return {
+      schemaVersion: SCORE_AUDIT_SCHEMA_VERSION,
+      generatedAt: scoringEnvironment.now().toISOString(),
+      scoringModel,
+      profileId: profile.id,
+      mode: jobDescription && jobDescription.trim().length > 0 ? 'jd_based' : 'general',
+      overallScore,
+      rawTotal: parameters.reduce((sum, parameter) => sum + parameter.score, 0),
+      maxTotal: SCORE_PARAMETER_MAX_TOTAL,
+      resumeTextLength: resumeText.length,
+      parameters
+    };
+  }
+
+  serializeTrail(trail: ScoreAuditTrail): string {
+    return JSON.stringify(trail, null, 2);
+  }
+
+  /**
+   * Resume lines that carry evidence for a parameter, split into plain and
+   * highlighted segments for display
+   */
+  getHighlightedLines(
+    resumeText: string,
+    evidence: EvidenceSpan[]
+  ): Array<{ line: number; segments: Array<{ text: string; effect?: EvidenceSpan['effect'] }> }> {
+    const lines = resumeText.split('\n');
+    const lineStarts: number[] = [];
+    lines.reduce((offset, line) => {
+      lineStarts.push(offset);
+      return offset + line.length + 1;
+    }, 0);
+
+    const byLine = new Map<number, EvidenceSpan[]>();
+    evidence
+      .filter(span => span.source === 'resume')
+      .forEach(span => byLine.set(span.line, [...(byLine.get(span.line) || []), span]));
+
+    return Array.from(byLine.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([line, spans]) => {
+        const text = lines[line - 1] || '';
+        const lineStart = lineStarts[line - 1] || 0;
+        const segments: Array<{ text: string; effect?: EvidenceSpan['effect'] }> = [];
+        let cursor = 0;
+
+        [...spans]
+          .sort((a, b) => a.start - b.start)
+          .forEach(span => {
+            const start = Math.max(span.start - lineStart, cursor);
+            const end = Math.min(span.end - lineStart, text.length);
+            if (end <= start) return;
+            if (start > cursor) segments.push({ text: text.slice(cursor, start) });
+            segments.push({ text: text.slice(start, end), effect: span.effect });
+            cursor = end;
+          });
+        if (cursor < text.length) segments.push({ text: text.slice(cursor) });
+
+        return { line, segments };
+      });
+  }
+}
+
+export const scoreAuditService = new ScoreAuditService();
@@ -1,8 +1,10 @@
-import { semanticMatchingService } from './semanticMatchingService';
+import { semanticIndexService } from './semantic/semanticIndexService';
 import { synonymExpansionService } from './synonymExpansionService';
 import { dateNormalizer, ParsedDate } from '../utils/dateNormalizer';
 import { confidenceCalculator, ConfidenceFeatures, ConfidenceBreakdown } from './confidenceCalculator';
 import { keywordContextAnalyzer, KeywordContextResult } from './keywordContextAnalyzer';
+import { scoringProfileRegistry } from './scoringProfiles/scoringProfileRegistry';
+import { ScoringProfile } from '../types/scoringProfile';
 
 export interface ProportionalPenalty {
   type: 'missing_critical_skill' | 'missing_optional_skill' | 'date_issue' | 'formatting' | 'experience_gap';
@@ -21,23 +23,20 @@ export interface SemanticMatchResult {
   missingKeywords: string[];
 }
 
+// Weights and penalty thresholds come from the scoring profile selected for the JD
 export class ScoringCore {
-  private static readonly MAX_PENALTY_PER_ISSUE = 15;
-  private static readonly SEMANTIC_WEIGHT = 0.6;
-  private static readonly LITERAL_WEIGHT = 0.4;
-
   static async semantic_match(
     resumeText: string,
     jdText: string,
-    keywords: string[]
+    keywords: string[],
+    profile: ScoringProfile = scoringProfileRegistry.select(jdText).profile
   ): Promise<SemanticMatchResult> {
     try {
-      await semanticMatchingService.initialize();
-
-      const resumeEmbedding = await semanticMatchingService.generateEmbedding(resumeText);
-      const jdEmbedding = await semanticMatchingService.generateEmbedding(jdText);
-
-      const documentSimilarity = semanticMatchingService.cosineSimilarity(resumeEmbedding, jdEmbedding);
+      // Embeddings are skipped offline or when the model cannot load; keywords then match literally or through the skill taxonomy
+      let documentSimilarity = 0;
+      if (await semanticIndexService.initialize()) {
+        documentSimilarity = await semanticIndexService.similarity(resumeText, jdText);
+      }
 
       const keywordMatches = await this.matchKeywordsWithSemantics(resumeText, keywords);
 
@@ -47,7 +46,8 @@ export class ScoringCore {
       const literalScore = keywords.length > 0 ? literalMatchCount / keywords.length : 0;
       const semanticScore = keywords.length > 0 ? semanticMatchCount / keywords.length : documentSimilarity;
 
-      const combinedScore = (this.SEMANTIC_WEIGHT * semanticScore) + (this.LITERAL_WEIGHT * literalScore);
+      const { semanticWeight, literalWeight } = profile.matching;
+      const combinedScore = (semanticWeight * semanticScore) + (literalWeight * literalScore);
 
       const matchedKeywords = keywordMatches
         .filter(k => k.literalMatch || k.semanticMatch)
@@ -90,39 +90,37 @@ export class ScoringCore {
       const synonyms = await synonymExpansionService.expandKeyword(keyword, false);
       const synonymMatch = synonyms.some(syn => lowerResume.includes(syn.toLowerCase()));
 
-      let semanticMatch = literalMatch || synonymMatch;
-      let score = literalMatch ? 1.0 : (synonymMatch ? 0.8 : 0);
-
-      if (!semanticMatch) {
-        try {
-          const keywordEmbedding = await semanticMatchingService.generateEmbedding(keyword);
-          const sentences = resumeText.split(/[.!?]\s+/);
-
-          for (const sentence of sentences) {
-            if (sentence.length < 10) continue;
-
-            const sentenceEmbedding = await semanticMatchingService.generateEmbedding(sentence);
-            const similarity = semanticMatchingService.cosineSimilarity(keywordEmbedding, sentenceEmbedding);
-
-            if (similarity >= 0.75) {
-              semanticMatch = true;
-              score = similarity;
-              break;
-            }
-          }
-        } catch (error) {
-          console.error(`Error checking semantic match for ${keyword}:`, error);
-        }
-      }
-
       results.push({
         keyword,
         literalMatch,
-        semanticMatch,
-        score
+        semanticMatch: literalMatch || synonymMatch,
+        score: literalMatch ? 1.0 : (synonymMatch ? 0.8 : 0)
       });
     }
 
+    const unmatched = results.filter(result => !result.semanticMatch);
+    if (unmatched.length === 0 || !(await semanticIndexService.initialize())) {
+      return results;
+    }
+
+    // One index over the resume's sentences, searched once per remaining keyword
+    try {
+      const sentences = resumeText.split(/[.!?]\s+/).filter(sentence => sentence.length >= 10);
+      const index = await semanticIndexService.buildIndex(
+        sentences.map((text, i) => ({ id: `sentence-${i}`, text, kind: 'bullet' as const }))
+      );
+
+      for (const result of unmatched) {
+        const [best] = await semanticIndexService.topK(result.keyword, index, 1, 0.75, 'skill');
+        if (best) {
+          result.semanticMatch = true;
+          result.score = best.score;
+        }
+      }
+    } catch (error) {
+      console.error('Error checking semantic keyword matches:', error);
+    }
+
     return results;
   }
 
@@ -146,32 +144,13 @@ export class ScoringCore {
 
   static calculate_proportional_penalty(
     missingSkills: Array<{ skill: string; importance: 'critical' | 'high' | 'medium' | 'low' }>,
-    totalSkills: number
+    totalSkills: number,
+    profile: ScoringProfile = scoringProfileRegistry.getDefault()
   ): { penalties: ProportionalPenalty[]; totalPenalty: number; cappedPenalty: number } {
     const penalties: ProportionalPenalty[] = [];
 
     for (const { skill, importance } of missingSkills) {
-      let penaltyPercentage: number;
-      let maxPenalty: number;
-
-      switch (importance) {
-        case 'critical':
-          penaltyPercentage = 3.0;
-          maxPenalty = 15;
-          break;
-        case 'high':
-          penaltyPercentage = 2.0;
-          maxPenalty = 12;
-          break;
-        case 'medium':
-          penaltyPercentage = 1.5;
-          maxPenalty = 10;
-          break;
-        case 'low':
-          penaltyPercentage = 1.0;
-          maxPenalty = 8;
-          break;
-      }
+      const { percentage: penaltyPercentage, max: maxPenalty } = profile.penalties.missingSkill[importance];
 
       const appliedPenalty = Math.min(penaltyPercentage, maxPenalty);
 
@@ -188,7 +167,7 @@ export class ScoringCore {
     }
 
     const totalPenalty = penalties.reduce((sum, p) => sum + p.appliedPenalty, 0);
-    const cappedPenalty = Math.min(totalPenalty, this.MAX_PENALTY_PER_ISSUE * penalties.length);
+    const cappedPenalty = Math.min(totalPenalty, profile.penalties.maxPenaltyPerIssue * penalties.length);
 
     return {
       penalties,
@@ -199,7 +178,8 @@ export class ScoringCore {
 
   static apply_soft_penalties(
     baseScore: number,
-    penalties: ProportionalPenalty[]
+    penalties: ProportionalPenalty[],
+    profile: ScoringProfile = scoringProfileRegistry.getDefault()
   ): { adjustedScore: number; penaltiesApplied: ProportionalPenalty[]; totalReduction: number } {
     let adjustedScore = baseScore;
     const penaltiesApplied: ProportionalPenalty[] = [];
@@ -217,7 +197,7 @@ export class ScoringCore {
 
       penaltiesApplied.push(penalty);
 
-      if (totalReduction >= this.MAX_PENALTY_PER_ISSUE) {
+      if (totalReduction >= profile.penalties.maxPenaltyPerIssue) {
         break;
       }
     }
@@ -293,7 +273,10 @@ export class ScoringCore {
     };
   }
 
-  static create_penalty_summary(penalties: ProportionalPenalty[]): {
+  static create_penalty_summary(
+    penalties: ProportionalPenalty[],
+    profile: ScoringProfile = scoringProfileRegistry.getDefault()
+  ): {
     totalCount: number;
     bySeverity: Record<string, number>;
     byType: Record<string, number>;
@@ -317,9 +300,10 @@ export class ScoringCore {
       totalPenaltyPercentage += penalty.appliedPenalty;
     }
 
-    const cappedPenalty = Math.min(totalPenaltyPercentage, this.MAX_PENALTY_PER_ISSUE);
+    const { maxPenaltyPerIssue } = profile.penalties;
+    const cappedPenalty = Math.min(totalPenaltyPercentage, maxPenaltyPerIssue);
 
-    const description = `${penalties.length} penalties identified with ${cappedPenalty.toFixed(1)}% total reduction (capped at ${this.MAX_PENALTY_PER_ISSUE}%)`;
+    const description = `${penalties.length} penalties identified with ${cappedPenalty.toFixed(1)}% total reduction (capped at ${maxPenaltyPerIssue}%)`;
 
     return {
       totalCount: penalties.length,
@@ -0,0 +1,59 @@
+// src/services/scoringEnvironment.ts
+
+export interface DeterministicScoringOptions {
+  // Date that "Present", the current year and future-date checks resolve against
+  referenceDate: Date | string;
+}
+
+/**
+ * Scoring Environment
+ * Single source of "now" and of the offline switch for the scoring pipeline.
+ * In offline mode, embedding and LLM backed matchers are skipped and only the
+ * rule-based and lexical matchers run; pinning the reference date as well makes
+ * identical inputs produce identical scores on any machine, on any day.
+ */
+class ScoringEnvironment {
+  private referenceDate: Date | null = null;
+  private offline = import.meta.env.VITE_SCORING_MODE === 'offline';
+
+  now(): Date {
+    return this.referenceDate ? new Date(this.referenceDate.getTime()) : new Date();
+  }
+
+  currentYear(): number {
+    return this.now().getFullYear();
+  }
+
+  isOffline(): boolean {
+    return this.offline;
+  }
+
+  isDeterministic(): boolean {
+    return this.offline && this.referenceDate !== null;
+  }
+
+  /**
+   * Run a scoring call offline with a pinned reference date, restoring the
+   * previous environment afterwards. Calls run sequentially share one
+   * environment, so do not interleave deterministic and live scoring.
+   */
+  async runDeterministic<T>(options: DeterministicScoringOptions, run: () => Promise<T> | T): Promise<T> {
+    const referenceDate = new Date(options.referenceDate);
+    if (Number.isNaN(referenceDate.getTime())) {
+      throw new Error(`Invalid scoring reference date: ${String(options.referenceDate)}`);
+    }
+
+    const previous = { referenceDate: this.referenceDate, offline: this.offline };
+    this.referenceDate = referenceDate;
+    this.offline = true;
+
+    try {
+      return await run();
+    } finally {
+      this.referenceDate = previous.referenceDate;
+      this.offline = previous.offline;
+    }
+  }
+}
+
+export const scoringEnvironment = new ScoringEnvironment();
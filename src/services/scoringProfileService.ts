@@ -0,0 +1,68 @@
+import { supabase } from '../lib/supabaseClient';
+import { ScoringProfile } from '../types/scoringProfile';
+import { scoringProfileRegistry } from './scoringProfiles/scoringProfileRegistry';
+import { validateScoringProfile } from './scoringProfiles/scoringProfileSchema';
+
+// Saved profiles live in scoring_profiles as one JSON document per id; built-ins
+// only get a row once an admin edits them, and deleting that row restores them.
+export const scoringProfileService = {
+  async loadSavedProfiles(): Promise<ScoringProfile[]> {
+    try {
+      const { data, error } = await supabase
+        .from('scoring_profiles')
+        .select('id, profile')
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      scoringProfileRegistry.replaceSaved((data || []).map(row => row.profile));
+      return scoringProfileRegistry.list();
+    } catch (error) {
+      console.error('Error loading scoring profiles:', error);
+      throw error;
+    }
+  },
+
+  async saveProfile(raw: unknown): Promise<ScoringProfile> {
+    const validation = validateScoringProfile(raw);
+    if (!validation.valid || !validation.profile) {
+      const [issue] = validation.issues;
+      throw new Error(`Invalid scoring profile: ${issue.path} ${issue.message}`);
+    }
+
+    try {
+      const profile = { ...validation.profile, builtIn: Boolean(scoringProfileRegistry.getBuiltIn(validation.profile.id)) };
+      const { error } = await supabase
+        .from('scoring_profiles')
+        .upsert({
+          id: profile.id,
+          name: profile.name,
+          profile,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'id' });
+
+      if (error) throw error;
+
+      return scoringProfileRegistry.register(profile);
+    } catch (error) {
+      console.error('Error saving scoring profile:', error);
+      throw error;
+    }
+  },
+
+  async deleteProfile(id: string): Promise<void> {
+    try {
+      const { error } = await supabase
+        .from('scoring_profiles')
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+
+      scoringProfileRegistry.remove(id);
+    } catch (error) {
+      console.error('Error deleting scoring profile:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,317 @@
+// src/services/scoringProfiles/builtInProfiles.ts
+import { SCORING_PROFILE_SCHEMA_VERSION, ScoringProfile } from '../../types/scoringProfile';
+
+// ============================================================================
+// DEFAULT PROFILE
+// ============================================================================
+
+/**
+ * The weights every scorer used before profiles existed. Any job description
+ * that no other profile claims is scored with these, so they must stay equal
+ * to the original constants (the golden scoring suite checks this).
+ */
+export const defaultScoringProfile: ScoringProfile = {
+  schemaVersion: SCORING_PROFILE_SCHEMA_VERSION,
+  id: 'default',
+  name: 'General (all roles)',
+  description: 'Baseline weights used when no role or region specific profile matches the job description.',
+  builtIn: true,
+  selector: { roleTypes: [], titleKeywords: [], seniority: [], regions: [] },
+  // The 16-parameter maximums, so the overall score stays a plain sum of points
+  parameterWeights: {
+    keywordMatch: 25,
+    skillsAlignment: 20,
+    experienceRelevance: 15,
+    technicalCompetencies: 12,
+    educationScore: 10,
+    quantifiedAchievements: 8,
+    employmentHistory: 8,
+    industryExperience: 7,
+    jobTitleMatch: 6,
+    careerProgression: 6,
+    certifications: 5,
+    formatting: 5,
+    contentQuality: 4,
+    grammar: 3,
+    resumeLength: 2,
+    filenameQuality: 2
+  },
+  matching: { semanticWeight: 0.6, literalWeight: 0.4 },
+  penalties: {
+    maxPenaltyPerIssue: 15,
+    missingSkill: {
+      critical: { percentage: 3.0, max: 15 },
+      high: { percentage: 2.0, max: 12 },
+      medium: { percentage: 1.5, max: 10 },
+      low: { percentage: 1.0, max: 8 }
+    }
+  },
+  skillWeights: {
+    'ops-data-entry': {
+      'MS Office': 1.5,
+      'Accuracy': 1.4,
+      'SLAs': 1.3,
+      'Documentation': 1.2,
+      'Data Entry': 1.5,
+      'Technical Skills': 0.6
+    },
+    'software-dev': {
+      'Technical Skills': 1.4,
+      'APIs': 1.3,
+      'System Design': 1.3,
+      'Code Quality': 1.2,
+      'MS Office': 0.7,
+      'Data Entry': 0.5
+    },
+    'data-analytics': {
+      'SQL': 1.4,
+      'Data Analysis': 1.4,
+      'Visualization': 1.3,
+      'Statistics': 1.2,
+      'Python/R': 1.3
+    },
+    'ai-ml': {
+      'ML Models': 1.5,
+      'Python': 1.4,
+      'Data Science': 1.4,
+      'Algorithms': 1.3,
+      'Research': 1.2
+    },
+    'devops-cloud': {
+      'CI/CD': 1.5,
+      'Cloud': 1.4,
+      'Infrastructure': 1.3,
+      'Automation': 1.3,
+      'Monitoring': 1.2
+    }
+  },
+  document: {
+    sectionOrder: ['header', 'summary', 'skills', 'experience', 'projects', 'education', 'certifications'],
+    requiredSections: [],
+    minSections: 5,
+    pageLimit: { min: 1, max: 2 },
+    totalWords: { min: 400, max: 650 },
+    summaryWords: { min: 40, max: 60 },
+    bulletWords: { min: 5, max: 10 },
+    minMetricPercentage: 75,
+    keywordRepetition: { min: 4, max: 6 }
+  }
+};
+
+// ============================================================================
+// ROLE AND REGION PROFILES
+// ============================================================================
+
+export const sdeIndiaFresherProfile: ScoringProfile = {
+  schemaVersion: SCORING_PROFILE_SCHEMA_VERSION,
+  id: 'sde-india-fresher',
+  name: 'SDE India fresher',
+  description: 'Entry-level software roles in India: one page, projects and education ahead of experience, lighter penalties for missing skills.',
+  builtIn: true,
+  selector: {
+    roleTypes: ['backend', 'frontend', 'fullstack', 'mobile'],
+    titleKeywords: [],
+    seniority: ['intern', 'fresher', 'junior'],
+    regions: ['india']
+  },
+  parameterWeights: {
+    keywordMatch: 25,
+    skillsAlignment: 22,
+    experienceRelevance: 8,
+    technicalCompetencies: 16,
+    educationScore: 16,
+    quantifiedAchievements: 8,
+    employmentHistory: 4,
+    industryExperience: 4,
+    jobTitleMatch: 6,
+    careerProgression: 3,
+    certifications: 7,
+    formatting: 6,
+    contentQuality: 5,
+    grammar: 3,
+    resumeLength: 3,
+    filenameQuality: 2
+  },
+  matching: { semanticWeight: 0.5, literalWeight: 0.5 },
+  penalties: {
+    maxPenaltyPerIssue: 12,
+    missingSkill: {
+      critical: { percentage: 2.5, max: 12 },
+      high: { percentage: 1.5, max: 10 },
+      medium: { percentage: 1.0, max: 8 },
+      low: { percentage: 0.5, max: 5 }
+    }
+  },
+  skillWeights: {
+    'software-dev': {
+      'Technical Skills': 1.4,
+      'Data Structures': 1.4,
+      'Algorithms': 1.3,
+      'Projects': 1.3,
+      'APIs': 1.2,
+      'MS Office': 0.7,
+      'Data Entry': 0.5
+    }
+  },
+  document: {
+    sectionOrder: ['header', 'summary', 'skills', 'projects', 'education', 'experience', 'certifications'],
+    requiredSections: ['header', 'skills', 'projects', 'education'],
+    minSections: 4,
+    pageLimit: { min: 1, max: 1 },
+    totalWords: { min: 300, max: 550 },
+    summaryWords: { min: 25, max: 50 },
+    bulletWords: { min: 5, max: 10 },
+    minMetricPercentage: 60,
+    keywordRepetition: { min: 3, max: 5 }
+  }
+};
+
+export const dataScienceUsExperiencedProfile: ScoringProfile = {
+  schemaVersion: SCORING_PROFILE_SCHEMA_VERSION,
+  id: 'data-science-us-experienced',
+  name: 'Data Science US experienced',
+  description: 'Mid-level and senior data science and ML roles in the US: experience first, heavier weight on measured impact.',
+  builtIn: true,
+  selector: {
+    roleTypes: ['data', 'ai-ml'],
+    titleKeywords: [],
+    seniority: ['mid', 'senior', 'lead', 'principal', 'architect'],
+    regions: ['us']
+  },
+  parameterWeights: {
+    keywordMatch: 24,
+    skillsAlignment: 20,
+    experienceRelevance: 18,
+    technicalCompetencies: 14,
+    educationScore: 8,
+    quantifiedAchievements: 12,
+    employmentHistory: 8,
+    industryExperience: 8,
+    jobTitleMatch: 6,
+    careerProgression: 6,
+    certifications: 2,
+    formatting: 4,
+    contentQuality: 4,
+    grammar: 2,
+    resumeLength: 1,
+    filenameQuality: 1
+  },
+  matching: { semanticWeight: 0.6, literalWeight: 0.4 },
+  penalties: {
+    maxPenaltyPerIssue: 15,
+    missingSkill: {
+      critical: { percentage: 3.0, max: 15 },
+      high: { percentage: 2.0, max: 12 },
+      medium: { percentage: 1.5, max: 10 },
+      low: { percentage: 1.0, max: 8 }
+    }
+  },
+  skillWeights: {
+    'data-analytics': {
+      'SQL': 1.4,
+      'Data Analysis': 1.3,
+      'Experimentation': 1.4,
+      'A/B Testing': 1.4,
+      'Statistics': 1.4,
+      'Python/R': 1.3
+    },
+    'ai-ml': {
+      'ML Models': 1.5,
+      'Python': 1.3,
+      'Experimentation': 1.4,
+      'Statistics': 1.3,
+      'MLOps': 1.3,
+      'Research': 1.1
+    }
+  },
+  document: {
+    sectionOrder: ['header', 'summary', 'experience', 'skills', 'projects', 'education', 'certifications'],
+    requiredSections: ['header', 'summary', 'skills', 'experience', 'education'],
+    minSections: 5,
+    pageLimit: { min: 1, max: 2 },
+    totalWords: { min: 450, max: 800 },
+    summaryWords: { min: 30, max: 60 },
+    bulletWords: { min: 8, max: 20 },
+    minMetricPercentage: 75,
+    keywordRepetition: { min: 3, max: 6 }
+  }
+};
+
+export const productManagerProfile: ScoringProfile = {
+  schemaVersion: SCORING_PROFILE_SCHEMA_VERSION,
+  id: 'product-manager',
+  name: 'Product Manager',
+  description: 'Product management roles in any region: outcomes, scope and domain over tooling. Matched by job title.',
+  builtIn: true,
+  selector: {
+    roleTypes: [],
+    titleKeywords: ['product manager', 'product owner', 'product management', 'head of product'],
+    seniority: [],
+    regions: []
+  },
+  parameterWeights: {
+    keywordMatch: 22,
+    skillsAlignment: 14,
+    experienceRelevance: 18,
+    technicalCompetencies: 6,
+    educationScore: 8,
+    quantifiedAchievements: 14,
+    employmentHistory: 8,
+    industryExperience: 10,
+    jobTitleMatch: 8,
+    careerProgression: 8,
+    certifications: 3,
+    formatting: 5,
+    contentQuality: 6,
+    grammar: 4,
+    resumeLength: 2,
+    filenameQuality: 2
+  },
+  // Product vocabulary varies more between companies than engineering stacks do
+  matching: { semanticWeight: 0.7, literalWeight: 0.3 },
+  penalties: {
+    maxPenaltyPerIssue: 12,
+    missingSkill: {
+      critical: { percentage: 3.0, max: 12 },
+      high: { percentage: 1.5, max: 10 },
+      medium: { percentage: 1.0, max: 8 },
+      low: { percentage: 0.5, max: 5 }
+    }
+  },
+  // Product JDs classify as general roles, which the evidence scorer files under ops-data-entry
+  skillWeights: {
+    'ops-data-entry': {
+      'Roadmap': 1.5,
+      'Stakeholder': 1.4,
+      'Metrics': 1.4,
+      'Discovery': 1.3,
+      'Prioritization': 1.3,
+      'MS Office': 0.7,
+      'Data Entry': 0.5
+    },
+    'software-dev': {
+      'Roadmap': 1.4,
+      'APIs': 1.2,
+      'System Design': 1.1,
+      'Metrics': 1.3
+    }
+  },
+  document: {
+    sectionOrder: ['header', 'summary', 'experience', 'skills', 'education', 'projects', 'certifications'],
+    requiredSections: ['header', 'summary', 'experience', 'education'],
+    minSections: 4,
+    pageLimit: { min: 1, max: 2 },
+    totalWords: { min: 400, max: 700 },
+    summaryWords: { min: 30, max: 60 },
+    bulletWords: { min: 8, max: 20 },
+    minMetricPercentage: 60,
+    keywordRepetition: { min: 2, max: 5 }
+  }
+};
+
+export const builtInScoringProfiles: ScoringProfile[] = [
+  defaultScoringProfile,
+  sdeIndiaFresherProfile,
+  dataScienceUsExperiencedProfile,
+  productManagerProfile
+];
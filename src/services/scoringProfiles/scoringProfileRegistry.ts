@@ -0,0 +1,186 @@
+// src/services/scoringProfiles/scoringProfileRegistry.ts
+import {
+  EvidenceRoleFamily,
+  ScoringProfile,
+  ScoringProfileSelection,
+  ScoringRegion
+} from '../../types/scoringProfile';
+import { roleClassifier, RoleClassification } from '../roleClassifier';
+import { scoringEnvironment } from '../scoringEnvironment';
+import { builtInScoringProfiles, defaultScoringProfile } from './builtInProfiles';
+import { validateScoringProfile } from './scoringProfileSchema';
+
+export interface ScoringProfileSelectOptions {
+  // Overrides region detection, e.g. from the user's saved location
+  region?: ScoringRegion;
+  // Title to match titleKeywords against; defaults to the first line of the JD
+  jobTitle?: string;
+  classification?: RoleClassification;
+}
+
+const REGION_PATTERNS: Array<[ScoringRegion, RegExp]> = [
+  ['india', /\b(?:india|bengaluru|bangalore|hyderabad|pune|chennai|mumbai|delhi|gurugram|gurgaon|noida|kolkata|ahmedabad|lpa|inr|lakhs?)\b|₹/gi],
+  ['us', /\b(?:usa|united states|new york|san francisco|bay area|seattle|austin|boston|chicago|401\(k\))|\bu\.s\.|\$\s?\d|\b(?:remote|based)\s*(?:\(|in\s+)?us\b/gi],
+  ['uk', /\b(?:united kingdom|london|manchester|edinburgh)\b|£/gi],
+  ['eu', /\b(?:europe|eu|germany|berlin|munich|netherlands|amsterdam|france|paris|ireland|dublin|spain|madrid)\b|€/gi]
+];
+
+/**
+ * Scoring Profile Registry
+ * Holds the weight, penalty and document-rule profiles the scorers read
+ * instead of hard-coded constants, and picks one per job description from the
+ * role classifier's role and seniority plus the region the JD mentions.
+ * Profiles saved by admins override built-ins with the same id; offline
+ * scoring only ever uses the built-ins so results never depend on the database.
+ */
+export class ScoringProfileRegistry {
+  private builtIns = new Map<string, ScoringProfile>();
+  private overrides = new Map<string, ScoringProfile>();
+
+  constructor(profiles: ScoringProfile[] = []) {
+    profiles.forEach(profile => this.builtIns.set(profile.id, profile));
+  }
+
+  register(profile: unknown): ScoringProfile {
+    const validation = validateScoringProfile(profile);
+    if (!validation.valid || !validation.profile) {
+      const [issue] = validation.issues;
+      throw new Error(`Invalid scoring profile: ${issue.path} ${issue.message}`);
+    }
+
+    const registered = { ...validation.profile, builtIn: this.builtIns.has(validation.profile.id) };
+    this.overrides.set(registered.id, registered);
+    return registered;
+  }
+
+  /**
+   * Remove a saved profile. Removing an edited built-in restores the shipped
+   * version; the shipped built-ins themselves cannot be removed.
+   */
+  remove(id: string): void {
+    if (!this.overrides.has(id)) {
+      throw new Error(this.builtIns.has(id) ? `Built-in scoring profile "${id}" cannot be deleted` : `Unknown scoring profile "${id}"`);
+    }
+    this.overrides.delete(id);
+  }
+
+  // Replace every saved profile at once, e.g. after loading them from Supabase
+  replaceSaved(profiles: unknown[]): void {
+    this.overrides.clear();
+    profiles.forEach(profile => {
+      try {
+        this.register(profile);
+      } catch (error) {
+        console.warn('⚠️ Skipping saved scoring profile:', error instanceof Error ? error.message : error);
+      }
+    });
+  }
+
+  get(id?: string | null): ScoringProfile {
+    const profiles = this.activeProfiles();
+    return (id && profiles.get(id)) || profiles.get(defaultScoringProfile.id) || defaultScoringProfile;
+  }
+
+  getDefault(): ScoringProfile {
+    return this.get(defaultScoringProfile.id);
+  }
+
+  getBuiltIn(id: string): ScoringProfile | undefined {
+    return this.builtIns.get(id);
+  }
+
+  isOverridden(id: string): boolean {
+    return this.overrides.has(id);
+  }
+
+  list(): ScoringProfile[] {
+    return Array.from(this.activeProfiles().values());
+  }
+
+  /**
+   * Skill multipliers for a role family, falling back to the default profile's
+   */
+  getSkillWeights(profile: ScoringProfile, family: EvidenceRoleFamily): Record<string, number> {
+    return profile.skillWeights[family] || this.getDefault().skillWeights[family] || {};
+  }
+
+  detectRegion(jobDescription: string): ScoringRegion {
+    let best: ScoringRegion = 'global';
+    let bestCount = 0;
+
+    REGION_PATTERNS.forEach(([region, pattern]) => {
+      const count = (jobDescription.match(pattern) || []).length;
+      if (count > bestCount) {
+        best = region;
+        bestCount = count;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Pick the most specific profile whose selector matches the JD. A title
+   * keyword outranks a role type, which outranks seniority and region; ties go
+   * to the profile registered first. No match means the default profile.
+   */
+  select(jobDescription: string = '', options: ScoringProfileSelectOptions = {}): ScoringProfileSelection {
+    const classification = options.classification || roleClassifier.classifyRole(jobDescription);
+    const region = options.region || this.detectRegion(jobDescription);
+    const title = (options.jobTitle || jobDescription.split('\n').find(line => line.trim().length > 0) || '').toLowerCase();
+
+    let selected: ScoringProfileSelection = {
+      profile: this.getDefault(),
+      roleType: classification.roleType,
+      seniority: classification.seniority,
+      region,
+      reasons: ['No role or region specific profile matched']
+    };
+    let bestScore = 0;
+
+    this.list().forEach(profile => {
+      if (profile.id === defaultScoringProfile.id) return;
+
+      const { selector } = profile;
+      const titleKeyword = selector.titleKeywords.find(keyword => title.includes(keyword.toLowerCase()));
+      const roleMatch = selector.roleTypes.includes(classification.roleType);
+
+      if ((selector.roleTypes.length > 0 || selector.titleKeywords.length > 0) && !titleKeyword && !roleMatch) return;
+      if (selector.seniority.length > 0 && !selector.seniority.includes(classification.seniority)) return;
+      if (selector.regions.length > 0 && !selector.regions.includes(region)) return;
+
+      const reasons: string[] = [];
+      let score = 0;
+      if (titleKeyword) {
+        score += 4;
+        reasons.push(`Job title mentions "${titleKeyword}"`);
+      }
+      if (roleMatch) {
+        score += 3;
+        reasons.push(`Role classified as ${classification.roleType}`);
+      }
+      if (selector.seniority.length > 0) {
+        score += 2;
+        reasons.push(`Seniority classified as ${classification.seniority}`);
+      }
+      if (selector.regions.length > 0) {
+        score += 1;
+        reasons.push(`Region detected as ${region}`);
+      }
+
+      if (score > bestScore) {
+        bestScore = score;
+        selected = { ...selected, profile, reasons };
+      }
+    });
+
+    return selected;
+  }
+
+  private activeProfiles(): Map<string, ScoringProfile> {
+    if (scoringEnvironment.isOffline()) return this.builtIns;
+    return new Map([...this.builtIns, ...this.overrides]);
+  }
+}
+
+export const scoringProfileRegistry = new ScoringProfileRegistry(builtInScoringProfiles);
@@ -0,0 +1,115 @@
+// src/services/scoringProfiles/scoringProfileSchema.ts
+import { z } from 'zod';
+import {
+  SCORING_PROFILE_SCHEMA_VERSION,
+  ScoringProfile,
+  ScoringProfileValidation
+} from '../../types/scoringProfile';
+
+const roleTypes = ['backend', 'frontend', 'fullstack', 'mobile', 'devops', 'data', 'ai-ml', 'qa', 'security', 'embedded', 'general'] as const;
+const seniorityLevels = ['intern', 'fresher', 'junior', 'mid', 'senior', 'lead', 'principal', 'architect'] as const;
+const regions = ['india', 'us', 'uk', 'eu', 'global'] as const;
+const sections = ['header', 'summary', 'skills', 'experience', 'projects', 'education', 'certifications'] as const;
+
+const weight = z.number().min(0).max(100);
+const percentage = z.number().min(0).max(100);
+
+const range = (min: number, max: number) => z.object({
+  min: z.number().int().min(min).max(max),
+  max: z.number().int().min(min).max(max)
+}).refine(value => value.min <= value.max, { message: 'min must not exceed max' });
+
+const penaltyThreshold = z.object({
+  percentage,
+  max: percentage
+});
+
+const skillWeightMap = z.record(z.string().min(1), z.number().min(0).max(5));
+
+export const scoringProfileSchema = z.object({
+  schemaVersion: z.literal(SCORING_PROFILE_SCHEMA_VERSION),
+  id: z.string().regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Use lowercase letters, digits and hyphens'),
+  name: z.string().trim().min(1).max(80),
+  description: z.string().max(500),
+  builtIn: z.boolean(),
+  selector: z.object({
+    roleTypes: z.array(z.enum(roleTypes)),
+    titleKeywords: z.array(z.string().trim().min(2)),
+    seniority: z.array(z.enum(seniorityLevels)),
+    regions: z.array(z.enum(regions))
+  }),
+  parameterWeights: z.object({
+    keywordMatch: weight,
+    skillsAlignment: weight,
+    experienceRelevance: weight,
+    technicalCompetencies: weight,
+    educationScore: weight,
+    quantifiedAchievements: weight,
+    employmentHistory: weight,
+    industryExperience: weight,
+    jobTitleMatch: weight,
+    careerProgression: weight,
+    certifications: weight,
+    formatting: weight,
+    contentQuality: weight,
+    grammar: weight,
+    resumeLength: weight,
+    filenameQuality: weight
+  }).refine(weights => Object.values(weights).some(value => value > 0), { message: 'At least one parameter needs a weight' }),
+  matching: z.object({
+    semanticWeight: z.number().min(0).max(1),
+    literalWeight: z.number().min(0).max(1)
+  }).refine(
+    matching => Math.abs(matching.semanticWeight + matching.literalWeight - 1) < 0.001,
+    { message: 'semanticWeight and literalWeight must add up to 1' }
+  ),
+  penalties: z.object({
+    maxPenaltyPerIssue: percentage,
+    missingSkill: z.object({
+      critical: penaltyThreshold,
+      high: penaltyThreshold,
+      medium: penaltyThreshold,
+      low: penaltyThreshold
+    })
+  }),
+  skillWeights: z.object({
+    'ops-data-entry': skillWeightMap.optional(),
+    'software-dev': skillWeightMap.optional(),
+    'data-analytics': skillWeightMap.optional(),
+    'ai-ml': skillWeightMap.optional(),
+    'devops-cloud': skillWeightMap.optional()
+  }).strict(),
+  document: z.object({
+    sectionOrder: z.array(z.enum(sections)).refine(
+      order => order.length === sections.length && new Set(order).size === sections.length,
+      { message: `List each of ${sections.join(', ')} exactly once` }
+    ),
+    requiredSections: z.array(z.enum(sections)),
+    minSections: z.number().int().min(0).max(sections.length),
+    pageLimit: range(1, 10),
+    totalWords: range(0, 5000),
+    summaryWords: range(0, 500),
+    bulletWords: range(0, 100),
+    minMetricPercentage: percentage,
+    keywordRepetition: range(0, 50)
+  })
+}) satisfies z.ZodType<ScoringProfile>;
+
+/**
+ * Validate an untrusted profile (admin edits, rows read back from Supabase)
+ * and report every problem with the path it was found at
+ */
+export const validateScoringProfile = (raw: unknown): ScoringProfileValidation => {
+  const parsed = scoringProfileSchema.safeParse(raw);
+  if (!parsed.success) {
+    return {
+      valid: false,
+      issues: parsed.error.issues.map(issue => ({
+        path: issue.path.join('.') || '(profile)',
+        message: issue.message
+      }))
+    };
+  }
+
+  return { valid: true, profile: parsed.data as ScoringProfile, issues: [] };
+};
@@ -0,0 +1,164 @@
+// src/services/semantic/embeddingCache.ts
+import { EmbeddingCacheStats, EmbeddingKind } from '../../types/semanticIndex';
+
+const DB_NAME = 'resume-embeddings';
+const DB_VERSION = 1;
+const STORE_NAME = 'embeddings';
+
+interface EmbeddingRecord {
+  key: string;
+  kind: EmbeddingKind;
+  vector: Float32Array;
+  createdAt: number;
+}
+
+// The model is uncased, so case and spacing never change an embedding
+export const normalizeEmbeddingText = (text: string): string =>
+  text.trim().replace(/\s+/g, ' ').toLowerCase();
+
+const toHex = (bytes: Uint8Array): string =>
+  Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+// FNV-1a, for runtimes without SubtleCrypto (plain http origins)
+const fallbackHash = (text: string): string => {
+  let h1 = 0x811c9dc5;
+  let h2 = 0x01000193;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 0x01000193);
+    h2 = Math.imul(h2 ^ code, 0x5bd1e995);
+  }
+  return `${(h1 >>> 0).toString(16).padStart(8, '0')}${(h2 >>> 0).toString(16).padStart(8, '0')}`;
+};
+
+export const hashEmbeddingText = async (text: string): Promise<string> => {
+  const normalized = normalizeEmbeddingText(text);
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) return fallbackHash(normalized);
+
+  const digest = await subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+  return toHex(new Uint8Array(digest));
+};
+
+const request = <T>(req: IDBRequest<T>): Promise<T> =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+/**
+ * Embedding Cache
+ * Embeddings keyed by model and a hash of the normalized text, kept in memory
+ * and in IndexedDB so a bullet or requirement is only embedded once across
+ * sessions. Falls back to memory alone where IndexedDB is unavailable.
+ */
+class EmbeddingCache {
+  private memory = new Map<string, Float32Array>();
+  private db: Promise<IDBDatabase | null> | null = null;
+  private stats = { hits: 0, misses: 0 };
+
+  async key(modelId: string, text: string): Promise<string> {
+    return `${modelId}:${await hashEmbeddingText(text)}`;
+  }
+
+  /**
+   * Cached vectors for the given keys, in order; null where there is none
+   */
+  async getMany(keys: string[]): Promise<Array<Float32Array | null>> {
+    const results: Array<Float32Array | null> = keys.map(key => this.memory.get(key) || null);
+    const missing = keys.filter((_, i) => !results[i]);
+
+    if (missing.length > 0) {
+      const db = await this.open();
+      if (db) {
+        try {
+          const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+          const records = await Promise.all(
+            missing.map(key => request(store.get(key) as IDBRequest<EmbeddingRecord | undefined>))
+          );
+          records.forEach(record => {
+            if (record) this.memory.set(record.key, record.vector);
+          });
+          keys.forEach((key, i) => {
+            results[i] ||= this.memory.get(key) || null;
+          });
+        } catch (error) {
+          console.warn('⚠️ Could not read cached embeddings:', error instanceof Error ? error.message : error);
+        }
+      }
+    }
+
+    results.forEach(vector => {
+      if (vector) this.stats.hits++;
+      else this.stats.misses++;
+    });
+    return results;
+  }
+
+  async putMany(entries: Array<{ key: string; kind: EmbeddingKind; vector: Float32Array }>): Promise<void> {
+    entries.forEach(({ key, vector }) => this.memory.set(key, vector));
+
+    const db = await this.open();
+    if (!db || entries.length === 0) return;
+
+    try {
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      const createdAt = Date.now();
+      entries.forEach(({ key, kind, vector }) => {
+        store.put({ key, kind, vector, createdAt } satisfies EmbeddingRecord);
+      });
+      await new Promise<void>((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    } catch (error) {
+      console.warn('⚠️ Could not persist embeddings:', error instanceof Error ? error.message : error);
+    }
+  }
+
+  async clear(): Promise<void> {
+    this.memory.clear();
+    this.stats = { hits: 0, misses: 0 };
+
+    const db = await this.open();
+    if (db) {
+      await request(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).clear());
+    }
+  }
+
+  getStats(): EmbeddingCacheStats {
+    return { ...this.stats, persistent: typeof indexedDB !== 'undefined' };
+  }
+
+  // ============================================================================
+  // PRIVATE METHODS
+  // ============================================================================
+
+  private open(): Promise<IDBDatabase | null> {
+    if (!this.db) {
+      this.db = this.openDatabase();
+    }
+    return this.db;
+  }
+
+  private async openDatabase(): Promise<IDBDatabase | null> {
+    if (typeof indexedDB === 'undefined') return null;
+
+    try {
+      const open = indexedDB.open(DB_NAME, DB_VERSION);
+      open.onupgradeneeded = () => {
+        if (!open.result.objectStoreNames.contains(STORE_NAME)) {
+          open.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        }
+      };
+      return await request(open);
+    } catch (error) {
+      console.warn('⚠️ Embedding cache unavailable, using memory only:', error instanceof Error ? error.message : error);
+      return null;
+    }
+  }
+}
+
+export const embeddingCache = new EmbeddingCache();
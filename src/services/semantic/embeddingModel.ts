@@ -0,0 +1,65 @@
+// src/services/semantic/embeddingModel.ts
+import type { FeatureExtractionPipeline } from '@xenova/transformers';
+
+export const EMBEDDING_MODEL_ID = 'Xenova/all-MiniLM-L6-v2';
+export const EMBEDDING_DIMENSIONS = 384;
+
+const BATCH_SIZE = 32;
+
+/**
+ * Embedding Model
+ * Loads the sentence-embedding model once per session and embeds text in
+ * batches. Vectors are mean-pooled and normalized, so the dot product of two
+ * vectors is their cosine similarity. Set VITE_EMBEDDING_MODEL_PATH to serve
+ * the model files from the app instead of the Hugging Face hub.
+ */
+class EmbeddingModel {
+  private extractor: Promise<FeatureExtractionPipeline> | null = null;
+
+  readonly id = EMBEDDING_MODEL_ID;
+  readonly dimensions = EMBEDDING_DIMENSIONS;
+
+  load(): Promise<FeatureExtractionPipeline> {
+    if (!this.extractor) {
+      this.extractor = this.createExtractor();
+      // A failed load (offline, blocked CDN) may succeed on a later attempt
+      this.extractor.catch(() => {
+        this.extractor = null;
+      });
+    }
+    return this.extractor;
+  }
+
+  async embed(texts: string[]): Promise<Float32Array[]> {
+    if (texts.length === 0) return [];
+
+    const extractor = await this.load();
+    const vectors: Float32Array[] = [];
+
+    for (let start = 0; start < texts.length; start += BATCH_SIZE) {
+      const batch = texts.slice(start, start + BATCH_SIZE);
+      const output = await extractor(batch, { pooling: 'mean', normalize: true });
+      const data = output.data as Float32Array;
+
+      batch.forEach((_, row) => {
+        vectors.push(data.slice(row * this.dimensions, (row + 1) * this.dimensions));
+      });
+    }
+
+    return vectors;
+  }
+
+  private async createExtractor(): Promise<FeatureExtractionPipeline> {
+    const { pipeline, env } = await import('@xenova/transformers');
+
+    const localPath = import.meta.env.VITE_EMBEDDING_MODEL_PATH;
+    if (localPath) {
+      env.localModelPath = localPath;
+      env.allowRemoteModels = false;
+    }
+
+    return pipeline('feature-extraction', this.id, { quantized: true });
+  }
+}
+
+export const embeddingModel = new EmbeddingModel();
@@ -0,0 +1,167 @@
+// src/services/semantic/semanticIndexService.ts
+import { EmbeddingKind, SemanticIndexItem, SemanticSearchHit } from '../../types/semanticIndex';
+import { SkillNode } from '../../types/skillTaxonomy';
+import { scoringEnvironment } from '../scoringEnvironment';
+import { skillTaxonomyRegistry } from '../skillTaxonomy/skillTaxonomyRegistry';
+import { embeddingCache } from './embeddingCache';
+import { embeddingModel } from './embeddingModel';
+import { VectorIndex } from './vectorIndex';
+
+/**
+ * Semantic Index Service
+ * One entry point for embedding similarity. Texts are embedded once, cached
+ * by content hash, and compared as whole collections: a JD's requirements
+ * against a resume's bullets is one batch of embeddings plus a pass of dot
+ * products, not an embedding call per pair. Offline scoring never loads the
+ * model, and callers fall back to lexical matching when it cannot be loaded.
+ */
+class SemanticIndexService {
+  private ready: Promise<boolean> | null = null;
+  private warned = false;
+  private skills: { version: string; index: Promise<VectorIndex<SkillNode>> } | null = null;
+
+  /**
+   * Load the model; false when offline or when it could not be loaded
+   */
+  async initialize(): Promise<boolean> {
+    if (scoringEnvironment.isOffline()) return false;
+
+    if (!this.ready) {
+      this.ready = embeddingModel.load().then(
+        () => true,
+        error => {
+          if (!this.warned) {
+            console.warn('⚠️ Embedding model unavailable, semantic matching disabled:', error instanceof Error ? error.message : error);
+            this.warned = true;
+          }
+          // Allow a retry on the next call
+          this.ready = null;
+          return false;
+        }
+      );
+    }
+    return this.ready;
+  }
+
+  /**
+   * Embeddings for the given texts, in order. Cached vectors are reused and
+   * the rest are embedded in one batch. Throws when the model is unavailable.
+   */
+  async embed(texts: string[], kind: EmbeddingKind = 'text'): Promise<Float32Array[]> {
+    if (texts.length === 0) return [];
+    if (!(await this.initialize())) {
+      throw new Error('Embedding model unavailable');
+    }
+
+    const keys = await Promise.all(texts.map(text => embeddingCache.key(embeddingModel.id, text)));
+    const vectors = await embeddingCache.getMany(keys);
+
+    // Texts that normalize to the same key are embedded once
+    const missing = new Map<string, string>();
+    vectors.forEach((vector, i) => {
+      if (!vector && !missing.has(keys[i])) missing.set(keys[i], texts[i]);
+    });
+
+    if (missing.size > 0) {
+      const missingKeys = Array.from(missing.keys());
+      const embedded = await embeddingModel.embed(Array.from(missing.values()));
+      const byKey = new Map(missingKeys.map((key, i) => [key, embedded[i]]));
+
+      await embeddingCache.putMany(missingKeys.map(key => ({ key, kind, vector: byKey.get(key)! })));
+      keys.forEach((key, i) => {
+        vectors[i] ||= byKey.get(key)!;
+      });
+    }
+
+    return vectors as Float32Array[];
+  }
+
+  async buildIndex<T>(items: SemanticIndexItem<T>[]): Promise<VectorIndex<T>> {
+    const index = new VectorIndex<T>(embeddingModel.dimensions, items.length);
+    if (items.length === 0) return index;
+
+    // Group by kind so each cache record keeps the kind it was embedded as
+    const vectors = new Map<SemanticIndexItem<T>, Float32Array>();
+    const kinds = [...new Set(items.map(item => item.kind))];
+    for (const kind of kinds) {
+      const group = items.filter(item => item.kind === kind);
+      const embedded = await this.embed(group.map(item => item.text), kind);
+      group.forEach((item, i) => vectors.set(item, embedded[i]));
+    }
+
+    items.forEach(item => index.add(item, vectors.get(item)!));
+    return index;
+  }
+
+  async topK<T>(
+    query: string,
+    index: VectorIndex<T>,
+    k: number,
+    minScore: number = -1,
+    kind: EmbeddingKind = 'text'
+  ): Promise<SemanticSearchHit<T>[]> {
+    if (index.size === 0) return [];
+    const [vector] = await this.embed([query], kind);
+    return index.search(vector, k, minScore);
+  }
+
+  /**
+   * Similarity of every query to every target: row i holds the scores of
+   * queries[i] against targets in order
+   */
+  async similarityMatrix(
+    queries: string[],
+    targets: string[],
+    kinds: { query: EmbeddingKind; target: EmbeddingKind } = { query: 'text', target: 'text' }
+  ): Promise<Float32Array[]> {
+    const index = await this.buildIndex(targets.map((text, i) => ({ id: String(i), text, kind: kinds.target })));
+    const vectors = await this.embed(queries, kinds.query);
+    return vectors.map(vector => index.scores(vector));
+  }
+
+  // Cosine similarity of two texts
+  async similarity(text1: string, text2: string): Promise<number> {
+    const [a, b] = await this.embed([text1, text2]);
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return dot;
+  }
+
+  /**
+   * Rank arbitrary items, e.g. resume projects, by relevance to a query
+   */
+  async rank<T>(query: string, items: SemanticIndexItem<T>[], k: number = items.length): Promise<SemanticSearchHit<T>[]> {
+    return this.topK(query, await this.buildIndex(items), k);
+  }
+
+  /**
+   * Taxonomy skills closest in meaning to a text, for naming the skill behind
+   * an unmatched requirement. The skill index is rebuilt when the taxonomy
+   * version changes.
+   */
+  async nearestSkills(text: string, k: number = 5, minScore: number = 0.5): Promise<SemanticSearchHit<SkillNode>[]> {
+    return this.topK(text, await this.skillIndex(), k, minScore, 'requirement');
+  }
+
+  // ============================================================================
+  // PRIVATE METHODS
+  // ============================================================================
+
+  private skillIndex(): Promise<VectorIndex<SkillNode>> {
+    const version = skillTaxonomyRegistry.version;
+    if (this.skills?.version !== version) {
+      const items = skillTaxonomyRegistry.list()
+        .filter(skill => skill.kind === 'skill' && !skill.deprecated)
+        .map(skill => ({ id: skill.id, text: skill.name, kind: 'skill' as const, meta: skill }));
+
+      const index = this.buildIndex(items);
+      index.catch(() => {
+        if (this.skills?.index === index) this.skills = null;
+      });
+      this.skills = { version, index };
+    }
+    return this.skills.index;
+  }
+}
+
+export const semanticIndexService = new SemanticIndexService();
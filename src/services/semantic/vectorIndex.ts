@@ -0,0 +1,81 @@
+// src/services/semantic/vectorIndex.ts
+import { SemanticIndexItem, SemanticSearchHit } from '../../types/semanticIndex';
+
+/**
+ * Vector Index
+ * Normalized embeddings stored row by row in one Float32Array, so scoring a
+ * query against every item is a single pass of dot products. Exact search;
+ * resume and JD sized collections never need an approximate index.
+ */
+export class VectorIndex<T = unknown> {
+  private items: SemanticIndexItem<T>[] = [];
+  private matrix: Float32Array;
+
+  constructor(private dimensions: number, capacity: number = 64) {
+    this.matrix = new Float32Array(Math.max(1, capacity) * dimensions);
+  }
+
+  get size(): number {
+    return this.items.length;
+  }
+
+  add(item: SemanticIndexItem<T>, vector: Float32Array): void {
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Expected a ${this.dimensions}-dimension vector for "${item.id}", got ${vector.length}`);
+    }
+
+    const offset = this.items.length * this.dimensions;
+    if (offset + this.dimensions > this.matrix.length) {
+      const grown = new Float32Array(this.matrix.length * 2);
+      grown.set(this.matrix);
+      this.matrix = grown;
+    }
+
+    this.matrix.set(vector, offset);
+    this.items.push(item);
+  }
+
+  getItems(): SemanticIndexItem<T>[] {
+    return [...this.items];
+  }
+
+  /**
+   * Similarity of the query to every item, in insertion order
+   */
+  scores(query: Float32Array): Float32Array {
+    const scores = new Float32Array(this.items.length);
+    const dims = this.dimensions;
+
+    for (let row = 0; row < this.items.length; row++) {
+      const offset = row * dims;
+      let dot = 0;
+      for (let i = 0; i < dims; i++) {
+        dot += this.matrix[offset + i] * query[i];
+      }
+      scores[row] = dot;
+    }
+
+    return scores;
+  }
+
+  /**
+   * The k most similar items scoring at least minScore, best first
+   */
+  search(query: Float32Array, k: number, minScore: number = -1): SemanticSearchHit<T>[] {
+    if (k <= 0) return [];
+
+    const scores = this.scores(query);
+    const hits: SemanticSearchHit<T>[] = [];
+
+    scores.forEach((score, row) => {
+      if (score < minScore) return;
+      if (hits.length === k && score <= hits[k - 1].score) return;
+
+      const at = hits.findIndex(hit => score > hit.score);
+      hits.splice(at === -1 ? hits.length : at, 0, { item: this.items[row], score });
+      if (hits.length > k) hits.pop();
+    });
+
+    return hits;
+  }
+}
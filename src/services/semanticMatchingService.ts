@@ -4,6 +4,7 @@ import {
   SimilarityScore, 
   ExpandedKeyword 
 } from '../types/resume';
+import { skillTaxonomyRegistry } from './skillTaxonomy/skillTaxonomyRegistry';
 
 /**
  * Semantic Matching Service
@@ -17,26 +18,6 @@ export class SemanticMatchingService implements SemanticMatcherInterface {
   private readonly SEMANTIC_MATCH_THRESHOLD = 0.8;
   private readonly RELATED_MATCH_THRESHOLD = 0.5;
   
-  // Common synonyms and related terms for technical skills
-  private readonly SKILL_SYNONYMS = new Map([
-    ['javascript', ['js', 'ecmascript', 'node.js', 'nodejs']],
-    ['python', ['py', 'python3', 'django', 'flask']],
-    ['react', ['reactjs', 'react.js', 'jsx']],
-    ['angular', ['angularjs', 'ng']],
-    ['vue', ['vuejs', 'vue.js']],
-    ['aws', ['amazon web services', 'amazon aws', 'cloud']],
-    ['docker', ['containerization', 'containers']],
-    ['kubernetes', ['k8s', 'container orchestration']],
-    ['sql', ['mysql', 'postgresql', 'database']],
-    ['nosql', ['mongodb', 'cassandra', 'dynamodb']],
-    ['api', ['rest api', 'restful', 'web services']],
-    ['ci/cd', ['continuous integration', 'continuous deployment', 'devops']],
-    ['machine learning', ['ml', 'artificial intelligence', 'ai']],
-    ['frontend', ['front-end', 'ui', 'user interface']],
-    ['backend', ['back-end', 'server-side', 'api development']],
-    ['fullstack', ['full-stack', 'full stack developer']]
-  ]);
-  
   /**
    * Find semantic matches between resume and job description
    */
@@ -248,28 +229,20 @@ export class SemanticMatchingService implements SemanticMatcherInterface {
   }
   
   /**
-   * Calculate synonym-based similarity
+   * Calculate synonym-based similarity from the skill taxonomy: two names of
+   * one skill, or a direct child of the first term ("MySQL" for "SQL"). A
+   * broader skill is no evidence of a narrower one, so "API" does not stand
+   * in for "GraphQL".
    */
   private calculateSynonymSimilarity(term1: string, term2: string): number {
-    // Check if term1 has synonyms that match term2
-    const synonyms1 = this.getSynonyms(term1);
-    if (synonyms1.includes(term2)) {
-      return 0.9; // High similarity for synonyms
-    }
-    
-    // Check if term2 has synonyms that match term1
-    const synonyms2 = this.getSynonyms(term2);
-    if (synonyms2.includes(term1)) {
-      return 0.9;
-    }
-    
-    // Check for cross-synonym matches
-    const commonSynonyms = synonyms1.filter(syn => synonyms2.includes(syn));
-    if (commonSynonyms.length > 0) {
-      return 0.85; // Slightly lower for indirect synonym matches
+    switch (skillTaxonomyRegistry.relationship(term1, term2)) {
+      case 'same':
+        return 0.9; // High similarity for synonyms
+      case 'parent':
+        return 0.85; // Slightly lower for a narrower skill
+      default:
+        return 0;
     }
-    
-    return 0;
   }
   
   /**
@@ -326,46 +299,18 @@ export class SemanticMatchingService implements SemanticMatcherInterface {
    * Get synonyms for a term
    */
   private getSynonyms(term: string): string[] {
-    const normalized = term.toLowerCase();
-    
-    // Check direct synonyms
-    if (this.SKILL_SYNONYMS.has(normalized)) {
-      return this.SKILL_SYNONYMS.get(normalized) || [];
-    }
-    
-    // Check if term is a synonym of another term
-    for (const [key, synonyms] of this.SKILL_SYNONYMS.entries()) {
-      if (synonyms.includes(normalized)) {
-        return [key, ...synonyms.filter(syn => syn !== normalized)];
-      }
-    }
-    
-    return [];
+    return skillTaxonomyRegistry.getSynonyms(term);
   }
   
   /**
-   * Get related terms for a keyword
+   * Get related terms for a keyword: the broader skills above it and the
+   * narrower ones below it in the taxonomy
    */
   private getRelatedTerms(term: string): string[] {
-    const related: string[] = [];
-    
-    // Domain-specific related terms
-    const relatedTermsMap = new Map([
-      ['javascript', ['web development', 'frontend', 'programming']],
-      ['python', ['data science', 'backend', 'automation', 'scripting']],
-      ['react', ['frontend', 'ui development', 'component-based']],
-      ['aws', ['cloud computing', 'infrastructure', 'scalability']],
-      ['docker', ['containerization', 'deployment', 'microservices']],
-      ['sql', ['database', 'data management', 'queries']],
-      ['api', ['integration', 'web services', 'backend']]
-    ]);
-    
-    const normalized = term.toLowerCase();
-    if (relatedTermsMap.has(normalized)) {
-      related.push(...(relatedTermsMap.get(normalized) || []));
-    }
-    
-    return related;
+    return [
+      ...skillTaxonomyRegistry.getAncestors(term),
+      ...skillTaxonomyRegistry.getChildren(term)
+    ].map(skill => skill.name.toLowerCase());
   }
   
   /**
@@ -0,0 +1,264 @@
+// src/services/sessionSyncService.ts
+import { supabase } from '../lib/supabaseClient';
+import { decryptSessionData, encryptSessionData, generateSessionId } from '../utils/sessionEncryption';
+import {
+  PushSessionOptions,
+  SaveSyncedSessionResult,
+  SyncedSession,
+  SyncedSessionKind,
+  SyncedSessionRow,
+  SyncedSessionSummary,
+  SyncResult
+} from '../types/sessionSync';
+
+const DEVICE_ID_KEY = 'session_sync_device_id';
+const REVISIONS_KEY = 'session_sync_revisions';
+// Sessions expire a day after their last save, on every device
+export const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+// A conflict is resolved and retried; give up if the other device keeps winning
+const MAX_SAVE_ATTEMPTS = 3;
+
+const SUMMARY_COLUMNS = 'session_id, kind, device_id, device_label, revision, details, updated_at, expires_at';
+
+/**
+ * Session Sync Service
+ * Stores optimizer and interview sessions server-side so they can be resumed
+ * on another device. Payloads are encrypted client-side with the per-user key
+ * from utils/sessionEncryption. Every save is a compare-and-swap on the
+ * session's revision: if another device saved in between, the conflict is
+ * resolved here (keep local, keep remote, or merge) before retrying.
+ * Sync is best-effort; callers keep their local copy either way.
+ */
+class SessionSyncService {
+  private masterKey: string;
+
+  constructor() {
+    // Same key source as platform sessions, so every device derives the same
+    // per-user key
+    this.masterKey = import.meta.env.VITE_SUPABASE_ANON_KEY || 'fallback-key';
+  }
+
+  /**
+   * Save a session, resolving a conflict with another device's save
+   */
+  async push<T>(
+    kind: SyncedSessionKind,
+    userId: string,
+    sessionId: string,
+    payload: T,
+    options: PushSessionOptions<T>
+  ): Promise<SyncResult<T>> {
+    const strategy = options.onConflict ?? (options.merge ? 'merge' : 'keep-remote');
+    const expiresAt = new Date(Date.now() + (options.ttlMs ?? SESSION_TTL_MS)).toISOString();
+    let local = payload;
+    let conflict: SyncResult<T>['conflict'];
+
+    try {
+      for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+        const { data, error } = await supabase.rpc('save_synced_session', {
+          p_session_id: sessionId,
+          p_kind: kind,
+          p_device_id: this.getDeviceId(),
+          p_device_label: this.getDeviceLabel(),
+          p_encrypted_payload: encryptSessionData(local, userId, this.masterKey),
+          p_details: options.details,
+          p_base_revision: this.getRevision(userId, kind, sessionId),
+          p_expires_at: expiresAt
+        });
+
+        if (error) {
+          throw new Error(error.message);
+        }
+
+        const row: SaveSyncedSessionResult | null = Array.isArray(data) ? data[0] : data;
+        if (!row) {
+          throw new Error('Session save returned no result');
+        }
+
+        if (row.result_status === 'saved') {
+          this.setRevision(userId, kind, sessionId, row.result_revision);
+          return {
+            status: conflict && strategy === 'merge' ? 'merged' : 'saved',
+            payload: local,
+            revision: row.result_revision,
+            conflict
+          };
+        }
+
+        // Another device saved since our last sync
+        const remote = decryptSessionData(row.result_payload, userId, this.masterKey) as T;
+        conflict = { deviceLabel: row.result_device_label, updatedAt: new Date(row.result_updated_at) };
+        this.setRevision(userId, kind, sessionId, row.result_revision);
+        console.log(`🔀 Session ${sessionId} was changed on ${conflict.deviceLabel}; resolving with "${strategy}"`);
+
+        if (strategy === 'keep-remote') {
+          return { status: 'remote-kept', payload: remote, revision: row.result_revision, conflict };
+        }
+        if (strategy === 'merge') {
+          local = options.merge ? options.merge(local, remote) : remote;
+        }
+      }
+
+      throw new Error('Session kept changing on another device');
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.error(`Failed to sync ${kind} session ${sessionId}:`, message);
+      return { status: 'failed', payload: local, conflict, error: message };
+    }
+  }
+
+  /**
+   * Unexpired sessions from every device, most recently saved first
+   */
+  async listSessions(userId: string, kind?: SyncedSessionKind): Promise<SyncedSessionSummary[]> {
+    try {
+      let query = supabase
+        .from('synced_sessions')
+        .select(SUMMARY_COLUMNS)
+        .eq('user_id', userId)
+        .gt('expires_at', new Date().toISOString())
+        .order('updated_at', { ascending: false });
+
+      if (kind) {
+        query = query.eq('kind', kind);
+      }
+
+      const { data, error } = await query;
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      return ((data || []) as SyncedSessionRow[]).map(row => this.toSummary(row));
+    } catch (error) {
+      console.error('Failed to list synced sessions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Download and decrypt a session. Adopts its revision, so this device's
+   * next save builds on it.
+   */
+  async pull<T>(userId: string, kind: SyncedSessionKind, sessionId: string): Promise<SyncedSession<T> | null> {
+    try {
+      const { data, error } = await supabase
+        .from('synced_sessions')
+        .select(`${SUMMARY_COLUMNS}, encrypted_payload`)
+        .eq('user_id', userId)
+        .eq('kind', kind)
+        .eq('session_id', sessionId)
+        .gt('expires_at', new Date().toISOString())
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+      if (!data) {
+        return null;
+      }
+
+      const payload = decryptSessionData(data.encrypted_payload, userId, this.masterKey) as T;
+      this.setRevision(userId, kind, sessionId, data.revision);
+      return { ...this.toSummary(data), payload };
+    } catch (error) {
+      console.error(`Failed to load synced ${kind} session ${sessionId}:`, error);
+      return null;
+    }
+  }
+
+  async remove(userId: string, kind: SyncedSessionKind, sessionId: string): Promise<void> {
+    try {
+      const { error } = await supabase
+        .from('synced_sessions')
+        .delete()
+        .eq('user_id', userId)
+        .eq('kind', kind)
+        .eq('session_id', sessionId);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+    } catch (error) {
+      console.error(`Failed to delete synced ${kind} session ${sessionId}:`, error);
+    } finally {
+      this.setRevision(userId, kind, sessionId, null);
+    }
+  }
+
+  /**
+   * Stable id for this browser, kept in localStorage
+   */
+  getDeviceId(): string {
+    let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+    if (!deviceId) {
+      deviceId = generateSessionId();
+      localStorage.setItem(DEVICE_ID_KEY, deviceId);
+    }
+    return deviceId;
+  }
+
+  /**
+   * Human-readable device name, e.g. "Phone · Chrome on Android"
+   */
+  getDeviceLabel(): string {
+    const ua = typeof navigator !== 'undefined' ? navigator.userAgent : '';
+    const type = /iPad|Tablet/i.test(ua) ? 'Tablet' : /Mobi|Android|iPhone/i.test(ua) ? 'Phone' : 'Desktop';
+    const browser = /Edg\//.test(ua) ? 'Edge'
+      : /Firefox\//.test(ua) ? 'Firefox'
+        : /Chrome\//.test(ua) ? 'Chrome'
+          : /Safari\//.test(ua) ? 'Safari'
+            : 'Browser';
+    const os = /Windows/.test(ua) ? 'Windows'
+      : /Android/.test(ua) ? 'Android'
+        : /iPhone|iPad/.test(ua) ? 'iOS'
+          : /Mac OS X/.test(ua) ? 'macOS'
+            : /Linux/.test(ua) ? 'Linux'
+              : '';
+
+    return `${type} · ${browser}${os ? ` on ${os}` : ''}`;
+  }
+
+  // ============================================================================
+  // PRIVATE METHODS
+  // ============================================================================
+
+  private toSummary(row: SyncedSessionRow): SyncedSessionSummary {
+    return {
+      sessionId: row.session_id,
+      kind: row.kind,
+      deviceId: row.device_id,
+      deviceLabel: row.device_label,
+      isCurrentDevice: row.device_id === this.getDeviceId(),
+      revision: row.revision,
+      details: row.details || { title: 'Session', progressLabel: '' },
+      updatedAt: new Date(row.updated_at),
+      expiresAt: new Date(row.expires_at)
+    };
+  }
+
+  // Last revision this device saved or loaded, per session
+  private getRevision(userId: string, kind: SyncedSessionKind, sessionId: string): number {
+    return this.loadRevisions()[`${userId}:${kind}:${sessionId}`] ?? 0;
+  }
+
+  private setRevision(userId: string, kind: SyncedSessionKind, sessionId: string, revision: number | null): void {
+    const revisions = this.loadRevisions();
+    const key = `${userId}:${kind}:${sessionId}`;
+    if (revision === null) {
+      delete revisions[key];
+    } else {
+      revisions[key] = revision;
+    }
+    localStorage.setItem(REVISIONS_KEY, JSON.stringify(revisions));
+  }
+
+  private loadRevisions(): Record<string, number> {
+    try {
+      return JSON.parse(localStorage.getItem(REVISIONS_KEY) || '{}');
+    } catch {
+      return {};
+    }
+  }
+}
+
+export const sessionSyncService = new SessionSyncService();
@@ -0,0 +1,333 @@
+// src/services/skillTaxonomy/skillTaxonomyRegistry.ts
+import {
+  AtsSkillCategory,
+  SkillNode,
+  SkillRelationship,
+  SkillResolution,
+  SkillTaxonomyCategory,
+  SkillTaxonomyDataset
+} from '../../types/skillTaxonomy';
+import { SupportedLanguage } from '../../types/language';
+import { LanguageDetectionService } from '../languageDetectionService';
+import { scoringEnvironment } from '../scoringEnvironment';
+import { validateSkillNode } from './skillTaxonomySchema';
+import skillTaxonomyData from '../../data/skillTaxonomy.json';
+
+interface TaxonomyIndex {
+  skills: Map<string, SkillNode>;
+  spellings: Map<string, SkillResolution>;
+  children: Map<string, SkillNode[]>;
+}
+
+// Case, accents and spacing never distinguish two skills
+const foldSpelling = (term: string): string =>
+  LanguageDetectionService.foldText(term).trim().replace(/\s+/g, ' ');
+
+const invalid = (path: string, message: string): Error =>
+  new Error(`Invalid skill taxonomy entry: ${path} ${message}`);
+
+/**
+ * Skill Taxonomy Registry
+ * The one lookup API for skill names. Every entry has a stable id, a display
+ * name, the aliases, synonyms and localized names it goes by, a parent in the
+ * hierarchy (React → Frontend development → JavaScript ecosystem) and an
+ * optional deprecation marker. Category lists, synonym expansion and semantic
+ * matching all read it instead of keeping their own word lists.
+ * Entries saved by admins extend or override the shipped dataset; offline
+ * scoring only ever uses the shipped dataset so results never depend on the
+ * database.
+ */
+export class SkillTaxonomyRegistry {
+  private builtIns = new Map<string, SkillNode>();
+  private overrides = new Map<string, SkillNode>();
+  private indexes: { builtIn?: TaxonomyIndex; active?: TaxonomyIndex } = {};
+
+  constructor(private dataset: SkillTaxonomyDataset) {
+    dataset.skills.forEach(skill => this.builtIns.set(skill.id, skill));
+  }
+
+  /**
+   * Dataset version; admin additions are marked as build metadata, so caches
+   * keyed on it are invalidated when the taxonomy is extended
+   */
+  get version(): string {
+    if (scoringEnvironment.isOffline() || this.overrides.size === 0) return this.dataset.version;
+    return `${this.dataset.version}+custom.${this.overrides.size}`;
+  }
+
+  get categories(): Record<string, SkillTaxonomyCategory> {
+    return this.dataset.categories;
+  }
+
+  register(raw: unknown): SkillNode {
+    const skill = this.validate(raw);
+    this.overrides.set(skill.id, skill);
+    this.indexes = {};
+    return skill;
+  }
+
+  /**
+   * Check an entry against its schema and the rest of the taxonomy without
+   * registering it: parent and replacement must exist, the hierarchy must stay
+   * acyclic, and no spelling may belong to two entries
+   */
+  validate(raw: unknown): SkillNode {
+    const validation = validateSkillNode(raw);
+    if (!validation.valid || !validation.skill) {
+      const [issue] = validation.issues;
+      throw invalid(issue.path, issue.message);
+    }
+
+    const skill = validation.skill;
+    if (!this.dataset.categories[skill.category]) {
+      throw invalid('category', `Unknown category "${skill.category}"`);
+    }
+
+    const skills = new Map([...this.builtIns, ...this.overrides]);
+    skills.set(skill.id, skill);
+    this.checkReferences(skill, skills);
+    this.buildIndex(skills);
+    return skill;
+  }
+
+  /**
+   * Remove a saved entry. Removing an edited built-in restores the shipped
+   * version; the shipped entries themselves cannot be removed.
+   */
+  remove(id: string): void {
+    if (!this.overrides.has(id)) {
+      throw new Error(this.builtIns.has(id) ? `Built-in skill "${id}" cannot be deleted` : `Unknown skill "${id}"`);
+    }
+
+    if (!this.builtIns.has(id)) {
+      const dependant = Array.from(this.overrides.values())
+        .find(skill => skill.parent === id || skill.deprecated?.replacedBy === id);
+      if (dependant) {
+        throw new Error(`Skill "${id}" is still referenced by "${dependant.id}"`);
+      }
+    }
+
+    // The restored built-in may clash with a spelling another entry has since taken
+    const remaining = new Map([...this.builtIns, ...this.overrides]);
+    if (this.builtIns.has(id)) remaining.set(id, this.builtIns.get(id)!);
+    else remaining.delete(id);
+    this.buildIndex(remaining);
+
+    this.overrides.delete(id);
+    this.indexes = {};
+  }
+
+  // Replace every saved entry at once, e.g. after loading them from Supabase
+  replaceSaved(skills: unknown[]): void {
+    this.overrides.clear();
+    this.indexes = {};
+    skills.forEach(skill => {
+      try {
+        this.register(skill);
+      } catch (error) {
+        console.warn('⚠️ Skipping saved skill taxonomy entry:', error instanceof Error ? error.message : error);
+      }
+    });
+  }
+
+  get(id: string): SkillNode | undefined {
+    return this.index().skills.get(id);
+  }
+
+  getBuiltIn(id: string): SkillNode | undefined {
+    return this.builtIns.get(id);
+  }
+
+  isOverridden(id: string): boolean {
+    return this.overrides.has(id);
+  }
+
+  list(): SkillNode[] {
+    return Array.from(this.index().skills.values());
+  }
+
+  /**
+   * Entry a spelling names: "k8s", "Kubernetes" and "kubernetes" all resolve
+   * to the same entry, as do localized names such as "Maschinelles Lernen"
+   */
+  resolve(term: string): SkillResolution | null {
+    if (!term) return null;
+    return this.index().spellings.get(foldSpelling(term)) || null;
+  }
+
+  /**
+   * Entry to list for a spelling, following deprecation replacements
+   */
+  canonical(term: string): SkillNode | null {
+    let skill = this.resolve(term)?.skill || null;
+    const seen = new Set<string>();
+
+    while (skill?.deprecated?.replacedBy && !seen.has(skill.id)) {
+      seen.add(skill.id);
+      skill = this.get(skill.deprecated.replacedBy) || skill;
+    }
+    return skill;
+  }
+
+  /**
+   * Every English spelling of the entry a term names, lowercase, without the
+   * term itself
+   */
+  getSynonyms(term: string): string[] {
+    const resolution = this.resolve(term);
+    if (!resolution) return [];
+
+    const folded = foldSpelling(term);
+    return this.spellingsOf(resolution.skill).filter(spelling => foldSpelling(spelling) !== folded);
+  }
+
+  // Name, aliases and synonyms, lowercase, in that order
+  spellingsOf(skill: SkillNode): string[] {
+    return [...new Set(
+      [skill.name, ...(skill.aliases || []), ...(skill.synonyms || [])].map(spelling => spelling.toLowerCase())
+    )];
+  }
+
+  getParent(term: string): SkillNode | null {
+    const parent = this.resolve(term)?.skill.parent;
+    return (parent && this.get(parent)) || null;
+  }
+
+  // Nearest first
+  getAncestors(term: string): SkillNode[] {
+    const ancestors: SkillNode[] = [];
+    let skill = this.resolve(term)?.skill;
+
+    while (skill?.parent) {
+      const parent = this.get(skill.parent);
+      if (!parent || ancestors.includes(parent)) break;
+      ancestors.push(parent);
+      skill = parent;
+    }
+    return ancestors;
+  }
+
+  getChildren(term: string): SkillNode[] {
+    const skill = this.resolve(term)?.skill;
+    return skill ? this.index().children.get(skill.id) || [] : [];
+  }
+
+  /**
+   * How the first term relates to the second
+   */
+  relationship(term1: string, term2: string): SkillRelationship {
+    const a = this.resolve(term1)?.skill;
+    const b = this.resolve(term2)?.skill;
+    if (!a || !b) return 'unrelated';
+    if (a.id === b.id) return 'same';
+    if (a.id === b.parent) return 'parent';
+    if (b.id === a.parent) return 'child';
+    if (a.parent && a.parent === b.parent) return 'sibling';
+    if (this.getAncestors(b.id).some(ancestor => ancestor.id === a.id)) return 'ancestor';
+    if (this.getAncestors(a.id).some(ancestor => ancestor.id === b.id)) return 'descendant';
+    return 'unrelated';
+  }
+
+  /**
+   * ATS section for a skill: its own, or the nearest ancestor's, so "Claude"
+   * lands with its parent LLM under Data Science & ML
+   */
+  atsCategoryOf(term: string): AtsSkillCategory | null {
+    const skill = this.resolve(term)?.skill;
+    if (!skill) return null;
+    if (skill.atsCategory) return skill.atsCategory;
+    return this.getAncestors(skill.id).find(ancestor => ancestor.atsCategory)?.atsCategory || null;
+  }
+
+  /**
+   * Lowercase names and aliases of the skills filed under an ATS section,
+   * the terms free-text extractors search resumes for
+   */
+  atsTerms(category: AtsSkillCategory, builtInOnly: boolean = false): string[] {
+    const terms = new Set<string>();
+    this.index(builtInOnly).skills.forEach(skill => {
+      if (skill.atsCategory !== category) return;
+      [skill.name, ...(skill.aliases || [])].forEach(term => terms.add(term.toLowerCase()));
+    });
+    return Array.from(terms);
+  }
+
+  /**
+   * Localized names for the given languages (all by default), for building
+   * patterns that translate them back to English
+   */
+  localizedTerms(languages?: SupportedLanguage[]): string[] {
+    return this.list().flatMap(skill =>
+      Object.entries(skill.localized || {})
+        .filter(([language]) => !languages || languages.includes(language as SupportedLanguage))
+        .flatMap(([, terms]) => terms || [])
+    );
+  }
+
+  // ============================================================================
+  // PRIVATE METHODS
+  // ============================================================================
+
+  private index(builtInOnly: boolean = false): TaxonomyIndex {
+    if (builtInOnly || scoringEnvironment.isOffline()) {
+      return this.indexes.builtIn ||= this.buildIndex(this.builtIns);
+    }
+    return this.indexes.active ||= this.buildIndex(new Map([...this.builtIns, ...this.overrides]));
+  }
+
+  private checkReferences(skill: SkillNode, skills: Map<string, SkillNode>): void {
+    if (skill.parent && !skills.has(skill.parent)) {
+      throw invalid('parent', `Unknown skill "${skill.parent}"`);
+    }
+    if (skill.deprecated?.replacedBy && !skills.has(skill.deprecated.replacedBy)) {
+      throw invalid('deprecated.replacedBy', `Unknown skill "${skill.deprecated.replacedBy}"`);
+    }
+
+    const seen = new Set([skill.id]);
+    let parent = skill.parent && skills.get(skill.parent);
+    while (parent) {
+      if (seen.has(parent.id)) {
+        throw invalid('parent', `"${skill.parent}" is a descendant of "${skill.id}"`);
+      }
+      seen.add(parent.id);
+      parent = parent.parent ? skills.get(parent.parent) : undefined;
+    }
+  }
+
+  // Throws when two entries claim the same spelling
+  private buildIndex(skills: Map<string, SkillNode>): TaxonomyIndex {
+    const spellings = new Map<string, SkillResolution>();
+    const children = new Map<string, SkillNode[]>();
+
+    const claim = (term: string, resolution: SkillResolution, path: string) => {
+      const folded = foldSpelling(term);
+      const existing = spellings.get(folded);
+      if (existing && existing.skill.id !== resolution.skill.id) {
+        throw invalid(path, `"${term}" already belongs to ${existing.skill.id}`);
+      }
+      if (!existing) spellings.set(folded, resolution);
+    };
+
+    skills.forEach(skill => {
+      claim(skill.id, { skill, matchedAs: 'name' }, 'id');
+      claim(skill.name, { skill, matchedAs: 'name' }, 'name');
+      (skill.aliases || []).forEach(alias => claim(alias, { skill, matchedAs: 'alias' }, 'aliases'));
+      (skill.synonyms || []).forEach(synonym => claim(synonym, { skill, matchedAs: 'synonym' }, 'synonyms'));
+      Object.entries(skill.localized || {}).forEach(([language, terms]) => {
+        (terms || []).forEach(term => claim(term, {
+          skill,
+          matchedAs: 'localized',
+          language: language as SupportedLanguage
+        }, `localized.${language}`));
+      });
+
+      if (skill.parent) {
+        children.set(skill.parent, [...(children.get(skill.parent) || []), skill]);
+      }
+    });
+
+    return { skills, spellings, children };
+  }
+}
+
+export const skillTaxonomyRegistry = new SkillTaxonomyRegistry(skillTaxonomyData as SkillTaxonomyDataset);
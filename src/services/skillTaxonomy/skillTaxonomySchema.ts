@@ -0,0 +1,68 @@
+// src/services/skillTaxonomy/skillTaxonomySchema.ts
+import { z } from 'zod';
+import { SkillNode, SkillNodeValidation } from '../../types/skillTaxonomy';
+
+const atsCategories = [
+  'Programming Languages',
+  'Frontend Technologies',
+  'Backend Technologies',
+  'Databases',
+  'Cloud & DevOps',
+  'Data Science & ML',
+  'Tools & Platforms',
+  'Testing & QA',
+  'Soft Skills'
+] as const;
+
+const slug = z.string().regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Use lowercase letters, digits and hyphens');
+const spelling = z.string().trim().min(1).max(80);
+const spellings = z.array(spelling).max(50);
+
+export const skillNodeSchema = z.object({
+  id: slug,
+  name: spelling,
+  kind: z.enum(['skill', 'group']),
+  category: z.string().min(1),
+  atsCategory: z.enum(atsCategories).optional(),
+  parent: slug.optional(),
+  aliases: spellings.optional(),
+  synonyms: spellings.optional(),
+  localized: z.object({
+    en: spellings.optional(),
+    de: spellings.optional(),
+    fr: spellings.optional(),
+    es: spellings.optional(),
+    hi: spellings.optional(),
+    ar: spellings.optional()
+  }).strict().optional(),
+  confidence: z.number().min(0).max(1).optional(),
+  importance: z.enum(['high', 'medium', 'low']).optional(),
+  deprecated: z.object({
+    since: z.string().min(1),
+    replacedBy: slug.optional(),
+    note: z.string().max(300).optional()
+  }).optional()
+}).strict()
+  .refine(skill => skill.parent !== skill.id, { message: 'A skill cannot be its own parent', path: ['parent'] })
+  .refine(skill => skill.deprecated?.replacedBy !== skill.id, { message: 'A skill cannot replace itself', path: ['deprecated', 'replacedBy'] })
+  .refine(skill => skill.kind === 'skill' || !skill.atsCategory, { message: 'Groups do not belong to an ATS category', path: ['atsCategory'] }) satisfies z.ZodType<SkillNode>;
+
+/**
+ * Validate the shape of an untrusted taxonomy entry (admin edits, rows read
+ * back from Supabase). References to other entries and spelling clashes are
+ * checked by the registry, which knows the rest of the taxonomy.
+ */
+export const validateSkillNode = (raw: unknown): SkillNodeValidation => {
+  const parsed = skillNodeSchema.safeParse(raw);
+  if (!parsed.success) {
+    return {
+      valid: false,
+      issues: parsed.error.issues.map(issue => ({
+        path: issue.path.join('.') || '(skill)',
+        message: issue.message
+      }))
+    };
+  }
+
+  return { valid: true, skill: parsed.data as SkillNode, issues: [] };
+};
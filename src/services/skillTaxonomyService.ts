@@ -0,0 +1,63 @@
+import { supabase } from '../lib/supabaseClient';
+import { SkillNode } from '../types/skillTaxonomy';
+import { skillTaxonomyRegistry } from './skillTaxonomy/skillTaxonomyRegistry';
+
+// Admin additions and edits live in skill_taxonomy_entries as one JSON entry
+// per skill id; shipped skills only get a row once an admin edits them, and
+// deleting that row restores them.
+export const skillTaxonomyService = {
+  async loadSavedEntries(): Promise<SkillNode[]> {
+    try {
+      const { data, error } = await supabase
+        .from('skill_taxonomy_entries')
+        .select('id, entry')
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      skillTaxonomyRegistry.replaceSaved((data || []).map(row => row.entry));
+      return skillTaxonomyRegistry.list();
+    } catch (error) {
+      console.error('Error loading skill taxonomy entries:', error);
+      throw error;
+    }
+  },
+
+  async saveEntry(raw: unknown): Promise<SkillNode> {
+    const skill = skillTaxonomyRegistry.validate(raw);
+
+    try {
+      const { error } = await supabase
+        .from('skill_taxonomy_entries')
+        .upsert({
+          id: skill.id,
+          name: skill.name,
+          entry: skill,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'id' });
+
+      if (error) throw error;
+
+      return skillTaxonomyRegistry.register(skill);
+    } catch (error) {
+      console.error('Error saving skill taxonomy entry:', error);
+      throw error;
+    }
+  },
+
+  async deleteEntry(id: string): Promise<void> {
+    try {
+      const { error } = await supabase
+        .from('skill_taxonomy_entries')
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+
+      skillTaxonomyRegistry.remove(id);
+    } catch (error) {
+      console.error('Error deleting skill taxonomy entry:', error);
+      throw error;
+    }
+  }
+};
@@ -1,3 +1,6 @@
+import { SupportedLanguage } from '../types/language';
+import { LanguageDetectionService } from './languageDetectionService';
+
 export type SoftSkillCategory =
   | 'leadership'
   | 'communication'
@@ -122,9 +125,10 @@ export class SoftSkillsExtractor {
     }
   };
 
-  static extractSoftSkills(resumeText: string, jobDescription?: string): SoftSkillsAnalysis {
+  static extractSoftSkills(resumeText: string, jobDescription?: string, language?: SupportedLanguage): SoftSkillsAnalysis {
     const detectedSkills: SoftSkillEvidence[] = [];
     const resumeLower = resumeText.toLowerCase();
+    const localized = LanguageDetectionService.getResources(LanguageDetectionService.resolve(resumeText, language)).softSkills;
 
     Object.entries(this.SOFT_SKILL_PATTERNS).forEach(([category, patterns]) => {
       const evidence: string[] = [];
@@ -148,6 +152,19 @@ export class SoftSkillsExtractor {
         }
       });
 
+      // The resume's own language, e.g. "geleitet" or "encadré"
+      (localized[category as SoftSkillCategory]?.actionVerbs || []).forEach(verb => {
+        const count = LanguageDetectionService.countTerms(resumeText, [verb]);
+        if (count > 0) {
+          verbCount += count;
+          actionVerbs.push(verb);
+          evidence.push(...resumeText
+            .split(/[.!?।؟]+/)
+            .filter(sentence => LanguageDetectionService.countTerms(sentence, [verb]) > 0)
+            .map(sentence => sentence.trim()));
+        }
+      });
+
       patterns.contextPatterns.forEach(pattern => {
         const matches = resumeText.matchAll(pattern);
         for (const match of matches) {
@@ -191,7 +208,13 @@ export class SoftSkillsExtractor {
 
     if (jobDescription) {
       const jdLower = jobDescription.toLowerCase();
+      const jdLocalized = LanguageDetectionService.getResources(LanguageDetectionService.detect(jobDescription).language).softSkills;
       const requiredSkills = this.extractRequiredSoftSkills(jdLower);
+      (Object.keys(jdLocalized) as SoftSkillCategory[]).forEach(skill => {
+        if (!requiredSkills.includes(skill) && LanguageDetectionService.countTerms(jobDescription, jdLocalized[skill]?.jdKeywords || []) > 0) {
+          requiredSkills.push(skill);
+        }
+      });
 
       const detectedCategories = new Set(detectedSkills.map(s => s.category));
 
@@ -199,7 +222,7 @@ export class SoftSkillsExtractor {
         if (!detectedCategories.has(skill)) {
           missingFromJD.push(this.formatSkillName(skill));
           recommendations.push(
-            `Add ${this.formatSkillName(skill)} evidence using verbs like: ${this.SOFT_SKILL_PATTERNS[skill].actionVerbs.slice(0, 3).join(', ')}`
+            `Add ${this.formatSkillName(skill)} evidence using verbs like: ${(localized[skill]?.actionVerbs || this.SOFT_SKILL_PATTERNS[skill].actionVerbs).slice(0, 3).join(', ')}`
           );
         }
       });
@@ -1,5 +1,6 @@
-import { semanticMatchingService } from './semanticMatchingService';
-import skillDictionary from '../data/skillDictionary.json';
+import { semanticIndexService } from './semantic/semanticIndexService';
+import { scoringEnvironment } from './scoringEnvironment';
+import { skillTaxonomyRegistry } from './skillTaxonomy/skillTaxonomyRegistry';
 
 interface SynonymCluster {
   canonical: string;
@@ -9,71 +10,26 @@ interface SynonymCluster {
   importance?: string;
 }
 
-interface SkillDictionaryCluster {
-  canonical: string;
-  synonyms: string[];
-  confidence: number;
-  category: string;
-  importance: string;
-}
-
 class SynonymExpansionService {
-  private technicalSynonyms: Map<string, string[]> = new Map();
-  private synonymConfidence: Map<string, number> = new Map();
-  private synonymCategory: Map<string, string> = new Map();
-  private synonymImportance: Map<string, string> = new Map();
   private semanticCache: Map<string, string[]> = new Map();
-  private dictionaryLoaded: boolean = false;
-
-  constructor() {
-    this.loadSkillDictionary();
-  }
-
-  private loadSkillDictionary(): void {
-    if (this.dictionaryLoaded) return;
-
-    try {
-      const clusters = skillDictionary.synonym_clusters as SkillDictionaryCluster[];
-
-      for (const cluster of clusters) {
-        const canonical = cluster.canonical.toLowerCase().trim();
-        const synonyms = cluster.synonyms.map(s => s.toLowerCase().trim());
-
-        this.technicalSynonyms.set(canonical, synonyms);
-        this.synonymConfidence.set(canonical, cluster.confidence);
-        this.synonymCategory.set(canonical, cluster.category);
-        this.synonymImportance.set(canonical, cluster.importance);
-
-        for (const synonym of synonyms) {
-          if (!this.technicalSynonyms.has(synonym)) {
-            this.technicalSynonyms.set(synonym, [canonical, ...synonyms.filter(s => s !== synonym)]);
-            this.synonymConfidence.set(synonym, cluster.confidence * 0.9);
-            this.synonymCategory.set(synonym, cluster.category);
-            this.synonymImportance.set(synonym, cluster.importance);
-          }
-        }
-      }
-
-      this.dictionaryLoaded = true;
-      console.log(`Skill dictionary loaded: ${clusters.length} canonical terms, ${this.technicalSynonyms.size} total entries`);
-    } catch (error) {
-      console.error('Error loading skill dictionary:', error);
-      this.dictionaryLoaded = false;
-    }
-  }
 
+  /**
+   * Other spellings of a keyword: every name, alias and synonym of the
+   * taxonomy entry it names, then embedding neighbours for unknown keywords
+   */
   async expandKeyword(keyword: string, includeSemantic: boolean = true): Promise<string[]> {
     const normalizedKeyword = keyword.toLowerCase().trim();
 
-    if (this.technicalSynonyms.has(normalizedKeyword)) {
-      return this.technicalSynonyms.get(normalizedKeyword)!;
+    if (skillTaxonomyRegistry.resolve(normalizedKeyword)) {
+      return skillTaxonomyRegistry.getSynonyms(normalizedKeyword);
     }
 
     if (this.semanticCache.has(normalizedKeyword)) {
       return this.semanticCache.get(normalizedKeyword)!;
     }
 
-    if (includeSemantic) {
+    // Offline scoring only uses the skill taxonomy
+    if (includeSemantic && !scoringEnvironment.isOffline()) {
       try {
         const semanticSynonyms = await this.findSemanticSynonyms(keyword);
         this.semanticCache.set(normalizedKeyword, semanticSynonyms);
@@ -87,45 +43,32 @@ class SynonymExpansionService {
     return [];
   }
 
+  // Synonyms stand in for the name itself at a slight discount
   getKeywordMetadata(keyword: string): { confidence: number; category?: string; importance?: string } {
-    const normalized = keyword.toLowerCase().trim();
+    const resolution = skillTaxonomyRegistry.resolve(keyword);
+    if (!resolution) return { confidence: 0.5 };
+
+    const { skill, matchedAs } = resolution;
+    const confidence = skill.confidence ?? 0.5;
     return {
-      confidence: this.synonymConfidence.get(normalized) || 0.5,
-      category: this.synonymCategory.get(normalized),
-      importance: this.synonymImportance.get(normalized)
+      confidence: matchedAs === 'name' ? confidence : confidence * 0.9,
+      category: skill.category,
+      importance: skill.importance
     };
   }
 
-  isDictionaryLoaded(): boolean {
-    return this.dictionaryLoaded;
-  }
-
   private async findSemanticSynonyms(keyword: string): Promise<string[]> {
-    const candidateTerms = this.generateCandidates(keyword);
-    const synonyms: Array<{ term: string; score: number }> = [];
-
-    const keywordEmbedding = await semanticMatchingService.generateEmbedding(keyword);
-
-    for (const candidate of candidateTerms) {
-      try {
-        const candidateEmbedding = await semanticMatchingService.generateEmbedding(candidate);
-        const similarity = semanticMatchingService.cosineSimilarity(
-          keywordEmbedding,
-          candidateEmbedding
-        );
-
-        if (similarity >= 0.7 && similarity < 0.95) {
-          synonyms.push({ term: candidate, score: similarity });
-        }
-      } catch (error) {
-        console.error(`Error processing candidate ${candidate}:`, error);
-      }
-    }
-
-    return synonyms
-      .sort((a, b) => b.score - a.score)
+    const candidates = this.generateCandidates(keyword);
+    const hits = await semanticIndexService.rank(
+      keyword,
+      candidates.map(candidate => ({ id: candidate, text: candidate, kind: 'skill' as const })),
+      candidates.length
+    );
+
+    return hits
+      .filter(hit => hit.score >= 0.7 && hit.score < 0.95)
       .slice(0, 5)
-      .map(s => s.term);
+      .map(hit => hit.item.text);
   }
 
   private generateCandidates(keyword: string): string[] {
@@ -269,18 +212,6 @@ class SynonymExpansionService {
     return matrix[str2.length][str1.length];
   }
 
-  addCustomSynonym(canonical: string, synonyms: string[]): void {
-    const normalized = canonical.toLowerCase().trim();
-    const existing = this.technicalSynonyms.get(normalized) || [];
-    this.technicalSynonyms.set(normalized, [
-      ...new Set([...existing, ...synonyms.map(s => s.toLowerCase().trim())])
-    ]);
-  }
-
-  getAllSynonyms(): Map<string, string[]> {
-    return new Map(this.technicalSynonyms);
-  }
-
   clearSemanticCache(): void {
     this.semanticCache.clear();
   }
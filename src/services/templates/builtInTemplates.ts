@@ -0,0 +1,107 @@
+// src/services/templates/builtInTemplates.ts
+import { ResumeTemplate, SectionRenderer } from '../../types/template';
+import { isValidField, toPlainText } from './sectionRenderers';
+
+// All built-in templates are single-column with text-only headings, standard
+// section names and no tables or graphics, so ATS parsers read them in order.
+
+// ATS-compliant order used by the original export: Summary → Skills → Experience → Projects → Education
+export const classicTemplate: ResumeTemplate = {
+  id: 'classic',
+  name: 'Classic',
+  description: 'Centered header with ruled section titles',
+  sectionOrder: {
+    experienced: ['summary', 'skills', 'workExperience', 'projects', 'education', 'certifications', 'additionalSections'],
+    student: ['careerObjective', 'education', 'skills', 'projects', 'workExperience', 'certifications', 'achievements', 'additionalSections'],
+    fresher: ['careerObjective', 'skills', 'workExperience', 'projects', 'education', 'certifications', 'achievements', 'additionalSections']
+  },
+  typography: {
+    sizeOffsets: { name: 0, sectionTitle: 0, subHeader: 0, body: 0 },
+    lineHeight: 1.2,
+    spacingScale: 1,
+    nameAlign: 'center',
+    contactBold: true,
+    nameCase: 'upper',
+    headingCase: 'upper',
+    sectionRule: true
+  }
+};
+
+export const compactTemplate: ResumeTemplate = {
+  id: 'compact',
+  name: 'Compact One-Page',
+  description: 'Tighter type and spacing, shrunk to fit a single page',
+  sectionOrder: classicTemplate.sectionOrder,
+  typography: {
+    sizeOffsets: { name: -4, sectionTitle: -2, subHeader: -1, body: -1 },
+    lineHeight: 1.1,
+    spacingScale: 0.5,
+    nameAlign: 'center',
+    contactBold: false,
+    nameCase: 'upper',
+    headingCase: 'upper',
+    sectionRule: true,
+    margins: { top: 10, right: 12, bottom: 8, left: 12 }
+  },
+  maxPages: 1,
+  minBodySize: 8
+};
+
+// Academic CVs show the field of study with the degree
+const renderAcademicEducation: SectionRenderer = (data, { title }) => {
+  const blocks = (data.education || []).map(edu => ({
+    type: 'entry' as const,
+    title: isValidField(edu.field) ? `${edu.degree}, ${edu.field}` : edu.degree,
+    date: isValidField(edu.year) ? edu.year : undefined,
+    subtitle: `${edu.school}${isValidField(edu.location) ? `, ${edu.location}` : ''}`,
+    details: isValidField(edu.cgpa) ? [`CGPA: ${edu.cgpa}`] : []
+  }));
+  return blocks.length > 0 ? [{ key: 'education', title, blocks }] : [];
+};
+
+// ...and describe each project with its abstract and methods, not just bullets
+const renderAcademicProjects: SectionRenderer = (data, { title }) => {
+  const blocks = (data.projects || []).map(project => ({
+    type: 'entry' as const,
+    title: project.title,
+    subtitle: toPlainText(project.description) || undefined,
+    details: project.techStack && project.techStack.length > 0 ? [`Methods & tools: ${project.techStack.join(', ')}`] : [],
+    bullets: (project.bullets || []).map(bullet => toPlainText(bullet)).filter(Boolean)
+  }));
+  return blocks.length > 0 ? [{ key: 'projects', title, blocks }] : [];
+};
+
+export const academicTemplate: ResumeTemplate = {
+  id: 'academic',
+  name: 'Academic CV',
+  description: 'Education-first curriculum vitae; runs to as many pages as needed',
+  sectionOrder: {
+    experienced: ['summary', 'education', 'workExperience', 'projects', 'additionalSections', 'achievements', 'certifications', 'skills'],
+    student: ['careerObjective', 'education', 'projects', 'workExperience', 'additionalSections', 'achievements', 'certifications', 'skills'],
+    fresher: ['careerObjective', 'education', 'projects', 'workExperience', 'additionalSections', 'achievements', 'certifications', 'skills']
+  },
+  sectionTitles: {
+    summary: 'Research Interests',
+    careerObjective: 'Research Interests',
+    workExperience: 'Research & Professional Experience',
+    projects: 'Research Projects',
+    achievements: 'Honors & Awards'
+  },
+  typography: {
+    sizeOffsets: { name: 0, sectionTitle: 0, subHeader: 0, body: 0 },
+    lineHeight: 1.25,
+    spacingScale: 1.2,
+    nameAlign: 'left',
+    contactBold: false,
+    nameCase: 'as-is',
+    headingCase: 'as-is',
+    sectionRule: true,
+    margins: { top: 20, right: 22, bottom: 15, left: 22 }
+  },
+  renderers: {
+    education: renderAcademicEducation,
+    projects: renderAcademicProjects
+  }
+};
+
+export const builtInTemplates: ResumeTemplate[] = [classicTemplate, compactTemplate, academicTemplate];
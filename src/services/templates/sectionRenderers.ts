@@ -0,0 +1,225 @@
+// src/services/templates/sectionRenderers.ts
+import { ResumeData, Certification } from '../../types/resume';
+import {
+  ContactItem,
+  ResumeSectionKey,
+  SectionRenderer,
+  TemplateBlock,
+  TemplateSection
+} from '../../types/template';
+
+// ============================================================================
+// CONTENT HELPERS (shared by every template and renderer)
+// ============================================================================
+
+export const isValidField = (field?: string | null, fieldType: 'phone' | 'email' | 'url' | 'text' = 'text'): boolean => {
+  if (!field || field.trim() === '') {
+    return false;
+  }
+  const lowercasedField = field.trim().toLowerCase();
+  const invalidValues = ['n/a', 'not specified', 'none'];
+  if (invalidValues.includes(lowercasedField)) {
+    return false;
+  }
+
+  switch (fieldType) {
+    case 'phone':
+      return (field.match(/\d/g) || []).length > 6;
+    case 'email':
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(field);
+    case 'url':
+      // Accept URLs with or without protocol, including LinkedIn and GitHub URLs
+      return /^https?:\/\//.test(field) ||
+             /linkedin\.com\/in\//i.test(field) ||
+             /github\.com\//i.test(field) ||
+             /^(www\.)?[a-zA-Z0-9-]+\.[a-zA-Z]{2,}/.test(field);
+    case 'text':
+    default:
+      return true;
+  }
+};
+
+// Safely convert unknown values (AI output is not always a string) to displayable text
+export const toPlainText = (value: unknown): string => {
+  if (typeof value === 'string') return value.trim();
+  if (value == null) return '';
+  if (typeof value === 'object') {
+    const record = value as Record<string, unknown>;
+    for (const key of ['text', 'description', 'name', 'title', 'value']) {
+      const v = record[key];
+      if (typeof v === 'string' && v.trim()) return v.trim();
+    }
+    return '';
+  }
+  return String(value);
+};
+
+export const isPlaceholderText = (s?: string): boolean => {
+  if (!s) return true;
+  const v = s.trim().toLowerCase();
+  return v === '' || v === 'n/a' || v === 'none' || v === 'not specified' || v === 'not provided' || v === 'available upon request';
+};
+
+export const getShortLinkText = (url: string, type: 'linkedin' | 'github'): string => {
+  if (!url) return '';
+  const cleanUrl = url.trim().toLowerCase();
+
+  if (type === 'linkedin') {
+    const linkedinMatch = cleanUrl.match(/linkedin\.com\/in\/([^/?]+)/i);
+    return linkedinMatch ? `linkedin.com/in/${linkedinMatch[1]}` : 'LinkedIn';
+  }
+
+  const githubMatch = cleanUrl.match(/github\.com\/([^/?]+)/i);
+  return githubMatch ? `github.com/${githubMatch[1]}` : 'GitHub';
+};
+
+// Normalize certifications input and provide sensible fallbacks from other sections
+export const getEffectiveCertifications = (data: ResumeData): (string | Certification)[] => {
+  const primary = Array.isArray(data.certifications) ? data.certifications : [];
+  if (primary.length > 0) return primary;
+
+  // Fallback 1: Additional Sections titled like "Certifications" or "Licenses"
+  const fromAdditional = (data.additionalSections || [])
+    .filter(sec => typeof sec?.title === 'string' && /cert|licen/i.test(sec.title))
+    .flatMap(sec => Array.isArray(sec.bullets) ? sec.bullets : [])
+    .filter(b => typeof b === 'string' && b.trim().length > 0);
+  if (fromAdditional.length > 0) return fromAdditional;
+
+  // Fallback 2: Skills category named like "Certifications"/"Certificates"/"Licenses"
+  const fromSkills = (data.skills || [])
+    .filter(cat => typeof cat?.category === 'string' && /cert|licen/i.test(cat.category))
+    .flatMap(cat => Array.isArray(cat.list) ? cat.list : [])
+    .filter(b => typeof b === 'string' && b.trim().length > 0);
+  return fromSkills;
+};
+
+// Skip empty and placeholder certifications
+export const isRenderableCertification = (cert: string | Certification): boolean => {
+  if (typeof cert === 'string') return cert.trim().length > 0 && !isPlaceholderText(cert);
+  if (cert && typeof cert === 'object') {
+    const primary = toPlainText(cert.title);
+    const desc = toPlainText(cert.description);
+    return (!!primary && !isPlaceholderText(primary)) || (!!desc && !isPlaceholderText(desc));
+  }
+  return false;
+};
+
+const toUrl = (value: string): string => (value.startsWith('http') ? value : `https://${value}`);
+
+// Contact details on two lines: basic info, then profile links
+export const buildContactLines = (data: ResumeData): ContactItem[][] => {
+  const line1: ContactItem[] = [];
+  const line2: ContactItem[] = [];
+
+  if (isValidField(data.phone, 'phone')) {
+    line1.push({ text: data.phone!, url: `tel:${data.phone!.replace(/\s+/g, '')}` });
+  }
+  if (isValidField(data.email, 'email')) {
+    line1.push({ text: data.email!, url: `mailto:${data.email}` });
+  }
+  if (isValidField(data.location, 'text')) {
+    line1.push({ text: data.location! });
+  }
+  if (isValidField(data.linkedin, 'url')) {
+    line2.push({ text: getShortLinkText(data.linkedin!, 'linkedin'), url: toUrl(data.linkedin!) });
+  }
+  if (isValidField(data.github, 'url')) {
+    line2.push({ text: getShortLinkText(data.github!, 'github'), url: toUrl(data.github!) });
+  }
+
+  return [line1, line2].filter(line => line.length > 0);
+};
+
+const toBulletTexts = (bullets: unknown): string[] =>
+  (Array.isArray(bullets) ? bullets : [])
+    .map(bullet => toPlainText(bullet))
+    .filter(text => text.length > 0);
+
+const single = (key: ResumeSectionKey, title: string, blocks: TemplateBlock[]): TemplateSection[] =>
+  blocks.length > 0 ? [{ key, title, blocks }] : [];
+
+// ============================================================================
+// STANDARD SECTION RENDERERS
+// ============================================================================
+
+const renderTextSection = (key: 'summary' | 'careerObjective'): SectionRenderer => (data, { title }) => {
+  const text = toPlainText(data[key]);
+  return single(key, title, text ? [{ type: 'paragraph', text }] : []);
+};
+
+const renderSkills: SectionRenderer = (data, { title }) =>
+  single('skills', title, (data.skills || [])
+    .filter(skill => skill && Array.isArray(skill.list) && skill.list.length > 0)
+    .map(skill => ({ type: 'paragraph', label: `${skill.category}:`, text: skill.list.join(', ') })));
+
+const renderWorkExperience: SectionRenderer = (data, { title }) =>
+  single('workExperience', title, (data.workExperience || []).map(job => ({
+    type: 'entry',
+    title: `${job.role} | ${job.company}${isValidField(job.location) ? `, ${job.location}` : ''}`,
+    date: isValidField(job.year) ? job.year : undefined,
+    bullets: toBulletTexts(job.bullets)
+  })));
+
+const renderProjects: SectionRenderer = (data, { title }) =>
+  single('projects', title, (data.projects || []).map(project => ({
+    type: 'entry',
+    title: project.title,
+    bullets: toBulletTexts(project.bullets)
+  })));
+
+const renderEducation: SectionRenderer = (data, { title }) =>
+  single('education', title, (data.education || []).map(edu => ({
+    type: 'entry',
+    title: edu.degree,
+    date: isValidField(edu.year) ? edu.year : undefined,
+    subtitle: `${edu.school}${isValidField(edu.location) ? `, ${edu.location}` : ''}`,
+    details: isValidField(edu.cgpa) ? [`CGPA: ${edu.cgpa}`] : []
+  })));
+
+const renderCertifications: SectionRenderer = (data, { title }) =>
+  single('certifications', title, getEffectiveCertifications(data)
+    .filter(isRenderableCertification)
+    .map((cert): TemplateBlock => {
+      if (typeof cert === 'string') return { type: 'bullet', text: cert.trim() };
+      const primary = toPlainText(cert.title) || toPlainText(cert.description);
+      const desc = toPlainText(cert.description);
+      return desc && desc !== primary
+        ? { type: 'bullet', label: primary, text: `- ${desc}` }
+        : { type: 'bullet', text: primary };
+    }));
+
+const renderAchievements: SectionRenderer = (data, { title }) =>
+  single('achievements', title, toBulletTexts(data.achievements).map(text => ({ type: 'bullet', text })));
+
+const renderAdditionalSections: SectionRenderer = data =>
+  (data.additionalSections || [])
+    .filter(section => section && toPlainText(section.title))
+    .flatMap(section => single(
+      'additionalSections',
+      toPlainText(section.title),
+      toBulletTexts(section.bullets).map(text => ({ type: 'bullet', text }))
+    ));
+
+export const standardSectionRenderers: Record<ResumeSectionKey, SectionRenderer> = {
+  summary: renderTextSection('summary'),
+  careerObjective: renderTextSection('careerObjective'),
+  skills: renderSkills,
+  workExperience: renderWorkExperience,
+  projects: renderProjects,
+  education: renderEducation,
+  certifications: renderCertifications,
+  achievements: renderAchievements,
+  additionalSections: renderAdditionalSections
+};
+
+export const standardSectionTitles: Record<ResumeSectionKey, string> = {
+  summary: 'Professional Summary',
+  careerObjective: 'Career Objective',
+  skills: 'Skills',
+  workExperience: 'Professional Experience',
+  projects: 'Projects',
+  education: 'Education',
+  certifications: 'Certifications',
+  achievements: 'Achievements',
+  additionalSections: ''
+};
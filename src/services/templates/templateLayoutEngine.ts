@@ -0,0 +1,459 @@
+// src/services/templates/templateLayoutEngine.ts
+import { ResumeData, UserType } from '../../types/resume';
+import { ExportOptions, LayoutType } from '../../types/export';
+import {
+  LayoutBox,
+  LayoutBoxRole,
+  ResumeLayout,
+  ResumeSectionKey,
+  ResumeTemplate,
+  TemplateBlock,
+  TemplateDocument,
+  TemplateMargins,
+  TemplateStyle,
+  TextMeasurer
+} from '../../types/template';
+import { SupportedLanguage } from '../../types/language';
+import { LanguageDetectionService } from '../languageDetectionService';
+import { buildContactLines, standardSectionRenderers, standardSectionTitles } from './sectionRenderers';
+import { templateRegistry } from './templateRegistry';
+
+export const PT_TO_MM = 0.352778;
+
+// Exact paper sizes in mm (layoutConfigs/paperSizeConfigs carry rounded display values)
+const PAPER_SIZES = {
+  a4: { width: 210, height: 297 },
+  letter: { width: 215.9, height: 279.4 }
+};
+
+// The margins PDF and DOCX exports always used (0.7in, 12mm when compact, 4mm at the bottom).
+// Templates without their own margins keep them so existing resumes do not re-flow.
+const EXPORT_MARGINS: Record<LayoutType, TemplateMargins> = {
+  standard: { top: 17.78, right: 17.78, bottom: 4, left: 17.78 },
+  'ats-optimized': { top: 17.78, right: 17.78, bottom: 4, left: 17.78 },
+  compact: { top: 12, right: 12, bottom: 4, left: 12 }
+};
+
+// Each fit-to-page step takes this much off every font size (pt) and 10% off spacing
+const SHRINK_STEP_PT = 0.5;
+const MAX_SHRINK_STEPS = 8;
+
+const round = (value: number): number => Math.round(value * 100) / 100;
+
+export const applyTextCase = (text: string, textCase: 'upper' | 'as-is'): string =>
+  textCase === 'upper' ? text.toUpperCase() : text;
+
+// ============================================================================
+// STYLE & DOCUMENT
+// ============================================================================
+
+export const resolveTemplateStyle = (template: ResumeTemplate, options: ExportOptions, shrinkSteps: number = 0): TemplateStyle => {
+  const { typography } = template;
+  const { sizeOffsets } = typography;
+  const paper = PAPER_SIZES[options.paperSize] || PAPER_SIZES.a4;
+  const margins = typography.margins || EXPORT_MARGINS[options.layoutType] || EXPORT_MARGINS.standard;
+  const shrink = shrinkSteps * SHRINK_STEP_PT;
+  const spacingFactor = typography.spacingScale * Math.pow(0.9, shrinkSteps);
+  const size = (base: number, offset: number) => round(Math.max(base + offset - shrink, 6));
+  const body = size(options.bodyTextSize, sizeOffsets.body);
+
+  return {
+    templateId: template.id,
+    pageWidth: paper.width,
+    pageHeight: paper.height,
+    margins: { ...margins },
+    contentWidth: round(paper.width - margins.left - margins.right),
+    fontFamily: options.fontFamily,
+    fonts: {
+      name: size(options.nameSize, sizeOffsets.name),
+      contact: round(Math.max(body - 0.5, 6)),
+      sectionTitle: size(options.sectionHeaderSize, sizeOffsets.sectionTitle),
+      entryTitle: size(options.subHeaderSize, sizeOffsets.subHeader),
+      entrySubtitle: size(options.subHeaderSize, sizeOffsets.subHeader),
+      body,
+      footer: 8
+    },
+    lineHeight: typography.lineHeight,
+    spacing: {
+      afterName: round(1 * spacingFactor),
+      afterContact: round(2 * spacingFactor),
+      sectionBefore: round(options.sectionSpacing * spacingFactor),
+      sectionAfter: round(2 * spacingFactor),
+      entry: round(options.entrySpacing * spacingFactor),
+      bullet: round(0.5 * spacingFactor),
+      bulletIndent: 5,
+      bulletTextIndent: 3.5
+    },
+    nameAlign: typography.nameAlign,
+    contactBold: typography.contactBold,
+    nameCase: typography.nameCase,
+    headingCase: typography.headingCase,
+    sectionRule: typography.sectionRule,
+    colors: { text: '000000', muted: '505050', link: '2563EB', rule: '404040' }
+  };
+};
+
+const resolveSectionTitle = (
+  template: ResumeTemplate,
+  key: ResumeSectionKey,
+  userType: UserType,
+  language: SupportedLanguage
+): string => {
+  const localized = LanguageDetectionService.getResources(language).sectionTitles[key];
+  if (localized) return localized;
+  const declared = template.sectionTitles?.[key];
+  if (declared) return declared;
+  if (key === 'workExperience' && userType !== 'experienced') return 'Work Experience';
+  return standardSectionTitles[key];
+};
+
+// Resumes saved before language detection have no language; read it from the prose
+const resumeLanguage = (data: ResumeData): SupportedLanguage => {
+  if (data.language) return data.language;
+  const prose = [
+    data.summary,
+    data.careerObjective,
+    ...(data.workExperience || []).flatMap(exp => exp.bullets || []),
+    ...(data.projects || []).flatMap(project => project.bullets || [])
+  ].filter(Boolean).join('\n');
+  return LanguageDetectionService.detect(prose).language;
+};
+
+// Run the template's section renderers in its declared order
+export const buildTemplateDocument = (data: ResumeData, userType: UserType, template: ResumeTemplate): TemplateDocument => {
+  const language = resumeLanguage(data);
+  return {
+    templateId: template.id,
+    language,
+    direction: LanguageDetectionService.getResources(language).direction,
+    name: (data.name || '').trim(),
+    contactLines: buildContactLines(data),
+    sections: template.sectionOrder[userType].flatMap(key => {
+      const renderer = template.renderers?.[key] || standardSectionRenderers[key];
+      return renderer(data, { userType, title: resolveSectionTitle(template, key, userType, language) });
+    })
+  };
+};
+
+// ============================================================================
+// LAYOUT
+// ============================================================================
+
+type PendingBox = Omit<LayoutBox, 'page' | 'y'> & { dy?: number };
+
+interface LayoutLine {
+  spaceBefore: number;
+  height: number;
+  boxes: PendingBox[];
+  keepWithNext?: boolean;
+}
+
+// Greedy word wrap; the first line may be narrower (e.g. after a bold label)
+const wrapText = (
+  text: string,
+  firstWidth: number,
+  restWidth: number,
+  fontSize: number,
+  bold: boolean,
+  measurer: TextMeasurer
+): string[] => {
+  const words = text.split(/\s+/).filter(Boolean);
+  const lines: string[] = [];
+  let current = '';
+
+  const pushWord = (word: string) => {
+    const limit = lines.length === 0 ? firstWidth : restWidth;
+    const candidate = current ? `${current} ${word}` : word;
+    if (measurer.width(candidate, fontSize, bold) <= limit || !current) {
+      current = candidate;
+      // A single word wider than the line is broken by characters
+      if (measurer.width(current, fontSize, bold) > limit && current.length > 1) {
+        let cut = current.length - 1;
+        while (cut > 1 && measurer.width(current.slice(0, cut), fontSize, bold) > limit) cut--;
+        lines.push(current.slice(0, cut));
+        current = '';
+        pushWord(candidate.slice(cut));
+      }
+      return;
+    }
+    lines.push(current);
+    current = '';
+    pushWord(word);
+  };
+
+  words.forEach(pushWord);
+  if (current) lines.push(current);
+  return lines;
+};
+
+const lineHeightOf = (fontSize: number, style: TemplateStyle): number => fontSize * style.lineHeight * PT_TO_MM;
+
+// Text (optionally led by a bold label) wrapped into the column starting at x
+const labelledTextLines = (
+  text: string,
+  label: string | undefined,
+  role: LayoutBoxRole,
+  x: number,
+  width: number,
+  fontSize: number,
+  style: TemplateStyle,
+  measurer: TextMeasurer
+): LayoutLine[] => {
+  const height = lineHeightOf(fontSize, style);
+  const labelWidth = label ? measurer.width(label, fontSize, true) + measurer.width(' ', fontSize, false) : 0;
+  const wrapped = wrapText(text, width - labelWidth, width, fontSize, false, measurer);
+  const lines: LayoutLine[] = wrapped.map((line, index) => ({
+    spaceBefore: 0,
+    height,
+    boxes: [{
+      role,
+      x: index === 0 ? x + labelWidth : x,
+      width: measurer.width(line, fontSize, false),
+      height,
+      text: line,
+      fontSize,
+      bold: false
+    }]
+  }));
+
+  if (label) {
+    const labelBox: PendingBox = { role: 'label', x, width: measurer.width(label, fontSize, true), height, text: label, fontSize, bold: true };
+    if (lines.length === 0) lines.push({ spaceBefore: 0, height, boxes: [] });
+    lines[0].boxes.unshift(labelBox);
+  }
+  return lines;
+};
+
+const bulletLines = (text: string, label: string | undefined, style: TemplateStyle, measurer: TextMeasurer): LayoutLine[] => {
+  const { margins, spacing, fonts, contentWidth } = style;
+  const textX = margins.left + spacing.bulletIndent + spacing.bulletTextIndent;
+  const lines = labelledTextLines(text, label, 'bullet', textX, contentWidth - spacing.bulletIndent - spacing.bulletTextIndent, fonts.body, style, measurer);
+  if (lines.length === 0) return lines;
+
+  const height = lineHeightOf(fonts.body, style);
+  lines[0].spaceBefore = spacing.bullet;
+  lines[0].boxes.unshift({
+    role: 'bullet-marker',
+    x: margins.left + spacing.bulletIndent,
+    width: measurer.width('•', fonts.body, false),
+    height,
+    text: '•',
+    fontSize: fonts.body,
+    bold: false
+  });
+  return lines;
+};
+
+const entryLines = (block: Extract<TemplateBlock, { type: 'entry' }>, isFirst: boolean, style: TemplateStyle, measurer: TextMeasurer): LayoutLine[] => {
+  const { margins, fonts, contentWidth, spacing } = style;
+  const titleHeight = lineHeightOf(fonts.entryTitle, style);
+  const dateWidth = block.date ? measurer.width(block.date, fonts.entryTitle, true) : 0;
+  const titleWidth = contentWidth - (dateWidth ? dateWidth + 4 : 0);
+
+  const titleLines: LayoutLine[] = wrapText(block.title || '', titleWidth, titleWidth, fonts.entryTitle, true, measurer).map(line => ({
+    spaceBefore: 0,
+    height: titleHeight,
+    keepWithNext: true,
+    boxes: [{ role: 'entry-title', x: margins.left, width: measurer.width(line, fonts.entryTitle, true), height: titleHeight, text: line, fontSize: fonts.entryTitle, bold: true }]
+  }));
+  if (titleLines.length === 0) titleLines.push({ spaceBefore: 0, height: titleHeight, keepWithNext: true, boxes: [] });
+  if (block.date) {
+    titleLines[0].boxes.push({
+      role: 'entry-date',
+      x: margins.left + contentWidth - dateWidth,
+      width: dateWidth,
+      height: titleHeight,
+      text: block.date,
+      fontSize: fonts.entryTitle,
+      bold: true
+    });
+  }
+  titleLines[0].spaceBefore = isFirst ? 0 : spacing.entry;
+
+  const subtitleLines = block.subtitle
+    ? labelledTextLines(block.subtitle, undefined, 'entry-subtitle', margins.left, contentWidth, fonts.entrySubtitle, style, measurer)
+    : [];
+  const detailLines = (block.details || []).flatMap(detail =>
+    labelledTextLines(detail, undefined, 'entry-detail', margins.left, contentWidth, fonts.body, style, measurer));
+  const bullets = (block.bullets || []).flatMap(bullet => bulletLines(bullet, undefined, style, measurer));
+
+  // Keep the heading block of an entry together with its first bullet
+  [...subtitleLines, ...detailLines].forEach(line => { line.keepWithNext = true; });
+  const lines = [...titleLines, ...subtitleLines, ...detailLines, ...bullets];
+  lines[lines.length - 1].keepWithNext = false;
+  return lines;
+};
+
+const documentLines = (document: TemplateDocument, style: TemplateStyle, measurer: TextMeasurer): LayoutLine[] => {
+  const { margins, fonts, contentWidth, spacing } = style;
+  const lines: LayoutLine[] = [];
+  const alignedX = (width: number) => (style.nameAlign === 'center' ? margins.left + (contentWidth - width) / 2 : margins.left);
+
+  // Header: name, then contact lines joined with separators
+  const nameHeight = lineHeightOf(fonts.name, style);
+  wrapText(applyTextCase(document.name, style.nameCase), contentWidth, contentWidth, fonts.name, true, measurer).forEach(line => {
+    const width = measurer.width(line, fonts.name, true);
+    lines.push({ spaceBefore: 0, height: nameHeight, boxes: [{ role: 'name', x: alignedX(width), width, height: nameHeight, text: line, fontSize: fonts.name, bold: true }] });
+  });
+  if (lines.length > 0) lines[lines.length - 1].height += spacing.afterName;
+
+  const contactHeight = lineHeightOf(fonts.contact, style);
+  const separator = ' | ';
+  const separatorWidth = measurer.width(separator, fonts.contact, style.contactBold);
+  document.contactLines.forEach(items => {
+    // Wrap whole items onto extra lines when a contact line is wider than the page
+    const rows: { text: string; url?: string; width: number }[][] = [[]];
+    let rowWidth = 0;
+    items.forEach(item => {
+      const width = measurer.width(item.text, fonts.contact, style.contactBold);
+      const row = rows[rows.length - 1];
+      if (row.length > 0 && rowWidth + separatorWidth + width > contentWidth) {
+        rows.push([]);
+        rowWidth = 0;
+      }
+      rowWidth += (rows[rows.length - 1].length > 0 ? separatorWidth : 0) + width;
+      rows[rows.length - 1].push({ ...item, width });
+    });
+
+    rows.forEach(row => {
+      const total = row.reduce((sum, item, index) => sum + item.width + (index > 0 ? separatorWidth : 0), 0);
+      let x = alignedX(total);
+      const boxes: PendingBox[] = [];
+      row.forEach((item, index) => {
+        if (index > 0) {
+          boxes.push({ role: 'contact', x, width: separatorWidth, height: contactHeight, text: separator, fontSize: fonts.contact, bold: style.contactBold });
+          x += separatorWidth;
+        }
+        boxes.push({ role: 'contact', x, width: item.width, height: contactHeight, text: item.text, fontSize: fonts.contact, bold: style.contactBold, ...(item.url ? { url: item.url } : {}) });
+        x += item.width;
+      });
+      lines.push({ spaceBefore: 0, height: contactHeight, boxes });
+    });
+  });
+  if (lines.length > 0) lines[lines.length - 1].height += spacing.afterContact;
+
+  const headingTextHeight = lineHeightOf(fonts.sectionTitle, style);
+  document.sections.forEach(section => {
+    const headingBoxes: PendingBox[] = [{
+      role: 'heading',
+      x: margins.left,
+      width: measurer.width(applyTextCase(section.title, style.headingCase), fonts.sectionTitle, true),
+      height: headingTextHeight,
+      text: applyTextCase(section.title, style.headingCase),
+      fontSize: fonts.sectionTitle,
+      bold: true
+    }];
+    if (style.sectionRule) {
+      headingBoxes.push({ role: 'rule', x: margins.left, width: contentWidth, height: 0, dy: headingTextHeight + 0.3 });
+    }
+    lines.push({ spaceBefore: spacing.sectionBefore, height: headingTextHeight + spacing.sectionAfter, boxes: headingBoxes, keepWithNext: true });
+
+    section.blocks.forEach((block, index) => {
+      if (block.type === 'entry') {
+        lines.push(...entryLines(block, index === 0, style, measurer));
+      } else if (block.type === 'bullet') {
+        lines.push(...bulletLines(block.text, block.label, style, measurer));
+      } else {
+        const paragraph = labelledTextLines(block.text, block.label, 'text', margins.left, contentWidth, fonts.body, style, measurer);
+        if (paragraph.length > 0 && index > 0) paragraph[0].spaceBefore = spacing.bullet;
+        lines.push(...paragraph);
+      }
+    });
+  });
+
+  return lines;
+};
+
+// Position lines top to bottom, breaking pages and keeping headings with what follows
+export const layoutTemplateDocument = (document: TemplateDocument, style: TemplateStyle, measurer: TextMeasurer): { boxes: LayoutBox[]; pageCount: number } => {
+  const lines = documentLines(document, style, measurer);
+  const top = style.margins.top;
+  const bottom = style.pageHeight - style.margins.bottom;
+  const boxes: LayoutBox[] = [];
+  let page = 1;
+  let y = top;
+
+  lines.forEach((line, index) => {
+    const atTop = y === top;
+    let needed = (atTop ? 0 : line.spaceBefore) + line.height;
+    // Pull the next line along so headings and entry titles are never stranded
+    for (let i = index; lines[i]?.keepWithNext && lines[i + 1]; i++) {
+      needed += lines[i + 1].spaceBefore + lines[i + 1].height;
+    }
+    const needsBreak = y + needed > bottom && !atTop;
+    if (needsBreak) {
+      page += 1;
+      y = top;
+    } else if (!atTop) {
+      y += line.spaceBefore;
+    }
+
+    line.boxes.forEach(({ dy, ...box }) => {
+      boxes.push({
+        ...box,
+        page,
+        x: round(box.x),
+        y: round(y + (dy || 0)),
+        width: round(box.width),
+        height: round(box.height)
+      });
+    });
+    y += line.height;
+  });
+
+  if (page > 1) {
+    const footerHeight = lineHeightOf(style.fonts.footer, style);
+    for (let p = 1; p <= page; p++) {
+      const text = `Page ${p} of ${page}`;
+      const width = measurer.width(text, style.fonts.footer, false);
+      boxes.push({
+        page: p,
+        role: 'footer',
+        x: round(style.margins.left + (style.contentWidth - width) / 2),
+        y: round(style.pageHeight - Math.max(style.margins.bottom, footerHeight + 2) / 2 - footerHeight / 2),
+        width: round(width),
+        height: round(footerHeight),
+        text,
+        fontSize: style.fonts.footer,
+        bold: false
+      });
+    }
+  }
+
+  // Right-to-left documents are laid out left-to-right, then mirrored
+  if (document.direction === 'rtl') {
+    boxes.forEach(box => {
+      box.x = round(style.pageWidth - box.x - box.width);
+    });
+  }
+
+  return { boxes, pageCount: page };
+};
+
+/**
+ * Lay out a resume with the template selected in the export options. Templates
+ * that declare maxPages are re-laid out with progressively smaller type until
+ * they fit or reach minBodySize.
+ */
+export const layoutResume = (
+  resumeData: ResumeData,
+  userType: UserType,
+  options: ExportOptions,
+  measurer: TextMeasurer
+): ResumeLayout => {
+  const template = templateRegistry.get(options.templateId);
+  const document = buildTemplateDocument(resumeData, userType, template);
+
+  let shrinkSteps = 0;
+  for (;;) {
+    const style = resolveTemplateStyle(template, options, shrinkSteps);
+    const { boxes, pageCount } = layoutTemplateDocument(document, style, measurer);
+    const fits = !template.maxPages || pageCount <= template.maxPages;
+    const canShrink = shrinkSteps < MAX_SHRINK_STEPS && style.fonts.body - SHRINK_STEP_PT >= (template.minBodySize ?? style.fonts.body);
+
+    if (fits || !canShrink) {
+      return { templateId: template.id, direction: document.direction, style, pageCount, boxes, overflow: !fits };
+    }
+    shrinkSteps += 1;
+  }
+};
@@ -0,0 +1,38 @@
+// src/services/templates/templateRegistry.ts
+import { ResumeTemplate, TemplateId } from '../../types/template';
+import { builtInTemplates, classicTemplate } from './builtInTemplates';
+
+/**
+ * Template Registry
+ * Holds the resume templates that the preview and the PDF/DOCX exporters
+ * render from. Unknown ids fall back to the classic template so stale saved
+ * export options never break an export.
+ */
+export class TemplateRegistry {
+  private templates = new Map<TemplateId, ResumeTemplate>();
+
+  constructor(templates: ResumeTemplate[] = []) {
+    templates.forEach(template => this.register(template));
+  }
+
+  register(template: ResumeTemplate): void {
+    if (!template.sectionOrder?.experienced || !template.sectionOrder.student || !template.sectionOrder.fresher) {
+      throw new Error(`Template "${template.id}" must declare a section order for every user type`);
+    }
+    this.templates.set(template.id, template);
+  }
+
+  get(id?: TemplateId | string | null): ResumeTemplate {
+    return (id && this.templates.get(id as TemplateId)) || this.templates.get('classic') || classicTemplate;
+  }
+
+  has(id: string): boolean {
+    return this.templates.has(id as TemplateId);
+  }
+
+  list(): ResumeTemplate[] {
+    return Array.from(this.templates.values());
+  }
+}
+
+export const templateRegistry = new TemplateRegistry(builtInTemplates);
@@ -8,6 +8,7 @@ import {
   ParsingQualityAssessment,
   parsingQualityAssessment 
 } from '../services/parsingQualityAssessment';
+import { OCRService } from '../services/ocrService';
 import { 
   DocumentFormat, 
   LayoutComplexity, 
@@ -16,7 +17,8 @@ import {
   ProcessedDocument,
   ParsingQuality,
   ConfidenceAssessment,
-  ProcessingWarning
+  ProcessingWarning,
+  LayoutDocument
 } from '../types/resume';
 
 const FC_CONFIG = { 
@@ -248,69 +250,39 @@ describe('ATS Parsing Enhancement - Property Tests', () => {
    * **Validates: Requirements 1.1**
    */
   describe('Property 1: OCR Accuracy Threshold', () => {
-    it('should achieve at least 95% accuracy for clear, standard fonts', async () => {
+    it('should fail explicitly on unreadable images instead of returning mock text', async () => {
       await fc.assert(fc.asyncProperty(
         fc.record({
-          imageSize: fc.integer({ min: 50000, max: 500000 }), // Smaller range for faster tests
-          textLength: fc.integer({ min: 100, max: 1000 }),
-          fontQuality: fc.constantFrom('clear', 'standard', 'good')
+          imageSize: fc.integer({ min: 50000, max: 500000 }) // Smaller range for faster tests
         }),
         async (testData) => {
-          const { OCRService } = await import('../services/ocrService');
           const ocrService = new OCRService();
           
-          // Create mock image buffer
+          // A buffer of zeros is not a decodable image
           const mockImageBuffer = Buffer.alloc(testData.imageSize, 0);
           
-          // Test OCR extraction
-          const result = await ocrService.extractTextFromImage(mockImageBuffer);
-          
-          // Verify result structure
-          expect(result).toHaveProperty('text');
-          expect(result).toHaveProperty('confidence');
-          expect(result).toHaveProperty('characterAccuracy');
-          expect(result).toHaveProperty('boundingBoxes');
-          expect(result).toHaveProperty('detectedLanguage');
-          expect(result).toHaveProperty('processingTime');
-          expect(result).toHaveProperty('imagePreprocessed');
-          
-          // Verify confidence is in valid range
-          expect(result.confidence).toBeGreaterThanOrEqual(0);
-          expect(result.confidence).toBeLessThanOrEqual(100);
-          
-          // Verify character accuracy is in valid range
-          expect(result.characterAccuracy).toBeGreaterThanOrEqual(0);
-          expect(result.characterAccuracy).toBeLessThanOrEqual(100);
-          
-          // For clear, standard fonts, accuracy should be high
-          // Note: This is testing the mock implementation
-          // In real implementation, this would test against known good images
-          if (testData.fontQuality === 'clear') {
-            expect(result.confidence).toBeGreaterThanOrEqual(60); // Reasonable threshold for mock
-          }
-          
-          // Verify processing time is reasonable
-          expect(result.processingTime).toBeGreaterThanOrEqual(0);
-          expect(result.processingTime).toBeLessThan(60000); // Should complete within 60 seconds
-          
-          // Verify bounding boxes are valid
-          expect(Array.isArray(result.boundingBoxes)).toBe(true);
-          result.boundingBoxes.forEach(box => {
-            expect(box).toHaveProperty('x');
-            expect(box).toHaveProperty('y');
-            expect(box).toHaveProperty('width');
-            expect(box).toHaveProperty('height');
-            expect(typeof box.x).toBe('number');
-            expect(typeof box.y).toBe('number');
-            expect(typeof box.width).toBe('number');
-            expect(typeof box.height).toBe('number');
+          await expect(ocrService.extractTextFromImage(mockImageBuffer)).rejects.toThrow(/OCR failed/);
+        }
+      ), FC_CONFIG);
+    });
+
+    it('should keep quality assessment within range for real OCR results', () => {
+      fc.assert(fc.property(
+        fc.record({
+          text: fc.string({ minLength: 0, maxLength: 500 }),
+          confidence: fc.integer({ min: 0, max: 100 }),
+          characterAccuracy: fc.integer({ min: 0, max: 100 }),
+          processingTime: fc.integer({ min: 0, max: 60000 })
+        }),
+        (testData) => {
+          const ocrService = new OCRService();
+          const qualityAssessment = ocrService.assessOCRQuality({
+            ...testData,
+            boundingBoxes: [],
+            detectedLanguage: 'en',
+            imagePreprocessed: true
           });
           
-          // Test quality assessment
-          const qualityAssessment = ocrService.assessOCRQuality(result);
-          expect(qualityAssessment).toHaveProperty('score');
-          expect(qualityAssessment).toHaveProperty('issues');
-          expect(qualityAssessment).toHaveProperty('recommendations');
           expect(qualityAssessment.score).toBeGreaterThanOrEqual(0);
           expect(qualityAssessment.score).toBeLessThanOrEqual(100);
           expect(Array.isArray(qualityAssessment.issues)).toBe(true);
@@ -492,8 +464,8 @@ describe('ATS Parsing Enhancement - Property Tests', () => {
           const { LayoutParserService } = await import('../services/layoutParserService');
           const layoutParser = new LayoutParserService();
           
-          // Create mock document
-          const mockDocument = {} as Document;
+          // Create empty layout document
+          const mockDocument: LayoutDocument = { pages: [] };
           
           // Test textbox extraction
           const textboxes = layoutParser.extractTextboxContent(mockDocument);
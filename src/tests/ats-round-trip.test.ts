@@ -0,0 +1,104 @@
+/**
+ * ATS Round-Trip Tests
+ * Verifies the plain-text export and that the round-trip check reports fields
+ * the parser lost or read back out of order
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ResumeData } from '../types/resume';
+import { defaultExportOptions } from '../types/export';
+import { generatePlainText } from '../utils/exportUtils';
+import { atsRoundTripService } from '../services/atsRoundTripService';
+import { templateRegistry } from '../services/templates/templateRegistry';
+import { buildTemplateDocument } from '../services/templates/templateLayoutEngine';
+
+const resume: ResumeData = {
+  name: 'Kavya Iyer',
+  phone: '+91 90000 11111',
+  email: 'kavya.iyer@example.com',
+  linkedin: 'linkedin.com/in/kavyaiyer',
+  github: '',
+  location: 'Chennai',
+  summary: 'Frontend engineer focused on accessible design systems.',
+  education: [{ degree: 'B.E. Electronics', school: 'Anna University', year: '2016 - 2020' }],
+  workExperience: [
+    {
+      role: 'Frontend Engineer',
+      company: 'Zoho',
+      year: 'Jun 2020 - Present',
+      bullets: ['Shipped a component library used by 40 product teams', 'Raised Lighthouse accessibility scores to 98']
+    }
+  ],
+  projects: [{ title: 'Contrast Checker', bullets: ['Browser extension flagging WCAG contrast failures'] }],
+  skills: [{ category: 'Frontend', count: 3, list: ['React', 'TypeScript', 'CSS'] }],
+  certifications: ['Certified Professional in Accessibility Core Competencies']
+};
+
+const classicDocument = () => buildTemplateDocument(resume, 'experienced', templateRegistry.get('classic'));
+
+describe('ATS plain-text export', () => {
+  it('should write one field per line in template order', () => {
+    const text = generatePlainText(resume, 'experienced', defaultExportOptions);
+    const lines = text.split('\n');
+
+    expect(lines[0]).toBe('KAVYA IYER');
+    expect(lines[1]).toBe('+91 90000 11111 | kavya.iyer@example.com | Chennai');
+    expect(lines).toContain('PROFESSIONAL EXPERIENCE');
+    expect(lines).toContain('Frontend Engineer | Zoho | Jun 2020 - Present');
+    expect(lines).toContain('- Shipped a component library used by 40 product teams');
+    expect(lines).toContain('Frontend: React, TypeScript, CSS');
+    expect(text.indexOf('PROFESSIONAL SUMMARY')).toBeLessThan(text.indexOf('SKILLS'));
+  });
+});
+
+describe('ATS round-trip check', () => {
+  it('should pass when the exported text reads back intact', async () => {
+    const report = await atsRoundTripService.runRoundTrip(resume, 'experienced', defaultExportOptions, 'txt');
+
+    expect(report.issues).toEqual([]);
+    expect(report.undetectedSections).toEqual([]);
+    expect(report.fieldsPreserved).toBe(report.fieldsChecked);
+    expect(report.passed).toBe(true);
+    expect(report.sections.present_sections).toEqual(expect.arrayContaining(['summary', 'skills', 'experience', 'education']));
+  });
+
+  it('should ignore case, wrapping and dash style when matching', () => {
+    const text = generatePlainText(resume, 'experienced', defaultExportOptions)
+      .replace('Shipped a component library', 'Shipped a component\nlibrary')
+      .replace('Jun 2020 - Present', 'JUN 2020 – PRESENT');
+
+    expect(atsRoundTripService.compareExtractedText(classicDocument(), text).issues).toEqual([]);
+  });
+
+  it('should report lost and reordered fields', () => {
+    // A two-column template read straight across: dates pulled to the top, a bullet and the email dropped
+    const text = generatePlainText(resume, 'experienced', defaultExportOptions)
+      .replace(' | kavya.iyer@example.com', '')
+      .replace('- Raised Lighthouse accessibility scores to 98\n', '')
+      .replace('Frontend Engineer | Zoho | Jun 2020 - Present', 'Frontend Engineer | Zoho')
+      .replace('Chennai', 'Chennai Jun 2020 - Present');
+
+    const { issues } = atsRoundTripService.compareExtractedText(classicDocument(), text);
+
+    expect(issues).toEqual(expect.arrayContaining([
+      { field: 'contact', kind: 'lost', expected: 'kavya.iyer@example.com', location: 'Header' },
+      { field: 'date', kind: 'reordered', expected: 'Jun 2020 - Present', location: 'Professional Experience' },
+      { field: 'bullet', kind: 'lost', expected: 'Raised Lighthouse accessibility scores to 98', location: 'Professional Experience' }
+    ]));
+    expect(issues).toHaveLength(3);
+  });
+
+  it('should list template sections the detector cannot find', () => {
+    const undetected = atsRoundTripService.findUndetectedSections(classicDocument(), {
+      present_sections: ['summary', 'skills', 'projects', 'education', 'certifications'],
+      missing_sections: ['experience'],
+      section_order_correct: true,
+      section_positions: {},
+      section_word_counts: {},
+      section_bullet_counts: {},
+      order_issues: []
+    });
+
+    expect(undetected).toEqual(['Professional Experience']);
+  });
+});
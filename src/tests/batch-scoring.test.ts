@@ -0,0 +1,194 @@
+/**
+ * Batch Scoring Tests
+ * Covers zip and folder expansion, bounded concurrency with progress,
+ * ranking with ties and failures, and the CSV/XLSX ranking exports
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import JSZip from 'jszip';
+import { batchScoringService } from '../services/batchScoringService';
+import { ATSScoreChecker16Parameter, ATSScore16Parameter } from '../services/atsScoreChecker16Parameter';
+import { generateBatchScoreCsv, generateBatchScoreXlsxBlob } from '../utils/batchScoreExport';
+import { runWithConcurrency } from '../utils/concurrency';
+import { BatchScoreRow, BatchScoringProgress, BatchScoringResult } from '../types/batchScoring';
+
+const JD = 'Backend Engineer\nNode.js, PostgreSQL, Kafka and AWS.';
+
+const textFile = (name: string, text: string) => new File([text], name, { type: 'text/plain' });
+
+const zeroScores = {
+  keywordMatch: 0, skillsAlignment: 0, experienceRelevance: 0, technicalCompetencies: 0,
+  educationScore: 0, quantifiedAchievements: 0, employmentHistory: 0, industryExperience: 0,
+  jobTitleMatch: 0, careerProgression: 0, certifications: 0, formatting: 0,
+  contentQuality: 0, grammar: 0, resumeLength: 0, filenameQuality: 0
+};
+
+// Resume text "score:NN" scores NN overall and NN/4 keyword match
+const fakeScore = (text: string): ATSScore16Parameter => {
+  const overallScore = Number(/score:(\d+)/.exec(text)?.[1] ?? 0);
+  return {
+    overallScore,
+    confidence: 'High',
+    matchQuality: overallScore >= 70 ? 'Good' : 'Poor',
+    interviewChance: '20-30%',
+    scores: { ...zeroScores, keywordMatch: Math.round(overallScore / 4) },
+    scoringProfile: { id: 'default', name: 'General (all roles)', reasons: [] },
+    summary: '',
+    strengths: [],
+    areasToImprove: [],
+    missingKeywords: { critical: overallScore < 70 ? ['Kafka'] : [], important: [], optional: [] }
+  };
+};
+
+const row = (fileName: string, overallScore: number, overrides: Partial<BatchScoreRow> = {}): BatchScoreRow => ({
+  rank: null,
+  fileName,
+  overallScore,
+  matchQuality: 'Good',
+  interviewChance: '40-60%',
+  profileId: 'default',
+  scores: { ...zeroScores, keywordMatch: 10 },
+  missingKeywords: { critical: [], important: [], optional: [] },
+  ...overrides
+});
+
+describe('Batch upload expansion', () => {
+  it('should unpack zips and skip anything that is not a resume', async () => {
+    const zip = new JSZip();
+    zip.file('cohort/asha.txt', 'Asha');
+    zip.file('cohort/nested/ravi.pdf', '%PDF-1.4');
+    zip.file('__MACOSX/cohort/._asha.txt', 'metadata');
+    zip.file('cohort/.DS_Store', '');
+    zip.file('cohort/notes.md', '# notes');
+    const archive = new File([await zip.generateAsync({ type: 'blob' })], 'cohort.zip', { type: 'application/zip' });
+
+    const { files, skipped } = await batchScoringService.expandUploads([
+      archive,
+      textFile('meera.txt', 'Meera'),
+      new File(['png'], 'photo.png', { type: 'image/png' })
+    ]);
+
+    expect(files.map(file => file.name).sort()).toEqual(['asha.txt', 'meera.txt', 'ravi.pdf']);
+    expect(files.find(file => file.name === 'ravi.pdf')?.type).toBe('application/pdf');
+    expect(skipped).toEqual(expect.arrayContaining([
+      'cohort.zip/__MACOSX/cohort/._asha.txt',
+      'cohort.zip/cohort/.DS_Store',
+      'cohort.zip/cohort/notes.md',
+      'photo.png'
+    ]));
+  });
+});
+
+describe('Batch scoring', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should never run more workers than the limit', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    const results = await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async item => {
+      inFlight += 1;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5 * (item % 3)));
+      inFlight -= 1;
+      return item * 10;
+    });
+
+    expect(maxInFlight).toBe(3);
+    expect(results).toEqual([10, 20, 30, 40, 50, 60, 70]);
+  });
+
+  it('should score every resume, report progress and rank the results', async () => {
+    const evaluate = vi.spyOn(ATSScoreChecker16Parameter, 'evaluateResumeTextOnly')
+      .mockImplementation(async text => fakeScore(text));
+    const progress: BatchScoringProgress[] = [];
+
+    const result = await batchScoringService.scoreBatch([
+      textFile('b.txt', 'score:72'),
+      textFile('a.txt', 'score:88'),
+      textFile('c.txt', 'score:72'),
+      textFile('empty.txt', '   '),
+      textFile('d.txt', 'score:40')
+    ], JD, { concurrency: 2, onProgress: update => progress.push(update) });
+
+    expect(evaluate).toHaveBeenCalledTimes(4);
+    expect(evaluate).toHaveBeenCalledWith('score:88', JD, 'a.txt');
+    expect(result.rows.map(r => [r.rank, r.fileName, r.overallScore])).toEqual([
+      [1, 'a.txt', 88],
+      [2, 'b.txt', 72],
+      [2, 'c.txt', 72],
+      [4, 'd.txt', 40],
+      [null, 'empty.txt', 0]
+    ]);
+    expect(result.rows[3].missingKeywords.critical).toEqual(['Kafka']);
+    expect(result.rows[4].error).toMatch(/No text could be extracted/);
+    expect(progress[0]).toEqual({ total: 5, completed: 0, failed: 0 });
+    expect(progress[progress.length - 1]).toMatchObject({ total: 5, completed: 5, failed: 1 });
+  });
+
+  it('should require a job description and at least one resume', async () => {
+    await expect(batchScoringService.scoreBatch([textFile('a.txt', 'x')], '  ')).rejects.toThrow(/job description is required/);
+    await expect(batchScoringService.scoreBatch([textFile('a.md', 'x')], JD)).rejects.toThrow(/No PDF, DOCX or TXT resumes/);
+  });
+
+  it('should break score ties on keyword match, then file name', () => {
+    const ranked = batchScoringService.rankRows([
+      row('zoe.pdf', 75, { scores: { ...zeroScores, keywordMatch: 20 } }),
+      row('amy.pdf', 75),
+      row('bob.pdf', 75)
+    ]);
+
+    expect(ranked.map(r => [r.rank, r.fileName])).toEqual([[1, 'zoe.pdf'], [1, 'amy.pdf'], [1, 'bob.pdf']]);
+  });
+});
+
+describe('Batch ranking export', () => {
+  const result: BatchScoringResult = {
+    jobDescription: JD,
+    rows: [
+      row('Sharma, Priya.pdf', 81, { rank: 1, missingKeywords: { critical: ['Kafka', 'AWS'], important: [], optional: ['GraphQL'] } }),
+      row('=HYPERLINK("x").txt', 64, { rank: 2 }),
+      row('broken.pdf', 0, { scores: null, matchQuality: null, interviewChance: null, profileId: null, error: 'Failed to read file' })
+    ],
+    skipped: [],
+    scoredAt: '2025-12-08T10:00:00.000Z'
+  };
+
+  it('should write one CSV row per resume with quoted and formula-safe cells', () => {
+    const lines = generateBatchScoreCsv(result).trimEnd().split('\r\n');
+
+    expect(lines).toHaveLength(4);
+    expect(lines[0]).toMatch(/^Rank,File,Overall Score,Match Quality,Interview Chance,Scoring Profile,Keyword Match \(\/25\),/);
+    expect(lines[0].split(',')).toHaveLength(26);
+    expect(lines[1]).toMatch(/^1,"Sharma, Priya.pdf",81,Good,40-60%,default,10,/);
+    expect(lines[1]).toContain(',Kafka; AWS,,GraphQL,');
+    expect(lines[2]).toMatch(/^2,"'=HYPERLINK\(""x""\)\.txt",64,/);
+    expect(lines[3]).toMatch(/^,broken\.pdf,,,,,(?:,){15},,,,Failed to read file$/);
+  });
+
+  it('should build a workbook with the ranking sheet', async () => {
+    const blob = await generateBatchScoreXlsxBlob(result);
+    const zip = await JSZip.loadAsync(blob);
+
+    expect(Object.keys(zip.files)).toEqual(expect.arrayContaining([
+      '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml'
+    ]));
+
+    const sheet = await zip.file('xl/worksheets/sheet1.xml')!.async('string');
+    expect(sheet).toContain('<c r="A2"><v>1</v></c>');
+    expect(sheet).toContain('<c r="B3" t="inlineStr"><is><t xml:space="preserve">=HYPERLINK(&quot;x&quot;).txt</t></is></c>');
+    expect(sheet).toContain('<c r="Z4" t="inlineStr"><is><t xml:space="preserve">Failed to read file</t></is></c>');
+  });
+
+  it('should drop characters XML cannot hold from workbook cells', async () => {
+    const blob = await generateBatchScoreXlsxBlob({
+      ...result,
+      rows: [row('r\u00e9sum\u00e9\u0007\u{1F680}\uD800\uFFFE.pdf', 70, { rank: 1 })]
+    });
+    const sheet = await (await JSZip.loadAsync(blob)).file('xl/worksheets/sheet1.xml')!.async('string');
+
+    expect(sheet).toContain('<t xml:space="preserve">r\u00e9sum\u00e9\u{1F680}.pdf</t>');
+  });
+});
@@ -0,0 +1,153 @@
+// src/tests/claim-provenance.test.ts
+// Tests for tracing generated claims back to the original resume and the user's answers
+
+import { describe, it, expect } from 'vitest';
+import { ClaimProvenanceService } from '../services/claimProvenanceService';
+import { ProjectSynthesizer, SynthesizedProject } from '../services/projectSynthesizer';
+import { ResumeData } from '../types/resume';
+
+const ORIGINAL = `Asha Rao
+asha@example.com
+
+WORK EXPERIENCE
+Software Engineer | Acme Payments | Mar 2019 - Present
+• Built payment APIs in Go serving 2,000,000 requests per day
+• Cut infrastructure spend by $50,000 a year by moving batch jobs to Kubernetes
+
+SKILLS
+Languages: Go, Python`;
+
+const generated = (): ResumeData => ({
+  name: 'Asha Rao',
+  phone: '',
+  email: 'asha@example.com',
+  linkedin: '',
+  github: '',
+  summary: 'Backend engineer who has shipped payment systems at Acme Payments since 2019.',
+  education: [],
+  workExperience: [
+    {
+      role: 'Software Engineer',
+      company: 'Acme Payments',
+      year: 'Mar 2019 - Present',
+      bullets: [
+        'Built payment APIs in Go and Kafka, saving $50K annually on k8s',
+        'Reduced checkout latency by 35% for Stripe Inc merchants'
+      ]
+    }
+  ],
+  projects: [],
+  skills: [{ category: 'Languages', count: 3, list: ['Go', 'Python', 'Rust'] }],
+  certifications: ['AWS Certified Solutions Architect']
+});
+
+const unsupportedValues = (report: ReturnType<typeof ClaimProvenanceService.checkResume>) =>
+  report.unsupported.map(result => `${result.claim.type}:${result.claim.value}`).sort();
+
+describe('ClaimProvenanceService', () => {
+  it('should trace supported claims to a source span and flag the rest', () => {
+    const sources = [ClaimProvenanceService.resumeSource(ORIGINAL)];
+    const report = ClaimProvenanceService.checkResume(generated(), sources);
+
+    expect(unsupportedValues(report)).toEqual([
+      'certification:AWS Certified Solutions Architect',
+      'company:Stripe Inc',
+      'metric:35%',
+      'tool:AWS',
+      'tool:Kafka',
+      'tool:Rust'
+    ]);
+    expect(report.canExport).toBe(false);
+    expect(report.blocking).toHaveLength(6);
+
+    // "$50K" is the resume's "$50,000", and "k8s" its "Kubernetes"
+    const saving = report.claims.find(result => result.claim.value === '$50K')!;
+    expect(saving.supported).toBe(true);
+    expect(saving.evidence).toMatchObject({ sourceId: 'resume', sourceKind: 'resume', text: '50,000' });
+    expect(report.claims.find(result => result.claim.value === 'k8s')?.evidence?.text).toBe('Kubernetes');
+
+    const kafka = report.unsupported.find(result => result.claim.value === 'Kafka')!;
+    expect(kafka.claim.field).toBe('workExperience[0].bullets[0]');
+    expect(kafka.claim.excerpt).toBe('Built payment APIs in Go and Kafka, saving $50K annually on k8s');
+
+    const company = report.claims.find(result => result.claim.field === 'workExperience[0].company')!;
+    expect(company.evidence?.text).toBe('Acme Payments');
+  });
+
+  it('should accept claims backed by the user\'s answers or confirmed by them', () => {
+    let sources = [
+      ClaimProvenanceService.resumeSource(ORIGINAL),
+      ClaimProvenanceService.answersSource(
+        { certifications: ['Solutions Architect - Associate, AWS (2022)'], skills: [{ category: 'Languages', list: ['Rust'] }] },
+        'missing-sections',
+        'Your answers'
+      )
+    ];
+
+    let report = ClaimProvenanceService.checkResume(generated(), sources);
+    const certification = report.claims.find(result => result.claim.type === 'certification')!;
+    expect(certification.evidence).toMatchObject({ sourceId: 'missing-sections', sourceKind: 'user-answer' });
+    expect(unsupportedValues(report)).toEqual(['company:Stripe Inc', 'metric:35%', 'tool:Kafka']);
+
+    sources = ClaimProvenanceService.confirmClaims(sources, report.blocking.map(result => result.claim));
+    report = ClaimProvenanceService.checkResume(generated(), sources);
+
+    expect(report.unsupported).toEqual([]);
+    expect(report.canExport).toBe(true);
+    expect(report.sourceIds).toEqual(['resume', 'missing-sections', 'confirmed-claims']);
+  });
+
+  it('should check single generated texts and only flag dates', () => {
+    const sources = [ClaimProvenanceService.resumeSource(ORIGINAL)];
+
+    const report = ClaimProvenanceService.checkText(
+      'Led the React migration in June 2020, then joined Globex to go live with 3x faster builds',
+      sources,
+      'projects[0].bullets[0]'
+    );
+
+    expect(unsupportedValues(report)).toEqual(['company:Globex', 'date:June 2020', 'metric:3x faster', 'tool:React']);
+    expect(report.unsupported.find(result => result.claim.type === 'date')?.severity).toBe('flag');
+    // "go live" is not a claim to know Go
+    expect(report.claims.some(result => result.claim.type === 'tool' && result.claim.value === 'go')).toBe(false);
+
+    // A year the resume states with a month backs the bare year
+    expect(ClaimProvenanceService.checkText('Payments work since 2019', sources).unsupported).toEqual([]);
+  });
+
+  it('should report unsupported claims in synthesized projects and drop those projects', async () => {
+    const sources = [
+      ClaimProvenanceService.resumeSource(ORIGINAL),
+      ClaimProvenanceService.answersSource({ projects: 'Built a ledger service in Go' }, 'missing-sections', 'Your answers')
+    ];
+    const project = (bullets: string[]): SynthesizedProject => ({
+      title: 'Ledger Service',
+      bullets,
+      githubUrl: '',
+      domain: 'fintech',
+      isGenerated: true,
+      confidence: 0.8,
+      alignedSkills: ['backend']
+    });
+
+    const backed = ProjectSynthesizer.validateProjectRealism(project([
+      'Built a ledger service in Go serving 2,000,000 requests per day',
+      'Developed batch jobs on Kubernetes saving $50,000 a year'
+    ]), sources);
+    expect(backed.issues).toEqual([]);
+
+    const invented = ProjectSynthesizer.validateProjectRealism(project([
+      'Built a ledger service in Go and Kafka serving 2,000,000 requests per day',
+      'Developed fraud checks cutting false positives by 40%'
+    ]), sources);
+    expect(invented.issues).toEqual([
+      'Unsupported claims: Kafka (tool)',
+      'Unsupported claims: 40% (metric)'
+    ]);
+
+    // Templates fill in random metrics the user never claimed
+    const generated = await ProjectSynthesizer.generateProject(['backend', 'api'], 'fintech', 'engineer', ['Go']);
+    expect(generated).not.toBeNull();
+    expect(await ProjectSynthesizer.generateProject(['backend', 'api'], 'fintech', 'engineer', ['Go'], sources)).toBeNull();
+  });
+});
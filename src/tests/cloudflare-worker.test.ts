@@ -0,0 +1,253 @@
+// @vitest-environment node
+// src/tests/cloudflare-worker.test.ts
+// Tests for the Cloudflare worker's origin allowlist, Supabase auth, rate limits and body caps
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+// @ts-expect-error -- the worker is plain JavaScript, deployed as-is
+import worker, { MemoryRateLimitStore } from '../../cloudflare-worker-enhanced.js';
+
+const JWT_SECRET = 'test-jwt-secret';
+const ORIGIN = 'https://primoboost.ai';
+
+const base64Url = (bytes: Uint8Array | string): string =>
+  Buffer.from(bytes).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const signToken = async (claims: Record<string, unknown>, secret = JWT_SECRET): Promise<string> => {
+  const header = base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64Url(JSON.stringify({ exp: Math.floor(Date.now() / 1000) + 3600, ...claims }));
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${header}.${payload}`));
+  return `${header}.${payload}.${base64Url(new Uint8Array(signature))}`;
+};
+
+const userToken = (sub = 'user-1') => signToken({ sub, role: 'authenticated' });
+
+const makeEnv = (overrides: Record<string, unknown> = {}) => ({
+  SUPABASE_JWT_SECRET: JWT_SECRET,
+  EDENAI_API_KEY: 'eden-secret-key',
+  RATE_LIMIT_KV: new MemoryRateLimitStore(),
+  ...overrides
+});
+
+const request = (path: string, init: RequestInit & { token?: string; ip?: string } = {}) => {
+  const headers = new Headers(init.headers);
+  if (!headers.has('Origin')) headers.set('Origin', ORIGIN);
+  if (init.token) headers.set('Authorization', `Bearer ${init.token}`);
+  headers.set('CF-Connecting-IP', init.ip || '203.0.113.7');
+  return new Request(`https://worker.example${path}`, { ...init, headers });
+};
+
+const edenReply = () =>
+  vi.spyOn(globalThis, 'fetch').mockImplementation(async () =>
+    new Response(JSON.stringify({ openai: { status: 'success', result: 'A summary' } }), { status: 200 })
+  );
+
+describe('cloudflare worker', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should only answer allowed origins', async () => {
+    const env = makeEnv();
+
+    const preflight = await worker.fetch(request('/', { method: 'OPTIONS' }), env);
+    expect(preflight.status).toBe(204);
+    expect(preflight.headers.get('Access-Control-Allow-Origin')).toBe(ORIGIN);
+    expect(preflight.headers.get('Access-Control-Allow-Headers')).toContain('Authorization');
+
+    const foreign = await worker.fetch(
+      request('/', { method: 'POST', headers: { Origin: 'https://evil.example' }, token: await userToken() }),
+      env
+    );
+    expect(foreign.status).toBe(403);
+    expect(foreign.headers.get('Access-Control-Allow-Origin')).toBeNull();
+
+    const listed = makeEnv({ ALLOWED_ORIGINS: 'https://staging.primoboost.ai' });
+    expect((await worker.fetch(request('/', { method: 'OPTIONS' }), listed)).status).toBe(403);
+  });
+
+  it('should require a signed-in Supabase user and never return a provider key', async () => {
+    const env = makeEnv();
+    const fetchSpy = edenReply();
+    const body = JSON.stringify({ providers: 'openai', text: 'A long job description' });
+    const summarize = (token?: string) =>
+      worker.fetch(request('/eden/text/summarize', { method: 'POST', body, token, headers: { 'Content-Type': 'application/json' } }), env);
+
+    expect((await summarize()).status).toBe(401);
+    expect((await summarize(await signToken({ role: 'anon' }))).status).toBe(401);
+    expect((await summarize(await signToken({ sub: 'user-1', role: 'authenticated' }, 'wrong-secret'))).status).toBe(401);
+    expect((await summarize(await signToken({ sub: 'user-1', role: 'authenticated', exp: 1 }))).status).toBe(401);
+    expect(fetchSpy).not.toHaveBeenCalled();
+
+    const response = await summarize(await userToken());
+    expect(response.status).toBe(200);
+    expect(await response.text()).not.toContain('eden-secret-key');
+    const [url, init] = fetchSpy.mock.calls[0] as [string, RequestInit];
+    expect(url).toBe('https://api.edenai.run/v2/text/summarize');
+    expect((init.headers as Record<string, string>).Authorization).toBe('Bearer eden-secret-key');
+
+    // Only allowlisted EdenAI endpoints are proxied
+    const other = await worker.fetch(request('/eden/image/generation', { method: 'POST', body, token: await userToken() }), env);
+    expect(other.status).toBe(404);
+
+    const keyRoute = await worker.fetch(request('/get-eden-key', { token: await userToken() }), env);
+    expect(keyRoute.status).toBe(410);
+    expect(await keyRoute.text()).not.toContain('eden-secret-key');
+  });
+
+  it('should only run EdenAI text calls on allowlisted providers and models', async () => {
+    const env = makeEnv();
+    const fetchSpy = edenReply();
+    const chat = async (body: Record<string, unknown>) =>
+      worker.fetch(request('/eden/text/chat', { method: 'POST', body: JSON.stringify({ text: 'Hi', ...body }), token: await userToken() }), env);
+
+    expect((await chat({ providers: 'openai', settings: { openai: 'gpt-4o-mini' } })).status).toBe(200);
+    expect((await chat({ providers: 'openai/gpt-4o-mini' })).status).toBe(200);
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+
+    const rejected = await chat({ providers: 'openai', settings: { openai: 'o1-pro' } });
+    expect(rejected.status).toBe(400);
+    expect((await rejected.json()).error).toContain('openai/o1-pro');
+    expect((await chat({ providers: 'anthropic/claude-3-opus' })).status).toBe(400);
+    expect((await chat({ providers: 'openai', fallback_providers: 'google' })).status).toBe(400);
+    expect((await chat({})).status).toBe(400);
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+
+    const custom = makeEnv({ EDENAI_TEXT_PROVIDERS: 'google' });
+    const google = await worker.fetch(
+      request('/eden/text/chat', { method: 'POST', body: JSON.stringify({ providers: 'google', text: 'Hi' }), token: await userToken() }),
+      custom
+    );
+    expect(google.status).toBe(200);
+  });
+
+  it('should rate limit per user and per IP', async () => {
+    // Inside one fixed window
+    vi.spyOn(Date, 'now').mockReturnValue(Date.UTC(2026, 0, 5, 12, 0, 5));
+    const env = makeEnv();
+    edenReply();
+    const token = await userToken('busy-user');
+    const moderate = (ip: string, bearer = token) =>
+      worker.fetch(request('/eden/text/moderation', { method: 'POST', body: '{"providers":"openai"}', token: bearer, ip }), env);
+
+    // 60 per user per minute on the EdenAI route, spread over IPs so only the user limit applies
+    for (let i = 0; i < 60; i++) {
+      expect((await moderate(`198.51.100.${i % 4}`)).status).toBe(200);
+    }
+    const limited = await moderate('198.51.100.9');
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(0);
+
+    // Other users are unaffected
+    const other = await userToken('other-user');
+    expect((await moderate('198.51.100.9', other)).status).toBe(200);
+
+    // The IP limit applies before auth, so token guessing is throttled too (OCR: 20 per IP)
+    for (let i = 0; i < 20; i++) {
+      expect((await worker.fetch(request('/ocr', { method: 'POST', body: '{}', ip: '192.0.2.1' }), env)).status).toBe(401);
+    }
+    expect((await worker.fetch(request('/ocr', { method: 'POST', body: '{}', ip: '192.0.2.1' }), env)).status).toBe(429);
+  });
+
+  it('should stream chat replies as server-sent events and cancel the provider call with the client', async () => {
+    const env = makeEnv({ EDENAI_API_KEY: undefined, GEMINI_API_KEY: 'gemini-key', OPENROUTER_API_KEY: 'openrouter-key' });
+    const upstreamSignals: AbortSignal[] = [];
+    let upstreamBody: ReadableStreamDefaultController<Uint8Array> | undefined;
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async (input, init) => {
+      upstreamSignals.push(init!.signal!);
+      if (String(input).includes('generativelanguage')) return new Response('busy', { status: 503 });
+      // OpenRouter streams chunks until the connection is dropped
+      return new Response(
+        new ReadableStream<Uint8Array>({
+          start(controller) {
+            upstreamBody = controller;
+            controller.enqueue(new TextEncoder().encode(': OPENROUTER PROCESSING\n\ndata: {"choices":[{"delta":{"content":"Hello"}}]}\n\n'));
+          }
+        }),
+        { status: 200, headers: { 'Content-Type': 'text/event-stream' } }
+      );
+    });
+
+    const response = await worker.fetch(
+      request('/', { method: 'POST', body: JSON.stringify({ prompt: 'Hi', stream: true }), token: await userToken() }),
+      env
+    );
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('text/event-stream');
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBe(ORIGIN);
+
+    const reader = response.body!.getReader();
+    const next = async () => new TextDecoder().decode((await reader.read()).value);
+    // Gemini failed before its first byte, so OpenRouter answered
+    expect(await next()).toBe('data: {"delta":"Hello"}\n\n');
+
+    upstreamBody!.enqueue(new TextEncoder().encode('data: {"choices":[{"delta":{"content":" there"}}]}\n\n'));
+    expect(await next()).toBe('data: {"delta":" there"}\n\n');
+
+    await reader.cancel();
+    expect(upstreamSignals).toHaveLength(2);
+    expect(upstreamSignals[1].aborted).toBe(true);
+  });
+
+  it('should end a stream the provider cut off with an error, not done', async () => {
+    const env = makeEnv({ EDENAI_API_KEY: undefined, OPENROUTER_API_KEY: 'openrouter-key' });
+    const streamChat = async (upstream: string) => {
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async () =>
+        new Response(upstream, { status: 200, headers: { 'Content-Type': 'text/event-stream' } })
+      );
+      const response = await worker.fetch(
+        request('/', { method: 'POST', body: JSON.stringify({ prompt: 'Hi', stream: true }), token: await userToken() }),
+        env
+      );
+      return response.text();
+    };
+    const chunk = 'data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n';
+
+    const cutOff = await streamChat(chunk);
+    expect(cutOff).toContain('data: {"delta":"Hello"}');
+    expect(cutOff).toContain('event: error');
+    expect(cutOff).not.toContain('event: done');
+
+    vi.restoreAllMocks();
+    const complete = await streamChat(`${chunk}data: [DONE]\n\n`);
+    expect(complete).toContain('event: done');
+    expect(complete).not.toContain('event: error');
+  });
+
+  it('should only send OpenRouter the models on the server allowlist', async () => {
+    const env = makeEnv({ EDENAI_API_KEY: undefined, OPENROUTER_API_KEY: 'openrouter-key' });
+    const requestedModels: string[] = [];
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async (_input, init) => {
+      requestedModels.push(JSON.parse(String(init!.body)).model);
+      return new Response(JSON.stringify({ choices: [{ message: { content: 'Hi' } }] }), { status: 200 });
+    });
+    const ask = async (model: string) =>
+      (await worker.fetch(request('/', { method: 'POST', body: JSON.stringify({ prompt: 'Hi', model }), token: await userToken() }), env)).json();
+
+    expect(await ask('openai/o1-pro')).toMatchObject({ success: true, model: 'openai/gpt-4o-mini' });
+    expect(await ask('meta-llama/llama-3.1-8b-instruct:free')).toMatchObject({ model: 'meta-llama/llama-3.1-8b-instruct:free' });
+    // DeepSeek is reached through OpenRouter rather than a key in the browser
+    expect(await ask('deepseek/deepseek-chat')).toMatchObject({ model: 'deepseek/deepseek-chat' });
+    expect(requestedModels).toEqual(['openai/gpt-4o-mini', 'meta-llama/llama-3.1-8b-instruct:free', 'deepseek/deepseek-chat']);
+  });
+
+  it('should refuse bodies over the route cap', async () => {
+    const env = makeEnv();
+    const fetchSpy = edenReply();
+
+    const oversized = await worker.fetch(
+      request('/', { method: 'POST', body: JSON.stringify({ prompt: 'x'.repeat(300 * 1024) }), token: await userToken() }),
+      env
+    );
+    expect(oversized.status).toBe(413);
+    expect(fetchSpy).not.toHaveBeenCalled();
+
+    // EdenAI text calls get the chat cap; only async OCR uploads may be large
+    const text = JSON.stringify({ providers: 'openai', text: 'x'.repeat(300 * 1024) });
+    const bigText = await worker.fetch(request('/eden/text/summarize', { method: 'POST', body: text, token: await userToken() }), env);
+    expect(bigText.status).toBe(413);
+    const upload = await worker.fetch(request('/eden/ocr/ocr_async', { method: 'POST', body: text, token: await userToken() }), env);
+    expect(upload.status).toBe(200);
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+  });
+});
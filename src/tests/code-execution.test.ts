@@ -0,0 +1,224 @@
+// src/tests/code-execution.test.ts
+// Tests for interview code execution: Judge0 limits and verdicts, browser worker limits, and partial-credit grading
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { Judge0Runner, decodeBase64 } from '../services/codeExecution/judge0Runner';
+import { BrowserRunner, WorkerLike, WorkerMessage } from '../services/codeExecution/browserRunner';
+import { codeCompilerService, DEFAULT_EXECUTION_LIMITS } from '../services/codeCompilerService';
+import { findBankedProblem } from '../services/codeExecution/testCaseBank';
+import { CodeRunner, RunOutcome, RunRequest } from '../types/codeExecution';
+
+vi.mock('../lib/supabaseClient', () => ({ supabase: {} }));
+
+const limits = { timeLimitMs: 1000, memoryLimitMb: 64, outputLimitKb: 1 };
+
+const judge0Reply = (reply: Record<string, unknown>) =>
+  new Response(JSON.stringify({ stdout: null, stderr: null, compile_output: null, message: null, time: '0.01', memory: 3000, ...reply }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+class FakeWorker implements WorkerLike {
+  onmessage: ((message: WorkerMessage) => void) | null = null;
+  onerror: ((message: string) => void) | null = null;
+  requests: Array<{ code: string; stdin: string }> = [];
+  terminated = false;
+
+  constructor(private script: (worker: FakeWorker, request: { code: string; stdin: string }) => void) {}
+
+  postMessage(message: unknown): void {
+    const request = message as { code: string; stdin: string };
+    this.requests.push(request);
+    this.script(this, request);
+  }
+
+  emit(message: WorkerMessage): void {
+    this.onmessage?.(message);
+  }
+
+  terminate(): void {
+    this.terminated = true;
+  }
+}
+
+describe('Judge0Runner', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should send the limits and map Judge0 verdicts', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValueOnce(
+      judge0Reply({ status: { id: 3, description: 'Accepted' }, stdout: btoa('café\n'), time: '0.042' })
+    );
+    const runner = new Judge0Runner({ baseUrl: 'http://localhost:2358/', headers: { 'X-Auth-Token': 'secret' } });
+
+    const ok = await runner.run({ code: 'print("café")', language: 'Python', stdin: '1 2\n', limits });
+    expect(ok).toMatchObject({ status: 'ok', timeMs: 42, memoryKb: 3000 });
+
+    const [url, init] = fetchSpy.mock.calls[0] as [string, RequestInit];
+    expect(url).toBe('http://localhost:2358/submissions?base64_encoded=true&wait=true');
+    expect(init.headers).toMatchObject({ 'X-Auth-Token': 'secret' });
+    const body = JSON.parse(init.body as string);
+    expect(body).toMatchObject({ language_id: 71, cpu_time_limit: 1, memory_limit: 65536, max_file_size: 1 });
+    expect(decodeBase64(body.source_code)).toBe('print("café")');
+    expect(decodeBase64(body.stdin)).toBe('1 2\n');
+
+    fetchSpy.mockResolvedValueOnce(judge0Reply({ status: { id: 5, description: 'Time Limit Exceeded' } }));
+    expect((await runner.run({ code: 'while True: pass', language: 'Python', stdin: '', limits })).status).toBe('time_limit');
+
+    // A crash at the memory ceiling is a memory limit, not a plain runtime error
+    fetchSpy.mockResolvedValueOnce(judge0Reply({ status: { id: 11, description: 'Runtime Error (NZEC)' }, memory: 65000, stderr: btoa('MemoryError') }));
+    expect(await runner.run({ code: 'x = [0] * 10**10', language: 'Python', stdin: '', limits })).toMatchObject({
+      status: 'memory_limit',
+      stderr: 'MemoryError'
+    });
+
+    fetchSpy.mockResolvedValueOnce(
+      judge0Reply({ status: { id: 6, description: 'Compilation Error' }, compile_output: btoa("main.cpp:1: error: expected ';'") })
+    );
+    expect(await runner.run({ code: 'int main() {', language: 'C++', stdin: '', limits })).toMatchObject({
+      status: 'compile_error',
+      stderr: "main.cpp:1: error: expected ';'"
+    });
+  });
+});
+
+describe('BrowserRunner', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should stop code at the time and output limits and keep what it printed', async () => {
+    vi.useFakeTimers();
+    const looping = new FakeWorker(worker => {
+      worker.emit({ type: 'started' });
+      worker.emit({ type: 'stdout', text: 'still going\n' });
+    });
+    const runner = new BrowserRunner({ createWorker: () => looping });
+
+    const pending = runner.run({ code: 'while (true) {}', language: 'JavaScript', stdin: '', limits });
+    await vi.advanceTimersByTimeAsync(limits.timeLimitMs);
+    expect(await pending).toMatchObject({ status: 'time_limit', stdout: 'still going\n', message: 'Time limit exceeded (1000ms)' });
+    expect(looping.terminated).toBe(true);
+
+    const chatty = new FakeWorker(worker => {
+      worker.emit({ type: 'started' });
+      worker.emit({ type: 'stdout', text: 'x'.repeat(1500) });
+    });
+    const flood = await new BrowserRunner({ createWorker: () => chatty }).run({ code: '', language: 'JavaScript', stdin: '', limits });
+    expect(flood.status).toBe('output_limit');
+    expect(flood.stdout).toHaveLength(1024);
+    expect(chatty.terminated).toBe(true);
+  });
+
+  it('should report errors and run every test case in a fresh worker', async () => {
+    const created: FakeWorker[] = [];
+    const runner = new BrowserRunner({
+      createWorker: () => {
+        const worker = new FakeWorker((self, request) => {
+          self.emit({ type: 'started' });
+          if (request.code.includes('raise')) {
+            self.emit({ type: 'done', error: 'Traceback (most recent call last):\nValueError: bad', errorKind: 'runtime', timeMs: 3, memoryBytes: 0 });
+          } else {
+            self.emit({ type: 'stdout', text: `${request.stdin.trim()}\n` });
+            self.emit({ type: 'done', timeMs: 2, memoryBytes: 2048 });
+          }
+        });
+        created.push(worker);
+        return worker;
+      }
+    });
+
+    expect(await runner.run({ code: 'print(input())', language: 'Python', stdin: 'hi\n', limits })).toEqual({
+      status: 'ok',
+      stdout: 'hi\n',
+      stderr: '',
+      timeMs: 2,
+      memoryKb: 2,
+      message: undefined
+    });
+    expect(await runner.run({ code: 'raise ValueError("bad")', language: 'Python', stdin: '', limits })).toMatchObject({
+      status: 'runtime_error',
+      stderr: 'Traceback (most recent call last):\nValueError: bad'
+    });
+    // Module state from one test case never reaches the next
+    expect(created).toHaveLength(2);
+    expect(created.every(worker => worker.requests.length === 1 && worker.terminated)).toBe(true);
+  });
+});
+
+describe('codeCompilerService grading', () => {
+  afterEach(() => {
+    codeCompilerService.useRunners([]);
+  });
+
+  it('should grade banked problems with hidden tests and weighted partial credit', async () => {
+    const suite = await codeCompilerService.getTestSuite('Given an array of integers, solve the classic Two Sum problem.', 'Python');
+    expect(suite).toMatchObject({ source: 'bank', problemId: 'two-sum', limits: DEFAULT_EXECUTION_LIMITS });
+    expect(suite.testCases.filter(testCase => !testCase.hidden)).toHaveLength(2);
+    expect(suite.testCases.some(testCase => testCase.category === 'stress')).toBe(true);
+
+    // A brute-force answer: right on small inputs, too slow on the stress test, with a trailing space
+    const run = vi.fn(async ({ stdin, limits: runLimits }: RunRequest): Promise<RunOutcome> => {
+      const testCase = suite.testCases.find(candidate => candidate.input === stdin)!;
+      return testCase.category === 'stress'
+        ? { status: 'time_limit', stdout: '', stderr: '', timeMs: runLimits.timeLimitMs, message: 'Time limit exceeded (2000ms)' }
+        : { status: 'ok', stdout: `${testCase.expectedOutput} \r\n`, stderr: '', timeMs: 5 };
+    });
+    const bruteForce: CodeRunner = { id: 'browser', supports: language => language === 'Python', run };
+    codeCompilerService.useRunners([bruteForce]);
+
+    const result = await codeCompilerService.executeCode('...', 'Python', suite.testCases, suite.limits);
+    const weights = suite.testCases.map(testCase => testCase.weight!);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    expect(result).toMatchObject({
+      success: true,
+      allTestsPassed: false,
+      passedCount: suite.testCases.length - 1,
+      totalCount: suite.testCases.length,
+      score: Math.round(((total - 2) / total) * 100),
+      runner: 'browser',
+      output: '0 1 \r\n'
+    });
+    expect(result.executionResults!.find(r => r.testCase.category === 'stress')).toMatchObject({
+      passed: false,
+      status: 'time_limit',
+      error: 'Time limit exceeded (2000ms)'
+    });
+
+    // Code that does not compile is run once and fails every test
+    run.mockClear();
+    run.mockResolvedValue({ status: 'compile_error', stdout: '', stderr: 'SyntaxError: invalid syntax', timeMs: 0 });
+    const broken = await codeCompilerService.executeCode('def', 'Python', suite.testCases);
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(broken).toMatchObject({ score: 0, passedCount: 0, error: 'SyntaxError: invalid syntax' });
+    expect(broken.executionResults!.every(r => r.status === 'compile_error')).toBe(true);
+  });
+
+  it('should only use a banked problem when the question asks for it', () => {
+    const bankedId = (question: string) => findBankedProblem(question)?.id;
+
+    expect(bankedId('Two Sum: given an array and a target, print the indices of the pair.')).toBe('two-sum');
+    expect(bankedId('Return the nth Fibonacci number using O(1) extra space.')).toBe('fibonacci');
+    expect(bankedId('Implement FizzBuzz in Python.')).toBe('fizzbuzz');
+    expect(bankedId('Check whether the given string is a palindrome, ignoring punctuation.')).toBe('valid-palindrome');
+    expect(bankedId('Determine if t is an anagram of s.')).toBe('valid-anagram');
+    expect(bankedId('Find the contiguous subarray with the largest sum.')).toBe('maximum-subarray');
+
+    // Mentions of a banked problem in a different problem
+    expect(bankedId('Climbing stairs (like Fibonacci): count the ways to reach step n taking 1 or 2 steps.')).toBeUndefined();
+    expect(bankedId('Fibonacci-like climbing stairs: count the ways to climb n steps.')).toBeUndefined();
+    expect(bankedId('Implement a Fibonacci heap with insert and extract-min.')).toBeUndefined();
+    expect(bankedId('Find the longest palindromic substring. Unlike valid palindrome, return the substring.')).toBeUndefined();
+    expect(bankedId('Group anagrams: bucket the words that are anagrams of each other.')).toBeUndefined();
+    expect(bankedId('Reverse the words in a string.')).toBeUndefined();
+    expect(bankedId('Three Sum: find all triplets that add up to zero, extending the two sum idea.')).toBeUndefined();
+  });
+
+  it('should explain how to run a language no backend supports', async () => {
+    codeCompilerService.useRunners([]);
+    const result = await codeCompilerService.executeCode('fn main() {}', 'Rust', []);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('VITE_JUDGE0_URL');
+  });
+});
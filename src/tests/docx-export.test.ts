@@ -0,0 +1,129 @@
+/**
+ * DOCX Export Tests
+ * Verifies the Word export is a real OOXML package that uses paragraph styles,
+ * bullet numbering, hyperlinks and the same ExportOptions as the PDF export
+ */
+
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import { ResumeData } from '../types/resume';
+import { ExportOptions, defaultExportOptions } from '../types/export';
+import { generateDocxBlob } from '../utils/exportUtils';
+
+const resume: ResumeData = {
+  name: 'Arjun Mehta',
+  phone: '+91 99887 76655',
+  email: 'arjun@example.com',
+  linkedin: 'linkedin.com/in/arjunmehta',
+  github: 'https://github.com/arjunm',
+  location: 'Hyderabad',
+  summary: 'Data engineer building streaming pipelines & analytics <platforms>.',
+  education: [{ degree: 'B.E. Computer Science', school: 'Osmania University', year: '2015 - 2019', cgpa: '8.4' }],
+  workExperience: [
+    { role: 'Data Engineer', company: 'Swiggy', year: '2021 - Present', bullets: ['Built Kafka ingestion for 2B events/day', 'Cut warehouse costs by 30%'] }
+  ],
+  projects: [{ title: 'Lakehouse Starter', bullets: ['Delta Lake template with dbt models'] }],
+  skills: [{ category: 'Data', count: 3, list: ['Spark', 'Kafka', 'dbt'] }],
+  certifications: ['Databricks Data Engineer Associate', 'N/A']
+};
+
+const unzip = async (resumeData: ResumeData, options?: ExportOptions) => {
+  const blob = await generateDocxBlob(resumeData, 'experienced', options);
+  return JSZip.loadAsync(blob);
+};
+
+const readPart = async (zip: JSZip, path: string) => {
+  const part = zip.file(path);
+  expect(part, `${path} should exist`).not.toBeNull();
+  return part!.async('string');
+};
+
+describe('DOCX export', () => {
+  it('should produce a complete OOXML package', async () => {
+    const zip = await unzip(resume);
+
+    expect(Object.keys(zip.files)).toEqual(expect.arrayContaining([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'word/document.xml',
+      'word/styles.xml',
+      'word/numbering.xml',
+      'word/_rels/document.xml.rels'
+    ]));
+    expect(await readPart(zip, '[Content_Types].xml')).toContain('wordprocessingml.document.main+xml');
+  });
+
+  it('should write content with paragraph styles and escaped text', async () => {
+    const document = await readPart(await unzip(resume), 'word/document.xml');
+
+    expect(document).toContain('<w:pStyle w:val="Title"/>');
+    expect(document).toContain('ARJUN MEHTA');
+    expect(document).toContain('<w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t xml:space="preserve">Professional Experience</w:t>');
+    expect(document).toContain('analytics &lt;platforms&gt;');
+    expect(document).toContain('streaming pipelines &amp; analytics');
+    // Dates sit on a right-aligned tab stop rather than in a table
+    expect(document).toContain('<w:tab/><w:t xml:space="preserve">2021 - Present</w:t>');
+    expect(document).not.toContain('<w:tbl>');
+    expect(document).not.toContain('N/A');
+  });
+
+  it('should use numbering for bullets instead of literal bullet characters', async () => {
+    const zip = await unzip(resume);
+    const document = await readPart(zip, 'word/document.xml');
+    const numbering = await readPart(zip, 'word/numbering.xml');
+    const styles = await readPart(zip, 'word/styles.xml');
+
+    expect(document.match(/<w:pStyle w:val="ListBullet"\/><w:numPr>/g)).toHaveLength(4);
+    expect(document).not.toContain('• ');
+    expect(numbering).toContain('<w:numFmt w:val="bullet"/>');
+    expect(styles).toMatch(/w:styleId="ListBullet">.*<w:numId w:val="1"\/>/);
+  });
+
+  it('should link email, phone, LinkedIn and GitHub', async () => {
+    const zip = await unzip(resume);
+    const document = await readPart(zip, 'word/document.xml');
+    const rels = await readPart(zip, 'word/_rels/document.xml.rels');
+
+    expect(document.match(/<w:hyperlink /g)).toHaveLength(4);
+    expect(document).toContain('linkedin.com/in/arjunmehta');
+    expect(rels).toContain('Target="mailto:arjun@example.com" TargetMode="External"');
+    expect(rels).toContain('Target="tel:+919988776655"');
+    expect(rels).toContain('Target="https://linkedin.com/in/arjunmehta"');
+    expect(rels).toContain('Target="https://github.com/arjunm"');
+  });
+
+  it('should honour font, size, paper and margin options', async () => {
+    const options: ExportOptions = {
+      ...defaultExportOptions,
+      layoutType: 'compact',
+      paperSize: 'letter',
+      fontFamily: 'Calibri',
+      nameSize: 20,
+      sectionHeaderSize: 12,
+      bodyTextSize: 10
+    };
+    const zip = await unzip(resume, options);
+    const styles = await readPart(zip, 'word/styles.xml');
+    const document = await readPart(zip, 'word/document.xml');
+
+    expect(styles).toContain('<w:rFonts w:ascii="Calibri" w:hAnsi="Calibri"');
+    expect(styles).toMatch(/w:styleId="Title">.*?<w:sz w:val="40"\/>/);
+    expect(styles).toMatch(/w:styleId="Heading1">.*?<w:sz w:val="24"\/>/);
+    expect(styles).toMatch(/<w:rPrDefault>.*?<w:sz w:val="20"\/>/);
+    // Letter paper with 12mm compact margins
+    expect(document).toContain('<w:pgSz w:w="12240" w:h="15840"/>');
+    expect(document).toContain('w:left="680"');
+  });
+
+  it('should follow the selected template', async () => {
+    const zip = await unzip(resume, { ...defaultExportOptions, templateId: 'academic' });
+    const styles = await readPart(zip, 'word/styles.xml');
+    const document = await readPart(zip, 'word/document.xml');
+
+    // Academic CV: left-aligned name as written, sentence-case headings, education first
+    expect(styles).toMatch(/w:styleId="Title">.*?<w:jc w:val="left"\/>/);
+    expect(styles).not.toContain('<w:caps/>');
+    expect(document).toContain('>Arjun Mehta<');
+    expect(document.indexOf('>Education<')).toBeLessThan(document.indexOf('>Research &amp; Professional Experience<'));
+  });
+});
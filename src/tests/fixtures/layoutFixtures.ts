@@ -0,0 +1,146 @@
+/**
+ * Layout fixtures: pdfjs-style text items for resumes with known layouts.
+ *
+ * Items mirror what page.getTextContent() returns for a US Letter page
+ * (612 x 792 pt): `transform[4]` is the x origin and `transform[5]` the
+ * baseline measured from the bottom of the page.
+ */
+import { PdfTextItemLike } from '../../services/layoutParserService';
+
+export const PAGE_WIDTH = 612;
+export const PAGE_HEIGHT = 792;
+
+// Approximate Helvetica advance width as a share of the font size
+const CHAR_WIDTH_RATIO = 0.5;
+
+const item = (str: string, x: number, top: number, fontSize = 10): PdfTextItemLike => ({
+  str,
+  transform: [fontSize, 0, 0, fontSize, x, PAGE_HEIGHT - top - fontSize],
+  width: str.length * fontSize * CHAR_WIDTH_RATIO,
+  height: fontSize
+});
+
+// Stack lines at a fixed x, starting at `top`, with a 14pt leading
+const column = (lines: string[], x: number, top: number): PdfTextItemLike[] =>
+  lines.map((line, index) => item(line, x, top + index * 14));
+
+export const singleColumnResume: PdfTextItemLike[] = [
+  item('Jane Doe', 250, 40, 18),
+  item('jane.doe@email.com | (555) 123-4567 | Austin, TX | linkedin.com/in/janedoe', 72, 66),
+  item('PROFESSIONAL SUMMARY', 72, 96, 12),
+  ...column([
+    'Backend engineer with six years of experience building payment and billing platforms.',
+    'Led migrations to event-driven services and mentored a team of four engineers.'
+  ], 72, 114),
+  item('WORK EXPERIENCE', 72, 150, 12),
+  item('Senior Software Engineer, Acme Payments', 72, 168),
+  item('Jan 2021 - Present', 470, 168),
+  ...column([
+    '- Designed an idempotent ledger service processing 2M transactions per day with Go and Postgres.',
+    '- Cut p99 checkout latency by 38% by moving fraud checks to an asynchronous Kafka pipeline.',
+    '- Introduced contract testing across 14 services, reducing integration incidents by half.'
+  ], 72, 182),
+  item('Software Engineer, Globex', 72, 232),
+  item('Jun 2018 - Dec 2020', 470, 232),
+  ...column([
+    '- Built REST and gRPC APIs for the subscription platform used by 300k customers daily.',
+    '- Automated blue/green deployments on Kubernetes, removing 3 hours of manual release work.'
+  ], 72, 246),
+  item('EDUCATION', 72, 290, 12),
+  item('B.S. Computer Science, University of Texas at Austin', 72, 308),
+  item('2014 - 2018', 470, 308),
+  item('SKILLS', 72, 336, 12),
+  item('Go, Python, TypeScript, Postgres, Kafka, Kubernetes, AWS, Terraform, gRPC, Redis', 72, 354)
+];
+
+export const twoColumnResume: PdfTextItemLike[] = [
+  item('Rahul Sharma', 250, 40, 18),
+  item('rahul.sharma@email.com | +91 98765 43210 | Bengaluru, KA | github.com/rahuls', 72, 66),
+  // Left column: experience
+  item('EXPERIENCE', 72, 100, 12),
+  ...column([
+    'Data Engineer, Flipkart',
+    'Jul 2021 - Present',
+    '- Built Spark pipelines for',
+    '  40 TB of daily events.',
+    '- Reduced warehouse costs',
+    '  by 27% with partitioning.',
+    'Analyst Intern, Infosys',
+    'Jan 2021 - Jun 2021',
+    '- Automated weekly reports',
+    '  with Python and Airflow.'
+  ], 72, 118),
+  // Right column: education and skills
+  item('EDUCATION', 330, 100, 12),
+  ...column([
+    'B.Tech, IIT Madras',
+    '2017 - 2021',
+    'CGPA 8.7 / 10'
+  ], 330, 118),
+  item('SKILLS', 330, 170, 12),
+  ...column([
+    'Python, SQL, Spark',
+    'Airflow, Kafka, dbt',
+    'AWS, GCP, Docker'
+  ], 330, 188),
+  item('PROJECTS', 330, 240, 12),
+  ...column([
+    'Realtime fraud scoring',
+    'Streaming ETL benchmark'
+  ], 330, 258)
+];
+
+export const sidebarResume: PdfTextItemLike[] = [
+  // Narrow left sidebar
+  item('CONTACT', 36, 60, 12),
+  ...column([
+    'maria@email.com',
+    '(555) 987-6543',
+    'Denver, CO'
+  ], 36, 78),
+  item('SKILLS', 36, 130, 12),
+  ...column([
+    'Figma',
+    'User research',
+    'Prototyping',
+    'HTML, CSS'
+  ], 36, 148),
+  // Wide main column
+  item('Maria Lopez', 200, 40, 18),
+  item('PROFESSIONAL SUMMARY', 200, 70, 12),
+  ...column([
+    'Product designer with five years of experience shipping',
+    'accessible consumer apps for fintech and health startups.'
+  ], 200, 88),
+  item('EXPERIENCE', 200, 124, 12),
+  ...column([
+    'Senior Product Designer, Bright Health',
+    'Mar 2020 - Present',
+    '- Redesigned onboarding, raising activation by 22%.',
+    '- Built a design system adopted by six product teams.',
+    'Product Designer, Mint Labs',
+    'Aug 2018 - Feb 2020',
+    '- Ran 40+ usability sessions to shape budgeting features.'
+  ], 200, 142),
+  item('EDUCATION', 200, 250, 12),
+  item('B.F.A. Interaction Design, RISD', 200, 268)
+];
+
+export const tableResume: PdfTextItemLike[] = [
+  item('Arjun Mehta', 250, 40, 18),
+  item('arjun.mehta@email.com | (555) 222-3344 | Seattle, WA | linkedin.com/in/arjunm', 72, 66),
+  item('EXPERIENCE', 72, 96, 12),
+  item('Machine Learning Engineer, Contoso AI', 72, 114),
+  ...column([
+    '- Trained ranking models on 500M interactions, improving click-through rate by 9 percent.',
+    '- Served models behind a feature store with 15 ms median latency for search traffic.',
+    '- Owned offline evaluation tooling adopted by three sister teams across the company.'
+  ], 72, 128),
+  item('SKILLS', 72, 180, 12),
+  item('Skill', 72, 198), item('Proficiency', 250, 198), item('Years', 420, 198),
+  item('Python', 72, 212), item('Expert', 250, 212), item('6', 420, 212),
+  item('PyTorch', 72, 226), item('Advanced', 250, 226), item('4', 420, 226),
+  item('SQL', 72, 240), item('Advanced', 250, 240), item('5', 420, 240),
+  item('EDUCATION', 72, 268, 12),
+  item('M.S. Computer Science, University of Washington, 2016 - 2018, thesis on ranking', 72, 286)
+];
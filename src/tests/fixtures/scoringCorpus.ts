@@ -0,0 +1,200 @@
+/**
+ * Scoring corpus: resume/JD pairs with golden expected scores.
+ *
+ * Each case's offline score summary is stored under
+ * src/tests/__golden__/scoring/<id>.json. Add cases here rather than editing
+ * existing ones, so a golden diff always means the scorer changed.
+ */
+
+export interface ScoringFixture {
+  id: string;
+  description: string;
+  resumeText: string;
+  jobDescription?: string;
+  filename?: string;
+}
+
+const backendResume = `Arjun Mehta
+arjun.mehta@example.com | +91 98450 22110 | Bengaluru | linkedin.com/in/arjunmehta | github.com/arjunm
+
+PROFESSIONAL SUMMARY
+Backend engineer with 6 years of experience building payment and ledger services in Java and Go on AWS.
+
+SKILLS
+Languages: Java, Go, SQL, Python
+Frameworks: Spring Boot, gRPC
+Data: PostgreSQL, Redis, Kafka
+Cloud & DevOps: AWS, Docker, Kubernetes, Terraform, Jenkins
+
+EXPERIENCE
+Senior Software Engineer | Razorpay | Bengaluru
+Jan 2022 - Present
+- Led the redesign of the settlement ledger, reducing reconciliation failures by 42% across 8M daily transactions
+- Built an idempotent refunds API in Go with Kafka outbox publishing, eliminating duplicate payouts
+- Mentored 4 engineers and introduced design reviews for every new service
+
+Software Engineer | Flipkart | Bengaluru
+Jul 2019 - Dec 2021
+- Developed a Spring Boot inventory sync that cut stock mismatch incidents by 60% during sale events
+- Migrated order search from MySQL to Elasticsearch with p99 latency under 120 ms
+- Automated deployments with Jenkins and Docker, reducing release time from 2 hours to 15 minutes
+
+PROJECTS
+Ledger Lint
+- Open-source CLI that validates double-entry invariants in PostgreSQL migrations, used by 3 fintech teams
+
+EDUCATION
+B.Tech in Computer Science | NIT Trichy | 2015 - 2019 | CGPA 8.6
+
+CERTIFICATIONS
+AWS Certified Solutions Architect - Associate (2023)`;
+
+const backendJD = `Senior Backend Engineer - Payments
+We are looking for a Senior Backend Engineer to design and build high-throughput payment services.
+Requirements:
+- 5+ years of experience with Java or Go building distributed systems
+- Strong knowledge of PostgreSQL, Redis and Kafka
+- Experience deploying microservices on AWS with Docker and Kubernetes
+- Familiarity with Terraform, CI/CD pipelines and observability tooling such as Prometheus and Grafana
+- Excellent communication and mentoring skills
+Nice to have: gRPC, event sourcing, PCI DSS compliance experience.`;
+
+const frontendJD = `Frontend Engineer (React)
+Join our product team to build accessible, performant web applications.
+Requirements:
+- 3+ years of experience with React, TypeScript and modern CSS
+- Experience with Next.js, Redux or Zustand, and REST or GraphQL APIs
+- Strong understanding of web accessibility (WCAG) and performance optimization
+- Testing with Jest and React Testing Library, Cypress a plus
+- Collaborate closely with designers using Figma`;
+
+const fresherResume = `Sneha Kulkarni
+sneha.k@example.com | +91 99001 12233 | Pune
+
+CAREER OBJECTIVE
+Computer Science graduate seeking an entry-level software developer role to apply strong fundamentals in Python and web development.
+
+EDUCATION
+B.E. Computer Engineering | Pune University | 2020 - 2024 | CGPA 8.9
+
+SKILLS
+Python, JavaScript, React, HTML, CSS, MySQL, Git
+
+PROJECTS
+Campus Events Portal
+- Built a React and Flask web app used by 1,200 students to register for college events
+- Designed a MySQL schema and REST API handling 300 registrations per day during fest week
+
+Expense Splitter
+- Python CLI that settles shared expenses with a greedy algorithm, reducing transactions by 35%
+
+INTERNSHIP
+Software Development Intern | Persistent Systems | Pune
+Jun 2023 - Aug 2023
+- Wrote 40 unit tests for an internal reporting service, raising coverage from 52% to 78%
+
+ACHIEVEMENTS
+- Finalist, Smart India Hackathon 2023`;
+
+const fresherJD = `Graduate Software Developer
+We are hiring fresh graduates (2024 batch) for our software development program.
+Requirements:
+- Degree in Computer Science or related field
+- Programming skills in Python or Java
+- Basic knowledge of SQL databases and Git
+- Exposure to web development with JavaScript and React is a plus
+- Good problem-solving and teamwork skills`;
+
+const indiaFresherJD = `Graduate Software Developer - Fresher (2024 Batch), Bengaluru
+We are hiring freshers from the 2024 graduate batch for our Bengaluru office. CTC 8-10 LPA.
+Requirements:
+- B.E./B.Tech in Computer Science or related field, 2024 graduates
+- Strong programming fundamentals in Python or Java, data structures and algorithms
+- Basic knowledge of SQL, REST APIs and Git
+- Academic or personal projects with React or Node.js are a plus`;
+
+const careerChangerResume = `Rahul Verma
+rahul.verma@example.com | +91 98111 45678 | Delhi
+
+SUMMARY
+Mechanical engineer transitioning into data analytics after completing a data science certification.
+
+EXPERIENCE
+Production Engineer | Maruti Suzuki | Gurugram
+2017 - 2023
+- Supervised assembly line operations for 3 shifts
+- Reduced material waste through process improvements
+
+SKILLS
+Excel, Python, SQL, Tableau, AutoCAD
+
+EDUCATION
+B.Tech Mechanical Engineering | DTU | 2013 - 2017
+
+CERTIFICATIONS
+Google Data Analytics Professional Certificate`;
+
+const dataAnalystJD = `Data Analyst
+We need a Data Analyst to turn business data into actionable insights.
+Requirements:
+- 2+ years of experience in data analysis
+- Advanced SQL and Python (pandas, NumPy)
+- Dashboarding with Tableau or Power BI
+- Statistics, A/B testing and stakeholder communication
+- Experience with Snowflake or BigQuery preferred`;
+
+const sparseResume = `Kiran
+kiran@example.com
+
+Worked on various projects. Hard working and team player.
+Skills: MS Office`;
+
+export const scoringCorpus: ScoringFixture[] = [
+  {
+    id: 'backend-strong-match',
+    description: 'Senior backend resume against a closely matching payments JD',
+    resumeText: backendResume,
+    jobDescription: backendJD,
+    filename: 'Arjun_Mehta_Backend_Engineer_Resume.pdf'
+  },
+  {
+    id: 'backend-vs-frontend-jd',
+    description: 'Same backend resume against an unrelated frontend JD',
+    resumeText: backendResume,
+    jobDescription: frontendJD,
+    filename: 'Arjun_Mehta_Backend_Engineer_Resume.pdf'
+  },
+  {
+    id: 'backend-general',
+    description: 'Backend resume with no job description (general mode)',
+    resumeText: backendResume,
+    filename: 'resume_final_v2.pdf'
+  },
+  {
+    id: 'fresher-graduate-role',
+    description: 'Fresh graduate against a graduate developer JD',
+    resumeText: fresherResume,
+    jobDescription: fresherJD,
+    filename: 'Sneha_Kulkarni_Resume.pdf'
+  },
+  {
+    id: 'fresher-india-sde-profile',
+    description: 'Fresh graduate against a Bengaluru fresher JD, scored with the SDE India fresher profile',
+    resumeText: fresherResume,
+    jobDescription: indiaFresherJD,
+    filename: 'Sneha_Kulkarni_Resume.pdf'
+  },
+  {
+    id: 'career-changer-data-analyst',
+    description: 'Mechanical engineer moving into analytics against a data analyst JD',
+    resumeText: careerChangerResume,
+    jobDescription: dataAnalystJD
+  },
+  {
+    id: 'sparse-resume',
+    description: 'Near-empty resume against the backend JD',
+    resumeText: sparseResume,
+    jobDescription: backendJD,
+    filename: 'cv.docx'
+  }
+];
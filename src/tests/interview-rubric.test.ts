@@ -0,0 +1,173 @@
+// src/tests/interview-rubric.test.ts
+// Tests for rubric scoring of interview answers: evidence checks, calibration, aggregation and trends
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { llmGateway } from '../services/llm/llmGateway';
+import { MockLlmProvider } from '../services/llm/llmMockProvider';
+import { interviewFeedbackService } from '../services/interviewFeedbackService';
+import {
+  aggregateCompetencies,
+  calibrateAssessment,
+  competencyDelta,
+  competencyTrends,
+  isQuoteFromTranscript
+} from '../services/interviewRubric/rubricScoring';
+import { RUBRICS, rubricCategoryFor } from '../services/interviewRubric/rubrics';
+import { RubricAssessment } from '../types/interviewRubric';
+
+const answer =
+  'At my last job our checkout API timed out during sales. I was asked to fix it before Black Friday. ' +
+  'I profiled the queries, added a Redis cache in front of the pricing service and load-tested it. ' +
+  'Latency dropped from 2.1s to 300ms and we had zero timeouts that weekend.';
+
+describe('rubric calibration', () => {
+  it('should only accept quotes that appear in the answer', () => {
+    expect(isQuoteFromTranscript('added a Redis cache', answer)).toBe(true);
+    // Case, punctuation and curly quotes do not matter
+    expect(isQuoteFromTranscript('“Latency dropped from 2.1s to 300ms”', answer)).toBe(true);
+    expect(isQuoteFromTranscript('added a Memcached cache', answer)).toBe(false);
+    // Too short to prove anything, and partial words do not count
+    expect(isQuoteFromTranscript('I was', answer)).toBe(false);
+    expect(isQuoteFromTranscript('filed the queries', answer)).toBe(false);
+
+    // Answers in other scripts keep their letters and vowel signs
+    const hindi = 'मैंने क्वेरी प्रोफाइल की और कैश जोड़ा, जिससे विलंब 2 सेकंड से घटकर 300ms हो गया।';
+    expect(isQuoteFromTranscript('विलंब 2 सेकंड से घटकर 300ms', hindi)).toBe(true);
+    expect(isQuoteFromTranscript('कैश नहीं जोड़ा गया', hindi)).toBe(false);
+    expect(isQuoteFromTranscript('Réduit la latence de moitié', 'J’ai réduit la latence de moitié.')).toBe(true);
+    expect(isQuoteFromTranscript('duit la latence', 'J’ai réduit la latence de moitié.')).toBe(false);
+  });
+
+  it('should cap levels that no quote supports and weight the score by the rubric', () => {
+    const assessment = calibrateAssessment(
+      'Behavioral',
+      [
+        {
+          competency: 'star_structure',
+          level: 5,
+          evidence: ['Latency dropped from 2.1s to 300ms', 'I profiled the queries', 'made up quote that is not there'],
+          rationale: 'Complete STAR with a quantified result'
+        },
+        { competency: 'communication', level: 4.4, evidence: ['the CEO praised my clarity'], rationale: 'Clear' },
+        { competency: 'problem_solving', level: 9, evidence: ['added a Redis cache in front of the pricing service'] },
+        { competency: 'code_quality', level: 5, evidence: ['I profiled the queries'] } // not on the behavioral rubric
+      ],
+      answer
+    );
+
+    expect(assessment.ratings).toEqual([
+      {
+        competency: 'star_structure',
+        level: 5,
+        evidence: ['Latency dropped from 2.1s to 300ms', 'I profiled the queries'],
+        rationale: 'Complete STAR with a quantified result'
+      },
+      { competency: 'communication', level: 2, evidence: [], rationale: 'Clear', proposedLevel: 4 },
+      { competency: 'problem_solving', level: 5, evidence: ['added a Redis cache in front of the pricing service'], rationale: '' }
+    ]);
+    // star 10 * 0.5 + communication 2.5 * 0.3 + problem solving 10 * 0.2
+    expect(assessment.score).toBe(7.8);
+    expect(() => calibrateAssessment('HR', [{ competency: 'code_quality', level: 3 }], answer)).toThrow();
+  });
+
+  it('should map flow question types to rubric categories', () => {
+    expect(rubricCategoryFor('project_specific')).toBe('Projects');
+    expect(rubricCategoryFor('Behavioral')).toBe('Behavioral');
+    expect(rubricCategoryFor('system_design')).toBe('Technical');
+    Object.values(RUBRICS).forEach(rubric => {
+      expect(rubric.competencies.reduce((sum, entry) => sum + entry.weight, 0)).toBeCloseTo(1);
+    });
+  });
+});
+
+describe('competency aggregation', () => {
+  const assessment = (category: RubricAssessment['category'], levels: Record<string, number>): RubricAssessment => ({
+    version: 1,
+    category,
+    score: 0,
+    ratings: Object.entries(levels).map(([competency, level]) => ({
+      competency: competency as RubricAssessment['ratings'][number]['competency'],
+      level: level as 1 | 2 | 3 | 4 | 5,
+      evidence: [`quote at level ${level}`],
+      rationale: ''
+    }))
+  });
+
+  it('should weight each answer by its rubric and track sessions over time', () => {
+    const hr = assessment('HR', { communication: 5, star_structure: 3 });
+    const coding = assessment('Coding', { communication: 2, problem_solving: 4, code_quality: 3 });
+
+    const scores = aggregateCompetencies([hr, coding]);
+    // communication: (5 * 0.6 + 2 * 0.25) / 0.85
+    expect(scores.find(score => score.competency === 'communication')).toEqual({
+      competency: 'communication',
+      level: 4.1,
+      answers: 2,
+      evidence: 'quote at level 5'
+    });
+
+    const trend = competencyTrends([
+      { sessionId: 'latest', date: '2026-10-12T10:00:00Z', assessments: [hr, coding] },
+      { sessionId: 'unscored', date: '2026-10-05T10:00:00Z', assessments: [] },
+      { sessionId: 'first', date: '2026-09-28T10:00:00Z', assessments: [assessment('Coding', { communication: 2, problem_solving: 2 })] }
+    ]);
+    expect(trend.map(point => point.sessionId)).toEqual(['first', 'latest']);
+    expect(competencyDelta(trend, 'problem_solving')).toBe(2);
+    expect(competencyDelta(trend, 'code_quality')).toBeNull();
+  });
+});
+
+describe('interviewFeedbackService rubric scoring', () => {
+  afterEach(() => {
+    llmGateway.useProviders([new MockLlmProvider()]);
+  });
+
+  it('should score answers from calibrated levels rather than the model', async () => {
+    const provider = new MockLlmProvider({
+      handler: () =>
+        JSON.stringify({
+          score: 10,
+          competencies: [
+            { competency: 'star_structure', level: 4, evidence: ['I was asked to fix it before Black Friday'] },
+            { competency: 'communication', level: 5, evidence: [] },
+            { competency: 'problem_solving', level: 3, evidence: ['I profiled'] }
+          ],
+          strengths: ['Quantified result']
+        })
+    });
+    llmGateway.useProviders([provider]);
+
+    const feedback = await interviewFeedbackService.analyzeAnswer('Tell me about a time you fixed an outage.', answer, 'Behavioral');
+    expect(provider.calls[0].messages[0].content).toContain('star_structure (STAR Structure)');
+    expect(feedback.rubric!.ratings.map(rating => rating.level)).toEqual([4, 2, 2]);
+    // star 7.5 * 0.5 + communication 2.5 * 0.3 + problem solving 2.5 * 0.2
+    expect(feedback).toMatchObject({ score: 5, strengths: ['Quantified result'], tone_confidence_rating: 'Unable to assess' });
+
+    const empty = await interviewFeedbackService.analyzeAnswer('Why this company?', 'No idea', 'HR');
+    expect(empty.score).toBe(0);
+    expect(empty.rubric!.ratings.every(rating => rating.level === 1)).toBe(true);
+  });
+
+  it('should stream the evaluation and let the caller cancel it', async () => {
+    const reply = JSON.stringify({
+      competencies: [{ competency: 'star_structure', level: 4, evidence: ['I was asked to fix it before Black Friday'] }],
+      strengths: ['Specific example']
+    });
+    const provider = new MockLlmProvider({ handler: () => reply });
+    llmGateway.useProviders([provider]);
+
+    const partials: unknown[] = [];
+    const feedback = await interviewFeedbackService.analyzeAnswer('Tell me about an outage.', answer, 'Behavioral', 'Medium', {
+      onPartial: partial => partials.push(partial)
+    });
+    expect(partials).toEqual([JSON.parse(reply)]);
+    expect(feedback.rubric!.ratings).toHaveLength(1);
+
+    const controller = new AbortController();
+    controller.abort();
+    await expect(
+      interviewFeedbackService.analyzeAnswer('Tell me about an outage.', answer, 'Behavioral', 'Medium', { signal: controller.signal })
+    ).rejects.toMatchObject({ name: 'AbortError' });
+    expect(provider.calls).toHaveLength(1);
+  });
+});
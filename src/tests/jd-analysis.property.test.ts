@@ -4,7 +4,19 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import fc from 'fast-check';
 import { PipelineController } from '../services/pipelineController';
-import { PipelineStep } from '../types/pipeline';
+import { PipelineStep, StepResult } from '../types/pipeline';
+
+// What the analysis step publishes, as far as these properties check it
+type AnalysisStepResult = StepResult & {
+  data: {
+    analysisType: string;
+    gapAnalysis: { beforeScore: unknown };
+    beforeScore: { overall: number };
+    prioritizedGaps: { high: string[]; medium: string[]; low: string[] };
+    recommendations: string[];
+    errorType?: string;
+  };
+};
 
 describe('JD Analysis Properties', () => {
   let controller: PipelineController;
@@ -88,7 +100,7 @@ describe('JD Analysis Properties', () => {
         
         try {
           // Execute the analysis step
-          const result = await controller.executeStep(PipelineStep.ANALYZE_AGAINST_JD, {});
+          const result = (await controller.executeStep(PipelineStep.ANALYZE_AGAINST_JD, {})) as AnalysisStepResult;
           
           // Property: Analysis should always provide structured results
           expect(result).toBeDefined();
@@ -174,7 +186,7 @@ describe('JD Analysis Properties', () => {
         
         // Don't save any resume version to simulate missing data
         
-        const result = await controller.executeStep(PipelineStep.ANALYZE_AGAINST_JD, {});
+        const result = (await controller.executeStep(PipelineStep.ANALYZE_AGAINST_JD, {})) as AnalysisStepResult;
         
         // Property: Missing resume data should be handled gracefully
         expect(result.success).toBe(false);
@@ -0,0 +1,138 @@
+/**
+ * Job-Fit Matrix Tests
+ * Covers the keyword matrix across several JDs, shared and unique gaps, the
+ * smallest edit set that reaches the coverage target, and per-JD failures
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { jobFitMatrixService } from '../services/jobFitMatrixService';
+import { hybridMatcher, MatchingResult } from '../services/hybridMatcher';
+import { GapAnalyzerService } from '../services/gapAnalyzerService';
+import { GapAnalysisResult } from '../types/optimizer';
+import { JobFitTarget, KeywordMatrixRow } from '../types/jobFit';
+
+const resumeText = `Rohan Mehta
+Backend engineer. Python, Django, PostgreSQL and Docker.
+Built REST APIs serving 2M requests a day on AWS.`;
+
+const targets: JobFitTarget[] = [
+  {
+    id: 'payments',
+    title: 'Backend Engineer - Payments',
+    description: 'Backend Engineer\nPython, Django, PostgreSQL, Kafka and Kubernetes. Experience with AWS required.',
+    source: 'pasted'
+  },
+  {
+    id: 'platform',
+    title: 'Platform Engineer',
+    description: 'Platform Engineer\nKubernetes, Terraform, Docker, AWS and Kafka for our event pipeline.',
+    source: 'pasted'
+  },
+  {
+    id: 'data',
+    title: 'Data Engineer',
+    description: 'Data Engineer\nPython, Spark and PostgreSQL. Airflow is a plus.',
+    source: 'pasted'
+  }
+];
+
+const matching = (coverage: number): MatchingResult => ({
+  matches: [],
+  overallCoverage: coverage,
+  unmatchedRequirements: [
+    { id: 'req-1', text: 'Experience with Kafka', category: 'technical', keywords: ['kafka'], priority: 'must-have' }
+  ],
+  matchingSummary: { totalRequirements: 4, matched: 3, unmatched: 1, semanticMatches: 0, literalMatches: 3, hybridMatches: 0 }
+});
+
+const gapAnalysis = (overall: number): GapAnalysisResult => ({
+  beforeScore: { overall, match_band: 'Good Match' } as GapAnalysisResult['beforeScore'],
+  tierGaps: [],
+  big5Gaps: [],
+  prioritizedImprovements: [
+    { priority: 0, tier: 0, tierName: 'Big 5 Critical', metricName: 'Keywords', impact: 6, recommendation: 'Mirror the JD skill names', isBig5: true }
+  ],
+  redFlags: [],
+  missingKeywords: [{ keyword: 'Kafka', tier: 'critical', impact: 5, suggestedPlacement: 'Experience section', color: 'red' }]
+} as unknown as GapAnalysisResult);
+
+describe('Job-fit matrix', () => {
+  beforeEach(() => {
+    vi.spyOn(hybridMatcher, 'matchJDToResume').mockImplementation(async jd => matching(jd.startsWith('Data') ? 0.75 : 0.5));
+    vi.spyOn(GapAnalyzerService, 'analyzeGaps').mockImplementation(async (_data, _text, jd) => {
+      if (jd.startsWith('Platform')) throw new Error('Scoring timed out');
+      return gapAnalysis(jd.startsWith('Data') ? 78 : 66);
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should score every JD and mark each keyword present, missing or not required', async () => {
+    const matrix = await jobFitMatrixService.buildMatrix({ text: resumeText }, targets);
+    const cells = (keyword: string) => matrix.keywords.find(row => row.keyword === keyword)?.cells;
+
+    expect(matrix.rows.map(row => [row.targetId, row.fitScore, row.requirementCoverage])).toEqual([
+      ['payments', 66, 0.5],
+      ['platform', 0, 0],
+      ['data', 78, 0.75]
+    ]);
+    expect(matrix.rows[0].criticalGaps).toEqual(['Experience with Kafka']);
+    expect(matrix.rows[0].topImprovements).toEqual(['Mirror the JD skill names']);
+    expect(matrix.rows[1].error).toBe('Scoring timed out');
+    expect(matrix.averageFitScore).toBe(72);
+
+    expect(cells('Kafka')).toEqual({ payments: 'missing', platform: 'missing', data: 'not-required' });
+    expect(cells('Python')).toEqual({ payments: 'present', platform: 'not-required', data: 'present' });
+    expect(cells('Spark')).toEqual({ payments: 'not-required', platform: 'not-required', data: 'missing' });
+  });
+
+  it('should split missing keywords into shared and unique gaps', async () => {
+    const matrix = await jobFitMatrixService.buildMatrix({ text: resumeText }, targets);
+
+    expect(matrix.sharedMissingKeywords).toEqual(expect.arrayContaining(['Kafka', 'Kubernetes']));
+    expect(matrix.uniqueMissingKeywords.platform).toContain('Terraform');
+    expect(matrix.uniqueMissingKeywords.data).toContain('Spark');
+    expect(matrix.uniqueMissingKeywords.payments).toEqual([]);
+    expect(matrix.rows[1].missingKeywords).toEqual(expect.arrayContaining(['Kafka', 'Kubernetes', 'Terraform']));
+  });
+
+  it('should suggest the fewest edits that reach the coverage target', async () => {
+    const matrix = await jobFitMatrixService.buildMatrix({ text: resumeText }, targets, { targetCoverage: 1, maxEdits: 10 });
+
+    expect(matrix.suggestedEdits[0].keyword).toMatch(/Kafka|Kubernetes/);
+    expect(matrix.suggestedEdits[0].targetIds).toHaveLength(2);
+    expect(matrix.suggestedEdits.find(edit => edit.keyword === 'Kafka')?.placement).toBe('Experience section');
+    expect(matrix.projectedKeywordCoverage).toBe(1);
+    expect(matrix.averageKeywordCoverage).toBeLessThan(1);
+  });
+
+  it('should stop adding edits once the target is reached', () => {
+    const row = (keyword: string, missingIn: string[], importance: 'critical' | 'low'): KeywordMatrixRow => ({
+      keyword,
+      category: 'tool',
+      importance,
+      importanceByTarget: { a: importance, b: importance },
+      cells: { a: missingIn.includes('a') ? 'missing' : 'present', b: missingIn.includes('b') ? 'missing' : 'present' },
+      missingIn
+    });
+    const keywords = [
+      row('Docker', [], 'critical'),
+      row('Kafka', ['a', 'b'], 'critical'),
+      row('Helm', ['a'], 'low'),
+      row('Grafana', ['b'], 'low')
+    ];
+
+    // Coverage starts at 5/10 for both JDs; Kafka alone lifts it to 9/10
+    const edits = jobFitMatrixService.suggestEdits(keywords, ['a', 'b'], { targetCoverage: 0.8, maxEdits: 5 });
+
+    expect(edits.map(edit => [edit.keyword, edit.averageCoverageGain])).toEqual([['Kafka', 0.4]]);
+    expect(jobFitMatrixService.suggestEdits(keywords, ['a', 'b'], { targetCoverage: 1, maxEdits: 2 })).toHaveLength(2);
+  });
+
+  it('should reject an empty resume or JD list', async () => {
+    await expect(jobFitMatrixService.buildMatrix({ text: ' ' }, targets)).rejects.toThrow(/Resume text is required/);
+    await expect(jobFitMatrixService.buildMatrix({ text: resumeText }, [{ ...targets[0], description: '' }])).rejects.toThrow(/at least one job description/);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Layout Parser Tests
+ * Verifies geometric column, sidebar and table detection on fixture layouts
+ * and that the resulting reading order feeds section detection and ATS checks
+ */
+
+import { describe, it, expect } from 'vitest';
+import { LayoutParserService } from '../services/layoutParserService';
+import { SectionDetector } from '../services/analyzers/sectionDetector';
+import { ATSSimulator } from '../services/atsSimulator';
+import { PdfTextItemLike } from '../services/layoutParserService';
+import {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  singleColumnResume,
+  twoColumnResume,
+  sidebarResume,
+  tableResume
+} from './fixtures/layoutFixtures';
+
+const parser = new LayoutParserService();
+
+const analyze = (items: PdfTextItemLike[]) =>
+  parser.analyzePages([parser.buildPageLayout(1, PAGE_WIDTH, PAGE_HEIGHT, items)]);
+
+describe('LayoutParserService', () => {
+  describe('column detection', () => {
+    it('should keep a single-column resume with right-aligned dates in one column', () => {
+      const layout = analyze(singleColumnResume);
+
+      expect(layout.columns.columnCount).toBe(1);
+      expect(layout.columns.confidence).toBe(95);
+      expect(layout.complexity).toBe('simple');
+    });
+
+    it('should detect two columns and read each column top to bottom', () => {
+      const layout = analyze(twoColumnResume);
+      const text = parser.extractOrderedText(layout).split('\n');
+
+      expect(layout.columns.columnCount).toBe(2);
+      expect(layout.columns.columnBoundaries).toHaveLength(2);
+      expect(layout.columns.columnBoundaries[0].x).toBe(72);
+      expect(layout.columns.columnBoundaries[1].x).toBe(330);
+
+      // Header band first, then the full left column, then the right column
+      expect(text[0]).toBe('Rahul Sharma');
+      expect(text[1]).toContain('rahul.sharma@email.com');
+      expect(text.indexOf('EXPERIENCE')).toBe(2);
+      expect(text.indexOf('- Automated weekly reports')).toBeLessThan(text.indexOf('EDUCATION'));
+      expect(text.indexOf('EDUCATION')).toBeLessThan(text.indexOf('SKILLS'));
+      expect(text.indexOf('SKILLS')).toBeLessThan(text.indexOf('PROJECTS'));
+    });
+
+    it('should report a narrow column as a sidebar textbox', () => {
+      const layout = analyze(sidebarResume);
+
+      expect(layout.columns.columnCount).toBe(2);
+      expect(layout.textboxes).toHaveLength(1);
+      expect(layout.textboxes[0].contextualPlacement).toBe('sidebar-left');
+      expect(layout.textboxes[0].content).toContain('maria@email.com');
+      expect(layout.textboxes[0].content).toContain('Prototyping');
+      expect(layout.elements.filter(element => element.type === 'textbox')).toHaveLength(9);
+    });
+  });
+
+  describe('table detection', () => {
+    it('should rebuild aligned cells as a table', () => {
+      const layout = analyze(tableResume);
+
+      expect(layout.columns.columnCount).toBe(1);
+      expect(layout.tables).toHaveLength(1);
+      expect(layout.tables[0].headers).toEqual(['Skill', 'Proficiency', 'Years']);
+      expect(layout.tables[0].rows).toEqual([
+        ['Python', 'Expert', '6'],
+        ['PyTorch', 'Advanced', '4'],
+        ['SQL', 'Advanced', '5']
+      ]);
+      expect(parser.extractOrderedText(layout)).toContain('Python | Expert | 6');
+    });
+
+    it('should not mistake a title and date line for a table', () => {
+      expect(analyze(singleColumnResume).tables).toHaveLength(0);
+    });
+  });
+
+  describe('determinism', () => {
+    it('should produce identical layouts for repeated runs', () => {
+      [singleColumnResume, twoColumnResume, sidebarResume, tableResume].forEach(fixture => {
+        expect(analyze(fixture)).toEqual(analyze(fixture));
+      });
+    });
+
+    it('should keep reading order monotonic across pages', () => {
+      const pages = [
+        parser.buildPageLayout(1, PAGE_WIDTH, PAGE_HEIGHT, singleColumnResume),
+        parser.buildPageLayout(2, PAGE_WIDTH, PAGE_HEIGHT, singleColumnResume)
+      ];
+      const layout = parser.analyzePages(pages);
+
+      expect(layout.elements[0].id).toBe('p1-e0');
+      expect(layout.elements[layout.elements.length - 1].id.startsWith('p2-')).toBe(true);
+      expect(parser.validateLayoutResults(layout).valid).toBe(true);
+    });
+  });
+
+  describe('downstream analyzers', () => {
+    it('should let the section detector see every column', () => {
+      const result = new SectionDetector().detectSectionsFromLayout(analyze(twoColumnResume));
+
+      expect(result.present_sections).toEqual(
+        expect.arrayContaining(['experience', 'education', 'skills', 'projects'])
+      );
+    });
+
+    it('should drive ATS layout checks from geometry', () => {
+      const twoColumn = analyze(twoColumnResume);
+      const single = analyze(singleColumnResume);
+      const sidebar = analyze(sidebarResume);
+      const table = analyze(tableResume);
+
+      const formattingOf = (layout: typeof single) =>
+        ATSSimulator.simulateATS(parser.extractOrderedText(layout), 'workday', layout).formatting;
+
+      expect(formattingOf(twoColumn).hasColumns).toBe(true);
+      expect(formattingOf(single).hasColumns).toBe(false);
+      expect(formattingOf(sidebar).hasSidebar).toBe(true);
+      expect(formattingOf(table).hasGraphics).toBe(true);
+    });
+
+    it('should apply the layout checks on every ATS system', () => {
+      const twoColumn = analyze(twoColumnResume);
+      const results = ATSSimulator.compareAcrossSystems(parser.extractOrderedText(twoColumn), twoColumn);
+
+      Object.values(results).forEach(result => {
+        expect(result.formatting.hasColumns).toBe(true);
+        expect(result.issues.some(issue => issue.category === 'Layout')).toBe(true);
+      });
+    });
+  });
+});
@@ -0,0 +1,177 @@
+// src/tests/llm-gateway.test.ts
+// Tests for routing, budgets, caching, JSON repair and record/replay in the LLM gateway
+
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import { z } from 'zod';
+import { llmGateway, workerFirstRoute } from '../services/llm/llmGateway';
+import { llmError } from '../services/llm/llmProviders';
+import { MockLlmProvider } from '../services/llm/llmMockProvider';
+import { LlmProvider, LlmProviderId, LlmProviderRequest, LlmProviderResponse } from '../types/llm';
+
+const fakeProvider = (
+  id: LlmProviderId,
+  complete: (request: LlmProviderRequest) => Promise<LlmProviderResponse>
+): LlmProvider & { complete: ReturnType<typeof vi.fn> } => ({
+  id,
+  isAvailable: () => true,
+  complete: vi.fn(complete)
+});
+
+const ask = (content: string, feature = 'test') => ({ feature, messages: [{ role: 'user' as const, content }] });
+
+describe('llmGateway', () => {
+  beforeEach(() => {
+    llmGateway.configure({ offline: false, retries: 2, retryDelayMs: 0, timeoutMs: 1000 });
+    llmGateway.clearCache();
+    llmGateway.resetUsage();
+  });
+
+  afterAll(() => {
+    llmGateway.configure({ offline: true, retries: 0 });
+    llmGateway.useProviders([new MockLlmProvider()]);
+  });
+
+  it('should retry retryable failures, then fall back along the route', async () => {
+    const worker = fakeProvider('cloudflare-worker', async () => {
+      throw llmError('HTTP 503', { provider: 'cloudflare-worker', status: 503, retryable: true });
+    });
+    const router = fakeProvider('agent-router', async request => {
+      if (request.model === 'gpt-4o') {
+        throw llmError('HTTP 401', { provider: 'agent-router', status: 401, retryable: false });
+      }
+      return { text: 'from haiku', usage: { promptTokens: 10, completionTokens: 3, totalTokens: 13 } };
+    });
+    llmGateway.useProviders([worker, router]);
+
+    const response = await llmGateway.complete({
+      ...ask('Summarize this resume'),
+      route: [
+        { provider: 'cloudflare-worker' },
+        { provider: 'mock' }, // not registered, skipped
+        { provider: 'agent-router', model: 'gpt-4o' },
+        { provider: 'agent-router', model: 'claude-3-5-haiku-20241022' }
+      ]
+    });
+
+    expect(response).toMatchObject({ text: 'from haiku', provider: 'agent-router', model: 'claude-3-5-haiku-20241022' });
+    expect(worker.complete).toHaveBeenCalledTimes(3);
+    // An auth failure is not retried on the same model
+    expect(router.complete).toHaveBeenCalledTimes(2);
+    expect(response.attempts).toBe(5);
+    expect(response.usage).toEqual({ promptTokens: 10, completionTokens: 3, totalTokens: 13, estimated: false });
+  });
+
+  it('should time out slow providers and report every failure', async () => {
+    const hang = (request: LlmProviderRequest) =>
+      new Promise<LlmProviderResponse>((_, reject) => request.signal.addEventListener('abort', () => reject(new Error('aborted'))));
+    const worker = fakeProvider('cloudflare-worker', hang);
+    const router = fakeProvider('agent-router', hang);
+    llmGateway.useProviders([worker, router]);
+
+    await expect(
+      llmGateway.complete({ ...ask('Hello'), timeoutMs: 5, retries: 1 })
+    ).rejects.toThrow(
+      'All LLM providers failed for "test": cloudflare-worker: timed out after 5ms | agent-router: timed out after 5ms'
+    );
+    // The worker already ran its own provider chain, so a timeout there is not paid for twice
+    expect(worker.complete).toHaveBeenCalledTimes(1);
+    expect(router.complete).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep browser-keyed providers off the default route', () => {
+    expect(workerFirstRoute('gpt-4o-mini')).toEqual([
+      { provider: 'cloudflare-worker', model: 'gpt-4o-mini' },
+      { provider: 'agent-router' }
+    ]);
+  });
+
+  it('should cache responses and enforce per-feature token budgets', async () => {
+    const worker = fakeProvider('cloudflare-worker', async () => ({ text: 'x'.repeat(40) }));
+    llmGateway.useProviders([worker]);
+    llmGateway.setBudget('cover-letter', { maxTokensPerRequest: 500, maxTokensPerDay: 130 });
+
+    const request = { ...ask('Write a cover letter', 'cover-letter'), maxTokens: 100 };
+    const first = await llmGateway.complete(request);
+    const second = await llmGateway.complete(request);
+
+    expect(second).toMatchObject({ text: first.text, cached: true, attempts: 0 });
+    expect(worker.complete).toHaveBeenCalledTimes(1);
+    // 5 estimated prompt tokens + 10 completion tokens; the cache hit is free
+    expect(llmGateway.getUsage('cover-letter')).toEqual([
+      expect.objectContaining({ feature: 'cover-letter', tokens: 15, requests: 1 })
+    ]);
+
+    await llmGateway.complete({ ...request, messages: [{ role: 'user', content: 'Another letter' }] });
+    await expect(
+      llmGateway.complete({ ...request, messages: [{ role: 'user', content: 'A third letter' }] })
+    ).rejects.toThrow('Daily LLM budget for "cover-letter" exhausted: 29 of 130 tokens used today');
+    await expect(llmGateway.complete({ ...request, maxTokens: 1000 })).rejects.toThrow('per-request budget');
+  });
+
+  it('should budget the chatbot out of the box and never cache uncached requests', async () => {
+    const worker = fakeProvider('cloudflare-worker', async () => ({ text: 'Hi! How can I help?' }));
+    llmGateway.useProviders([worker]);
+
+    const request = { ...ask('Hello', 'chatbot'), cache: false };
+    await llmGateway.complete(request);
+    const again = await llmGateway.complete(request);
+
+    expect(again.cached).toBe(false);
+    expect(worker.complete).toHaveBeenCalledTimes(2);
+    await expect(llmGateway.complete({ ...request, maxTokens: 9000 })).rejects.toThrow('per-request budget');
+  });
+
+  it('should validate JSON replies against a schema and ask for a repair', async () => {
+    const worker = fakeProvider('cloudflare-worker', async request =>
+      request.messages.length === 1
+        ? { text: 'Here you go:\n```json\n{"score": "high", "keywords": ["Go",],}\n```' }
+        : { text: '{"score": 82, "keywords": ["Go"]}' }
+    );
+    llmGateway.useProviders([worker]);
+
+    const schema = z.object({ score: z.number(), keywords: z.array(z.string()) });
+    const response = await llmGateway.completeJson(ask('Score this resume'), schema);
+
+    expect(response.data).toEqual({ score: 82, keywords: ['Go'] });
+    expect(response.repaired).toBe(true);
+    const repairPrompt = worker.complete.mock.calls[1][0].messages[2].content;
+    expect(repairPrompt).toContain('score: Expected number, received string');
+
+    // The invalid first reply was not cached
+    await llmGateway.completeJson(ask('Score this resume'), schema);
+    expect(worker.complete).toHaveBeenCalledTimes(4);
+
+    worker.complete.mockResolvedValue({ text: 'not json' });
+    await expect(
+      llmGateway.completeJson({ ...ask('Score again'), cache: false }, schema, { repairAttempts: 0 })
+    ).rejects.toThrow('failed validation after 0 repair attempt(s)');
+  });
+
+  it('should record responses and replay them offline', async () => {
+    const live = fakeProvider('cloudflare-worker', async request => ({
+      text: `answer to ${request.messages[0].content}`,
+      model: 'openai/gpt-4o-mini'
+    }));
+    const recorder = new MockLlmProvider({ mode: 'record', delegate: live });
+    llmGateway.useProviders([recorder]);
+    llmGateway.configure({ offline: true });
+
+    await llmGateway.complete({ ...ask('Suggest a project'), temperature: 0.2, cache: false });
+    const recordings = JSON.parse(JSON.stringify(recorder.exportRecordings()));
+    expect(recordings).toHaveLength(1);
+
+    // Offline, every route collapses to the mock, even one naming a live provider
+    llmGateway.useProviders([live, new MockLlmProvider({ recordings })]);
+    const replayed = await llmGateway.complete({
+      ...ask('Suggest a project'),
+      temperature: 0.2,
+      cache: false,
+      route: [{ provider: 'cloudflare-worker' }]
+    });
+    expect(replayed).toMatchObject({ text: 'answer to Suggest a project', provider: 'mock', model: 'openai/gpt-4o-mini' });
+    expect(live.complete).toHaveBeenCalledTimes(1);
+
+    // A changed prompt has no recording and fails without retrying
+    await expect(llmGateway.complete(ask('Suggest two projects'))).rejects.toThrow('mock: no recorded response for request');
+  });
+});
@@ -0,0 +1,182 @@
+// src/tests/llm-streaming.test.ts
+// Tests for streamed LLM replies: SSE reading, partial JSON, fallback before the first token, and cancellation
+
+import { describe, it, expect, vi, beforeEach, afterEach, afterAll } from 'vitest';
+import { llmGateway } from '../services/llm/llmGateway';
+import { CloudflareWorkerProvider, llmError } from '../services/llm/llmProviders';
+import { MockLlmProvider } from '../services/llm/llmMockProvider';
+import { PartialJsonParser } from '../services/llm/llmStream';
+import { LlmProvider, LlmProviderId, LlmProviderRequest } from '../types/llm';
+
+vi.mock('../lib/supabaseClient', () => ({
+  supabase: { auth: { getSession: async () => ({ data: { session: { access_token: 'user-token' } } }) } }
+}));
+
+const sseBody = (chunks: string[]) =>
+  new ReadableStream<Uint8Array>({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(new TextEncoder().encode(chunk)));
+      controller.close();
+    }
+  });
+
+const streamingProvider = (
+  id: LlmProviderId,
+  stream: (request: LlmProviderRequest, onDelta: (delta: string) => void) => Promise<{ text: string }>
+): LlmProvider & { stream: ReturnType<typeof vi.fn> } => ({
+  id,
+  isAvailable: () => true,
+  complete: vi.fn(async () => ({ text: 'not streamed' })),
+  stream: vi.fn(stream)
+});
+
+const ask = (content: string) => ({ feature: 'chat-test', messages: [{ role: 'user' as const, content }], cache: false });
+
+describe('PartialJsonParser', () => {
+  it('should return the best complete value at every point of a streamed reply', () => {
+    const reply = 'Sure, here it is:\n```json\n{"summary": "Built \\"fast\\" APIs", "years": 12, "skills": [{"category": "Languages", "list": ["Go", "Rust"]}], "done": true}\n```';
+    const seen: unknown[] = [];
+    const parser = new PartialJsonParser();
+    for (const char of reply) seen.push(parser.push(char).value());
+
+    const at = (prefix: string) => seen[reply.indexOf(prefix) + prefix.length - 1];
+    expect(at('here it is')).toBeUndefined();
+    expect(at('{"summ')).toEqual({}); // a key is left out until it is whole
+    expect(at('"Built \\"fa')).toEqual({ summary: 'Built "fa' }); // string values grow
+    expect(at('"Built \\')).toEqual({ summary: 'Built ' }); // never a half-written escape
+    expect(at('"years": 1')).toEqual({ summary: 'Built "fast" APIs' }); // a number may still grow
+    expect(at('"list": ["Go", "Ru')).toEqual({
+      summary: 'Built "fast" APIs',
+      years: 12,
+      skills: [{ category: 'Languages', list: ['Go', 'Ru'] }]
+    });
+    expect(at('"done": tr')).not.toHaveProperty('done');
+
+    expect(parser.isComplete()).toBe(true);
+    expect(seen[seen.length - 1]).toEqual({
+      summary: 'Built "fast" APIs',
+      years: 12,
+      skills: [{ category: 'Languages', list: ['Go', 'Rust'] }],
+      done: true
+    });
+  });
+});
+
+describe('llmGateway.stream', () => {
+  beforeEach(() => {
+    llmGateway.configure({ offline: false, retries: 1, retryDelayMs: 0, timeoutMs: 1000 });
+    llmGateway.clearCache();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    llmGateway.configure({ offline: true, retries: 0 });
+    llmGateway.useProviders([new MockLlmProvider()]);
+  });
+
+  it('should read the worker event stream through the chat endpoint', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async () =>
+      new Response(
+        sseBody([
+          ': keep-alive\r\n\r\ndata: {"delta":"Hel',
+          'lo"}\r',
+          '\n\r\ndata: {"delta":", world"}\n\n',
+          'event: done\ndata: {"provider":"openrouter","model":"openai/gpt-4o-mini"}\n\n'
+        ]),
+        { status: 200, headers: { 'Content-Type': 'text/event-stream' } }
+      )
+    );
+    llmGateway.useProviders([new CloudflareWorkerProvider('https://worker.example', '/api/chat')]);
+
+    const tokens: string[] = [];
+    const response = await llmGateway.stream(ask('Greet me'), { onToken: (delta, text) => tokens.push(`${delta}|${text}`) });
+
+    expect(tokens).toEqual(['Hello|Hello', ', world|Hello, world']);
+    expect(response).toMatchObject({ text: 'Hello, world', provider: 'cloudflare-worker', model: 'openai/gpt-4o-mini' });
+    const [url, init] = fetchSpy.mock.calls[0] as [string, RequestInit];
+    expect(url).toBe('/api/chat');
+    expect(JSON.parse(init.body as string)).toMatchObject({ prompt: 'Greet me', stream: true });
+    expect(init.headers).toMatchObject({ Accept: 'text/event-stream', Authorization: 'Bearer user-token' });
+  });
+
+  it('should not accept or cache a worker stream that closes before its done event', async () => {
+    let chunks = [': keep-alive\n\n'];
+    const fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async () =>
+      new Response(sseBody(chunks), { status: 200, headers: { 'Content-Type': 'text/event-stream' } })
+    );
+    llmGateway.useProviders([new CloudflareWorkerProvider('https://worker.example', '/api/chat')]);
+    const request = { ...ask('Write it all'), cache: true };
+
+    // Nothing streamed yet: the cut-off stream is retried like any other failure
+    await expect(llmGateway.stream(request)).rejects.toThrow('stream ended before the reply was complete');
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+
+    chunks = ['data: {"delta":"Half a rep"}\n\n'];
+    await expect(llmGateway.stream(request)).rejects.toThrow(
+      'LLM stream for "chat-test" broke off after 10 characters: cloudflare-worker: stream ended before the reply was complete'
+    );
+
+    chunks = ['data: {"delta":"Whole reply"}\n\n', 'event: done\ndata: {}\n\n'];
+    expect((await llmGateway.stream(request)).text).toBe('Whole reply');
+    expect((await llmGateway.stream(request)).cached).toBe(true);
+  });
+
+  it('should fall back only before the first token', async () => {
+    const flaky = streamingProvider('cloudflare-worker', async () => {
+      throw llmError('HTTP 503', { provider: 'cloudflare-worker', status: 503, retryable: true });
+    });
+    const steady = streamingProvider('agent-router', async (_request, onDelta) => {
+      onDelta('Hi');
+      onDelta(' there');
+      return { text: 'Hi there' };
+    });
+    llmGateway.useProviders([flaky, steady]);
+
+    const route = [{ provider: 'cloudflare-worker' as const }, { provider: 'agent-router' as const }];
+    const response = await llmGateway.stream({ ...ask('Hello'), route });
+    expect(response).toMatchObject({ text: 'Hi there', provider: 'agent-router', attempts: 3 });
+    expect(flaky.stream).toHaveBeenCalledTimes(2);
+
+    // Once tokens have been shown, a failure is not retried or handed to the next provider
+    flaky.stream.mockImplementation(async (_request: LlmProviderRequest, onDelta: (delta: string) => void) => {
+      onDelta('Partial');
+      throw llmError('stream failed', { provider: 'cloudflare-worker', retryable: true });
+    });
+    steady.stream.mockClear();
+    await expect(llmGateway.stream({ ...ask('Hello'), route })).rejects.toThrow(
+      'LLM stream for "chat-test" broke off after 7 characters: cloudflare-worker: stream failed'
+    );
+    expect(flaky.stream).toHaveBeenCalledTimes(3);
+    expect(steady.stream).not.toHaveBeenCalled();
+  });
+
+  it('should cancel the upstream request when the caller aborts', async () => {
+    let upstreamSignal: AbortSignal | undefined;
+    const slow = streamingProvider('cloudflare-worker', (request, onDelta) => {
+      upstreamSignal = request.signal;
+      return new Promise((_, reject) => {
+        request.signal.addEventListener('abort', () => reject(new Error('aborted')));
+        onDelta('Working');
+      });
+    });
+    const backup = streamingProvider('agent-router', async () => ({ text: 'backup' }));
+    llmGateway.useProviders([slow, backup]);
+
+    const controller = new AbortController();
+    const pending = llmGateway.stream(
+      { ...ask('Write a long answer'), route: [{ provider: 'cloudflare-worker' }, { provider: 'agent-router' }] },
+      { signal: controller.signal, onToken: () => controller.abort() }
+    );
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError', message: 'LLM request for "chat-test" was cancelled' });
+    expect(upstreamSignal?.aborted).toBe(true);
+    expect(backup.stream).not.toHaveBeenCalled();
+
+    // Already cancelled: nothing is sent
+    await expect(llmGateway.stream(ask('Again'), { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(slow.stream).toHaveBeenCalledTimes(1);
+  });
+});
@@ -4,7 +4,23 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import fc from 'fast-check';
 import { PipelineController } from '../services/pipelineController';
-import { PipelineStep } from '../types/pipeline';
+import { PipelineStep, StepResult } from '../types/pipeline';
+import { ResumeData } from '../types/resume';
+
+// What the missing sections step publishes, as far as these properties check it
+type MissingSectionsStepResult = StepResult & {
+  data: {
+    missingSections?: string[];
+    requiresUserInput?: boolean;
+    analysisType?: string;
+    suggestedCertifications?: string[];
+    skipped?: boolean;
+    reason?: string;
+    changes?: string[];
+    updatedResumeData: ResumeData;
+    validationErrors: string[];
+  };
+};
 
 describe('Missing Sections Modal Properties', () => {
   let controller: PipelineController;
@@ -64,7 +80,7 @@ describe('Missing Sections Modal Properties', () => {
         
         try {
           // Execute the missing sections step without input (should return config)
-          const result = await controller.executeStep(PipelineStep.MISSING_SECTIONS_MODAL, {});
+          const result = (await controller.executeStep(PipelineStep.MISSING_SECTIONS_MODAL, {})) as MissingSectionsStepResult;
           
           // Property: Should identify missing required sections
           expect(result.success).toBe(true);
@@ -162,7 +178,7 @@ describe('Missing Sections Modal Properties', () => {
         
         try {
           // Execute the missing sections step
-          const result = await controller.executeStep(PipelineStep.MISSING_SECTIONS_MODAL, {});
+          const result = (await controller.executeStep(PipelineStep.MISSING_SECTIONS_MODAL, {})) as MissingSectionsStepResult;
           
           // Property: Should identify only certifications as missing (if any)
           expect(result.success).toBe(true);
@@ -261,9 +277,9 @@ describe('Missing Sections Modal Properties', () => {
         
         try {
           // Execute the missing sections step with valid data
-          const result = await controller.executeStep(PipelineStep.MISSING_SECTIONS_MODAL, {
+          const result = (await controller.executeStep(PipelineStep.MISSING_SECTIONS_MODAL, {
             missingSectionsData: validMissingSectionsData
-          });
+          })) as MissingSectionsStepResult;
           
           // Property: Valid data should be accepted
           expect(result.success).toBe(true);
@@ -368,9 +384,9 @@ describe('Missing Sections Modal Properties', () => {
         
         try {
           // Execute the missing sections step with invalid data
-          const result = await controller.executeStep(PipelineStep.MISSING_SECTIONS_MODAL, {
+          const result = (await controller.executeStep(PipelineStep.MISSING_SECTIONS_MODAL, {
             missingSectionsData: invalidMissingSectionsData
-          });
+          })) as MissingSectionsStepResult;
           
           // Property: Invalid data should be rejected
           expect(result.success).toBe(false);
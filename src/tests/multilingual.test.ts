@@ -0,0 +1,163 @@
+/**
+ * Multilingual Tests
+ * Language detection, localized section headings and JD terms, and right-to-left
+ * template layout and export
+ */
+
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import { ResumeData } from '../types/resume';
+import { defaultExportOptions } from '../types/export';
+import { LanguageDetectionService } from '../services/languageDetectionService';
+import { sectionDetector } from '../services/analyzers/sectionDetector';
+import { JDKeywordExtractor } from '../services/jdKeywordExtractor';
+import { SoftSkillsExtractor } from '../services/softSkillsExtractor';
+import { RedFlagDetector } from '../services/analyzers/redFlagDetector';
+import { categorizeSkill, SKILL_CATEGORIES } from '../constants/skillsTaxonomy';
+import { templateRegistry } from '../services/templates/templateRegistry';
+import { buildTemplateDocument } from '../services/templates/templateLayoutEngine';
+import { generateDocxBlob, layoutResumeForPdf } from '../utils/exportUtils';
+
+const GERMAN_RESUME = `Max Mustermann
+max@example.de | +49 170 1234567
+
+Profil
+Backend-Entwickler mit sechs Jahren Erfahrung in der Entwicklung von Zahlungssystemen für den Onlinehandel.
+
+Berufserfahrung
+Senior Software Engineer | Beispiel GmbH | März 2021 - heute
+- Team von fünf Entwicklern geleitet und die Migration auf Kubernetes verantwortet
+- Ergebnisse der Architekturreviews vor dem Vorstand präsentiert und dokumentiert
+
+Ausbildung
+M.Sc. Informatik | TU München | 2016 - 2018
+
+Kenntnisse
+Java, Python, Maschinelles Lernen, PostgreSQL`;
+
+const FRENCH_RESUME = `Claire Dubois
+
+Profil professionnel
+Développeuse dynamique, rigoureuse et autonome, avec une solide expérience dans le développement web et un bon relationnel.
+
+Expérience professionnelle :
+Développeuse Full Stack | Exemple SAS | 2019 - 2023
+- Conception des interfaces pour les clients et mise en place des tests
+
+Compétences
+React, TypeScript, Node.js`;
+
+const arabicResume: ResumeData = {
+  name: 'ليلى حسن',
+  phone: '+971 50 123 4567',
+  email: 'layla@example.com',
+  linkedin: '',
+  github: '',
+  summary: 'مهندسة برمجيات تعمل على تطوير أنظمة الدفع في الشركة منذ خمس سنوات مع فريق من المطورين.',
+  education: [{ degree: 'بكالوريوس علوم الحاسب', school: 'جامعة الملك سعود', year: '2014 - 2018' }],
+  workExperience: [
+    { role: 'مهندسة برمجيات', company: 'شركة المثال', year: '2019 - Present', bullets: ['قادت فريقا من أربعة مطورين لبناء منصة المدفوعات في المنطقة.'] }
+  ],
+  projects: [],
+  skills: [{ category: 'Languages', count: 2, list: ['Python', 'Go'] }],
+  certifications: []
+};
+
+describe('LanguageDetectionService', () => {
+  it('should detect each supported language and fall back to English', () => {
+    const samples: [string, string][] = [
+      ['en', 'Led the migration of the billing platform to Kubernetes and cut the cost of the cluster by a third with the team.'],
+      ['de', GERMAN_RESUME],
+      ['fr', FRENCH_RESUME],
+      ['es', 'Desarrollador con experiencia en el diseño de servicios para la empresa y en la gestión de los equipos de trabajo.'],
+      ['hi', 'मैंने पांच वर्षों तक भुगतान प्रणाली के विकास में काम किया और टीम का नेतृत्व किया।'],
+      ['ar', arabicResume.summary!]
+    ];
+
+    samples.forEach(([language, text]) => {
+      expect(LanguageDetectionService.detect(text).language, language).toBe(language);
+    });
+    expect(LanguageDetectionService.detect('ar').direction).toBe('ltr');
+    expect(LanguageDetectionService.detect(arabicResume.summary!)).toMatchObject({ direction: 'rtl', script: 'arabic' });
+    expect(LanguageDetectionService.detect('Java, Python, SQL').language).toBe('en');
+  });
+});
+
+describe('localized resume analysis', () => {
+  it('should find German and French section headings', () => {
+    const german = sectionDetector.detectSections(GERMAN_RESUME);
+    expect(german.language).toBe('de');
+    expect(german.present_sections).toEqual(expect.arrayContaining(['summary', 'experience', 'education', 'skills']));
+
+    const french = sectionDetector.detectSections(FRENCH_RESUME);
+    expect(french.language).toBe('fr');
+    expect(french.present_sections).toEqual(expect.arrayContaining(['summary', 'experience', 'skills']));
+  });
+
+  it('should map localized skill names onto the English taxonomy', () => {
+    expect(categorizeSkill('Maschinelles Lernen')).toBe(SKILL_CATEGORIES.DATA_SCIENCE_AND_ML);
+    expect(categorizeSkill('machine learning')).toBe(SKILL_CATEGORIES.DATA_SCIENCE_AND_ML);
+  });
+
+  it('should read seniority and requirement markers from a German JD', () => {
+    const jd = 'Für unser Team in Berlin suchen wir einen erfahrenen Backend-Entwickler. Fundierte Kenntnisse in Java sind zwingend erforderlich, Erfahrung mit Kafka ist wünschenswert.';
+
+    expect(JDKeywordExtractor.determineSeniority(jd)).toBe('senior');
+    expect(JDKeywordExtractor.determineSeniority('Werkstudent (m/w/d) für die Entwicklung unserer App', 'de')).toBe('intern');
+    expect(JDKeywordExtractor.determineImportance('Kafka', 1, 'Erfahrung mit Kafka ist von Vorteil.', 'de')).toBe('high');
+
+    const analysis = JDKeywordExtractor.analyzeJobDescription(jd);
+    expect(analysis.language).toBe('de');
+    expect(analysis.topTechnicalSkills).toContain('Java');
+    expect(analysis.topTechnicalSkills).not.toContain('R');
+  });
+
+  it('should count German action verbs as soft skill evidence', () => {
+    const analysis = SoftSkillsExtractor.extractSoftSkills(GERMAN_RESUME, undefined, 'de');
+    const categories = analysis.detectedSkills.map(skill => skill.category);
+
+    expect(categories).toContain('leadership');
+    expect(categories).toContain('communication');
+  });
+
+  it('should flag generic French phrases', () => {
+    const flags = RedFlagDetector.analyze({ resumeText: FRENCH_RESUME }).redFlags.map(flag => flag.name);
+    expect(flags).toContain('Generic Language');
+
+    const english = RedFlagDetector.analyze({ resumeText: 'Built the billing service and the payments dashboard.' }).redFlags.map(flag => flag.name);
+    expect(english).not.toContain('Generic Language');
+  });
+});
+
+describe('right-to-left templates', () => {
+  it('should localize titles and mirror the layout of an Arabic resume', () => {
+    const document = buildTemplateDocument(arabicResume, 'experienced', templateRegistry.get('classic'));
+    expect(document).toMatchObject({ language: 'ar', direction: 'rtl' });
+    expect(document.sections.find(section => section.key === 'workExperience')?.title).toBe('الخبرة العملية');
+
+    const rtl = layoutResumeForPdf(arabicResume, 'experienced', defaultExportOptions);
+    const ltr = layoutResumeForPdf({ ...arabicResume, language: 'en' }, 'experienced', defaultExportOptions);
+    expect(rtl.direction).toBe('rtl');
+    expect(ltr.direction).toBe('ltr');
+
+    const { pageWidth, margins } = rtl.style;
+    const markers = rtl.boxes.filter(box => box.role === 'bullet-marker');
+    expect(markers.length).toBeGreaterThan(0);
+    markers.forEach(box => {
+      expect(box.x + box.width).toBeCloseTo(pageWidth - margins.left - rtl.style.spacing.bulletIndent, 1);
+    });
+  });
+
+  it('should mark the DOCX defaults as bidirectional', async () => {
+    const arabic = await JSZip.loadAsync(await generateDocxBlob(arabicResume, 'experienced'));
+    const arabicStyles = await arabic.file('word/styles.xml')!.async('string');
+    expect(arabicStyles).toContain('<w:bidi/>');
+    expect(arabicStyles).toContain('<w:rtl/>');
+    expect(arabicStyles).toContain('w:bidi="ar"');
+
+    const english = await JSZip.loadAsync(await generateDocxBlob({ ...arabicResume, language: 'en' }, 'experienced'));
+    const englishStyles = await english.file('word/styles.xml')!.async('string');
+    expect(englishStyles).not.toContain('<w:bidi/>');
+    expect(englishStyles).toContain('<w:lang w:val="en-US"/>');
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * OCR Preprocessing Tests
+ * Covers Otsu binarisation, projection-profile skew estimation, deskewing and
+ * mapping word boxes from the deskewed image back onto the original page
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  RasterImage,
+  binarize,
+  deskew,
+  estimateSkewAngle,
+  otsuThreshold,
+  preprocessForOcr,
+  toGrayscale,
+  unrotateBox
+} from '../services/ocr/imagePreprocessing';
+
+const WIDTH = 200;
+const HEIGHT = 120;
+
+// Grey paper (200) with dark ink (40) along lines that slope by `angle` degrees
+const slantedLines = (angle: number): RasterImage => {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  const slope = Math.tan((angle * Math.PI) / 180);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const p = (y * WIDTH + x) * 4;
+      const baseY = y - (x - WIDTH / 2) * slope;
+      const isInk = x >= 20 && x < WIDTH - 20 && [30, 60, 90].some(lineY => Math.abs(baseY - lineY) < 1.5);
+      const level = isInk ? 40 : 200;
+      data[p] = data[p + 1] = data[p + 2] = level;
+      data[p + 3] = 255;
+    }
+  }
+  return { width: WIDTH, height: HEIGHT, data };
+};
+
+const binaryOf = (image: RasterImage) => {
+  const gray = toGrayscale(image);
+  return binarize(gray, otsuThreshold(gray));
+};
+
+describe('OCR image preprocessing', () => {
+  it('should put the Otsu threshold between paper and ink', () => {
+    const gray = toGrayscale(slantedLines(0));
+    const threshold = otsuThreshold(gray);
+
+    expect(threshold).toBeGreaterThanOrEqual(40);
+    expect(threshold).toBeLessThan(200);
+    expect(new Set(binarize(gray, threshold))).toEqual(new Set([0, 255]));
+  });
+
+  it('should estimate the slope of skewed text lines', () => {
+    expect(estimateSkewAngle(binaryOf(slantedLines(3)), WIDTH, HEIGHT)).toBeCloseTo(3, 0);
+    expect(estimateSkewAngle(binaryOf(slantedLines(-2)), WIDTH, HEIGHT)).toBeCloseTo(-2, 0);
+    expect(estimateSkewAngle(binaryOf(slantedLines(0)), WIDTH, HEIGHT)).toBe(0);
+    expect(estimateSkewAngle(new Uint8Array(WIDTH * HEIGHT).fill(255), WIDTH, HEIGHT)).toBe(0);
+  });
+
+  it('should straighten a skewed page', () => {
+    const straightened = deskew(binaryOf(slantedLines(3)), WIDTH, HEIGHT, 3);
+
+    expect(Math.abs(estimateSkewAngle(straightened, WIDTH, HEIGHT))).toBeLessThanOrEqual(0.5);
+  });
+
+  it('should only deskew when the angle is worth correcting', () => {
+    const skewed = preprocessForOcr(slantedLines(3));
+    const level = preprocessForOcr(slantedLines(0));
+    const skipped = preprocessForOcr(slantedLines(3), { deskew: false });
+
+    expect(skewed.skewAngle).toBeCloseTo(3, 0);
+    expect(level.skewAngle).toBe(0);
+    expect(skipped.skewAngle).toBe(0);
+    expect(skewed.image.data).toHaveLength(WIDTH * HEIGHT * 4);
+  });
+
+  it('should map a box in the deskewed image back onto the original page', () => {
+    const box = { x: 40, y: 28, width: 60, height: 4 };
+
+    expect(unrotateBox(box, 0, WIDTH, HEIGHT)).toEqual(box);
+
+    // A word left of centre on a line falling to the right sits higher on the skewed page
+    const mapped = unrotateBox(box, 3, WIDTH, HEIGHT);
+    expect(mapped.y).toBeLessThan(box.y);
+    expect(mapped.width).toBeGreaterThanOrEqual(box.width);
+    expect(mapped.height).toBeGreaterThan(box.height);
+  });
+});
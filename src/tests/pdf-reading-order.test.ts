@@ -0,0 +1,61 @@
+// @vitest-environment node
+/**
+ * PDF Reading Order Tests
+ * Parses real two-column and sidebar resume PDFs through pdfjs and checks the
+ * text comes back in reading order. The fixtures were written with jsPDF line
+ * by line across the page, as word processors do, so the content stream order
+ * reads straight across both columns.
+ */
+
+import { readFileSync } from 'fs';
+import { describe, it, expect, beforeAll } from 'vitest';
+import { parseFile } from '../utils/fileParser';
+
+const fixture = (name: string) =>
+  new File([readFileSync(new URL(`./fixtures/pdf/${name}`, import.meta.url))], name, { type: 'application/pdf' });
+
+const lines = (text: string) => text.split('\n').map(line => line.trim());
+
+describe('PDF reading order', () => {
+  beforeAll(async () => {
+    // Run the pdfjs worker on the main thread; there is no Worker in node
+    // @ts-expect-error -- the worker bundle ships no types
+    (globalThis as { pdfjsWorker?: unknown }).pdfjsWorker = await import('pdfjs-dist/build/pdf.worker.js');
+  });
+
+  it('should read a two-column PDF one column at a time', async () => {
+    const result = await parseFile(fixture('two-column-resume.pdf'));
+    const text = lines(result.text);
+
+    expect(result.extraction_mode).toBe('TEXT');
+    expect(result.layout?.columns.columnCount).toBe(2);
+
+    // Header band first, then the full left column, then the right column
+    expect(text[0]).toBe('Rahul Sharma');
+    expect(text[1]).toContain('rahul.sharma@email.com');
+    expect(text.indexOf('EXPERIENCE')).toBe(2);
+    expect(text.indexOf('Data Engineer, Flipkart')).toBe(3);
+    expect(text.indexOf('with Python and Airflow.')).toBeLessThan(text.indexOf('EDUCATION'));
+    expect(text.indexOf('EDUCATION')).toBeLessThan(text.indexOf('B.Tech, IIT Madras'));
+    expect(text.indexOf('B.Tech, IIT Madras')).toBeLessThan(text.indexOf('SKILLS'));
+    expect(text.indexOf('SKILLS')).toBeLessThan(text.indexOf('PROJECTS'));
+  });
+
+  it('should keep a sidebar PDF apart from the main column', async () => {
+    const result = await parseFile(fixture('sidebar-resume.pdf'));
+    const text = lines(result.text);
+
+    expect(result.layout?.textboxes).toHaveLength(1);
+    expect(result.layout?.textboxes[0].contextualPlacement).toBe('sidebar-left');
+    expect(result.layout?.textboxes[0].content).toContain('maria@email.com');
+    expect(result.layout?.textboxes[0].content).toContain('Prototyping');
+
+    // The main column reads through without sidebar lines cutting in
+    const summary = text.indexOf('PROFESSIONAL SUMMARY');
+    const education = text.indexOf('EDUCATION');
+    expect(summary).toBeGreaterThan(-1);
+    expect(text.slice(summary, education)).not.toContain('Figma');
+    expect(text.slice(summary, education)).not.toContain('maria@email.com');
+    expect(text.indexOf('EXPERIENCE')).toBe(text.indexOf('accessible consumer apps for fintech and health startups.') + 1);
+  });
+});
@@ -64,10 +64,10 @@ describe('Pipeline State Management Properties', () => {
         expect(finalProgress.percentageComplete).toBe(finalState.progressPercentage);
         
         // Step name should match current step
-        expect(finalProgress.stepName).toBe(PIPELINE_CONFIG.STEP_NAMES[finalProgress.currentStep]);
+        expect(finalProgress.stepName).toBe(PIPELINE_CONFIG.STEP_NAMES[finalProgress.currentStep as PipelineStep]);
         
         // Step description should match current step
-        expect(finalProgress.stepDescription).toBe(PIPELINE_CONFIG.STEP_DESCRIPTIONS[finalProgress.currentStep]);
+        expect(finalProgress.stepDescription).toBe(PIPELINE_CONFIG.STEP_DESCRIPTIONS[finalProgress.currentStep as PipelineStep]);
         
         // Total steps should always be 8
         expect(finalProgress.totalSteps).toBe(8);
@@ -135,7 +135,7 @@ describe('Pipeline State Management Properties', () => {
           PipelineStep.PROJECT_ANALYSIS
         ];
         
-        if (userInputSteps.includes(progress.currentStep)) {
+        if (userInputSteps.includes(progress.currentStep as PipelineStep)) {
           // If we're on a user input step, userActionRequired should be true
           // (This depends on the step's internal state, so we'll check the logic)
           expect(progress.userActionRequired).toBeDefined();
@@ -0,0 +1,195 @@
+// src/tests/pipeline-step-registry.test.ts
+// Tests for declarative pipeline steps: DAG ordering, configuration checks,
+// per-user-type skipping, retries and rollback
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { PipelineController } from '../services/pipelineController';
+import { PipelineStepRegistry } from '../services/pipelineStepRegistry';
+import { PipelineStep, PipelineStepDefinition, StepResult } from '../types/pipeline';
+import { ResumeData } from '../types/resume';
+
+const emptyResume: ResumeData = {
+  name: '',
+  phone: '',
+  email: '',
+  linkedin: '',
+  github: '',
+  education: [],
+  workExperience: [],
+  projects: [],
+  skills: [],
+  certifications: []
+};
+
+const step = (
+  id: string,
+  overrides: Partial<PipelineStepDefinition> = {}
+): PipelineStepDefinition => ({
+  id,
+  name: id,
+  description: `${id} step`,
+  dependsOn: [],
+  inputs: [],
+  outputs: [],
+  progressWeight: 10,
+  run: async (): Promise<StepResult> => ({ success: true, data: {} }),
+  ...overrides
+});
+
+describe('PipelineStepRegistry', () => {
+  let registry: PipelineStepRegistry;
+
+  beforeEach(() => {
+    registry = new PipelineStepRegistry();
+  });
+
+  it('should order steps by dependency, breaking ties by registration order', () => {
+    registry
+      .register(step('export', { dependsOn: ['review', 'cover-letter'] }))
+      .register(step('parse'))
+      .register(step('cover-letter', { dependsOn: ['parse'] }))
+      .register(step('review', { dependsOn: ['parse'] }));
+
+    expect(registry.resolve().map(s => s.id)).toEqual(['parse', 'cover-letter', 'review', 'export']);
+  });
+
+  it('should reject dependency cycles, unknown steps and negative weights', () => {
+    registry
+      .register(step('a', { dependsOn: ['b'] }))
+      .register(step('b', { dependsOn: ['a'] }));
+    expect(() => registry.resolve()).toThrow(/dependency cycle/);
+
+    expect(() => registry.resolve({ steps: ['missing'] })).toThrow(/Unknown pipeline step/);
+
+    const dangling = new PipelineStepRegistry().register(step('c', { dependsOn: ['nowhere'] }));
+    expect(() => dangling.resolve()).toThrow(/depends on unknown step/);
+
+    expect(() => registry.register(step('d', { progressWeight: -1 }))).toThrow(/negative progress weight/);
+  });
+
+  it('should reject a step whose inputs no enabled upstream step produces', () => {
+    registry
+      .register(step('parse', { outputs: ['resumeData'] }))
+      .register(step('score', { dependsOn: ['parse'], inputs: ['resumeData'] }));
+
+    expect(registry.resolve().map(s => s.id)).toEqual(['parse', 'score']);
+    expect(() => registry.resolve({ skipSteps: ['parse'] })).toThrow(/needs resumeData/);
+  });
+
+  it('should skip steps configured off for a user type', () => {
+    registry
+      .register(step('parse'))
+      .register(step('projects', { dependsOn: ['parse'], skipForUserTypes: ['experienced'] }))
+      .register(step('export', { dependsOn: ['projects'] }));
+
+    expect(registry.resolve({ userType: 'fresher' }).map(s => s.id)).toEqual(['parse', 'projects', 'export']);
+    expect(registry.resolve({ userType: 'experienced' }).map(s => s.id)).toEqual(['parse', 'export']);
+  });
+});
+
+describe('PipelineController with custom steps', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should plan the built-in steps in their original order', () => {
+    const controller = new PipelineController('user-1');
+    const progress = controller.getProgress();
+
+    expect(progress.steps.map(s => s.id)).toEqual([
+      PipelineStep.PARSE_RESUME,
+      PipelineStep.ANALYZE_AGAINST_JD,
+      PipelineStep.MISSING_SECTIONS_MODAL,
+      PipelineStep.PROJECT_ANALYSIS,
+      PipelineStep.RE_ANALYSIS,
+      PipelineStep.BULLET_REWRITING,
+      PipelineStep.FINAL_OPTIMIZATION,
+      PipelineStep.OUTPUT_RESUME
+    ]);
+    expect(progress.steps[0].status).toBe('current');
+  });
+
+  it('should run a custom DAG, pass outputs downstream and stop at a review gate', async () => {
+    const registry = new PipelineStepRegistry()
+      .register(step('draft', {
+        outputs: ['letter'],
+        run: async () => ({ success: true, data: { letter: 'Dear team' } })
+      }))
+      .register(step('review', {
+        dependsOn: ['draft'],
+        inputs: ['letter'],
+        requiresUserInput: true,
+        run: async ctx => (ctx.input as { approved?: boolean } | undefined)?.approved
+          ? { success: true, data: { approved: true } }
+          : { success: true, userInputRequired: true, data: { letter: ctx.inputs.letter } }
+      }));
+
+    const controller = new PipelineController('user-1', '', '', { registry, steps: ['draft', 'review'] });
+
+    const first = await controller.runPipeline();
+    expect(first.completed).toBe(false);
+    expect(first.stoppedAt).toBe('review');
+    expect(first.userInputRequired).toBe(true);
+    expect(first.results[1].result.data).toEqual({ letter: 'Dear team' });
+    expect(controller.getState().currentStep).toBe('review');
+
+    const second = await controller.runPipeline({ review: { approved: true } });
+    expect(second.completed).toBe(true);
+    expect(second.results.map(r => r.step)).toEqual(['review']);
+    expect(controller.getState().completedSteps).toEqual(['draft', 'review']);
+    expect(controller.getProgress().percentageComplete).toBe(100);
+  });
+
+  it('should retry a failing step and roll it back once retries run out', async () => {
+    let attempts = 0;
+    let rolledBack = 0;
+    const registry = new PipelineStepRegistry().register(step('flaky', {
+      outputs: ['value'],
+      retry: { maxAttempts: 3, backoffMs: 0 },
+      run: async ctx => {
+        attempts++;
+        ctx.saveResumeVersion({ ...emptyResume, name: `attempt ${ctx.attempt}` });
+        return { success: false, error: 'upstream timeout' };
+      },
+      rollback: async () => {
+        rolledBack++;
+      }
+    }));
+
+    const controller = new PipelineController('user-1', '', '', { registry, steps: ['flaky'] });
+    const result = await controller.runPipeline();
+
+    expect(result.completed).toBe(false);
+    expect(result.userInputRequired).toBe(false);
+    expect(attempts).toBe(3);
+    expect(rolledBack).toBe(1);
+    expect(controller.getState().failedSteps).toContain('flaky');
+  });
+
+  it('should not retry errors the policy rejects', async () => {
+    let attempts = 0;
+    const registry = new PipelineStepRegistry().register(step('strict', {
+      retry: { maxAttempts: 3, backoffMs: 0, retryOn: error => error.includes('timeout') },
+      run: async () => {
+        attempts++;
+        return { success: false, error: 'invalid input' };
+      }
+    }));
+
+    const controller = new PipelineController('user-1', '', '', { registry, steps: ['strict'] });
+    await controller.runPipeline();
+
+    expect(attempts).toBe(1);
+  });
+
+  it('should leave skipped steps out of the plan and the progress', () => {
+    const controller = new PipelineController('user-1', '', '', {
+      skipSteps: [PipelineStep.MISSING_SECTIONS_MODAL]
+    });
+    const state = controller.getState();
+
+    expect(state.skippedSteps).toEqual([PipelineStep.MISSING_SECTIONS_MODAL]);
+    expect(controller.getProgress().totalSteps).toBe(7);
+    expect(controller.getStepSummaries().map(s => s.id)).not.toContain(PipelineStep.MISSING_SECTIONS_MODAL);
+  });
+});
@@ -4,7 +4,21 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import fc from 'fast-check';
 import { PipelineController } from '../services/pipelineController';
-import { PipelineStep } from '../types/pipeline';
+import { PipelineStep, StepResult } from '../types/pipeline';
+import { ResumeData } from '../types/resume';
+
+// What the project analysis step publishes, as far as these properties check it
+type ProjectAnalysisStepResult = StepResult & {
+  data: {
+    projectAnalysisResult: { projectAnalysis: unknown[]; suggestedProjects: unknown[] };
+    currentResumeData: ResumeData;
+    requiresUserInput?: boolean;
+    changes?: string[];
+    updatedResumeData: ResumeData;
+    alignmentScores: unknown[];
+    validationErrors: string[];
+  };
+};
 
 describe('Project Analysis Properties', () => {
   let controller: PipelineController;
@@ -81,7 +95,7 @@ describe('Project Analysis Properties', () => {
         
         try {
           // Execute the project analysis step without input (should return analysis)
-          const result = await controller.executeStep(PipelineStep.PROJECT_ANALYSIS, {});
+          const result = (await controller.executeStep(PipelineStep.PROJECT_ANALYSIS, {})) as ProjectAnalysisStepResult;
           
           // Property: Should provide project analysis results
           expect(result.success).toBe(true);
@@ -200,9 +214,9 @@ describe('Project Analysis Properties', () => {
         
         try {
           // Execute the project analysis step with modifications
-          const result = await controller.executeStep(PipelineStep.PROJECT_ANALYSIS, {
+          const result = (await controller.executeStep(PipelineStep.PROJECT_ANALYSIS, {
             projectModifications: testData.modifications
-          });
+          })) as ProjectAnalysisStepResult;
           
           // Property: Valid modifications should be accepted
           expect(result.success).toBe(true);
@@ -224,7 +238,7 @@ describe('Project Analysis Properties', () => {
           testData.modifications.addedProjects.forEach((addedProject: any) => {
             const foundProject = updatedResume.projects.find((p: any) => p.title === addedProject.title);
             expect(foundProject).toBeDefined();
-            expect(foundProject.bullets.length).toBeGreaterThan(0);
+            expect(foundProject?.bullets.length).toBeGreaterThan(0);
           });
           
           // Property: Removed projects should not be present
@@ -327,9 +341,9 @@ describe('Project Analysis Properties', () => {
         
         try {
           // Execute the project analysis step with invalid modifications
-          const result = await controller.executeStep(PipelineStep.PROJECT_ANALYSIS, {
+          const result = (await controller.executeStep(PipelineStep.PROJECT_ANALYSIS, {
             projectModifications: invalidModifications
-          });
+          })) as ProjectAnalysisStepResult;
           
           // Property: Invalid modifications should be rejected
           expect(result.success).toBe(false);
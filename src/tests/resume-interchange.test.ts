@@ -0,0 +1,169 @@
+/**
+ * Resume Interchange Tests
+ * Verifies JSON Resume round trips, external JSON Resume import and
+ * versioned PrimoBoost backups with migrations
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ResumeData } from '../types/resume';
+import {
+  JsonResume,
+  PRIMOBOOST_RESUME_FORMAT,
+  PRIMOBOOST_RESUME_SCHEMA_VERSION
+} from '../types/resumeInterchange';
+import {
+  toJsonResume,
+  fromJsonResume,
+  createPrimoBoostResumeFile,
+  migratePrimoBoostResumeFile,
+  detectResumeInterchangeFormat,
+  parseResumeJson
+} from '../utils/resumeInterchange';
+
+const sampleResume: ResumeData = {
+  name: 'Priya Nair',
+  phone: '+91 98765 43210',
+  email: 'priya.nair@email.com',
+  linkedin: 'https://linkedin.com/in/priyanair',
+  github: 'https://github.com/priyanair',
+  location: 'Pune, India',
+  targetRole: 'Backend Engineer',
+  summary: 'Backend engineer focused on payments infrastructure.',
+  careerObjective: 'Grow into a staff engineer role.',
+  education: [
+    { degree: 'B.Tech', school: 'COEP', year: '2016 - 2020', cgpa: '8.9', field: 'Computer Engineering', location: 'Pune' }
+  ],
+  workExperience: [
+    {
+      role: 'Software Engineer',
+      company: 'Razorpay',
+      year: 'Jul 2020 - Present',
+      location: 'Bengaluru',
+      bullets: ['Scaled settlement service to 5M payouts/day', 'Cut reconciliation time by 60%']
+    },
+    { role: 'Intern', company: 'Persistent', year: 'Jan 2020 – Jun 2020', bullets: [] }
+  ],
+  projects: [
+    {
+      title: 'Ledger CLI',
+      bullets: ['Double-entry ledger in Rust'],
+      githubUrl: 'https://github.com/priyanair/ledger',
+      description: 'Personal finance tool',
+      techStack: ['Rust', 'SQLite']
+    }
+  ],
+  skills: [
+    { category: 'Languages', count: 3, list: ['Go', 'Java', 'Rust'] },
+    { category: 'Cloud', count: 5, list: ['AWS'] }
+  ],
+  certifications: ['AWS Solutions Architect', { title: 'CKA', description: 'Certified Kubernetes Administrator' }],
+  additionalSections: [{ title: 'Languages Spoken', bullets: ['English', 'Marathi'] }],
+  achievements: ['Smart India Hackathon winner'],
+  origin: 'guided_builder',
+  language: 'hi'
+};
+
+describe('Resume Interchange', () => {
+  describe('JSON Resume', () => {
+    it('should round-trip ResumeData losslessly', () => {
+      expect(fromJsonResume(toJsonResume(sampleResume))).toEqual(sampleResume);
+    });
+
+    it('should survive serialisation through a JSON file', () => {
+      const text = JSON.stringify(toJsonResume(sampleResume));
+      expect(parseResumeJson(text).resume).toEqual(sampleResume);
+    });
+
+    it('should map fields onto standard JSON Resume sections', () => {
+      const json = toJsonResume(sampleResume);
+
+      expect(json.basics?.label).toBe('Backend Engineer');
+      expect(json.basics?.profiles).toEqual([
+        { network: 'LinkedIn', url: 'https://linkedin.com/in/priyanair' },
+        { network: 'GitHub', url: 'https://github.com/priyanair' }
+      ]);
+      expect(json.work?.[0]).toMatchObject({ name: 'Razorpay', position: 'Software Engineer', startDate: '2020-07' });
+      expect(json.work?.[0].endDate).toBeUndefined();
+      expect(json.work?.[1]).toMatchObject({ startDate: '2020-01', endDate: '2020-06' });
+      expect(json.education?.[0]).toMatchObject({ institution: 'COEP', startDate: '2016', endDate: '2020', score: '8.9' });
+      expect(json.skills?.[0]).toEqual({ name: 'Languages', keywords: ['Go', 'Java', 'Rust'] });
+    });
+
+    it('should import a JSON Resume written by another tool', () => {
+      const external: JsonResume = {
+        basics: {
+          name: 'Sam Lee',
+          email: 'sam@example.com',
+          location: { city: 'Toronto', region: 'ON', countryCode: 'CA' },
+          profiles: [{ network: 'GitHub', username: 'samlee' }]
+        },
+        work: [{ name: 'Shopify', position: 'Developer', startDate: '2019-03-01', summary: 'Built checkout extensions' }],
+        certificates: [{ name: 'CKAD', issuer: 'CNCF' }]
+      };
+
+      const result = parseResumeJson(JSON.stringify({ ...external, volunteer: [{ organization: 'Code Club' }] }));
+
+      expect(result.format).toBe('json-resume');
+      expect(result.resume).toMatchObject({
+        name: 'Sam Lee',
+        location: 'Toronto, ON, CA',
+        github: 'https://github.com/samlee',
+        linkedin: '',
+        certifications: ['CKAD - CNCF']
+      });
+      expect(result.resume.workExperience[0]).toEqual({
+        role: 'Developer',
+        company: 'Shopify',
+        year: 'Mar 2019 - Present',
+        bullets: ['Built checkout extensions']
+      });
+      expect(result.warnings).toContain('Skipped "volunteer" section: not supported by PrimoBoost resumes');
+    });
+  });
+
+  describe('PrimoBoost native format', () => {
+    it('should import the current version without migrating', () => {
+      const file = createPrimoBoostResumeFile(sampleResume);
+      const result = parseResumeJson(JSON.stringify(file));
+
+      expect(file.format).toBe(PRIMOBOOST_RESUME_FORMAT);
+      expect(file.schemaVersion).toBe(PRIMOBOOST_RESUME_SCHEMA_VERSION);
+      expect(result).toMatchObject({ format: 'primoboost', migrated: false, warnings: [] });
+      expect(result.resume).toEqual(sampleResume);
+    });
+
+    it('should migrate bare legacy ResumeData', () => {
+      const legacy = {
+        name: 'Legacy User',
+        email: 'legacy@example.com',
+        workExperience: [{ role: 'Analyst', company: 'TCS', year: '2019', bullets: [] }],
+        skills: [{ category: 'Tools', list: ['Excel', 'SQL'] }]
+      };
+
+      expect(detectResumeInterchangeFormat(legacy)).toBe('primoboost');
+
+      const { file, sourceVersion, migrated } = migratePrimoBoostResumeFile(legacy);
+      expect(sourceVersion).toBe(0);
+      expect(migrated).toBe(true);
+      expect(file.schemaVersion).toBe(PRIMOBOOST_RESUME_SCHEMA_VERSION);
+      expect(file.resume.skills).toEqual([{ category: 'Tools', list: ['Excel', 'SQL'], count: 2 }]);
+      expect(file.resume.education).toEqual([]);
+      expect(file.resume.phone).toBe('');
+    });
+
+    it('should refuse files from a newer schema version', () => {
+      const future = { ...createPrimoBoostResumeFile(sampleResume), schemaVersion: PRIMOBOOST_RESUME_SCHEMA_VERSION + 1 };
+      expect(() => parseResumeJson(JSON.stringify(future))).toThrow(/newer version/);
+    });
+
+    it('should report which field is invalid', () => {
+      const broken = { ...createPrimoBoostResumeFile(sampleResume), resume: { ...sampleResume, skills: 'Go, Java' } };
+      expect(() => parseResumeJson(JSON.stringify(broken))).toThrow(/resume\.skills/);
+    });
+  });
+
+  it('should reject files that are not resumes', () => {
+    expect(() => parseResumeJson('not json')).toThrow('The selected file is not valid JSON.');
+    expect(() => parseResumeJson('{"hello": "world"}')).toThrow(/Unrecognised resume format/);
+  });
+});
@@ -4,7 +4,18 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import fc from 'fast-check';
 import { PipelineController } from '../services/pipelineController';
-import { PipelineStep } from '../types/pipeline';
+import { PipelineStep, StepResult } from '../types/pipeline';
+import { ResumeData } from '../types/resume';
+
+// What the parse step publishes, as far as these properties check it
+type ParseStepResult = StepResult & {
+  data: {
+    resumeData: ResumeData;
+    parsingConfidence: number;
+    missingSections: string[];
+    errorType?: string;
+  };
+};
 
 describe('Resume Parsing Properties', () => {
   let controller: PipelineController;
@@ -66,7 +77,7 @@ describe('Resume Parsing Properties', () => {
         
         try {
           // Execute the parsing step
-          const result = await controller.executeStep(PipelineStep.PARSE_RESUME, { file });
+          const result = (await controller.executeStep(PipelineStep.PARSE_RESUME, { file })) as ParseStepResult;
           
           // Property: Parsing should succeed for valid files
           expect(result.success).toBe(true);
@@ -185,7 +196,7 @@ describe('Resume Parsing Properties', () => {
         
         try {
           // Execute the parsing step
-          const result = await controller.executeStep(PipelineStep.PARSE_RESUME, { file });
+          const result = (await controller.executeStep(PipelineStep.PARSE_RESUME, { file })) as ParseStepResult;
           
           // Property: Should succeed
           expect(result.success).toBe(true);
@@ -262,7 +273,7 @@ describe('Resume Parsing Properties', () => {
         
         try {
           // Execute the parsing step with invalid input
-          const result = await controller.executeStep(PipelineStep.PARSE_RESUME, { file });
+          const result = (await controller.executeStep(PipelineStep.PARSE_RESUME, { file })) as ParseStepResult;
           
           // Property: Should fail gracefully for invalid files
           expect(result.success).toBe(false);
@@ -0,0 +1,276 @@
+// src/tests/resume-version-history.test.ts
+// Tests for resume version branches, diffs, restore and cherry-pick
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ResumeVersionHistoryService } from '../services/resumeVersionHistoryService';
+import { cherryPickBullets, diffResumes } from '../utils/resumeDiff';
+import { ResumeData } from '../types/resume';
+
+const USER = 'user-1';
+const BACKEND_JD = 'Senior Backend Engineer\nBuild Go and PostgreSQL services on Kubernetes.';
+const DATA_JD = 'Data Engineer\nOwn Spark pipelines and Airflow scheduling.';
+
+const baseResume = (): ResumeData => ({
+  name: 'Asha Rao',
+  phone: '+91 90000 00000',
+  email: 'asha@example.com',
+  linkedin: 'linkedin.com/in/asha',
+  github: 'github.com/asha',
+  summary: 'Backend engineer with 5 years of experience.',
+  education: [{ degree: 'B.Tech', school: 'NIT Trichy', year: '2019' }],
+  workExperience: [
+    {
+      role: 'Software Engineer',
+      company: 'Acme',
+      year: '2019 - Present',
+      bullets: [
+        'Built payment APIs in Go serving 2M requests per day',
+        'Reduced PostgreSQL query latency by 40% with targeted indexes',
+        'Mentored 3 junior engineers'
+      ]
+    }
+  ],
+  projects: [{ title: 'Rate Limiter', bullets: ['Implemented a token bucket rate limiter in Go'] }],
+  skills: [{ category: 'Languages', count: 2, list: ['Go', 'Python'] }],
+  certifications: ['AWS Solutions Architect']
+});
+
+const edit = (mutate: (data: ResumeData) => void): ResumeData => {
+  const data = baseResume();
+  mutate(data);
+  return data;
+};
+
+describe('diffResumes', () => {
+  it('should report field-level changes', () => {
+    const after = edit(data => {
+      data.summary = 'Backend engineer focused on distributed systems.';
+      data.skills[0].list.push('Rust');
+      data.certifications.push('CKA');
+      data.workExperience[0].year = '2019 - 2024';
+    });
+
+    const diff = diffResumes(baseResume(), after);
+    const paths = diff.fields.map(field => `${field.type}:${field.path}`);
+
+    expect(paths).toContain('modified:summary');
+    expect(paths).toContain('modified:skills.Languages');
+    expect(paths).toContain('added:certifications');
+    expect(paths).toContain('modified:workExperience[0].year');
+    expect(diff.summary.fieldsChanged).toBe(4);
+  });
+
+  it('should classify bullets as added, removed or reworded', () => {
+    const after = edit(data => {
+      data.workExperience[0].bullets = [
+        'Built payment APIs in Go serving 5M requests per day with 99.99% uptime',
+        'Reduced PostgreSQL query latency by 40% with targeted indexes',
+        'Led the migration of 12 services to Kubernetes'
+      ];
+    });
+
+    const { bullets, summary } = diffResumes(baseResume(), after);
+
+    expect(summary).toMatchObject({ bulletsAdded: 1, bulletsRemoved: 1, bulletsModified: 1 });
+    const reworded = bullets.find(change => change.type === 'modified')!;
+    expect(reworded.before!.text).toContain('2M requests');
+    expect(reworded.after!.text).toContain('5M requests');
+    expect(reworded.after!.ref).toEqual({ section: 'workExperience', entryIndex: 0, bulletIndex: 0 });
+    expect(bullets.find(change => change.type === 'removed')!.before!.text).toBe('Mentored 3 junior engineers');
+    expect(bullets.find(change => change.type === 'added')!.entryLabel).toBe('Software Engineer · Acme');
+  });
+
+  it('should match entries that moved and report nothing for identical resumes', () => {
+    expect(diffResumes(baseResume(), baseResume()).fields).toEqual([]);
+    expect(diffResumes(baseResume(), baseResume()).bullets).toEqual([]);
+
+    const reordered = edit(data => {
+      data.projects.unshift({ title: 'Chat Server', bullets: ['Wrote a websocket chat server'] });
+    });
+    const diff = diffResumes(baseResume(), reordered);
+
+    expect(diff.bullets).toEqual([
+      expect.objectContaining({ type: 'added', entryLabel: 'Chat Server' })
+    ]);
+  });
+});
+
+describe('cherryPickBullets', () => {
+  it('should replace the bullet a picked bullet rewords and insert new ones', () => {
+    const source = edit(data => {
+      data.workExperience[0].bullets[0] = 'Built payment APIs in Go serving 5M requests per day';
+      data.workExperience[0].bullets.push('Cut cloud spend by 25% by right-sizing clusters');
+    });
+
+    const picked = cherryPickBullets(baseResume(), source, [
+      { section: 'workExperience', entryIndex: 0, bulletIndex: 0 },
+      { section: 'workExperience', entryIndex: 0, bulletIndex: 3 }
+    ]);
+
+    expect(picked.workExperience[0].bullets).toEqual([
+      'Built payment APIs in Go serving 5M requests per day',
+      'Reduced PostgreSQL query latency by 40% with targeted indexes',
+      'Mentored 3 junior engineers',
+      'Cut cloud spend by 25% by right-sizing clusters'
+    ]);
+    expect(baseResume().workExperience[0].bullets[0]).toContain('2M requests');
+  });
+
+  it('should refuse to pick into a version without the matching entry', () => {
+    const source = edit(data => {
+      data.projects = [{ title: 'Chat Server', bullets: ['Wrote a websocket chat server'] }];
+    });
+
+    expect(() => cherryPickBullets(baseResume(), source, [{ section: 'projects', entryIndex: 0, bulletIndex: 0 }]))
+      .toThrow(/no matching entry/);
+    expect(() => cherryPickBullets(baseResume(), source, [{ section: 'projects', entryIndex: 0, bulletIndex: 5 }]))
+      .toThrow(/No projects bullet/);
+  });
+});
+
+describe('ResumeVersionHistoryService', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should keep one branch per job description', () => {
+    const first = ResumeVersionHistoryService.getOrCreateBranch(USER, { jobDescription: BACKEND_JD, targetRole: 'Backend Engineer' });
+    const again = ResumeVersionHistoryService.getOrCreateBranch(USER, { jobDescription: `  ${BACKEND_JD.toUpperCase()} ` });
+    const other = ResumeVersionHistoryService.getOrCreateBranch(USER, { jobDescription: DATA_JD });
+
+    expect(again.id).toBe(first.id);
+    expect(other.id).not.toBe(first.id);
+    expect(first.name).toBe('Backend Engineer');
+    expect(other.name).toBe('Data Engineer');
+    expect(ResumeVersionHistoryService.getBranches(USER)).toHaveLength(2);
+    expect(ResumeVersionHistoryService.getBranches('someone-else')).toEqual([]);
+  });
+
+  it('should persist versions tagged with their score and diff them', () => {
+    const v1 = ResumeVersionHistoryService.commitForJob(USER, { jobDescription: BACKEND_JD }, baseResume(), { score: 62 });
+    const v2 = ResumeVersionHistoryService.commitForJob(
+      USER,
+      { jobDescription: BACKEND_JD },
+      edit(data => { data.skills[0].list.push('Kubernetes'); }),
+      { score: 78, name: 'Added Kubernetes' }
+    );
+
+    const versions = ResumeVersionHistoryService.getVersions(USER, v1.branchId);
+    expect(versions.map(v => v.name)).toEqual(['Version 1', 'Added Kubernetes']);
+    expect(versions[1].parentId).toBe(v1.id);
+    expect(versions[1].createdAt).toBeInstanceOf(Date);
+    expect(ResumeVersionHistoryService.getBranch(USER, v1.branchId).headVersionId).toBe(v2.id);
+
+    const diff = ResumeVersionHistoryService.diffVersions(USER, v1.id, v2.id);
+    expect(diff.scoreDelta).toBe(16);
+    expect(diff.fields).toEqual([expect.objectContaining({ path: 'skills.Languages', type: 'modified' })]);
+
+    expect(() => ResumeVersionHistoryService.getVersion(USER, 'missing')).toThrow(/not found/);
+  });
+
+  it('should record optimizer results on the job branch and never fail the optimization', () => {
+    const version = ResumeVersionHistoryService.recordOptimization(
+      USER,
+      { jobDescription: BACKEND_JD, targetRole: 'Backend Engineer' },
+      baseResume(),
+      { score: 88, changes: ['Added Kubernetes to skills'] }
+    );
+
+    expect(version).toMatchObject({ source: 'pipeline', score: 88, changes: ['Added Kubernetes to skills'] });
+    expect(version!.name).toMatch(/^Optimized /);
+    expect(ResumeVersionHistoryService.getBranches(USER).map(b => b.name)).toEqual(['Backend Engineer']);
+
+    const setItem = vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+    try {
+      expect(ResumeVersionHistoryService.recordOptimization(USER, { jobDescription: DATA_JD }, baseResume())).toBeNull();
+    } finally {
+      setItem.mockRestore();
+    }
+    expect(ResumeVersionHistoryService.getVersions(USER, version!.branchId)).toHaveLength(1);
+  });
+
+  it('should restore an old version as a new head without losing history', () => {
+    const v1 = ResumeVersionHistoryService.commitForJob(USER, { jobDescription: BACKEND_JD }, baseResume(), { score: 70 });
+    ResumeVersionHistoryService.commitForJob(USER, { jobDescription: BACKEND_JD }, edit(data => { data.summary = 'Worse summary'; }), { score: 60 });
+
+    const restored = ResumeVersionHistoryService.restoreVersion(USER, v1.id);
+
+    expect(restored.source).toBe('restore');
+    expect(restored.score).toBe(70);
+    expect(restored.data.summary).toBe(baseResume().summary);
+    expect(ResumeVersionHistoryService.getVersions(USER, v1.branchId)).toHaveLength(3);
+    expect(ResumeVersionHistoryService.getHeadVersion(USER, v1.branchId)!.id).toBe(restored.id);
+  });
+
+  it('should branch for another job and cherry-pick bullets across branches', () => {
+    const backend = ResumeVersionHistoryService.commitForJob(USER, { jobDescription: BACKEND_JD }, baseResume());
+    const dataBranch = ResumeVersionHistoryService.branchFromVersion(USER, backend.id, { jobDescription: DATA_JD, targetRole: 'Data Engineer' });
+    expect(dataBranch.forkedFrom).toEqual({ branchId: backend.branchId, versionId: backend.id });
+    expect(() => ResumeVersionHistoryService.branchFromVersion(USER, backend.id, { jobDescription: DATA_JD }))
+      .toThrow(/already exists/);
+
+    const improved = ResumeVersionHistoryService.commitForJob(
+      USER,
+      { jobDescription: BACKEND_JD },
+      edit(data => { data.workExperience[0].bullets.push('Designed an event pipeline on Kafka processing 1B events per day'); })
+    );
+
+    const picked = ResumeVersionHistoryService.cherryPick(USER, improved.id, dataBranch.id, [
+      { section: 'workExperience', entryIndex: 0, bulletIndex: 3 }
+    ]);
+
+    expect(picked.branchId).toBe(dataBranch.id);
+    expect(picked.source).toBe('cherry-pick');
+    expect(picked.data.workExperience[0].bullets).toHaveLength(4);
+    expect(ResumeVersionHistoryService.getHeadVersion(USER, backend.branchId)!.id).toBe(improved.id);
+    expect(() => ResumeVersionHistoryService.cherryPick(USER, improved.id, dataBranch.id, [])).toThrow(/at least one bullet/);
+  });
+
+  it('should prune the oldest versions but keep fork points', () => {
+    const first = ResumeVersionHistoryService.commitForJob(USER, { jobDescription: BACKEND_JD }, baseResume());
+    ResumeVersionHistoryService.branchFromVersion(USER, first.id, { jobDescription: DATA_JD });
+    const second = ResumeVersionHistoryService.commitForJob(USER, { jobDescription: BACKEND_JD }, baseResume());
+
+    for (let i = 0; i < 35; i++) {
+      ResumeVersionHistoryService.commitForJob(USER, { jobDescription: BACKEND_JD }, baseResume());
+    }
+
+    const ids = ResumeVersionHistoryService.getVersions(USER, first.branchId).map(v => v.id);
+    expect(ids).toHaveLength(30);
+    expect(ids).toContain(first.id);
+    expect(ids).not.toContain(second.id);
+  });
+
+  it('should drop the oldest versions when storage is full and say so when nothing can go', () => {
+    const quotaError = () => new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+    const first = ResumeVersionHistoryService.commitForJob(USER, { jobDescription: BACKEND_JD }, baseResume());
+    const second = ResumeVersionHistoryService.commitForJob(USER, { jobDescription: BACKEND_JD }, baseResume());
+    const dataBranch = ResumeVersionHistoryService.branchFromVersion(USER, second.id, { jobDescription: DATA_JD });
+
+    let room = 3;
+    const setItem = Storage.prototype.setItem;
+    const spy = vi.spyOn(Storage.prototype, 'setItem').mockImplementation(function (this: Storage, key: string, value: string) {
+      if (JSON.parse(value).versions.length > room) throw quotaError();
+      setItem.call(this, key, value);
+    });
+    try {
+      const third = ResumeVersionHistoryService.commitForJob(USER, { jobDescription: BACKEND_JD }, baseResume());
+
+      const ids = ResumeVersionHistoryService.getVersions(USER, first.branchId).map(v => v.id);
+      expect(ids).not.toContain(first.id);
+      // The fork point and the new head stay
+      expect(ids).toEqual([second.id, third.id]);
+      expect(ResumeVersionHistoryService.getVersions(USER, dataBranch.id)).toHaveLength(1);
+
+      // Both heads and the fork point don't fit in two
+      room = 2;
+      expect(() => ResumeVersionHistoryService.commitForJob(USER, { jobDescription: BACKEND_JD }, baseResume()))
+        .toThrow(/history is full/);
+      expect(ResumeVersionHistoryService.getHeadVersion(USER, first.branchId)!.id).toBe(third.id);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,153 @@
+// src/tests/rewrite-workbench.test.ts
+// Tests for per-bullet rewrite candidates, their checks, and saving decisions as a version
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { RewriteWorkbenchService } from '../services/rewriteWorkbenchService';
+import { FullResumeRewriter16ParameterService, FullRewriteResult } from '../services/fullResumeRewriter16ParameterService';
+import { ResumeVersionHistoryService } from '../services/resumeVersionHistoryService';
+import { ResumeData } from '../types/resume';
+
+const USER = 'user-1';
+const JD = 'Senior Backend Engineer\nBuild Go and PostgreSQL services on Kubernetes. Payment systems experience required.';
+
+const LONG_BULLET = 'Was responsible for working closely with the platform team in order to design and successfully roll out ' +
+  'a Kubernetes deployment pipeline for 12 services';
+
+const baseResume = (): ResumeData => ({
+  name: 'Asha Rao',
+  phone: '+91 90000 00000',
+  email: 'asha@example.com',
+  linkedin: 'linkedin.com/in/asha',
+  github: 'github.com/asha',
+  summary: 'Backend engineer with 5 years of experience.',
+  education: [{ degree: 'B.Tech', school: 'NIT Trichy', year: '2019' }],
+  workExperience: [
+    {
+      role: 'Software Engineer',
+      company: 'Acme',
+      year: '2019 - Present',
+      bullets: [
+        'Built payment APIs in Go serving 2M requests per day',
+        'Reduced PostgreSQL query latency by 40% with targeted indexes',
+        LONG_BULLET
+      ]
+    }
+  ],
+  projects: [{ title: 'Rate Limiter', bullets: ['Implemented a token bucket rate limiter in Go'] }],
+  skills: [{ category: 'Languages', count: 2, list: ['Go', 'Python'] }],
+  certifications: []
+});
+
+// What the 16-parameter optimizer would do to the resume
+const optimizerRewrite = (resume: ResumeData): ResumeData => {
+  const rewritten: ResumeData = JSON.parse(JSON.stringify(resume));
+  rewritten.workExperience[0].bullets[0] = 'Built payment APIs in Go and Kafka serving 2M requests per day, reducing costs by $50K annually';
+  rewritten.workExperience[0].bullets[1] = 'Reduced PostgreSQL query latency with targeted indexes';
+  return rewritten;
+};
+
+describe('RewriteWorkbenchService', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.spyOn(FullResumeRewriter16ParameterService, 'rewriteResume').mockImplementation(async resume => ({
+      rewrittenResume: optimizerRewrite(resume)
+    }) as FullRewriteResult);
+  });
+
+  it('should collect candidates per bullet and flag invented terms and metrics', async () => {
+    const session = await RewriteWorkbenchService.createSession(baseResume(), JD);
+    const [apis, latency, pipeline, ...rest] = session.bullets;
+
+    expect(session.bullets).toHaveLength(4);
+    expect(rest[0].candidates).toEqual([]);
+
+    const [optimized] = apis.candidates;
+    expect(optimized.source).toBe('optimizer');
+    expect(optimized.checks.hallucinatedTerms).toEqual(['Kafka']);
+    expect(optimized.checks.metricsAdded).toEqual(['$50K']);
+    expect(optimized.checks.metricsPreserved).toBe(true);
+    expect(RewriteWorkbenchService.isFlagged(optimized)).toBe(true);
+
+    // Dropping "40%" is flagged, and the same rewrite with the metric put back is offered
+    expect(latency.candidates.map(candidate => candidate.source)).toEqual(['optimizer', 'metric-restore']);
+    expect(latency.candidates[0].checks.metricsLost).toContain('40%');
+    expect(latency.candidates[1].bullets[0]).toContain('40%');
+    expect(latency.candidates[1].checks.metricsPreserved).toBe(true);
+
+    expect(pipeline.candidates.map(candidate => candidate.source)).toEqual(['length-fix']);
+    pipeline.candidates[0].bullets.forEach(text => expect(text.length).toBeLessThanOrEqual(120));
+    expect(pipeline.candidates[0].scoreDelta).toBe(
+      FullResumeRewriter16ParameterService.scoreResumeData(
+        { ...baseResume(), workExperience: [{ ...baseResume().workExperience[0], bullets: [
+          baseResume().workExperience[0].bullets[0],
+          baseResume().workExperience[0].bullets[1],
+          ...pipeline.candidates[0].bullets
+        ] }] },
+        JD
+      ).overallScore - session.baseScore
+    );
+  });
+
+  it('should apply only accepted candidates and user edits', async () => {
+    let session = await RewriteWorkbenchService.createSession(baseResume(), JD);
+    const [apis, latency, pipeline, project] = session.bullets;
+
+    session = RewriteWorkbenchService.reject(session, apis.key);
+    session = RewriteWorkbenchService.accept(session, latency.key, latency.candidates[1].id);
+    session = RewriteWorkbenchService.accept(session, pipeline.key, pipeline.candidates[0].id);
+    session = RewriteWorkbenchService.edit(session, project.key, 'Implemented a token bucket rate limiter in Go and Redis');
+
+    const edited = session.bullets[3].candidates[0];
+    expect(edited.source).toBe('edit');
+    expect(edited.checks.hallucinatedTerms).toEqual(['Redis']);
+
+    const result = RewriteWorkbenchService.applyDecisions(session);
+    expect(result.workExperience[0].bullets[0]).toBe(baseResume().workExperience[0].bullets[0]);
+    expect(result.workExperience[0].bullets[1]).toContain('40%');
+    expect(result.workExperience[0].bullets.slice(2)).toEqual(pipeline.candidates[0].bullets);
+    expect(result.projects[0].bullets).toEqual(['Implemented a token bucket rate limiter in Go and Redis']);
+
+    expect(RewriteWorkbenchService.summarize(session)).toMatchObject({ total: 4, accepted: 3, rejected: 1, pending: 0, flagged: 1 });
+    expect(() => RewriteWorkbenchService.accept(session, apis.key, 'nope')).toThrow('Unknown candidate');
+  });
+
+  it('should save the decisions as a new version on the branch', async () => {
+    const branch = ResumeVersionHistoryService.getOrCreateBranch(USER, { jobDescription: JD, targetRole: 'Backend Engineer' });
+    const base = ResumeVersionHistoryService.commitVersion(USER, branch.id, baseResume(), { source: 'pipeline' });
+
+    let session = await RewriteWorkbenchService.createSessionForBranch(USER, branch.id);
+    expect(session.baseVersionId).toBe(base.id);
+    expect(() => RewriteWorkbenchService.saveAsVersion(USER, session)).toThrow('Accept or edit at least one bullet');
+
+    const latency = session.bullets[1];
+    session = RewriteWorkbenchService.accept(session, latency.key, latency.candidates[1].id);
+    const version = RewriteWorkbenchService.saveAsVersion(USER, session);
+
+    expect(version).toMatchObject({ branchId: branch.id, parentId: base.id, source: 'workbench' });
+    expect(version.changes).toEqual(['Rewrote a bullet in Software Engineer · Acme (metric-restore)']);
+    expect(ResumeVersionHistoryService.getHeadVersion(USER, branch.id)?.id).toBe(version.id);
+    expect(ResumeVersionHistoryService.diffVersions(USER, base.id, version.id).summary.bulletsModified).toBe(1);
+  });
+
+  it('should review a rewrite the optimizer already applied without rewriting again', async () => {
+    const rewritten = optimizerRewrite(baseResume());
+    rewritten.skills[0].list.push('Kubernetes');
+    vi.mocked(FullResumeRewriter16ParameterService.rewriteResume).mockClear();
+
+    let session = await RewriteWorkbenchService.createSessionFromRewrite(baseResume(), rewritten, JD);
+    expect(FullResumeRewriter16ParameterService.rewriteResume).not.toHaveBeenCalled();
+
+    // Reworded bullets start at their original text; the rest of the rewrite is kept
+    const [apis, latency] = session.bullets;
+    expect(session.resume.workExperience[0].bullets.slice(0, 2)).toEqual(baseResume().workExperience[0].bullets.slice(0, 2));
+    expect(session.resume.skills[0].list).toContain('Kubernetes');
+    expect(apis.candidates[0]).toMatchObject({ source: 'optimizer', bullets: [rewritten.workExperience[0].bullets[0]] });
+    expect(latency.candidates.map(candidate => candidate.source)).toEqual(['optimizer', 'metric-restore']);
+
+    session = RewriteWorkbenchService.accept(session, latency.key, latency.candidates[1].id);
+    const version = RewriteWorkbenchService.saveAsVersion(USER, session);
+    expect(version.data.workExperience[0].bullets[0]).toBe(baseResume().workExperience[0].bullets[0]);
+    expect(version.data.workExperience[0].bullets[1]).toContain('40%');
+    expect(version.data.skills[0].list).toContain('Kubernetes');
+  });
+});
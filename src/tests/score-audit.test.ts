@@ -0,0 +1,118 @@
+/**
+ * Score Audit Trail Tests
+ * Verifies that every 16-parameter score carries steps that replay to the
+ * reported value, and that evidence spans point at the right resume text
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ATSScoreChecker16Parameter } from '../services/atsScoreChecker16Parameter';
+import { ParameterAuditRecorder, SCORE_PARAMETERS, scoreAuditService } from '../services/scoreAuditService';
+import { ScoreAuditTrail } from '../types/scoreAudit';
+
+const resumeText = `Meera Nair
+meera.nair@example.com | +91 98765 43210
+
+PROFESSIONAL SUMMARY
+Backend engineer building payment APIs with Node.js and PostgreSQL.
+
+SKILLS
+Node.js, TypeScript, PostgreSQL, Docker, AWS
+
+EXPERIENCE
+Senior Software Engineer, Cred
+Jan 2021 - Present
+- Cut settlement latency by 35% by batching ledger writes
+- Led a team of 4 engineers migrating services to AWS
+
+Software Engineer, Paytm
+Jul 2018 - Dec 2020
+- Built refund reconciliation jobs processing $2M daily
+
+EDUCATION
+B.Tech Computer Science, NIT Calicut, 2018
+
+CERTIFICATIONS
+AWS Certified Developer - Associate`;
+
+const jobDescription = `Senior Backend Engineer
+We are hiring a Senior Backend Engineer to build payment APIs using Node.js, TypeScript,
+PostgreSQL, Kafka and Kubernetes on AWS. Experience with Docker and CI/CD is required.`;
+
+const replay = (steps: ScoreAuditTrail['parameters'][number]['steps']) =>
+  steps.reduce((value, step) => {
+    expect(step.before).toBe(value);
+    return step.after;
+  }, 0);
+
+describe('Score audit recorder', () => {
+  it('should record only the floors and caps that change the score', () => {
+    const recorder = new ParameterAuditRecorder(SCORE_PARAMETERS[0]);
+
+    recorder.base(4, 'skills-tier', 'Skills tier');
+    recorder.atLeast(3, 'any-skill', 'Minimum 3');
+    recorder.atLeast(12, 'jd-match', 'JD match');
+    recorder.atMost(25, 'max', 'Cap');
+    recorder.atMost(10, 'max', 'Cap');
+
+    expect(recorder.value).toBe(10);
+    expect(recorder.recordedSteps.map(step => [step.ruleId, step.kind, step.delta])).toEqual([
+      ['keyword-match/skills-tier', 'base', 4],
+      ['keyword-match/jd-match', 'floor', 8],
+      ['keyword-match/max', 'cap', -2]
+    ]);
+  });
+
+  it('should report spans with offsets and 1-based line numbers', () => {
+    const spans = scoreAuditService.findSpans(resumeText, /35%|\$2M/g, 'earned', 'quantified-achievements/metric', 'Metric');
+
+    expect(spans.map(span => span.text)).toEqual(['35%', '$2M']);
+    spans.forEach(span => {
+      expect(resumeText.slice(span.start, span.end)).toBe(span.text);
+      expect(resumeText.split('\n')[span.line - 1]).toContain(span.text);
+    });
+  });
+});
+
+describe('16-parameter score audit trail', () => {
+  it('should explain every parameter with steps that replay to its score', async () => {
+    const result = await ATSScoreChecker16Parameter.evaluateResumeTextOnly(resumeText, jobDescription);
+    const audit = result.audit!;
+
+    expect(audit.scoringModel).toBe('legacy-16');
+    expect(audit.mode).toBe('jd_based');
+    expect(audit.parameters).toHaveLength(16);
+    expect(audit.overallScore).toBe(result.overallScore);
+
+    audit.parameters.forEach(parameter => {
+      expect(parameter.score).toBe(result.scores[parameter.key as keyof typeof result.scores]);
+      expect(replay(parameter.steps)).toBe(parameter.score);
+      expect(parameter.ruleId).toBe(parameter.steps[parameter.steps.length - 1].ruleId);
+    });
+  });
+
+  it('should point evidence at the resume lines that earned or cost points', async () => {
+    const { audit } = await ATSScoreChecker16Parameter.evaluateResumeTextOnly(resumeText, jobDescription);
+    const byKey = Object.fromEntries(audit!.parameters.map(parameter => [parameter.key, parameter]));
+
+    const keywordEvidence = byKey.keywordMatch.evidence;
+    expect(keywordEvidence.some(span => span.effect === 'earned' && /postgresql/i.test(span.text))).toBe(true);
+    expect(keywordEvidence.some(span => span.effect === 'cost' && span.source === 'jd' && /kafka/i.test(span.text))).toBe(true);
+
+    expect(byKey.quantifiedAchievements.evidence.map(span => span.text)).toEqual(expect.arrayContaining(['35%', '$2M']));
+    expect(byKey.employmentHistory.evidence.map(span => span.text)).toEqual(['Jan 2021 - Present', 'Jul 2018 - Dec 2020']);
+
+    const lines = scoreAuditService.getHighlightedLines(resumeText, byKey.quantifiedAchievements.evidence);
+    expect(lines.map(line => line.line)).toEqual([13, 18]);
+    expect(lines[0].segments).toEqual([
+      { text: '- Cut settlement latency by ' },
+      { text: '35%', effect: 'earned' },
+      { text: ' by batching ledger writes' }
+    ]);
+  });
+
+  it('should serialize the audit trail as JSON that reads back unchanged', async () => {
+    const { audit } = await ATSScoreChecker16Parameter.evaluateResumeTextOnly(resumeText, jobDescription);
+
+    expect(JSON.parse(scoreAuditService.serializeTrail(audit!))).toEqual(audit);
+  });
+});
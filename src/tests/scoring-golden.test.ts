@@ -0,0 +1,62 @@
+/**
+ * Scoring Golden-File Regression Tests
+ * Scores every corpus case in offline mode and compares the summary with its
+ * golden file, so any change to the scorers shows up as a failing diff.
+ *
+ * After an intended scoring change, regenerate the golden files with
+ * `npm run test:golden:update` and review the diff before committing.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { offlineScoringService } from '../services/offlineScoringService';
+import { scoringEnvironment } from '../services/scoringEnvironment';
+import { scoringCorpus } from './fixtures/scoringCorpus';
+
+// The real matcher is lexical and deterministic, so offline scoring uses it unmocked
+vi.unmock('../services/semanticMatchingService');
+
+const goldenSummary = async (resumeText: string, jobDescription?: string, filename?: string) => {
+  const result = await offlineScoringService.score(resumeText, jobDescription, { filename });
+  return `${JSON.stringify(offlineScoringService.summarize(result), null, 2)}\n`;
+};
+
+describe('Offline scoring golden files', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it.each(scoringCorpus.map(fixture => [fixture.id, fixture] as const))('should match the golden scores for %s', async (id, fixture) => {
+    const summary = await goldenSummary(fixture.resumeText, fixture.jobDescription, fixture.filename);
+    await expect(summary).toMatchFileSnapshot(`./__golden__/scoring/${id}.json`);
+  });
+
+  it('should not depend on the wall clock', async () => {
+    const [fixture] = scoringCorpus;
+    const today = await goldenSummary(fixture.resumeText, fixture.jobDescription, fixture.filename);
+
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2031-06-30T12:00:00Z'));
+    const later = await goldenSummary(fixture.resumeText, fixture.jobDescription, fixture.filename);
+
+    expect(later).toBe(today);
+  });
+
+  it('should restore live mode after scoring', async () => {
+    const [fixture] = scoringCorpus;
+    await offlineScoringService.score(fixture.resumeText, fixture.jobDescription);
+
+    expect(scoringEnvironment.isDeterministic()).toBe(false);
+    expect(scoringEnvironment.now().getFullYear()).toBe(new Date().getFullYear());
+  });
+
+  it('should match JD keywords through the skill dictionary and lexical matcher only', async () => {
+    const { matched, missing } = await offlineScoringService.matchKeywordsLexically(
+      'Built services on Amazon Web Services with k8s and Postgres.',
+      'Experience with AWS, Kubernetes, PostgreSQL and Rust required.'
+    );
+
+    expect(matched.map(match => match.keyword)).toEqual(expect.arrayContaining(['aws', 'kubernetes']));
+    expect(matched.every(match => match.via !== 'exact')).toBe(true);
+    expect(missing).toContain('rust');
+  });
+});
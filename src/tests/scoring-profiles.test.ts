@@ -0,0 +1,126 @@
+/**
+ * Scoring Profile Tests
+ * Covers schema validation, profile selection from the role classifier and
+ * region detection, and that the default profile keeps the original weights
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { ScoringProfileRegistry, scoringProfileRegistry } from '../services/scoringProfiles/scoringProfileRegistry';
+import { builtInScoringProfiles, defaultScoringProfile } from '../services/scoringProfiles/builtInProfiles';
+import { validateScoringProfile } from '../services/scoringProfiles/scoringProfileSchema';
+import { SCORE_PARAMETERS } from '../services/scoreAuditService';
+import { ATSRulebookService } from '../services/atsRulebookService';
+import { ScoringCore } from '../services/scoringCore';
+
+const indiaFresherJD = `Graduate Software Developer - Fresher (2024 Batch), Bengaluru
+We are hiring freshers from the 2024 graduate batch for our Bengaluru office. CTC 8-10 LPA.
+Requirements: Python or Java, data structures, SQL, REST APIs and Git. React projects are a plus.`;
+
+const usDataScienceJD = `Senior Data Scientist
+Location: San Francisco, CA (hybrid). Salary $180,000 - $220,000 plus 401(k).
+We need a senior data scientist with 6+ years in data science and machine learning: deep learning
+and NLP with PyTorch and scikit-learn, statistics, A/B testing and experimentation.`;
+
+const productManagerJD = `Senior Product Manager - Payments
+Own the roadmap for our checkout experience, run discovery with customers, prioritize with
+engineering and design, and define success metrics for every launch.`;
+
+describe('Scoring profile schema', () => {
+  it('should accept every built-in profile', () => {
+    builtInScoringProfiles.forEach(profile => {
+      expect(validateScoringProfile(profile).issues).toEqual([]);
+    });
+  });
+
+  it('should report each problem with its path', () => {
+    const { valid, issues } = validateScoringProfile({
+      ...defaultScoringProfile,
+      id: 'Bad Id',
+      matching: { semanticWeight: 0.7, literalWeight: 0.7 },
+      document: { ...defaultScoringProfile.document, pageLimit: { min: 3, max: 1 } }
+    });
+
+    expect(valid).toBe(false);
+    expect(issues.map(issue => issue.path)).toEqual(expect.arrayContaining(['id', 'matching', 'document.pageLimit']));
+  });
+});
+
+describe('Default scoring profile', () => {
+  it('should weight each 16-parameter score by its maximum', () => {
+    SCORE_PARAMETERS.forEach(({ key, maxScore }) => {
+      expect(defaultScoringProfile.parameterWeights[key as keyof typeof defaultScoringProfile.parameterWeights]).toBe(maxScore);
+    });
+  });
+
+  it('should keep the original penalty thresholds and rulebook limits', () => {
+    const { penalties, cappedPenalty } = ScoringCore.calculate_proportional_penalty(
+      [{ skill: 'Kafka', importance: 'critical' }, { skill: 'Redis', importance: 'low' }],
+      10
+    );
+
+    expect(penalties.map(penalty => [penalty.appliedPenalty, penalty.maxPenalty])).toEqual([[3, 15], [1, 8]]);
+    expect(cappedPenalty).toBe(4);
+    expect(ATSRulebookService.configFromProfile()).toMatchObject({
+      totalWordCountMin: 400,
+      totalWordCountMax: 650,
+      minMetricPercentage: 75,
+      keywordRepetitionMin: 4,
+      keywordRepetitionMax: 6
+    });
+  });
+});
+
+describe('Scoring profile selection', () => {
+  afterEach(() => {
+    scoringProfileRegistry.replaceSaved([]);
+  });
+
+  it('should pick profiles from role, seniority, region and title', () => {
+    expect(scoringProfileRegistry.select(indiaFresherJD).profile.id).toBe('sde-india-fresher');
+    expect(scoringProfileRegistry.select(usDataScienceJD).profile.id).toBe('data-science-us-experienced');
+    expect(scoringProfileRegistry.select(productManagerJD).profile.id).toBe('product-manager');
+  });
+
+  it('should fall back to the default profile when region or seniority do not match', () => {
+    const selection = scoringProfileRegistry.select(indiaFresherJD, { region: 'us' });
+
+    expect(selection.profile.id).toBe('default');
+    expect(selection.region).toBe('us');
+  });
+
+  it('should prefer admin-edited profiles and restore built-ins when they are removed', () => {
+    scoringProfileRegistry.replaceSaved([
+      { ...defaultScoringProfile, parameterWeights: { ...defaultScoringProfile.parameterWeights, keywordMatch: 30 } },
+      { ...defaultScoringProfile, id: 'broken', matching: { semanticWeight: 2, literalWeight: 0 } }
+    ]);
+
+    expect(scoringProfileRegistry.getDefault().parameterWeights.keywordMatch).toBe(30);
+    expect(scoringProfileRegistry.list().map(profile => profile.id)).not.toContain('broken');
+
+    scoringProfileRegistry.remove('default');
+    expect(scoringProfileRegistry.getDefault()).toBe(defaultScoringProfile);
+    expect(() => scoringProfileRegistry.remove('default')).toThrow(/cannot be deleted/);
+  });
+
+  it('should reject invalid profiles on register', () => {
+    const registry = new ScoringProfileRegistry(builtInScoringProfiles);
+
+    expect(() => registry.register({ ...defaultScoringProfile, id: 'x', parameterWeights: {} })).toThrow(/Invalid scoring profile/);
+  });
+
+  it('should apply the selected profile to rulebook checks', () => {
+    const fresher = scoringProfileRegistry.get('sde-india-fresher');
+    const resumeData = {
+      name: 'Sneha',
+      email: 'sneha@example.com',
+      skills: [{ category: 'Languages', list: ['Python'] }],
+      education: [{ degree: 'B.E.', school: 'Pune University', year: '2024' }]
+    };
+
+    const sectionOrder = ATSRulebookService.validateSectionOrder(resumeData, fresher);
+
+    expect(sectionOrder.isValid).toBe(false);
+    expect(sectionOrder.missingRequired).toEqual(['projects']);
+    expect(ATSRulebookService.configFromProfile(fresher).pageLimitMax).toBe(1);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Semantic Index Tests
+ * Covers top-k search over the vector index, embedding reuse through the
+ * content-hash cache, the batched requirement × bullet matrix behind hybrid
+ * matching, and that offline scoring never loads the model
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { embeddingModel } from '../services/semantic/embeddingModel';
+import { embeddingCache } from '../services/semantic/embeddingCache';
+import { VectorIndex } from '../services/semantic/vectorIndex';
+import { semanticIndexService } from '../services/semantic/semanticIndexService';
+import { scoringEnvironment } from '../services/scoringEnvironment';
+import { HybridMatcher } from '../services/hybridMatcher';
+
+const DIMENSIONS = 384;
+
+// Bag-of-words stand-in for the model: texts sharing words score higher
+const fakeEmbedding = (text: string): Float32Array => {
+  const vector = new Float32Array(DIMENSIONS);
+  text.toLowerCase().split(/\W+/).filter(Boolean).forEach(word => {
+    [31, 37].forEach(multiplier => {
+      let hash = 0;
+      for (const char of word) hash = (hash * multiplier + char.charCodeAt(0)) % DIMENSIONS;
+      vector[hash] += 1;
+    });
+  });
+  const norm = Math.hypot(...vector) || 1;
+  return vector.map(value => value / norm);
+};
+
+const unitVector = (...values: number[]): Float32Array => {
+  const vector = new Float32Array(DIMENSIONS);
+  vector.set(values);
+  const norm = Math.hypot(...values);
+  return vector.map(value => value / norm);
+};
+
+describe('VectorIndex', () => {
+  it('should return the k closest items above the threshold, best first', () => {
+    const index = new VectorIndex<string>(DIMENSIONS, 1);
+    index.add({ id: 'a', text: 'a', kind: 'text' }, unitVector(1, 0));
+    index.add({ id: 'b', text: 'b', kind: 'text' }, unitVector(1, 1));
+    index.add({ id: 'c', text: 'c', kind: 'text' }, unitVector(0, 1));
+    index.add({ id: 'd', text: 'd', kind: 'text' }, unitVector(-1, 0));
+
+    const query = unitVector(1, 0.2);
+    expect(index.size).toBe(4);
+    expect(index.search(query, 2).map(hit => hit.item.id)).toEqual(['a', 'b']);
+    expect(index.search(query, 10, 0.5).map(hit => hit.item.id)).toEqual(['a', 'b']);
+    expect(index.search(query, 0)).toEqual([]);
+    expect(() => index.add({ id: 'e', text: 'e', kind: 'text' }, new Float32Array(3))).toThrow('384-dimension');
+  });
+});
+
+describe('Semantic index service', () => {
+  beforeEach(async () => {
+    await embeddingCache.clear();
+    vi.mocked(embeddingModel.load).mockResolvedValue({} as Awaited<ReturnType<typeof embeddingModel.load>>);
+    vi.mocked(embeddingModel.embed).mockReset().mockImplementation(async texts => texts.map(fakeEmbedding));
+  });
+
+  it('should embed each distinct text once and reuse cached vectors', async () => {
+    const first = await semanticIndexService.embed(['Led a team of five', '  led a TEAM of five ', 'Shipped the API'], 'bullet');
+    expect(embeddingModel.embed).toHaveBeenCalledTimes(1);
+    expect(embeddingModel.embed).toHaveBeenCalledWith(['Led a team of five', 'Shipped the API']);
+    expect(first[1]).toBe(first[0]);
+
+    await semanticIndexService.embed(['Shipped the API', 'Wrote the docs'], 'bullet');
+    expect(embeddingModel.embed).toHaveBeenLastCalledWith(['Wrote the docs']);
+    expect(embeddingCache.getStats()).toMatchObject({ hits: 1, misses: 4 });
+  });
+
+  it('should score every requirement against every bullet in one batch per side', async () => {
+    const result = await HybridMatcher.matchJDToResume(
+      'Experience building payment APIs with Kafka\nStrong communication skills with stakeholders',
+      'EXPERIENCE\n• Built payment APIs on Kafka handling 2M events a day\n• Presented roadmaps to stakeholders every quarter'
+    );
+
+    expect(embeddingModel.embed).toHaveBeenCalledTimes(2);
+    const [payments, communication] = result.matches;
+    expect(payments.matchedBullet?.text).toContain('payment APIs');
+    expect(payments.semanticScore).toBeGreaterThan(communication.semanticScore);
+    expect(communication.matchedBullet?.text).toContain('stakeholders');
+
+    const [nearest] = await semanticIndexService.nearestSkills('Kubernetes', 1);
+    expect(nearest.item.id).toBe('kubernetes');
+  });
+
+  it('should not load the model offline', async () => {
+    vi.mocked(embeddingModel.load).mockClear();
+
+    await scoringEnvironment.runDeterministic({ referenceDate: '2025-01-01' }, async () => {
+      expect(await semanticIndexService.initialize()).toBe(false);
+      await expect(semanticIndexService.similarity('React', 'Vue')).rejects.toThrow('Embedding model unavailable');
+    });
+    expect(embeddingModel.load).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,314 @@
+// src/tests/session-sync.test.ts
+// Tests for cross-device session sync: encryption at rest, revision conflicts
+// between devices, merging, expiry and listing sessions from every device
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import type { SyncedSessionDetails } from '../types/sessionSync';
+
+// In-memory stand-in for the synced_sessions table and save_synced_session()
+interface SyncedSessionTableRow {
+  user_id: string;
+  kind: string;
+  session_id: string;
+  device_id: string;
+  device_label: string;
+  encrypted_payload: string;
+  details: SyncedSessionDetails;
+  revision: number;
+  expires_at: string;
+  updated_at: string;
+}
+type Column = Exclude<keyof SyncedSessionTableRow, 'details'>;
+type QueryResult = { data: SyncedSessionTableRow[] | null; error: null };
+
+interface MockQuery {
+  select: () => MockQuery;
+  delete: () => MockQuery;
+  eq: (column: Column, value: unknown) => MockQuery;
+  gt: (column: Column, value: string) => MockQuery;
+  order: (column: Column, options: { ascending: boolean }) => MockQuery;
+  maybeSingle: () => Promise<{ data: SyncedSessionTableRow | null; error: null }>;
+  single: () => Promise<{ data: SyncedSessionTableRow | null; error: { message: string } | null }>;
+  then: (resolve: (result: QueryResult) => unknown, reject: (error: unknown) => unknown) => Promise<unknown>;
+}
+
+interface SaveSessionParams {
+  p_session_id: string;
+  p_kind: string;
+  p_device_id: string;
+  p_device_label: string;
+  p_encrypted_payload: string;
+  p_details: SyncedSessionDetails;
+  p_base_revision: number | null;
+  p_expires_at: string;
+}
+
+const server = vi.hoisted(() => ({
+  tables: {} as Record<string, SyncedSessionTableRow[]>,
+  userId: 'user-1'
+}));
+
+vi.mock('../lib/supabaseClient', () => {
+  const rowsOf = (table: string) => (server.tables[table] = server.tables[table] || []);
+
+  const from = (table: string) => {
+    const filters: ((row: SyncedSessionTableRow) => boolean)[] = [];
+    let isDelete = false;
+    let orderBy: { column: Column; ascending: boolean } | null = null;
+
+    const run = async (): Promise<QueryResult> => {
+      const matches = rowsOf(table).filter(row => filters.every(filter => filter(row)));
+      if (isDelete) {
+        server.tables[table] = rowsOf(table).filter(row => !matches.includes(row));
+        return { data: null, error: null };
+      }
+      if (orderBy) {
+        const { column, ascending } = orderBy;
+        matches.sort((a, b) => (String(a[column]) < String(b[column]) ? -1 : 1) * (ascending ? 1 : -1));
+      }
+      return { data: matches.map(row => ({ ...row })), error: null };
+    };
+
+    const builder: MockQuery = {
+      select: () => builder,
+      delete: () => { isDelete = true; return builder; },
+      eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+      gt: (column, value) => { filters.push(row => String(row[column]) > value); return builder; },
+      order: (column, options) => { orderBy = { column, ...options }; return builder; },
+      maybeSingle: async () => ({ data: (await run()).data?.[0] ?? null, error: null }),
+      single: async () => {
+        const row = (await run()).data?.[0];
+        return row ? { data: row, error: null } : { data: null, error: { message: 'No rows' } };
+      },
+      then: (resolve, reject) => run().then(resolve, reject)
+    };
+    return builder;
+  };
+
+  const rpc = async (name: string, params: SaveSessionParams) => {
+    if (name !== 'save_synced_session') return { data: null, error: { message: `Unknown function ${name}` } };
+
+    const now = new Date().toISOString();
+    const rows = rowsOf('synced_sessions');
+    const current = rows.find(row =>
+      row.user_id === server.userId && row.kind === params.p_kind && row.session_id === params.p_session_id);
+
+    if (current && current.revision !== params.p_base_revision && current.expires_at > now) {
+      return {
+        data: [{
+          result_status: 'conflict',
+          result_revision: current.revision,
+          result_payload: current.encrypted_payload,
+          result_device_label: current.device_label,
+          result_updated_at: current.updated_at
+        }],
+        error: null
+      };
+    }
+
+    const row: SyncedSessionTableRow = {
+      user_id: server.userId,
+      kind: params.p_kind,
+      session_id: params.p_session_id,
+      device_id: params.p_device_id,
+      device_label: params.p_device_label,
+      encrypted_payload: params.p_encrypted_payload,
+      details: params.p_details,
+      revision: (current?.revision ?? 0) + 1,
+      expires_at: params.p_expires_at,
+      updated_at: now
+    };
+    if (current) Object.assign(current, row);
+    else rows.push(row);
+
+    return {
+      data: [{ result_status: 'saved', result_revision: row.revision, result_payload: null, result_device_label: row.device_label, result_updated_at: now }],
+      error: null
+    };
+  };
+
+  return { supabase: { from, rpc } };
+});
+
+import { sessionSyncService } from '../services/sessionSyncService';
+import { interviewSessionPersistence, InterviewSessionState, mergeInterviewStates } from '../services/interviewSessionPersistence';
+import { PipelineStateService } from '../services/pipelineStateService';
+import { PipelineExecutionContext, PipelineStep } from '../types/pipeline';
+import { ResumeData } from '../types/resume';
+
+const USER = 'user-1';
+
+// Each device has its own localStorage (device id and last-seen revisions)
+const devices: Record<string, Record<string, string>> = {};
+const asDevice = async <T,>(name: string, action: () => Promise<T>): Promise<T> => {
+  localStorage.clear();
+  Object.entries(devices[name] || {}).forEach(([key, value]) => localStorage.setItem(key, value));
+  try {
+    return await action();
+  } finally {
+    devices[name] = Object.fromEntries(
+      Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i)!).map(key => [key, localStorage.getItem(key)!])
+    );
+  }
+};
+
+const interviewState = (overrides: Partial<InterviewSessionState> = {}): InterviewSessionState => ({
+  sessionId: 'interview-1',
+  userId: USER,
+  currentQuestionIndex: 2,
+  totalQuestions: 10,
+  timeRemaining: 1200,
+  currentTranscript: '',
+  textAnswer: 'My answer so far',
+  codeAnswer: '',
+  selectedLanguage: 'Python',
+  questionsAnswered: 2,
+  questionsSkipped: 0,
+  lastSaved: new Date().toISOString(),
+  interviewType: 'realistic',
+  ...overrides
+});
+
+const DETAILS = { title: 'Realistic interview', progressLabel: 'Question 3 of 10', subtype: 'realistic' };
+
+describe('sessionSyncService', () => {
+  beforeEach(() => {
+    server.tables = {};
+    Object.keys(devices).forEach(name => delete devices[name]);
+    localStorage.clear();
+  });
+
+  it('should store payloads encrypted and load them on another device', async () => {
+    const saved = await asDevice('phone', () =>
+      sessionSyncService.push('interview', USER, 'interview-1', interviewState(), { details: DETAILS }));
+    expect(saved).toMatchObject({ status: 'saved', revision: 1 });
+
+    const stored = server.tables.synced_sessions[0];
+    expect(stored.encrypted_payload).not.toContain('My answer so far');
+    expect(stored.details).toEqual(DETAILS);
+
+    const pulled = await asDevice('laptop', () =>
+      sessionSyncService.pull<InterviewSessionState>(USER, 'interview', 'interview-1'));
+    expect(pulled!.payload.textAnswer).toBe('My answer so far');
+    expect(pulled!.isCurrentDevice).toBe(false);
+  });
+
+  it('should detect a save from another device and merge instead of overwriting', async () => {
+    await asDevice('phone', () =>
+      sessionSyncService.push('interview', USER, 'interview-1', interviewState(), { details: DETAILS }));
+    await asDevice('laptop', () => sessionSyncService.pull(USER, 'interview', 'interview-1'));
+
+    // The phone moves on to question 6 while the laptop still has question 3
+    await asDevice('phone', () =>
+      sessionSyncService.push('interview', USER, 'interview-1', interviewState({ currentQuestionIndex: 5 }), { details: DETAILS }));
+    const result = await asDevice('laptop', () =>
+      sessionSyncService.push('interview', USER, 'interview-1', interviewState({ textAnswer: 'Edited on laptop' }), {
+        details: DETAILS,
+        merge: mergeInterviewStates
+      }));
+
+    expect(result.status).toBe('merged');
+    expect(result.conflict?.deviceLabel).toMatch(/Desktop|Phone|Tablet/);
+    expect(result.payload.currentQuestionIndex).toBe(5);
+    expect(result.revision).toBe(3);
+  });
+
+  it('should adopt the remote copy or overwrite it when asked', async () => {
+    await asDevice('phone', () =>
+      sessionSyncService.push('interview', USER, 'interview-1', interviewState({ currentQuestionIndex: 7 }), { details: DETAILS }));
+
+    const kept = await asDevice('laptop', () =>
+      sessionSyncService.push('interview', USER, 'interview-1', interviewState(), { details: DETAILS, onConflict: 'keep-remote' }));
+    expect(kept.status).toBe('remote-kept');
+    expect(kept.payload.currentQuestionIndex).toBe(7);
+
+    const forced = await asDevice('laptop', () =>
+      sessionSyncService.push('interview', USER, 'interview-1', interviewState({ currentQuestionIndex: 1 }), { details: DETAILS, onConflict: 'keep-local' }));
+    expect(forced.status).toBe('saved');
+
+    const pulled = await asDevice('phone', () =>
+      sessionSyncService.pull<InterviewSessionState>(USER, 'interview', 'interview-1'));
+    expect(pulled!.payload.currentQuestionIndex).toBe(1);
+  });
+
+  it('should leave expired sessions out of listings', async () => {
+    await asDevice('phone', () =>
+      sessionSyncService.push('interview', USER, 'old', interviewState({ sessionId: 'old' }), { details: DETAILS, ttlMs: -1000 }));
+    await asDevice('phone', () =>
+      sessionSyncService.push('interview', USER, 'current', interviewState({ sessionId: 'current' }), { details: DETAILS }));
+
+    const sessions = await asDevice('laptop', () => sessionSyncService.listSessions(USER, 'interview'));
+    expect(sessions.map(session => session.sessionId)).toEqual(['current']);
+    expect(await asDevice('laptop', () => sessionSyncService.pull(USER, 'interview', 'old'))).toBeNull();
+  });
+});
+
+describe('interview session persistence across devices', () => {
+  beforeEach(() => {
+    server.tables = {};
+    Object.keys(devices).forEach(name => delete devices[name]);
+    localStorage.clear();
+  });
+
+  it('should list interrupted interviews from every device', async () => {
+    await asDevice('phone', () => interviewSessionPersistence.saveSessionState(interviewState({ sessionId: 'from-phone' })));
+    await asDevice('laptop', () => interviewSessionPersistence.saveSessionState(interviewState({ sessionId: 'from-laptop', currentQuestionIndex: 4 })));
+
+    const sessions = await asDevice('laptop', () => interviewSessionPersistence.listRecoverableSessions(USER, 'realistic'));
+    expect(sessions.map(session => session.sessionId).sort()).toEqual(['from-laptop', 'from-phone']);
+    expect(sessions.find(session => session.sessionId === 'from-laptop')!.isCurrentDevice).toBe(true);
+    expect(sessions.find(session => session.sessionId === 'from-phone')!.details.progressLabel).toBe('Question 3 of 10');
+
+    const recovered = await asDevice('laptop', () => interviewSessionPersistence.loadSessionState('from-phone', USER));
+    expect(recovered!.textAnswer).toBe('My answer so far');
+
+    await asDevice('laptop', () => interviewSessionPersistence.clearSessionState('from-phone', USER));
+    const remaining = await asDevice('laptop', () => interviewSessionPersistence.listRecoverableSessions(USER, 'realistic'));
+    expect(remaining.map(session => session.sessionId)).toEqual(['from-laptop']);
+  });
+});
+
+describe('PipelineStateService.mergeContexts', () => {
+  const context = (overrides: Partial<PipelineExecutionContext>): PipelineExecutionContext => ({
+    sessionId: 'pipeline-1',
+    userId: USER,
+    startTime: new Date('2026-01-01T10:00:00Z'),
+    currentStep: PipelineStep.ANALYZE_AGAINST_JD,
+    stepHistory: [],
+    resumeVersions: [],
+    userInputs: [],
+    errorLog: [],
+    jobDescription: 'Backend Engineer',
+    targetRole: 'Backend Engineer',
+    stepOutputs: {},
+    ...overrides
+  });
+
+  it('should union both histories and take the position of the later device', () => {
+    const parse = { step: PipelineStep.PARSE_RESUME, startTime: new Date('2026-01-01T10:00:00Z'), endTime: new Date('2026-01-01T10:01:00Z'), status: 'completed' as const, retryCount: 0 };
+    const analyze = { step: PipelineStep.ANALYZE_AGAINST_JD, startTime: new Date('2026-01-01T10:05:00Z'), endTime: new Date('2026-01-01T10:06:00Z'), status: 'completed' as const, retryCount: 0 };
+
+    const phone = context({
+      stepHistory: [parse],
+      resumeVersions: [{ version: 1, step: PipelineStep.PARSE_RESUME, data: {} as ResumeData, timestamp: parse.endTime, changes: ['parsed'] }],
+      stepOutputs: { resumeData: 'phone' }
+    });
+    const laptop = context({
+      currentStep: PipelineStep.MISSING_SECTIONS_MODAL,
+      stepHistory: [parse, analyze],
+      resumeVersions: [
+        { version: 1, step: PipelineStep.PARSE_RESUME, data: {} as ResumeData, timestamp: parse.endTime, changes: ['parsed'] },
+        { version: 2, step: PipelineStep.ANALYZE_AGAINST_JD, data: {} as ResumeData, timestamp: analyze.endTime, changes: ['analyzed'] }
+      ],
+      stepOutputs: { resumeData: 'laptop', gapAnalysis: 'laptop' }
+    });
+
+    const merged = PipelineStateService.mergeContexts(phone, laptop);
+
+    expect(merged.currentStep).toBe(PipelineStep.MISSING_SECTIONS_MODAL);
+    expect(merged.stepHistory).toHaveLength(2);
+    expect(merged.resumeVersions.map(version => version.version)).toEqual([1, 2]);
+    expect(merged.stepOutputs).toEqual({ resumeData: 'laptop', gapAnalysis: 'laptop' });
+    expect(PipelineStateService.mergeContexts(laptop, phone)).toEqual(merged);
+  });
+});
@@ -1,5 +1,6 @@
 // Test setup file for mocks and global configurations
 import { vi } from 'vitest';
+import { llmGateway } from '../services/llm/llmGateway';
 
 // Mock the semantic matching service to prevent ONNX runtime errors
 vi.mock('../services/semanticMatchingService', () => ({
@@ -25,6 +26,18 @@ vi.mock('../services/semanticMatchingService', () => ({
   }
 }));
 
+// Never download the embedding model in tests; semantic matching falls back to lexical matching
+vi.mock('../services/semantic/embeddingModel', () => ({
+  EMBEDDING_MODEL_ID: 'Xenova/all-MiniLM-L6-v2',
+  EMBEDDING_DIMENSIONS: 384,
+  embeddingModel: {
+    id: 'Xenova/all-MiniLM-L6-v2',
+    dimensions: 384,
+    load: vi.fn().mockRejectedValue(new Error('Embedding model is not loaded in tests')),
+    embed: vi.fn().mockRejectedValue(new Error('Embedding model is not loaded in tests'))
+  }
+}));
+
 // Mock EdenAI service to prevent API call failures in tests
 vi.mock('../services/edenAITextService', () => ({
   default: {
@@ -58,4 +71,7 @@ vi.mock('../services/edenResumeParserService', () => ({
       certifications: []
     }
   })
-}));
\ No newline at end of file
+}));
+// No test reaches a real LLM: the gateway only answers from the mock provider, which
+// fails fast unless a test loads recordings or installs its own MockLlmProvider
+llmGateway.configure({ offline: true, retries: 0, retryDelayMs: 0 });
@@ -0,0 +1,163 @@
+/**
+ * Skill Taxonomy Tests
+ * Covers alias and localized lookups, the hierarchy, deprecation, admin entry
+ * validation, and that the category lists and both synonym matchers read the
+ * same dataset
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { SkillTaxonomyRegistry, skillTaxonomyRegistry } from '../services/skillTaxonomy/skillTaxonomyRegistry';
+import { validateSkillNode } from '../services/skillTaxonomy/skillTaxonomySchema';
+import { scoringEnvironment } from '../services/scoringEnvironment';
+import { synonymExpansionService } from '../services/synonymExpansionService';
+import {
+  CLOUD_AND_DEVOPS,
+  PROGRAMMING_LANGUAGES,
+  SKILL_CATEGORIES,
+  TOOLS_AND_PLATFORMS,
+  canonicalSkillName,
+  categorizeSkill
+} from '../constants/skillsTaxonomy';
+import { SkillTaxonomyDataset } from '../types/skillTaxonomy';
+import skillTaxonomyData from '../data/skillTaxonomy.json';
+
+const dataset = skillTaxonomyData as SkillTaxonomyDataset;
+
+describe('Skill taxonomy dataset', () => {
+  it('should ship a valid entry for every skill', () => {
+    dataset.skills.forEach(skill => {
+      expect(validateSkillNode(skill).issues, skill.id).toEqual([]);
+    });
+    expect(() => new SkillTaxonomyRegistry(dataset).list()).not.toThrow();
+  });
+});
+
+describe('SkillTaxonomyRegistry lookups', () => {
+  it('should resolve aliases, synonyms and localized names to one entry', () => {
+    expect(skillTaxonomyRegistry.resolve('k8s')).toMatchObject({ skill: { id: 'kubernetes', name: 'Kubernetes' }, matchedAs: 'alias' });
+    expect(skillTaxonomyRegistry.resolve('KUBERNETES')?.matchedAs).toBe('name');
+    expect(skillTaxonomyRegistry.resolve('js')?.skill.id).toBe('javascript');
+    expect(skillTaxonomyRegistry.resolve('Maschinelles Lernen')).toMatchObject({
+      skill: { id: 'machine-learning' },
+      matchedAs: 'localized',
+      language: 'de'
+    });
+    expect(skillTaxonomyRegistry.resolve('Führung')?.skill.id).toBe('leadership');
+    expect(skillTaxonomyRegistry.resolve('fuhrung')?.skill.id).toBe('leadership');
+    expect(skillTaxonomyRegistry.resolve('underwater basket weaving')).toBeNull();
+  });
+
+  it('should walk the hierarchy in both directions', () => {
+    expect(skillTaxonomyRegistry.getAncestors('React').map(skill => skill.id))
+      .toEqual(['frontend-development', 'javascript-ecosystem']);
+    expect(skillTaxonomyRegistry.getChildren('sql').map(skill => skill.id)).toEqual(expect.arrayContaining(['mysql', 'postgresql']));
+
+    expect(skillTaxonomyRegistry.relationship('sql', 'postgres')).toBe('parent');
+    expect(skillTaxonomyRegistry.relationship('postgres', 'sql')).toBe('child');
+    expect(skillTaxonomyRegistry.relationship('javascript-ecosystem', 'next.js')).toBe('ancestor');
+    expect(skillTaxonomyRegistry.relationship('mysql', 'postgresql')).toBe('sibling');
+    expect(skillTaxonomyRegistry.relationship('k8s', 'Kubernetes')).toBe('same');
+    expect(skillTaxonomyRegistry.relationship('python', 'kubernetes')).toBe('unrelated');
+  });
+
+  it('should point deprecated entries at their replacement', () => {
+    const angularJs = skillTaxonomyRegistry.resolve('AngularJS')!.skill;
+    expect(angularJs.deprecated?.replacedBy).toBe('angular');
+    expect(skillTaxonomyRegistry.canonical('angular.js')?.name).toBe('Angular');
+    expect(skillTaxonomyRegistry.canonical('React')?.name).toBe('React');
+  });
+
+  it('should file skills under their own or their nearest parent\'s ATS section', () => {
+    expect(categorizeSkill('k8s')).toBe(SKILL_CATEGORIES.CLOUD_AND_DEVOPS);
+    expect(categorizeSkill('JavaScript')).toBe(SKILL_CATEGORIES.PROGRAMMING_LANGUAGES);
+    expect(categorizeSkill('React Testing Library')).toBe(SKILL_CATEGORIES.TESTING_AND_QA);
+    expect(categorizeSkill('Claude')).toBe(SKILL_CATEGORIES.DATA_SCIENCE_AND_ML);
+    // Unknown spellings still fall back to the category term lists
+    expect(categorizeSkill('Kubernetes operators')).toBe(SKILL_CATEGORIES.CLOUD_AND_DEVOPS);
+
+    expect(CLOUD_AND_DEVOPS).toEqual(expect.arrayContaining(['kubernetes', 'k8s']));
+    expect(CLOUD_AND_DEVOPS).not.toContain('kube');
+    expect(PROGRAMMING_LANGUAGES).toContain('bash');
+    expect(TOOLS_AND_PLATFORMS).not.toContain('bash');
+    expect(canonicalSkillName('Maschinelles Lernen')).toBe('machine learning');
+    expect(canonicalSkillName('k8s')).toBe('k8s');
+  });
+});
+
+describe('Unified synonyms', () => {
+  it('should give synonym expansion and semantic matching the same equivalents', async () => {
+    const { SemanticMatchingService } = await vi.importActual<typeof import('../services/semanticMatchingService')>(
+      '../services/semanticMatchingService'
+    );
+    const matcher = new SemanticMatchingService();
+
+    const expanded = await synonymExpansionService.expandKeyword('kubernetes', false);
+    expect(expanded).toEqual(expect.arrayContaining(['k8s', 'container orchestration']));
+
+    const [keyword] = matcher.expandKeywords(['kubernetes']);
+    expect(keyword.synonyms).toEqual(expanded);
+    expect(keyword.relatedTerms).toEqual(expect.arrayContaining(['containerization', 'helm']));
+
+    expect(matcher.calculateSimilarity('k8s', 'kubernetes').score).toBe(0.9);
+    expect(matcher.calculateSimilarity('sql', 'mysql').score).toBe(0.85);
+    expect(matcher.calculateSimilarity('graphql', 'api').score).toBeLessThan(0.8);
+    expect(await synonymExpansionService.expandKeyword('not-a-skill', false)).toEqual([]);
+  });
+});
+
+describe('Admin taxonomy entries', () => {
+  const registry = new SkillTaxonomyRegistry(dataset);
+  const entry = {
+    id: 'argo-cd',
+    name: 'Argo CD',
+    kind: 'skill',
+    category: 'devops',
+    atsCategory: 'Cloud & DevOps',
+    parent: 'kubernetes',
+    aliases: ['argocd']
+  };
+
+  afterEach(() => {
+    registry.replaceSaved([]);
+  });
+
+  it('should add a skill that every lookup sees', () => {
+    registry.register(entry);
+
+    expect(registry.resolve('ArgoCD')?.skill.id).toBe('argo-cd');
+    expect(registry.getChildren('kubernetes').map(skill => skill.id)).toContain('argo-cd');
+    expect(registry.atsTerms('Cloud & DevOps')).toContain('argocd');
+    expect(registry.atsTerms('Cloud & DevOps', true)).not.toContain('argocd');
+    expect(registry.version).toBe(`${dataset.version}+custom.1`);
+
+    registry.remove('argo-cd');
+    expect(registry.resolve('argocd')).toBeNull();
+  });
+
+  it('should reject broken references, cycles and taken spellings', () => {
+    expect(() => registry.register({ ...entry, parent: 'nope' })).toThrow('Invalid skill taxonomy entry: parent Unknown skill "nope"');
+    expect(() => registry.register({ ...entry, aliases: ['k8s'] })).toThrow('"k8s" already belongs to kubernetes');
+    expect(() => registry.register({ ...registry.getBuiltIn('javascript-ecosystem'), parent: 'react' })).toThrow('is a descendant of');
+    expect(() => registry.register({ ...entry, id: 'Argo CD' })).toThrow('Invalid skill taxonomy entry: id');
+    expect(() => registry.register({ ...entry, category: 'astrology' })).toThrow('Unknown category');
+    expect(() => registry.remove('kubernetes')).toThrow('cannot be deleted');
+  });
+
+  it('should restore a shipped entry when its edit is removed', () => {
+    registry.register({ ...registry.getBuiltIn('kubernetes'), aliases: [], synonyms: ['kube'] });
+    expect(registry.resolve('k8s')).toBeNull();
+
+    registry.remove('kubernetes');
+    expect(registry.resolve('k8s')?.skill.id).toBe('kubernetes');
+  });
+
+  it('should only use the shipped dataset offline', async () => {
+    registry.register(entry);
+
+    await scoringEnvironment.runDeterministic({ referenceDate: '2025-01-01' }, () => {
+      expect(registry.resolve('argocd')).toBeNull();
+      expect(registry.version).toBe(dataset.version);
+    });
+    expect(registry.resolve('argocd')?.skill.id).toBe('argo-cd');
+  });
+});
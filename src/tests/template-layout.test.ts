@@ -0,0 +1,125 @@
+/**
+ * Template Layout Tests
+ * Snapshots the positioned layout boxes each built-in template produces, so any
+ * change to section order, typography or page breaking shows up in review
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ResumeData } from '../types/resume';
+import { ExportOptions, defaultExportOptions } from '../types/export';
+import { ResumeLayout, TemplateId } from '../types/template';
+import { layoutResumeForPdf } from '../utils/exportUtils';
+import { templateRegistry } from '../services/templates/templateRegistry';
+import { buildTemplateDocument } from '../services/templates/templateLayoutEngine';
+
+const resume: ResumeData = {
+  name: 'Priya Raman',
+  phone: '+91 98450 12345',
+  email: 'priya.raman@example.com',
+  linkedin: 'linkedin.com/in/priyaraman',
+  github: 'github.com/priyar',
+  location: 'Bengaluru, India',
+  summary: 'Backend engineer with five years of experience designing payment services, event-driven systems and developer tooling for high-traffic products.',
+  education: [
+    { degree: 'M.Tech', field: 'Computer Science', school: 'IISc Bangalore', year: '2017 - 2019', cgpa: '8.9' },
+    { degree: 'B.Tech', field: 'Information Technology', school: 'NIT Trichy', year: '2013 - 2017' }
+  ],
+  workExperience: [
+    {
+      role: 'Senior Software Engineer',
+      company: 'Razorpay',
+      location: 'Bengaluru',
+      year: 'Jan 2022 - Present',
+      bullets: [
+        'Led the redesign of the settlement ledger, reducing reconciliation failures by 42% across 8M daily transactions.',
+        'Introduced idempotency keys and outbox publishing for the refunds API, eliminating duplicate payouts.',
+        'Mentored four engineers and ran the backend guild reading group.'
+      ]
+    },
+    {
+      role: 'Software Engineer',
+      company: 'Flipkart',
+      year: 'Jul 2019 - Dec 2021',
+      bullets: [
+        'Built a Kafka-based inventory sync that cut stock mismatch incidents by 60% during sale events.',
+        'Migrated order search from MySQL to Elasticsearch with p99 latency under 120 ms.'
+      ]
+    }
+  ],
+  projects: [
+    {
+      title: 'Ledger Lint',
+      description: 'Static checks for double-entry accounting invariants',
+      techStack: ['TypeScript', 'PostgreSQL'],
+      bullets: ['Open-source CLI used by three fintech teams to validate migrations before release.']
+    }
+  ],
+  skills: [
+    { category: 'Languages', count: 4, list: ['Go', 'Java', 'TypeScript', 'SQL'] },
+    { category: 'Infrastructure', count: 4, list: ['Kafka', 'PostgreSQL', 'Redis', 'Kubernetes'] }
+  ],
+  certifications: [{ title: 'AWS Solutions Architect - Associate', description: 'Amazon Web Services, 2023' }],
+  achievements: ['Speaker at GopherCon India 2023'],
+  additionalSections: [{ title: 'Publications', bullets: ['Consistent Settlement at Scale, IEEE CLOUD 2021'] }]
+};
+
+// One line per box keeps snapshots readable and diffs small
+const serializeLayout = (layout: ResumeLayout): string =>
+  [
+    `template=${layout.templateId} pages=${layout.pageCount} overflow=${layout.overflow} body=${layout.style.fonts.body}pt`,
+    ...layout.boxes.map(box =>
+      `p${box.page} ${box.role} (${box.x},${box.y} ${box.width}x${box.height})${box.bold ? ' b' : ''}${box.text ? ` "${box.text}"` : ''}`)
+  ].join('\n');
+
+const layoutWith = (templateId: TemplateId, overrides: Partial<ExportOptions> = {}, data: ResumeData = resume) =>
+  layoutResumeForPdf(data, 'experienced', { ...defaultExportOptions, ...overrides, templateId });
+
+describe('Template layout', () => {
+  it.each(['classic', 'compact', 'academic'] as TemplateId[])('should produce stable layout boxes for the %s template', templateId => {
+    expect(serializeLayout(layoutWith(templateId))).toMatchSnapshot();
+  });
+
+  it('should keep every box inside the page margins', () => {
+    templateRegistry.list().forEach(template => {
+      const { boxes, style } = layoutWith(template.id, { paperSize: 'letter' });
+      boxes
+        .filter(box => box.role !== 'footer')
+        .forEach(box => {
+          expect(box.x).toBeGreaterThanOrEqual(style.margins.left - 0.01);
+          expect(box.x + box.width).toBeLessThanOrEqual(style.pageWidth - style.margins.right + 0.01);
+          expect(box.y + box.height).toBeLessThanOrEqual(style.pageHeight - style.margins.bottom + 0.01);
+        });
+    });
+  });
+
+  it('should shrink the compact template to fit one page', () => {
+    const longResume: ResumeData = {
+      ...resume,
+      workExperience: Array.from({ length: 5 }, () => resume.workExperience[0])
+    };
+
+    const classic = layoutWith('classic', {}, longResume);
+    const compact = layoutWith('compact', {}, longResume);
+
+    expect(classic.pageCount).toBeGreaterThan(1);
+    expect(compact.pageCount).toBe(1);
+    expect(compact.overflow).toBe(false);
+    expect(compact.style.fonts.body).toBeLessThan(classic.style.fonts.body);
+  });
+
+  it('should order sections as the template declares', () => {
+    const academic = buildTemplateDocument(resume, 'experienced', templateRegistry.get('academic'));
+    const classic = buildTemplateDocument(resume, 'experienced', templateRegistry.get('classic'));
+
+    expect(academic.sections.map(section => section.title).slice(0, 3))
+      .toEqual(['Research Interests', 'Education', 'Research & Professional Experience']);
+    expect(classic.sections.map(section => section.key).slice(0, 3))
+      .toEqual(['summary', 'skills', 'workExperience']);
+  });
+
+  it('should fall back to the classic template for unknown ids', () => {
+    expect(templateRegistry.get('modern-two-column').id).toBe('classic');
+    expect(templateRegistry.get(undefined).id).toBe('classic');
+    expect(templateRegistry.has('academic')).toBe(true);
+  });
+});
@@ -0,0 +1,196 @@
+// src/tests/timeline-engine.test.ts
+// Tests for locale-aware date parsing and the shared resume timeline
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { DateNormalizer } from '../utils/dateNormalizer';
+import { TimelineEngine } from '../utils/timelineEngine';
+import { RedFlagDetector } from '../services/analyzers/redFlagDetector';
+import { ExperienceAnalyzer } from '../services/analyzers/experienceAnalyzer';
+import { ResumeData, WorkExperience, Education } from '../types/resume';
+
+const resume = (workExperience: Partial<WorkExperience>[], education: Partial<Education>[] = []): ResumeData => ({
+  name: 'Test User',
+  phone: '',
+  email: '',
+  linkedin: '',
+  github: '',
+  education: education.map(edu => ({ degree: 'BSc', school: 'University', year: '', ...edu })),
+  workExperience: workExperience.map((exp, i) => ({ role: `Engineer ${i + 1}`, company: `Company ${i + 1}`, year: '', bullets: [], ...exp })),
+  projects: [],
+  skills: [],
+  certifications: []
+});
+
+describe('DateNormalizer locale-aware parsing', () => {
+  beforeAll(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2025-06-15T12:00:00Z'));
+  });
+
+  afterAll(() => {
+    vi.useRealTimers();
+  });
+
+  it('should parse numeric, short-year and quarter formats', () => {
+    const cases: [string, number, number | null][] = [
+      ['03/2021', 2021, 3],
+      ['2021-03', 2021, 3],
+      ["Mar'21", 2021, 3],
+      ['Sept ’98', 1998, 9],
+      ['Q2 2022', 2022, 4],
+      ['2022-Q4', 2022, 10],
+      ['2021-03-15', 2021, 3],
+      ['15/03/2021', 2021, 3]
+    ];
+
+    cases.forEach(([input, year, month]) => {
+      const parsed = DateNormalizer.parseDateFlexible(input);
+      expect(parsed.isValid, input).toBe(true);
+      expect(parsed.year, input).toBe(year);
+      expect(parsed.month, input).toBe(month);
+    });
+    expect(DateNormalizer.parseDateFlexible('Q2 2022').quarter).toBe(2);
+    expect(DateNormalizer.formatDateForDisplay(DateNormalizer.parseDateFlexible('Q2 2022'))).toBe('Q2 2022');
+  });
+
+  it('should read non-English month names and use the locale for ambiguous forms', () => {
+    expect(DateNormalizer.parseDateFlexible('marzo de 2021').month).toBe(3);
+    expect(DateNormalizer.parseDateFlexible('März 2019').month).toBe(3);
+    expect(DateNormalizer.parseDateFlexible('février 2020').month).toBe(2);
+    expect(DateNormalizer.parseDateFlexible('mei 2018').month).toBe(5);
+
+    // "out" is October only for a Portuguese resume
+    expect(DateNormalizer.parseDateFlexible('out 2020').month).toBeNull();
+    expect(DateNormalizer.parseDateFlexible('out 2020', { locale: 'pt-BR' }).month).toBe(10);
+
+    expect(DateNormalizer.parseDateFlexible('04/03/2021').month).toBe(3);
+    expect(DateNormalizer.parseDateFlexible('04/03/2021', { locale: 'en-US' }).month).toBe(4);
+
+    expect(DateNormalizer.parseDateFlexible('actualidad').isPresent).toBe(true);
+    expect(DateNormalizer.parseDateFlexible('heute').isPresent).toBe(true);
+  });
+
+  it('should split ranges without splitting ISO months', () => {
+    expect(DateNormalizer.splitDateRange('Jan 2020 - Present')).toEqual(['Jan 2020', 'Present']);
+    expect(DateNormalizer.splitDateRange('2018-2022')).toEqual(['2018', '2022']);
+    expect(DateNormalizer.splitDateRange('2021-03')).toEqual(['2021-03']);
+    expect(DateNormalizer.splitDateRange('2021-03-2022-05')).toEqual(['2021-03', '2022-05']);
+    expect(DateNormalizer.splitDateRange("Mar'21 – Q2 2022")).toEqual(["Mar'21", 'Q2 2022']);
+    expect(DateNormalizer.splitDateRange('enero 2019 hasta actualidad')).toEqual(['enero 2019', 'actualidad']);
+  });
+});
+
+describe('TimelineEngine', () => {
+  beforeAll(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2025-06-15T12:00:00Z'));
+  });
+
+  afterAll(() => {
+    vi.useRealTimers();
+  });
+
+  it('should order roles and measure inclusive durations', () => {
+    const timeline = TimelineEngine.build(resume([
+      { year: 'Jan 2023 - Present' },
+      { year: '2021-03 – 2022-12' },
+      { year: 'Q1 2020 to Q4 2020' }
+    ]));
+
+    expect(timeline.experience.map(interval => interval.id)).toEqual(['experience-2', 'experience-1', 'experience-0']);
+    expect(timeline.experience.map(interval => interval.durationMonths)).toEqual([12, 22, 30]);
+    expect(timeline.experience[2].isOngoing).toBe(true);
+    expect(timeline.totalExperienceMonths).toBe(64);
+    expect(timeline.gaps).toEqual([
+      { afterId: 'experience-2', beforeId: 'experience-1', startMonth: 2021 * 12, endMonth: 2021 * 12 + 1, months: 2 }
+    ]);
+    expect(timeline.issues).toEqual([]);
+  });
+
+  it('should find overlaps but ignore handovers and shared boundary years', () => {
+    const handover = TimelineEngine.build(resume([
+      { year: 'Jan 2019 - Mar 2021' },
+      { year: 'Mar 2021 - Present' },
+      { year: '2015 - 2017' },
+      { year: '2017 - 2018' }
+    ]));
+    expect(handover.overlaps).toEqual([]);
+
+    const concurrent = TimelineEngine.build(resume([
+      { year: 'Jan 2019 - Dec 2020' },
+      { year: 'Jun 2020 - Present' }
+    ]));
+    expect(concurrent.overlaps).toEqual([
+      { kind: 'concurrent-roles', firstId: 'experience-0', secondId: 'experience-1', months: 7 }
+    ]);
+    expect(concurrent.totalExperienceMonths).toBe(78);
+  });
+
+  it('should report impossible and unreadable dates', () => {
+    const timeline = TimelineEngine.build(resume([
+      { year: 'Dec 2022 - Jan 2021' },
+      { year: 'Sep 2026 - Present' },
+      { year: 'sometime' }
+    ]));
+
+    expect(timeline.issues.map(issue => [issue.type, issue.entryId])).toEqual([
+      ['end-before-start', 'experience-0'],
+      ['future-start', 'experience-1'],
+      ['unparseable-date', 'experience-2']
+    ]);
+    expect(timeline.experience.every(interval => !interval.isValid)).toBe(true);
+
+    const upcoming = TimelineEngine.build(resume([{ year: 'Sep 2026 - Dec 2026' }]));
+    expect(upcoming.issues.map(issue => issue.type)).toEqual(['future-start', 'future-end']);
+    expect(upcoming.experience[0].isValid).toBe(true);
+  });
+
+  it('should treat a gap covered by study as explained', () => {
+    const timeline = TimelineEngine.build(
+      resume([{ year: 'Jan 2016 - Aug 2018' }, { year: 'Sep 2020 - Present' }], [{ year: 'Sep 2018 - Jun 2020' }])
+    );
+
+    expect(timeline.gaps).toHaveLength(1);
+    expect(timeline.gaps[0]).toMatchObject({ months: 24, explainedBy: 'education-0' });
+  });
+});
+
+describe('analyzers on the shared timeline', () => {
+  beforeAll(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2025-06-15T12:00:00Z'));
+  });
+
+  afterAll(() => {
+    vi.useRealTimers();
+  });
+
+  it('should flag unexplained gaps and conflicting dates from the timeline', () => {
+    const data = resume([
+      { year: 'Jan 2016 - Dec 2017' },
+      { year: 'Jan 2019 - Jun 2021' },
+      { year: 'Jan 2021 - Present' }
+    ]);
+
+    const flags = RedFlagDetector.analyze({ resumeText: '', resumeData: data }).redFlags.map(flag => flag.name);
+    expect(flags).toContain('Unexplained Employment Gap');
+    expect(flags).toContain('Conflicting Dates');
+
+    const clean = resume([{ year: 'Jan 2016 - Dec 2018' }, { year: 'Jan 2019 - Present' }]);
+    const cleanFlags = RedFlagDetector.analyze({ resumeText: '', resumeData: clean }).redFlags.map(flag => flag.name);
+    expect(cleanFlags).not.toContain('Unexplained Employment Gap');
+    expect(cleanFlags).not.toContain('Conflicting Dates');
+  });
+
+  it('should add tenure figures and date issues to the experience analysis', () => {
+    const data = resume([{ year: 'Jan 2020 - Dec 2021' }, { year: 'Dec 2024 - Jan 2023' }]);
+    const timeline = TimelineEngine.build(data);
+
+    const { analysisResult } = ExperienceAnalyzer.analyze({ resumeText: '', resumeData: data, timeline });
+
+    expect(analysisResult.total_experience_months).toBe(24);
+    expect(analysisResult.average_tenure_months).toBe(24);
+    expect(analysisResult.employment_gap_months).toBe(0);
+    expect(analysisResult.experience_quality_issues).toContain(timeline.issues[0].message);
+  });
+});
@@ -0,0 +1,42 @@
+// src/types/batchScoring.ts
+
+// ============================================================================
+// BATCH SCORING
+// Many resumes scored against one job description and ranked
+// ============================================================================
+
+import type { ATSScore16Parameter } from '../services/atsScoreChecker16Parameter';
+
+export type BatchScoreParameters = ATSScore16Parameter['scores'];
+
+export interface BatchScoringProgress {
+  total: number;
+  completed: number; // scored or failed
+  failed: number;
+  current?: string; // file most recently finished
+}
+
+export interface BatchScoringOptions {
+  concurrency?: number;
+  onProgress?: (progress: BatchScoringProgress) => void;
+  signal?: AbortSignal;
+}
+
+export interface BatchScoreRow {
+  rank: number | null; // null for files that could not be scored
+  fileName: string;
+  overallScore: number;
+  matchQuality: ATSScore16Parameter['matchQuality'] | null;
+  interviewChance: ATSScore16Parameter['interviewChance'] | null;
+  profileId: string | null;
+  scores: BatchScoreParameters | null;
+  missingKeywords: ATSScore16Parameter['missingKeywords'];
+  error?: string;
+}
+
+export interface BatchScoringResult {
+  jobDescription: string;
+  rows: BatchScoreRow[]; // ranked rows first, then failures
+  skipped: string[]; // uploads that were not resumes (unsupported type, zip metadata)
+  scoredAt: string;
+}
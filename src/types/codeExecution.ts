@@ -0,0 +1,109 @@
+// src/types/codeExecution.ts
+
+// ============================================================================
+// CODE EXECUTION
+// Running interview code submissions under time, memory and output limits
+// ============================================================================
+
+// judge0: a Judge0 CE-compatible server, self-hosted (VITE_JUDGE0_URL) or on RapidAPI;
+// browser: JavaScript and Python (Pyodide) in a throwaway Web Worker
+export type CodeRunnerId = 'judge0' | 'browser';
+
+export interface ExecutionLimits {
+  timeLimitMs: number; // CPU time on Judge0, wall time in the browser
+  memoryLimitMb: number;
+  outputLimitKb: number; // stdout and stderr together
+}
+
+export type RunStatus =
+  | 'ok'
+  | 'compile_error'
+  | 'runtime_error'
+  | 'time_limit'
+  | 'memory_limit'
+  | 'output_limit'
+  | 'internal_error'; // the runner failed, not the code
+
+export interface RunRequest {
+  code: string;
+  language: string; // display name, e.g. "Python"
+  stdin: string;
+  limits: ExecutionLimits;
+}
+
+export interface RunOutcome {
+  status: RunStatus;
+  stdout: string;
+  stderr: string; // compiler output for compile errors
+  timeMs?: number;
+  memoryKb?: number;
+  message?: string; // e.g. "Time limit exceeded (2000ms)"
+}
+
+export interface CodeRunner {
+  id: CodeRunnerId;
+  supports(language: string): boolean;
+  run(request: RunRequest): Promise<RunOutcome>;
+}
+
+// ============================================================================
+// TEST CASES AND GRADING
+// ============================================================================
+
+export type TestCaseCategory = 'basic' | 'edge' | 'stress';
+
+export interface TestCase {
+  input: string; // stdin
+  expectedOutput: string; // stdout, compared line by line ignoring trailing whitespace
+  description?: string;
+  hidden?: boolean; // graded, but input and expected output are not shown to the candidate
+  weight?: number; // partial-credit weight, default 1
+  category?: TestCaseCategory;
+}
+
+export type TestStatus = 'passed' | 'wrong_answer' | Exclude<RunStatus, 'ok'>;
+
+export interface ExecutionResult {
+  testCase: TestCase;
+  actualOutput: string;
+  passed: boolean;
+  status?: TestStatus;
+  stdout?: string;
+  stderr?: string;
+  executionTime?: number; // ms
+  memoryKb?: number;
+  error?: string;
+}
+
+export interface CompilationResult {
+  success: boolean;
+  output?: string;
+  error?: string;
+  executionResults?: ExecutionResult[];
+  allTestsPassed?: boolean;
+  totalExecutionTime?: number;
+  score?: number; // 0-100, weighted share of passed tests
+  passedCount?: number;
+  totalCount?: number;
+  runner?: CodeRunnerId;
+  run?: RunOutcome; // a plain run with empty stdin, when there are no test cases
+}
+
+// A question's tests: from the bank when the question is a known problem, otherwise generated
+export interface TestSuite {
+  source: 'bank' | 'generated' | 'none';
+  problemId?: string;
+  title?: string;
+  ioFormat?: string; // how input arrives on stdin and what to print
+  limits: ExecutionLimits;
+  testCases: TestCase[];
+}
+
+export interface BankedProblem {
+  id: string;
+  title: string;
+  match: RegExp[]; // any match against the question text selects the problem
+  ioFormat: string;
+  limits?: Partial<ExecutionLimits>;
+  testCases: TestCase[];
+}
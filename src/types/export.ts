@@ -1,3 +1,5 @@
+import { TemplateId } from './template';
+
 export type LayoutType = 'standard' | 'compact' | 'ats-optimized';
 export type PaperSize = 'a4' | 'letter';
 
@@ -11,6 +13,7 @@ export interface ExportOptions {
   bodyTextSize: number;
   sectionSpacing: number; // in mm
   entrySpacing: number; // in mm (spacing between items in a list, e.g., bullets)
+  templateId?: TemplateId; // resume template from the template registry (defaults to classic)
 }
 
 // Default export options - Standard
@@ -24,6 +27,7 @@ export const defaultExportOptions: ExportOptions = {
   bodyTextSize: 11,
   sectionSpacing: 4,
   entrySpacing: 2.5,
+  templateId: 'classic',
 };
 
 // Layout configurations
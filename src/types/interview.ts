@@ -1,3 +1,5 @@
+import type { RubricAssessment } from './interviewRubric';
+
 export type InterviewType = 'general' | 'company-based';
 export type InterviewCategory = 'technical' | 'hr' | 'behavioral' | 'mixed';
 export type QuestionCategory = 'HR' | 'Technical' | 'Behavioral' | 'Coding' | 'Projects' | 'Aptitude';
@@ -69,6 +71,7 @@ export interface AIFeedback {
   tone_confidence_rating: string;
   strengths?: string[];
   improvement_areas?: string[];
+  rubric?: RubricAssessment; // per-competency levels with transcript evidence
 }
 
 export interface InterviewConfig {
@@ -0,0 +1,69 @@
+// src/types/interviewRubric.ts
+import type { QuestionCategory } from './interview';
+
+// ============================================================================
+// RUBRIC
+// Competencies an interview answer is scored on, each with anchored 1-5 levels
+// ============================================================================
+
+export type CompetencyId =
+  | 'problem_solving'
+  | 'technical_depth'
+  | 'communication'
+  | 'star_structure'
+  | 'code_quality';
+
+export type RubricLevel = 1 | 2 | 3 | 4 | 5;
+
+export interface Competency {
+  id: CompetencyId;
+  name: string;
+  description: string;
+  levels: Record<RubricLevel, string>; // what an answer at each level looks like
+}
+
+export interface RubricCompetencyWeight {
+  id: CompetencyId;
+  weight: number; // share of the answer's score; a rubric's weights sum to 1
+}
+
+export interface Rubric {
+  category: QuestionCategory;
+  competencies: RubricCompetencyWeight[];
+}
+
+// ============================================================================
+// ASSESSMENT
+// ============================================================================
+
+export interface CompetencyRating {
+  competency: CompetencyId;
+  level: RubricLevel;
+  evidence: string[]; // quotes found verbatim in the transcript
+  rationale: string;
+  proposedLevel?: RubricLevel; // set when the level was capped for lack of evidence
+}
+
+export interface RubricAssessment {
+  version: number; // RUBRIC_VERSION the answer was scored against
+  category: QuestionCategory;
+  ratings: CompetencyRating[];
+  score: number; // 0-10, weighted from the levels
+}
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+export interface CompetencyScore {
+  competency: CompetencyId;
+  level: number; // weighted mean level across answers, 1-5, one decimal
+  answers: number; // how many answers were rated on it
+  evidence?: string; // a quote from the best-rated answer
+}
+
+export interface CompetencyTrendPoint {
+  sessionId: string;
+  date: string;
+  scores: CompetencyScore[];
+}
@@ -0,0 +1,71 @@
+// src/types/jobFit.ts
+
+// ============================================================================
+// JOB-FIT MATRIX
+// One resume scored against several job descriptions side by side
+// ============================================================================
+
+import type { ExtractedKeyword } from '../services/jdKeywordExtractor';
+import type { MatchBand } from './resume';
+
+export type KeywordImportance = ExtractedKeyword['importance'];
+
+export interface JobFitTarget {
+  id: string;
+  title: string;
+  company?: string;
+  description: string;
+  source: 'pasted' | 'job-listing';
+}
+
+// Whether a JD asks for a keyword, and whether the resume already has it
+export type KeywordCellStatus = 'present' | 'missing' | 'not-required';
+
+export interface JobFitRow {
+  targetId: string;
+  title: string;
+  company?: string;
+  fitScore: number; // 0-100 overall ATS score against this JD
+  matchBand: MatchBand | null;
+  requirementCoverage: number; // 0-1 share of JD requirements with resume evidence
+  keywordCoverage: number; // 0-1 importance-weighted share of JD keywords present
+  criticalGaps: string[]; // must-have requirements with no matching bullet
+  missingKeywords: string[];
+  topImprovements: string[];
+  error?: string;
+}
+
+export interface KeywordMatrixRow {
+  keyword: string;
+  category: ExtractedKeyword['category'];
+  importance: KeywordImportance; // highest importance any JD gives it
+  importanceByTarget: Record<string, KeywordImportance>; // only JDs that ask for it
+  cells: Record<string, KeywordCellStatus>; // by target id
+  missingIn: string[]; // target ids
+}
+
+export interface SuggestedKeywordEdit {
+  keyword: string;
+  placement: string;
+  targetIds: string[];
+  averageCoverageGain: number; // 0-1, added to the average keyword coverage
+}
+
+export interface JobFitMatrix {
+  rows: JobFitRow[];
+  keywords: KeywordMatrixRow[];
+  sharedMissingKeywords: string[]; // missing for two or more JDs
+  uniqueMissingKeywords: Record<string, string[]>; // missing for exactly one JD, by target id
+  suggestedEdits: SuggestedKeywordEdit[];
+  averageFitScore: number;
+  averageKeywordCoverage: number;
+  projectedKeywordCoverage: number; // after applying every suggested edit
+}
+
+export interface JobFitOptions {
+  // Average keyword coverage the suggested edits should reach (0-1)
+  targetCoverage?: number;
+  maxEdits?: number;
+  concurrency?: number;
+  onProgress?: (completed: number, total: number) => void;
+}
@@ -0,0 +1,62 @@
+// src/types/language.ts
+
+// ============================================================================
+// RESUME & JD LANGUAGE
+// Detected on upload and threaded through scoring, preview and export
+// ============================================================================
+
+import type { SoftSkillCategory } from '../services/softSkillsExtractor';
+
+export type SupportedLanguage = 'en' | 'de' | 'fr' | 'es' | 'hi' | 'ar';
+
+export type TextDirection = 'ltr' | 'rtl';
+
+export type WritingScript = 'latin' | 'devanagari' | 'arabic';
+
+export interface LanguageDetectionResult {
+  language: SupportedLanguage;
+  confidence: number; // 0-1; low for short or mixed text, which falls back to English
+  direction: TextDirection;
+  script: WritingScript;
+}
+
+// ============================================================================
+// PER-LANGUAGE DICTIONARIES
+// ============================================================================
+
+// Section keys used by the section detectors
+export type DetectedSectionKey =
+  | 'header'
+  | 'summary'
+  | 'skills'
+  | 'experience'
+  | 'projects'
+  | 'education'
+  | 'certifications'
+  | 'achievements'
+  | 'additional';
+
+export type SeniorityLevel = 'intern' | 'junior' | 'mid' | 'senior' | 'lead';
+
+export interface LocalizedSoftSkillTerms {
+  actionVerbs: string[];
+  jdKeywords: string[];
+}
+
+// All terms are lowercase. Matching folds accents, so "competences" written
+// without them still matches "compétences".
+export interface LanguageResources {
+  language: SupportedLanguage;
+  name: string; // endonym, e.g. "Deutsch"
+  locale: string; // BCP 47 tag for date parsing and document metadata
+  direction: TextDirection;
+  sectionHeaders: Partial<Record<DetectedSectionKey, string[]>>;
+  // Headings for generated resumes, keyed like TemplateSection.key
+  sectionTitles: Partial<Record<string, string>>;
+  stopwords: string[]; // function words; also drive language detection
+  jdBoilerplate: string[]; // nouns every JD in the language uses, never keywords
+  genericPhrases: string[];
+  requirementMarkers: { critical: string[]; preferred: string[] };
+  seniorityTerms: Partial<Record<SeniorityLevel, string[]>>;
+  softSkills: Partial<Record<SoftSkillCategory, LocalizedSoftSkillTerms>>;
+}
@@ -0,0 +1,121 @@
+// src/types/llm.ts
+
+// ============================================================================
+// LLM GATEWAY
+// Provider-agnostic requests, routing and usage for every LLM call
+// ============================================================================
+
+// cloudflare-worker: the Worker proxy, which runs its own Eden → Gemini →
+// OpenRouter chain; agent-router: the server proxy behind /ai-enrich;
+// mock: recorded or scripted responses, for tests and offline runs
+export type LlmProviderId = 'cloudflare-worker' | 'agent-router' | 'mock';
+
+export interface LlmMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+// One step of a fallback chain: a provider and, optionally, the model to ask it for
+export interface LlmRoute {
+  provider: LlmProviderId;
+  model?: string;
+}
+
+export interface LlmRequest {
+  feature: string; // budget and cache bucket, e.g. "resume-optimization"
+  messages: LlmMessage[];
+  temperature?: number;
+  maxTokens?: number; // completion tokens
+  timeoutMs?: number; // per attempt
+  retries?: number; // extra attempts per route step on retryable errors
+  route?: LlmRoute[]; // defaults to the gateway's route
+  cache?: boolean; // defaults to true
+}
+
+export interface LlmUsage {
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+  estimated: boolean; // true when the provider did not report usage
+}
+
+export interface LlmResponse {
+  text: string;
+  provider: LlmProviderId;
+  model?: string;
+  usage: LlmUsage;
+  cached: boolean;
+  attempts: number; // provider calls made, across the whole route
+  latencyMs: number;
+}
+
+export interface LlmJsonResponse<T> extends LlmResponse {
+  data: T;
+  repaired: boolean; // the first answer failed validation and was fixed by a repair call
+}
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+export interface LlmProviderRequest {
+  messages: LlmMessage[];
+  model?: string;
+  temperature: number;
+  maxTokens: number;
+  signal: AbortSignal;
+}
+
+export interface LlmProviderResponse {
+  text: string;
+  model?: string;
+  usage?: Omit<LlmUsage, 'estimated'>;
+}
+
+export interface LlmProvider {
+  id: LlmProviderId;
+  isAvailable(): boolean;
+  complete(request: LlmProviderRequest): Promise<LlmProviderResponse>;
+  // Optional; providers without it answer streamed requests in one piece
+  stream?(request: LlmProviderRequest, onDelta: (delta: string) => void): Promise<LlmProviderResponse>;
+}
+
+// Errors thrown by providers carry these; retryable ones are retried on the
+// same route step before the gateway falls back to the next
+export interface LlmErrorDetails {
+  provider: LlmProviderId;
+  status?: number;
+  retryable: boolean;
+}
+
+// ============================================================================
+// STREAMING
+// ============================================================================
+
+export interface LlmStreamOptions {
+  onToken?: (delta: string, text: string) => void; // text is the reply so far
+  signal?: AbortSignal; // aborting cancels the upstream request; nothing else on the route is tried
+}
+
+// ============================================================================
+// BUDGETS AND RECORDINGS
+// ============================================================================
+
+export interface LlmFeatureBudget {
+  maxTokensPerRequest?: number; // prompt estimate plus maxTokens
+  maxTokensPerDay?: number;
+}
+
+export interface LlmFeatureUsage {
+  feature: string;
+  day: string; // YYYY-MM-DD, local time
+  tokens: number;
+  requests: number;
+}
+
+export interface LlmRecording {
+  key: string; // hash of messages, model, temperature and maxTokens
+  messages: LlmMessage[];
+  response: LlmProviderResponse;
+  recordedAt: string;
+}
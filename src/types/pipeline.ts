@@ -1,5 +1,6 @@
 // src/types/pipeline.ts
-// Core types for the 8-step resume optimization pipeline
+// Core types for the resume optimization pipeline: the 8 built-in steps plus
+// any steps registered through the step registry
 
 import { ResumeData } from './resume';
 
@@ -14,12 +15,16 @@ export enum PipelineStep {
   OUTPUT_RESUME = 8
 }
 
+// Built-in steps use the enum; registered steps use a string id
+export type PipelineStepId = PipelineStep | string;
+
 export interface PipelineState {
   sessionId: string;
   userId: string;
-  currentStep: PipelineStep;
-  completedSteps: PipelineStep[];
-  failedSteps: PipelineStep[];
+  currentStep: PipelineStepId;
+  completedSteps: PipelineStepId[];
+  failedSteps: PipelineStepId[];
+  skippedSteps: PipelineStepId[];
   userInputRequired: boolean;
   errorMessages: string[];
   progressPercentage: number;
@@ -28,7 +33,7 @@ export interface PipelineState {
 }
 
 export interface StepExecution {
-  step: PipelineStep;
+  step: PipelineStepId;
   startTime: Date;
   endTime?: Date;
   status: 'pending' | 'running' | 'completed' | 'failed' | 'skipped';
@@ -39,7 +44,7 @@ export interface StepExecution {
 
 export interface ResumeVersion {
   version: number;
-  step: PipelineStep;
+  step: PipelineStepId;
   data: ResumeData;
   timestamp: Date;
   changes: string[];
@@ -49,41 +54,57 @@ export interface PipelineExecutionContext {
   sessionId: string;
   userId: string;
   startTime: Date;
-  currentStep: PipelineStep;
+  currentStep: PipelineStepId;
   stepHistory: StepExecution[];
   resumeVersions: ResumeVersion[];
   userInputs: UserInputRecord[];
   errorLog: ErrorRecord[];
   jobDescription: string;
   targetRole: string;
+  stepOutputs?: Record<string, unknown>; // declared step outputs, by output name
 }
 
 export interface UserInputRecord {
-  step: PipelineStep;
+  step: PipelineStepId;
   timestamp: Date;
   inputType: string;
   data: any;
 }
 
 export interface ErrorRecord {
-  step: PipelineStep;
+  step: PipelineStepId;
   timestamp: Date;
   error: string;
   stackTrace?: string;
   retryAttempt: number;
 }
 
+// What a step publishes: its declared outputs are keys of this object
+export type StepData = Record<string, unknown>;
+
 export interface StepResult {
   success: boolean;
-  data?: any;
+  data?: StepData;
   error?: string;
-  nextStep?: PipelineStep;
+  nextStep?: PipelineStep; // informational; the configured step graph decides what runs next
   userInputRequired?: boolean;
   progressUpdate?: number;
 }
 
+export type PipelineStepStatus = 'completed' | 'current' | 'pending' | 'failed';
+
+export interface PipelineStepSummary {
+  id: PipelineStepId;
+  name: string;
+  description: string;
+  icon?: string;
+  status: PipelineStepStatus;
+  requiresUserInput: boolean;
+}
+
 export interface ProgressIndicator {
-  currentStep: PipelineStep;
+  currentStep: PipelineStepId;
+  currentStepIndex: number; // 1-based position in the configured step order
   totalSteps: number;
   stepName: string;
   stepDescription: string;
@@ -91,6 +112,7 @@ export interface ProgressIndicator {
   estimatedTimeRemaining?: number;
   userActionRequired: boolean;
   actionDescription?: string;
+  steps: PipelineStepSummary[];
 }
 
 export interface ErrorRecoveryStrategy {
@@ -101,6 +123,64 @@ export interface ErrorRecoveryStrategy {
   progressPreservation: boolean;
 }
 
+// ============================================================================
+// STEP REGISTRY
+// Each step declares what it reads and writes, how it retries and how it is
+// undone; the controller orders the configured steps as a DAG
+// ============================================================================
+
+export interface StepRetryPolicy {
+  maxAttempts: number;       // total attempts, including the first
+  backoffMs: number;         // delay before the first retry, doubled each time
+  maxBackoffMs?: number;
+  retryOn?: (error: string) => boolean; // defaults to retrying every failure
+}
+
+export interface StepRunContext {
+  stepId: PipelineStepId;
+  sessionId: string;
+  userId: string;
+  userType?: string;
+  jobDescription: string;
+  targetRole: string;
+  input?: unknown;               // what the caller passed to executeStep
+  inputs: Record<string, unknown>; // declared inputs, from upstream step outputs
+  attempt: number;               // 1-based
+  getLatestResumeVersion: () => ResumeVersion | null;
+  saveResumeVersion: (resumeData: ResumeData, changes?: string[]) => void;
+  recordUserInput: (inputType: string, data: unknown) => void;
+}
+
+export interface PipelineStepDefinition {
+  id: PipelineStepId;
+  name: string;
+  description: string;
+  icon?: string;                 // lucide icon name, e.g. 'file-text'
+  dependsOn: PipelineStepId[];
+  inputs: string[];              // output names this step reads
+  outputs: string[];             // keys of result.data this step publishes
+  progressWeight: number;
+  requiresUserInput?: boolean;
+  actionDescription?: string;    // shown while waiting for user input
+  retry?: StepRetryPolicy;
+  skipForUserTypes?: string[];
+  run: (context: StepRunContext) => Promise<StepResult>;
+  rollback?: (context: StepRunContext) => Promise<void> | void;
+}
+
+export interface PipelineConfiguration {
+  steps?: PipelineStepId[];      // steps to run; defaults to every registered step
+  skipSteps?: PipelineStepId[];
+  userType?: string;             // drops steps whose skipForUserTypes include it
+}
+
+export interface PipelineRunResult {
+  completed: boolean;            // every configured step finished
+  stoppedAt?: PipelineStepId;    // step waiting for input or that failed
+  userInputRequired: boolean;
+  results: { step: PipelineStepId; result: StepResult }[];
+}
+
 // Step-specific result types
 export interface ParseResumeResult extends StepResult {
   data?: {
@@ -183,7 +263,17 @@ export const PIPELINE_CONFIG = {
     [PipelineStep.FINAL_OPTIMIZATION]: 'Applying final optimizations and adding missing keywords',
     [PipelineStep.OUTPUT_RESUME]: 'Generating your optimized resume with 90%+ ATS score'
   },
-  TOTAL_STEPS: 8,
+  STEP_ICONS: {
+    [PipelineStep.PARSE_RESUME]: 'file-text',
+    [PipelineStep.ANALYZE_AGAINST_JD]: 'search',
+    [PipelineStep.MISSING_SECTIONS_MODAL]: 'edit',
+    [PipelineStep.PROJECT_ANALYSIS]: 'folder-open',
+    [PipelineStep.RE_ANALYSIS]: 'refresh-cw',
+    [PipelineStep.BULLET_REWRITING]: 'pen-tool',
+    [PipelineStep.FINAL_OPTIMIZATION]: 'zap',
+    [PipelineStep.OUTPUT_RESUME]: 'check-circle'
+  },
+  TOTAL_STEPS: 8, // built-in steps; a configured pipeline may run more or fewer
   MAX_RETRY_ATTEMPTS: 3,
   SESSION_TIMEOUT_MS: 30 * 60 * 1000, // 30 minutes
   PROGRESS_WEIGHTS: {
@@ -0,0 +1,54 @@
+// src/types/provenance.ts
+
+// ============================================================================
+// CLAIM PROVENANCE
+// Every factual claim in generated resume text, traced back to the span of
+// the original resume or of the user's own answers that supports it
+// ============================================================================
+
+export type ClaimType = 'tool' | 'metric' | 'company' | 'certification' | 'date';
+
+// resume: the uploaded resume as extracted; user-answer: anything the user
+// typed themselves (missing-section answers, profile data, confirmed claims)
+export type ProvenanceSourceKind = 'resume' | 'user-answer';
+
+export interface ProvenanceSource {
+  id: string;
+  kind: ProvenanceSourceKind;
+  label: string;
+  text: string;
+}
+
+export interface ProvenanceClaim {
+  type: ClaimType;
+  value: string; // as written in the generated text
+  key: string; // what support is matched on: skill id, metric value, folded name, year-month
+  field: string; // resume path, e.g. "workExperience[0].bullets[2]"
+  excerpt: string; // the sentence the claim appears in
+}
+
+export interface SourceSpan {
+  sourceId: string;
+  sourceKind: ProvenanceSourceKind;
+  label: string;
+  start: number;
+  end: number;
+  text: string;
+}
+
+export type ClaimSeverity = 'block' | 'flag';
+
+export interface ClaimProvenance {
+  claim: ProvenanceClaim;
+  supported: boolean;
+  evidence?: SourceSpan; // set when supported
+  severity: ClaimSeverity; // what an unsupported claim of this type does to export
+}
+
+export interface ProvenanceReport {
+  claims: ClaimProvenance[];
+  unsupported: ClaimProvenance[];
+  blocking: ClaimProvenance[]; // unsupported claims that stop export until confirmed or removed
+  canExport: boolean;
+  sourceIds: string[];
+}
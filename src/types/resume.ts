@@ -1,4 +1,5 @@
 // src/types/resume.ts
+import type { SupportedLanguage } from './language';
 
 export interface Education {
   degree: string;
@@ -59,6 +60,7 @@ export interface ResumeData {
   additionalSections?: AdditionalSection[];
   achievements?: string[];
   origin?: string;
+  language?: SupportedLanguage; // detected on upload; English when absent
 }
 
 export type UserType = 'fresher' | 'experienced' | 'student';
@@ -75,6 +77,8 @@ export interface ExtractionResult {
   chars_pre?: number;
   chars_post?: number;
   filename?: string;
+  layout?: LayoutStructure;
+  language?: SupportedLanguage;
 }
 
 export interface MetricScore {
@@ -504,6 +508,7 @@ export interface SectionDetectionResult {
   section_word_counts: Record<string, number>;
   section_bullet_counts: Record<string, number>;
   order_issues: OrderIssue[];
+  language?: SupportedLanguage;
 }
 
 // Section Quality Analysis
@@ -551,6 +556,10 @@ export interface ExperienceAnalysisResult {
   quantified_bullets_percentage: number;
   strong_action_verbs_count: number;
   experience_quality_issues: string[];
+  // From the resume timeline, when structured data is available
+  total_experience_months?: number;
+  average_tenure_months?: number;
+  employment_gap_months?: number; // unexplained gaps between roles
 }
 
 // Content Quality
@@ -659,7 +668,7 @@ export interface FileAnalyzerInterface {
 }
 
 export interface SectionDetectorInterface {
-  detectSections(resumeText: string): SectionDetectionResult;
+  detectSections(resumeText: string, language?: SupportedLanguage): SectionDetectionResult;
 }
 
 export interface QualityAnalyzerInterface {
@@ -722,6 +731,25 @@ export interface BoundingBox {
   height: number;
 }
 
+// A single recognised word, boxed in the coordinates of the page it came from
+export interface OCRWord {
+  text: string;
+  confidence: number;          // 0-100
+  bbox: BoundingBox;
+}
+
+export interface OCRPageResult {
+  pageNumber: number;
+  source: 'text-layer' | 'ocr';
+  text: string;
+  confidence: number;          // 0-100; 100 for text-layer pages
+  words: OCRWord[];
+  width: number;               // PDF points for PDF pages, pixels for images
+  height: number;
+  skewAngle: number;           // degrees corrected before recognition
+  error?: string;              // set when this page could not be read
+}
+
 export interface OCRResult {
   text: string;
   confidence: number;
@@ -730,6 +758,7 @@ export interface OCRResult {
   detectedLanguage: string;
   processingTime: number;
   imagePreprocessed: boolean;
+  pages?: OCRPageResult[];
 }
 
 // Layout Parsing
@@ -778,6 +807,29 @@ export interface LayoutStructure {
   complexity: LayoutComplexity;
 }
 
+// Positioned text as reported by pdfjs getTextContent(), normalised to a
+// top-left origin in PDF points
+export interface PositionedTextItem {
+  text: string;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  fontSize: number;
+  fontName?: string;
+}
+
+export interface PageTextLayout {
+  pageNumber: number;
+  width: number;
+  height: number;
+  items: PositionedTextItem[];
+}
+
+export interface LayoutDocument {
+  pages: PageTextLayout[];
+}
+
 // Parsing Quality Assessment
 export interface ParsingQuality {
   textAccuracy: number;           // 0-100
@@ -926,9 +978,9 @@ export interface OCRServiceInterface {
 }
 
 export interface LayoutParserInterface {
-  detectColumns(document: Document): ColumnStructure;
-  extractTextboxContent(document: Document): TextboxContent[];
-  parseTableContent(document: Document): TableContent[];
+  detectColumns(document: LayoutDocument): ColumnStructure;
+  extractTextboxContent(document: LayoutDocument): TextboxContent[];
+  parseTableContent(document: LayoutDocument): TableContent[];
   orderContentLogically(elements: ContentElement[]): ContentElement[];
 }
 
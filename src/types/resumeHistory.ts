@@ -0,0 +1,104 @@
+// src/types/resumeHistory.ts
+
+// ============================================================================
+// RESUME VERSION HISTORY
+// Named, persistent resume versions on one branch per target job
+// ============================================================================
+
+import type { ResumeData } from './resume';
+
+export type HistoryVersionSource = 'pipeline' | 'manual' | 'restore' | 'cherry-pick' | 'workbench';
+
+export interface HistoryVersion {
+  id: string;
+  branchId: string;
+  parentId: string | null; // previous version on the branch, or the fork point
+  name: string;
+  data: ResumeData;
+  score?: number; // ATS score this version achieved against the branch's JD
+  source: HistoryVersionSource;
+  changes: string[];
+  createdAt: Date;
+}
+
+export interface ResumeBranch {
+  id: string;
+  userId: string;
+  name: string;
+  targetRole: string;
+  jobDescription: string;
+  jobFingerprint: string; // normalised JD hash, so the same job maps to the same branch
+  headVersionId: string | null;
+  forkedFrom?: { branchId: string; versionId: string };
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface ResumeHistory {
+  userId: string;
+  branches: ResumeBranch[];
+  versions: HistoryVersion[];
+}
+
+export interface BranchTarget {
+  jobDescription: string;
+  targetRole?: string;
+  name?: string;
+}
+
+export interface CommitVersionOptions {
+  name?: string;
+  score?: number;
+  changes?: string[];
+  source?: HistoryVersionSource;
+}
+
+// ============================================================================
+// DIFF
+// ============================================================================
+
+export type DiffChangeType = 'added' | 'removed' | 'modified';
+
+export type BulletSection = 'workExperience' | 'projects' | 'additionalSections' | 'achievements';
+
+// Where a bullet lives in one version. `achievements` is a flat list, so its
+// entryIndex is always 0.
+export interface BulletRef {
+  section: BulletSection;
+  entryIndex: number;
+  bulletIndex: number;
+}
+
+export interface FieldChange {
+  path: string; // e.g. "summary", "education[0].cgpa", "skills.Languages"
+  label: string;
+  type: DiffChangeType;
+  before?: string;
+  after?: string;
+}
+
+export interface BulletChange {
+  type: DiffChangeType;
+  section: BulletSection;
+  entryLabel: string; // "Engineer · Acme", project title, ...
+  before?: { ref: BulletRef; text: string };
+  after?: { ref: BulletRef; text: string };
+  similarity?: number; // 0-1 word overlap for modified bullets
+}
+
+export interface ResumeDiff {
+  fields: FieldChange[];
+  bullets: BulletChange[];
+  summary: {
+    fieldsChanged: number;
+    bulletsAdded: number;
+    bulletsRemoved: number;
+    bulletsModified: number;
+  };
+}
+
+export interface VersionDiff extends ResumeDiff {
+  fromVersionId: string;
+  toVersionId: string;
+  scoreDelta?: number;
+}
@@ -0,0 +1,163 @@
+// src/types/resumeInterchange.ts
+import { ResumeData, AdditionalSection } from './resume';
+import { SupportedLanguage } from './language';
+
+// ============================================================================
+// JSON RESUME (https://jsonresume.org/schema) - v1.0.0
+// ============================================================================
+
+export interface JsonResumeLocation {
+  address?: string;
+  postalCode?: string;
+  city?: string;
+  countryCode?: string;
+  region?: string;
+}
+
+export interface JsonResumeProfile {
+  network?: string;
+  username?: string;
+  url?: string;
+}
+
+export interface JsonResumeBasics {
+  name?: string;
+  label?: string;
+  image?: string;
+  email?: string;
+  phone?: string;
+  url?: string;
+  summary?: string;
+  location?: JsonResumeLocation;
+  profiles?: JsonResumeProfile[];
+}
+
+// Fields PrimoBoost keeps that JSON Resume has no slot for. Stored under
+// PRIMOBOOST_EXTENSION_KEY, which JSON Resume consumers ignore.
+export interface PrimoBoostEntryExtension {
+  year?: string;
+  description?: string;
+  location?: string;
+  count?: number;
+}
+
+export interface JsonResumeWork {
+  name?: string;
+  position?: string;
+  location?: string;
+  url?: string;
+  startDate?: string;
+  endDate?: string;
+  summary?: string;
+  highlights?: string[];
+  'x-primoboost'?: PrimoBoostEntryExtension;
+}
+
+export interface JsonResumeEducation {
+  institution?: string;
+  url?: string;
+  area?: string;
+  studyType?: string;
+  startDate?: string;
+  endDate?: string;
+  score?: string;
+  courses?: string[];
+  'x-primoboost'?: PrimoBoostEntryExtension;
+}
+
+export interface JsonResumeProject {
+  name?: string;
+  description?: string;
+  highlights?: string[];
+  keywords?: string[];
+  startDate?: string;
+  endDate?: string;
+  url?: string;
+  roles?: string[];
+  entity?: string;
+  type?: string;
+}
+
+export interface JsonResumeSkill {
+  name?: string;
+  level?: string;
+  keywords?: string[];
+  'x-primoboost'?: PrimoBoostEntryExtension;
+}
+
+export interface JsonResumeCertificate {
+  name?: string;
+  date?: string;
+  issuer?: string;
+  url?: string;
+  'x-primoboost'?: PrimoBoostEntryExtension;
+}
+
+export interface JsonResumeAward {
+  title?: string;
+  date?: string;
+  awarder?: string;
+  summary?: string;
+}
+
+export interface JsonResumeMeta {
+  canonical?: string;
+  version?: string;
+  lastModified?: string;
+}
+
+export interface PrimoBoostResumeExtension {
+  careerObjective?: string;
+  additionalSections?: AdditionalSection[];
+  origin?: string;
+  language?: SupportedLanguage;
+}
+
+export interface JsonResume {
+  $schema?: string;
+  basics?: JsonResumeBasics;
+  work?: JsonResumeWork[];
+  volunteer?: unknown[];
+  education?: JsonResumeEducation[];
+  awards?: JsonResumeAward[];
+  certificates?: JsonResumeCertificate[];
+  publications?: unknown[];
+  skills?: JsonResumeSkill[];
+  languages?: unknown[];
+  interests?: unknown[];
+  references?: unknown[];
+  projects?: JsonResumeProject[];
+  meta?: JsonResumeMeta;
+  'x-primoboost'?: PrimoBoostResumeExtension;
+}
+
+export const JSON_RESUME_SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+export const PRIMOBOOST_EXTENSION_KEY = 'x-primoboost';
+
+// ============================================================================
+// PRIMOBOOST NATIVE FORMAT
+// ============================================================================
+
+export const PRIMOBOOST_RESUME_FORMAT = 'primoboost-resume';
+
+// Bump when ResumeData changes shape and register a migration from the
+// previous version in resumeInterchange.ts
+export const PRIMOBOOST_RESUME_SCHEMA_VERSION = 1;
+
+export interface PrimoBoostResumeFile {
+  format: typeof PRIMOBOOST_RESUME_FORMAT;
+  schemaVersion: number;
+  exportedAt: string;
+  resume: ResumeData;
+}
+
+export type ResumeInterchangeFormat = 'primoboost' | 'json-resume';
+
+export interface ResumeImportResult {
+  resume: ResumeData;
+  format: ResumeInterchangeFormat;
+  // Schema version the file was written with (native format only)
+  sourceVersion?: number;
+  migrated: boolean;
+  warnings: string[];
+}
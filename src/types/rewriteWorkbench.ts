@@ -0,0 +1,78 @@
+// src/types/rewriteWorkbench.ts
+
+// ============================================================================
+// REWRITE WORKBENCH
+// Per-bullet rewrite candidates the user accepts, rejects or edits before
+// they are saved as a new resume version
+// ============================================================================
+
+import type { ResumeData } from './resume';
+import type { BulletRef } from './resumeHistory';
+
+// optimizer: the 16-parameter rewrite; length-fix: compressed or split by
+// the ATS bullet length fixer; metric-restore: an optimizer candidate with
+// the metrics it dropped put back; edit: typed by the user
+export type RewriteCandidateSource = 'optimizer' | 'length-fix' | 'metric-restore' | 'edit';
+
+export interface RewriteCandidateChecks {
+  hallucinatedTerms: string[]; // technical terms found in neither the resume nor the JD
+  metricsLost: string[]; // metrics of the original missing from the candidate
+  metricsAdded: string[]; // numbers the original never claimed
+  metricsPreserved: boolean;
+  semanticSimilarity?: number; // 0-1 against the original; unset when embeddings are unavailable
+}
+
+export interface RewriteCandidate {
+  id: string;
+  source: RewriteCandidateSource;
+  bullets: string[]; // usually one; two when a long bullet is split
+  checks: RewriteCandidateChecks;
+  scoreDelta: number; // predicted 16-parameter score change if only this candidate is accepted
+}
+
+export type BulletDecisionStatus = 'pending' | 'accepted' | 'rejected';
+
+export interface BulletDecision {
+  status: BulletDecisionStatus;
+  candidateId?: string; // set when accepted
+}
+
+export interface WorkbenchBullet {
+  key: string; // "section:entryIndex:bulletIndex"
+  ref: BulletRef;
+  entryLabel: string;
+  original: string;
+  candidates: RewriteCandidate[];
+  decision: BulletDecision;
+}
+
+export interface WorkbenchSession {
+  id: string;
+  jobDescription: string;
+  targetRole?: string;
+  branchId?: string; // resume history branch the result is saved to
+  baseVersionId?: string;
+  resume: ResumeData; // the resume the candidates were generated for
+  baseScore: number;
+  bullets: WorkbenchBullet[];
+  createdAt: Date;
+}
+
+export interface WorkbenchSummary {
+  total: number;
+  withCandidates: number;
+  accepted: number;
+  rejected: number;
+  pending: number;
+  flagged: number; // accepted candidates with hallucination or metric flags
+  baseScore: number;
+  predictedScore: number;
+}
+
+// Router state for reviewing a rewrite that was just applied, such as the optimizer's result
+export interface WorkbenchRewriteState {
+  original: ResumeData;
+  rewritten: ResumeData;
+  jobDescription: string;
+  targetRole?: string;
+}
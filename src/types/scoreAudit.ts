@@ -0,0 +1,74 @@
+// src/types/scoreAudit.ts
+
+// ============================================================================
+// SCORE AUDIT TRAIL
+// Explains how each of the 16 ATS parameter scores was produced
+// ============================================================================
+
+export const SCORE_AUDIT_SCHEMA_VERSION = 1;
+
+export type AuditStepKind = 'base' | 'floor' | 'cap';
+
+// One arithmetic step; replaying steps in order reproduces the parameter score
+export interface AuditStep {
+  ruleId: string;
+  kind: AuditStepKind;
+  description: string;
+  before: number;
+  after: number;
+  delta: number;
+}
+
+// Penalty that fed into the metric behind a parameter (ScoringCore proportional
+// penalties, red flags, format issues). Already reflected in the base value.
+export interface AuditPenalty {
+  source: 'scoring-core' | 'red-flag' | 'format-issue';
+  type: string;
+  severity: 'critical' | 'high' | 'medium' | 'low';
+  penaltyPercentage: number;
+  maxPenalty: number;
+  appliedPenalty: number;
+  reason: string;
+}
+
+// A matched span of resume (or JD) text; offsets index into the scored text
+export interface EvidenceSpan {
+  source: 'resume' | 'jd';
+  text: string;
+  start: number;
+  end: number;
+  line: number; // 1-based line number in the source text
+  effect: 'earned' | 'cost';
+  ruleId: string;
+  reason: string;
+}
+
+export interface ParameterAudit {
+  key: string;
+  name: string;
+  parameterNumber: number;
+  ruleId: string;
+  score: number;
+  maxScore: number;
+  // Share of the raw 16-parameter total this parameter can contribute
+  weight: number;
+  // Metric values the rules read (tier percentages, counts)
+  inputs: Record<string, number>;
+  steps: AuditStep[];
+  penalties: AuditPenalty[];
+  evidence: EvidenceSpan[];
+}
+
+export interface ScoreAuditTrail {
+  schemaVersion: number;
+  generatedAt: string;
+  scoringModel: 'legacy-16' | 'unified-16';
+  // Scoring profile whose parameter weights produced overallScore
+  profileId: string;
+  mode: 'jd_based' | 'general';
+  overallScore: number;
+  rawTotal: number;
+  maxTotal: number;
+  resumeTextLength: number;
+  parameters: ParameterAudit[];
+}
@@ -0,0 +1,101 @@
+// src/types/scoringProfile.ts
+import type { RoleType, SeniorityLevel } from '../services/roleClassifier';
+
+// ============================================================================
+// SCORING PROFILES
+// ============================================================================
+
+export const SCORING_PROFILE_SCHEMA_VERSION = 1;
+
+export type ScoringRegion = 'india' | 'us' | 'uk' | 'eu' | 'global';
+
+export type SkillImportance = 'critical' | 'high' | 'medium' | 'low';
+
+// Role families the evidence-locked scorer weights skills for
+export type EvidenceRoleFamily = 'ops-data-entry' | 'software-dev' | 'data-analytics' | 'ai-ml' | 'devops-cloud';
+
+// Keys of the legacy 16-parameter score, in display order
+export type ScoreParameterKey =
+  | 'keywordMatch'
+  | 'skillsAlignment'
+  | 'experienceRelevance'
+  | 'technicalCompetencies'
+  | 'educationScore'
+  | 'quantifiedAchievements'
+  | 'employmentHistory'
+  | 'industryExperience'
+  | 'jobTitleMatch'
+  | 'careerProgression'
+  | 'certifications'
+  | 'formatting'
+  | 'contentQuality'
+  | 'grammar'
+  | 'resumeLength'
+  | 'filenameQuality';
+
+export type RulebookSection = 'header' | 'summary' | 'skills' | 'experience' | 'projects' | 'education' | 'certifications';
+
+// Which job descriptions a profile applies to. An empty list matches anything;
+// roleTypes and titleKeywords are alternatives, the other fields must all match.
+export interface ScoringProfileSelector {
+  roleTypes: RoleType[];
+  titleKeywords: string[];
+  seniority: SeniorityLevel[];
+  regions: ScoringRegion[];
+}
+
+export interface PenaltyThreshold {
+  percentage: number;
+  max: number;
+}
+
+export interface ScoringProfile {
+  schemaVersion: number;
+  id: string;
+  name: string;
+  description: string;
+  builtIn: boolean;
+  selector: ScoringProfileSelector;
+  // Points each parameter contributes to the 16-parameter overall score
+  parameterWeights: Record<ScoreParameterKey, number>;
+  matching: {
+    semanticWeight: number;
+    literalWeight: number;
+  };
+  penalties: {
+    maxPenaltyPerIssue: number;
+    missingSkill: Record<SkillImportance, PenaltyThreshold>;
+  };
+  // Skill multipliers per role family; families left out use the default profile's
+  skillWeights: Partial<Record<EvidenceRoleFamily, Record<string, number>>>;
+  document: {
+    sectionOrder: RulebookSection[];
+    requiredSections: RulebookSection[];
+    minSections: number;
+    pageLimit: { min: number; max: number };
+    totalWords: { min: number; max: number };
+    summaryWords: { min: number; max: number };
+    bulletWords: { min: number; max: number };
+    minMetricPercentage: number;
+    keywordRepetition: { min: number; max: number };
+  };
+}
+
+export interface ScoringProfileIssue {
+  path: string;
+  message: string;
+}
+
+export interface ScoringProfileValidation {
+  valid: boolean;
+  profile?: ScoringProfile;
+  issues: ScoringProfileIssue[];
+}
+
+export interface ScoringProfileSelection {
+  profile: ScoringProfile;
+  roleType: RoleType;
+  seniority: SeniorityLevel;
+  region: ScoringRegion;
+  reasons: string[];
+}
@@ -0,0 +1,26 @@
+// src/types/semanticIndex.ts
+
+// ============================================================================
+// SEMANTIC INDEX
+// Sentence embeddings for resume bullets, JD requirements and taxonomy skills
+// ============================================================================
+
+export type EmbeddingKind = 'bullet' | 'requirement' | 'skill' | 'text';
+
+export interface SemanticIndexItem<T = unknown> {
+  id: string;
+  text: string;
+  kind: EmbeddingKind;
+  meta?: T;
+}
+
+export interface SemanticSearchHit<T = unknown> {
+  item: SemanticIndexItem<T>;
+  score: number; // cosine similarity, -1 to 1
+}
+
+export interface EmbeddingCacheStats {
+  hits: number;
+  misses: number;
+  persistent: boolean; // false when IndexedDB is unavailable and only memory is used
+}
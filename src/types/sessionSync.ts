@@ -0,0 +1,80 @@
+// src/types/sessionSync.ts
+
+// ============================================================================
+// CROSS-DEVICE SESSION SYNC
+// Optimizer and interview sessions stored server-side, encrypted per user
+// ============================================================================
+
+export type SyncedSessionKind = 'pipeline' | 'interview';
+
+// Unencrypted listing details, so sessions can be listed without decrypting
+// every payload. Never put resume or answer content here.
+export interface SyncedSessionDetails {
+  title: string;
+  progressLabel: string;
+  progress?: number; // 0-100
+  subtype?: string; // e.g. interview type
+  secondsRemaining?: number; // timed sessions
+}
+
+export interface SyncedSessionSummary {
+  sessionId: string;
+  kind: SyncedSessionKind;
+  deviceId: string;
+  deviceLabel: string;
+  isCurrentDevice: boolean;
+  revision: number;
+  details: SyncedSessionDetails;
+  updatedAt: Date;
+  expiresAt: Date;
+}
+
+export interface SyncedSession<T> extends SyncedSessionSummary {
+  payload: T;
+}
+
+// What to do when another device saved the session since this device last
+// saw it: overwrite it, adopt it, or combine both
+export type ConflictStrategy = 'keep-local' | 'keep-remote' | 'merge';
+
+export interface PushSessionOptions<T> {
+  details: SyncedSessionDetails;
+  onConflict?: ConflictStrategy;
+  merge?: (local: T, remote: T) => T;
+  ttlMs?: number;
+}
+
+export type SyncStatus = 'saved' | 'merged' | 'remote-kept' | 'failed';
+
+export interface SyncResult<T> {
+  status: SyncStatus;
+  payload: T; // what the server now holds (or the local state, if the save failed)
+  revision?: number;
+  conflict?: {
+    deviceLabel: string;
+    updatedAt: Date;
+  };
+  error?: string;
+}
+
+// ============================================================================
+// DATABASE ROWS
+// ============================================================================
+
+// synced_sessions columns read when listing sessions
+export interface SyncedSessionRow {
+  session_id: string;
+  kind: SyncedSessionKind;
+  device_id: string;
+  device_label: string;
+  revision: number;
+  details: SyncedSessionDetails | null;
+  updated_at: string;
+  expires_at: string;
+}
+
+// A row returned by save_synced_session(); on a conflict it carries the
+// other device's save
+export type SaveSyncedSessionResult =
+  | { result_status: 'saved'; result_revision: number; result_payload: null; result_device_label: string; result_updated_at: string }
+  | { result_status: 'conflict'; result_revision: number; result_payload: string; result_device_label: string; result_updated_at: string };
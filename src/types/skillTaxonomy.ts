@@ -0,0 +1,95 @@
+// src/types/skillTaxonomy.ts
+import type { SupportedLanguage } from './language';
+
+// ============================================================================
+// SKILL TAXONOMY
+// Shipped in src/data/skillTaxonomy.json; admins extend it from the admin UI
+// ============================================================================
+
+export const SKILL_TAXONOMY_SCHEMA_VERSION = 1;
+
+// ATS-friendly skill section names (must match Gemini service output)
+export type AtsSkillCategory =
+  | 'Programming Languages'
+  | 'Frontend Technologies'
+  | 'Backend Technologies'
+  | 'Databases'
+  | 'Cloud & DevOps'
+  | 'Data Science & ML'
+  | 'Tools & Platforms'
+  | 'Testing & QA'
+  | 'Soft Skills';
+
+// A 'group' is an umbrella such as "Frontend development" that organizes the
+// hierarchy; only skills are things a resume lists
+export type SkillNodeKind = 'skill' | 'group';
+
+export type SkillNodeImportance = 'high' | 'medium' | 'low';
+
+export interface SkillDeprecation {
+  since: string; // taxonomy version that deprecated the entry
+  replacedBy?: string; // id of the entry to list instead
+  note?: string;
+}
+
+export interface SkillNode {
+  id: string; // lowercase slug, stable across renames
+  name: string; // display name
+  kind: SkillNodeKind;
+  category: string; // key of SkillTaxonomyDataset.categories
+  // Section the skill belongs in on an ATS resume. Name and aliases of these
+  // entries form the category term lists the free-text extractors search for.
+  atsCategory?: AtsSkillCategory;
+  parent?: string;
+  // Other spellings of the same skill, specific enough to spot in free text
+  aliases?: string[];
+  // Equivalent terms only matched as a whole keyword ("js", "k8"); too short
+  // or too loose to search for inside a sentence
+  synonyms?: string[];
+  // Names the skill goes by in resumes written in other languages
+  localized?: Partial<Record<SupportedLanguage, string[]>>;
+  confidence?: number; // 0-1, how safely a synonym stands in for the name
+  importance?: SkillNodeImportance;
+  deprecated?: SkillDeprecation;
+}
+
+export interface SkillTaxonomyCategory {
+  name: string;
+  description: string;
+}
+
+export interface SkillTaxonomyDataset {
+  schemaVersion: number;
+  version: string;
+  updatedAt: string;
+  categories: Record<string, SkillTaxonomyCategory>;
+  skills: SkillNode[];
+}
+
+// ============================================================================
+// LOOKUPS
+// ============================================================================
+
+// How a spelling resolved to a node
+export type SkillMatchKind = 'name' | 'alias' | 'synonym' | 'localized';
+
+export interface SkillResolution {
+  skill: SkillNode;
+  matchedAs: SkillMatchKind;
+  language?: SupportedLanguage; // set for localized matches
+}
+
+// same: both terms name one entry; parent/child: the first term is the
+// parent/child of the second; ancestor/descendant: further up or down the tree
+export type SkillRelationship = 'same' | 'parent' | 'child' | 'ancestor' | 'descendant' | 'sibling' | 'unrelated';
+
+export interface SkillNodeValidationIssue {
+  path: string;
+  message: string;
+}
+
+export interface SkillNodeValidation {
+  valid: boolean;
+  skill?: SkillNode;
+  issues: SkillNodeValidationIssue[];
+}
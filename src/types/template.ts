@@ -0,0 +1,175 @@
+// src/types/template.ts
+import { ResumeData, UserType } from './resume';
+import { SupportedLanguage, TextDirection } from './language';
+
+// ============================================================================
+// TEMPLATE DECLARATIONS
+// ============================================================================
+
+export type TemplateId = 'classic' | 'compact' | 'academic';
+
+export type ResumeSectionKey =
+  | 'summary'
+  | 'careerObjective'
+  | 'skills'
+  | 'workExperience'
+  | 'projects'
+  | 'education'
+  | 'certifications'
+  | 'achievements'
+  | 'additionalSections';
+
+export interface ContactItem {
+  text: string;
+  url?: string;
+}
+
+// Renderer-agnostic content blocks. Section renderers produce these once and
+// the preview, PDF and DOCX renderers each turn them into their own output.
+export type TemplateBlock =
+  | { type: 'paragraph'; text: string; label?: string }
+  | { type: 'bullet'; text: string; label?: string }
+  | { type: 'entry'; title: string; date?: string; subtitle?: string; details?: string[]; bullets?: string[] };
+
+export interface TemplateSection {
+  key: ResumeSectionKey;
+  title: string;
+  blocks: TemplateBlock[];
+}
+
+export interface TemplateDocument {
+  templateId: TemplateId;
+  language: SupportedLanguage;
+  direction: TextDirection;
+  name: string;
+  contactLines: ContactItem[][];
+  sections: TemplateSection[];
+}
+
+export interface SectionRenderContext {
+  userType: UserType;
+  title: string;
+}
+
+// Returns no sections when the resume has nothing to show for this key
+export type SectionRenderer = (data: ResumeData, context: SectionRenderContext) => TemplateSection[];
+
+export interface TemplateMargins {
+  top: number;
+  right: number;
+  bottom: number;
+  left: number;
+}
+
+export interface TemplateTypography {
+  // Added to the ExportOptions sizes (pt) so the user's font controls still apply
+  sizeOffsets: { name: number; sectionTitle: number; subHeader: number; body: number };
+  lineHeight: number;
+  // Multiplies the section/entry spacing chosen in ExportOptions
+  spacingScale: number;
+  nameAlign: 'left' | 'center';
+  contactBold: boolean;
+  nameCase: 'upper' | 'as-is';
+  headingCase: 'upper' | 'as-is';
+  sectionRule: boolean;
+  // Falls back to the export's margins for options.layoutType when omitted
+  margins?: TemplateMargins;
+}
+
+export interface ResumeTemplate {
+  id: TemplateId;
+  name: string;
+  description: string;
+  sectionOrder: Record<UserType, ResumeSectionKey[]>;
+  sectionTitles?: Partial<Record<ResumeSectionKey, string>>;
+  typography: TemplateTypography;
+  renderers?: Partial<Record<ResumeSectionKey, SectionRenderer>>;
+  // Shrink typography (down to minBodySize) until the layout fits this many pages
+  maxPages?: number;
+  minBodySize?: number;
+}
+
+// ============================================================================
+// RESOLVED STYLE & LAYOUT
+// ============================================================================
+
+// Template typography combined with ExportOptions. All lengths in mm, sizes in pt.
+export interface TemplateStyle {
+  templateId: TemplateId;
+  pageWidth: number;
+  pageHeight: number;
+  margins: TemplateMargins;
+  contentWidth: number;
+  fontFamily: string;
+  fonts: {
+    name: number;
+    contact: number;
+    sectionTitle: number;
+    entryTitle: number;
+    entrySubtitle: number;
+    body: number;
+    footer: number;
+  };
+  lineHeight: number;
+  spacing: {
+    afterName: number;
+    afterContact: number;
+    sectionBefore: number;
+    sectionAfter: number;
+    entry: number;
+    bullet: number;
+    bulletIndent: number;
+    bulletTextIndent: number;
+  };
+  nameAlign: 'left' | 'center';
+  contactBold: boolean;
+  nameCase: 'upper' | 'as-is';
+  headingCase: 'upper' | 'as-is';
+  sectionRule: boolean;
+  colors: { text: string; muted: string; link: string; rule: string };
+}
+
+export interface TextMeasurer {
+  // Width in mm of text set at the given size (pt)
+  width(text: string, fontSize: number, bold: boolean): number;
+}
+
+export type LayoutBoxRole =
+  | 'name'
+  | 'contact'
+  | 'heading'
+  | 'rule'
+  | 'entry-title'
+  | 'entry-date'
+  | 'entry-subtitle'
+  | 'entry-detail'
+  | 'label'
+  | 'text'
+  | 'bullet-marker'
+  | 'bullet'
+  | 'footer';
+
+// One positioned line fragment; y is the top of the line box
+export interface LayoutBox {
+  page: number;
+  role: LayoutBoxRole;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  text?: string;
+  fontSize?: number;
+  bold?: boolean;
+  url?: string;
+}
+
+export interface ResumeLayout {
+  templateId: TemplateId;
+  // Boxes are already mirrored for 'rtl'; renderers only need it for text shaping
+  direction: TextDirection;
+  style: TemplateStyle;
+  pageCount: number;
+  boxes: LayoutBox[];
+  // True when a template with maxPages could not be fitted even at minBodySize
+  overflow: boolean;
+}
@@ -0,0 +1,71 @@
+// src/types/timeline.ts
+
+// ============================================================================
+// RESUME TIMELINE
+// Experience and education entries normalised into month intervals
+// ============================================================================
+
+import type { ParsedDate } from '../utils/dateNormalizer';
+
+export type TimelineEntryKind = 'experience' | 'education';
+
+export interface TimelineInterval {
+  id: string; // `${kind}-${index}`
+  kind: TimelineEntryKind;
+  index: number; // position in the resume section
+  label: string; // "Role at Company" / "Degree, School"
+  range: string; // date text as written
+  start: ParsedDate | null;
+  end: ParsedDate | null;
+  // Months since year 0 (year * 12 + month - 1), inclusive on both ends.
+  // A year-only start is January, a year-only end December.
+  startMonth: number | null;
+  endMonth: number | null;
+  isOngoing: boolean;
+  durationMonths: number; // 0 when the dates could not be read
+  isValid: boolean;
+}
+
+export interface TimelineGap {
+  afterId: string;
+  beforeId: string;
+  startMonth: number;
+  endMonth: number;
+  months: number;
+  explainedBy?: string; // education entry covering most of the gap
+}
+
+export type TimelineOverlapKind = 'concurrent-roles' | 'study-and-work';
+
+export interface TimelineOverlap {
+  kind: TimelineOverlapKind;
+  firstId: string;
+  secondId: string;
+  months: number;
+}
+
+export type TimelineIssueType =
+  | 'unparseable-date'
+  | 'end-before-start'
+  | 'future-start'
+  | 'future-end';
+
+export interface TimelineIssue {
+  type: TimelineIssueType;
+  entryId: string;
+  severity: 'error' | 'warning';
+  message: string;
+}
+
+export interface Timeline {
+  experience: TimelineInterval[]; // chronological; unreadable entries last
+  education: TimelineInterval[];
+  gaps: TimelineGap[]; // between roles, oldest first
+  overlaps: TimelineOverlap[];
+  issues: TimelineIssue[];
+  totalExperienceMonths: number; // concurrent roles counted once
+}
+
+export interface TimelineOptions {
+  locale?: string; // date parsing hint, see DateParseOptions
+}
@@ -0,0 +1,167 @@
+// src/utils/batchScoreExport.ts
+import { saveAs } from 'file-saver';
+import JSZip from 'jszip';
+import { BatchScoreRow, BatchScoringResult } from '../types/batchScoring';
+import { ScoreParameterKey } from '../types/scoringProfile';
+import { SCORE_PARAMETERS } from '../services/scoreAuditService';
+
+type Cell = string | number | null;
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+const SHEET_NAMESPACE = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const R_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELS_NAMESPACE = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+// ============================================================================
+// TABLE
+// ============================================================================
+
+/**
+ * The ranked table shared by the CSV and XLSX exports: one row per resume
+ * with the 16 parameter scores and the keywords it is missing
+ */
+export const buildBatchScoreTable = (result: BatchScoringResult): Cell[][] => {
+  const header: Cell[] = [
+    'Rank',
+    'File',
+    'Overall Score',
+    'Match Quality',
+    'Interview Chance',
+    'Scoring Profile',
+    ...SCORE_PARAMETERS.map(parameter => `${parameter.name} (/${parameter.maxScore})`),
+    'Missing Critical Keywords',
+    'Missing Important Keywords',
+    'Missing Optional Keywords',
+    'Error'
+  ];
+
+  const toCells = (row: BatchScoreRow): Cell[] => [
+    row.rank,
+    row.fileName,
+    row.error ? null : row.overallScore,
+    row.matchQuality,
+    row.interviewChance,
+    row.profileId,
+    ...SCORE_PARAMETERS.map(parameter => row.scores ? row.scores[parameter.key as ScoreParameterKey] : null),
+    row.missingKeywords.critical.join('; '),
+    row.missingKeywords.important.join('; '),
+    row.missingKeywords.optional.join('; '),
+    row.error ?? null
+  ];
+
+  return [header, ...result.rows.map(toCells)];
+};
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+// Spreadsheet apps run cells starting with these as formulas; file names and
+// keywords come from uploads, so neutralise them
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value: Cell): string => {
+  if (value === null) return '';
+  if (typeof value === 'number') return String(value);
+
+  const text = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const generateBatchScoreCsv = (result: BatchScoringResult): string =>
+  buildBatchScoreTable(result).map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+// ============================================================================
+// XLSX
+// ============================================================================
+
+// XML 1.0 allows tab, newline, carriage return and everything from space up,
+// except lone surrogates and U+FFFE/U+FFFF
+const isXmlChar = (char: string): boolean => {
+  const code = char.codePointAt(0)!;
+  if (code < 0x20) return code === 0x09 || code === 0x0a || code === 0x0d;
+  return (code < 0xd800 || code > 0xdfff) && code !== 0xfffe && code !== 0xffff;
+};
+
+const escapeXml = (text: string): string =>
+  [...text]
+    .filter(isXmlChar)
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index: number): string => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const xlsxCell = (value: Cell, ref: string): string => {
+  if (value === null || value === '') return '';
+  if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const createSheetXml = (table: Cell[][]): string => {
+  const rows = table.map((cells, rowIndex) =>
+    `<row r="${rowIndex + 1}">${cells.map((value, columnIndex) => xlsxCell(value, `${columnName(columnIndex)}${rowIndex + 1}`)).join('')}</row>`
+  );
+
+  return `${XML_DECLARATION}<worksheet xmlns="${SHEET_NAMESPACE}">` +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${rows.join('')}</sheetData>` +
+    '</worksheet>';
+};
+
+/**
+ * A single-sheet workbook with inline strings, which is all Excel, Sheets and
+ * LibreOffice need, so no spreadsheet library is bundled for it
+ */
+export const generateBatchScoreXlsxBlob = async (result: BatchScoringResult): Promise<Blob> => {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml',
+    `${XML_DECLARATION}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '</Types>');
+  zip.file('_rels/.rels',
+    `${XML_DECLARATION}<Relationships xmlns="${PACKAGE_RELS_NAMESPACE}">` +
+    `<Relationship Id="rId1" Type="${R_NAMESPACE}/officeDocument" Target="xl/workbook.xml"/>` +
+    '</Relationships>');
+  zip.file('xl/workbook.xml',
+    `${XML_DECLARATION}<workbook xmlns="${SHEET_NAMESPACE}" xmlns:r="${R_NAMESPACE}">` +
+    '<sheets><sheet name="Ranking" sheetId="1" r:id="rId1"/></sheets>' +
+    '</workbook>');
+  zip.file('xl/_rels/workbook.xml.rels',
+    `${XML_DECLARATION}<Relationships xmlns="${PACKAGE_RELS_NAMESPACE}">` +
+    `<Relationship Id="rId1" Type="${R_NAMESPACE}/worksheet" Target="worksheets/sheet1.xml"/>` +
+    '</Relationships>');
+  zip.file('xl/worksheets/sheet1.xml', createSheetXml(buildBatchScoreTable(result)));
+
+  return zip.generateAsync({ type: 'blob', mimeType: XLSX_MIME_TYPE, compression: 'DEFLATE' });
+};
+
+// ============================================================================
+// DOWNLOAD
+// ============================================================================
+
+const batchFileName = (result: BatchScoringResult, extension: 'csv' | 'xlsx'): string =>
+  `Resume_Ranking_${result.scoredAt.slice(0, 10)}.${extension}`;
+
+export const exportBatchScoresToCsv = (result: BatchScoringResult): void => {
+  // Byte order mark so Excel reads non-ASCII file names as UTF-8
+  const blob = new Blob(['\uFEFF', generateBatchScoreCsv(result)], { type: 'text/csv;charset=utf-8' });
+  saveAs(blob, batchFileName(result, 'csv'));
+};
+
+export const exportBatchScoresToXlsx = async (result: BatchScoringResult): Promise<void> => {
+  saveAs(await generateBatchScoreXlsxBlob(result), batchFileName(result, 'xlsx'));
+};
@@ -1,18 +1,16 @@
-const WORKER_URL = 'https://damp-haze-85c6.harshithayadali30.workers.dev';
-
-interface CloudflareAIResponse {
-  success: boolean;
-  text?: string;
-  provider?: string;
-  model?: string;
-  error?: string;
-  details?: any[];
-}
+import { llmGateway, workerFirstRoute } from '../services/llm/llmGateway';
+import { isAbortError } from '../services/llm/llmStream';
+import { getWorkerHeaders, WORKER_URL } from './workerClient';
 
 interface AIRequestOptions {
   prompt: string;
   model?: string;
   retries?: number;
+  feature?: string;
+  cache?: boolean; // off for conversations, where the same prompt should not get the same reply
+  // Stream the reply: onToken gets each piece and the text so far
+  onToken?: (delta: string, text: string) => void;
+  signal?: AbortSignal; // cancels the request; rejects with an AbortError
 }
 
 export const callCloudflareAI = async (
@@ -23,38 +21,24 @@ export const callCloudflareAI = async (
     ? { prompt: promptOrOptions, retries }
     : { retries: 2, ...promptOrOptions };
 
-  for (let i = 0; i <= options.retries; i++) {
-    try {
-      const response = await fetch(WORKER_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          prompt: options.prompt,
-          model: options.model
-        }),
-      });
-
-      const data: CloudflareAIResponse = await response.json();
-
-      if (data.success && data.text) {
-        console.log(`✅ AI response from: ${data.provider}${data.model ? ` (${data.model})` : ''}`);
-        return data.text;
-      }
-
-      if (i === options.retries) {
-        throw new Error(data.error || 'All AI providers failed');
-      }
-    } catch (error: any) {
-      if (i === options.retries) {
-        console.error('Cloudflare Worker error:', error);
-        throw new Error(`Failed to get AI response: ${error.message}`);
-      }
-      await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1)));
-    }
+  try {
+    const request = {
+      feature: options.feature || 'worker-ai',
+      messages: [{ role: 'user' as const, content: options.prompt }],
+      retries: options.retries,
+      route: workerFirstRoute(options.model),
+      cache: options.cache
+    };
+    const response = options.onToken || options.signal
+      ? await llmGateway.stream(request, { onToken: options.onToken, signal: options.signal })
+      : await llmGateway.complete(request);
+    console.log(`✅ AI response from: ${response.provider}${response.model ? ` (${response.model})` : ''}`);
+    return response.text;
+  } catch (error: any) {
+    if (isAbortError(error)) throw error;
+    console.error('Cloudflare Worker error:', error);
+    throw new Error(`Failed to get AI response: ${error.message}`);
   }
-  throw new Error('Failed after retries');
 };
 
 export const AI_MODELS = {
@@ -87,9 +71,7 @@ export const callGitHubAPI = async <T = any>(
 
     const response = await fetch(url.toString(), {
       method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
+      headers: await getWorkerHeaders({ 'Content-Type': 'application/json' }),
     });
 
     if (!response.ok) {
@@ -0,0 +1,30 @@
+// src/utils/concurrency.ts
+
+/**
+ * Run `worker` over every item with at most `limit` calls in flight, keeping
+ * results in input order. A rejected worker call rejects the whole run, so
+ * callers that want per-item failures should catch inside the worker.
+ * Once `signal` is aborted no further item is started and the run rejects with
+ * "Operation was cancelled"; calls already in flight are not interrupted.
+ */
+export const runWithConcurrency = async <T, R>(
+  items: T[],
+  limit: number,
+  worker: (item: T, index: number) => Promise<R>,
+  signal?: AbortSignal
+): Promise<R[]> => {
+  const results: R[] = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(Math.floor(limit) || 1, items.length));
+  let next = 0;
+
+  const runNext = async (): Promise<void> => {
+    while (next < items.length) {
+      if (signal?.aborted) throw new Error('Operation was cancelled');
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+  return results;
+};
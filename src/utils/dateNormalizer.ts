@@ -1,3 +1,5 @@
+import { scoringEnvironment } from '../services/scoringEnvironment';
+
 export interface ParsedDate {
   year: number;
   month: number | null;
@@ -7,9 +9,22 @@ export interface ParsedDate {
   originalString: string;
   normalized: string;
   isValid: boolean;
+  quarter?: number; // 1-4 for "Q2 2022"; month is then the quarter's first month
   warning?: string;
 }
 
+export interface DateParseOptions {
+  // BCP 47 tag or language code ("es", "de-DE", "en-US"). Enables that
+  // language's month abbreviations and, for en-US, month-first full dates.
+  locale?: string;
+}
+
+export interface ParsedDateRange {
+  start: ParsedDate;
+  end: ParsedDate;
+  isSingleDate: boolean;
+}
+
 export class DateNormalizer {
   private static readonly MONTH_NAMES: { [key: string]: number } = {
     'jan': 1, 'january': 1,
@@ -26,6 +41,69 @@ export class DateNormalizer {
     'dec': 12, 'december': 12
   };
 
+  // Full month names, recognised whatever the locale hint (accents stripped)
+  private static readonly LOCALE_MONTH_NAMES: { [language: string]: { [key: string]: number } } = {
+    es: {
+      'enero': 1, 'febrero': 2, 'marzo': 3, 'abril': 4, 'mayo': 5, 'junio': 6, 'julio': 7,
+      'agosto': 8, 'septiembre': 9, 'setiembre': 9, 'octubre': 10, 'noviembre': 11, 'diciembre': 12
+    },
+    fr: {
+      'janvier': 1, 'fevrier': 2, 'mars': 3, 'avril': 4, 'mai': 5, 'juin': 6, 'juillet': 7,
+      'aout': 8, 'septembre': 9, 'octobre': 10, 'novembre': 11, 'decembre': 12
+    },
+    de: {
+      'januar': 1, 'janner': 1, 'februar': 2, 'marz': 3, 'april': 4, 'mai': 5, 'juni': 6, 'juli': 7,
+      'august': 8, 'september': 9, 'oktober': 10, 'november': 11, 'dezember': 12
+    },
+    pt: {
+      'janeiro': 1, 'fevereiro': 2, 'marco': 3, 'abril': 4, 'maio': 5, 'junho': 6, 'julho': 7,
+      'agosto': 8, 'setembro': 9, 'outubro': 10, 'novembro': 11, 'dezembro': 12
+    },
+    it: {
+      'gennaio': 1, 'febbraio': 2, 'marzo': 3, 'aprile': 4, 'maggio': 5, 'giugno': 6, 'luglio': 7,
+      'agosto': 8, 'settembre': 9, 'ottobre': 10, 'novembre': 11, 'dicembre': 12
+    },
+    nl: {
+      'januari': 1, 'februari': 2, 'maart': 3, 'april': 4, 'mei': 5, 'juni': 6, 'juli': 7,
+      'augustus': 8, 'september': 9, 'oktober': 10, 'november': 11, 'december': 12
+    }
+  };
+
+  // Abbreviations only apply with a matching locale hint: some are ordinary
+  // English words ("out", "set") or mean another month in English
+  private static readonly LOCALE_MONTH_ABBREVIATIONS: { [language: string]: { [key: string]: number } } = {
+    es: {
+      'ene': 1, 'feb': 2, 'mar': 3, 'abr': 4, 'may': 5, 'jun': 6, 'jul': 7,
+      'ago': 8, 'sep': 9, 'sept': 9, 'set': 9, 'oct': 10, 'nov': 11, 'dic': 12
+    },
+    fr: {
+      'janv': 1, 'fev': 2, 'fevr': 2, 'avr': 4, 'juil': 7, 'sept': 9, 'oct': 10, 'nov': 11, 'dec': 12
+    },
+    de: {
+      'jan': 1, 'feb': 2, 'mrz': 3, 'apr': 4, 'jun': 6, 'jul': 7,
+      'aug': 8, 'sep': 9, 'sept': 9, 'okt': 10, 'nov': 11, 'dez': 12
+    },
+    pt: {
+      'jan': 1, 'fev': 2, 'mar': 3, 'abr': 4, 'mai': 5, 'jun': 6, 'jul': 7,
+      'ago': 8, 'set': 9, 'out': 10, 'nov': 11, 'dez': 12
+    },
+    it: {
+      'gen': 1, 'feb': 2, 'mar': 3, 'apr': 4, 'mag': 5, 'giu': 6, 'lug': 7,
+      'ago': 8, 'set': 9, 'ott': 10, 'nov': 11, 'dic': 12
+    },
+    nl: {
+      'jan': 1, 'feb': 2, 'mrt': 3, 'apr': 4, 'jun': 6, 'jul': 7,
+      'aug': 8, 'sep': 9, 'okt': 10, 'nov': 11, 'dec': 12
+    }
+  };
+
+  // Locales that write full dates month first (03/15/2021)
+  private static readonly MONTH_FIRST_LOCALES = ['en-us', 'en-ph'];
+
+  // "Jan 2020 - Present", "2018 – 2022", "Mar'21 to Q2 2022", "2019 bis heute"
+  private static readonly RANGE_SEPARATOR =
+    /\s+(?:-|–|—|to|until|till|through|hasta|al|a|au|à|bis|até|fino a|tot)\s+|\s*[–—]\s*/i;
+
   private static readonly EXPECTED_KEYWORDS = [
     'expected',
     'incoming',
@@ -41,10 +119,18 @@ export class DateNormalizer {
     'now',
     'ongoing',
     'till date',
-    'to date'
+    'to date',
+    'actual', // es "actualidad", "actualmente"
+    'atual', // pt "atual", "atualmente"
+    'presente',
+    'attuale',
+    'aujourd\'hui',
+    'en cours',
+    'heute',
+    'heden'
   ];
 
-  static parseDateFlexible(dateString: string): ParsedDate {
+  static parseDateFlexible(dateString: string, options: DateParseOptions = {}): ParsedDate {
     if (!dateString || typeof dateString !== 'string') {
       return this.createInvalidDate(dateString, 'Empty or invalid date string');
     }
@@ -56,7 +142,7 @@ export class DateNormalizer {
     const isPresent = this.PRESENT_KEYWORDS.some(keyword => cleaned.includes(keyword));
 
     if (isPresent) {
-      const currentDate = new Date();
+      const currentDate = scoringEnvironment.now();
       return {
         year: currentDate.getFullYear(),
         month: currentDate.getMonth() + 1,
@@ -75,36 +161,64 @@ export class DateNormalizer {
 
     let year: number | null = null;
     let month: number | null = null;
+    let quarter: number | undefined;
 
     const yearMatch = cleanedForParsing.match(/\b(19|20)\d{2}\b/);
     if (yearMatch) {
       year = parseInt(yearMatch[0], 10);
     }
 
-    for (const [monthName, monthNum] of Object.entries(this.MONTH_NAMES)) {
-      if (cleanedForParsing.includes(monthName)) {
-        month = monthNum;
-        break;
-      }
+    // Two-digit years only with an apostrophe: "Mar'21", "Q2 ’22"
+    const shortYearMatch = cleanedForParsing.match(/['’‘`]\s?(\d{2})\b/);
+    if (!year && shortYearMatch) {
+      year = this.expandTwoDigitYear(parseInt(shortYearMatch[1], 10));
     }
 
-    const monthYearMatch = cleanedForParsing.match(/(\d{1,2})[\/\-.](\d{4})/);
-    if (monthYearMatch) {
-      const potentialMonth = parseInt(monthYearMatch[1], 10);
-      const potentialYear = parseInt(monthYearMatch[2], 10);
-      if (potentialMonth >= 1 && potentialMonth <= 12) {
-        month = potentialMonth;
-        year = potentialYear;
-      }
+    month = this.findMonthName(cleanedForParsing, options.locale);
+
+    const quarterMatch = cleanedForParsing.match(/\bq([1-4])\b/);
+    if (quarterMatch) {
+      quarter = parseInt(quarterMatch[1], 10);
+      month = (quarter - 1) * 3 + 1;
     }
 
-    const yearMonthMatch = cleanedForParsing.match(/(\d{4})[\/\-.](\d{1,2})/);
-    if (yearMonthMatch) {
-      const potentialYear = parseInt(yearMonthMatch[1], 10);
-      const potentialMonth = parseInt(yearMonthMatch[2], 10);
-      if (potentialMonth >= 1 && potentialMonth <= 12) {
-        year = potentialYear;
-        month = potentialMonth;
+    // Full dates: only the month and year are kept
+    const isoDateMatch = cleanedForParsing.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+    const fullDateMatch = cleanedForParsing.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/);
+
+    if (isoDateMatch) {
+      year = parseInt(isoDateMatch[1], 10);
+      month = parseInt(isoDateMatch[2], 10);
+    } else if (fullDateMatch) {
+      const first = parseInt(fullDateMatch[1], 10);
+      const second = parseInt(fullDateMatch[2], 10);
+      const monthFirst = this.MONTH_FIRST_LOCALES.includes((options.locale || '').toLowerCase());
+      let potentialMonth = monthFirst ? first : second;
+      // A "month" over 12 can only be the day
+      if (potentialMonth > 12) {
+        potentialMonth = monthFirst ? second : first;
+      }
+      year = parseInt(fullDateMatch[3], 10);
+      month = potentialMonth <= 12 ? potentialMonth : null;
+    } else {
+      const monthYearMatch = cleanedForParsing.match(/(\d{1,2})[\/\-.](\d{4})/);
+      if (monthYearMatch) {
+        const potentialMonth = parseInt(monthYearMatch[1], 10);
+        const potentialYear = parseInt(monthYearMatch[2], 10);
+        if (potentialMonth >= 1 && potentialMonth <= 12) {
+          month = potentialMonth;
+          year = potentialYear;
+        }
+      }
+
+      const yearMonthMatch = cleanedForParsing.match(/(\d{4})[\/\-.](\d{1,2})\b/);
+      if (yearMonthMatch) {
+        const potentialYear = parseInt(yearMonthMatch[1], 10);
+        const potentialMonth = parseInt(yearMonthMatch[2], 10);
+        if (potentialMonth >= 1 && potentialMonth <= 12) {
+          year = potentialYear;
+          month = potentialMonth;
+        }
       }
     }
 
@@ -112,8 +226,8 @@ export class DateNormalizer {
       return this.createInvalidDate(originalString, 'Could not parse year from date string');
     }
 
-    const currentYear = new Date().getFullYear();
-    const currentMonth = new Date().getMonth() + 1;
+    const currentYear = scoringEnvironment.currentYear();
+    const currentMonth = scoringEnvironment.now().getMonth() + 1;
     const isFuture = year > currentYear || (year === currentYear && month && month > currentMonth) || isExpected;
 
     const normalized = month
@@ -134,10 +248,83 @@ export class DateNormalizer {
       originalString,
       normalized,
       isValid: true,
+      quarter,
       warning
     };
   }
 
+  /**
+   * Split a date range into its start and end text. A hyphen without spaces
+   * is only a separator when both sides are dates ("2018-2022"), never inside
+   * one ("2021-03").
+   */
+  static splitDateRange(range: string, options: DateParseOptions = {}): string[] {
+    const trimmed = (range || '').trim();
+    if (!trimmed) return [];
+
+    const parts = trimmed.split(this.RANGE_SEPARATOR).map(part => part.trim()).filter(Boolean);
+    if (parts.length > 1) {
+      return [parts[0], parts[parts.length - 1]];
+    }
+
+    // Of the hyphens that leave a date on both sides, take the most central
+    const middle = trimmed.length / 2;
+    let best: string[] | null = null;
+    let bestDistance = Infinity;
+    for (let i = trimmed.indexOf('-'); i !== -1; i = trimmed.indexOf('-', i + 1)) {
+      const left = trimmed.slice(0, i).trim();
+      const right = trimmed.slice(i + 1).trim();
+      const isDate = (part: string) => !/^\d{1,2}$/.test(part) && this.parseDateFlexible(part, options).isValid;
+      if (isDate(left) && isDate(right) && Math.abs(i - middle) < bestDistance) {
+        best = [left, right];
+        bestDistance = Math.abs(i - middle);
+      }
+    }
+
+    return best || [trimmed];
+  }
+
+  /**
+   * Parse "start - end"; a single date is both start and end
+   */
+  static parseDateRange(range: string, options: DateParseOptions = {}): ParsedDateRange {
+    const parts = this.splitDateRange(range, options);
+    if (parts.length === 0) {
+      const invalid = this.createInvalidDate(range, 'Empty or invalid date range');
+      return { start: invalid, end: invalid, isSingleDate: true };
+    }
+
+    const start = this.parseDateFlexible(parts[0], options);
+    const end = parts.length > 1 ? this.parseDateFlexible(parts[1], options) : start;
+    return { start, end, isSingleDate: parts.length === 1 };
+  }
+
+  private static findMonthName(text: string, locale?: string): number | null {
+    const language = (locale || '').toLowerCase().split(/[-_]/)[0];
+    const words = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').match(/[a-z]+/g) || [];
+    const tables = [
+      this.LOCALE_MONTH_ABBREVIATIONS[language],
+      this.LOCALE_MONTH_NAMES[language],
+      this.MONTH_NAMES,
+      ...Object.values(this.LOCALE_MONTH_NAMES)
+    ].filter(Boolean);
+
+    for (const table of tables) {
+      const word = words.find(candidate => table[candidate] !== undefined);
+      if (word) {
+        return table[word];
+      }
+    }
+    return null;
+  }
+
+  // '21 -> 2021, '98 -> 1998: up to ten years ahead counts as this century
+  private static expandTwoDigitYear(shortYear: number): number {
+    const currentYear = scoringEnvironment.currentYear();
+    const century = Math.floor(currentYear / 100) * 100;
+    return century + shortYear > currentYear + 10 ? century - 100 + shortYear : century + shortYear;
+  }
+
   private static createInvalidDate(originalString: string, warning: string): ParsedDate {
     return {
       year: 0,
@@ -174,8 +361,8 @@ export class DateNormalizer {
 
     const startYear = start.year;
     const startMonth = start.month || 1;
-    const endYear = end.isPresent ? new Date().getFullYear() : end.year;
-    const endMonth = end.isPresent ? new Date().getMonth() + 1 : (end.month || 12);
+    const endYear = end.isPresent ? scoringEnvironment.currentYear() : end.year;
+    const endMonth = end.isPresent ? scoringEnvironment.now().getMonth() + 1 : (end.month || 12);
 
     const totalMonths = (endYear - startYear) * 12 + (endMonth - startMonth);
 
@@ -209,6 +396,11 @@ export class DateNormalizer {
       return 'Present';
     }
 
+    if (parsedDate.quarter) {
+      const base = `Q${parsedDate.quarter} ${parsedDate.year}`;
+      return parsedDate.isExpected ? `Expected ${base}` : base;
+    }
+
     if (parsedDate.isExpected) {
       const base = parsedDate.month
         ? `${this.getMonthName(parsedDate.month)} ${parsedDate.year}`
@@ -1,9 +1,21 @@
 // src/utils/exportUtils.ts
 import jsPDF from 'jspdf';
-import { ResumeData, Certification } from '../types/resume'; // Import Certification type
+import { ResumeData } from '../types/resume';
 import { saveAs } from 'file-saver';
+import JSZip from 'jszip';
 import { ExportOptions, defaultExportOptions } from '../types/export';
 import { UserType } from '../types/resume';
+import { ResumeLayout, TemplateBlock, TemplateDocument, TemplateStyle, TextMeasurer } from '../types/template';
+import { toJsonResume, createPrimoBoostResumeFile } from './resumeInterchange';
+import { templateRegistry } from '../services/templates/templateRegistry';
+import { LanguageDetectionService } from '../services/languageDetectionService';
+import {
+  PT_TO_MM,
+  applyTextCase,
+  buildTemplateDocument,
+  layoutResume,
+  resolveTemplateStyle
+} from '../services/templates/templateLayoutEngine';
 
 // Map font family names to jsPDF compatible fonts
 const mapFontFamily = (fontFamily: string): string => {
@@ -20,158 +32,16 @@ const mapFontFamily = (fontFamily: string): string => {
   return fontMap[fontFamily] || 'helvetica';
 };
 
-// Professional PDF Layout Constants - Updated to meet specifications
-const createPDFConfig = (options: ExportOptions) => {
-  // Paper size dimensions in mm
-  const isLetter = options.paperSize === 'letter';
-  const pageWidth = isLetter ? 215.9 : 210; // Letter: 8.5" = 215.9mm, A4: 210mm
-  const pageHeight = isLetter ? 279.4 : 297; // Letter: 11" = 279.4mm, A4: 297mm
-
-  return {
-    pageWidth,
-    pageHeight,
-
-    // Professional margins in mm (0.7 inch = 17.78mm) - ATS Optimized
-    margins: {
-      top: options.layoutType === 'compact' ? 12 : options.layoutType === 'ats-optimized' ? 17.78 : 17.78,
-      // Use a consistent 4mm bottom margin so content can go lower on the page
-      bottom: 4,
-      left: options.layoutType === 'compact' ? 12 : options.layoutType === 'ats-optimized' ? 17.78 : 17.78,
-      right: options.layoutType === 'compact' ? 12 : options.layoutType === 'ats-optimized' ? 17.78 : 17.78
-    },
-
-    // Calculated content area
-    get contentWidth() { return this.pageWidth - this.margins.left - this.margins.right; },
-    get contentHeight() { return this.pageHeight - this.margins.top - this.margins.bottom; },
-
-    // Typography settings - Professional specifications
-    fonts: {
-      name: { size: options.nameSize, weight: 'bold' },
-      contact: { size: options.bodyTextSize - 0.5, weight: 'normal' },
-      sectionTitle: { size: options.sectionHeaderSize, weight: 'bold' },
-      jobTitle: { size: options.subHeaderSize, weight: 'bold' },
-      company: { size: options.subHeaderSize, weight: 'normal' },
-      year: { size: options.subHeaderSize, weight: 'normal' },
-      body: { size: options.bodyTextSize, weight: 'normal' }
-    },
-    spacing: {
-      nameFromTop: 10,
-      afterName: 0,
-      afterContact: 2,
-      sectionSpacingBefore: options.sectionSpacing,
-      sectionSpacingAfter: 2,
-      bulletListSpacing: 0.5,
-      afterSubsection: 3,
-      lineHeight: options.layoutType === 'ats-optimized' ? 1.1 : 1.2,
-      bulletIndent: 5,
-      entrySpacing: options.entrySpacing
-    },
-    colors: {
-      primary: [0, 0, 0],
-      secondary: [80, 80, 80],
-      accent: [37, 99, 235]
-    },
-    fontFamily: mapFontFamily(options.fontFamily)
-  };
-};
-
-interface DrawPosition {
-  x: number;
-  y: number;
-}
-
-interface PageState {
-  currentPage: number;
-  currentY: number;
-  doc: jsPDF;
-}
-
-// NEW: Helper function to validate fields
-const isValidField = (field?: string | null, fieldType: 'phone' | 'email' | 'url' | 'text' = 'text'): boolean => {
-  if (!field || field.trim() === '') {
-    return false;
-  }
-  const lowercasedField = field.trim().toLowerCase();
-  const invalidValues = ['n/a', 'not specified', 'none'];
-  if (invalidValues.includes(lowercasedField)) {
-    return false;
-  }
-  
-  switch (fieldType) {
-    case 'phone':
-      const digitCount = (field.match(/\d/g) || []).length;
-      return digitCount > 6;
-    case 'email':
-      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(field);
-    case 'url':
-      // Accept URLs with or without protocol, including LinkedIn and GitHub URLs
-      return /^https?:\/\//.test(field) ||
-             /linkedin\.com\/in\//i.test(field) ||
-             /github\.com\//i.test(field) ||
-             /^(www\.)?[a-zA-Z0-9-]+\.[a-zA-Z]{2,}/.test(field);
-    case 'text':
-    default:
-      return true;
-  }
-};
-
 // Helper function to detect mobile device
 const isMobileDevice = (): boolean => {
   return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
 };
 
-// Safely convert unknown values to displayable text
-const toPlainText = (value: any): string => {
-  if (typeof value === 'string') return value.trim();
-  if (value == null) return '';
-  if (typeof value === 'object') {
-    const candidates = ['text', 'name', 'title', 'value'];
-    for (const key of candidates) {
-      const v = (value as any)[key];
-      if (typeof v === 'string' && v.trim()) return v.trim();
-    }
-    return '';
-  }
-  return String(value);
-};
-
-// Helper to detect placeholder/empty-ish text consistently (kept in sync with ResumePreview)
-const isPlaceholderText = (s?: string): boolean => {
-  if (!s) return true;
-  const v = s.trim().toLowerCase();
-  return v === '' || v === 'n/a' || v === 'none' || v === 'not specified' || v === 'not provided' || v === 'available upon request';
-};
-
-// Limit bullet text to a maximum number of words (for concise bullets in PDF)
-const shortenBulletText = (text: string, maxWords: number = 10): string => {
-  const clean = (text || '').trim();
-  if (!clean) return '';
-  const words = clean.split(/\s+/);
-  if (words.length <= maxWords) return clean;
-  return words.slice(0, maxWords).join(' ') + '...';
-};
-
-// Normalize certifications input and provide sensible fallbacks from other sections
-const getEffectiveCertifications = (data: ResumeData): (string | Certification)[] => {
-  const primary = Array.isArray((data as any).certifications) ? (data as any).certifications as (string | Certification)[] : [];
-  if (primary && primary.length > 0) return primary;
-
-  // Fallback 1: Additional Sections titled like "Certifications" or "Licenses"
-  const fromAdditional = (data.additionalSections || [])
-    .filter(sec => typeof sec?.title === 'string' && /cert|licen/i.test(sec.title))
-    .flatMap(sec => Array.isArray(sec.bullets) ? sec.bullets : [])
-    .filter(b => typeof b === 'string' && b.trim().length > 0);
-  if (fromAdditional.length > 0) return fromAdditional;
-
-  // Fallback 2: Skills category named like "Certifications"/"Certificates"/"Licenses"
-  const fromSkills = (data.skills || [])
-    .filter(cat => typeof cat?.category === 'string' && /cert|licen/i.test(cat.category))
-    .flatMap(cat => Array.isArray(cat.list) ? cat.list : [])
-    .filter(b => typeof b === 'string' && b.trim().length > 0);
-  if (fromSkills.length > 0) return fromSkills;
-
-  return [];
-};
+const hexToRgb = (hex: string): [number, number, number] => [
+  parseInt(hex.slice(0, 2), 16),
+  parseInt(hex.slice(2, 4), 16),
+  parseInt(hex.slice(4, 6), 16)
+];
 
 // Helper function to trigger download on mobile
 const triggerMobileDownload = (blob: Blob, filename: string): void => {
@@ -208,771 +78,96 @@ const triggerMobileDownload = (blob: Blob, filename: string): void => {
   }
 };
 
-// Helper function to check if content fits on current page
-function checkPageSpace(state: PageState, requiredHeight: number, PDF_CONFIG: any): boolean {
-  const maxY = PDF_CONFIG.pageHeight - PDF_CONFIG.margins.bottom; // Corrected calculation
-  return (state.currentY + requiredHeight) <= maxY;
-}
-
-// Add new page and reset position
-function addNewPage(state: PageState, PDF_CONFIG: any): void {
-  state.doc.addPage();
-  state.currentPage++;
-  state.currentY = PDF_CONFIG.margins.top;
-
-  // Add page number
-  const pageText = `Page ${state.currentPage}`;
-  state.doc.setFont(PDF_CONFIG.fontFamily, 'normal');
-  state.doc.setFontSize(9);
-  state.doc.setTextColor(128, 128, 128); // Gray
-
-  const pageWidth = state.doc.internal.pageSize.getWidth();
-  const textWidth = state.doc.getTextWidth(pageText);
-  state.doc.text(pageText, pageWidth - PDF_CONFIG.margins.right - textWidth, PDF_CONFIG.pageHeight - PDF_CONFIG.margins.bottom / 2); // Adjusted Y for page number
-}
-
-// Draw text with automatic wrapping and return height used
-function drawText(
-  state: PageState,
-  text: string,
-  x: number,
-  PDF_CONFIG: any,
-  options: {
-    fontSize?: number;
-    fontWeight?: string;
-    color?: number[];
-    maxWidth?: number;
-    align?: 'left' | 'center' | 'right';
-  } = {}
-): number {
-  const {
-    fontSize = PDF_CONFIG.fonts.body.size,
-    fontWeight = 'normal',
-    color = PDF_CONFIG.colors.primary,
-    maxWidth = PDF_CONFIG.contentWidth,
-    align = 'left'
-  } = options;
-
-  // Debug: Log font settings being applied
-  console.log(`[drawText] Font: ${PDF_CONFIG.fontFamily}, Weight: ${fontWeight}, Size: ${fontSize}pt, Text: "${text.substring(0, 30)}..."`);
-  
-  state.doc.setFont(PDF_CONFIG.fontFamily, fontWeight);
-  state.doc.setFontSize(fontSize);
-  state.doc.setTextColor(color[0], color[1], color[2]);
-
-  // Split text to fit width
-  const lines = state.doc.splitTextToSize(text, maxWidth);
-  const lineHeight = fontSize * PDF_CONFIG.spacing.lineHeight * 0.352778; // Convert pt to mm
-  const totalHeight = lines.length * lineHeight;
-
-  // Check if we need a new page
-  if (!checkPageSpace(state, totalHeight, PDF_CONFIG)) {
-    addNewPage(state, PDF_CONFIG);
-  }
-
-  // Calculate x position based on alignment
-  let textX = x;
-  if (align === 'center') {
-    textX = PDF_CONFIG.margins.left + (PDF_CONFIG.contentWidth / 2);
-  } else if (align === 'right') {
-    textX = PDF_CONFIG.margins.left + PDF_CONFIG.contentWidth;
-  }
-
-  // Draw each line
-  lines.forEach((line: string, index: number) => {
-    const yPos = state.currentY + (index * lineHeight);
-
-    if (align === 'center') {
-      const lineWidth = state.doc.getTextWidth(line);
-      state.doc.text(line, textX - (lineWidth / 2), yPos);
-    } else if (align === 'right') {
-      const lineWidth = state.doc.getTextWidth(line);
-      state.doc.text(line, textX - lineWidth, yPos);
-    } else {
-      state.doc.text(line, textX, yPos);
-    }
-  });
-
-  state.currentY += totalHeight;
-  return totalHeight;
-}
-// Robust certifications renderer to handle flexible shapes and safe bullets
-function renderCertificationsForPDF2(state: PageState, certifications: (string | Certification)[], PDF_CONFIG: any): number {
-  const filtered = (certifications || []).filter((c) => {
-    if (typeof c === 'string') return c.trim().length > 0 && !isPlaceholderText(c);
-    if (c && typeof c === 'object') {
-      const primary = toPlainText(c);
-      const desc = toPlainText((c as any)?.description);
-      return (!!primary && !isPlaceholderText(primary)) || (!!desc && !isPlaceholderText(desc));
-    }
-    return false;
-  });
-
-  if (!filtered.length) return 0;
-
-  let totalHeight = drawSectionTitle(state, 'Certifications', PDF_CONFIG);
-
-  filtered.forEach((cert) => {
-    if (!checkPageSpace(state, 10, PDF_CONFIG)) addNewPage(state, PDF_CONFIG);
-
-    if (typeof cert === 'object' && cert !== null) {
-      const anyC: any = cert;
-      const primary = toPlainText(anyC) || toPlainText(anyC.title) || toPlainText(anyC.description);
-      const desc = toPlainText(anyC?.description);
-      const titleHeight = drawText(
-        state,
-        `- ${primary}`,
-        PDF_CONFIG.margins.left + PDF_CONFIG.spacing.bulletIndent,
-        PDF_CONFIG,
-        {
-          maxWidth: PDF_CONFIG.contentWidth - PDF_CONFIG.spacing.bulletIndent
-        }
-      );
-      totalHeight += titleHeight;
-
-      if (desc && desc !== primary) {
-        state.currentY += 1;
-        const descHeight = drawText(
-          state,
-          desc,
-          PDF_CONFIG.margins.left + PDF_CONFIG.spacing.bulletIndent * 2,
-          PDF_CONFIG,
-          {
-            maxWidth: PDF_CONFIG.contentWidth - (PDF_CONFIG.spacing.bulletIndent * 2)
-          }
-        );
-        totalHeight += descHeight + 1;
-      }
-    } else {
-      const bulletText = `- ${toPlainText(cert)}`;
-      const certHeight = drawText(
-        state,
-        bulletText,
-        PDF_CONFIG.margins.left + PDF_CONFIG.spacing.bulletIndent,
-        PDF_CONFIG,
-        {
-          fontSize: PDF_CONFIG.fonts.body.size,
-          maxWidth: PDF_CONFIG.contentWidth - PDF_CONFIG.spacing.bulletIndent
-        }
-      );
-      totalHeight += certHeight;
-    }
-    state.currentY += PDF_CONFIG.spacing.bulletListSpacing;
-  });
-
-  return totalHeight;
-}
-
-// Alternative robust certifications renderer that safely stringifies fields
-function renderCertificationsForPDF(state: PageState, certifications: (string | Certification)[], PDF_CONFIG: any): number {
-  // Accept strings or objects with any reasonable text field
-  const filtered = (certifications || []).filter((c) => {
-    if (typeof c === 'string') return c.trim().length > 0 && !isPlaceholderText(c);
-    if (c && typeof c === 'object') {
-      // Try whole object (toPlainText handles name/title/text/value) or description
-      const anyC: any = c;
-      const primary = toPlainText(anyC);
-      const desc = toPlainText(anyC?.description);
-      return (!!primary && !isPlaceholderText(primary)) || (!!desc && !isPlaceholderText(desc));
-    }
-    return false;
-  });
-
-  if (!filtered.length) return 0;
-
-  let totalHeight = drawSectionTitle(state, 'Certifications', PDF_CONFIG);
-
-  filtered.forEach((cert) => {
-    if (!checkPageSpace(state, 10, PDF_CONFIG)) addNewPage(state, PDF_CONFIG);
-
-    if (typeof cert === 'object' && cert !== null) {
-      const anyC: any = cert;
-      const title = toPlainText(anyC.title);
-      const desc = toPlainText(anyC.description);
-      const primary = title || desc;
-      const titleHeight = drawText(state, `• ${primary}` , PDF_CONFIG.margins.left + PDF_CONFIG.spacing.bulletIndent, PDF_CONFIG, {
-        fontWeight: 'bold',
-        maxWidth: PDF_CONFIG.contentWidth - PDF_CONFIG.spacing.bulletIndent
-      });
-      totalHeight += titleHeight;
-
-      if (desc && title && desc !== title) {
-        state.currentY += 1;
-        const descHeight = drawText(state, desc, PDF_CONFIG.margins.left + PDF_CONFIG.spacing.bulletIndent * 2, PDF_CONFIG, {
-          maxWidth: PDF_CONFIG.contentWidth - (PDF_CONFIG.spacing.bulletIndent * 2)
-        });
-        totalHeight += descHeight + 1;
-      }
-    } else {
-      const bulletText = `• ${toPlainText(cert)}`;
-      const certHeight = drawText(state, bulletText, PDF_CONFIG.margins.left + PDF_CONFIG.spacing.bulletIndent, PDF_CONFIG, {
-        fontSize: PDF_CONFIG.fonts.body.size,
-        maxWidth: PDF_CONFIG.contentWidth - PDF_CONFIG.spacing.bulletIndent
-      });
-      totalHeight += certHeight;
-    }
-    state.currentY += PDF_CONFIG.spacing.bulletListSpacing;
-  });
-
-  return totalHeight;
-}
-// Clean replacement for certifications rendering without placeholder text
-function renderCertificationsLegacyUnused(state: PageState, certifications: (string | Certification)[], PDF_CONFIG: any): number {
-  const normalized: { title: string; description: string }[] = (certifications || [])
-    .map((c: any) => {
-      if (typeof c === 'string') {
-        const t = toPlainText(c);
-        return isPlaceholderText(t) ? null : { title: t, description: '' };
-      }
-      if (c && typeof c === 'object') {
-        const t = toPlainText(c.title);
-        const d = toPlainText(c.description);
-        const title = isPlaceholderText(t) ? '' : t;
-        const description = isPlaceholderText(d) ? '' : d;
-        if (!title && !description) return null;
-        return { title, description };
-      }
-      return null;
-    })
-    .filter(Boolean) as { title: string; description: string }[];
-
-  if (!normalized.length) return 0;
-
-  let totalHeight = drawSectionTitle(state, 'Certifications', PDF_CONFIG);
-
-  normalized.forEach((item) => {
-    if (!checkPageSpace(state, 10, PDF_CONFIG)) addNewPage(state, PDF_CONFIG);
-
-    const primary = item.title || item.description;
-    const titleHeight = drawText(state, `- ${primary}`, PDF_CONFIG.margins.left + PDF_CONFIG.spacing.bulletIndent, PDF_CONFIG, {
-      fontWeight: 'bold',
-      maxWidth: PDF_CONFIG.contentWidth - PDF_CONFIG.spacing.bulletIndent
-    });
-    totalHeight += titleHeight;
-
-    if (item.description && item.title && item.description !== item.title) {
-      state.currentY += 1;
-      const descHeight = drawText(state, item.description, PDF_CONFIG.margins.left + PDF_CONFIG.spacing.bulletIndent * 2, PDF_CONFIG, {
-        maxWidth: PDF_CONFIG.contentWidth - (PDF_CONFIG.spacing.bulletIndent * 2)
-      });
-      totalHeight += descHeight + 1;
-    }
-
-    state.currentY += PDF_CONFIG.spacing.bulletListSpacing;
-  });
-
-  return totalHeight;
-}
-
-// FIXED: Draw section title with underline and proper spacing - prevents black bar on page 2
-function drawSectionTitle(state: PageState, title: string, PDF_CONFIG: any): number {
-  // Calculate the FULL height needed for this section header as an atomic unit:
-  // - Initial spacing before title (1mm)
-  // - Title line height
-  // - Underline space
-  // - Spacing after section header
-  // - Minimum breathing room (5mm) to prevent drawing too close to page edge
-  const lineHeight = PDF_CONFIG.fonts.sectionTitle.size * PDF_CONFIG.spacing.lineHeight * 0.352778;
-  const underlineSpace = 1; // Space for the underline itself
-  const minimumBreathingRoom = 5; // Minimum mm from page bottom
-  const estimatedSectionHeaderHeight = 1 + lineHeight + underlineSpace + PDF_CONFIG.spacing.sectionSpacingAfter + minimumBreathingRoom;
-  
-  // Check if we have enough space BEFORE adding initial spacing
-  if (!checkPageSpace(state, estimatedSectionHeaderHeight, PDF_CONFIG)) {
-      addNewPage(state, PDF_CONFIG);
-  }
-
-  // Now add initial spacing
-  state.currentY += 1;
-
-  // Ensure bold font is explicitly set for section titles
-  state.doc.setFont(PDF_CONFIG.fontFamily, 'bold');
-  state.doc.setFontSize(PDF_CONFIG.fonts.sectionTitle.size);
-  state.doc.setTextColor(PDF_CONFIG.colors.primary[0], PDF_CONFIG.colors.primary[1], PDF_CONFIG.colors.primary[2]);
-
-  const titleText = title.toUpperCase();
-  state.doc.text(titleText, PDF_CONFIG.margins.left, state.currentY);
-
-  state.currentY += lineHeight;
-
-  // Draw underline - use thinner line width for subtlety
-  const underlineY = state.currentY - (PDF_CONFIG.fonts.sectionTitle.size * 0.2);
-  state.doc.setDrawColor(64, 64, 64);
-  state.doc.setLineWidth(0.25); // Reduced from 0.5 for a more subtle underline
-  state.doc.line(PDF_CONFIG.margins.left, underlineY, PDF_CONFIG.margins.left + PDF_CONFIG.contentWidth, underlineY);
-  state.currentY += PDF_CONFIG.spacing.sectionSpacingAfter;
-
-  return lineHeight + PDF_CONFIG.spacing.sectionSpacingBefore + PDF_CONFIG.spacing.sectionSpacingAfter;
-}
-
-// Helper to extract short display text from URLs
-function getShortLinkText(url: string, type: 'linkedin' | 'github'): string {
-  if (!url) return '';
-  
-  // Clean the URL
-  const cleanUrl = url.trim().toLowerCase();
-  
-  if (type === 'linkedin') {
-    // Extract username from LinkedIn URL
-    const linkedinMatch = cleanUrl.match(/linkedin\.com\/in\/([^\/\?]+)/i);
-    if (linkedinMatch) {
-      return `linkedin.com/in/${linkedinMatch[1]}`;
-    }
-    return 'LinkedIn';
-  }
-  
-  if (type === 'github') {
-    // Extract username from GitHub URL
-    const githubMatch = cleanUrl.match(/github\.com\/([^\/\?]+)/i);
-    if (githubMatch) {
-      return `github.com/${githubMatch[1]}`;
-    }
-    return 'GitHub';
-  }
-  
-  return url;
-}
-
-// Draw contact information - two lines: basic info on line 1, links on line 2
-function drawContactInfo(state: PageState, resumeData: ResumeData, PDF_CONFIG: any): number {
-  interface ContactItem {
-    text: string;
-    url?: string;
-  }
-  
-  // Line 1: Location, Phone, Email
-  const line1Items: ContactItem[] = [];
-  // Line 2: LinkedIn, GitHub
-  const line2Items: ContactItem[] = [];
-  
-  // Add phone to line 1
-  if (isValidField(resumeData.phone, 'phone')) {
-    line1Items.push({ text: resumeData.phone!, url: `tel:${resumeData.phone}` });
-  }
-  
-  // Add email to line 1
-  if (isValidField(resumeData.email, 'email')) {
-    line1Items.push({ text: resumeData.email!, url: `mailto:${resumeData.email}` });
-  }
-  
-  // Add location to line 1
-  if (isValidField(resumeData.location, 'text')) {
-    line1Items.push({ text: resumeData.location! });
-  }
-  
-  // Add LinkedIn to line 2 with short form
-  if (isValidField(resumeData.linkedin, 'url')) {
-    const linkedinUrl = resumeData.linkedin!.startsWith('http') ? resumeData.linkedin! : `https://${resumeData.linkedin}`;
-    const shortText = getShortLinkText(resumeData.linkedin!, 'linkedin');
-    line2Items.push({ text: shortText, url: linkedinUrl });
-  }
-  
-  // Add GitHub to line 2 with short form
-  if (isValidField(resumeData.github, 'url')) {
-    const githubUrl = resumeData.github!.startsWith('http') ? resumeData.github! : `https://${resumeData.github}`;
-    const shortText = getShortLinkText(resumeData.github!, 'github');
-    line2Items.push({ text: shortText, url: githubUrl });
-  }
-
-  if (line1Items.length === 0 && line2Items.length === 0) return 0;
-  
-  // Set font for contact info - BOLD
-  state.doc.setFont(PDF_CONFIG.fontFamily, 'bold');
-  state.doc.setFontSize(PDF_CONFIG.fonts.contact.size);
-  state.doc.setTextColor(PDF_CONFIG.colors.primary[0], PDF_CONFIG.colors.primary[1], PDF_CONFIG.colors.primary[2]);
-  
-  const separator = ' | ';
-  const separatorWidth = state.doc.getTextWidth(separator);
-  const lineHeight = PDF_CONFIG.fonts.contact.size * PDF_CONFIG.spacing.lineHeight * 0.352778;
-  let totalHeight = 0;
-  
-  // Helper function to draw a line of contact items centered
-  const drawContactLine = (items: ContactItem[]) => {
-    if (items.length === 0) return;
-    
-    // Calculate total width
-    let totalWidth = 0;
-    items.forEach((item, index) => {
-      totalWidth += state.doc.getTextWidth(item.text);
-      if (index < items.length - 1) {
-        totalWidth += separatorWidth;
-      }
-    });
-    
-    // Start X position for centered text
-    let currentX = PDF_CONFIG.margins.left + (PDF_CONFIG.contentWidth - totalWidth) / 2;
-    
-    // Draw each item
-    items.forEach((item, index) => {
-      const textWidth = state.doc.getTextWidth(item.text);
-      
-      // Draw the text
-      state.doc.text(item.text, currentX, state.currentY);
-      
-      // Add hyperlink if URL exists
-      if (item.url) {
-        const linkHeight = PDF_CONFIG.fonts.contact.size * 0.352778;
-        state.doc.link(currentX, state.currentY - linkHeight + 1, textWidth, linkHeight + 1, { url: item.url });
-      }
-      
-      currentX += textWidth;
-      
-      // Draw separator if not last item
-      if (index < items.length - 1) {
-        state.doc.text(separator, currentX, state.currentY);
-        currentX += separatorWidth;
-      }
-    });
-    
-    state.currentY += lineHeight;
-    totalHeight += lineHeight;
-  };
-  
-  // Draw line 1 (phone, email, location)
-  drawContactLine(line1Items);
-  
-  // Draw line 2 (LinkedIn, GitHub) if there are items
-  if (line2Items.length > 0) {
-    drawContactLine(line2Items);
+// Measure text with jsPDF's built-in font metrics so layout matches what gets drawn
+const createPdfTextMeasurer = (doc: jsPDF, pdfFontFamily: string): TextMeasurer => ({
+  width: (text: string, fontSize: number, bold: boolean) => {
+    doc.setFont(pdfFontFamily, bold ? 'bold' : 'normal');
+    doc.setFontSize(fontSize);
+    return doc.getTextWidth(text);
   }
-  
-  // Reset font to normal
-  state.doc.setFont(PDF_CONFIG.fontFamily, 'normal');
-  
-  // Add spacing after contact info
-  state.currentY += PDF_CONFIG.spacing.afterContact;
-  totalHeight += PDF_CONFIG.spacing.afterContact;
-  
-  return totalHeight;
-}
-
-// Draw work experience section
-function drawWorkExperience(state: PageState, workExperience: any[], userType: UserType = 'experienced', PDF_CONFIG: any): number {
-  if (!workExperience || workExperience.length === 0) return 0;
-
-  // Add extra 1.5mm spacing before Work Experience section
-  state.currentY += 1.5;
-
-  const sectionTitle = (userType === 'fresher' || userType === 'student') ? 'Work Experience' : 'Professional Experience';
-  let totalHeight = drawSectionTitle(state, sectionTitle, PDF_CONFIG) + 1.5;
-
-  workExperience.forEach((job, index) => {
-    const estimatedJobHeaderHeight = (PDF_CONFIG.fonts.jobTitle.size) * PDF_CONFIG.spacing.lineHeight * 0.352778;
-    const estimatedMinBulletHeight = PDF_CONFIG.fonts.body.size * PDF_CONFIG.spacing.lineHeight * 0.352778;
-    if (!checkPageSpace(state, estimatedJobHeaderHeight + estimatedMinBulletHeight + PDF_CONFIG.spacing.bulletListSpacing * 2 + PDF_CONFIG.spacing.afterSubsection, PDF_CONFIG)) {
-      addNewPage(state, PDF_CONFIG);
-    }
-
-    const initialYForJob = state.currentY;
-    const combinedTitle = `${job.role} | ${job.company}${isValidField(job.location) ? `, ${job.location}` : ''}`;
-
-    const yearText = job.year;
-    
-    // MODIFIED: Added isValidField check for job.year and render dates in bold, visually aligned with job title
-    if (isValidField(yearText)) {
-      state.doc.setFont(PDF_CONFIG.fontFamily, 'bold'); // Make dates bold
-      state.doc.setFontSize(PDF_CONFIG.fonts.year.size);
-      const yearWidth = state.doc.getTextWidth(yearText);
-      const yearX = PDF_CONFIG.margins.left + PDF_CONFIG.contentWidth - yearWidth;
-      // Slight upward tweak (~0.5mm) so the date visually aligns with the job title text
-      const yearY = initialYForJob - 0.5;
-      state.doc.text(yearText, yearX, yearY);
-      state.doc.setFont(PDF_CONFIG.fontFamily, 'normal'); // Reset to normal after drawing dates
-    }
-
-    drawText(state, combinedTitle, PDF_CONFIG.margins.left, PDF_CONFIG, {
-      fontSize: PDF_CONFIG.fonts.jobTitle.size,
-      fontWeight: 'bold', // Changed to bold
-      maxWidth: PDF_CONFIG.contentWidth - (isValidField(yearText) ? state.doc.getTextWidth(yearText) : 0) - 5 // Adjust maxWidth if year is present
-    });
-
-    state.currentY += PDF_CONFIG.spacing.bulletListSpacing;
-
-    if (job.bullets && job.bullets.length > 0) {
-      state.currentY += PDF_CONFIG.spacing.bulletListSpacing;
-      job.bullets.forEach((bullet: string) => {
-        const bulletText = `• ${bullet}`;
-        const bulletHeight = drawText(state, bulletText, PDF_CONFIG.margins.left + PDF_CONFIG.spacing.bulletIndent, PDF_CONFIG, {
-          fontSize: PDF_CONFIG.fonts.body.size,
-          maxWidth: PDF_CONFIG.contentWidth - PDF_CONFIG.spacing.bulletIndent
-        });
-        totalHeight += bulletHeight;
-      });
-      state.currentY += PDF_CONFIG.spacing.bulletListSpacing;
-    }
-
-    if (index < workExperience.length - 1) {
-      state.currentY += 1;
-      totalHeight += 1;
-    }
-  });
-
-  return totalHeight;
-}
-
-// Draw education section
-function drawEducation(state: PageState, education: any[], PDF_CONFIG: any): number {
-  if (!education || education.length === 0) return 0;
-  let totalHeight = drawSectionTitle(state, 'Education', PDF_CONFIG);
-
-  education.forEach((edu, index) => {
-    const initialYForEdu = state.currentY;
-    if (!checkPageSpace(state, 20, PDF_CONFIG)) {
-      addNewPage(state, PDF_CONFIG);
-    }
-    const degreeHeight = drawText(state, edu.degree, PDF_CONFIG.margins.left, PDF_CONFIG, {
-      fontSize: PDF_CONFIG.fonts.jobTitle.size,
-      fontWeight: PDF_CONFIG.fonts.jobTitle.weight // Already bold
-    });
-    const schoolText = `${edu.school}${isValidField(edu.location) ? `, ${edu.location}` : ''}`;
-    const schoolHeight = drawText(state, schoolText, PDF_CONFIG.margins.left, PDF_CONFIG, {
-      fontSize: PDF_CONFIG.fonts.company.size,
-      fontWeight: 'normal', // Changed to normal
-      color: PDF_CONFIG.colors.primary
-    });
-    let cgpaHeight = 0;
-    if (isValidField(edu.cgpa)) {
-      cgpaHeight = drawText(state, `CGPA: ${edu.cgpa}`, PDF_CONFIG.margins.left, PDF_CONFIG, {
-        fontSize: PDF_CONFIG.fonts.body.size,
-        fontWeight: PDF_CONFIG.fonts.body.weight,
-        color: PDF_CONFIG.colors.secondary
-      });
-    }
-    // Removed edu.relevantCoursework block
-    // MODIFIED: Removed redundant setFont call and added isValidField check
-    state.doc.setFontSize(PDF_CONFIG.fonts.year.size);
-    state.doc.setTextColor(PDF_CONFIG.colors.primary[0], PDF_CONFIG.colors.primary[1], PDF_CONFIG.colors.primary[2]);
-    
-    if (isValidField(edu.year)) { // ADDED: Check if edu.year is valid
-      const yearText = edu.year;
-      state.doc.setFont(PDF_CONFIG.fontFamily, 'bold'); // Ensure year is bold
-      const yearWidth = state.doc.getTextWidth(yearText);
-      const yearX = PDF_CONFIG.margins.left + PDF_CONFIG.contentWidth - yearWidth; // CORRECTED calculation
-      // Slight upward tweak (~0.5mm) so the date visually aligns with the degree text
-      const yearY = initialYForEdu - 0.5;
-      state.doc.text(yearText, yearX, yearY);
-      state.doc.setFont(PDF_CONFIG.fontFamily, 'normal'); // Reset font to normal after drawing year
-    }
-    totalHeight += degreeHeight + schoolHeight + cgpaHeight;
-    if (index < education.length - 1) {
-      state.currentY += 1;
-      totalHeight += 1;
-    }
-  });
-  return totalHeight;
-}
-
-
-// Draw projects section
-function drawProjects(state: PageState, projects: any[], PDF_CONFIG: any): number {
-  if (!projects || projects.length === 0) return 0;
-
-  const githubProjects = projects.filter(project => project.githubUrl);
-  let totalHeight = drawSectionTitle(state, 'Projects', PDF_CONFIG);
+});
 
-  projects.forEach((project, index) => {
-    if (!checkPageSpace(state, 25, PDF_CONFIG)) {
-      addNewPage(state, PDF_CONFIG);
-    }
+const createPdfDocument = (options: ExportOptions): jsPDF => {
+  // Use paper size from options (a4 or letter)
+  const paperFormat = options.paperSize === 'letter' ? 'letter' : 'a4';
+  return new jsPDF({ orientation: 'portrait', unit: 'mm', format: paperFormat, compress: true });
+};
 
-    const titleHeight = drawText(state, project.title, PDF_CONFIG.margins.left, PDF_CONFIG, {
-      fontSize: PDF_CONFIG.fonts.jobTitle.size,
-      fontWeight: PDF_CONFIG.fonts.jobTitle.weight // Already bold
-    });
-    totalHeight += titleHeight;
-    state.currentY += PDF_CONFIG.spacing.bulletListSpacing;
-
-    if (project.bullets && project.bullets.length > 0) {
-      state.currentY += PDF_CONFIG.spacing.bulletListSpacing;
-      project.bullets.forEach((bullet: string) => {
-        const bulletText = `• ${bullet}`;
-        const bulletHeight = drawText(state, bulletText, PDF_CONFIG.margins.left + PDF_CONFIG.spacing.bulletIndent, PDF_CONFIG, {
-          fontSize: PDF_CONFIG.fonts.body.size,
-          maxWidth: PDF_CONFIG.contentWidth - PDF_CONFIG.spacing.bulletIndent
-        });
-        totalHeight += bulletHeight;
-      });
-      state.currentY += PDF_CONFIG.spacing.bulletListSpacing;
-    }
+// Lay out a resume exactly as the PDF export would (used by export and layout snapshot tests)
+export const layoutResumeForPdf = (resumeData: ResumeData, userType: UserType = 'experienced', options: ExportOptions = defaultExportOptions): ResumeLayout => {
+  const doc = createPdfDocument(options);
+  return layoutResume(resumeData, userType, options, createPdfTextMeasurer(doc, mapFontFamily(options.fontFamily)));
+};
 
-    if (index < projects.length - 1) {
-      state.currentY += 1;
-      totalHeight += 1;
+// Draw positioned layout boxes; all positioning decisions were made by the template engine
+const drawLayoutToPdf = (doc: jsPDF, layout: ResumeLayout, pdfFontFamily: string): void => {
+  const { style } = layout;
+  const text = hexToRgb(style.colors.text);
+  const muted = hexToRgb(style.colors.muted);
+  const rule = hexToRgb(style.colors.rule);
+  // Boxes are already mirrored; jsPDF only reorders the characters. The built-in
+  // PDF fonts have no Arabic or Devanagari glyphs, so those need an embedded font.
+  const bidi = layout.direction === 'rtl'
+    ? { isInputVisual: false, isOutputVisual: true, isInputRtl: true, isOutputRtl: true }
+    : {};
+
+  layout.boxes.forEach(box => {
+    while (doc.getNumberOfPages() < box.page) doc.addPage();
+    doc.setPage(box.page);
+
+    if (box.role === 'rule') {
+      doc.setDrawColor(rule[0], rule[1], rule[2]);
+      doc.setLineWidth(0.25);
+      doc.line(box.x, box.y, box.x + box.width, box.y);
+      return;
+    }
+    if (!box.text || !box.fontSize) return;
+
+    const color = box.role === 'entry-detail' || box.role === 'footer' ? muted : text;
+    doc.setFont(pdfFontFamily, box.bold ? 'bold' : 'normal');
+    doc.setFontSize(box.fontSize);
+    doc.setTextColor(color[0], color[1], color[2]);
+    // Centre the glyphs vertically within the line box (half-leading above)
+    const glyphTop = box.y + (box.height - box.fontSize * PT_TO_MM) / 2;
+    doc.text(box.text, box.x, glyphTop, { baseline: 'top', ...bidi });
+
+    if (box.url) {
+      doc.link(box.x, box.y, box.width, box.height, { url: box.url });
     }
   });
+};
 
-  return totalHeight;
-}
-
-
-// Draw skills section
-function drawSkills(state: PageState, skills: any[], PDF_CONFIG: any): number {
-  if (!skills || skills.length === 0) return 0;
-
-  let totalHeight = drawSectionTitle(state, 'Skills', PDF_CONFIG);
-  const estimatedSkillLineHeight = PDF_CONFIG.fonts.body.size * PDF_CONFIG.spacing.lineHeight * 0.352778;
-
-  skills.forEach((skill, index) => {
-    if (!checkPageSpace(state, 15, PDF_CONFIG)) {
-      addNewPage(state, PDF_CONFIG);
-    }
-
-    const x = PDF_CONFIG.margins.left;
-    const categoryText = `${skill.category}: `;
-    const listText = skill.list ? skill.list.join(', ') : '';
-
-    state.doc.setFont(PDF_CONFIG.fontFamily, 'bold'); // Already bold
-    state.doc.setFontSize(PDF_CONFIG.fonts.body.size);
-    state.doc.setTextColor(PDF_CONFIG.colors.primary[0], PDF_CONFIG.colors.primary[1], PDF_CONFIG.colors.primary[2]);
-
-    const categoryWidth = state.doc.getTextWidth(categoryText);
-    state.doc.text(categoryText, x, state.currentY);
-    state.doc.setFont(PDF_CONFIG.fontFamily, 'normal');
-
-    const remainingWidth = PDF_CONFIG.contentWidth - categoryWidth;
-    const lines = state.doc.splitTextToSize(listText, remainingWidth);
-
-    lines.forEach((line: string, lineIndex: number) => {
-        if (lineIndex === 0) {
-            state.doc.text(line, x + categoryWidth, state.currentY);
-        } else {
-            state.doc.text(line, x, state.currentY + (lineIndex * estimatedSkillLineHeight));
-        }
-    });
-
-    state.currentY += lines.length * estimatedSkillLineHeight;
-    totalHeight += lines.length * estimatedSkillLineHeight;
-
-    if (index < skills.length - 1) {
-      state.currentY += 1;
-      totalHeight += 1;
-    }
+// Lay out and draw the resume into a new jsPDF document
+const renderResumePdf = (resumeData: ResumeData, userType: UserType, options: ExportOptions): { doc: jsPDF; layout: ResumeLayout } => {
+  const pdfFontFamily = mapFontFamily(options.fontFamily);
+  const doc = createPdfDocument(options);
+  const layout = layoutResume(resumeData, userType, options, createPdfTextMeasurer(doc, pdfFontFamily));
+
+  console.log('📄 PDF EXPORT:', {
+    template: layout.templateId,
+    pages: layout.pageCount,
+    overflow: layout.overflow,
+    fontFamily: `${options.fontFamily} → ${pdfFontFamily}`,
+    bodySize: layout.style.fonts.body,
+    paperSize: options.paperSize
   });
-
-  return totalHeight;
-}
-
-
-// Draw certifications section
-function drawCertifications(state: PageState, certifications: (string | Certification)[], PDF_CONFIG: any): number {
-  let totalHeight = drawSectionTitle(state, 'Certifications', PDF_CONFIG);
-
-  if (!certifications || certifications.length === 0) {
-    const placeholderHeight = drawText(state, 'Available upon request', PDF_CONFIG.margins.left + PDF_CONFIG.spacing.bulletIndent, PDF_CONFIG, {
-      fontSize: PDF_CONFIG.fonts.body.size,
-      maxWidth: PDF_CONFIG.contentWidth - PDF_CONFIG.spacing.bulletIndent
-    });
-    totalHeight += placeholderHeight;
-    return totalHeight;
+  if (layout.overflow) {
+    console.warn(`[PDF] "${layout.templateId}" template could not fit the resume in the page limit`);
   }
 
-  certifications.forEach((cert) => {
-    if (!checkPageSpace(state, 10, PDF_CONFIG)) {
-      addNewPage(state, PDF_CONFIG);
-    }
-
-    if (typeof cert === 'object' && cert !== null && 'title' in cert) { // Check for 'title' property
-      const titleText = `• ${cert.title}`;
-      const titleHeight = drawText(state, titleText, PDF_CONFIG.margins.left + PDF_CONFIG.spacing.bulletIndent, PDF_CONFIG, {
-        fontWeight: 'bold',
-        maxWidth: PDF_CONFIG.contentWidth - PDF_CONFIG.spacing.bulletIndent
-      });
-      totalHeight += titleHeight;
-
-      if ('description' in cert && cert.description) { // Check for 'description' property
-        state.currentY += 1; // Small gap
-        const descHeight = drawText(state, cert.description, PDF_CONFIG.margins.left + PDF_CONFIG.spacing.bulletIndent * 2, PDF_CONFIG, {
-          maxWidth: PDF_CONFIG.contentWidth - (PDF_CONFIG.spacing.bulletIndent * 2)
-        });
-        totalHeight += descHeight + 1;
-      }
-    } else {
-      const bulletText = `• ${String(cert)}`;
-      const certHeight = drawText(state, bulletText, PDF_CONFIG.margins.left + PDF_CONFIG.spacing.bulletIndent, PDF_CONFIG, {
-        fontSize: PDF_CONFIG.fonts.body.size,
-        maxWidth: PDF_CONFIG.contentWidth - PDF_CONFIG.spacing.bulletIndent
-      });
-      totalHeight += certHeight;
-    }
-    state.currentY += PDF_CONFIG.spacing.bulletListSpacing;
-  });
-
-  return totalHeight;
-}
-
-// Draw professional summary section
-function drawProfessionalSummary(state: PageState, summary: string, PDF_CONFIG: any): number {
-  if (!summary) return 0;
-
-  let totalHeight = drawSectionTitle(state, 'Professional Summary', PDF_CONFIG);
-  const summaryHeight = drawText(state, summary, PDF_CONFIG.margins.left, PDF_CONFIG, {
-    fontSize: PDF_CONFIG.fonts.body.size,
-    fontWeight: PDF_CONFIG.fonts.body.weight,
-    maxWidth: PDF_CONFIG.contentWidth
-  });
-  totalHeight += summaryHeight;
-  state.currentY += 3;
-  return totalHeight;
-}
-
-// Draw career objective section for students
-function drawCareerObjective(state: PageState, objective: string, PDF_CONFIG: any): number {
-  if (!objective) return 0;
-  let totalHeight = drawSectionTitle(state, 'Career Objective', PDF_CONFIG);
-  state.currentY += 3;
-  const objectiveHeight = drawText(state, objective, PDF_CONFIG.margins.left, PDF_CONFIG, {
-    fontSize: PDF_CONFIG.fonts.body.size,
-    fontWeight: PDF_CONFIG.fonts.body.weight,
-    maxWidth: PDF_CONFIG.contentWidth
-  });
-  totalHeight += objectiveHeight;
-  state.currentY += 3;
-  return totalHeight;
-}
-
-// MODIFIED: Simplified to only draw achievements
-function drawAchievementsAndExtras(state: PageState, resumeData: ResumeData, PDF_CONFIG: any): number {
-  const hasAchievements = resumeData.achievements && resumeData.achievements.length > 0;
-  if (!hasAchievements) return 0;
-
-  let totalHeight = drawSectionTitle(state, 'Achievements', PDF_CONFIG);
-
-  resumeData.achievements.forEach(item => {
-    if (!checkPageSpace(state, 10, PDF_CONFIG)) {
-      addNewPage(state, PDF_CONFIG);
-    }
-    const itemHeight = drawText(state, `• ${item}`, PDF_CONFIG.margins.left + PDF_CONFIG.spacing.bulletIndent, PDF_CONFIG, {
-      fontSize: PDF_CONFIG.fonts.body.size,
-      maxWidth: PDF_CONFIG.contentWidth - PDF_CONFIG.spacing.bulletIndent
-    });
-    totalHeight += itemHeight;
-  });
-
-  state.currentY += 2;
-  return totalHeight;
-}
-
-// Draw additional sections dynamically
-function drawAdditionalSection(state: PageState, section: { title: string; bullets: string[] }, PDF_CONFIG: any): number {
-  if (!section || !section.title || !section.bullets || section.bullets.length === 0) return 0;
-
-  let totalHeight = drawSectionTitle(state, section.title, PDF_CONFIG);
-
-  section.bullets.forEach(bullet => {
-    if (!checkPageSpace(state, 10, PDF_CONFIG)) {
-      addNewPage(state, PDF_CONFIG);
-    }
-    const bulletHeight = drawText(state, `• ${bullet}`, PDF_CONFIG.margins.left + PDF_CONFIG.spacing.bulletIndent, PDF_CONFIG, {
-      fontSize: PDF_CONFIG.fonts.body.size,
-      maxWidth: PDF_CONFIG.contentWidth - PDF_CONFIG.spacing.bulletIndent
-    });
-    totalHeight += bulletHeight;
+  doc.setProperties({
+    title: `${resumeData.name} - Resume`,
+    subject: 'Professional Resume',
+    author: resumeData.name,
+    creator: 'Resume Optimizer'
   });
+  drawLayoutToPdf(doc, layout, pdfFontFamily);
+  return { doc, layout };
+};
 
-  state.currentY += 2;
-  return totalHeight;
-}
-
+// Generate the PDF without downloading it (used by the ATS round-trip check)
+export const generatePdfBlob = (resumeData: ResumeData, userType: UserType = 'experienced', options: ExportOptions = defaultExportOptions): Blob =>
+  renderResumePdf(resumeData, userType, options).doc.output('blob');
 
 // Main export function with mobile optimization
 export const exportToPDF = async (resumeData: ResumeData, userType: UserType = 'experienced', options: ExportOptions = defaultExportOptions): Promise<void> => {
@@ -985,131 +180,12 @@ export const exportToPDF = async (resumeData: ResumeData, userType: UserType = '
     throw new Error('Resume must have a name to export');
   }
 
-  // CRITICAL: Create PDF_CONFIG with the received options
-  // Log to verify options are being received
-  console.log('🔴 EXPORT PDF CALLED WITH OPTIONS:', {
-    fontFamily: options.fontFamily,
-    nameSize: options.nameSize,
-    bodyTextSize: options.bodyTextSize,
-    sectionHeaderSize: options.sectionHeaderSize
-  });
-  
-  const PDF_CONFIG = createPDFConfig(options);
-  
-  // Verify PDF_CONFIG was created correctly
-  console.log('🔵 PDF_CONFIG CREATED:', {
-    fontFamily: PDF_CONFIG.fontFamily,
-    nameSize: PDF_CONFIG.fonts.name.size,
-    bodySize: PDF_CONFIG.fonts.body.size,
-    sectionSize: PDF_CONFIG.fonts.sectionTitle.size
-  });
-
   try {
     if (isMobileDevice()) {
       console.log('Starting PDF generation for mobile device...');
     }
 
-    console.log('═══════════════════════════════════════════════════════════');
-    console.log('📄 PDF EXPORT - OPTIONS RECEIVED');
-    console.log('═══════════════════════════════════════════════════════════');
-    console.log('Export options:', JSON.stringify(options, null, 2));
-    console.log('Paper size:', options.paperSize);
-    console.log('Font family (original):', options.fontFamily);
-    console.log('Font family (mapped):', PDF_CONFIG.fontFamily);
-    console.log('Font sizes:');
-    console.log('  - Name:', options.nameSize, '→ PDF_CONFIG:', PDF_CONFIG.fonts.name.size);
-    console.log('  - Section Header:', options.sectionHeaderSize, '→ PDF_CONFIG:', PDF_CONFIG.fonts.sectionTitle.size);
-    console.log('  - Sub Header:', options.subHeaderSize, '→ PDF_CONFIG:', PDF_CONFIG.fonts.jobTitle.size);
-    console.log('  - Body Text:', options.bodyTextSize, '→ PDF_CONFIG:', PDF_CONFIG.fonts.body.size);
-    console.log('Spacing:');
-    console.log('  - Section:', options.sectionSpacing, '→ PDF_CONFIG:', PDF_CONFIG.spacing.sectionSpacingBefore);
-    console.log('  - Entry:', options.entrySpacing, '→ PDF_CONFIG:', PDF_CONFIG.spacing.entrySpacing);
-    console.log('═══════════════════════════════════════════════════════════');
-    
-    // Use paper size from options (a4 or letter)
-    const paperFormat = options.paperSize === 'letter' ? 'letter' : 'a4';
-    const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: paperFormat, compress: true });
-    
-    // Initialize font immediately after creating document
-    console.log(`[PDF] Initializing font: ${PDF_CONFIG.fontFamily}`);
-    doc.setFont(PDF_CONFIG.fontFamily, 'normal');
-    doc.setFontSize(PDF_CONFIG.fonts.body.size);
-    
-    const state: PageState = { currentPage: 1, currentY: PDF_CONFIG.margins.top, doc };
-    doc.setProperties({
-      title: `${resumeData.name} - Resume`,
-      subject: 'Professional Resume',
-      author: resumeData.name,
-      creator: 'Resume Optimizer'
-    });
-
-    state.currentY = PDF_CONFIG.spacing.nameFromTop;
-    drawText(state, resumeData.name.toUpperCase(), PDF_CONFIG.margins.left, PDF_CONFIG, {
-      fontSize: PDF_CONFIG.fonts.name.size,
-      fontWeight: PDF_CONFIG.fonts.name.weight,
-      align: 'center'
-    });
-    state.currentY += PDF_CONFIG.spacing.afterName;
-
-    drawContactInfo(state, resumeData, PDF_CONFIG);
-    
-    state.currentY += 3;
-
-    if (userType === 'experienced' && resumeData.summary && resumeData.summary.trim() !== '') {
-      drawProfessionalSummary(state, resumeData.summary, PDF_CONFIG);
-    } else if ((userType === 'student' || userType === 'fresher') && resumeData.careerObjective && resumeData.careerObjective.trim() !== '') {
-      drawCareerObjective(state, resumeData.careerObjective, PDF_CONFIG);
-    }
-
-    // Helper: draw section safely without breaking export
-    const safeDraw = (label: string, fn: () => void) => {
-      try { fn(); } catch (err) { console.error(`[PDF] Section failed: ${label}`, err); }
-    };
-
-    // ATS-Compliant section order
-    if (userType === 'experienced') {
-        // ATS Order: Summary → Skills → Experience → Projects → Education
-        safeDraw('Skills', () => drawSkills(state, resumeData.skills, PDF_CONFIG));
-        safeDraw('WorkExperience', () => drawWorkExperience(state, resumeData.workExperience, userType, PDF_CONFIG));
-        safeDraw('Projects', () => drawProjects(state, resumeData.projects, PDF_CONFIG));
-        safeDraw('Education', () => drawEducation(state, resumeData.education, PDF_CONFIG));
-        safeDraw('Certifications', () => renderCertificationsForPDF2(state, getEffectiveCertifications(resumeData), PDF_CONFIG));
-    } else if (userType === 'student') {
-        // ATS Order: Career Objective → Education → Skills → Projects → Experience
-        safeDraw('Education', () => drawEducation(state, resumeData.education, PDF_CONFIG));
-        safeDraw('Skills', () => drawSkills(state, resumeData.skills, PDF_CONFIG));
-        safeDraw('Projects', () => drawProjects(state, resumeData.projects, PDF_CONFIG));
-        safeDraw('WorkExperience', () => drawWorkExperience(state, resumeData.workExperience, userType, PDF_CONFIG));
-        safeDraw('Certifications', () => renderCertificationsForPDF2(state, getEffectiveCertifications(resumeData), PDF_CONFIG));
-        safeDraw('Achievements', () => drawAchievementsAndExtras(state, resumeData, PDF_CONFIG));
-    } else { // Fresher
-        // ATS Order: Career Objective → Skills → Experience → Projects → Education
-        safeDraw('Skills', () => drawSkills(state, resumeData.skills, PDF_CONFIG));
-        safeDraw('WorkExperience', () => drawWorkExperience(state, resumeData.workExperience, userType, PDF_CONFIG));
-        safeDraw('Projects', () => drawProjects(state, resumeData.projects, PDF_CONFIG));
-        safeDraw('Education', () => drawEducation(state, resumeData.education, PDF_CONFIG));
-        safeDraw('Certifications', () => renderCertificationsForPDF2(state, getEffectiveCertifications(resumeData), PDF_CONFIG));
-        safeDraw('Achievements', () => drawAchievementsAndExtras(state, resumeData, PDF_CONFIG));
-    }
-
-    if (resumeData.additionalSections && resumeData.additionalSections.length > 0) {
-      resumeData.additionalSections.forEach(section => {
-        drawAdditionalSection(state, section, PDF_CONFIG);
-      });
-    }
-
-    const totalPages = state.currentPage;
-    if (totalPages > 1) {
-      for (let i = 1; i <= totalPages; i++) {
-        if (i > 1) { doc.setPage(i); }
-        const pageText = `Page ${i} of ${totalPages}`;
-        doc.setFont(PDF_CONFIG.fontFamily, 'normal');
-        doc.setFontSize(9);
-        doc.setTextColor(80, 80, 80);
-        const textWidth = doc.getTextWidth(pageText);
-        doc.text(pageText, PDF_CONFIG.pageWidth / 2 - textWidth / 2, PDF_CONFIG.pageHeight - PDF_CONFIG.margins.bottom / 2);
-      }
-    }
+    const { doc } = renderResumePdf(resumeData, userType, options);
 
     const fileName = getFileName(resumeData, 'pdf');
     if (isMobileDevice()) {
@@ -1133,16 +209,78 @@ export const exportToPDF = async (resumeData: ResumeData, userType: UserType = '
   }
 };
 
+// ============================================================================
+// ATS PLAIN-TEXT EXPORT
+// ============================================================================
+
+const plainTextBlock = (block: TemplateBlock): string[] => {
+  if (block.type === 'paragraph') return [block.label ? `${block.label} ${block.text}` : block.text];
+  if (block.type === 'bullet') return [`- ${block.label ? `${block.label} ${block.text}` : block.text}`];
+  return [
+    block.date ? `${block.title} | ${block.date}` : block.title,
+    ...(block.subtitle ? [block.subtitle] : []),
+    ...(block.details || []),
+    ...(block.bullets || []).map(bullet => `- ${bullet}`)
+  ];
+};
+
+// Plain text in template order, one field per line and no wrapping: roughly what an ATS stores after parsing
+export const generatePlainText = (resumeData: ResumeData, userType: UserType = 'experienced', options: ExportOptions = defaultExportOptions): string => {
+  const document = buildTemplateDocument(resumeData, userType, templateRegistry.get(options.templateId));
+  const lines: string[] = [
+    applyTextCase(document.name, 'upper'),
+    ...document.contactLines.map(line => line.map(item => item.text).join(' | '))
+  ];
+
+  document.sections.forEach(section => {
+    lines.push('', section.title.toUpperCase());
+    section.blocks.forEach(block => lines.push(...plainTextBlock(block)));
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+export const exportToPlainText = async (resumeData: ResumeData, userType: UserType = 'experienced', options: ExportOptions = defaultExportOptions): Promise<void> => {
+  if (!resumeData) {
+    throw new Error('Resume data is required for plain-text export');
+  }
+
+  const blob = new Blob([generatePlainText(resumeData, userType, options)], { type: 'text/plain;charset=utf-8' });
+  triggerMobileDownload(blob, getFileName(resumeData, 'txt'));
+};
+
 // Centralized getFileName function (from exportUtils.ts)
-export const getFileName = (resumeData: ResumeData, fileExtension: 'pdf' | 'doc'): string => {
+export const getFileName = (resumeData: ResumeData, fileExtension: 'pdf' | 'docx' | 'json' | 'txt'): string => {
     const namePart = resumeData.name.replace(/\s+/g, '_');
     const rolePart = resumeData.targetRole ? `_${resumeData.targetRole.replace(/\s+/g, '_')}` : '';
     // Clean filename: Name_Role_Resume.pdf (no "Optimized" suffix)
     return `${namePart}${rolePart}_Resume.${fileExtension}`;
 };
 
+// Export as jsonresume.org JSON for use in other resume tools
+export const exportToJsonResume = async (resumeData: ResumeData): Promise<void> => {
+  if (!resumeData) {
+    throw new Error('Resume data is required for JSON export');
+  }
+
+  const fileName = getFileName(resumeData, 'json').replace(/\.json$/, '.resume.json');
+  const blob = new Blob([JSON.stringify(toJsonResume(resumeData), null, 2)], { type: 'application/json' });
+  triggerMobileDownload(blob, fileName);
+};
+
+// Export a versioned PrimoBoost backup that can be re-imported without parsing
+export const exportToPrimoBoostJson = async (resumeData: ResumeData): Promise<void> => {
+  if (!resumeData) {
+    throw new Error('Resume data is required for JSON export');
+  }
+
+  const fileName = getFileName(resumeData, 'json').replace(/\.json$/, '.primoboost.json');
+  const blob = new Blob([JSON.stringify(createPrimoBoostResumeFile(resumeData), null, 2)], { type: 'application/json' });
+  triggerMobileDownload(blob, fileName);
+};
+
 // Generate Word document with mobile optimization
-export const exportToWord = async (resumeData: ResumeData, userType: UserType = 'experienced'): Promise<void> => {
+export const exportToWord = async (resumeData: ResumeData, userType: UserType = 'experienced', options: ExportOptions = defaultExportOptions): Promise<void> => {
   // Validate resume data before attempting export
   if (!resumeData) {
     throw new Error('Resume data is required for Word export');
@@ -1152,12 +290,11 @@ export const exportToWord = async (resumeData: ResumeData, userType: UserType =
     throw new Error('Resume must have a name to export');
   }
 
-  const fileName = getFileName(resumeData, 'doc');
+  const fileName = getFileName(resumeData, 'docx');
   try {
     console.log('Generating Word document...');
-    const htmlContent = generateWordHTMLContent(resumeData, userType);
-    console.log('Word HTML content generated successfully');
-    const blob = new Blob([htmlContent], { type: 'application/vnd.ms-word' });
+    const blob = await generateDocxBlob(resumeData, userType, options);
+    console.log('Word DOCX package generated successfully');
     triggerMobileDownload(blob, fileName);
     console.log('Word document downloaded successfully');
   } catch (error) {
@@ -1169,353 +306,224 @@ export const exportToWord = async (resumeData: ResumeData, userType: UserType =
   }
 };
 
-const generateWordHTMLContent = (data: ResumeData, userType: UserType = 'experienced'): string => {
-  const contactParts: string[] = [];
-
-  const addContactFieldHtml = (label: string, fieldValue?: string | null, fieldType: 'phone' | 'email' | 'url' | 'text' = 'text', linkType?: 'tel' | 'mailto' | 'http') => {
-    if (!fieldValue) return;
-    const parts = fieldValue.split(/[,|]/).map(p => p.trim());
-    const validParts = parts.filter(p => isValidField(p, fieldType));
-    if (validParts.length > 0) {
-      const content = validParts.map(part => {
-        if (linkType === 'tel') return `<a href="tel:${part}" style="color: #2563eb !important; text-decoration: underline !important;">${part}</a>`;
-        if (linkType === 'mailto') return `<a href="mailto:${part}" style="color: #2563eb !important; text-decoration: underline !important;">${part}</a>`;
-        if (linkType === 'http') return `<a href="${part}" target="_blank" rel="noopener noreferrer" style="color: #2563eb !important; text-decoration: underline !important;">${part}</a>`;
-        return part;
-      }).join(' | ');
-      contactParts.push(`${content}`); // Removed label for cleaner display
-    }
-  };
+// ============================================================================
+// DOCX (OOXML) GENERATION
+// ============================================================================
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const W_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const R_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELS_NAMESPACE = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+// Word measures layout in twentieths of a point and font sizes in half-points
+const mmToTwips = (mm: number): number => Math.round(mm * 56.6929);
+const toHalfPoints = (pt: number): number => Math.round(pt * 2);
+
+interface DocxRun {
+  text: string;
+  bold?: boolean;
+  url?: string;
+}
+
+interface DocxState {
+  paragraphs: string[];
+  hyperlinks: string[];
+}
+
+// Strip characters XML 1.0 cannot carry, then escape markup
+const escapeXml = (value: string): string =>
+  Array.from(value)
+    .filter(char => {
+      const code = char.charCodeAt(0);
+      return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+    })
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+function renderDocxRun(state: DocxState, run: DocxRun): string {
+  const props = `${run.url ? '<w:rStyle w:val="Hyperlink"/>' : ''}${run.bold ? '<w:b/><w:bCs/>' : ''}`;
+  // Tabs inside text become real tab elements so right-aligned tab stops work
+  const content = run.text
+    .split('\t')
+    .map(segment => (segment ? `<w:t xml:space="preserve">${escapeXml(segment)}</w:t>` : ''))
+    .join('<w:tab/>');
+  const xml = `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${content}</w:r>`;
+
+  if (!run.url) return xml;
+  state.hyperlinks.push(run.url);
+  return `<w:hyperlink r:id="rIdLink${state.hyperlinks.length}" w:history="1">${xml}</w:hyperlink>`;
+}
+
+function addDocxParagraph(state: DocxState, styleId: string, runs: DocxRun[]): void {
+  const content = runs
+    .filter(run => run.text.length > 0)
+    .map(run => renderDocxRun(state, run))
+    .join('');
+  // Repeat the list numbering on the paragraph itself; parsers that ignore style numbering still see a list
+  const numbering = styleId === 'ListBullet' ? '<w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr>' : '';
+  state.paragraphs.push(`<w:p><w:pPr><w:pStyle w:val="${styleId}"/>${numbering}</w:pPr>${content}</w:p>`);
+}
 
-  addContactFieldHtml('Phone no', data.phone, 'phone', 'tel');
-  addContactFieldHtml('Email', data.email, 'email', 'mailto');
-  addContactFieldHtml('LinkedIn', data.linkedin, 'url', 'http');
-  addContactFieldHtml('GitHub', data.github, 'url', 'http');
-  addContactFieldHtml('Location', data.location, 'text');
-
-  const contactInfo = contactParts.join(' | ');
-
-  const summaryHtml = data.summary ? `
-  <div style="margin-top: 5pt;">
-    <div class="section-title" style="font-size: 10pt; font-weight: bold; margin-bottom: 4pt; text-transform: uppercase; letter-spacing: 0.5pt; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">PROFESSIONAL SUMMARY</div>
-    <div class="section-underline" style="border-bottom: 0.5pt solid #808080; margin-bottom: 4pt; height: 1px;"></div>
-    <p style="margin-bottom: 12pt; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; font-size: 10pt;">${data.summary}</p>
-  </div>
-` : '';
-
-  const educationHtml = data.education && data.education.length > 0 ? `
-    <div style="margin-top: 5pt;">
-      <div class="section-title" style="font-size: 10pt; font-weight: bold; margin-bottom: 4pt; text-transform: uppercase; letter-spacing: 0.5pt; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">EDUCATION</div>
-      <div class="section-underline" style="border-bottom: 0.5pt solid #808080; margin-bottom: 4pt; height: 1px;"></div>
-      ${data.education.map(edu => `
-        <table style="width: 100%; border-collapse: collapse; margin-bottom: 2pt;">
-          <tr>
-            <td style="padding: 0; vertical-align: top; text-align: left;">
-              <div class="degree" style="font-size: 9.5pt; font-weight: bold; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">${edu.degree}</div>
-              <div class="school" style="font-size: 9.5pt; font-weight: normal; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">${edu.school}${isValidField(edu.location) ? `, ${edu.location}` : ''}</div>
-              ${isValidField(edu.cgpa) ? `<div style="font-size: 9.5pt; color: #4B5563; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">CGPA: ${edu.cgpa}</div>` : ''}
-            </td>
-            <td style="padding: 0; vertical-align: top; text-align: right; white-space: nowrap;">
-              <div class="year" style="font-size: 9.5pt; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; font-weight: bold;">${edu.year}</div>
-            </td>
-          </tr>
-        </table>
-      `).join('')}
-    </div>
-  ` : '';
-
-  const workExperienceHtml = data.workExperience && data.workExperience.length > 0 ? `
-    <div style="margin-top: 5pt;">
-      <div class="section-title" style="font-size: 10pt; font-weight: bold; margin-bottom: 4pt; text-transform: uppercase; letter-spacing: 0.5pt; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">${userType === 'fresher' ? 'WORK EXPERIENCE' : 'EXPERIENCE'}</div>
-      <div class="section-underline" style="border-bottom: 0.5pt solid #808080; margin-bottom: 4pt; height: 1px;"></div>
-      ${data.workExperience.map(job => `
-        <table style="width: 100%; border-collapse: collapse; margin-bottom: 1pt;">
-          <tr>
-            <td style="padding: 0; vertical-align: top; text-align: left;">
-              <div class="job-title" style="font-size: 9.5pt; font-weight: bold; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">${job.role} | ${job.company}${isValidField(job.location) ? `, ${job.location}` : ''}</div>
-            </td>
-            <td style="padding: 0; vertical-align: top; text-align: right; white-space: nowrap;">
-              <div class="year" style="font-size: 9.5pt; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; font-weight: normal;">${job.year}</div>
-            </td>
-          </tr>
-        </table>
-        ${job.bullets && job.bullets.length > 0 ? `
-          <ul class="bullets" style="margin-left: 5mm; margin-bottom: 6pt; margin-top: 2pt; list-style-type: disc;">
-            ${job.bullets.map(bullet => `<li class="bullet" style="font-size: 9.5pt; line-height: 1.4; margin: 0 0 2pt 0; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">${bullet}</li>`).join('')}
-          </ul>
-        ` : ''}
-      `).join('')}
-    </div>
-  ` : '';
-
-  const projectsHtml = data.projects && data.projects.length > 0 ? `
-    <div style="margin-top: 5pt;">
-      <div class="section-title" style="font-size: 10pt; font-weight: bold; margin-bottom: 4pt; text-transform: uppercase; letter-spacing: 0.5pt; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">PROJECTS</div>
-      <div class="section-underline" style="border-bottom: 0.5pt solid #808080; margin-bottom: 4pt; height: 1px;"></div>
-      ${data.projects.map(project => `
-        <div style="margin-bottom: 6pt;">
-          <div class="project-title" style="font-size: 9.5pt; font-weight: bold; margin-bottom: 1pt; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">${project.title}</div>
-          ${project.bullets && project.bullets.length > 0 ? `
-            <ul class="bullets" style="margin-left: 5mm; margin-bottom: 6pt; margin-top: 2pt; list-style-type: disc;">
-              ${project.bullets.map(bullet => `<li class="bullet" style="font-size: 9.5pt; line-height: 1.4; margin: 0 0 2pt 0; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">${bullet}</li>`).join('')}
-            </ul>
-          ` : ''}
-        </div>
-      `).join('')}
-    </div>
-  ` : '';
-
-  const skillsHtml = data.skills && data.skills.length > 0 ? `
-    <div style="margin-top: 5pt;">
-      <div class="section-title" style="font-size: 10pt; font-weight: bold; margin-bottom: 4pt; text-transform: uppercase; letter-spacing: 0.5pt; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">SKILLS</div>
-      <div class="section-underline" style="border-bottom: 0.5pt solid #808080; margin-bottom: 4pt; height: 1px;"></div>
-      ${data.skills.map(skill => `
-        <div class="skills-item" style="font-size: 9.5pt; margin: 0.5pt 0; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">
-          <span class="skill-category" style="font-weight: bold; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">${skill.category}:</span> ${skill.list ? skill.list.join(', ') : ''}
-        </div>
-      `).join('')}
-    </div>
-  ` : '';
-
-  const effectiveCerts = getEffectiveCertifications(data);
-  const certificationsHtml = effectiveCerts && effectiveCerts.length > 0 ? `
-    <div style="margin-top: 5pt;">
-      <div class="section-title" style="font-size: 10pt; font-weight: bold; margin-bottom: 4pt; text-transform: uppercase; letter-spacing: 0.5pt; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">CERTIFICATIONS</div>
-      <div class="section-underline" style="border-bottom: 0.5pt solid #808080; margin-bottom: 4pt; height: 1px;"></div>
-      <ul class="bullets" style="margin-left: 5mm; margin-bottom: 6pt; margin-top: 6pt; list-style-type: disc;">
-        ${effectiveCerts
-          .filter((cert: any) =>
-            typeof cert === 'string'
-              ? (String(cert).trim().length > 0 && !isPlaceholderText(String(cert)))
-              : (cert && (!isPlaceholderText(toPlainText(cert)) || !isPlaceholderText(toPlainText(cert.description))))
-          )
-          .map((cert: any) => {
-          let certText = '';
-          if (typeof cert === 'object' && cert !== null) {
-            const title = toPlainText(cert.title) || toPlainText(cert);
-            const description = toPlainText(cert.description);
-            const primary = title || description;
-            certText = title ? `<b style="font-weight: bold;">${title}</b>${description && description !== title ? ` - ${description}` : ''}` : primary;
-          } else {
-            certText = String(cert);
-          }
-          return `<li class="bullet" style="font-size: 9.5pt; line-height: 1.4; margin: 0 0 2pt 0; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">${certText}</li>`;
-        }).join('')}
-      </ul>
-    </div>
-  ` : '';
-
-  const achievementsHtml = data.achievements && data.achievements.length > 0 ? `
-    <div style="margin-top: 5pt;">
-      <div class="section-title" style="font-size: 10pt; font-weight: bold; margin-bottom: 4pt; text-transform: uppercase; letter-spacing: 0.5pt; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">ACHIEVEMENTS</div>
-      <div class="section-underline" style="border-bottom: 0.5pt solid #808080; margin-bottom: 4pt; height: 1px;"></div>
-      <ul class="bullets" style="margin-left: 7.5mm; margin-bottom: 6pt; margin-top: 2pt; list-style-type: disc;">
-        ${data.achievements.map(item => `<li class="bullet" style="font-size: 9.5pt; line-height: 1.4; margin: 0 0 2pt 0; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">${item}</li>`).join('')}
-      </ul>
-    </div>
-  ` : '';
-
-  let sectionOrderHtml = '';
-
-  const careerObjectiveHtml = data.careerObjective && data.careerObjective.trim() !== '' ? `
-  <div style="margin-top: 5pt;">
-    <div class="section-title" style="font-size: 10pt; font-weight: bold; margin-bottom: 4pt; text-transform: uppercase; letter-spacing: 0.5pt; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">CAREER OBJECTIVE</div>
-    <div class="section-underline" style="border-bottom: 0.5pt solid #808080; margin-bottom: 4pt; height: 1px;"></div>
-    <p style="margin-bottom: 12pt; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; font-size: 10pt;">${data.careerObjective}</p>
-  </div>
-` : '';
-
-
-  const additionalSectionsHtml = data.additionalSections && data.additionalSections.length > 0 ? `
-    ${data.additionalSections.map(section => `
-      <div style="margin-top: 5pt;">
-        <div class="section-title" style="font-size: 10pt; font-weight: bold; margin-bottom: 4pt; text-transform: uppercase; letter-spacing: 0.5pt; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">${section.title.toUpperCase()}</div>
-        <div class="section-underline" style="border-bottom: 0.5pt solid #808080; margin-bottom: 4pt; height: 1px;"></div>
-        <ul class="bullets" style="margin-left: 5mm; margin-bottom: 6pt; margin-top: 2pt; list-style-type: disc;">
-          ${section.bullets.map(bullet => `<li class="bullet" style="font-size: 9.5pt; line-height: 1.4; margin: 0 0 2pt 0; font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">${bullet}</li>`).join('')}
-        </ul>
-      </div>
-    `).join('')}
-  ` : '';
-
-  if (userType === 'experienced') {
-    // ATS-Compliant Order: Summary → Skills → Experience → Projects → Education
-    sectionOrderHtml = `
-      ${summaryHtml}
-      ${skillsHtml}
-      ${workExperienceHtml}
-      ${projectsHtml}
-      ${educationHtml}
-      ${certificationsHtml}
-      ${additionalSectionsHtml}
-    `;
-  } else if (userType === 'student') {
-    // ATS-Compliant Order: Career Objective → Education → Skills → Projects → Experience
-    sectionOrderHtml = `
-      ${careerObjectiveHtml}
-      ${educationHtml}
-      ${skillsHtml}
-      ${projectsHtml}
-      ${workExperienceHtml}
-      ${certificationsHtml}
-      ${achievementsHtml}
-      ${additionalSectionsHtml}
-    `;
-  } else { // Fresher
-    // ATS-Compliant Order: Career Objective → Skills → Experience → Projects → Education
-    sectionOrderHtml = `
-      ${careerObjectiveHtml}
-      ${skillsHtml}
-      ${workExperienceHtml}
-      ${projectsHtml}
-      ${educationHtml}
-      ${certificationsHtml}
-      ${achievementsHtml}
-      ${additionalSectionsHtml}
-    `;
+const labelledRuns = (text: string, label?: string): DocxRun[] =>
+  label ? [{ text: `${label} `, bold: true }, { text }] : [{ text }];
+
+function writeDocxBlock(state: DocxState, block: TemplateBlock): void {
+  if (block.type === 'paragraph') {
+    addDocxParagraph(state, 'Normal', labelledRuns(block.text, block.label));
+    return;
+  }
+  if (block.type === 'bullet') {
+    addDocxParagraph(state, 'ListBullet', labelledRuns(block.text, block.label));
+    return;
   }
 
-  return `
-    <!DOCTYPE html>
-    <html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word" xmlns="http://www.w3.org/TR/REC-html40">
-    <head>
-      <meta charset="utf-8">
-      <meta name="ProgId" content="Word.Document">
-      <meta name="Generator" content="Microsoft Word 15">
-      <meta name="Originator" content="Microsoft Word 15">
-      <title>${data.name} - Resume</title>
-      <style>
-        @page {
-          margin-top: 17.78mm !important; /* ~0.7 inch */
-          margin-bottom: 17.78mm !important; /* ~0.7 inch */
-          margin-left: 17.78mm !important; /* ~0.7 inch */
-          margin-right: 17.78mm !important; /* ~0.7 inch */
-        }
-
-        body {
-          font-family: "Calibri", sans-serif !important;
-          font-size: 10pt !important;
-          line-height: 1.25 !important;
-          color: #000 !important;
-          margin: 0 !important;
-          padding: 0 !important;
-          background: white !important;
-        }
-
-        a, a:link, a:visited, a:active {
-          color: #2563eb !important;
-          text-decoration: underline !important;
-          font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif !important;
-          font-weight: inherit !important;
-          font-size: inherit !important;
-        }
-
-        a:hover {
-          color: #1d4ed8 !important;
-          text-decoration: underline !important;
-        }
-
-        b, strong {
-          font-weight: bold !important;
-          color: #000 !important;
-        }
-
-        .header {
-          text-align: center !important;
-          margin-bottom: 6mm !important;
-        }
-        .name {
-          font-size: 18pt !important;
-          font-weight: bold !important;
-          letter-spacing: 1pt !important;
-          margin-bottom: 4pt !important;
-          text-transform: uppercase !important;
-          font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif !important;
-        }
-        .contact {
-          font-size: 9pt !important;
-          margin-bottom: 6pt !important;
-          font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif !important;
-        }
-        .header-line {
-          border: none !important;
-          border-top: 0.5pt solid #404040 !important;
-          margin: 0 0 !important; /* Remove horizontal margin */
-          height: 1px !important;
-          width: 100% !important; /* Ensure line spans full content width */
-        }
-        .section-title {
-          font-size: 10pt !important;
-          font-weight: bold !important;
-          margin-top: 10pt !important;
-          margin-bottom: 4pt !important;
-          text-transform: uppercase !important;
-          letter-spacing: 0.5pt !important;
-          font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif !important;
-        }
-        .section-underline {
-          border-bottom: 0.5pt solid #808080 !important;
-          margin-bottom: 4pt !important;
-          height: 1px !important;
-        }
-        /* Removed .job-header, .edu-header flex styles as they are replaced by table */
-        .job-title, .degree {
-          font-size: 9.5pt !important;
-          font-weight: bold !important;
-          font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif !important;
-        }
-        .company, .school {
-          font-size: 9.5pt !important;
-          font-weight: normal !important; /* Changed to normal */
-          font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif !important;
-        }
-        .year {
-          font-size: 9.5pt !important;
-          font-weight: bold !important;
-          font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif !important;
-        }
-        .bullets {
-          margin-left: 5mm !important; /* Changed from 4mm to 5mm */
-          margin-bottom: 4pt !important;
-          margin-top: 2pt !important;
-        }
-        .bullet {
-          font-size: 9.5pt !important;
-          line-height: 1.25 !important; /* Changed from 1.4 to 1.25 */
-          margin: 0 0 1pt 0 !important; /* Changed from 2pt to 1pt */
-          font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif !important;
-        }
-        .skills-item {
-          font-size: 9.5pt !important;
-          margin: 1.5pt 0 !important;
-          font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif !important;
-        }
-        .skill-category {
-          font-weight: bold !important;
-          font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif !important;
-        }
-        .project-title {
-          font-size: 9.5pt !important;
-          font-weight: bold !important;
-          margin-bottom: 2pt !important;
-          font-family: Calibri, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif !important;
-        }
-
-        @media print {
-          body { margin: 0 !important; }
-        }
-      </style>
-    </head>
-    <body>
-      <div class="header">
-        <div class="name">${data.name.toUpperCase()}</div>
-        ${contactInfo ? `<div class="contact">${contactInfo}</div>` : ''}
-        
-      </div>
-
-      ${sectionOrderHtml}
-
-    </body>
-    </html>
-  `;
-};
\ No newline at end of file
+  addDocxParagraph(state, 'EntryHeading', [
+    { text: block.title, bold: true },
+    ...(block.date ? [{ text: `\t${block.date}`, bold: true }] : [])
+  ]);
+  if (block.subtitle) addDocxParagraph(state, 'EntryDetail', [{ text: block.subtitle }]);
+  (block.details || []).forEach(detail => addDocxParagraph(state, 'EntryDetail', [{ text: detail }]));
+  (block.bullets || []).forEach(bullet => addDocxParagraph(state, 'ListBullet', [{ text: bullet }]));
+}
+
+function createDocumentXml(document: TemplateDocument, style: TemplateStyle): { xml: string; hyperlinks: string[] } {
+  const state: DocxState = { paragraphs: [], hyperlinks: [] };
+
+  addDocxParagraph(state, 'Title', [{ text: applyTextCase(document.name, style.nameCase) }]);
+  document.contactLines.forEach(line => {
+    addDocxParagraph(state, 'ContactInfo', line.flatMap((item, index) => (index === 0 ? [item] : [{ text: ' | ' }, item])));
+  });
+
+  document.sections.forEach(section => {
+    addDocxParagraph(state, 'Heading1', [{ text: section.title }]);
+    section.blocks.forEach(block => writeDocxBlock(state, block));
+  });
+
+  const { margins } = style;
+  const sectionProperties =
+    `<w:sectPr><w:pgSz w:w="${mmToTwips(style.pageWidth)}" w:h="${mmToTwips(style.pageHeight)}"/>` +
+    `<w:pgMar w:top="${mmToTwips(margins.top)}" w:right="${mmToTwips(margins.right)}" w:bottom="${mmToTwips(margins.bottom)}" ` +
+    `w:left="${mmToTwips(margins.left)}" w:header="0" w:footer="0" w:gutter="0"/></w:sectPr>`;
+
+  const xml = `${XML_DECLARATION}<w:document xmlns:w="${W_NAMESPACE}" xmlns:r="${R_NAMESPACE}"><w:body>` +
+    `${state.paragraphs.join('')}${sectionProperties}</w:body></w:document>`;
+
+  return { xml, hyperlinks: state.hyperlinks };
+}
+
+// Paragraph styles carry all formatting so the document stays editable in Word
+function createStylesXml(style: TemplateStyle, document: TemplateDocument): string {
+  const font = escapeXml(style.fontFamily);
+  // English exports keep the en-US proofing language they always had
+  const lang = document.language === 'en' ? 'en-US' : LanguageDetectionService.getResources(document.language).locale;
+  const rtl = document.direction === 'rtl';
+  const size = (pt: number) => `<w:sz w:val="${toHalfPoints(pt)}"/><w:szCs w:val="${toHalfPoints(pt)}"/>`;
+  const { fonts, spacing } = style;
+  const line = Math.round(240 * style.lineHeight);
+  const align = `<w:jc w:val="${style.nameAlign}"/>`;
+  const bold = '<w:b/><w:bCs/>';
+
+  const paragraphStyle = (styleId: string, name: string, pPr: string, rPr: string, extra = '') =>
+    `<w:style w:type="paragraph" w:styleId="${styleId}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/>` +
+    `${extra}<w:qFormat/><w:pPr>${pPr}</w:pPr><w:rPr>${rPr}</w:rPr></w:style>`;
+
+  return `${XML_DECLARATION}<w:styles xmlns:w="${W_NAMESPACE}">` +
+    '<w:docDefaults>' +
+    `<w:rPrDefault><w:rPr><w:rFonts w:ascii="${font}" w:hAnsi="${font}" w:eastAsia="${font}" w:cs="${font}"/>` +
+    `<w:color w:val="${style.colors.text}"/>${size(fonts.body)}${rtl ? '<w:rtl/>' : ''}` +
+    `<w:lang w:val="${lang}"${rtl ? ` w:bidi="${lang}"` : ''}/></w:rPr></w:rPrDefault>` +
+    `<w:pPrDefault><w:pPr>${rtl ? '<w:bidi/>' : ''}<w:spacing w:before="0" w:after="0" w:line="${line}" w:lineRule="auto"/></w:pPr></w:pPrDefault>` +
+    '</w:docDefaults>' +
+    '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+    paragraphStyle('Title', 'Title',
+      `<w:spacing w:after="${mmToTwips(spacing.afterName)}"/>${align}`,
+      `${bold}${size(fonts.name)}`,
+      '<w:next w:val="ContactInfo"/>') +
+    paragraphStyle('ContactInfo', 'Contact Info',
+      align,
+      `${style.contactBold ? bold : ''}${size(fonts.contact)}`) +
+    paragraphStyle('Heading1', 'heading 1',
+      '<w:keepNext/><w:keepLines/>' +
+      (style.sectionRule ? `<w:pBdr><w:bottom w:val="single" w:sz="4" w:space="1" w:color="${style.colors.rule}"/></w:pBdr>` : '') +
+      `<w:spacing w:before="${mmToTwips(spacing.sectionBefore)}" w:after="${mmToTwips(spacing.sectionAfter)}"/><w:outlineLvl w:val="0"/>`,
+      `${bold}${style.headingCase === 'upper' ? '<w:caps/>' : ''}${size(fonts.sectionTitle)}`,
+      '<w:next w:val="Normal"/>') +
+    paragraphStyle('EntryHeading', 'Entry Heading',
+      `<w:keepNext/><w:tabs><w:tab w:val="right" w:pos="${mmToTwips(style.contentWidth)}"/></w:tabs>` +
+      `<w:spacing w:before="${mmToTwips(spacing.entry)}"/>`,
+      `${bold}${size(fonts.entryTitle)}`) +
+    paragraphStyle('EntryDetail', 'Entry Detail',
+      '<w:keepNext/>',
+      size(fonts.entrySubtitle)) +
+    paragraphStyle('ListBullet', 'List Bullet',
+      `<w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr><w:spacing w:before="${mmToTwips(spacing.bullet)}"/>`,
+      size(fonts.body)) +
+    '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:uiPriority w:val="99"/>' +
+    `<w:unhideWhenUsed/><w:rPr><w:color w:val="${style.colors.link}"/><w:u w:val="single"/></w:rPr></w:style>` +
+    '</w:styles>';
+}
+
+function createNumberingXml(style: TemplateStyle): string {
+  const { bulletIndent, bulletTextIndent } = style.spacing;
+  return `${XML_DECLARATION}<w:numbering xmlns:w="${W_NAMESPACE}">` +
+    '<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="singleLevel"/>' +
+    '<w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="•"/><w:lvlJc w:val="left"/>' +
+    `<w:pPr><w:ind w:left="${mmToTwips(bulletIndent + bulletTextIndent)}" w:hanging="${mmToTwips(bulletTextIndent)}"/></w:pPr></w:lvl></w:abstractNum>` +
+    '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>' +
+    '</w:numbering>';
+}
+
+function createDocumentRelsXml(hyperlinks: string[]): string {
+  const links = hyperlinks
+    .map((url, index) =>
+      `<Relationship Id="rIdLink${index + 1}" Type="${R_NAMESPACE}/hyperlink" Target="${escapeXml(url)}" TargetMode="External"/>`)
+    .join('');
+  return `${XML_DECLARATION}<Relationships xmlns="${PACKAGE_RELS_NAMESPACE}">` +
+    `<Relationship Id="rIdStyles" Type="${R_NAMESPACE}/styles" Target="styles.xml"/>` +
+    `<Relationship Id="rIdNumbering" Type="${R_NAMESPACE}/numbering" Target="numbering.xml"/>` +
+    `${links}</Relationships>`;
+}
+
+function createCorePropertiesXml(resumeData: ResumeData): string {
+  const created = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+  return `${XML_DECLARATION}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ` +
+    'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+    `<dc:title>${escapeXml(`${resumeData.name} - Resume`)}</dc:title><dc:subject>Professional Resume</dc:subject>` +
+    `<dc:creator>${escapeXml(resumeData.name)}</dc:creator><cp:lastModifiedBy>Resume Optimizer</cp:lastModifiedBy>` +
+    `<dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created></cp:coreProperties>`;
+}
+
+// Build the zipped OOXML package from the same template declaration as the PDF export
+export const generateDocxBlob = async (resumeData: ResumeData, userType: UserType = 'experienced', options: ExportOptions = defaultExportOptions): Promise<Blob> => {
+  const template = templateRegistry.get(options.templateId);
+  const style = resolveTemplateStyle(template, options);
+  const document = buildTemplateDocument(resumeData, userType, template);
+  const { xml: documentXml, hyperlinks } = createDocumentXml(document, style);
+
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml',
+    `${XML_DECLARATION}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+    '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>' +
+    '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+    '</Types>');
+  zip.file('_rels/.rels',
+    `${XML_DECLARATION}<Relationships xmlns="${PACKAGE_RELS_NAMESPACE}">` +
+    `<Relationship Id="rId1" Type="${R_NAMESPACE}/officeDocument" Target="word/document.xml"/>` +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+    '</Relationships>');
+  zip.file('docProps/core.xml', createCorePropertiesXml(resumeData));
+  zip.file('word/document.xml', documentXml);
+  zip.file('word/styles.xml', createStylesXml(style, document));
+  zip.file('word/numbering.xml', createNumberingXml(style));
+  zip.file('word/_rels/document.xml.rels', createDocumentRelsXml(hyperlinks));
+
+  return zip.generateAsync({ type: 'blob', mimeType: DOCX_MIME_TYPE, compression: 'DEFLATE' });
+};
@@ -1,8 +1,10 @@
 // src/utils/fileParser.ts
 import * as mammoth from 'mammoth';
 import * as pdfjsLib from 'pdfjs-dist';
-import { createWorker } from 'tesseract.js';
-import { ExtractionResult, ExtractionMode } from '../types/resume'; // Import ExtractionResult and ExtractionMode
+import { ExtractionResult, ExtractionMode, LayoutStructure, PageTextLayout } from '../types/resume'; // Import ExtractionResult and ExtractionMode
+import { layoutParserService, PdfTextItemLike } from '../services/layoutParserService';
+import { localOcrEngine, MIN_PAGE_TEXT_LENGTH } from '../services/ocr/localOcrEngine';
+import { LanguageDetectionService } from '../services/languageDetectionService';
 
 // Set the worker source for PDF.js
 pdfjsLib.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`;
@@ -15,12 +17,14 @@ export const parseFile = async (file: File): Promise<ExtractionResult> => {
   let pages = 1;
   let charsPreTrim = 0;
   let charsPostTrim = 0;
+  let layout: LayoutStructure | undefined;
 
   if (fileName.endsWith('.pdf')) {
     const result = await parsePDF(file);
     text = result.text;
     extractionMode = result.extraction_mode;
     pages = result.pages || 1;
+    layout = result.layout;
   } else if (fileName.endsWith('.docx')) {
     text = await parseDocx(file);
   } else if (fileName.endsWith('.txt')) {
@@ -39,6 +43,7 @@ export const parseFile = async (file: File): Promise<ExtractionResult> => {
   }
   
   charsPostTrim = text.length;
+  const language = LanguageDetectionService.detect(text).language;
 
   return {
     text,
@@ -47,91 +52,84 @@ export const parseFile = async (file: File): Promise<ExtractionResult> => {
     pages,
     chars_pre: charsPreTrim,
     chars_post: charsPostTrim,
-    filename: file.name // Include the original filename
+    filename: file.name, // Include the original filename
+    layout,
+    language
   };
 };
 
-const parsePDF = async (file: File): Promise<{ text: string; extraction_mode: ExtractionMode; pages?: number }> => {
+const OCR_FAILURE_MESSAGE = "Failed to recognize text from image-based PDF. Please upload a searchable PDF or a DOCX/TXT file.";
+
+const parsePDF = async (file: File): Promise<{ text: string; extraction_mode: ExtractionMode; pages?: number; layout?: LayoutStructure }> => {
   const arrayBuffer = await file.arrayBuffer();
   const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-  let text = '';
   let extractionMode: ExtractionMode = 'TEXT';
   const totalPages = pdf.numPages;
+  const pageLayouts: PageTextLayout[] = [];
+  const sparsePages: { pageNumber: number; hasImages: boolean }[] = [];
 
   // Step 1: Try to extract text directly from the PDF (for searchable PDFs)
   for (let i = 1; i <= totalPages; i++) {
     const page = await pdf.getPage(i);
+    const viewport = page.getViewport({ scale: 1.0 });
     const content = await page.getTextContent();
-    const strings = content.items.map((item: any) => item.str);
-    text += strings.join(' ') + ' ';
+    // Marked-content entries carry no text or position
+    const items = content.items.filter(item => 'str' in item) as PdfTextItemLike[];
+    const pageLayout = layoutParserService.buildPageLayout(i, viewport.width, viewport.height, items);
+    pageLayouts.push(pageLayout);
+
+    const pageTextLength = pageLayout.items.reduce((sum, item) => sum + item.text.replace(/\s+/g, '').length, 0);
+    if (pageTextLength < MIN_PAGE_TEXT_LENGTH) {
+      sparsePages.push({ pageNumber: i, hasImages: await localOcrEngine.pageHasImages(page) });
+    }
   }
 
-  const initialTextContent = text.trim();
-
-  // Step 2: If direct text extraction yields minimal content, attempt OCR
+  // Step 2: OCR the pages whose text layer is missing. A page that is mostly
+  // an image (a scan pasted into an otherwise searchable PDF) is OCR'd on its
+  // own; when the whole document is nearly empty every sparse page is tried.
   const MIN_TEXT_LENGTH_THRESHOLD = 50; // Define a constant for clarity
-
-  if (initialTextContent.length < MIN_TEXT_LENGTH_THRESHOLD) {
-    console.log('Detected potentially image-based PDF or sparse text. Attempting OCR...');
-    let ocrWorker: Tesseract.Worker | null = null;
-    extractionMode = 'OCR';
+  const textLayerLength = pageLayouts.reduce(
+    (sum, pageLayout) => sum + pageLayout.items.reduce((pageSum, item) => pageSum + item.text.trim().length, 0),
+    0
+  );
+  const ocrPageNumbers = sparsePages
+    .filter(page => page.hasImages || textLayerLength < MIN_TEXT_LENGTH_THRESHOLD)
+    .map(page => page.pageNumber);
+
+  if (ocrPageNumbers.length > 0) {
+    console.log(`Detected ${ocrPageNumbers.length} image-based page(s). Attempting OCR...`);
     try {
-      ocrWorker = await createWorker('eng'); // 'eng' for English language
-      let ocrText = '';
-
-      for (let i = 1; i <= pdf.numPages; i++) {
-        const page = await pdf.getPage(i);
-        const viewport = page.getViewport({ scale: 2.0 }); // Scale up for better OCR accuracy
-        const canvas = document.createElement('canvas');
-        const context = canvas.getContext('2d');
-        if (!context) throw new Error('Could not get 2D context for canvas');
-
-        canvas.height = viewport.height;
-        canvas.width = viewport.width;
-
-        const renderContext = {
-          canvasContext: context,
-          viewport: viewport,
-        };
-        await page.render(renderContext).promise;
-
-        // Perform OCR on the canvas
-        const { data: { text: pageOcrText } } = await ocrWorker.recognize(canvas);
-        ocrText += pageOcrText + ' ';
-        canvas.remove(); // Clean up canvas
-      }
-
-      // Step 3: After OCR, if ocrText is still minimal, throw specific error
-      if (ocrText.trim().length < MIN_TEXT_LENGTH_THRESHOLD) {
-        throw new Error("Failed to recognize text from image-based PDF. Please upload a searchable PDF or a DOCX/TXT file.");
+      const ocrPages = await localOcrEngine.recognizePdf(pdf, { pageNumbers: ocrPageNumbers });
+      const recognised = ocrPages.filter(page => !page.error && page.text.trim().length > 0);
+
+      ocrPages
+        .filter(page => page.error)
+        .forEach(page => console.warn(`OCR could not read page ${page.pageNumber}: ${page.error}`));
+      recognised.forEach(page => {
+        pageLayouts[page.pageNumber - 1] = localOcrEngine.toLayoutPage(page);
+      });
+
+      if (recognised.length === totalPages) {
+        extractionMode = 'OCR';
+      } else if (recognised.length > 0) {
+        extractionMode = 'HYBRID';
       }
+    } catch (ocrError) {
+      // Keep whatever the text layer gave us; the length check below decides
+      console.error('OCR attempt failed:', ocrError);
+    }
+  }
 
-      return { text: ocrText.trim(), extraction_mode: extractionMode, pages: totalPages };
-
-    } catch (ocrError: any) {
-      console.error('OCR attempt failed or yielded minimal text:', ocrError);
-      // If OCR failed or the text from OCR was minimal, and the initial text was also minimal,
-      // then we throw the specific error. Otherwise, fall back to initial text.
-      if (initialTextContent.length < MIN_TEXT_LENGTH_THRESHOLD) {
-        // Check if the thrown error is already our specific message to avoid wrapping
-        if (ocrError.message === "Failed to recognize text from image-based PDF. Please upload a searchable PDF or a DOCX/TXT file.") {
-          throw ocrError; // Re-throw the specific error
-        } else {
-          // It's a different OCR error, but still effectively means we couldn't get text from image-based PDF
-          throw new Error("Failed to recognize text from image-based PDF. Please upload a searchable PDF or a DOCX/TXT file.");
-        }
-      }
-      // If initial text had content (was >= 50 chars), but OCR failed, we can still return initial text.
-      return { text: initialTextContent, extraction_mode: 'TEXT', pages: totalPages };
+  // Step 3: Rebuild the reading order from item positions so multi-column
+  // resumes are not read straight across both columns
+  const layout = layoutParserService.analyzePages(pageLayouts);
+  const textContent = layoutParserService.extractOrderedText(layout).trim();
 
-    } finally {
-      if (ocrWorker) {
-        await ocrWorker.terminate(); // Ensure worker is always terminated to free up resources
-      }
-    }
+  if (textContent.length < MIN_TEXT_LENGTH_THRESHOLD) {
+    throw new Error(OCR_FAILURE_MESSAGE);
   }
 
-  return { text: initialTextContent, extraction_mode: extractionMode, pages: totalPages };
+  return { text: textContent, extraction_mode: extractionMode, pages: totalPages, layout };
 };
 
 const parseDocx = async (file: File): Promise<string> => {
@@ -0,0 +1,420 @@
+// src/utils/resumeDiff.ts
+// Field- and bullet-level diff between two resumes, and cherry-picking
+// bullets from one resume into another
+
+import { ResumeData } from '../types/resume';
+import {
+  BulletChange,
+  BulletRef,
+  BulletSection,
+  FieldChange,
+  ResumeDiff
+} from '../types/resumeHistory';
+
+// Two bullets with at least this much word overlap are one bullet reworded
+const REWORD_SIMILARITY = 0.4;
+
+const SCALAR_FIELDS: { key: keyof ResumeData; label: string }[] = [
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'linkedin', label: 'LinkedIn' },
+  { key: 'github', label: 'GitHub' },
+  { key: 'location', label: 'Location' },
+  { key: 'targetRole', label: 'Target role' },
+  { key: 'summary', label: 'Summary' },
+  { key: 'careerObjective', label: 'Career objective' }
+];
+
+const normalize = (text: string | undefined) => (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const words = (text: string) => new Set(normalize(text).split(/[^a-z0-9+#.%$]+/).filter(Boolean));
+
+/**
+ * Word-set Jaccard similarity of two bullets (0-1)
+ */
+export const bulletSimilarity = (a: string, b: string): number => {
+  const wordsA = words(a);
+  const wordsB = words(b);
+  if (wordsA.size === 0 && wordsB.size === 0) return 1;
+
+  let shared = 0;
+  wordsA.forEach(word => { if (wordsB.has(word)) shared++; });
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+// ============================================================================
+// ENTRIES
+// ============================================================================
+
+interface BulletEntry {
+  key: string;
+  label: string;
+  index: number;
+  bullets: string[];
+}
+
+const bulletEntries = (data: ResumeData, section: BulletSection): BulletEntry[] => {
+  switch (section) {
+    case 'workExperience':
+      return (data.workExperience || []).map((job, index) => ({
+        key: `${normalize(job.company)}|${normalize(job.role)}`,
+        label: [job.role, job.company].filter(Boolean).join(' · '),
+        index,
+        bullets: job.bullets || []
+      }));
+    case 'projects':
+      return (data.projects || []).map((project, index) => ({
+        key: normalize(project.title),
+        label: project.title,
+        index,
+        bullets: project.bullets || []
+      }));
+    case 'additionalSections':
+      return (data.additionalSections || []).map((section, index) => ({
+        key: normalize(section.title),
+        label: section.title,
+        index,
+        bullets: section.bullets || []
+      }));
+    case 'achievements':
+      return data.achievements ? [{ key: 'achievements', label: 'Achievements', index: 0, bullets: data.achievements }] : [];
+  }
+};
+
+/**
+ * Pair entries by key; entries left over on both sides (a renamed role,
+ * a retitled project) are paired in the order they appear
+ */
+const pairEntries = <T extends { key: string }>(before: T[], after: T[]) => {
+  const pairs: { before?: T; after?: T }[] = [];
+  const unmatchedAfter = [...after];
+  const unmatchedBefore: T[] = [];
+
+  before.forEach(entry => {
+    const match = unmatchedAfter.findIndex(candidate => candidate.key === entry.key);
+    if (match >= 0) {
+      pairs.push({ before: entry, after: unmatchedAfter.splice(match, 1)[0] });
+    } else {
+      unmatchedBefore.push(entry);
+    }
+  });
+
+  unmatchedBefore.forEach(entry => pairs.push({ before: entry, after: unmatchedAfter.shift() }));
+  unmatchedAfter.forEach(entry => pairs.push({ after: entry }));
+  return pairs;
+};
+
+// ============================================================================
+// BULLETS
+// ============================================================================
+
+// Longest common subsequence of identical (normalised) bullets, as index pairs
+const alignIdentical = (before: string[], after: string[]): [number, number][] => {
+  const a = before.map(normalize);
+  const b = after.map(normalize);
+  const table = Array.from({ length: a.length + 1 }, () => new Array<number>(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const pairs: [number, number][] = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i++, j++]);
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+};
+
+const diffEntryBullets = (section: BulletSection, before?: BulletEntry, after?: BulletEntry): BulletChange[] => {
+  const entryLabel = (after || before)!.label;
+  const oldBullets = before?.bullets || [];
+  const newBullets = after?.bullets || [];
+  const ref = (entry: BulletEntry, bulletIndex: number): BulletRef => ({ section, entryIndex: entry.index, bulletIndex });
+
+  const unchanged = alignIdentical(oldBullets, newBullets);
+  const removed = oldBullets.map((_, i) => i).filter(i => !unchanged.some(([from]) => from === i));
+  const added = newBullets.map((_, j) => j).filter(j => !unchanged.some(([, to]) => to === j));
+
+  // Pair the most similar removed/added bullets as rewordings
+  const candidates = removed
+    .flatMap(i => added.map(j => ({ i, j, similarity: bulletSimilarity(oldBullets[i], newBullets[j]) })))
+    .filter(candidate => candidate.similarity >= REWORD_SIMILARITY)
+    .sort((x, y) => y.similarity - x.similarity);
+  const reworded = new Map<number, { j: number; similarity: number }>();
+  const usedAdded = new Set<number>();
+  candidates.forEach(({ i, j, similarity }) => {
+    if (reworded.has(i) || usedAdded.has(j)) return;
+    reworded.set(i, { j, similarity });
+    usedAdded.add(j);
+  });
+
+  const changes: BulletChange[] = [];
+  removed.forEach(i => {
+    const match = reworded.get(i);
+    changes.push(match
+      ? {
+        type: 'modified',
+        section,
+        entryLabel,
+        before: { ref: ref(before!, i), text: oldBullets[i] },
+        after: { ref: ref(after!, match.j), text: newBullets[match.j] },
+        similarity: Number(match.similarity.toFixed(2))
+      }
+      : { type: 'removed', section, entryLabel, before: { ref: ref(before!, i), text: oldBullets[i] } });
+  });
+  added
+    .filter(j => !usedAdded.has(j))
+    .forEach(j => changes.push({ type: 'added', section, entryLabel, after: { ref: ref(after!, j), text: newBullets[j] } }));
+
+  return changes.sort((x, y) => (x.after?.ref.bulletIndex ?? x.before!.ref.bulletIndex) - (y.after?.ref.bulletIndex ?? y.before!.ref.bulletIndex));
+};
+
+// ============================================================================
+// FIELDS
+// ============================================================================
+
+const compareField = (changes: FieldChange[], path: string, label: string, before?: string, after?: string) => {
+  const oldValue = (before || '').trim();
+  const newValue = (after || '').trim();
+  if (oldValue === newValue) return;
+
+  changes.push({
+    path,
+    label,
+    type: !oldValue ? 'added' : !newValue ? 'removed' : 'modified',
+    before: oldValue || undefined,
+    after: newValue || undefined
+  });
+};
+
+const diffEducation = (before: ResumeData, after: ResumeData, changes: FieldChange[]) => {
+  const keyed = (data: ResumeData) => (data.education || []).map((entry, index) => ({
+    ...entry,
+    index,
+    key: `${normalize(entry.degree)}|${normalize(entry.school)}`
+  }));
+
+  pairEntries(keyed(before), keyed(after)).forEach(({ before: old, after: current }) => {
+    const path = `education[${(current || old)!.index}]`;
+    const label = (entry: typeof old) => [entry?.degree, entry?.school].filter(Boolean).join(', ');
+    if (!old || !current) {
+      compareField(changes, path, 'Education', old && label(old), current && label(current));
+      return;
+    }
+    compareField(changes, `${path}.degree`, 'Degree', old.degree, current.degree);
+    compareField(changes, `${path}.school`, 'School', old.school, current.school);
+    compareField(changes, `${path}.field`, 'Field of study', old.field, current.field);
+    compareField(changes, `${path}.year`, 'Education year', old.year, current.year);
+    compareField(changes, `${path}.cgpa`, 'CGPA', old.cgpa, current.cgpa);
+    compareField(changes, `${path}.location`, 'Education location', old.location, current.location);
+  });
+};
+
+const diffExperienceHeaders = (before: ResumeData, after: ResumeData, changes: FieldChange[]) => {
+  const keyed = (data: ResumeData) => (data.workExperience || []).map((job, index) => ({
+    ...job,
+    index,
+    key: `${normalize(job.company)}|${normalize(job.role)}`
+  }));
+
+  pairEntries(keyed(before), keyed(after)).forEach(({ before: old, after: current }) => {
+    const path = `workExperience[${(current || old)!.index}]`;
+    const label = (job: typeof old) => [job?.role, job?.company].filter(Boolean).join(' · ');
+    if (!old || !current) {
+      compareField(changes, path, 'Experience', old && label(old), current && label(current));
+      return;
+    }
+    compareField(changes, `${path}.role`, 'Role', old.role, current.role);
+    compareField(changes, `${path}.company`, 'Company', old.company, current.company);
+    compareField(changes, `${path}.year`, `Dates · ${label(current)}`, old.year, current.year);
+    compareField(changes, `${path}.location`, `Location · ${label(current)}`, old.location, current.location);
+  });
+};
+
+const diffProjectHeaders = (before: ResumeData, after: ResumeData, changes: FieldChange[]) => {
+  const keyed = (data: ResumeData) => (data.projects || []).map((project, index) => ({
+    ...project,
+    index,
+    key: normalize(project.title)
+  }));
+
+  pairEntries(keyed(before), keyed(after)).forEach(({ before: old, after: current }) => {
+    const path = `projects[${(current || old)!.index}]`;
+    if (!old || !current) {
+      compareField(changes, path, 'Project', old?.title, current?.title);
+      return;
+    }
+    compareField(changes, `${path}.title`, 'Project title', old.title, current.title);
+    compareField(changes, `${path}.description`, `Description · ${current.title}`, old.description, current.description);
+    compareField(changes, `${path}.githubUrl`, `Link · ${current.title}`, old.githubUrl, current.githubUrl);
+    compareField(changes, `${path}.techStack`, `Tech stack · ${current.title}`, (old.techStack || []).join(', '), (current.techStack || []).join(', '));
+  });
+};
+
+const diffSkills = (before: ResumeData, after: ResumeData, changes: FieldChange[]) => {
+  const byCategory = (data: ResumeData) => new Map((data.skills || []).map(skill => [normalize(skill.category), skill]));
+  const oldSkills = byCategory(before);
+  const newSkills = byCategory(after);
+  const categories = Array.from(new Set([...oldSkills.keys(), ...newSkills.keys()]));
+
+  categories.forEach(key => {
+    const old = oldSkills.get(key);
+    const current = newSkills.get(key);
+    const category = (current || old)!.category;
+    const sameSkills = old && current
+      && old.list.map(normalize).sort().join('|') === current.list.map(normalize).sort().join('|');
+    if (sameSkills) return;
+    compareField(changes, `skills.${category}`, `Skills · ${category}`, old?.list.join(', '), current?.list.join(', '));
+  });
+};
+
+const certificationTitle = (certification: ResumeData['certifications'][number]) =>
+  typeof certification === 'string' ? certification : certification.title;
+
+const diffCertifications = (before: ResumeData, after: ResumeData, changes: FieldChange[]) => {
+  const oldTitles = (before.certifications || []).map(certificationTitle);
+  const newTitles = (after.certifications || []).map(certificationTitle);
+  const oldKeys = new Set(oldTitles.map(normalize));
+  const newKeys = new Set(newTitles.map(normalize));
+
+  oldTitles.filter(title => !newKeys.has(normalize(title)))
+    .forEach(title => changes.push({ path: 'certifications', label: 'Certification', type: 'removed', before: title }));
+  newTitles.filter(title => !oldKeys.has(normalize(title)))
+    .forEach(title => changes.push({ path: 'certifications', label: 'Certification', type: 'added', after: title }));
+};
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+const BULLET_SECTIONS: BulletSection[] = ['workExperience', 'projects', 'additionalSections', 'achievements'];
+
+/**
+ * Everything that changed from `before` to `after`: contact and header fields,
+ * skills and certifications at field level, bullets one by one (reworded
+ * bullets are reported as modified rather than removed + added)
+ */
+export const diffResumes = (before: ResumeData, after: ResumeData): ResumeDiff => {
+  const fields: FieldChange[] = [];
+  SCALAR_FIELDS.forEach(({ key, label }) => compareField(fields, key, label, before[key] as string, after[key] as string));
+  diffEducation(before, after, fields);
+  diffExperienceHeaders(before, after, fields);
+  diffProjectHeaders(before, after, fields);
+  diffSkills(before, after, fields);
+  diffCertifications(before, after, fields);
+
+  const bullets = BULLET_SECTIONS.flatMap(section =>
+    pairEntries(bulletEntries(before, section), bulletEntries(after, section))
+      .flatMap(pair => diffEntryBullets(section, pair.before, pair.after))
+  );
+
+  return {
+    fields,
+    bullets,
+    summary: {
+      fieldsChanged: fields.length,
+      bulletsAdded: bullets.filter(change => change.type === 'added').length,
+      bulletsRemoved: bullets.filter(change => change.type === 'removed').length,
+      bulletsModified: bullets.filter(change => change.type === 'modified').length
+    }
+  };
+};
+
+/**
+ * The bullet at `ref`, or undefined if the resume has no such bullet
+ */
+export const getBullet = (data: ResumeData, ref: BulletRef): string | undefined =>
+  bulletEntries(data, ref.section).find(entry => entry.index === ref.entryIndex)?.bullets[ref.bulletIndex];
+
+const entryBullets = (data: ResumeData, section: BulletSection, entryIndex: number): string[] => {
+  switch (section) {
+    case 'workExperience': return data.workExperience[entryIndex].bullets;
+    case 'projects': return data.projects[entryIndex].bullets;
+    case 'additionalSections': return data.additionalSections![entryIndex].bullets;
+    case 'achievements': return data.achievements || (data.achievements = []);
+  }
+};
+
+/**
+ * Copy bullets from `source` into the matching entries of `target` (same
+ * company and role, project title or section title). A picked bullet replaces
+ * the target bullet it rewords, otherwise it is inserted at its source
+ * position. Returns a new resume; neither input is modified.
+ */
+export const cherryPickBullets = (target: ResumeData, source: ResumeData, refs: BulletRef[]): ResumeData => {
+  const result: ResumeData = JSON.parse(JSON.stringify(target));
+
+  refs.forEach(ref => {
+    const text = getBullet(source, ref);
+    if (text === undefined) {
+      throw new Error(`No ${ref.section} bullet at entry ${ref.entryIndex}, position ${ref.bulletIndex}`);
+    }
+
+    const sourceEntry = bulletEntries(source, ref.section).find(entry => entry.index === ref.entryIndex)!;
+    const targetEntry = bulletEntries(result, ref.section).find(entry => entry.key === sourceEntry.key);
+    if (!targetEntry && ref.section !== 'achievements') {
+      throw new Error(`Cannot cherry-pick into "${sourceEntry.label}": the target version has no matching entry`);
+    }
+
+    const bullets = entryBullets(result, ref.section, targetEntry?.index ?? 0);
+    if (bullets.some(bullet => normalize(bullet) === normalize(text))) return;
+
+    const reworded = bullets
+      .map((bullet, index) => ({ index, similarity: bulletSimilarity(bullet, text) }))
+      .filter(candidate => candidate.similarity >= REWORD_SIMILARITY)
+      .sort((a, b) => b.similarity - a.similarity)[0];
+
+    if (reworded) {
+      bullets[reworded.index] = text;
+    } else {
+      bullets.splice(Math.min(ref.bulletIndex, bullets.length), 0, text);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Every bullet in the resume with its ref, in document order
+ */
+export const listBullets = (data: ResumeData): { ref: BulletRef; entryLabel: string; text: string }[] =>
+  BULLET_SECTIONS.flatMap(section =>
+    bulletEntries(data, section).flatMap(entry =>
+      entry.bullets.map((text, bulletIndex) => ({
+        ref: { section, entryIndex: entry.index, bulletIndex },
+        entryLabel: entry.label,
+        text
+      }))
+    )
+  );
+
+/**
+ * Replace bullets in place of their refs; one bullet may become several
+ * (a split) or none. Refs point into `data` as given, so later replacements
+ * are not shifted by earlier ones. Returns a new resume.
+ */
+export const replaceBullets = (data: ResumeData, replacements: { ref: BulletRef; bullets: string[] }[]): ResumeData => {
+  const result: ResumeData = JSON.parse(JSON.stringify(data));
+
+  [...replacements]
+    .sort((a, b) => b.ref.bulletIndex - a.ref.bulletIndex)
+    .forEach(({ ref, bullets }) => {
+      if (getBullet(result, ref) === undefined) {
+        throw new Error(`No ${ref.section} bullet at entry ${ref.entryIndex}, position ${ref.bulletIndex}`);
+      }
+      entryBullets(result, ref.section, ref.entryIndex).splice(ref.bulletIndex, 1, ...bullets);
+    });
+
+  return result;
+};
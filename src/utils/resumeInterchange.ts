@@ -0,0 +1,481 @@
+// src/utils/resumeInterchange.ts
+import { z } from 'zod';
+import { ResumeData, Certification } from '../types/resume';
+import {
+  JsonResume,
+  JsonResumeProfile,
+  JsonResumeWork,
+  JsonResumeEducation,
+  JsonResumeCertificate,
+  PrimoBoostResumeFile,
+  ResumeImportResult,
+  ResumeInterchangeFormat,
+  JSON_RESUME_SCHEMA_URL,
+  PRIMOBOOST_EXTENSION_KEY,
+  PRIMOBOOST_RESUME_FORMAT,
+  PRIMOBOOST_RESUME_SCHEMA_VERSION
+} from '../types/resumeInterchange';
+import { SupportedLanguage } from '../types/language';
+import { SUPPORTED_LANGUAGES } from '../constants/languageResources';
+import { DateNormalizer } from './dateNormalizer';
+
+// ============================================================================
+// SCHEMAS
+// ============================================================================
+
+const certificationSchema = z.object({
+  title: z.string(),
+  description: z.string()
+});
+
+export const resumeDataSchema = z.object({
+  name: z.string(),
+  phone: z.string(),
+  email: z.string(),
+  linkedin: z.string(),
+  github: z.string(),
+  location: z.string().optional(),
+  targetRole: z.string().optional(),
+  summary: z.string().optional(),
+  careerObjective: z.string().optional(),
+  education: z.array(z.object({
+    degree: z.string(),
+    school: z.string(),
+    year: z.string(),
+    cgpa: z.string().optional(),
+    location: z.string().optional(),
+    field: z.string().optional()
+  })),
+  workExperience: z.array(z.object({
+    role: z.string(),
+    company: z.string(),
+    year: z.string(),
+    bullets: z.array(z.string()),
+    location: z.string().optional()
+  })),
+  projects: z.array(z.object({
+    title: z.string(),
+    bullets: z.array(z.string()),
+    githubUrl: z.string().optional(),
+    description: z.string().optional(),
+    techStack: z.array(z.string()).optional()
+  })),
+  skills: z.array(z.object({
+    category: z.string(),
+    count: z.number(),
+    list: z.array(z.string())
+  })),
+  certifications: z.array(z.union([z.string(), certificationSchema])),
+  additionalSections: z.array(z.object({
+    title: z.string(),
+    bullets: z.array(z.string())
+  })).optional(),
+  achievements: z.array(z.string()).optional(),
+  origin: z.string().optional(),
+  language: z.enum(SUPPORTED_LANGUAGES as [SupportedLanguage, ...SupportedLanguage[]]).optional()
+});
+
+const primoBoostResumeFileSchema = z.object({
+  format: z.literal(PRIMOBOOST_RESUME_FORMAT),
+  schemaVersion: z.number().int(),
+  exportedAt: z.string(),
+  resume: resumeDataSchema
+});
+
+// JSON Resume allows any subset of sections, so only the shapes we read are checked
+const jsonResumeSchema = z.object({
+  basics: z.object({
+    name: z.string().optional(),
+    email: z.string().optional(),
+    phone: z.string().optional(),
+    profiles: z.array(z.object({}).passthrough()).optional()
+  }).passthrough().optional(),
+  work: z.array(z.object({}).passthrough()).optional(),
+  education: z.array(z.object({}).passthrough()).optional(),
+  projects: z.array(z.object({}).passthrough()).optional(),
+  skills: z.array(z.object({}).passthrough()).optional(),
+  certificates: z.array(z.object({}).passthrough()).optional(),
+  awards: z.array(z.object({}).passthrough()).optional()
+}).passthrough();
+
+// ============================================================================
+// DATES
+// ============================================================================
+
+const MONTH_ABBREVIATIONS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// "Jan 2020 - Present", "2018 – 2022", "2018-2022", "Mar 2019 to Jun 2021"
+const splitDateRange = (range: string): { start?: string; end?: string; isPresent: boolean } => {
+  const trimmed = (range || '').trim();
+  if (!trimmed) return { isPresent: false };
+
+  const parts = DateNormalizer.splitDateRange(trimmed);
+  const [startPart, endPart] = parts.length > 1 ? parts : [undefined, parts[0]];
+  const start = startPart ? toIsoDate(startPart) : undefined;
+  const endParsed = endPart ? DateNormalizer.parseDateFlexible(endPart) : null;
+
+  if (endParsed?.isPresent) {
+    return { start, isPresent: true };
+  }
+  return { start, end: endPart ? toIsoDate(endPart) : undefined, isPresent: false };
+};
+
+const toIsoDate = (value: string): string | undefined => {
+  const parsed = DateNormalizer.parseDateFlexible(value);
+  if (!parsed.isValid || parsed.isPresent) return undefined;
+  return parsed.month
+    ? `${parsed.year}-${String(parsed.month).padStart(2, '0')}`
+    : `${parsed.year}`;
+};
+
+const fromIsoDate = (iso: string): string => {
+  const match = iso.match(/^(\d{4})(?:-(\d{2}))?/);
+  if (!match) return iso;
+  const month = match[2] ? parseInt(match[2], 10) : null;
+  return month && month >= 1 && month <= 12 ? `${MONTH_ABBREVIATIONS[month - 1]} ${match[1]}` : match[1];
+};
+
+const formatDateRange = (startDate?: string, endDate?: string): string => {
+  if (startDate && endDate) return `${fromIsoDate(startDate)} - ${fromIsoDate(endDate)}`;
+  if (startDate) return `${fromIsoDate(startDate)} - Present`;
+  if (endDate) return fromIsoDate(endDate);
+  return '';
+};
+
+// ============================================================================
+// JSON RESUME
+// ============================================================================
+
+// Keep optional keys absent rather than undefined so round trips compare equal
+const withDefined = <T extends object>(value: T): T =>
+  Object.fromEntries(Object.entries(value).filter(([, v]) => v !== undefined)) as T;
+
+const extensionOf = <T extends object>(value: T): T | undefined => {
+  const cleaned = withDefined(value);
+  return Object.keys(cleaned).length > 0 ? cleaned : undefined;
+};
+
+const findProfile = (profiles: JsonResumeProfile[], network: 'linkedin' | 'github'): string => {
+  const profile = profiles.find(p =>
+    (p.network || '').toLowerCase() === network || (p.url || '').toLowerCase().includes(`${network}.com`)
+  );
+  if (!profile) return '';
+  if (profile.url) return profile.url;
+  return profile.username ? `https://${network}.com/${network === 'linkedin' ? 'in/' : ''}${profile.username}` : '';
+};
+
+/**
+ * Convert ResumeData to the jsonresume.org schema.
+ *
+ * Everything JSON Resume has no field for (original date strings, career
+ * objective, additional sections, ...) is kept under `x-primoboost` so that
+ * fromJsonResume(toJsonResume(data)) returns the same resume.
+ */
+export const toJsonResume = (data: ResumeData): JsonResume => {
+  const profiles: JsonResumeProfile[] = [];
+  if (data.linkedin) profiles.push({ network: 'LinkedIn', url: data.linkedin });
+  if (data.github) profiles.push({ network: 'GitHub', url: data.github });
+
+  const work: JsonResumeWork[] = data.workExperience.map(job => {
+    const { start, end } = splitDateRange(job.year);
+    return withDefined({
+      name: job.company,
+      position: job.role,
+      location: job.location,
+      startDate: start,
+      endDate: end,
+      highlights: job.bullets,
+      [PRIMOBOOST_EXTENSION_KEY]: { year: job.year }
+    });
+  });
+
+  const education: JsonResumeEducation[] = data.education.map(edu => {
+    const { start, end } = splitDateRange(edu.year);
+    return withDefined({
+      institution: edu.school,
+      studyType: edu.degree,
+      area: edu.field,
+      score: edu.cgpa,
+      startDate: start,
+      endDate: end,
+      [PRIMOBOOST_EXTENSION_KEY]: extensionOf({ year: edu.year, location: edu.location })
+    });
+  });
+
+  const certificates: JsonResumeCertificate[] = data.certifications.map(cert =>
+    typeof cert === 'string'
+      ? { name: cert }
+      : { name: cert.title, [PRIMOBOOST_EXTENSION_KEY]: { description: cert.description } }
+  );
+
+  return withDefined({
+    $schema: JSON_RESUME_SCHEMA_URL,
+    basics: withDefined({
+      name: data.name,
+      label: data.targetRole,
+      email: data.email,
+      phone: data.phone,
+      summary: data.summary,
+      location: data.location !== undefined ? { address: data.location } : undefined,
+      profiles
+    }),
+    work,
+    education,
+    projects: data.projects.map(project => withDefined({
+      name: project.title,
+      description: project.description,
+      highlights: project.bullets,
+      keywords: project.techStack,
+      url: project.githubUrl
+    })),
+    skills: data.skills.map(skill => withDefined({
+      name: skill.category,
+      keywords: skill.list,
+      [PRIMOBOOST_EXTENSION_KEY]: skill.count !== skill.list.length ? { count: skill.count } : undefined
+    })),
+    certificates,
+    awards: data.achievements?.map(title => ({ title })),
+    meta: {
+      version: 'v1.0.0',
+      lastModified: new Date().toISOString()
+    },
+    [PRIMOBOOST_EXTENSION_KEY]: extensionOf({
+      careerObjective: data.careerObjective,
+      additionalSections: data.additionalSections,
+      origin: data.origin,
+      language: data.language
+    })
+  });
+};
+
+/**
+ * Convert a jsonresume.org document into ResumeData
+ */
+export const fromJsonResume = (json: JsonResume): ResumeData => {
+  const basics = json.basics || {};
+  const profiles = basics.profiles || [];
+  const extension = json[PRIMOBOOST_EXTENSION_KEY] || {};
+
+  const resume: ResumeData = {
+    name: basics.name || '',
+    phone: basics.phone || '',
+    email: basics.email || '',
+    linkedin: findProfile(profiles, 'linkedin'),
+    github: findProfile(profiles, 'github'),
+    education: (json.education || []).map(edu => withDefined({
+      degree: edu.studyType || '',
+      school: edu.institution || '',
+      year: edu[PRIMOBOOST_EXTENSION_KEY]?.year ?? formatDateRange(edu.startDate, edu.endDate),
+      cgpa: edu.score,
+      location: edu[PRIMOBOOST_EXTENSION_KEY]?.location,
+      field: edu.area
+    })),
+    workExperience: (json.work || []).map(job => withDefined({
+      role: job.position || '',
+      company: job.name || '',
+      year: job[PRIMOBOOST_EXTENSION_KEY]?.year ?? formatDateRange(job.startDate, job.endDate),
+      bullets: job.highlights || (job.summary ? [job.summary] : []),
+      location: job.location
+    })),
+    projects: (json.projects || []).map(project => withDefined({
+      title: project.name || '',
+      bullets: project.highlights || [],
+      githubUrl: project.url,
+      description: project.description,
+      techStack: project.keywords
+    })),
+    skills: (json.skills || []).map(skill => {
+      const list = skill.keywords || [];
+      return {
+        category: skill.name || '',
+        count: skill[PRIMOBOOST_EXTENSION_KEY]?.count ?? list.length,
+        list
+      };
+    }),
+    certifications: (json.certificates || []).map((cert): string | Certification => {
+      const description = cert[PRIMOBOOST_EXTENSION_KEY]?.description;
+      if (description !== undefined) return { title: cert.name || '', description };
+      return [cert.name, cert.issuer].filter(Boolean).join(' - ');
+    })
+  };
+
+  return withDefined({
+    ...resume,
+    location: basics.location ? basics.location.address ?? formatLocation(basics.location) : undefined,
+    targetRole: basics.label,
+    summary: basics.summary,
+    careerObjective: extension.careerObjective,
+    additionalSections: extension.additionalSections,
+    achievements: json.awards?.map(award => award.title || '').filter(Boolean),
+    origin: extension.origin,
+    language: extension.language && SUPPORTED_LANGUAGES.includes(extension.language) ? extension.language : undefined
+  });
+};
+
+const formatLocation = (location: NonNullable<NonNullable<JsonResume['basics']>['location']>): string =>
+  [location.city, location.region, location.countryCode].filter(Boolean).join(', ');
+
+// ============================================================================
+// PRIMOBOOST NATIVE FORMAT
+// ============================================================================
+
+/**
+ * Wrap ResumeData in the versioned PrimoBoost backup envelope
+ */
+export const createPrimoBoostResumeFile = (data: ResumeData): PrimoBoostResumeFile => ({
+  format: PRIMOBOOST_RESUME_FORMAT,
+  schemaVersion: PRIMOBOOST_RESUME_SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  resume: data
+});
+
+type RawRecord = Record<string, unknown>;
+
+/**
+ * Migrations keyed by the version they upgrade FROM. Each step must return a
+ * document at version + 1.
+ */
+const MIGRATIONS: Record<number, (file: RawRecord) => RawRecord> = {
+  // v0: bare ResumeData objects (localStorage dumps, pre-envelope backups)
+  0: (legacy) => {
+    const skills = Array.isArray(legacy.skills) ? legacy.skills as RawRecord[] : [];
+    return {
+      format: PRIMOBOOST_RESUME_FORMAT,
+      schemaVersion: 1,
+      exportedAt: new Date().toISOString(),
+      resume: {
+        ...legacy,
+        phone: legacy.phone ?? '',
+        email: legacy.email ?? '',
+        linkedin: legacy.linkedin ?? '',
+        github: legacy.github ?? '',
+        education: legacy.education ?? [],
+        workExperience: legacy.workExperience ?? [],
+        projects: legacy.projects ?? [],
+        certifications: legacy.certifications ?? [],
+        skills: skills.map(skill => {
+          const list = Array.isArray(skill.list) ? skill.list : [];
+          return { ...skill, list, count: typeof skill.count === 'number' ? skill.count : list.length };
+        })
+      }
+    };
+  }
+};
+
+const isRecord = (value: unknown): value is RawRecord =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isBareResumeData = (value: RawRecord): boolean =>
+  typeof value.name === 'string' && (Array.isArray(value.workExperience) || Array.isArray(value.education));
+
+/**
+ * Bring a native file (or bare ResumeData) up to the current schema version
+ */
+export const migratePrimoBoostResumeFile = (raw: unknown): {
+  file: PrimoBoostResumeFile;
+  sourceVersion: number;
+  migrated: boolean;
+} => {
+  if (!isRecord(raw)) {
+    throw new Error('Resume file is not a JSON object');
+  }
+
+  let current: RawRecord = raw;
+  const sourceVersion = raw.format === PRIMOBOOST_RESUME_FORMAT && typeof raw.schemaVersion === 'number'
+    ? raw.schemaVersion
+    : 0;
+
+  if (sourceVersion > PRIMOBOOST_RESUME_SCHEMA_VERSION) {
+    throw new Error(
+      `This resume was saved by a newer version of PrimoBoost (schema v${sourceVersion}). Please update and try again.`
+    );
+  }
+
+  for (let version = sourceVersion; version < PRIMOBOOST_RESUME_SCHEMA_VERSION; version++) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No migration available from resume schema v${version}`);
+    }
+    current = migrate(current);
+  }
+
+  const parsed = primoBoostResumeFileSchema.safeParse(current);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw new Error(`Invalid PrimoBoost resume file: ${issue.path.join('.') || 'root'} ${issue.message}`);
+  }
+
+  return {
+    file: parsed.data as PrimoBoostResumeFile,
+    sourceVersion,
+    migrated: sourceVersion !== PRIMOBOOST_RESUME_SCHEMA_VERSION
+  };
+};
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Identify which interchange format a parsed JSON document uses
+ */
+export const detectResumeInterchangeFormat = (raw: unknown): ResumeInterchangeFormat | null => {
+  if (!isRecord(raw)) return null;
+  if (raw.format === PRIMOBOOST_RESUME_FORMAT || isBareResumeData(raw)) return 'primoboost';
+  if (isRecord(raw.basics) || Array.isArray(raw.work)) return 'json-resume';
+  return null;
+};
+
+/**
+ * Parse a JSON string in either supported format into ResumeData
+ */
+export const parseResumeJson = (text: string): ResumeImportResult => {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error('The selected file is not valid JSON.');
+  }
+
+  const format = detectResumeInterchangeFormat(raw);
+
+  if (format === 'primoboost') {
+    const { file, sourceVersion, migrated } = migratePrimoBoostResumeFile(raw);
+    return {
+      resume: file.resume,
+      format,
+      sourceVersion,
+      migrated,
+      warnings: migrated ? [`Upgraded resume from schema v${sourceVersion} to v${PRIMOBOOST_RESUME_SCHEMA_VERSION}`] : []
+    };
+  }
+
+  if (format === 'json-resume') {
+    const parsed = jsonResumeSchema.safeParse(raw);
+    if (!parsed.success) {
+      const issue = parsed.error.issues[0];
+      throw new Error(`Invalid JSON Resume file: ${issue.path.join('.') || 'root'} ${issue.message}`);
+    }
+
+    const resume = fromJsonResume(parsed.data as JsonResume);
+    const warnings: string[] = [];
+    if (!resume.name) warnings.push('JSON Resume has no basics.name');
+    (['volunteer', 'publications', 'languages', 'interests', 'references'] as const).forEach(section => {
+      const entries = (raw as RawRecord)[section];
+      if (Array.isArray(entries) && entries.length > 0) {
+        warnings.push(`Skipped "${section}" section: not supported by PrimoBoost resumes`);
+      }
+    });
+
+    return { resume, format, migrated: false, warnings };
+  }
+
+  throw new Error('Unrecognised resume format. Use a PrimoBoost backup or a JSON Resume (jsonresume.org) file.');
+};
+
+/**
+ * Read and import a .json resume file
+ */
+export const importResumeJsonFile = async (file: File): Promise<ResumeImportResult> => {
+  return parseResumeJson(await file.text());
+};
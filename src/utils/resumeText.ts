@@ -0,0 +1,85 @@
+// src/utils/resumeText.ts
+import { ResumeData } from '../types/resume';
+
+/**
+ * Render structured resume data as plain text for the analyzers, which work
+ * on extracted text rather than ResumeData (e.g. after a JSON import, when
+ * there is no uploaded document to extract from).
+ */
+export const resumeDataToText = (resumeData: ResumeData): string => {
+  const sections: string[] = [];
+
+  // Contact Information
+  if (resumeData.name) sections.push(resumeData.name);
+  const contact = [resumeData.email, resumeData.phone, resumeData.location, resumeData.linkedin, resumeData.github]
+    .filter((part): part is string => !!part && part.trim().length > 0);
+  if (contact.length > 0) sections.push(contact.join(' | '));
+
+  // Summary / Objective
+  if (resumeData.summary) {
+    sections.push('\nPROFESSIONAL SUMMARY');
+    sections.push(resumeData.summary);
+  } else if (resumeData.careerObjective) {
+    sections.push('\nCAREER OBJECTIVE');
+    sections.push(resumeData.careerObjective);
+  }
+
+  // Skills
+  if (resumeData.skills && resumeData.skills.length > 0) {
+    sections.push('\nSKILLS');
+    resumeData.skills.forEach(skillCategory => {
+      sections.push(`${skillCategory.category}: ${skillCategory.list.join(', ')}`);
+    });
+  }
+
+  // Work Experience
+  if (resumeData.workExperience && resumeData.workExperience.length > 0) {
+    sections.push('\nWORK EXPERIENCE');
+    resumeData.workExperience.forEach(exp => {
+      sections.push([exp.role, exp.company, exp.location, exp.year].filter(Boolean).join(' | '));
+      exp.bullets?.forEach(bullet => sections.push(`• ${bullet}`));
+    });
+  }
+
+  // Projects
+  if (resumeData.projects && resumeData.projects.length > 0) {
+    sections.push('\nPROJECTS');
+    resumeData.projects.forEach(project => {
+      sections.push(project.title);
+      if (project.description) sections.push(project.description);
+      if (project.techStack && project.techStack.length > 0) sections.push(`Tech: ${project.techStack.join(', ')}`);
+      project.bullets?.forEach(bullet => sections.push(`• ${bullet}`));
+    });
+  }
+
+  // Education
+  if (resumeData.education && resumeData.education.length > 0) {
+    sections.push('\nEDUCATION');
+    resumeData.education.forEach(edu => {
+      sections.push([edu.degree, edu.field, edu.school, edu.location, edu.year].filter(Boolean).join(' | '));
+      if (edu.cgpa) sections.push(`CGPA: ${edu.cgpa}`);
+    });
+  }
+
+  // Certifications
+  if (resumeData.certifications && resumeData.certifications.length > 0) {
+    sections.push('\nCERTIFICATIONS');
+    resumeData.certifications.forEach(cert => {
+      sections.push(typeof cert === 'string' ? `• ${cert}` : `• ${cert.title}${cert.description ? `: ${cert.description}` : ''}`);
+    });
+  }
+
+  // Achievements
+  if (resumeData.achievements && resumeData.achievements.length > 0) {
+    sections.push('\nACHIEVEMENTS');
+    resumeData.achievements.forEach(achievement => sections.push(`• ${achievement}`));
+  }
+
+  // Additional Sections
+  resumeData.additionalSections?.forEach(section => {
+    sections.push(`\n${section.title.toUpperCase()}`);
+    section.bullets.forEach(bullet => sections.push(`• ${bullet}`));
+  });
+
+  return sections.join('\n').trim();
+};
@@ -0,0 +1,251 @@
+import { ResumeData } from '../types/resume';
+import {
+  Timeline,
+  TimelineEntryKind,
+  TimelineGap,
+  TimelineInterval,
+  TimelineIssue,
+  TimelineOptions,
+  TimelineOverlap
+} from '../types/timeline';
+import { scoringEnvironment } from '../services/scoringEnvironment';
+import { DateNormalizer, ParsedDate } from './dateNormalizer';
+
+// A shared month is a normal handover, not concurrent roles
+const MIN_OVERLAP_MONTHS = 2;
+
+/**
+ * Timeline Engine
+ * Normalises every experience and education entry into a month interval and
+ * derives gaps, overlaps and impossible dates from them, so every analyzer
+ * reads the same timeline instead of re-parsing date strings.
+ */
+export class TimelineEngine {
+  static build(
+    resumeData: Pick<ResumeData, 'workExperience' | 'education'> | undefined,
+    options: TimelineOptions = {}
+  ): Timeline {
+    const experienceEntries = (resumeData?.workExperience || []).map((exp, index) =>
+      this.toInterval('experience', index, [exp.role, exp.company].filter(Boolean).join(' at '), exp.year, options)
+    );
+    const educationEntries = (resumeData?.education || []).map((edu, index) =>
+      this.toInterval('education', index, [edu.degree, edu.school].filter(Boolean).join(', '), edu.year, options)
+    );
+
+    const experience = this.chronological(experienceEntries.map(entry => entry.interval));
+    const education = this.chronological(educationEntries.map(entry => entry.interval));
+    const validExperience = experience.filter(interval => interval.isValid);
+    const validEducation = education.filter(interval => interval.isValid);
+
+    return {
+      experience,
+      education,
+      gaps: this.findGaps(validExperience, validEducation),
+      overlaps: this.findOverlaps(validExperience, validEducation),
+      issues: [...experienceEntries, ...educationEntries].flatMap(entry => entry.issues),
+      totalExperienceMonths: this.countCoveredMonths(validExperience)
+    };
+  }
+
+  /**
+   * "Mar 2021" for a month index
+   */
+  static formatMonth(monthIndex: number): string {
+    return DateNormalizer.formatDateForDisplay(
+      DateNormalizer.parseDateFlexible(`${(monthIndex % 12) + 1}/${Math.floor(monthIndex / 12)}`)
+    );
+  }
+
+  // ============================================================================
+  // PRIVATE METHODS
+  // ============================================================================
+
+  private static toInterval(
+    kind: TimelineEntryKind,
+    index: number,
+    label: string,
+    range: string,
+    options: TimelineOptions
+  ): { interval: TimelineInterval; issues: TimelineIssue[] } {
+    const id = `${kind}-${index}`;
+    const name = label || `${kind === 'experience' ? 'Role' : 'Education entry'} ${index + 1}`;
+    const { start, end } = DateNormalizer.parseDateRange(range || '', { locale: options.locale });
+    const issues: TimelineIssue[] = [];
+    const interval: TimelineInterval = {
+      id,
+      kind,
+      index,
+      label: name,
+      range: range || '',
+      start: start.isValid ? start : null,
+      end: end.isValid ? end : null,
+      startMonth: null,
+      endMonth: null,
+      isOngoing: end.isValid && end.isPresent,
+      durationMonths: 0,
+      isValid: false
+    };
+
+    if (!start.isValid || !end.isValid) {
+      issues.push({
+        type: 'unparseable-date',
+        entryId: id,
+        severity: 'warning',
+        message: range?.trim()
+          ? `Could not read the dates of "${name}" (${range.trim()})`
+          : `No dates given for "${name}"`
+      });
+      return { interval, issues };
+    }
+
+    interval.startMonth = this.toMonthIndex(start, 'start');
+    interval.endMonth = this.toMonthIndex(end, 'end');
+
+    const startsInFuture = kind === 'experience' && start.isFuture && !start.isExpected;
+    if (startsInFuture) {
+      issues.push({
+        type: 'future-start',
+        entryId: id,
+        severity: 'error',
+        message: `"${name}" starts in the future (${DateNormalizer.formatDateForDisplay(start)})`
+      });
+    }
+
+    if (interval.endMonth < interval.startMonth) {
+      // "Present" after a future start is the same mistake, reported once
+      if (!(startsInFuture && end.isPresent)) {
+        issues.push({
+          type: 'end-before-start',
+          entryId: id,
+          severity: 'error',
+          message: `"${name}" ends before it starts (${range.trim()})`
+        });
+      }
+      return { interval, issues };
+    }
+
+    interval.durationMonths = interval.endMonth - interval.startMonth + 1;
+    interval.isValid = true;
+
+    if (!end.isPresent && end.isFuture && !end.isExpected) {
+      issues.push({
+        type: 'future-end',
+        entryId: id,
+        severity: 'warning',
+        message: kind === 'experience'
+          ? `"${name}" ends in the future; use "Present" for a current role`
+          : `"${name}" ends in the future; mark it as "Expected ${DateNormalizer.formatDateForDisplay(end)}"`
+      });
+    }
+
+    return { interval, issues };
+  }
+
+  // A start counts from the first month of its period, an end to the last
+  private static toMonthIndex(date: ParsedDate, edge: 'start' | 'end'): number {
+    if (date.isPresent) {
+      const now = scoringEnvironment.now();
+      return now.getFullYear() * 12 + now.getMonth();
+    }
+
+    let month = date.month;
+    if (edge === 'end') {
+      month = date.quarter ? date.quarter * 3 : month ?? 12;
+    }
+    return date.year * 12 + (month ?? 1) - 1;
+  }
+
+  private static chronological(intervals: TimelineInterval[]): TimelineInterval[] {
+    const valid = intervals
+      .filter(interval => interval.isValid)
+      .sort((a, b) => a.startMonth! - b.startMonth! || a.endMonth! - b.endMonth!);
+    return [...valid, ...intervals.filter(interval => !interval.isValid)];
+  }
+
+  private static findGaps(experience: TimelineInterval[], education: TimelineInterval[]): TimelineGap[] {
+    const gaps: TimelineGap[] = [];
+    if (experience.length === 0) return gaps;
+
+    let coveredUntil = experience[0].endMonth!;
+    let lastId = experience[0].id;
+
+    experience.slice(1).forEach(interval => {
+      const months = interval.startMonth! - coveredUntil - 1;
+      if (months > 0) {
+        const gap: TimelineGap = {
+          afterId: lastId,
+          beforeId: interval.id,
+          startMonth: coveredUntil + 1,
+          endMonth: interval.startMonth! - 1,
+          months
+        };
+        const study = education.find(edu => this.sharedMonths(edu, gap.startMonth, gap.endMonth) * 2 >= months);
+        if (study) {
+          gap.explainedBy = study.id;
+        }
+        gaps.push(gap);
+      }
+
+      if (interval.endMonth! > coveredUntil) {
+        coveredUntil = interval.endMonth!;
+        lastId = interval.id;
+      }
+    });
+
+    return gaps;
+  }
+
+  private static findOverlaps(experience: TimelineInterval[], education: TimelineInterval[]): TimelineOverlap[] {
+    const overlaps: TimelineOverlap[] = [];
+
+    const check = (kind: TimelineOverlap['kind'], a: TimelineInterval, b: TimelineInterval) => {
+      const months = this.overlapMonths(a, b);
+      if (months >= MIN_OVERLAP_MONTHS) {
+        overlaps.push({ kind, firstId: a.id, secondId: b.id, months });
+      }
+    };
+
+    experience.forEach((a, i) => {
+      experience.slice(i + 1).forEach(b => check('concurrent-roles', a, b));
+      education.forEach(edu => check('study-and-work', a, edu));
+    });
+
+    return overlaps;
+  }
+
+  private static overlapMonths(a: TimelineInterval, b: TimelineInterval): number {
+    const [earlier, later] = a.startMonth! <= b.startMonth! ? [a, b] : [b, a];
+    const from = later.startMonth!;
+    const to = Math.min(earlier.endMonth!, later.endMonth!);
+    if (to < from) return 0;
+
+    // "2018 - 2020" then "2020 - 2022" shares a year, not necessarily months
+    const yearOnlyBoundary = !later.start!.month || (!earlier.end!.month && !earlier.isOngoing);
+    if (yearOnlyBoundary && Math.floor(from / 12) === Math.floor(to / 12)) {
+      return 0;
+    }
+
+    return to - from + 1;
+  }
+
+  private static sharedMonths(interval: TimelineInterval, from: number, to: number): number {
+    return Math.max(0, Math.min(interval.endMonth!, to) - Math.max(interval.startMonth!, from) + 1);
+  }
+
+  private static countCoveredMonths(experience: TimelineInterval[]): number {
+    let total = 0;
+    let coveredUntil = -1;
+
+    experience.forEach(interval => {
+      const from = Math.max(interval.startMonth!, coveredUntil + 1);
+      if (interval.endMonth! >= from) {
+        total += interval.endMonth! - from + 1;
+        coveredUntil = interval.endMonth!;
+      }
+    });
+
+    return total;
+  }
+}
+
+export const timelineEngine = TimelineEngine;
@@ -0,0 +1,36 @@
+// src/utils/workerClient.ts
+// Every request to the Cloudflare Worker goes through here. The worker only
+// serves signed-in users: it verifies the Supabase access token sent below and
+// rate limits per user. Provider keys stay in the worker.
+
+export const WORKER_URL: string = (
+  import.meta.env.VITE_CLOUDFLARE_WORKER_URL || 'https://damp-haze-85c6.harshithayadali30.workers.dev'
+).replace(/\/$/, '');
+
+export const getWorkerHeaders = async (headers: Record<string, string> = {}): Promise<Record<string, string>> => {
+  try {
+    // Loaded lazily so modules that only might call the worker do not start a Supabase client
+    const { supabase } = await import('../lib/supabaseClient');
+    const { data } = await supabase.auth.getSession();
+    const token = data.session?.access_token;
+    return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+  } catch (error) {
+    console.warn('⚠️ Could not read the Supabase session for the worker request:', error);
+    return headers;
+  }
+};
+
+export const workerFetch = async (
+  path: string,
+  init: Omit<RequestInit, 'headers'> & { headers?: Record<string, string> } = {}
+): Promise<Response> =>
+  fetch(`${WORKER_URL}${path}`, { ...init, headers: await getWorkerHeaders(init.headers) });
+
+/**
+ * Call an EdenAI v2 endpoint (e.g. "text/chat", "ocr/ocr_async") through the
+ * worker, which adds the EdenAI key server-side
+ */
+export const edenFetch = (
+  path: string,
+  init: Omit<RequestInit, 'headers'> & { headers?: Record<string, string> } = {}
+): Promise<Response> => workerFetch(`/eden/${path}`, init);
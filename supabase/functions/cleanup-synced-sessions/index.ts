@@ -0,0 +1,62 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from 'npm:@supabase/supabase-js@2';
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Client-Info, Apikey",
+};
+
+// Scheduled job: delete optimizer and interview sessions whose expiry has passed
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, {
+      status: 200,
+      headers: corsHeaders,
+    });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+    const supabase = createClient(supabaseUrl, supabaseKey);
+
+    const { data: deletedCount, error } = await supabase.rpc('cleanup_expired_synced_sessions');
+
+    if (error) {
+      console.error('Error cleaning up synced sessions:', error);
+      throw new Error('Failed to clean up expired synced sessions');
+    }
+
+    console.log(`Deleted ${deletedCount} expired synced sessions`);
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        deleted: deletedCount
+      }),
+      {
+        status: 200,
+        headers: {
+          ...corsHeaders,
+          'Content-Type': 'application/json',
+        },
+      }
+    );
+  } catch (error) {
+    console.error('Error running synced session cleanup:', error);
+    return new Response(
+      JSON.stringify({
+        success: false,
+        error: (error instanceof Error && error.message) || 'Unexpected error during cleanup'
+      }),
+      {
+        status: 500,
+        headers: {
+          ...corsHeaders,
+          'Content-Type': 'application/json',
+        },
+      }
+    );
+  }
+});
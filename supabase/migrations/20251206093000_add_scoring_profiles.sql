@@ -0,0 +1,49 @@
+/*
+  # Scoring Profiles
+
+  1. New Tables
+    - `scoring_profiles`
+      - One row per admin-edited scoring profile (parameter weights, penalty
+        thresholds, required sections, page limits)
+      - `profile` holds the full profile JSON, validated client-side against
+        the scoring profile schema
+      - Built-in profiles only get a row once edited; deleting the row
+        restores the shipped version
+
+  2. Security
+    - Enable RLS
+    - Everyone can read profiles, because scoring runs in the browser
+    - Only admins can insert, update or delete
+*/
+
+CREATE TABLE IF NOT EXISTS scoring_profiles (
+  id text PRIMARY KEY CHECK (id ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+  name text NOT NULL,
+  profile jsonb NOT NULL,
+  updated_by uuid REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE scoring_profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view scoring profiles"
+  ON scoring_profiles FOR SELECT
+  TO anon, authenticated
+  USING (true);
+
+CREATE POLICY "Admins can insert scoring profiles"
+  ON scoring_profiles FOR INSERT
+  TO authenticated
+  WITH CHECK (is_current_user_admin());
+
+CREATE POLICY "Admins can update scoring profiles"
+  ON scoring_profiles FOR UPDATE
+  TO authenticated
+  USING (is_current_user_admin())
+  WITH CHECK (is_current_user_admin());
+
+CREATE POLICY "Admins can delete scoring profiles"
+  ON scoring_profiles FOR DELETE
+  TO authenticated
+  USING (is_current_user_admin());
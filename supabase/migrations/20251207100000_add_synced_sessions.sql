@@ -0,0 +1,187 @@
+/*
+  # Cross-Device Session Sync
+
+  1. New Tables
+    - `synced_sessions`
+      - One row per optimizer pipeline or interview session, so a session
+        started on one device can be continued on another
+      - `encrypted_payload` holds the full session state, AES-encrypted
+        client-side with a per-user key (utils/sessionEncryption.ts)
+      - `details` holds only listing information (title, progress label)
+      - `revision` increases on every save; a save based on an older
+        revision is reported as a conflict instead of overwriting
+      - `expires_at` slides forward on every save
+
+  2. Functions
+    - `save_synced_session` - compare-and-swap save used by every client
+    - `cleanup_expired_synced_sessions` - deletes expired rows; run by the
+      `cleanup-synced-sessions` edge function on a schedule
+
+  3. Security
+    - Enable RLS; users can only see and change their own sessions
+    - Only the service role can run the cleanup
+*/
+
+CREATE TABLE IF NOT EXISTS synced_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  kind text NOT NULL CHECK (kind IN ('pipeline', 'interview')),
+  session_id text NOT NULL,
+  device_id text NOT NULL,
+  device_label text NOT NULL DEFAULT '',
+  encrypted_payload text NOT NULL,
+  details jsonb NOT NULL DEFAULT '{}'::jsonb,
+  revision integer NOT NULL DEFAULT 1,
+  expires_at timestamptz NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE (user_id, kind, session_id)
+);
+
+ALTER TABLE synced_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own synced sessions"
+  ON synced_sessions FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can create own synced sessions"
+  ON synced_sessions FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own synced sessions"
+  ON synced_sessions FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own synced sessions"
+  ON synced_sessions FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_synced_sessions_user_kind
+  ON synced_sessions(user_id, kind, updated_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_synced_sessions_expires_at
+  ON synced_sessions(expires_at);
+
+-- Save a session if nobody else has saved it since `p_base_revision`
+-- (0 for a session this device has never synced). Returns the new revision,
+-- or 'conflict' with the stored row so the client can resolve it.
+CREATE OR REPLACE FUNCTION save_synced_session(
+  p_session_id text,
+  p_kind text,
+  p_device_id text,
+  p_device_label text,
+  p_encrypted_payload text,
+  p_details jsonb,
+  p_base_revision integer,
+  p_expires_at timestamptz
+)
+RETURNS TABLE (
+  result_status text,
+  result_revision integer,
+  result_payload text,
+  result_device_label text,
+  result_updated_at timestamptz
+)
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_user_id uuid := auth.uid();
+  v_current synced_sessions%ROWTYPE;
+  v_revision integer;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT * INTO v_current
+  FROM synced_sessions s
+  WHERE s.user_id = v_user_id AND s.kind = p_kind AND s.session_id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    INSERT INTO synced_sessions (
+      user_id, kind, session_id, device_id, device_label,
+      encrypted_payload, details, revision, expires_at
+    ) VALUES (
+      v_user_id, p_kind, p_session_id, p_device_id, p_device_label,
+      p_encrypted_payload, p_details, 1, p_expires_at
+    )
+    ON CONFLICT (user_id, kind, session_id) DO NOTHING
+    RETURNING revision INTO v_revision;
+
+    IF v_revision IS NOT NULL THEN
+      RETURN QUERY SELECT 'saved'::text, v_revision, NULL::text, p_device_label, now();
+      RETURN;
+    END IF;
+
+    -- Another device created the row between our read and insert
+    SELECT * INTO v_current
+    FROM synced_sessions s
+    WHERE s.user_id = v_user_id AND s.kind = p_kind AND s.session_id = p_session_id
+    FOR UPDATE;
+  END IF;
+
+  -- An expired row is free to overwrite, whatever its revision
+  IF v_current.revision <> p_base_revision AND v_current.expires_at > now() THEN
+    RETURN QUERY SELECT
+      'conflict'::text,
+      v_current.revision,
+      v_current.encrypted_payload,
+      v_current.device_label,
+      v_current.updated_at;
+    RETURN;
+  END IF;
+
+  UPDATE synced_sessions s
+  SET
+    device_id = p_device_id,
+    device_label = p_device_label,
+    encrypted_payload = p_encrypted_payload,
+    details = p_details,
+    revision = v_current.revision + 1,
+    expires_at = p_expires_at,
+    updated_at = now()
+  WHERE s.id = v_current.id
+  RETURNING s.revision INTO v_revision;
+
+  RETURN QUERY SELECT 'saved'::text, v_revision, NULL::text, p_device_label, now();
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION save_synced_session(text, text, text, text, text, jsonb, integer, timestamptz) TO authenticated;
+
+-- Delete every expired session; returns how many were removed
+CREATE OR REPLACE FUNCTION cleanup_expired_synced_sessions()
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_deleted_count integer;
+BEGIN
+  DELETE FROM synced_sessions
+  WHERE expires_at < now();
+
+  GET DIAGNOSTICS v_deleted_count = ROW_COUNT;
+
+  RETURN v_deleted_count;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION cleanup_expired_synced_sessions() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION cleanup_expired_synced_sessions() TO service_role;
+
+-- The cleanup-synced-sessions edge function runs the cleanup. With pg_cron
+-- enabled it can run in the database instead:
+-- SELECT cron.schedule(
+--   'cleanup-synced-sessions',
+--   '30 * * * *', -- Every hour
+--   $$SELECT cleanup_expired_synced_sessions();$$
+-- );
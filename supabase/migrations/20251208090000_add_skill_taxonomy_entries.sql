@@ -0,0 +1,49 @@
+/*
+  # Skill Taxonomy Entries
+
+  1. New Tables
+    - `skill_taxonomy_entries`
+      - One row per skill an admin added to or edited in the taxonomy
+        (name, aliases, synonyms, parent, category, deprecation)
+      - `entry` holds the full taxonomy entry JSON, validated client-side
+        against the taxonomy schema and the shipped dataset
+      - Shipped skills only get a row once edited; deleting the row
+        restores the shipped version
+
+  2. Security
+    - Enable RLS
+    - Everyone can read entries, because skill matching runs in the browser
+    - Only admins can insert, update or delete
+*/
+
+CREATE TABLE IF NOT EXISTS skill_taxonomy_entries (
+  id text PRIMARY KEY CHECK (id ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+  name text NOT NULL,
+  entry jsonb NOT NULL,
+  updated_by uuid REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE skill_taxonomy_entries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view skill taxonomy entries"
+  ON skill_taxonomy_entries FOR SELECT
+  TO anon, authenticated
+  USING (true);
+
+CREATE POLICY "Admins can insert skill taxonomy entries"
+  ON skill_taxonomy_entries FOR INSERT
+  TO authenticated
+  WITH CHECK (is_current_user_admin());
+
+CREATE POLICY "Admins can update skill taxonomy entries"
+  ON skill_taxonomy_entries FOR UPDATE
+  TO authenticated
+  USING (is_current_user_admin())
+  WITH CHECK (is_current_user_admin());
+
+CREATE POLICY "Admins can delete skill taxonomy entries"
+  ON skill_taxonomy_entries FOR DELETE
+  TO authenticated
+  USING (is_current_user_admin());